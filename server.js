@@ -30,6 +30,7 @@ const noteRoutes = require("./src/routes/learning/note.route");
 const bookmarkRoutes = require("./src/routes/learning/bookmark.route");
 const studyPlanRoutes = require("./src/routes/learning/study.plan.route");
 const studyGroupRoutes = require("./src/routes/learning/study.group.route");
+const contentRevisionRoutes = require("./src/routes/learning/content.revision.route");
 
 // learning/lesson routes
 const lessonRoutes = require("./src/routes/learning/lesson/lesson.route");
@@ -47,6 +48,14 @@ const philosophyLessonRoutes = require("./src/routes/learning/lesson/philosophy.
 const examRoutes = require("./src/routes/assessment/exam.route");
 const assessmentRoutes = require("./src/routes/assessment/assessment.route");
 const quizRoutes = require("./src/routes/assessment/quiz.route");
+const quizSessionRoutes = require("./src/routes/assessment/quiz.session.route");
+const quizBlueprintRoutes = require("./src/routes/assessment/quiz.blueprint.route");
+const mockExamRoutes = require("./src/routes/assessment/mock.exam.route");
+const pastPaperRoutes = require("./src/routes/assessment/past.paper.route");
+const questionReportRoutes = require("./src/routes/assessment/question.report.route");
+const manualGradingRoutes = require("./src/routes/assessment/manual.grading.route");
+const passageRoutes = require("./src/routes/assessment/passage.route");
+const exerciseAttemptRoutes = require("./src/routes/assessment/exercise.attempt.route");
 const challengeRoutes = require("./src/routes/assessment/challenge.route");
 const examScheduleRoutes = require("./src/routes/assessment/exam.schedule.route");
 const questionRoutes = require("./src/routes/assessment/question.route");
@@ -141,8 +150,17 @@ app.use("/api/topics", topicRoutes);
 app.use("/api/onboarding-status", onboardingStatusRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/quizzes", quizRoutes);
+app.use("/api/quiz-sessions", quizSessionRoutes);
+app.use("/api/quiz-blueprints", quizBlueprintRoutes);
+app.use("/api/mock-exams", mockExamRoutes);
+app.use("/api/past-papers", pastPaperRoutes);
 app.use("/api/quiz-results", quizResultRoutes);
 app.use("/api/questions", questionRoutes);
+app.use("/api/question-reports", questionReportRoutes);
+app.use("/api/manual-grading", manualGradingRoutes);
+app.use("/api/passages", passageRoutes);
+app.use("/api/exercise-attempts", exerciseAttemptRoutes);
+app.use("/api/revisions", contentRevisionRoutes);
 
 
 // 404 handler
@@ -136,6 +136,35 @@ const IMPORTANT_DATE_TYPES = [
 ];
 const EXAM_SESSIONS = ["janvier", "juin", "septembre", "decembre"];
 
+/**
+ * Constants for mock BAC exams.
+ * @module constants/index
+ */
+const MOCK_EXAM_STATUSES = ["in_progress", "completed", "abandoned"];
+const MOCK_EXAM_PAPER_STATUSES = ["not_started", "in_progress", "completed"];
+const BAC_DECISIONS = ["admis", "rattrapage", "ajourne"];
+const BAC_MENTIONS = [
+  { mention: "tres_bien", label: "Très bien", minAverage: 16 },
+  { mention: "bien", label: "Bien", minAverage: 14 },
+  { mention: "assez_bien", label: "Assez bien", minAverage: 12 },
+  { mention: "passable", label: "Passable", minAverage: 10 },
+]; // highest first
+const BAC_PASSING_AVERAGE = 10; // out of 20
+const BAC_RATTRAPAGE_AVERAGE = 8; // second group: resits between 8 and 10
+const MOCK_EXAM_MAX_QUESTIONS = 100; // quiz limit per paper
+
+/**
+ * Constants for past papers.
+ * @module constants/index
+ */
+const PAST_PAPER_DOCUMENT_TYPES = [
+  "question_paper",
+  "marking_scheme",
+  "model_answers",
+  "examiner_report",
+];
+const PAST_PAPER_MIN_YEAR = 1990;
+
 /**
  * Constants for exam schedules.
  * @module constants/index
@@ -209,6 +238,36 @@ const PHILOSOPHY_TOPICS = [
   "epistemology",
   "political_philosophy",
 ];
+const DISSERTATION_RULES = {
+  MIN_WORDS: 600, // shortest dissertation that can treat a subject
+  MAX_WORDS: 3000,
+  MIN_PARTS: 2,
+  MAX_PARTS: 3,
+  MIN_PART_BALANCE: 0.5, // shortest part, as a share of the longest one
+  MIN_SUBJECT_COVERAGE: 0.5, // share of the subject's words taken up in the introduction
+};
+const DISSERTATION_CONNECTORS = {
+  opposition: [
+    "cependant",
+    "pourtant",
+    "néanmoins",
+    "toutefois",
+    "en revanche",
+    "au contraire",
+    "mais",
+  ],
+  consequence: [
+    "donc",
+    "ainsi",
+    "par conséquent",
+    "dès lors",
+    "c'est pourquoi",
+    "en somme",
+  ],
+  addition: ["de plus", "en outre", "par ailleurs", "d'autre part"],
+  illustration: ["par exemple", "en effet", "notamment"],
+};
+const DISSERTATION_REQUIRED_CONNECTORS = ["opposition", "consequence"]; // a dialectic needs both
 const ENGLISH_TOPICS = [
   "grammar",
   "reading_comprehension",
@@ -249,6 +308,64 @@ const QUESTION_STATUSES = [
   "archived",
 ];
 const MEDIA_TYPES = ["image", "audio", "video", "document"];
+const GRADING_TOLERANCE_TYPES = ["absolute", "relative"];
+const QUESTION_EXCHANGE_FORMATS = ["gift", "aiken", "qti", "csv"];
+const QUESTION_IMPORT_MAX_ITEMS = 500;
+const QUESTION_EXPORT_MAX_ITEMS = 2000;
+const QUESTION_REPORT_CATEGORIES = [
+  "wrong_answer",
+  "unclear_wording",
+  "typo",
+  "broken_media",
+];
+const QUESTION_REPORT_STATUSES = ["open", "accepted", "rejected"];
+const QUESTION_REVIEW_ACTIONS = [
+  "submit",
+  "assign",
+  "approve",
+  "reject",
+  "request_changes",
+  "archive",
+  "restore",
+];
+const QUESTION_DUPLICATE_SIMILARITY = {
+  THRESHOLD: 0.85, // trigram similarity above which questions are flagged
+  MAX_MATCHES: 5, // likely duplicates reported per question
+  MAX_CANDIDATES: 2000, // questions compared per subject and topic
+};
+const QUESTION_TEMPLATE_LIMITS = {
+  MAX_VARIABLES: 10, // variables per templated question
+  MAX_DRAWS: 200, // random draws tried before the constraints are deemed unsatisfiable
+};
+const MAP_POINT_TOLERANCE_KM = 25; // radius accepted around a map point when the question sets none
+const DIAGRAM_HOTSPOT_SHAPES = ["rect", "circle", "polygon"];
+const DIAGRAM_LIMITS = {
+  MAX_HOTSPOTS: 50, // hotspots per diagram
+  MAX_IMAGE_SIZE: 10000, // pixels, on either side
+};
+const EXPRESSION_EQUIVALENCE = {
+  TRIALS: 24, // random points at which two expressions are compared
+  MIN_VALID_TRIALS: 8, // points where both must be defined to conclude
+  RELATIVE_TOLERANCE: 1e-6, // allowed difference between both values
+};
+const RUBRIC_LIMITS = {
+  MAX_CRITERIA: 12, // criteria per rubric
+  MAX_LEVELS: 6, // performance levels per criterion
+};
+const WORKING_STEP_STATUSES = [
+  "correct",
+  "incorrect",
+  "unreadable",
+  "unchecked",
+];
+const WORKING_CHECK_MAX_STEPS = 50; // steps a student may submit in one check
+
+/**
+ * Constants for content revisions.
+ * @module constants/index
+ */
+const REVISION_CONTENT_TYPES = ["lesson", "question", "exercise"];
+const REVISION_ACTIONS = ["create", "update", "rollback"];
 
 /**
  * Constants for quizzes.
@@ -268,6 +385,119 @@ const QUIZ_SESSION_STATUSES = [
   "abandoned",
   "expired",
 ];
+const GRADING_STATUSES = ["graded", "pending_review"];
+const QUIZ_SESSION_GRACE_PERIOD = 5; // seconds tolerated after the time limit for network latency
+const QUIZ_SESSION_MODES = ["standard", "adaptive"];
+
+/**
+ * Constants for manual grading.
+ * @module constants/index
+ */
+const MANUAL_GRADE_STATUSES = ["pending", "graded"];
+const MANUAL_GRADING_DUE_DAYS = 7; // days teachers have to score an answer once the session ends
+
+/**
+ * Constants for exercise attempts.
+ * @module constants/index
+ */
+const EXERCISE_ATTEMPT_STATUSES = ["in_progress", "submitted", "expired"];
+const EXERCISE_ATTEMPT_GRACE_PERIOD = 5; // seconds tolerated after the time limit for network latency
+const EXERCISE_SUCCESS_PERCENTAGE = 70; // score from which an attempt counts as a success
+
+/**
+ * Constants for reading passages and sources shared by several questions.
+ * @module constants/index
+ */
+const PASSAGE_LANGUAGES = ["french", "english", "arabic"];
+
+/**
+ * Constants for offline quiz bundles.
+ * @module constants/index
+ */
+const OFFLINE_BUNDLE_VERSION = 1; // bumped whenever the bundle layout changes
+const OFFLINE_BUNDLE_VALIDITY_HOURS = 72; // time allowed to start a downloaded bundle
+const OFFLINE_CLOCK_SKEW = 300; // seconds tolerated between device and server clocks
+const OFFLINE_ANSWER_REJECTIONS = [
+  "unknown_question",
+  "before_start",
+  "after_time_limit",
+  "superseded",
+];
+
+/**
+ * Constants for item response theory (2PL) calibration and adaptive sessions.
+ * @module constants/index
+ */
+const IRT_DIFFICULTY_PRIORS = {
+  beginner: -1,
+  intermediate: 0,
+  advanced: 1,
+}; // starting difficulty of items that are not calibrated yet
+const IRT_MIN_RESPONSES = 30; // responses needed before an item is calibrated
+const ADAPTIVE_SESSION_DEFAULTS = {
+  TARGET_STANDARD_ERROR: 0.3,
+  MIN_QUESTIONS: 5,
+  MAX_QUESTIONS: 30,
+};
+const ADAPTIVE_STOP_REASONS = [
+  "precision_reached",
+  "max_questions",
+  "pool_exhausted",
+];
+
+/**
+ * Constants for classical item analysis (p-value, point-biserial, distractors).
+ * @module constants/index
+ */
+const ITEM_ANALYSIS = {
+  GROUP_RATIO: 0.27, // share of respondents in the high and low scorer groups
+  MIN_DISTRACTOR_RATE: 0.05, // distractors picked less often do not function
+  MIN_RESPONSES: 20, // below this the statistics are marked unreliable
+  MAX_SESSIONS: 5000, // most recent sessions read for one report
+};
+const ITEM_ANALYSIS_FLAGS = [
+  "negative_discrimination",
+  "non_functioning_distractor",
+];
+
+/**
+ * Constants for session integrity monitoring.
+ * @module constants/index
+ */
+const INTEGRITY_EVENT_TYPES = [
+  "focus_lost",
+  "copy",
+  "paste",
+  "device_switch",
+  "fullscreen_exit",
+  "screenshot",
+];
+const INTEGRITY_FLAG_TYPES = ["fast_answers", "similar_answers"];
+const INTEGRITY_REVIEW_STATUSES = ["none", "pending", "cleared", "confirmed"];
+const INTEGRITY_PENALTIES = {
+  focus_lost: 2,
+  copy: 5,
+  paste: 5,
+  device_switch: 10,
+  fullscreen_exit: 2,
+  screenshot: 5,
+  fast_answer: 5,
+  similar_answers: 40,
+}; // points removed from a score of 100
+const INTEGRITY_MAX_EVENT_PENALTY = 40; // events alone cannot remove more than this
+const INTEGRITY_MAX_EVENTS = 500; // events stored per session
+const INTEGRITY_REVIEW_THRESHOLD = 70; // sessions scoring below go to the review queue
+const INTEGRITY_FAST_ANSWER = {
+  MIN_SECONDS: 2,
+  MIN_ESTIMATE_RATIO: 0.1, // share of the question's time estimate
+  MIN_COUNT: 3, // fast answers needed before the session is flagged
+  MAX_PENALTY: 30,
+};
+const INTEGRITY_SIMILARITY = {
+  MIN_COMMON_ANSWERS: 5,
+  MIN_MATCH_RATE: 0.9,
+  MIN_SHARED_WRONG: 2, // identical wrong answers are the strongest signal
+};
 
 /**
  * Constants for gamified progress.
@@ -307,6 +537,44 @@ const HINT_TYPES = ["step", "explanation", "formula", "example"];
  */
 const QUIZ_RESULT_STATUSES = ["completed", "abandoned", "in_progress"];
 const FEEDBACK_RATING_RANGE = { MIN: 0, MAX: 10 };
+// Feedback shown with a quiz result, from the highest score percentage down
+const QUIZ_RESULT_FEEDBACK = [
+  {
+    minPercentage: 90,
+    title: "Excellent !",
+    emoji: "🏆",
+    color: "#16A34A",
+    message: "Bravo, tu maîtrises parfaitement ce quiz. Continue sur cette lancée !",
+  },
+  {
+    minPercentage: 75,
+    title: "Très bien !",
+    emoji: "🎉",
+    color: "#22C55E",
+    message: "Très bon résultat. Revois les quelques erreurs pour atteindre l'excellence.",
+  },
+  {
+    minPercentage: 60,
+    title: "Bien joué",
+    emoji: "👍",
+    color: "#EAB308",
+    message: "Bon travail. Quelques notions méritent encore d'être consolidées.",
+  },
+  {
+    minPercentage: 40,
+    title: "Peut mieux faire",
+    emoji: "💪",
+    color: "#F97316",
+    message: "Tu es sur la bonne voie. Reprends les leçons associées et réessaie.",
+  },
+  {
+    minPercentage: 0,
+    title: "Continue tes efforts",
+    emoji: "📚",
+    color: "#EF4444",
+    message: "Ne te décourage pas. Révise les notions clés puis refais le quiz.",
+  },
+];
 
 /**
  * Constants for adaptive learning.
@@ -479,6 +747,15 @@ module.exports = {
   EXAM_FORMATS,
   IMPORTANT_DATE_TYPES,
   EXAM_SESSIONS,
+  MOCK_EXAM_STATUSES,
+  MOCK_EXAM_PAPER_STATUSES,
+  BAC_DECISIONS,
+  BAC_MENTIONS,
+  BAC_PASSING_AVERAGE,
+  BAC_RATTRAPAGE_AVERAGE,
+  MOCK_EXAM_MAX_QUESTIONS,
+  PAST_PAPER_DOCUMENT_TYPES,
+  PAST_PAPER_MIN_YEAR,
   EXAM_SCHEDULE_TYPES,
   VENUE_TYPES,
   PARTICIPANT_STATUSES,
@@ -497,6 +774,9 @@ module.exports = {
   BIOLOGY_TOPICS,
   FRENCH_TOPICS,
   PHILOSOPHY_TOPICS,
+  DISSERTATION_RULES,
+  DISSERTATION_CONNECTORS,
+  DISSERTATION_REQUIRED_CONNECTORS,
   ENGLISH_TOPICS,
   HISTORY_TOPICS,
   HISTORY_SOURCE_TYPES,
@@ -505,8 +785,54 @@ module.exports = {
   QUESTION_LEVELS,
   QUESTION_STATUSES,
   MEDIA_TYPES,
+  GRADING_TOLERANCE_TYPES,
+  QUESTION_EXCHANGE_FORMATS,
+  QUESTION_IMPORT_MAX_ITEMS,
+  QUESTION_EXPORT_MAX_ITEMS,
+  QUESTION_DUPLICATE_SIMILARITY,
+  QUESTION_TEMPLATE_LIMITS,
+  EXPRESSION_EQUIVALENCE,
+  RUBRIC_LIMITS,
+  WORKING_STEP_STATUSES,
+  WORKING_CHECK_MAX_STEPS,
+  MAP_POINT_TOLERANCE_KM,
+  DIAGRAM_HOTSPOT_SHAPES,
+  DIAGRAM_LIMITS,
+  QUESTION_REPORT_CATEGORIES,
+  QUESTION_REPORT_STATUSES,
+  QUESTION_REVIEW_ACTIONS,
+  REVISION_CONTENT_TYPES,
+  REVISION_ACTIONS,
   QUIZ_LEVELS,
   QUIZ_SESSION_STATUSES,
+  GRADING_STATUSES,
+  QUIZ_SESSION_GRACE_PERIOD,
+  QUIZ_SESSION_MODES,
+  MANUAL_GRADE_STATUSES,
+  MANUAL_GRADING_DUE_DAYS,
+  EXERCISE_ATTEMPT_STATUSES,
+  EXERCISE_ATTEMPT_GRACE_PERIOD,
+  EXERCISE_SUCCESS_PERCENTAGE,
+  PASSAGE_LANGUAGES,
+  OFFLINE_BUNDLE_VERSION,
+  OFFLINE_BUNDLE_VALIDITY_HOURS,
+  OFFLINE_CLOCK_SKEW,
+  OFFLINE_ANSWER_REJECTIONS,
+  IRT_DIFFICULTY_PRIORS,
+  IRT_MIN_RESPONSES,
+  ITEM_ANALYSIS,
+  ITEM_ANALYSIS_FLAGS,
+  ADAPTIVE_SESSION_DEFAULTS,
+  ADAPTIVE_STOP_REASONS,
+  INTEGRITY_EVENT_TYPES,
+  INTEGRITY_FLAG_TYPES,
+  INTEGRITY_REVIEW_STATUSES,
+  INTEGRITY_PENALTIES,
+  INTEGRITY_MAX_EVENT_PENALTY,
+  INTEGRITY_MAX_EVENTS,
+  INTEGRITY_REVIEW_THRESHOLD,
+  INTEGRITY_FAST_ANSWER,
+  INTEGRITY_SIMILARITY,
   GAMIFIED_REWARD_TYPES,
   PERFORMANCE_TRENDS,
   MISSION_TYPES,
@@ -516,6 +842,7 @@ module.exports = {
   HINT_TYPES,
   QUIZ_RESULT_STATUSES,
   FEEDBACK_RATING_RANGE,
+  QUIZ_RESULT_FEEDBACK,
   ADAPTIVE_LEARNING_LEVELS,
   ADJUSTMENT_METRICS,
   ADJUSTMENT_ACTIONS,
@@ -168,22 +168,20 @@ const completeChallenge = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, challenge, "Challenge completed successfully"));
 });
 
-// Submit challenge result
-const submitChallengeResult = asyncHandler(async (req, res) => {
+// Get challenge questions for a participant
+const getChallengeQuestions = asyncHandler(async (req, res) => {
   const { challengeId } = req.params;
   const userId = req.user._id;
-  const resultData = req.body;
 
-  const result = await challengeService.submitChallengeResult(
+  const questions = await challengeService.getChallengeQuestions(
     challengeId,
-    userId,
-    resultData
+    userId
   );
 
   res
     .status(200)
     .json(
-      new ApiResponse(200, result, "Challenge result submitted successfully")
+      new ApiResponse(200, questions, "Challenge questions retrieved successfully")
     );
 });
 
@@ -219,6 +217,6 @@ module.exports = {
   getChallengesBySubject,
   startChallenge,
   completeChallenge,
-  submitChallengeResult,
+  getChallengeQuestions,
   getChallengeLeaderboard,
 };
\ No newline at end of file
@@ -0,0 +1,58 @@
+const exerciseAttemptService = require("../../services/assessment/exercise/exercise.attempt.service");
+const { asyncHandler } = require("../../utils/asyncHandler");
+
+class ExerciseAttemptController {
+  // Start or resume an attempt at an exercise
+  startAttempt = asyncHandler(async (req, res) => {
+    const result = await exerciseAttemptService.startAttempt(
+      req.body.exerciseId,
+      req.user._id
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get the current user's attempts at an exercise
+  getMyAttempts = asyncHandler(async (req, res) => {
+    const result = await exerciseAttemptService.getMyAttempts(
+      req.query.exerciseId,
+      req.user._id
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get attempt by ID
+  getAttempt = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await exerciseAttemptService.getAttempt(id, req.user._id);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Save the answer to one item
+  answerItem = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { itemIndex, answer } = req.body;
+
+    const result = await exerciseAttemptService.answerItem(
+      id,
+      req.user._id,
+      itemIndex,
+      answer
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Submit an attempt for grading
+  submitAttempt = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await exerciseAttemptService.submitAttempt(
+      id,
+      req.user._id,
+      req.body.answers
+    );
+    res.status(result.statusCode).json(result);
+  });
+}
+
+module.exports = new ExerciseAttemptController();
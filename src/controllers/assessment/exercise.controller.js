@@ -5,12 +5,18 @@ const createLogger = require("../../services/logging.service");
 
 const logger = createLogger("ExerciseController");
 
+// Answers and template formulas are only sent to teachers and administrators
+const hidesSolution = (user) => !["teacher", "admin"].includes(user?.role);
+
 class ExerciseController {
   constructor() {
     // Bind all methods to this instance
     this.createExercise = this.createExercise.bind(this);
     this.getAllExercises = this.getAllExercises.bind(this);
     this.getExerciseById = this.getExerciseById.bind(this);
+    this.generateInstance = this.generateInstance.bind(this);
+    this.checkDissertation = this.checkDissertation.bind(this);
+    this.checkWorking = this.checkWorking.bind(this);
     this.updateExercise = this.updateExercise.bind(this);
     this.deleteExercise = this.deleteExercise.bind(this);
     this.getExercisesBySubject = this.getExercisesBySubject.bind(this);
@@ -38,8 +44,8 @@ class ExerciseController {
 
   // Create exercise
   async createExercise(req, res) {
-    logger.info(`Requête de création d'exercice reçue de l'utilisateur ${req.user.id}`);
-    const result = await exerciseService.createExercise(req.body, req.user.id);
+    logger.info(`Requête de création d'exercice reçue de l'utilisateur ${req.user._id}`);
+    const result = await exerciseService.createExercise(req.body, req.user._id);
     res.status(result.statusCode).json(result);
   }
 
@@ -63,6 +69,7 @@ class ExerciseController {
     };
 
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       sortBy: req.query.sortBy || "createdAt",
@@ -84,28 +91,60 @@ class ExerciseController {
       : ["subjectId", "topicId", "metadata.createdBy"];
     const result = await exerciseService.getExerciseById(
       req.params.id,
-      populate
+      populate,
+      { hideSolution: hidesSolution(req.user) }
+    );
+    res.status(result.statusCode).json(result);
+  }
+
+  // Get an instance of a parameterized exercise
+  async generateInstance(req, res) {
+    logger.info(`Requête d'instance d'exercice reçue pour l'ID: ${req.params.id}`);
+    const result = await exerciseService.generateInstance(
+      req.params.id,
+      req.query.seed
+    );
+    res.status(result.statusCode).json(result);
+  }
+
+  // Check the structure of a philosophy dissertation
+  async checkDissertation(req, res) {
+    logger.info(`Requête de vérification de dissertation reçue pour l'exercice: ${req.params.id}`);
+    const result = await exerciseService.checkDissertation(
+      req.params.id,
+      req.body.text
+    );
+    res.status(result.statusCode).json(result);
+  }
+
+  // Check a student's working on a math exercise
+  async checkWorking(req, res) {
+    logger.info(`Requête de vérification des étapes de calcul reçue pour l'exercice: ${req.params.id}`);
+    const result = await exerciseService.checkWorking(
+      req.params.id,
+      req.body.steps,
+      req.body.seed
     );
     res.status(result.statusCode).json(result);
   }
 
   // Update exercise
   async updateExercise(req, res) {
-    logger.info(`Requête de mise à jour d'exercice reçue pour l'ID: ${req.params.id} de l'utilisateur ${req.user.id}`);
+    logger.info(`Requête de mise à jour d'exercice reçue pour l'ID: ${req.params.id} de l'utilisateur ${req.user._id}`);
     const result = await exerciseService.updateExercise(
       req.params.id,
       req.body,
-      req.user.id
+      req.user._id
     );
     res.status(result.statusCode).json(result);
   }
 
   // Delete exercise
   async deleteExercise(req, res) {
-    logger.info(`Requête de suppression d'exercice reçue pour l'ID: ${req.params.id} de l'utilisateur ${req.user.id}`);
+    logger.info(`Requête de suppression d'exercice reçue pour l'ID: ${req.params.id} de l'utilisateur ${req.user._id}`);
     const result = await exerciseService.deleteExercise(
       req.params.id,
-      req.user.id
+      req.user._id
     );
     res.status(result.statusCode).json(result);
   }
@@ -114,6 +153,7 @@ class ExerciseController {
   async getExercisesBySubject(req, res) {
     logger.info(`Requête de récupération d'exercices par matière reçue pour l'ID: ${req.params.subjectId}`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       sortBy: req.query.sortBy || "createdAt",
@@ -134,6 +174,7 @@ class ExerciseController {
   async getExercisesByTopic(req, res) {
     logger.info(`Requête de récupération d'exercices par sujet reçue pour l'ID: ${req.params.topicId}`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       sortBy: req.query.sortBy || "createdAt",
@@ -154,6 +195,7 @@ class ExerciseController {
   async getExercisesByDifficulty(req, res) {
     logger.info(`Requête de récupération d'exercices par difficulté reçue: ${req.params.difficulty}`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       sortBy: req.query.sortBy || "createdAt",
@@ -172,17 +214,17 @@ class ExerciseController {
 
   // Add feedback
   async addFeedback(req, res) {
-    logger.info(`Requête d'ajout de commentaire reçue pour l'exercice ${req.params.id} de l'utilisateur ${req.user.id}`);
+    logger.info(`Requête d'ajout de commentaire reçue pour l'exercice ${req.params.id} de l'utilisateur ${req.user._id}`);
     const { rating, comments } = req.body;
 
     if (!rating || rating < 0 || rating > 5) {
-      logger.warn(`Note invalide: ${rating} de l'utilisateur ${req.user.id}`);
+      logger.warn(`Note invalide: ${rating} de l'utilisateur ${req.user._id}`);
       throw new ApiError(400, "La note doit être comprise entre 0 et 5");
     }
 
     const result = await exerciseService.addFeedback(
       req.params.id,
-      req.user.id,
+      req.user._id,
       rating,
       comments
     );
@@ -216,8 +258,9 @@ class ExerciseController {
 
   // Get recommended exercises
   async getRecommendedExercises(req, res) {
-    logger.info(`Requête de récupération d'exercices recommandés reçue pour l'utilisateur ${req.user.id}`);
+    logger.info(`Requête de récupération d'exercices recommandés reçue pour l'utilisateur ${req.user._id}`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       limit: Number.parseInt(req.query.limit) || 10,
       difficulty: req.query.difficulty,
       subjectId: req.query.subjectId,
@@ -225,7 +268,7 @@ class ExerciseController {
     };
 
     const result = await exerciseService.getRecommendedExercises(
-      req.user.id,
+      req.user._id,
       options
     );
     res.status(result.statusCode).json(result);
@@ -233,9 +276,9 @@ class ExerciseController {
 
   // Bulk create exercises
   async bulkCreateExercises(req, res) {
-    logger.info(`Requête de création en masse d'exercices reçue de l'utilisateur ${req.user.id}`);
+    logger.info(`Requête de création en masse d'exercices reçue de l'utilisateur ${req.user._id}`);
     if (!Array.isArray(req.body) || req.body.length === 0) {
-      logger.warn(`Corps de requête invalide pour la création en masse de l'utilisateur ${req.user.id}`);
+      logger.warn(`Corps de requête invalide pour la création en masse de l'utilisateur ${req.user._id}`);
       throw new ApiError(
         400,
         "Le corps de la requête doit être un tableau non vide d'exercices"
@@ -244,47 +287,47 @@ class ExerciseController {
 
     const result = await exerciseService.bulkCreateExercises(
       req.body,
-      req.user.id
+      req.user._id
     );
     res.status(result.statusCode).json(result);
   }
 
   // Bulk update exercises
   async bulkUpdateExercises(req, res) {
-    logger.info(`Requête de mise à jour en masse d'exercices reçue de l'utilisateur ${req.user.id}`);
+    logger.info(`Requête de mise à jour en masse d'exercices reçue de l'utilisateur ${req.user._id}`);
     const { exerciseIds, updateData } = req.body;
 
     if (!Array.isArray(exerciseIds) || exerciseIds.length === 0) {
-      logger.warn(`Tableau d'IDs d'exercices invalide dans la requête de mise à jour en masse de l'utilisateur ${req.user.id}`);
+      logger.warn(`Tableau d'IDs d'exercices invalide dans la requête de mise à jour en masse de l'utilisateur ${req.user._id}`);
       throw new ApiError(400, "exerciseIds doit être un tableau non vide");
     }
 
     if (!updateData || typeof updateData !== "object") {
-      logger.warn(`Données de mise à jour invalides dans la requête de mise à jour en masse de l'utilisateur ${req.user.id}`);
+      logger.warn(`Données de mise à jour invalides dans la requête de mise à jour en masse de l'utilisateur ${req.user._id}`);
       throw new ApiError(400, "updateData est requis et doit être un objet");
     }
 
     const result = await exerciseService.bulkUpdateExercises(
       exerciseIds,
       updateData,
-      req.user.id
+      req.user._id
     );
     res.status(result.statusCode).json(result);
   }
 
   // Bulk delete exercises
   async bulkDeleteExercises(req, res) {
-    logger.info(`Requête de suppression en masse d'exercices reçue de l'utilisateur ${req.user.id}`);
+    logger.info(`Requête de suppression en masse d'exercices reçue de l'utilisateur ${req.user._id}`);
     const { exerciseIds } = req.body;
 
     if (!Array.isArray(exerciseIds) || exerciseIds.length === 0) {
-      logger.warn(`Tableau d'IDs d'exercices invalide dans la requête de suppression en masse de l'utilisateur ${req.user.id}`);
+      logger.warn(`Tableau d'IDs d'exercices invalide dans la requête de suppression en masse de l'utilisateur ${req.user._id}`);
       throw new ApiError(400, "exerciseIds doit être un tableau non vide");
     }
 
     const result = await exerciseService.bulkDeleteExercises(
       exerciseIds,
-      req.user.id
+      req.user._id
     );
     res.status(result.statusCode).json(result);
   }
@@ -308,6 +351,7 @@ class ExerciseController {
     };
 
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       sortBy: req.query.sortBy || "relevance",
@@ -347,6 +391,7 @@ class ExerciseController {
   async getMathExercises(req, res) {
     logger.info(`Requête de récupération d'exercices de mathématiques reçue`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       populate: ["subjectId", "topicId"],
@@ -359,6 +404,7 @@ class ExerciseController {
   async getPhysicsExercises(req, res) {
     logger.info(`Requête de récupération d'exercices de physique reçue`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       populate: ["subjectId", "topicId"],
@@ -371,6 +417,7 @@ class ExerciseController {
   async getChemistryExercises(req, res) {
     logger.info(`Requête de récupération d'exercices de chimie reçue`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       populate: ["subjectId", "topicId"],
@@ -383,6 +430,7 @@ class ExerciseController {
   async getBiologyExercises(req, res) {
     logger.info(`Requête de récupération d'exercices de biologie reçue`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       populate: ["subjectId", "topicId"],
@@ -395,6 +443,7 @@ class ExerciseController {
   async getFrenchExercises(req, res) {
     logger.info(`Requête de récupération d'exercices de français reçue`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       populate: ["subjectId", "topicId"],
@@ -407,6 +456,7 @@ class ExerciseController {
   async getPhilosophyExercises(req, res) {
     logger.info(`Requête de récupération d'exercices de philosophie reçue`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       populate: ["subjectId", "topicId"],
@@ -419,6 +469,7 @@ class ExerciseController {
   async getEnglishExercises(req, res) {
     logger.info(`Requête de récupération d'exercices d'anglais reçue`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       populate: ["subjectId", "topicId"],
@@ -431,6 +482,7 @@ class ExerciseController {
   async getHistoryExercises(req, res) {
     logger.info(`Requête de récupération d'exercices d'histoire reçue`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       populate: ["subjectId", "topicId"],
@@ -443,6 +495,7 @@ class ExerciseController {
   async getGeographyExercises(req, res) {
     logger.info(`Requête de récupération d'exercices de géographie reçue`);
     const options = {
+      hideSolution: hidesSolution(req.user),
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
       populate: ["subjectId", "topicId"],
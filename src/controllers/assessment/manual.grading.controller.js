@@ -0,0 +1,41 @@
+const manualGradingService = require("../../services/assessment/manualGrading/manual.grading.service");
+const { asyncHandler } = require("../../utils/asyncHandler");
+
+class ManualGradingController {
+  // Get the grading queue
+  getGradingQueue = asyncHandler(async (req, res) => {
+    const options = {
+      page: Number.parseInt(req.query.page) || 1,
+      limit: Number.parseInt(req.query.limit) || 20,
+      status: req.query.status,
+      subjectId: req.query.subjectId,
+      topicId: req.query.topicId,
+      quizId: req.query.quizId,
+      exerciseId: req.query.exerciseId,
+      studyGroupId: req.query.studyGroupId,
+      dueBefore: req.query.dueBefore,
+      dueAfter: req.query.dueAfter,
+    };
+
+    const result = await manualGradingService.getGradingQueue(options);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get a queued answer
+  getGradeById = asyncHandler(async (req, res) => {
+    const result = await manualGradingService.getGradeById(req.params.id);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Score a queued answer
+  gradeAnswer = asyncHandler(async (req, res) => {
+    const result = await manualGradingService.gradeAnswer(
+      req.params.id,
+      req.user._id,
+      req.body
+    );
+    res.status(result.statusCode).json(result);
+  });
+}
+
+module.exports = new ManualGradingController();
@@ -0,0 +1,65 @@
+const mockExamService = require("../../services/assessment/mockExam/mock.exam.service");
+const { asyncHandler } = require("../../utils/asyncHandler");
+
+class MockExamController {
+  // Create mock exam
+  createMockExam = asyncHandler(async (req, res) => {
+    const { examId, series } = req.body;
+
+    const result = await mockExamService.createMockExam(req.user._id, {
+      examId,
+      series,
+    });
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get the user's mock exams
+  getMockExams = asyncHandler(async (req, res) => {
+    const options = {
+      page: Number.parseInt(req.query.page) || 1,
+      limit: Number.parseInt(req.query.limit) || 10,
+      status: req.query.status,
+    };
+
+    const result = await mockExamService.getMockExams(req.user._id, options);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get mock exam by ID
+  getMockExamById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await mockExamService.getMockExamById(id, req.user._id);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Start a paper of the mock exam
+  startPaper = asyncHandler(async (req, res) => {
+    const { id, paperId } = req.params;
+    const deviceInfo = {
+      platform: req.headers["x-platform"] || req.body.platform,
+      browser: req.headers["user-agent"],
+      userAgent: req.headers["user-agent"],
+      screenResolution: req.body.screenResolution,
+      isOnline: req.body.isOnline !== false,
+    };
+
+    const result = await mockExamService.startPaper(
+      id,
+      paperId,
+      req.user._id,
+      deviceInfo
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Abandon mock exam
+  abandonMockExam = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await mockExamService.abandonMockExam(id, req.user._id);
+    res.status(result.statusCode).json(result);
+  });
+}
+
+module.exports = new MockExamController();
@@ -0,0 +1,57 @@
+const passageService = require("../../services/assessment/passage/passage.service");
+const { asyncHandler } = require("../../utils/asyncHandler");
+
+class PassageController {
+  // Create passage
+  createPassage = asyncHandler(async (req, res) => {
+    const passageData = {
+      ...req.body,
+      creatorId: req.user._id,
+    };
+
+    const result = await passageService.createPassage(passageData);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get passages
+  getPassages = asyncHandler(async (req, res) => {
+    const options = {
+      page: Number.parseInt(req.query.page) || 1,
+      limit: Number.parseInt(req.query.limit) || 10,
+      subjectId: req.query.subjectId,
+      topicId: req.query.topicId,
+      sourceType: req.query.sourceType,
+      language: req.query.language,
+      search: req.query.search,
+    };
+
+    const result = await passageService.getPassages(options);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get passage by ID
+  getPassageById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await passageService.getPassageById(id);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Update passage
+  updatePassage = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await passageService.updatePassage(id, req.body);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Delete passage
+  deletePassage = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await passageService.deletePassage(id);
+    res.status(result.statusCode).json(result);
+  });
+}
+
+module.exports = new PassageController();
@@ -0,0 +1,91 @@
+const pastPaperService = require("../../services/assessment/pastPaper/past.paper.service");
+const { asyncHandler } = require("../../utils/asyncHandler");
+
+class PastPaperController {
+  // Create past paper
+  createPastPaper = asyncHandler(async (req, res) => {
+    const pastPaperData = {
+      ...req.body,
+      createdBy: req.user._id,
+    };
+
+    const result = await pastPaperService.createPastPaper(pastPaperData);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Browse past papers
+  getPastPapers = asyncHandler(async (req, res) => {
+    const options = {
+      page: Number.parseInt(req.query.page) || 1,
+      limit: Number.parseInt(req.query.limit) || 10,
+      examId: req.query.examId,
+      subjectId: req.query.subjectId,
+      series: req.query.series,
+      session: req.query.session,
+      year: req.query.year,
+      yearFrom: req.query.yearFrom,
+      yearTo: req.query.yearTo,
+      hasSolutions:
+        req.query.hasSolutions === undefined
+          ? undefined
+          : req.query.hasSolutions === "true",
+      search: req.query.search,
+    };
+
+    const result = await pastPaperService.getPastPapers(options);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get the past paper archive of an exam
+  getArchive = asyncHandler(async (req, res) => {
+    const { examId } = req.params;
+
+    const result = await pastPaperService.getArchive(examId);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get past paper by ID
+  getPastPaperById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await pastPaperService.getPastPaperById(id);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Update past paper
+  updatePastPaper = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await pastPaperService.updatePastPaper(id, req.body);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Delete past paper
+  deletePastPaper = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await pastPaperService.deletePastPaper(id);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Sit past paper as a timed session
+  sitPastPaper = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const deviceInfo = {
+      platform: req.headers["x-platform"] || req.body.platform,
+      browser: req.headers["user-agent"],
+      userAgent: req.headers["user-agent"],
+      screenResolution: req.body.screenResolution,
+      isOnline: req.body.isOnline !== false,
+    };
+
+    const result = await pastPaperService.sitPastPaper(
+      id,
+      req.user._id,
+      deviceInfo
+    );
+    res.status(result.statusCode).json(result);
+  });
+}
+
+module.exports = new PastPaperController();
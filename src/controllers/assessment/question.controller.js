@@ -1,5 +1,9 @@
 const { StatusCodes } = require("http-status-codes");
 const questionService = require("../../services/assessment/question/question.service");
+const questionBulkService = require("../../services/assessment/question/bulk.service");
+const questionDuplicateService = require("../../services/assessment/question/duplicate.service");
+const questionReviewService = require("../../services/assessment/question/review.service");
+const itemAnalysisService = require("../../services/assessment/itemAnalysis/item.analysis.service");
 const createLogger = require("../../services/logging.service");
 
 const logger = createLogger("QuestionController");
@@ -7,9 +11,14 @@ const logger = createLogger("QuestionController");
 const createQuestion = async (req, res) => {
   try {
     const question = await questionService.createQuestion(req.body);
+    // Duplicates do not block authoring, the author is only warned
+    const duplicates = await questionDuplicateService.findDuplicates(question, {
+      excludeIds: [question._id],
+    });
     res.status(StatusCodes.CREATED).json({
       message: "Question créée avec succès",
       data: question,
+      ...(duplicates.length > 0 ? { warnings: { duplicates } } : {}),
     });
   } catch (error) {
     logger.error("Error creating question:", error);
@@ -48,7 +57,8 @@ const updateQuestion = async (req, res) => {
   try {
     const question = await questionService.updateQuestion(
       req.params.id,
-      req.body
+      req.body,
+      req.user._id
     );
     res.status(StatusCodes.OK).json({
       message: "Question mise à jour avec succès",
@@ -89,6 +99,279 @@ const verifyQuestion = async (req, res) => {
   }
 };
 
+const previewTemplate = async (req, res) => {
+  try {
+    const preview = await questionService.previewTemplate(
+      req.params.id,
+      req.query.seed
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Aperçu du modèle de question généré avec succès",
+      data: preview,
+    });
+  } catch (error) {
+    logger.error("Error previewing question template:", error);
+    throw error;
+  }
+};
+
+const validateDiagram = async (req, res) => {
+  try {
+    const report = questionService.validateDiagram(req.body);
+    res.status(StatusCodes.OK).json({
+      message: report.valid
+        ? "Les zones du schéma sont valides"
+        : "Les zones du schéma contiennent des erreurs",
+      data: report,
+    });
+  } catch (error) {
+    logger.error("Error validating diagram hotspots:", error);
+    throw error;
+  }
+};
+
+const importQuestions = async (req, res) => {
+  try {
+    const report = await questionBulkService.importQuestions(
+      req.body,
+      req.user._id
+    );
+    res.status(report.dryRun ? StatusCodes.OK : StatusCodes.CREATED).json({
+      message: report.dryRun
+        ? "Analyse de l'import terminée"
+        : "Import des questions terminé",
+      data: report,
+    });
+  } catch (error) {
+    logger.error("Error importing questions:", error);
+    throw error;
+  }
+};
+
+const exportQuestions = async (req, res) => {
+  try {
+    const file = await questionBulkService.exportQuestions(req.query);
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${file.filename}"`
+    );
+    res.setHeader("X-Exported-Count", file.exported);
+    res.setHeader("X-Skipped-Count", file.skipped.length);
+    // BOM so that spreadsheet software opens accented text as UTF-8
+    res
+      .status(StatusCodes.OK)
+      .send(file.format === "csv" ? `\uFEFF${file.content}` : file.content);
+  } catch (error) {
+    logger.error("Error exporting questions:", error);
+    throw error;
+  }
+};
+
+const checkDuplicates = async (req, res) => {
+  try {
+    const { excludeId, ...data } = req.body;
+    const duplicates = await questionDuplicateService.findDuplicates(data, {
+      excludeIds: excludeId ? [excludeId] : [],
+    });
+    res.status(StatusCodes.OK).json({
+      message: duplicates.length
+        ? "Des questions similaires existent déjà"
+        : "Aucune question similaire trouvée",
+      data: duplicates,
+    });
+  } catch (error) {
+    logger.error("Error checking duplicate questions:", error);
+    throw error;
+  }
+};
+
+const getDuplicateClusters = async (req, res) => {
+  try {
+    const result = await questionDuplicateService.getDuplicateClusters(
+      req.query
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Doublons de questions récupérés avec succès",
+      data: result.clusters,
+      truncatedGroups: result.truncatedGroups,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error("Error retrieving duplicate clusters:", error);
+    throw error;
+  }
+};
+
+const mergeDuplicates = async (req, res) => {
+  try {
+    const result = await questionDuplicateService.mergeDuplicates(
+      req.body.keepId,
+      req.body.duplicateIds
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Questions fusionnées avec succès",
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Error merging duplicate questions:", error);
+    throw error;
+  }
+};
+
+const getQuestionItemAnalysis = async (req, res) => {
+  try {
+    const result = await itemAnalysisService.getQuestionItemAnalysis(
+      req.params.id
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Analyse d'item récupérée avec succès",
+      data: result.data,
+    });
+  } catch (error) {
+    logger.error("Error retrieving question item analysis:", error);
+    throw error;
+  }
+};
+
+const submitForReview = async (req, res) => {
+  try {
+    const question = await questionReviewService.submitForReview(
+      req.params.id,
+      req.user,
+      req.body
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Question soumise pour relecture",
+      data: question,
+    });
+  } catch (error) {
+    logger.error("Error submitting question for review:", error);
+    throw error;
+  }
+};
+
+const assignReviewer = async (req, res) => {
+  try {
+    const question = await questionReviewService.assignReviewer(
+      req.params.id,
+      req.body.reviewerId,
+      req.user
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Relecteur assigné avec succès",
+      data: question,
+    });
+  } catch (error) {
+    logger.error("Error assigning question reviewer:", error);
+    throw error;
+  }
+};
+
+const approveQuestion = async (req, res) => {
+  try {
+    const question = await questionReviewService.approveQuestion(
+      req.params.id,
+      req.user,
+      req.body
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Question approuvée avec succès",
+      data: question,
+    });
+  } catch (error) {
+    logger.error("Error approving question:", error);
+    throw error;
+  }
+};
+
+const rejectQuestion = async (req, res) => {
+  try {
+    const question = await questionReviewService.rejectQuestion(
+      req.params.id,
+      req.user,
+      req.body
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Question rejetée",
+      data: question,
+    });
+  } catch (error) {
+    logger.error("Error rejecting question:", error);
+    throw error;
+  }
+};
+
+const requestChanges = async (req, res) => {
+  try {
+    const question = await questionReviewService.requestChanges(
+      req.params.id,
+      req.user,
+      req.body
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Modifications demandées à l'auteur",
+      data: question,
+    });
+  } catch (error) {
+    logger.error("Error requesting question changes:", error);
+    throw error;
+  }
+};
+
+const archiveQuestion = async (req, res) => {
+  try {
+    const question = await questionReviewService.setArchived(
+      req.params.id,
+      req.user,
+      true,
+      req.body
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Question archivée avec succès",
+      data: question,
+    });
+  } catch (error) {
+    logger.error("Error archiving question:", error);
+    throw error;
+  }
+};
+
+const restoreQuestion = async (req, res) => {
+  try {
+    const question = await questionReviewService.setArchived(
+      req.params.id,
+      req.user,
+      false,
+      req.body
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Question restaurée en brouillon",
+      data: question,
+    });
+  } catch (error) {
+    logger.error("Error restoring question:", error);
+    throw error;
+  }
+};
+
+const getReviewQueue = async (req, res) => {
+  try {
+    const result = await questionReviewService.getReviewQueue(
+      req.user,
+      req.query
+    );
+    res.status(StatusCodes.OK).json({
+      message: "Questions à relire récupérées avec succès",
+      data: result.questions,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error("Error retrieving review queue:", error);
+    throw error;
+  }
+};
+
 module.exports = {
   createQuestion,
   getQuestionById,
@@ -96,4 +379,20 @@ module.exports = {
   updateQuestion,
   deleteQuestion,
   verifyQuestion,
+  previewTemplate,
+  validateDiagram,
+  importQuestions,
+  exportQuestions,
+  checkDuplicates,
+  getDuplicateClusters,
+  mergeDuplicates,
+  getQuestionItemAnalysis,
+  submitForReview,
+  assignReviewer,
+  approveQuestion,
+  rejectQuestion,
+  requestChanges,
+  archiveQuestion,
+  restoreQuestion,
+  getReviewQueue,
 };
\ No newline at end of file
@@ -0,0 +1,57 @@
+const questionReportService = require("../../services/assessment/questionReport/question.report.service");
+const { asyncHandler } = require("../../utils/asyncHandler");
+
+class QuestionReportController {
+  // Report a problem on a question
+  reportProblem = asyncHandler(async (req, res) => {
+    const result = await questionReportService.reportProblem(
+      req.params.id,
+      req.user._id,
+      req.body
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get the report triage queue
+  getReportQueue = asyncHandler(async (req, res) => {
+    const options = {
+      page: Number.parseInt(req.query.page) || 1,
+      limit: Number.parseInt(req.query.limit) || 20,
+      status: req.query.status,
+      category: req.query.category,
+      subjectId: req.query.subjectId,
+      topicId: req.query.topicId,
+    };
+
+    const result = await questionReportService.getReportQueue(options);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get a group of reports
+  getReportById = asyncHandler(async (req, res) => {
+    const result = await questionReportService.getReportById(req.params.id);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Accept reports and correct the question
+  acceptReport = asyncHandler(async (req, res) => {
+    const result = await questionReportService.acceptReport(
+      req.params.id,
+      req.user._id,
+      req.body
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Reject reports
+  rejectReport = asyncHandler(async (req, res) => {
+    const result = await questionReportService.rejectReport(
+      req.params.id,
+      req.user._id,
+      req.body
+    );
+    res.status(result.statusCode).json(result);
+  });
+}
+
+module.exports = new QuestionReportController();
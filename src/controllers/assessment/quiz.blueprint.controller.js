@@ -0,0 +1,82 @@
+const quizBlueprintService = require("../../services/assessment/quizBlueprint/quiz.blueprint.service");
+const { asyncHandler } = require("../../utils/asyncHandler");
+
+class QuizBlueprintController {
+  // Create blueprint
+  createBlueprint = asyncHandler(async (req, res) => {
+    const blueprintData = {
+      ...req.body,
+      createdBy: req.user._id,
+    };
+
+    const result = await quizBlueprintService.createBlueprint(blueprintData);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get blueprints
+  getBlueprints = asyncHandler(async (req, res) => {
+    const options = {
+      page: Number.parseInt(req.query.page) || 1,
+      limit: Number.parseInt(req.query.limit) || 10,
+      subjectId: req.query.subjectId,
+      level: req.query.level,
+      createdBy: req.query.createdBy,
+    };
+
+    const result = await quizBlueprintService.getBlueprints(options);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get blueprint by ID
+  getBlueprintById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await quizBlueprintService.getBlueprintById(id);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Update blueprint
+  updateBlueprint = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await quizBlueprintService.updateBlueprint(
+      id,
+      req.body,
+      req.user
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Delete blueprint
+  deleteBlueprint = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await quizBlueprintService.deleteBlueprint(id, req.user);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Generate a quiz from a blueprint, optionally as a student's variant
+  generateQuiz = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { studentId, title } = req.body;
+
+    const result = await quizBlueprintService.generateQuiz(id, req.user, {
+      studentId,
+      title,
+    });
+    res.status(result.statusCode).json(result);
+  });
+
+  // Generate a personal practice variant for the current student
+  generateMyVariant = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await quizBlueprintService.generateQuiz(id, req.user, {
+      studentId: req.user._id,
+      title: req.body.title,
+    });
+    res.status(result.statusCode).json(result);
+  });
+}
+
+module.exports = new QuizBlueprintController();
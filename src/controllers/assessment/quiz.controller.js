@@ -1,4 +1,5 @@
 const quizService = require("../../services/assessment/quiz/quiz.service");
+const itemAnalysisService = require("../../services/assessment/itemAnalysis/item.analysis.service");
 const { asyncHandler } = require("../../utils/asyncHandler");
 const { ApiError } = require("../../utils/ApiError");
 
@@ -125,6 +126,23 @@ class QuizController {
     res.status(result.statusCode).json(result);
   });
 
+  // Get item analysis (p-value, discrimination, distractors) per question
+  getQuizItemAnalysis = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    // Check if user owns the quiz or is admin
+    const quiz = await quizService.getQuizById(id);
+    if (
+      quiz.data.createdBy._id.toString() !== req.user._id &&
+      req.user.role !== "admin"
+    ) {
+      throw new ApiError(403, "Not authorized to view quiz item analysis");
+    }
+
+    const result = await itemAnalysisService.getQuizItemAnalysis(id);
+    res.status(result.statusCode).json(result);
+  });
+
   // Update quiz analytics
   updateQuizAnalytics = asyncHandler(async (req, res) => {
     const { id } = req.params;
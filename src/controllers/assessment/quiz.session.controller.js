@@ -1,4 +1,7 @@
 const quizSessionService = require("../../services/assessment/quizSession/quiz.session.service");
+const irtService = require("../../services/assessment/irt/irt.service");
+const offlineBundleService = require("../../services/assessment/quizSession/offline.bundle.service");
+const integrityService = require("../../services/assessment/integrity/integrity.service");
 const { asyncHandler } = require("../../utils/asyncHandler");
 const { ApiError } = require("../../utils/ApiError");
 
@@ -6,7 +9,7 @@ class QuizSessionController {
   // Create new quiz session
   createSession = asyncHandler(async (req, res) => {
     const { quizId } = req.body;
-    const userId = req.user.id;
+    const userId = req.user._id;
     const deviceInfo = {
       platform: req.headers["x-platform"] || req.body.platform,
       browser: req.headers["user-agent"],
@@ -23,10 +26,52 @@ class QuizSessionController {
     res.status(result.statusCode).json(result);
   });
 
+  // Create new adaptive quiz session
+  createAdaptiveSession = asyncHandler(async (req, res) => {
+    const { quizId, targetStandardError, minQuestions, maxQuestions } =
+      req.body;
+    const userId = req.user._id;
+    const deviceInfo = {
+      platform: req.headers["x-platform"] || req.body.platform,
+      browser: req.headers["user-agent"],
+      userAgent: req.headers["user-agent"],
+      screenResolution: req.body.screenResolution,
+      isOnline: req.body.isOnline !== false,
+    };
+
+    const result = await quizSessionService.createAdaptiveSession(
+      userId,
+      quizId,
+      { targetStandardError, minQuestions, maxQuestions },
+      deviceInfo
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Create a session for a challenge attempt
+  createChallengeSession = asyncHandler(async (req, res) => {
+    const { challengeId } = req.body;
+    const userId = req.user._id;
+    const deviceInfo = {
+      platform: req.headers["x-platform"] || req.body.platform,
+      browser: req.headers["user-agent"],
+      userAgent: req.headers["user-agent"],
+      screenResolution: req.body.screenResolution,
+      isOnline: req.body.isOnline !== false,
+    };
+
+    const result = await quizSessionService.createChallengeSession(
+      userId,
+      challengeId,
+      deviceInfo
+    );
+    res.status(result.statusCode).json(result);
+  });
+
   // Start quiz session
   startSession = asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
-    const userId = req.user.id;
+    const userId = req.user._id;
 
     const result = await quizSessionService.startSession(sessionId, userId);
     res.status(result.statusCode).json(result);
@@ -35,7 +80,7 @@ class QuizSessionController {
   // Get session details
   getSession = asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
-    const userId = req.user.id;
+    const userId = req.user._id;
 
     const result = await quizSessionService.getSession(sessionId, userId);
     res.status(result.statusCode).json(result);
@@ -45,7 +90,7 @@ class QuizSessionController {
   submitAnswer = asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
     const { questionId, selectedAnswer } = req.body;
-    const userId = req.user.id;
+    const userId = req.user._id;
 
     if (!questionId || selectedAnswer === undefined) {
       throw new ApiError(400, "Question ID and selected answer are required");
@@ -63,7 +108,7 @@ class QuizSessionController {
   // Toggle question flag
   toggleQuestionFlag = asyncHandler(async (req, res) => {
     const { sessionId, questionId } = req.params;
-    const userId = req.user.id;
+    const userId = req.user._id;
 
     const result = await quizSessionService.toggleQuestionFlag(
       sessionId,
@@ -76,7 +121,7 @@ class QuizSessionController {
   // Skip question
   skipQuestion = asyncHandler(async (req, res) => {
     const { sessionId, questionId } = req.params;
-    const userId = req.user.id;
+    const userId = req.user._id;
 
     const result = await quizSessionService.skipQuestion(
       sessionId,
@@ -90,7 +135,7 @@ class QuizSessionController {
   navigateToQuestion = asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
     const { questionIndex } = req.body;
-    const userId = req.user.id;
+    const userId = req.user._id;
 
     if (questionIndex === undefined || questionIndex < 0) {
       throw new ApiError(400, "Valid question index is required");
@@ -107,7 +152,7 @@ class QuizSessionController {
   // Pause session
   pauseSession = asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
-    const userId = req.user.id;
+    const userId = req.user._id;
 
     const result = await quizSessionService.pauseSession(sessionId, userId);
     res.status(result.statusCode).json(result);
@@ -116,7 +161,7 @@ class QuizSessionController {
   // Resume session
   resumeSession = asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
-    const userId = req.user.id;
+    const userId = req.user._id;
 
     const result = await quizSessionService.resumeSession(sessionId, userId);
     res.status(result.statusCode).json(result);
@@ -125,7 +170,7 @@ class QuizSessionController {
   // Complete session
   completeSession = asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
-    const userId = req.user.id;
+    const userId = req.user._id;
 
     const result = await quizSessionService.completeSession(sessionId, userId);
     res.status(result.statusCode).json(result);
@@ -133,7 +178,7 @@ class QuizSessionController {
 
   // Get user's active sessions
   getUserActiveSessions = asyncHandler(async (req, res) => {
-    const userId = req.user.id;
+    const userId = req.user._id;
 
     const result = await quizSessionService.getUserActiveSessions(userId);
     res.status(result.statusCode).json(result);
@@ -141,7 +186,7 @@ class QuizSessionController {
 
   // Get session history
   getUserSessionHistory = asyncHandler(async (req, res) => {
-    const userId = req.user.id;
+    const userId = req.user._id;
     const options = {
       page: Number.parseInt(req.query.page) || 1,
       limit: Number.parseInt(req.query.limit) || 10,
@@ -159,7 +204,7 @@ class QuizSessionController {
   // Sync session data
   syncSession = asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
-    const userId = req.user.id;
+    const userId = req.user._id;
     const syncData = req.body;
 
     const result = await quizSessionService.syncSession(
@@ -170,6 +215,68 @@ class QuizSessionController {
     res.status(result.statusCode).json(result);
   });
 
+  // Export a signed quiz bundle for an offline attempt
+  createOfflineBundle = asyncHandler(async (req, res) => {
+    const { quizId } = req.body;
+    const userId = req.user._id;
+
+    const result = await offlineBundleService.createBundle(userId, quizId);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Upload the answers recorded during an offline attempt
+  uploadOfflineAnswers = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    const result = await offlineBundleService.uploadAnswers(userId, req.body);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Record client integrity events (focus loss, copy/paste, ...)
+  recordIntegrityEvents = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const userId = req.user._id;
+
+    const result = await integrityService.recordEvents(
+      sessionId,
+      userId,
+      req.body.events
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Admin: Get the integrity review queue
+  getIntegrityReviewQueue = asyncHandler(async (req, res) => {
+    if (req.user.role !== "admin") {
+      throw new ApiError(403, "Only administrators can review session integrity");
+    }
+
+    const options = {
+      page: Number.parseInt(req.query.page) || 1,
+      limit: Number.parseInt(req.query.limit) || 20,
+      status: req.query.status,
+      challengeId: req.query.challengeId,
+    };
+
+    const result = await integrityService.getReviewQueue(options);
+    res.status(result.statusCode).json(result);
+  });
+
+  // Admin: Clear or confirm a flagged session
+  reviewSessionIntegrity = asyncHandler(async (req, res) => {
+    if (req.user.role !== "admin") {
+      throw new ApiError(403, "Only administrators can review session integrity");
+    }
+
+    const { sessionId } = req.params;
+    const result = await integrityService.reviewSession(
+      sessionId,
+      req.user._id,
+      req.body
+    );
+    res.status(result.statusCode).json(result);
+  });
+
   // Admin: Cleanup expired sessions
   cleanupExpiredSessions = asyncHandler(async (req, res) => {
     // Only admin can perform cleanup
@@ -184,6 +291,16 @@ class QuizSessionController {
     res.status(result.statusCode).json(result);
   });
 
+  // Admin: Calibrate question IRT parameters from session answers
+  calibrateItems = asyncHandler(async (req, res) => {
+    if (req.user.role !== "admin") {
+      throw new ApiError(403, "Only administrators can run item calibration");
+    }
+
+    const result = await irtService.calibrateItems(req.body);
+    res.status(result.statusCode).json(result);
+  });
+
   // Admin: Delete old sessions
   deleteOldSessions = asyncHandler(async (req, res) => {
     // Only admin can perform cleanup
@@ -0,0 +1,74 @@
+const contentRevisionService = require("../../services/learning/revision/content.revision.service");
+const { asyncHandler } = require("../../utils/asyncHandler");
+const { ApiError } = require("../../utils/ApiError");
+const createLogger = require("../../services/logging.service");
+
+const logger = createLogger("ContentRevisionController");
+
+class ContentRevisionController {
+  // Get revision history of a content
+  getRevisions = asyncHandler(async (req, res) => {
+    const { contentType, contentId } = req.params;
+    const options = {
+      page: Number.parseInt(req.query.page) || 1,
+      limit: Number.parseInt(req.query.limit) || 20,
+    };
+
+    const result = await contentRevisionService.getRevisions(
+      contentType,
+      contentId,
+      options
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Get one revision of a content
+  getRevision = asyncHandler(async (req, res) => {
+    const { contentType, contentId, version } = req.params;
+
+    const result = await contentRevisionService.getRevision(
+      contentType,
+      contentId,
+      Number(version)
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Compare two revisions of a content
+  diffRevisions = asyncHandler(async (req, res) => {
+    const { contentType, contentId } = req.params;
+
+    const result = await contentRevisionService.diffRevisions(
+      contentType,
+      contentId,
+      Number(req.query.from),
+      Number(req.query.to)
+    );
+    res.status(result.statusCode).json(result);
+  });
+
+  // Roll a content back to one of its revisions; only its author or an admin
+  rollback = asyncHandler(async (req, res) => {
+    const { contentType, contentId, version } = req.params;
+    const authorId = await contentRevisionService.getAuthorId(
+      contentType,
+      contentId
+    );
+    if (authorId !== req.user._id && req.user.role !== "admin") {
+      logger.warn(
+        `Unauthorized user ${req.user._id} for the rollback of ${contentType} ${contentId}`
+      );
+      throw new ApiError(403, "Not authorized to roll back this content");
+    }
+
+    const result = await contentRevisionService.rollback(
+      contentType,
+      contentId,
+      Number(version),
+      req.user._id
+    );
+    res.status(result.statusCode).json(result);
+  });
+}
+
+module.exports = new ContentRevisionController();
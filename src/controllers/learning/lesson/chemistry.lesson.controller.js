@@ -12,7 +12,7 @@ class ChemistryLessonController {
     const lessonData = req.body;
     const result = await chemistryLessonService.createLesson(
       lessonData,
-      req.user.id
+      req.user._id
     );
     res.status(result.statusCode).json(result);
   });
@@ -48,11 +48,11 @@ class ChemistryLessonController {
       throw new ApiError(404, "Leçon de chimie introuvable");
     }
     if (
-      lesson.metadata.createdBy.toString() !== req.user.id &&
+      lesson.metadata.createdBy.toString() !== req.user._id &&
       req.user.role !== "admin"
     ) {
       logger.warn(
-        `Utilisateur non autorisé ${req.user.id} pour la mise à jour de la leçon ${id}`
+        `Utilisateur non autorisé ${req.user._id} pour la mise à jour de la leçon ${id}`
       );
       throw new ApiError(
         403,
@@ -62,7 +62,7 @@ class ChemistryLessonController {
     const result = await chemistryLessonService.updateLesson(
       id,
       req.body,
-      req.user.id
+      req.user._id
     );
     res.status(result.statusCode).json(result);
   });
@@ -76,11 +76,11 @@ class ChemistryLessonController {
       throw new ApiError(404, "Leçon de chimie introuvable");
     }
     if (
-      lesson.metadata.createdBy.toString() !== req.user.id &&
+      lesson.metadata.createdBy.toString() !== req.user._id &&
       req.user.role !== "admin"
     ) {
       logger.warn(
-        `Utilisateur non autorisé ${req.user.id} pour la suppression de la leçon ${id}`
+        `Utilisateur non autorisé ${req.user._id} pour la suppression de la leçon ${id}`
       );
       throw new ApiError(403, "Non autorisé à supprimer cette leçon de chimie");
     }
@@ -94,7 +94,7 @@ class ChemistryLessonController {
     const result = await chemistryLessonService.addFeedback(
       id,
       req.body,
-      req.user.id
+      req.user._id
     );
     logger.info(`Feedback ajouté par le contrôleur à la leçon ${id}`);
     res.status(result.statusCode).json(result);
@@ -11,7 +11,7 @@ class FrenchLessonController {
   // Create a new French lesson
   createLesson = asyncHandler(async (req, res) => {
     const lessonData = req.body;
-    const result = await frenchLessonService.createLesson(lessonData, req.user.id);
+    const result = await frenchLessonService.createLesson(lessonData, req.user._id);
     res.status(result.statusCode).json(result);
   });
 
@@ -45,11 +45,11 @@ class FrenchLessonController {
       logger.warn(`Leçon de français introuvable pour la mise à jour: ${id}`);
       throw new ApiError(404, "Leçon de français introuvable");
     }
-    if (lesson.metadata.createdBy.toString() !== req.user.id && req.user.role !== "admin") {
-      logger.warn(`Utilisateur non autorisé ${req.user.id} pour la mise à jour de la leçon ${id}`);
+    if (lesson.metadata.createdBy.toString() !== req.user._id && req.user.role !== "admin") {
+      logger.warn(`Utilisateur non autorisé ${req.user._id} pour la mise à jour de la leçon ${id}`);
       throw new ApiError(403, "Non autorisé à mettre à jour cette leçon de français");
     }
-    const result = await frenchLessonService.updateLesson(id, req.body, req.user.id);
+    const result = await frenchLessonService.updateLesson(id, req.body, req.user._id);
     res.status(result.statusCode).json(result);
   });
 
@@ -61,8 +61,8 @@ class FrenchLessonController {
       logger.warn(`Leçon de français introuvable pour la suppression: ${id}`);
       throw new ApiError(404, "Leçon de français introuvable");
     }
-    if (lesson.metadata.createdBy.toString() !== req.user.id && req.user.role !== "admin") {
-      logger.warn(`Utilisateur non autorisé ${req.user.id} pour la suppression de la leçon ${id}`);
+    if (lesson.metadata.createdBy.toString() !== req.user._id && req.user.role !== "admin") {
+      logger.warn(`Utilisateur non autorisé ${req.user._id} pour la suppression de la leçon ${id}`);
       throw new ApiError(403, "Non autorisé à supprimer cette leçon de français");
     }
     const result = await frenchLessonService.deleteLesson(id);
@@ -72,7 +72,7 @@ class FrenchLessonController {
   // Add feedback to French lesson
   addFeedback = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const result = await frenchLessonService.addFeedback(id, req.body, req.user.id);
+    const result = await frenchLessonService.addFeedback(id, req.body, req.user._id);
     logger.info(`Feedback ajouté par le contrôleur à la leçon ${id}`);
     res.status(result.statusCode).json(result);
   });
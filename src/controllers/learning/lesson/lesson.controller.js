@@ -13,7 +13,7 @@ const lessonService = new LessonService();
 class LessonController {
   createLesson = asyncHandler(async (req, res) => {
     const lessonData = req.body;
-    const result = await lessonService.createLesson(lessonData, req.user.id);
+    const result = await lessonService.createLesson(lessonData, req.user._id);
     res.status(result.statusCode).json(result);
   });
 
@@ -45,15 +45,15 @@ class LessonController {
       throw new ApiError(404, "Leçon introuvable");
     }
     if (
-      lesson.metadata.createdBy.toString() !== req.user.id &&
+      lesson.metadata.createdBy.toString() !== req.user._id &&
       req.user.role !== "admin"
     ) {
       logger.warn(
-        `Utilisateur non autorisé ${req.user.id} pour la mise à jour de la leçon ${id}`
+        `Utilisateur non autorisé ${req.user._id} pour la mise à jour de la leçon ${id}`
       );
       throw new ApiError(403, "Non autorisé à mettre à jour cette leçon");
     }
-    const result = await lessonService.updateLesson(id, req.body, req.user.id);
+    const result = await lessonService.updateLesson(id, req.body, req.user._id);
     res.status(result.statusCode).json(result);
   });
 
@@ -65,11 +65,11 @@ class LessonController {
       throw new ApiError(404, "Leçon introuvable");
     }
     if (
-      lesson.metadata.createdBy.toString() !== req.user.id &&
+      lesson.metadata.createdBy.toString() !== req.user._id &&
       req.user.role !== "admin"
     ) {
       logger.warn(
-        `Utilisateur non autorisé ${req.user.id} pour la suppression de la leçon ${id}`
+        `Utilisateur non autorisé ${req.user._id} pour la suppression de la leçon ${id}`
       );
       throw new ApiError(403, "Non autorisé à supprimer cette leçon");
     }
@@ -79,7 +79,7 @@ class LessonController {
 
   addFeedback = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const result = await lessonService.addFeedback(id, req.body, req.user.id);
+    const result = await lessonService.addFeedback(id, req.body, req.user._id);
     res.status(result.statusCode).json(result);
   });
 }
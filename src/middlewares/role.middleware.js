@@ -14,7 +14,7 @@ const roleMiddleware = (allowedRoles) => (req, res, next) => {
       logger.warn(
         `Forbidden access attempt by user ${req.user.userId} with role ${req.user.role} on ${req.path}`
       );
-      throw new ForbiddenError(ERROR_MESSAGES.FORBIDDEN_ACCESS);
+      throw new ForbiddenError("Accès interdit pour ce rôle");
     }
     next();
   } catch (error) {
@@ -37,6 +37,14 @@ const WinnerSchema = new Schema({
     type: Date,
     default: Date.now,
   },
+  sessionId: {
+    type: Types.ObjectId,
+    ref: "QuizSession", // session the score comes from, if any
+  },
+  heldForReview: {
+    type: Boolean, // kept off the leaderboard until an integrity review clears it
+    default: false,
+  },
 });
 
 /**
@@ -305,14 +313,23 @@ ChallengeSchema.methods.removeParticipant = function (userId) {
  */
 ChallengeSchema.methods.addWinner = function (winnerData) {
   this.winners.push(winnerData);
+  this.rankWinners();
+
+  return this.save();
+};
+
+/**
+ * Sorts winners and ranks those not held for an integrity review.
+ * @returns {Document} The challenge, for chaining.
+ */
+ChallengeSchema.methods.rankWinners = function () {
   this.winners.sort((a, b) => b.score - a.score || a.timeSpent - b.timeSpent);
 
-  // Update ranks
-  this.winners.forEach((winner, index) => {
-    winner.rank = index + 1;
+  let rank = 0;
+  this.winners.forEach((winner) => {
+    winner.rank = winner.heldForReview ? undefined : ++rank;
   });
-
-  return this.save();
+  return this;
 };
 
 /**
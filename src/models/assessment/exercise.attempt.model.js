@@ -0,0 +1,186 @@
+const { Schema, model, Types } = require("mongoose");
+const {
+  EXERCISE_ATTEMPT_STATUSES,
+  GRADING_STATUSES,
+} = require("../../constants");
+
+// =============== CONSTANTS =============
+/**
+ * Imported constants for exercise attempt and grading statuses.
+ * @see module:constants/index
+ */
+
+// =============== SUBSCHEMAS =============
+/**
+ * Subschema for the student's answer to one item of the exercise.
+ * @module ItemAnswerSubSchema
+ */
+const ItemAnswerSchema = new Schema(
+  {
+    itemIndex: {
+      type: Number, // position of the item, as in solution.answers.problemIndex
+      required: [true, "L'index de l'élément est requis"],
+      min: [0, "L'index de l'élément doit être positif"],
+    },
+    answer: {
+      type: Schema.Types.Mixed,
+    },
+    answeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    pointsEarned: {
+      type: Number,
+      default: 0,
+      min: [0, "Les points obtenus ne peuvent pas être négatifs"],
+    },
+    maxPoints: {
+      type: Number,
+      default: 0,
+    },
+    isCorrect: {
+      type: Boolean,
+    },
+    gradingStatus: {
+      type: String,
+      enum: GRADING_STATUSES,
+    },
+    feedback: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// ==================== SCHEMA ==================
+/**
+ * Mongoose schema for a student's attempt at an exercise, from the start to
+ * the graded submission. Open answers (essays, source analyses) are scored
+ * later from the manual grading queue.
+ * @module ExerciseAttemptSchema
+ */
+const ExerciseAttemptSchema = new Schema(
+  {
+    userId: {
+      type: Types.ObjectId,
+      ref: "User",
+      required: [true, "L'ID de l'utilisateur est requis"],
+    },
+    exerciseId: {
+      type: Types.ObjectId,
+      ref: "Exercise",
+      required: [true, "L'ID de l'exercice est requis"],
+    },
+    // Copied from the exercise for progress and filtering
+    subjectType: {
+      type: String,
+    },
+    topicId: {
+      type: Types.ObjectId,
+      ref: "Topic",
+    },
+    attemptNumber: {
+      type: Number,
+      required: [true, "Le numéro de la tentative est requis"],
+      min: [1, "Le numéro de la tentative doit être au moins 1"],
+    },
+    seed: {
+      type: String, // draws the values of parameterized problems
+      required: [true, "La graine de la tentative est requise"],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: EXERCISE_ATTEMPT_STATUSES,
+        message: "{VALUE} n'est pas un statut de tentative valide",
+      },
+      default: EXERCISE_ATTEMPT_STATUSES[0], // in_progress
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    deadline: {
+      type: Date, // none when the exercise has no time limit
+    },
+    submittedAt: {
+      type: Date,
+    },
+    timeSpent: {
+      type: Number, // seconds
+      default: 0,
+      min: [0, "Le temps passé ne peut pas être négatif"],
+    },
+    answers: {
+      type: [ItemAnswerSchema],
+      default: [],
+    },
+    score: {
+      type: Number,
+      default: 0,
+    },
+    maxScore: {
+      type: Number,
+      default: 0,
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+      min: [0, "Le pourcentage ne peut pas être négatif"],
+      max: [100, "Le pourcentage ne peut pas dépasser 100"],
+    },
+    gradingStatus: {
+      type: String, // pending_review while a teacher has open answers to score
+      enum: GRADING_STATUSES,
+      default: GRADING_STATUSES[0], // graded
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============== INDEXES =================
+ExerciseAttemptSchema.index(
+  { userId: 1, exerciseId: 1, attemptNumber: 1 },
+  { unique: true }
+);
+ExerciseAttemptSchema.index({ userId: 1, exerciseId: 1, status: 1 });
+ExerciseAttemptSchema.index({ exerciseId: 1, submittedAt: -1 });
+
+// =============== VIRTUALS =============
+/**
+ * Virtual field for the seconds left before the deadline.
+ * @returns {number|null} Seconds left, or null without a time limit.
+ */
+ExerciseAttemptSchema.virtual("timeRemaining").get(function () {
+  if (!this.deadline) return null;
+  return Math.max(0, Math.floor((this.deadline - new Date()) / 1000));
+});
+
+// =============== METHODS =============
+/**
+ * Records or replaces the answer to an item.
+ * @param {number} itemIndex - Index of the item.
+ * @param {*} answer - Student answer.
+ * @returns {Document} The attempt, unsaved.
+ */
+ExerciseAttemptSchema.methods.setAnswer = function (itemIndex, answer) {
+  const existing = this.answers.find((entry) => entry.itemIndex === itemIndex);
+  if (existing) {
+    existing.set({ answer, answeredAt: new Date() });
+  } else {
+    this.answers.push({ itemIndex, answer });
+  }
+  return this;
+};
+
+/**
+ * ExerciseAttempt model for interacting with the ExerciseAttempt collection.
+ * @type {mongoose.Model}
+ */
+module.exports = {
+  ExerciseAttempt: model("ExerciseAttempt", ExerciseAttemptSchema),
+};
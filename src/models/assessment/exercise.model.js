@@ -17,11 +17,13 @@ const {
   HISTORY_SOURCE_TYPES,
   GEOGRAPHY_TOPICS,
   GEOGRAPHY_MAP_TYPES,
+  GRADING_TOLERANCE_TYPES,
+  EXERCISE_SUCCESS_PERCENTAGE,
 } = require("../../constants");
 
 // =============== CONSTANTS =============
 /**
- * Imported constants for exercises, including difficulty levels, types, question types, statuses, and subject-specific topics.
+ * Imported constants for exercises, including difficulty levels, types, question types, statuses, subject-specific topics, grading tolerance types, and the success percentage.
  * @see module:constants/index
  */
 
@@ -78,6 +80,61 @@ const AttachmentSchema = new Schema({
   },
 });
 
+/**
+ * Subschema for parameterized math and physics problems: "{name}" placeholders
+ * in the statement are replaced by values drawn for each attempt, and the
+ * answer is computed from answerFormula.
+ * @module ProblemTemplateSubSchema
+ */
+const ProblemTemplateSchema = new Schema(
+  {
+    variables: {
+      type: [
+        {
+          _id: false,
+          name: {
+            type: String,
+            required: [true, "Le nom de la variable est requis"],
+            match: [
+              /^[A-Za-z_][A-Za-z0-9_]*$/,
+              "Le nom de la variable doit être un identifiant (lettres, chiffres, _)",
+            ],
+          },
+          min: {
+            type: Number,
+            required: [true, "La valeur minimale de la variable est requise"],
+          },
+          max: {
+            type: Number,
+            required: [true, "La valeur maximale de la variable est requise"],
+          },
+          step: { type: Number, default: 1 },
+          unit: String,
+        },
+      ],
+      default: [],
+    },
+    constraints: { type: [String], default: [] },
+    answerFormula: {
+      type: String,
+      required: [true, "La formule de la réponse est requise"],
+      trim: true,
+    },
+    unit: String,
+    tolerance: {
+      type: Number,
+      default: 0,
+      min: [0, "La tolérance ne peut pas être négative"],
+    },
+    toleranceType: {
+      type: String,
+      enum: GRADING_TOLERANCE_TYPES,
+      default: GRADING_TOLERANCE_TYPES[0], // absolute
+    },
+  },
+  { _id: false }
+);
+
 // ================= SCHEMAS =================
 /**
  * Base Mongoose schema for exercises, supporting various subjects and formats.
@@ -227,6 +284,7 @@ const MathExerciseSchema = new Schema({
         },
         variables: { type: [String], default: [] },
         constraints: { type: [String], default: [] },
+        template: ProblemTemplateSchema,
         difficulty: { type: String, enum: EXERCISE_DIFFICULTY_LEVELS },
         points: { type: Number, default: 1 },
       },
@@ -249,6 +307,36 @@ const MathExerciseSchema = new Schema({
     workingSteps: { type: [String], default: [] },
     formulasUsed: { type: [String], default: [] },
     commonMistakes: { type: [String], default: [] },
+    // Wrong step a student making one of the common mistakes would write
+    mistakePatterns: {
+      type: [
+        {
+          _id: false,
+          mistakeIndex: {
+            type: Number,
+            required: [true, "L'index de l'erreur fréquente est requis"],
+            min: [0, "L'index de l'erreur fréquente doit être positif"],
+          },
+          working: {
+            type: String,
+            required: [true, "L'étape erronée est requise"],
+            trim: true,
+          },
+        },
+      ],
+      default: [],
+      validate: {
+        validator: function (patterns) {
+          // Update queries do not carry the listed mistakes
+          const mistakes = this.solution?.commonMistakes;
+          if (!mistakes) return true;
+          return patterns.every(
+            (pattern) => pattern.mistakeIndex < mistakes.length
+          );
+        },
+        message: "Chaque étape erronée doit renvoyer à une erreur fréquente",
+      },
+    },
   },
 });
 
@@ -282,6 +370,7 @@ const PhysicsExerciseSchema = new Schema({
           type: [{ name: String, value: String, unit: String }],
           default: [],
         },
+        template: ProblemTemplateSchema, // may use the numeric constants
         difficulty: { type: String, enum: EXERCISE_DIFFICULTY_LEVELS },
         points: { type: Number, default: 1 },
       },
@@ -792,7 +881,7 @@ ExerciseBaseSchema.methods.addFeedback = function (userId, rating, comments) {
 
 /**
  * Updates exercise analytics based on user performance.
- * @param {number} score - User's score.
+ * @param {number} score - User's score, as a percentage.
  * @param {number} timeSpent - Time spent on the exercise.
  * @returns {Promise<Document>} Updated exercise document.
  */
@@ -805,11 +894,12 @@ ExerciseBaseSchema.methods.updateAnalytics = function (score, timeSpent) {
     (this.analytics.averageTimeSpent * (this.analytics.totalAttempts - 1) +
       timeSpent) /
     this.analytics.totalAttempts;
+  // Failed attempts lower the rate too
+  const succeeded = score >= EXERCISE_SUCCESS_PERCENTAGE ? 1 : 0;
   this.analytics.successRate =
-    score >= 70
-      ? (this.analytics.successRate * (this.analytics.totalAttempts - 1) + 1) /
-        this.analytics.totalAttempts
-      : this.analytics.successRate;
+    (this.analytics.successRate * (this.analytics.totalAttempts - 1) +
+      succeeded) /
+    this.analytics.totalAttempts;
   return this.save();
 };
 
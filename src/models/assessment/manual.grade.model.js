@@ -0,0 +1,197 @@
+const { Schema, model, Types } = require("mongoose");
+const { MANUAL_GRADE_STATUSES } = require("../../constants");
+
+// =============== CONSTANTS =============
+/**
+ * Imported constants for manual grade statuses.
+ * @see module:constants/index
+ */
+
+// =============== SUBSCHEMAS =============
+/**
+ * Subschema for the score given on one rubric criterion.
+ * @module CriterionScoreSubSchema
+ */
+const CriterionScoreSchema = new Schema(
+  {
+    criterionId: {
+      type: String,
+      required: [true, "L'identifiant du critère est requis"],
+    },
+    title: {
+      type: String, // copied from the rubric when the answer was scored
+    },
+    level: {
+      type: String, // best level reached by the points
+    },
+    points: {
+      type: Number,
+      required: [true, "Les points du critère sont requis"],
+      min: [0, "Les points ne peuvent pas être négatifs"],
+    },
+    maxPoints: {
+      type: Number,
+      min: [0, "Les points maximum ne peuvent pas être négatifs"],
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Le commentaire ne peut pas dépasser 1000 caractères"],
+    },
+  },
+  { _id: false }
+);
+
+// ==================== SCHEMA ==================
+/**
+ * Mongoose schema for manual grades. Each open answer a grader could not
+ * score (essays, source analyses, dissertations) waits in the grading queue
+ * until a teacher scores it, then keeps the teacher's scores and comments.
+ * Answers come from quiz sessions, which also run challenges, past papers
+ * and mock exam papers, or from exercise attempts, where they are the
+ * answer to one item of the exercise.
+ * @module ManualGradeSchema
+ */
+const ManualGradeSchema = new Schema(
+  {
+    sessionId: {
+      type: Types.ObjectId,
+      ref: "QuizSession",
+      required: [
+        function () {
+          return !this.attemptId;
+        },
+        "L'ID de la session est requis",
+      ],
+    },
+    questionId: {
+      type: Types.ObjectId,
+      ref: "Question",
+      required: [
+        function () {
+          return !this.attemptId;
+        },
+        "L'ID de la question est requis",
+      ],
+    },
+    attemptId: {
+      type: Types.ObjectId,
+      ref: "ExerciseAttempt",
+    },
+    itemIndex: {
+      type: Number, // item of the exercise, for answers from an attempt
+      required: [
+        function () {
+          return !!this.attemptId;
+        },
+        "L'index de l'élément est requis",
+      ],
+      min: [0, "L'index de l'élément doit être positif"],
+    },
+    userId: {
+      type: Types.ObjectId,
+      ref: "User", // student who wrote the answer
+      required: [true, "L'ID de l'utilisateur est requis"],
+    },
+    // Copied from the session or attempt and the question to filter the queue
+    quizId: {
+      type: Types.ObjectId,
+      ref: "Quiz",
+    },
+    exerciseId: {
+      type: Types.ObjectId,
+      ref: "Exercise",
+    },
+    subjectId: {
+      type: Types.ObjectId,
+      ref: "Subject",
+    },
+    topicId: {
+      type: Types.ObjectId,
+      ref: "Topic",
+    },
+    questionVersion: {
+      type: Number, // revision of the question that was answered
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    dueAt: {
+      type: Date,
+      required: [true, "La date limite de correction est requise"],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: MANUAL_GRADE_STATUSES,
+        message: "{VALUE} n'est pas un statut de correction valide",
+      },
+      default: MANUAL_GRADE_STATUSES[0], // pending
+    },
+    scores: {
+      type: [CriterionScoreSchema],
+      default: [],
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Le commentaire ne peut pas dépasser 2000 caractères"],
+    },
+    pointsEarned: {
+      type: Number,
+      min: [0, "Les points obtenus ne peuvent pas être négatifs"],
+    },
+    maxPoints: {
+      type: Number,
+      min: [0, "Les points maximum ne peuvent pas être négatifs"],
+    },
+    gradedBy: {
+      type: Types.ObjectId,
+      ref: "User",
+    },
+    gradedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============== INDEXES =================
+// One grade per answer
+ManualGradeSchema.index(
+  { sessionId: 1, questionId: 1 },
+  { unique: true, partialFilterExpression: { sessionId: { $exists: true } } }
+);
+ManualGradeSchema.index(
+  { attemptId: 1, itemIndex: 1 },
+  { unique: true, partialFilterExpression: { attemptId: { $exists: true } } }
+);
+ManualGradeSchema.index({ status: 1, dueAt: 1 });
+ManualGradeSchema.index({ subjectId: 1, status: 1, dueAt: 1 });
+ManualGradeSchema.index({ userId: 1, status: 1 });
+
+// =============== VIRTUALS =============
+/**
+ * Virtual field telling whether a pending answer is past its due date.
+ * @returns {boolean} True if the answer should already have been scored.
+ */
+ManualGradeSchema.virtual("isOverdue").get(function () {
+  return (
+    this.status === MANUAL_GRADE_STATUSES[0] && // pending
+    !!this.dueAt &&
+    this.dueAt < new Date()
+  );
+});
+
+/**
+ * ManualGrade model for interacting with the ManualGrade collection.
+ * @type {mongoose.Model}
+ */
+module.exports = {
+  ManualGrade: model("ManualGrade", ManualGradeSchema),
+};
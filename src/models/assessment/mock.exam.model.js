@@ -0,0 +1,196 @@
+const { Schema, model, Types } = require("mongoose");
+const {
+  MOCK_EXAM_STATUSES,
+  MOCK_EXAM_PAPER_STATUSES,
+  BAC_DECISIONS,
+  BAC_MENTIONS,
+} = require("../../constants");
+
+// =============== CONSTANTS =============
+/**
+ * Imported constants for mock exam statuses, paper statuses, BAC decisions and mentions.
+ * @see module:constants/index
+ */
+
+// =============== SUBSCHEMAS =============
+/**
+ * Subschema for one paper (subject) of a mock exam.
+ * @module MockExamPaperSchema
+ */
+const MockExamPaperSchema = new Schema({
+  subjectId: {
+    type: Types.ObjectId,
+    ref: "Subject",
+    required: [true, "L'ID de la matière est requis"],
+  },
+  quizId: {
+    type: Types.ObjectId,
+    ref: "Quiz",
+    required: [true, "L'ID du quiz est requis"],
+  },
+  sessionId: {
+    type: Types.ObjectId,
+    ref: "QuizSession", // set when the paper is started
+  },
+  // Copied from the exam series
+  coefficient: {
+    type: Number,
+    default: 1,
+    min: [1, "Le coefficient doit être au moins 1"],
+  },
+  duration: {
+    type: Number, // in minutes
+    required: [true, "La durée est requise"],
+  },
+  totalMarks: {
+    type: Number,
+    required: [true, "Le total des notes est requis"],
+  },
+  passingMarks: {
+    type: Number,
+    required: [true, "La note de passage est requise"],
+  },
+  // Outcome
+  status: {
+    type: String,
+    enum: MOCK_EXAM_PAPER_STATUSES,
+    default: MOCK_EXAM_PAPER_STATUSES[0], // not_started
+  },
+  score: {
+    type: Number,
+    min: [0, "Le score ne peut pas être négatif"],
+  },
+  maxScore: {
+    type: Number,
+    min: [0, "Le score maximum ne peut pas être négatif"],
+  },
+  marks: {
+    type: Number, // score converted to the paper's totalMarks
+  },
+  grade: {
+    type: Number, // out of 20
+    min: [0, "La note ne peut pas être négative"],
+    max: [20, "La note ne peut pas dépasser 20"],
+  },
+  pendingReview: {
+    type: Boolean, // some answers still await manual grading
+    default: false,
+  },
+  startedAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+});
+
+/**
+ * Subschema for the overall outcome of a mock exam.
+ * @module MockExamOutcomeSchema
+ */
+const MockExamOutcomeSchema = new Schema({
+  average: {
+    type: Number, // coefficient-weighted, out of 20
+    min: [0, "La moyenne ne peut pas être négative"],
+    max: [20, "La moyenne ne peut pas dépasser 20"],
+  },
+  totalCoefficients: {
+    type: Number,
+  },
+  totalPoints: {
+    type: Number,
+  },
+  decision: {
+    type: String,
+    enum: BAC_DECISIONS,
+  },
+  mention: {
+    type: String,
+    enum: BAC_MENTIONS.map((tier) => tier.mention),
+  },
+  label: {
+    type: String,
+  },
+});
+
+// ================= SCHEMA =================
+/**
+ * Mongoose schema for mock BAC exams, a multi-subject sitting for one series.
+ * @module MockExamSchema
+ */
+const MockExamSchema = new Schema(
+  {
+    userId: {
+      type: Types.ObjectId,
+      ref: "User",
+      required: [true, "L'ID de l'utilisateur est requis"],
+    },
+    examId: {
+      type: Types.ObjectId,
+      ref: "Exam",
+      required: [true, "L'ID de l'examen est requis"],
+    },
+    series: {
+      type: String,
+      required: [true, "La série est requise"],
+      trim: true,
+    },
+    papers: {
+      type: [MockExamPaperSchema],
+      validate: {
+        validator: (papers) => Array.isArray(papers) && papers.length > 0,
+        message: "L'examen blanc doit avoir au moins une épreuve",
+      },
+    },
+    status: {
+      type: String,
+      enum: MOCK_EXAM_STATUSES,
+      default: MOCK_EXAM_STATUSES[0], // in_progress
+    },
+    outcome: {
+      type: MockExamOutcomeSchema,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============== INDEXES =================
+MockExamSchema.index({ userId: 1, createdAt: -1 });
+MockExamSchema.index({ examId: 1, series: 1 });
+
+// =============== VIRTUALS =============
+/**
+ * Virtual field for the number of completed papers.
+ * @returns {number} Completed papers count.
+ */
+MockExamSchema.virtual("completedPapers").get(function () {
+  return (this.papers ?? []).filter(
+    (paper) => paper.status === MOCK_EXAM_PAPER_STATUSES[2] // completed
+  ).length;
+});
+
+// =============== METHODS =============
+/**
+ * Finds the paper currently being sat.
+ * @returns {Object|undefined} Paper in progress, if any.
+ */
+MockExamSchema.methods.getPaperInProgress = function () {
+  return this.papers.find(
+    (paper) => paper.status === MOCK_EXAM_PAPER_STATUSES[1] // in_progress
+  );
+};
+
+/**
+ * MockExam model for interacting with the MockExam collection.
+ * @type {mongoose.Model}
+ */
+module.exports = {
+  MockExam: model("MockExam", MockExamSchema),
+};
@@ -0,0 +1,168 @@
+const { Schema, model, Types } = require("mongoose");
+const {
+  MEDIA_TYPES,
+  HISTORY_SOURCE_TYPES,
+  PASSAGE_LANGUAGES,
+} = require("../../constants");
+
+// =============== CONSTANTS =============
+/**
+ * Imported constants for media types, history source types and passage languages.
+ * @see module:constants/index
+ */
+
+// =============== SUBSCHEMAS =============
+/**
+ * Subschema for passage media content (facsimile, map, recording).
+ * @module PassageMediaSubSchema
+ */
+const PassageMediaSchema = new Schema(
+  {
+    mediaType: {
+      type: String,
+      enum: MEDIA_TYPES,
+    },
+    url: {
+      type: String,
+      match: [/^https?:\/\/.+/, "L'URL du média doit être valide"],
+    },
+    altText: {
+      type: String,
+    },
+    caption: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Subschema for the attribution of a passage or source.
+ * @module AttributionSubSchema
+ */
+const AttributionSchema = new Schema(
+  {
+    author: {
+      type: String,
+      trim: true,
+      maxlength: [200, "L'auteur ne peut pas dépasser 200 caractères"],
+    },
+    work: {
+      type: String, // book, speech, newspaper or treaty the text comes from
+      trim: true,
+      maxlength: [300, "L'œuvre ne peut pas dépasser 300 caractères"],
+    },
+    source: {
+      type: String, // publisher, archive or collection
+      trim: true,
+      maxlength: [300, "La source ne peut pas dépasser 300 caractères"],
+    },
+    year: {
+      type: Number,
+      min: [-3000, "L'année de la source est invalide"],
+      max: [2100, "L'année de la source est invalide"],
+    },
+    url: {
+      type: String,
+      match: [/^https?:\/\/.+/, "L'URL de la source doit être valide"],
+    },
+  },
+  { _id: false }
+);
+
+// ==================== SCHEMA ==================
+/**
+ * Mongoose schema for reading passages and historical sources shared by
+ * several questions, such as a comprehension text or a document to analyse.
+ * @module PassageSchema
+ */
+const PassageSchema = new Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Le titre du texte est requis"],
+      trim: true,
+      maxlength: [200, "Le titre ne peut pas dépasser 200 caractères"],
+    },
+    text: {
+      type: String,
+      // A source may be a picture or a map with no text
+      required: [
+        function () {
+          return (this.media?.length ?? 0) === 0;
+        },
+        "Le texte ou au moins un média est requis",
+      ],
+      trim: true,
+      maxlength: [20000, "Le texte ne peut pas dépasser 20000 caractères"],
+    },
+    media: {
+      type: [PassageMediaSchema],
+      default: [],
+    },
+    attribution: {
+      type: AttributionSchema,
+      default: () => ({}),
+    },
+    sourceType: {
+      type: String, // only set for history sources
+      enum: {
+        values: HISTORY_SOURCE_TYPES,
+        message: "{VALUE} n'est pas un type de source valide",
+      },
+    },
+    language: {
+      type: String,
+      enum: {
+        values: PASSAGE_LANGUAGES,
+        message: "{VALUE} n'est pas une langue valide",
+      },
+      default: PASSAGE_LANGUAGES[0], // french
+    },
+    subjectId: {
+      type: Types.ObjectId,
+      ref: "Subject",
+      required: [true, "L'ID de la matière est requis"],
+    },
+    topicId: {
+      type: Types.ObjectId,
+      ref: "Topic",
+    },
+    creatorId: {
+      type: Types.ObjectId,
+      ref: "User",
+      required: [true, "L'ID du créateur est requis"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============== INDEXES =================
+PassageSchema.index({ subjectId: 1, topicId: 1, isActive: 1 });
+PassageSchema.index({ sourceType: 1 }, { sparse: true });
+PassageSchema.index({ creatorId: 1 });
+
+// =============== VIRTUALS =============
+/**
+ * Virtual field for the number of words in the passage.
+ * @returns {number} Word count.
+ */
+PassageSchema.virtual("wordCount").get(function () {
+  return this.text ? this.text.split(/\s+/).filter(Boolean).length : 0;
+});
+
+/**
+ * Passage model for interacting with the Passage collection.
+ * @type {mongoose.Model}
+ */
+module.exports = {
+  Passage: model("Passage", PassageSchema),
+};
@@ -0,0 +1,253 @@
+const { Schema, model, Types } = require("mongoose");
+const {
+  EXAM_SESSIONS,
+  PAST_PAPER_DOCUMENT_TYPES,
+  PAST_PAPER_MIN_YEAR,
+  RESOURCE_LANGUAGES,
+} = require("../../constants");
+
+// =============== CONSTANTS =============
+/**
+ * Imported constants for exam sessions, past paper document types and languages.
+ * @see module:constants/index
+ */
+
+// =============== SUBSCHEMAS =============
+/**
+ * Subschema for a source document of a past paper (scanned paper, official corrections).
+ * @module PastPaperDocumentSchema
+ */
+const PastPaperDocumentSchema = new Schema({
+  type: {
+    type: String,
+    enum: {
+      values: PAST_PAPER_DOCUMENT_TYPES,
+      message: "{VALUE} n'est pas un type de document valide",
+    },
+    required: [true, "Le type de document est requis"],
+  },
+  title: {
+    type: String,
+    required: [true, "Le titre du document est requis"],
+    trim: true,
+    maxlength: [200, "Le titre ne peut pas dépasser 200 caractères"],
+  },
+  url: {
+    type: String,
+    required: [true, "L'URL du document est requise"],
+    trim: true,
+    match: [/^https?:\/\/.+/, "L'URL du document doit être valide"],
+  },
+  format: {
+    type: String,
+    trim: true,
+    maxlength: [50, "Le format ne peut pas dépasser 50 caractères"],
+  },
+  language: {
+    type: String,
+    enum: {
+      values: RESOURCE_LANGUAGES,
+      message: "{VALUE} n'est pas une langue supportée",
+    },
+    default: "french",
+  },
+  fileSize: {
+    type: Number,
+    min: [0, "La taille du fichier ne peut pas être négative"],
+  },
+});
+
+/**
+ * Subschema for one entry of the official marking scheme.
+ * @module MarkingSchemeEntrySchema
+ */
+const MarkingSchemeEntrySchema = new Schema({
+  questionNumber: {
+    type: String, // numbering used on the paper, e.g. "2.b"
+    required: [true, "Le numéro de la question est requis"],
+    trim: true,
+  },
+  questionId: {
+    type: Types.ObjectId,
+    ref: "Question",
+  },
+  marks: {
+    type: Number,
+    required: [true, "Le barème est requis"],
+    min: [0, "Le barème ne peut pas être négatif"],
+  },
+  criteria: {
+    type: String,
+    trim: true,
+    maxlength: [2000, "Les critères ne peuvent pas dépasser 2000 caractères"],
+  },
+});
+
+/**
+ * Subschema for a model answer to one question of the paper.
+ * @module ModelAnswerSchema
+ */
+const ModelAnswerSchema = new Schema({
+  questionNumber: {
+    type: String,
+    required: [true, "Le numéro de la question est requis"],
+    trim: true,
+  },
+  questionId: {
+    type: Types.ObjectId,
+    ref: "Question",
+  },
+  answer: {
+    type: String,
+    required: [true, "La réponse modèle est requise"],
+    trim: true,
+  },
+  explanation: {
+    type: String,
+    trim: true,
+  },
+});
+
+// ================= SCHEMA =================
+/**
+ * Mongoose schema for past papers, the official paper of an exam subject for
+ * one year, session and series.
+ * @module PastPaperSchema
+ */
+const PastPaperSchema = new Schema(
+  {
+    examId: {
+      type: Types.ObjectId,
+      ref: "Exam",
+      required: [true, "L'ID de l'examen est requis"],
+    },
+    subjectId: {
+      type: Types.ObjectId,
+      ref: "Subject",
+      required: [true, "L'ID de la matière est requis"],
+    },
+    year: {
+      type: Number,
+      required: [true, "L'année est requise"],
+      min: [
+        PAST_PAPER_MIN_YEAR,
+        `L'année doit être d'au moins ${PAST_PAPER_MIN_YEAR}`,
+      ],
+      max: [
+        new Date().getFullYear(),
+        "L'année ne peut pas être dans le futur",
+      ],
+    },
+    session: {
+      type: String,
+      required: [true, "La session est requise"],
+      enum: EXAM_SESSIONS,
+    },
+    series: {
+      type: String, // empty for exams without series
+      trim: true,
+      default: "",
+    },
+    title: {
+      type: String,
+      required: [true, "Le titre est requis"],
+      trim: true,
+      maxlength: [200, "Le titre ne peut pas dépasser 200 caractères"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    duration: {
+      type: Number, // in minutes
+      required: [true, "La durée est requise"],
+      min: [1, "La durée doit être d'au moins 1 minute"],
+      max: [360, "La durée ne peut pas dépasser 6 heures"],
+    },
+    totalMarks: {
+      type: Number,
+      default: 20,
+      min: [1, "Le total des notes doit être au moins 1"],
+    },
+    // Official question set, in paper order
+    questionIds: {
+      type: [{ type: Types.ObjectId, ref: "Question" }],
+      default: [],
+      validate: {
+        validator: (ids) => ids.length <= 100,
+        message: "Une épreuve ne peut pas avoir plus de 100 questions",
+      },
+    },
+    documents: {
+      type: [PastPaperDocumentSchema],
+      default: [],
+    },
+    markingScheme: {
+      type: [MarkingSchemeEntrySchema],
+      default: [],
+    },
+    modelAnswers: {
+      type: [ModelAnswerSchema],
+      default: [],
+    },
+    quizId: {
+      type: Types.ObjectId,
+      ref: "Quiz", // built the first time the paper is sat
+    },
+    createdBy: {
+      type: Types.ObjectId,
+      ref: "User",
+      required: [true, "L'ID du créateur est requis"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    analytics: {
+      views: { type: Number, default: 0 },
+      sittings: { type: Number, default: 0 },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============== INDEXES =================
+PastPaperSchema.index(
+  { examId: 1, subjectId: 1, year: 1, session: 1, series: 1 },
+  { unique: true }
+);
+PastPaperSchema.index({ examId: 1, year: -1, session: 1 });
+PastPaperSchema.index({ subjectId: 1, year: -1 });
+PastPaperSchema.index({ title: "text", description: "text" });
+
+// =============== VIRTUALS =============
+/**
+ * Virtual field telling whether corrections are available.
+ * @returns {boolean} True if the paper has a marking scheme or model answers.
+ */
+PastPaperSchema.virtual("hasSolutions").get(function () {
+  return (
+    (this.markingScheme?.length ?? 0) > 0 ||
+    (this.modelAnswers?.length ?? 0) > 0
+  );
+});
+
+/**
+ * Virtual field telling whether the paper can be sat as a timed session.
+ * @returns {boolean} True if the official question set is available.
+ */
+PastPaperSchema.virtual("isSittable").get(function () {
+  return (this.questionIds?.length ?? 0) > 0;
+});
+
+/**
+ * PastPaper model for interacting with the PastPaper collection.
+ * @type {mongoose.Model}
+ */
+module.exports = {
+  PastPaper: model("PastPaper", PastPaperSchema),
+};
@@ -4,12 +4,22 @@ const {
   QUESTION_TYPES,
   QUESTION_LEVELS,
   QUESTION_STATUSES,
+  QUESTION_REVIEW_ACTIONS,
   MEDIA_TYPES,
+  GRADING_TOLERANCE_TYPES,
+  IRT_DIFFICULTY_PRIORS,
+  GEOGRAPHY_MAP_TYPES,
+  PHYSICS_DIAGRAM_TYPES,
+  DIAGRAM_HOTSPOT_SHAPES,
+  DIAGRAM_LIMITS,
 } = require("../../constants");
+const { isValidGeometry } = require("../../utils/geo.utils");
+const { checkHotspots } = require("../../utils/hotspot.utils");
+const { getRubricError } = require("../../utils/rubric.utils");
 
 // =============== CONSTANTS =============
 /**
- * Imported constants for question difficulty levels, types, education levels, statuses, and media types.
+ * Imported constants for question difficulty levels, types, education levels, statuses, review actions, media types, grading tolerance types, IRT difficulty priors, geography map types, diagram types, hotspot shapes, and diagram limits.
  * @see module:constants/index
  */
 
@@ -41,6 +51,413 @@ const MediaSchema = new Schema({
   },
 });
 
+/**
+ * Subschema for automatic grading options.
+ * @module GradingSubSchema
+ */
+const GradingSchema = new Schema({
+  partialCredit: {
+    type: Boolean,
+    default: true,
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false,
+  },
+  accentSensitive: {
+    type: Boolean,
+    default: false,
+  },
+  orderSensitive: {
+    type: Boolean,
+    default: true,
+  },
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: [0, "La tolérance ne peut pas être négative"],
+  },
+  toleranceType: {
+    type: String,
+    enum: GRADING_TOLERANCE_TYPES,
+    default: GRADING_TOLERANCE_TYPES[0], // absolute
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, "L'unité ne peut pas dépasser 20 caractères"],
+  },
+  unitPenalty: {
+    type: Number,
+    default: 0.5,
+    min: [0, "La pénalité d'unité ne peut pas être négative"],
+    max: [1, "La pénalité d'unité ne peut pas dépasser 1"],
+  },
+  acceptedAnswers: {
+    type: [Schema.Types.Mixed],
+    default: [],
+  },
+  symbolicEquivalence: {
+    type: Boolean,
+    default: false, // accept algebraically equivalent expressions ("2(x+1)" for "2x+2")
+  },
+});
+
+/**
+ * Subschema for a variable of a templated question, drawn per session
+ * between min and max in multiples of step.
+ * @module TemplateVariableSubSchema
+ */
+const TemplateVariableSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Le nom de la variable est requis"],
+      match: [
+        /^[A-Za-z_][A-Za-z0-9_]*$/,
+        "Le nom de la variable doit être un identifiant (lettres, chiffres, _)",
+      ],
+    },
+    min: {
+      type: Number,
+      required: [true, "La valeur minimale de la variable est requise"],
+    },
+    max: {
+      type: Number,
+      required: [true, "La valeur maximale de la variable est requise"],
+      validate: {
+        validator: function (max) {
+          return max >= this.min;
+        },
+        message: "La valeur maximale doit être supérieure ou égale au minimum",
+      },
+    },
+    step: {
+      type: Number,
+      default: 1,
+      validate: {
+        validator: (step) => step > 0,
+        message: "Le pas de la variable doit être positif",
+      },
+    },
+    unit: {
+      type: String,
+      trim: true,
+      maxlength: [20, "L'unité ne peut pas dépasser 20 caractères"],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Subschema for question templates: "{name}" placeholders in the question
+ * text are replaced by values drawn for each session, and the answer is
+ * computed from correctAnswer.formula.
+ * @module TemplateSubSchema
+ */
+const TemplateSchema = new Schema(
+  {
+    variables: {
+      type: [TemplateVariableSchema],
+      default: [],
+    },
+    constraints: {
+      type: [String], // comparisons the drawn values must satisfy, e.g. "d / t <= 130"
+      maxlength: [200, "Chaque contrainte ne peut pas dépasser 200 caractères"],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Subschema for a selectable region or place of a question map, as a
+ * GeoJSON Point, Polygon or MultiPolygon in [longitude, latitude].
+ * @module MapFeatureSubSchema
+ */
+const MapFeatureSchema = new Schema(
+  {
+    featureId: {
+      type: String,
+      required: [true, "L'identifiant de l'élément de carte est requis"],
+      trim: true,
+      maxlength: [100, "L'identifiant ne peut pas dépasser 100 caractères"],
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Le libellé ne peut pas dépasser 200 caractères"],
+    },
+    geometry: {
+      type: Schema.Types.Mixed,
+      required: [true, "La géométrie de l'élément de carte est requise"],
+      validate: {
+        validator: isValidGeometry,
+        message: "La géométrie doit être un Point, Polygon ou MultiPolygon GeoJSON valide",
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Subschema for the map of a map analysis question: the base map shown to
+ * students and the regions they can select on it.
+ * @module MapSubSchema
+ */
+const MapSchema = new Schema(
+  {
+    mapType: {
+      type: String,
+      enum: GEOGRAPHY_MAP_TYPES,
+    },
+    region: {
+      type: String, // area covered, e.g. "Tchad", "Afrique"
+      trim: true,
+      maxlength: [100, "La région ne peut pas dépasser 100 caractères"],
+    },
+    baseMapUrl: {
+      type: String,
+      match: [/^https?:\/\/.+/, "L'URL de la carte doit être valide"],
+    },
+    features: {
+      type: [MapFeatureSchema],
+      default: [],
+      validate: {
+        validator: (features) =>
+          new Set(features.map((feature) => feature.featureId)).size ===
+          features.length,
+        message: "Les identifiants des éléments de carte doivent être uniques",
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Subschema for a hotspot of a diagram, in pixels of the original image
+ * from its top-left corner: a rectangle (x, y, width, height), a circle
+ * (x, y, radius) or a polygon (points).
+ * @module HotspotSubSchema
+ */
+const HotspotSchema = new Schema(
+  {
+    hotspotId: {
+      type: String,
+      required: [true, "L'identifiant de la zone est requis"],
+      trim: true,
+      maxlength: [100, "L'identifiant ne peut pas dépasser 100 caractères"],
+    },
+    shape: {
+      type: String,
+      enum: DIAGRAM_HOTSPOT_SHAPES,
+      required: [true, "La forme de la zone est requise"],
+    },
+    x: Number,
+    y: Number,
+    width: Number,
+    height: Number,
+    radius: Number,
+    points: {
+      type: [[Number]], // [x, y] vertices of a polygon
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Subschema for the diagram of a diagram labeling question: the image and
+ * the hotspots students click or drop labels on.
+ * @module DiagramSubSchema
+ */
+const DiagramSchema = new Schema(
+  {
+    imageUrl: {
+      type: String,
+      required: [true, "L'URL de l'image est requise"],
+      match: [/^https?:\/\/.+/, "L'URL de l'image doit être valide"],
+    },
+    width: {
+      type: Number, // pixels
+      required: [true, "La largeur de l'image est requise"],
+      min: [1, "La largeur de l'image doit être positive"],
+      max: [
+        DIAGRAM_LIMITS.MAX_IMAGE_SIZE,
+        `La largeur de l'image ne peut pas dépasser ${DIAGRAM_LIMITS.MAX_IMAGE_SIZE} pixels`,
+      ],
+    },
+    height: {
+      type: Number, // pixels
+      required: [true, "La hauteur de l'image est requise"],
+      min: [1, "La hauteur de l'image doit être positive"],
+      max: [
+        DIAGRAM_LIMITS.MAX_IMAGE_SIZE,
+        `La hauteur de l'image ne peut pas dépasser ${DIAGRAM_LIMITS.MAX_IMAGE_SIZE} pixels`,
+      ],
+    },
+    diagramType: {
+      type: String,
+      enum: PHYSICS_DIAGRAM_TYPES,
+    },
+    hotspots: {
+      type: [HotspotSchema],
+      default: [],
+      validate: {
+        validator: function (hotspots) {
+          return (
+            checkHotspots({ width: this.width, height: this.height, hotspots })
+              .errors.length === 0
+          );
+        },
+        message: "Les zones doivent être valides et tenir dans l'image",
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Subschema for a performance level of a rubric criterion.
+ * @module RubricLevelSubSchema
+ */
+const RubricLevelSchema = new Schema(
+  {
+    label: {
+      type: String,
+      required: [true, "Le libellé du niveau est requis"],
+      trim: true,
+      maxlength: [100, "Le libellé ne peut pas dépasser 100 caractères"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "La description ne peut pas dépasser 500 caractères"],
+    },
+    points: {
+      type: Number,
+      required: [true, "Les points du niveau sont requis"],
+      min: [0, "Les points du niveau ne peuvent pas être négatifs"],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Subschema for a criterion of a rubric, e.g. "Problématisation" for a
+ * philosophy dissertation.
+ * @module RubricCriterionSubSchema
+ */
+const RubricCriterionSchema = new Schema(
+  {
+    criterionId: {
+      type: String,
+      required: [true, "L'identifiant du critère est requis"],
+      trim: true,
+      maxlength: [100, "L'identifiant ne peut pas dépasser 100 caractères"],
+    },
+    title: {
+      type: String,
+      required: [true, "Le titre du critère est requis"],
+      trim: true,
+      maxlength: [200, "Le titre ne peut pas dépasser 200 caractères"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "La description ne peut pas dépasser 1000 caractères"],
+    },
+    levels: {
+      type: [RubricLevelSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Subschema for the rubric teachers score open answers with.
+ * @module RubricSubSchema
+ */
+const RubricSchema = new Schema(
+  {
+    criteria: {
+      type: [RubricCriterionSchema],
+      default: [],
+      validate: {
+        validator: (criteria) => getRubricError({ criteria }) === null,
+        message:
+          "La grille doit avoir des critères uniques avec des niveaux valides",
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Subschema for item response theory (2PL) parameters fitted from session answers.
+ * @module IrtSubSchema
+ */
+const IrtSchema = new Schema({
+  difficulty: {
+    type: Number, // b, on the ability (logit) scale
+    min: [-4, "La difficulté IRT doit être au moins -4"],
+    max: [4, "La difficulté IRT ne peut pas dépasser 4"],
+  },
+  discrimination: {
+    type: Number, // a
+    min: [0, "La discrimination IRT ne peut pas être négative"],
+    max: [3, "La discrimination IRT ne peut pas dépasser 3"],
+  },
+  sampleSize: {
+    type: Number,
+    default: 0,
+    min: [0, "La taille de l'échantillon ne peut pas être négative"],
+  },
+  calibratedAt: {
+    type: Date,
+  },
+});
+
+/**
+ * Subschema for a step of the editorial review workflow.
+ * @module ReviewEventSubSchema
+ */
+const ReviewEventSchema = new Schema({
+  action: {
+    type: String,
+    enum: QUESTION_REVIEW_ACTIONS,
+    required: [true, "L'action de revue est requise"],
+  },
+  userId: {
+    type: Types.ObjectId,
+    ref: "User",
+    required: [true, "L'ID de l'utilisateur est requis"],
+  },
+  fromStatus: {
+    type: String,
+    enum: QUESTION_STATUSES,
+  },
+  toStatus: {
+    type: String,
+    enum: QUESTION_STATUSES,
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, "Le commentaire ne peut pas dépasser 1000 caractères"],
+  },
+  requestedChanges: {
+    type: [String],
+    maxlength: [500, "Chaque modification ne peut pas dépasser 500 caractères"],
+    default: [],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 // ================= SCHEMA =================
 /**
  * Mongoose schema for questions, supporting various formats and subjects.
@@ -91,11 +508,11 @@ const QuestionSchema = new Schema(
       default: [],
       validate: {
         validator: function (options) {
-          if ([QUESTION_TYPES[0], QUESTION_TYPES[3]].includes(this.format)) {
+          if ([QUESTION_TYPES[0], QUESTION_TYPES[10]].includes(this.format)) {
             // multiple_choice, true_false
             return options && options.length >= 2;
           }
-          if (this.format === QUESTION_TYPES[5]) {
+          if (this.format === QUESTION_TYPES[11]) {
             // matching
             return options && options.length % 2 === 0;
           }
@@ -109,15 +526,89 @@ const QuestionSchema = new Schema(
       required: [true, "La réponse correcte est requise"],
       validate: {
         validator: function (answer) {
-          if (this.format === QUESTION_TYPES[3]) {
+          if (this.format === QUESTION_TYPES[10]) {
             // true_false
             return typeof answer === "boolean";
           }
           if (this.format === QUESTION_TYPES[0]) {
-            // multiple_choice
-            return this.options.includes(answer);
+            // multiple_choice (an array of answers means multi-select)
+            return Array.isArray(answer)
+              ? answer.length > 0 &&
+                  answer.every((value) => this.options.includes(value))
+              : this.options.includes(answer);
           }
-          if (this.format === QUESTION_TYPES[5]) {
+          if (this.format === QUESTION_TYPES[3]) {
+            // calculation: number, "12,5 km/h", { value, unit, tolerance }
+            // or, for templated questions, { formula, unit, tolerance }
+            if (answer && typeof answer === "object") {
+              if (this.template?.variables?.length > 0) {
+                return typeof answer.formula === "string";
+              }
+              return answer.value !== undefined && answer.value !== null;
+            }
+            return (
+              (typeof answer === "number" && Number.isFinite(answer)) ||
+              (typeof answer === "string" && /\d/.test(answer))
+            );
+          }
+          if ([QUESTION_TYPES[8], QUESTION_TYPES[9]].includes(this.format)) {
+            // fill_in_the_blank, text_sequencing
+            return Array.isArray(answer)
+              ? answer.length > 0
+              : this.format === QUESTION_TYPES[8] && typeof answer === "string";
+          }
+          if (
+            this.format === QUESTION_TYPES[6] &&
+            answer &&
+            typeof answer === "object"
+          ) {
+            // map_analysis: a target {featureId} or {geometry, tolerance},
+            // or a list of targets with a label each
+            const featureIds = (this.map?.features ?? []).map(
+              (feature) => feature.featureId
+            );
+            const isTarget = (target) =>
+              !!target &&
+              typeof target === "object" &&
+              (target.featureId !== undefined
+                ? featureIds.includes(target.featureId)
+                : isValidGeometry(target.geometry));
+            return Array.isArray(answer)
+              ? answer.every((target) => typeof target === "string") ||
+                  (answer.length > 0 &&
+                    answer.every((target) => isTarget(target) && target.label))
+              : isTarget(answer);
+          }
+          if (
+            this.format === QUESTION_TYPES[4] &&
+            this.diagram?.hotspots?.length > 0
+          ) {
+            // diagram_labeling with hotspots: the hotspot(s) to click, or
+            // label → hotspot pairs ({label, target} or a mapping)
+            const hotspotIds = this.diagram.hotspots.map(
+              (hotspot) => hotspot.hotspotId
+            );
+            if (typeof answer === "string") return hotspotIds.includes(answer);
+            if (!Array.isArray(answer)) {
+              return (
+                !!answer &&
+                typeof answer === "object" &&
+                Object.values(answer).every((id) => hotspotIds.includes(id))
+              );
+            }
+            return (
+              answer.length > 0 &&
+              answer.every((value) =>
+                typeof value === "string"
+                  ? hotspotIds.includes(value)
+                  : !!(value?.label ?? value?.question ?? value?.left) &&
+                    hotspotIds.includes(
+                      value.target ?? value.answer ?? value.right
+                    )
+              )
+            );
+          }
+          if (this.format === QUESTION_TYPES[11]) {
             // matching
             return (
               Array.isArray(answer) &&
@@ -129,6 +620,63 @@ const QuestionSchema = new Schema(
         message: "Réponse correcte invalide pour le format de la question",
       },
     },
+    grading: {
+      type: GradingSchema,
+      default: () => ({}),
+    },
+    template: {
+      type: TemplateSchema,
+      validate: {
+        validator: function (template) {
+          // Only calculation questions are templated; update queries only
+          // know the format when they change it too
+          const format = this.get("format");
+          return (
+            !template?.variables?.length ||
+            !format ||
+            format === QUESTION_TYPES[3]
+          );
+        },
+        message: "Seules les questions de calcul peuvent avoir des variables",
+      },
+    },
+    map: {
+      type: MapSchema,
+      validate: {
+        validator: function (map) {
+          // Same rule as templates for update queries without the format
+          const format = this.get("format");
+          return !map || !format || format === QUESTION_TYPES[6];
+        },
+        message: "Seules les questions d'analyse de carte peuvent avoir une carte",
+      },
+    },
+    diagram: {
+      type: DiagramSchema,
+      validate: {
+        validator: function (diagram) {
+          const format = this.get("format");
+          return !diagram || !format || format === QUESTION_TYPES[4];
+        },
+        message: "Seules les questions d'étiquetage de schéma peuvent avoir un schéma",
+      },
+    },
+    rubric: {
+      type: RubricSchema,
+      validate: {
+        validator: function (rubric) {
+          // Only open answers are scored by a teacher
+          const format = this.get("format");
+          return (
+            !rubric ||
+            !format ||
+            [QUESTION_TYPES[2], QUESTION_TYPES[5]].includes(format) // essay, source_analysis
+          );
+        },
+        message:
+          "Seules les questions de rédaction et d'analyse de document peuvent avoir une grille",
+      },
+    },
     explanation: {
       type: String,
       required: [true, "L'explication est requise"],
@@ -172,6 +720,10 @@ const QuestionSchema = new Schema(
       type: [{ type: Types.ObjectId, ref: "Question" }],
       default: [],
     },
+    passageId: {
+      type: Types.ObjectId,
+      ref: "Passage", // text or source shared with the other questions on it
+    },
     // Analytics
     analytics: {
       totalAttempts: { type: Number, default: 0 },
@@ -180,6 +732,10 @@ const QuestionSchema = new Schema(
       skipRate: { type: Number, default: 0 },
       difficultyRating: { type: Number, default: 0 },
     },
+    irt: {
+      type: IrtSchema,
+      default: () => ({}),
+    },
     // Content enhancements
     content: {
       media: {
@@ -214,6 +770,17 @@ const QuestionSchema = new Schema(
         default: [],
       },
     },
+    // Editorial review
+    review: {
+      reviewerId: { type: Types.ObjectId, ref: "User" },
+      assignedBy: { type: Types.ObjectId, ref: "User" },
+      assignedAt: { type: Date },
+      submittedAt: { type: Date },
+      history: {
+        type: [ReviewEventSchema],
+        default: [],
+      },
+    },
     // Usage
     usage: {
       assessmentCount: { type: Number, default: 0 },
@@ -234,6 +801,20 @@ const QuestionSchema = new Schema(
       type: Boolean,
       default: true,
     },
+    // Latest revision number, see ContentRevision
+    version: {
+      type: Number,
+      default: 1,
+      min: [1, "La version doit être au moins 1"],
+    },
+    // Set when the question was merged into a duplicate that was kept
+    mergedInto: {
+      type: Types.ObjectId,
+      ref: "Question",
+    },
+    mergedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -251,6 +832,9 @@ QuestionSchema.index({ series: 1, level: 1 });
 QuestionSchema.index({ "analytics.totalAttempts": -1 });
 QuestionSchema.index({ "usage.popularityScore": -1 }, { sparse: true });
 QuestionSchema.index({ relatedQuestions: 1 }, { sparse: true });
+QuestionSchema.index({ mergedInto: 1 }, { sparse: true });
+QuestionSchema.index({ passageId: 1 }, { sparse: true });
+QuestionSchema.index({ "review.reviewerId": 1, status: 1 }, { sparse: true });
 
 // =============== MIDDLEWARE =============
 /**
@@ -259,7 +843,7 @@ QuestionSchema.index({ relatedQuestions: 1 }, { sparse: true });
  */
 QuestionSchema.pre("save", async function (next) {
   try {
-    const [topic, subject, creator, verifiedBy, relatedQuestions] =
+    const [topic, subject, creator, verifiedBy, relatedQuestions, passage] =
       await Promise.all([
         this.model("Topic").findById(this.topicId),
         this.model("Subject").findById(this.subjectId),
@@ -270,6 +854,9 @@ QuestionSchema.pre("save", async function (next) {
         this.relatedQuestions.length > 0
           ? this.model("Question").find({ _id: { $in: this.relatedQuestions } })
           : Promise.resolve([]),
+        this.passageId
+          ? this.model("Passage").findById(this.passageId)
+          : Promise.resolve(null),
       ]);
     if (!topic) return next(new Error("ID de sujet invalide"));
     if (!subject) return next(new Error("ID de matière invalide"));
@@ -279,6 +866,8 @@ QuestionSchema.pre("save", async function (next) {
     if (relatedQuestions.length !== this.relatedQuestions.length) {
       return next(new Error("Un ou plusieurs ID de questions liées invalides"));
     }
+    if (this.passageId && !passage)
+      return next(new Error("ID de texte invalide"));
     next();
   } catch (error) {
     next(error);
@@ -317,7 +906,7 @@ QuestionSchema.virtual("isMultipleChoice").get(function () {
  * @returns {boolean} True if format is true_false.
  */
 QuestionSchema.virtual("isTrueFalse").get(function () {
-  return this.format === QUESTION_TYPES[3]; // true_false
+  return this.format === QUESTION_TYPES[10]; // true_false
 });
 
 /**
@@ -393,6 +982,32 @@ QuestionSchema.methods.verify = function (
   return this.save();
 };
 
+/**
+ * Records a step of the editorial review and moves the question to its new status.
+ * @param {string} action - Review action (see QUESTION_REVIEW_ACTIONS).
+ * @param {string} userId - ID of the user taking the action.
+ * @param {string} toStatus - Status after the action.
+ * @param {Object} [details={}] - Optional comment and requestedChanges.
+ * @returns {Document} The question, unsaved.
+ */
+QuestionSchema.methods.recordReviewEvent = function (
+  action,
+  userId,
+  toStatus,
+  details = {}
+) {
+  this.review.history.push({
+    action,
+    userId,
+    fromStatus: this.status,
+    toStatus,
+    comment: details.comment,
+    requestedChanges: details.requestedChanges ?? [],
+  });
+  this.status = toStatus;
+  return this;
+};
+
 /**
  * Adds a related question if not already linked.
  * @param {string} questionId - ID of the related question.
@@ -406,6 +1021,24 @@ QuestionSchema.methods.addRelatedQuestion = function (questionId) {
   return Promise.resolve(this);
 };
 
+/**
+ * Gets the 2PL parameters used for adaptive testing. Items that are not
+ * calibrated yet start from a difficulty derived from their level.
+ * @returns {{a: number, b: number, calibrated: boolean}} Item parameters.
+ */
+QuestionSchema.methods.getIrtParameters = function () {
+  const calibrated =
+    typeof this.irt?.difficulty === "number" &&
+    typeof this.irt?.discrimination === "number";
+  return {
+    a: calibrated ? this.irt.discrimination : 1,
+    b: calibrated
+      ? this.irt.difficulty
+      : IRT_DIFFICULTY_PRIORS[this.difficulty] ?? 0,
+    calibrated,
+  };
+};
+
 // =============== STATICS =============
 /**
  * Finds questions by subject and topic with optional filters.
@@ -0,0 +1,191 @@
+const { Schema, model, Types } = require("mongoose");
+const {
+  QUESTION_REPORT_CATEGORIES,
+  QUESTION_REPORT_STATUSES,
+} = require("../../constants");
+
+// =============== CONSTANTS =============
+/**
+ * Imported constants for question report categories and statuses.
+ * @see module:constants/index
+ */
+
+// =============== SUBSCHEMAS =============
+/**
+ * Subschema for a problem reported by one student.
+ * @module ReportEntrySchema
+ */
+const ReportEntrySchema = new Schema({
+  userId: {
+    type: Types.ObjectId,
+    ref: "User",
+    required: [true, "L'ID de l'utilisateur est requis"],
+  },
+  category: {
+    type: String,
+    enum: {
+      values: QUESTION_REPORT_CATEGORIES,
+      message: "{VALUE} n'est pas une catégorie de signalement valide",
+    },
+    required: [true, "La catégorie du signalement est requise"],
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, "Le message ne peut pas dépasser 1000 caractères"],
+  },
+  sessionId: {
+    type: Types.ObjectId,
+    ref: "QuizSession", // session in which the problem was seen
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Subschema for the reviewer's decision on a group of reports.
+ * @module ReportResolutionSchema
+ */
+const ReportResolutionSchema = new Schema({
+  reviewedBy: {
+    type: Types.ObjectId,
+    ref: "User",
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, "Les notes ne peuvent pas dépasser 1000 caractères"],
+  },
+  changes: {
+    type: [String], // question fields corrected when the reports were accepted
+    default: [],
+  },
+  rescore: {
+    sessionsRescored: { type: Number, default: 0 },
+    resultsUpdated: { type: Number, default: 0 },
+  },
+});
+
+// ==================== SCHEMA ==================
+/**
+ * Mongoose schema for question reports. Reports on the same question are
+ * grouped in one open document until a reviewer accepts or rejects them.
+ * @module QuestionReportSchema
+ */
+const QuestionReportSchema = new Schema(
+  {
+    questionId: {
+      type: Types.ObjectId,
+      ref: "Question",
+      required: [true, "L'ID de la question est requis"],
+    },
+    // Copied from the question to filter the triage queue
+    subjectId: {
+      type: Types.ObjectId,
+      ref: "Subject",
+    },
+    topicId: {
+      type: Types.ObjectId,
+      ref: "Topic",
+    },
+    status: {
+      type: String,
+      enum: {
+        values: QUESTION_REPORT_STATUSES,
+        message: "{VALUE} n'est pas un statut de signalement valide",
+      },
+      default: QUESTION_REPORT_STATUSES[0], // open
+    },
+    reports: {
+      type: [ReportEntrySchema],
+      default: [],
+      validate: {
+        validator: (reports) => reports.length <= 500,
+        message: "Trop de signalements pour une même question (maximum 500)",
+      },
+    },
+    reportCount: {
+      type: Number,
+      default: 0,
+      min: [0, "Le nombre de signalements ne peut pas être négatif"],
+    },
+    categories: {
+      type: [String], // distinct categories of the grouped reports
+      enum: QUESTION_REPORT_CATEGORIES,
+      default: [],
+    },
+    lastReportedAt: {
+      type: Date,
+    },
+    resolution: {
+      type: ReportResolutionSchema,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============== INDEXES =================
+// One open group per question
+QuestionReportSchema.index(
+  { questionId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: QUESTION_REPORT_STATUSES[0] }, // open
+  }
+);
+QuestionReportSchema.index({ status: 1, reportCount: -1, createdAt: 1 });
+QuestionReportSchema.index({ subjectId: 1, status: 1 });
+QuestionReportSchema.index({ categories: 1, status: 1 });
+QuestionReportSchema.index({ "reports.userId": 1 });
+
+// =============== VIRTUALS =============
+/**
+ * Virtual field counting the grouped reports by category.
+ * @returns {Object} Report count per category.
+ */
+QuestionReportSchema.virtual("categoryCounts").get(function () {
+  return (this.reports ?? []).reduce((counts, report) => {
+    counts[report.category] = (counts[report.category] ?? 0) + 1;
+    return counts;
+  }, {});
+});
+
+// =============== METHODS =============
+/**
+ * Adds a student report to the group. A student reporting the same
+ * category again updates their message instead of adding a report.
+ * @param {Object} entry - Report with userId, category, message and sessionId.
+ * @returns {Document} The question report, unsaved.
+ */
+QuestionReportSchema.methods.addReport = function (entry) {
+  const existing = this.reports.find(
+    (report) =>
+      report.userId.equals(entry.userId) && report.category === entry.category
+  );
+  if (existing) {
+    existing.set({ ...entry, createdAt: new Date() });
+  } else {
+    this.reports.push(entry);
+  }
+  this.reportCount = this.reports.length;
+  this.categories = [...new Set(this.reports.map((report) => report.category))];
+  this.lastReportedAt = new Date();
+  return this;
+};
+
+/**
+ * QuestionReport model for interacting with the QuestionReport collection.
+ * @type {mongoose.Model}
+ */
+module.exports = {
+  QuestionReport: model("QuestionReport", QuestionReportSchema),
+};
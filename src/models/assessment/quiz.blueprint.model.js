@@ -0,0 +1,241 @@
+const { Schema, model, Types } = require("mongoose");
+const {
+  EXERCISE_DIFFICULTY_LEVELS,
+  QUESTION_TYPES,
+} = require("../../constants");
+
+// =============== CONSTANTS =============
+/**
+ * Imported constants for difficulty levels (EXERCISE_DIFFICULTY_LEVELS) and question formats.
+ * @see module:constants/index
+ */
+
+// =============== SUBSCHEMAS =============
+/**
+ * Subschema for the weight of a topic in a blueprint.
+ * @module TopicWeightSchema
+ */
+const TopicWeightSchema = new Schema({
+  topicId: {
+    type: Types.ObjectId,
+    ref: "Topic",
+    required: [true, "L'ID du sujet est requis"],
+  },
+  weight: {
+    type: Number,
+    required: [true, "Le poids du sujet est requis"],
+    min: [1, "Le poids doit être au moins 1"],
+    max: [100, "Le poids ne peut pas dépasser 100"],
+  },
+});
+
+/**
+ * Subschema for the share of a difficulty level in a blueprint.
+ * @module DifficultyWeightSchema
+ */
+const DifficultyWeightSchema = new Schema({
+  difficulty: {
+    type: String,
+    enum: EXERCISE_DIFFICULTY_LEVELS,
+    required: [true, "La difficulté est requise"],
+  },
+  weight: {
+    type: Number,
+    required: [true, "Le poids de la difficulté est requis"],
+    min: [1, "Le poids doit être au moins 1"],
+    max: [100, "Le poids ne peut pas dépasser 100"],
+  },
+});
+
+/**
+ * Subschema for the settings copied onto generated quizzes.
+ * @module QuizSettingsSchema
+ */
+const QuizSettingsSchema = new Schema({
+  shuffleQuestions: {
+    type: Boolean,
+    default: true,
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: true,
+  },
+  showCorrectAnswers: {
+    type: Boolean,
+    default: true,
+  },
+  allowReview: {
+    type: Boolean,
+    default: true,
+  },
+  pauseStopsTimer: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// ================= SCHEMA =================
+/**
+ * Mongoose schema for quiz blueprints, describing how to generate quizzes from the question bank.
+ * @module QuizBlueprintSchema
+ */
+const QuizBlueprintSchema = new Schema(
+  {
+    // Blueprint details
+    title: {
+      type: String,
+      required: [true, "Le titre est requis"],
+      trim: true,
+      maxlength: [200, "Le titre ne peut pas dépasser 200 caractères"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "La description ne peut pas dépasser 1000 caractères"],
+    },
+    subjectId: {
+      type: Types.ObjectId,
+      ref: "Subject",
+      required: [true, "L'ID de la matière est requis"],
+    },
+    series: {
+      type: [String],
+      default: [],
+    },
+    level: {
+      type: String,
+      enum: EXERCISE_DIFFICULTY_LEVELS,
+      required: [true, "Le niveau est requis"],
+    },
+    // Composition
+    topicWeights: {
+      type: [TopicWeightSchema],
+      validate: {
+        validator: (weights) => weights.length > 0,
+        message: "Le plan doit contenir au moins un sujet",
+      },
+    },
+    difficultyMix: {
+      type: [DifficultyWeightSchema],
+      default: [],
+    },
+    formats: {
+      type: [{ type: String, enum: QUESTION_TYPES }],
+      default: [], // empty means every format
+    },
+    totalPoints: {
+      type: Number,
+      required: [true, "Le total des points est requis"],
+      min: [1, "Le total des points doit être au moins 1"],
+      max: [1000, "Le total des points ne peut pas dépasser 1000"],
+    },
+    maxQuestions: {
+      type: Number,
+      default: 50,
+      min: [1, "Le plan doit autoriser au moins 1 question"],
+      max: [100, "Le plan ne peut pas dépasser 100 questions"],
+    },
+    recentExclusionDays: {
+      type: Number, // questions seen by the student within this window are avoided
+      default: 30,
+      min: [0, "La période d'exclusion ne peut pas être négative"],
+      max: [365, "La période d'exclusion ne peut pas dépasser 365 jours"],
+    },
+    // Generated quiz configuration
+    timeLimit: {
+      type: Number, // in seconds
+      required: [true, "La limite de temps est requise"],
+      min: [60, "La limite de temps doit être d'au moins 1 minute"],
+      max: [10800, "La limite de temps ne peut pas dépasser 3 heures"],
+    },
+    quizSettings: {
+      type: QuizSettingsSchema,
+      default: () => ({}),
+    },
+    premiumOnly: {
+      type: Boolean,
+      default: false,
+    },
+    // Usage
+    usage: {
+      generatedCount: { type: Number, default: 0 },
+      lastGeneratedAt: { type: Date },
+    },
+    createdBy: {
+      type: Types.ObjectId,
+      ref: "User",
+      required: [true, "L'ID du créateur est requis"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============== INDEXES =================
+QuizBlueprintSchema.index({ subjectId: 1, level: 1 });
+QuizBlueprintSchema.index({ createdBy: 1, createdAt: -1 });
+QuizBlueprintSchema.index({ isActive: 1 });
+
+// =============== MIDDLEWARE =============
+/**
+ * Pre-save middleware to reject duplicated topics and difficulty levels.
+ * @param {Function} next - Callback to proceed with save.
+ */
+QuizBlueprintSchema.pre("save", function (next) {
+  const topicIds = this.topicWeights.map((entry) => entry.topicId.toString());
+  if (new Set(topicIds).size !== topicIds.length) {
+    return next(new Error("Un sujet ne peut apparaître qu'une fois dans le plan"));
+  }
+
+  const difficulties = this.difficultyMix.map((entry) => entry.difficulty);
+  if (new Set(difficulties).size !== difficulties.length) {
+    return next(
+      new Error("Une difficulté ne peut apparaître qu'une fois dans le plan")
+    );
+  }
+  next();
+});
+
+// =============== METHODS =============
+/**
+ * Gets the normalized share of each topic.
+ * @returns {Map<string, number>} Topic ID to share (0-1).
+ */
+QuizBlueprintSchema.methods.getTopicShares = function () {
+  const total = this.topicWeights.reduce((sum, entry) => sum + entry.weight, 0);
+  return new Map(
+    this.topicWeights.map((entry) => [
+      entry.topicId.toString(),
+      total > 0 ? entry.weight / total : 0,
+    ])
+  );
+};
+
+/**
+ * Gets the normalized share of each difficulty level; an empty mix spreads evenly.
+ * @returns {Map<string, number>} Difficulty to share (0-1).
+ */
+QuizBlueprintSchema.methods.getDifficultyShares = function () {
+  const mix = this.difficultyMix.length
+    ? this.difficultyMix
+    : EXERCISE_DIFFICULTY_LEVELS.map((difficulty) => ({ difficulty, weight: 1 }));
+  const total = mix.reduce((sum, entry) => sum + entry.weight, 0);
+  return new Map(
+    mix.map((entry) => [entry.difficulty, total > 0 ? entry.weight / total : 0])
+  );
+};
+
+/**
+ * QuizBlueprint model for interacting with the QuizBlueprint collection.
+ * @type {mongoose.Model}
+ */
+module.exports = {
+  QuizBlueprint: model("QuizBlueprint", QuizBlueprintSchema),
+};
@@ -51,6 +51,10 @@ const SettingsSchema = new Schema({
     type: Boolean,
     default: true,
   },
+  pauseStopsTimer: {
+    type: Boolean,
+    default: false,
+  },
 });
 
 /**
@@ -128,6 +132,14 @@ const QuizSchema = new Schema(
       ref: "User",
       required: [true, "L'ID du créateur est requis"],
     },
+    blueprintId: {
+      type: Types.ObjectId,
+      ref: "QuizBlueprint", // set when the quiz is generated from a blueprint
+    },
+    generatedFor: {
+      type: Types.ObjectId,
+      ref: "User", // student a generated variant was built for
+    },
     level: {
       type: String,
       enum: EXERCISE_DIFFICULTY_LEVELS,
@@ -137,7 +149,7 @@ const QuizSchema = new Schema(
       type: Number,
       required: [true, "La limite de temps est requise"],
       min: [60, "La limite de temps doit être d'au moins 1 minute"],
-      max: [10800, "La limite de temps ne peut pas dépasser 3 heures"],
+      max: [21600, "La limite de temps ne peut pas dépasser 6 heures"], // long BAC papers
     },
     // Configuration
     retakePolicy: {
@@ -200,6 +212,7 @@ QuizSchema.index({ subjectId: 1, level: 1 });
 QuizSchema.index({ createdBy: 1, createdAt: -1 });
 QuizSchema.index({ isActive: 1, premiumOnly: 1 }, { sparse: true });
 QuizSchema.index({ tags: 1 }, { sparse: true });
+QuizSchema.index({ blueprintId: 1, generatedFor: 1 }, { sparse: true });
 
 // =============== VIRTUALS =============
 /**
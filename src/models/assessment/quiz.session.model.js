@@ -1,9 +1,18 @@
 const { Schema, model, Types } = require("mongoose");
-const { QUIZ_SESSION_STATUSES } = require("../../constants");
+const {
+  QUIZ_SESSION_STATUSES,
+  GRADING_STATUSES,
+  QUIZ_SESSION_MODES,
+  ADAPTIVE_STOP_REASONS,
+  OFFLINE_ANSWER_REJECTIONS,
+  INTEGRITY_EVENT_TYPES,
+  INTEGRITY_FLAG_TYPES,
+  INTEGRITY_REVIEW_STATUSES,
+} = require("../../constants");
 
 // =============== CONSTANTS =============
 /**
- * Imported constants for quiz session statuses.
+ * Imported constants for quiz session statuses, answer grading statuses, session modes, adaptive stop reasons, offline answer rejections and integrity monitoring.
  * @see module:constants/index
  */
 
@@ -22,6 +31,24 @@ const AnswerSchema = new Schema({
   isCorrect: {
     type: Boolean,
   },
+  pointsEarned: {
+    type: Number,
+    default: 0,
+    min: [0, "Les points obtenus ne peuvent pas être négatifs"],
+  },
+  maxPoints: {
+    type: Number,
+    default: 0,
+    min: [0, "Les points maximum ne peuvent pas être négatifs"],
+  },
+  gradingStatus: {
+    type: String,
+    enum: GRADING_STATUSES,
+  },
+  manualGradeId: {
+    type: Types.ObjectId,
+    ref: "ManualGrade", // set once a teacher has scored the answer
+  },
   timeSpent: {
     type: Number, // in seconds
     default: 0,
@@ -30,6 +57,9 @@ const AnswerSchema = new Schema({
     type: Date,
     default: Date.now,
   },
+  questionVersion: {
+    type: Number, // revision of the question that was answered
+  },
   flagged: {
     type: Boolean,
     default: false,
@@ -38,6 +68,13 @@ const AnswerSchema = new Schema({
     type: Boolean,
     default: false,
   },
+  optionOrder: {
+    type: [Number], // canonical option indexes in the order shown to the student
+    default: [],
+  },
+  parameterValues: {
+    type: Schema.Types.Mixed, // values drawn for a templated question, by variable name
+  },
 });
 
 /**
@@ -114,6 +151,204 @@ const SettingsSchema = new Schema({
   },
 });
 
+/**
+ * Subschema for one step of an adaptive session's ability estimate.
+ * @module AbilityStepSchema
+ */
+const AbilityStepSchema = new Schema({
+  questionId: {
+    type: Types.ObjectId,
+    ref: "Question",
+  },
+  abilityEstimate: {
+    type: Number,
+  },
+  standardError: {
+    type: Number,
+  },
+});
+
+/**
+ * Subschema for the state of an adaptive (CAT) session.
+ * @module AdaptiveStateSchema
+ */
+const AdaptiveStateSchema = new Schema({
+  itemPool: {
+    type: [{ type: Types.ObjectId, ref: "Question" }],
+    default: [],
+  },
+  abilityEstimate: {
+    type: Number,
+    default: 0,
+  },
+  standardError: {
+    type: Number,
+    default: 1,
+  },
+  targetStandardError: {
+    type: Number,
+    min: [0.05, "L'erreur type cible doit être au moins 0.05"],
+  },
+  minQuestions: {
+    type: Number,
+    min: [1, "Le nombre minimum de questions doit être au moins 1"],
+  },
+  maxQuestions: {
+    type: Number,
+    min: [1, "Le nombre maximum de questions doit être au moins 1"],
+  },
+  history: {
+    type: [AbilityStepSchema],
+    default: [],
+  },
+  stopReason: {
+    type: String,
+    enum: ADAPTIVE_STOP_REASONS,
+  },
+});
+
+/**
+ * Subschema for an offline answer that was not applied to the session.
+ * @module RejectedAnswerSchema
+ */
+const RejectedAnswerSchema = new Schema({
+  questionId: {
+    type: String, // kept as sent, it may not be a known question
+  },
+  answeredAt: {
+    type: Date,
+  },
+  reason: {
+    type: String,
+    enum: OFFLINE_ANSWER_REJECTIONS,
+    required: [true, "La raison du rejet est requise"],
+  },
+});
+
+/**
+ * Subschema for the offline bundle a session was uploaded from.
+ * @module OfflineSyncSchema
+ */
+const OfflineSyncSchema = new Schema({
+  bundleId: {
+    type: String,
+    required: [true, "L'ID du paquet hors ligne est requis"],
+  },
+  bundleVersion: {
+    type: Number,
+  },
+  issuedAt: {
+    type: Date,
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  mergedWithOnline: {
+    type: Boolean, // true when the answers were merged into an online session
+    default: false,
+  },
+  rejectedAnswers: {
+    type: [RejectedAnswerSchema],
+    default: [],
+  },
+});
+
+/**
+ * Subschema for an integrity event reported by the client or detected by the server.
+ * @module IntegrityEventSchema
+ */
+const IntegrityEventSchema = new Schema({
+  type: {
+    type: String,
+    enum: {
+      values: INTEGRITY_EVENT_TYPES,
+      message: `Le type d'événement doit être l'un des suivants : ${INTEGRITY_EVENT_TYPES.join(
+        ", "
+      )}`,
+    },
+    required: [true, "Le type d'événement est requis"],
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  questionId: {
+    type: Types.ObjectId,
+    ref: "Question",
+  },
+  details: {
+    type: String,
+    maxlength: [500, "Les détails ne peuvent pas dépasser 500 caractères"],
+  },
+});
+
+/**
+ * Subschema for an integrity flag raised by the server.
+ * @module IntegrityFlagSchema
+ */
+const IntegrityFlagSchema = new Schema({
+  type: {
+    type: String,
+    enum: INTEGRITY_FLAG_TYPES,
+    required: [true, "Le type de signalement est requis"],
+  },
+  questionIds: {
+    type: [{ type: Types.ObjectId, ref: "Question" }],
+    default: [],
+  },
+  relatedSessionId: {
+    type: Types.ObjectId,
+    ref: "QuizSession", // session with a near-identical answer pattern
+  },
+  penalty: {
+    type: Number,
+    default: 0,
+    min: [0, "La pénalité ne peut pas être négative"],
+  },
+  details: {
+    type: String,
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Subschema for the integrity record of a session.
+ * @module IntegritySchema
+ */
+const IntegritySchema = new Schema({
+  events: {
+    type: [IntegrityEventSchema],
+    default: [],
+  },
+  flags: {
+    type: [IntegrityFlagSchema],
+    default: [],
+  },
+  score: {
+    type: Number,
+    default: 100,
+    min: [0, "Le score d'intégrité ne peut pas être négatif"],
+    max: [100, "Le score d'intégrité ne peut pas dépasser 100"],
+  },
+  review: {
+    status: {
+      type: String,
+      enum: INTEGRITY_REVIEW_STATUSES,
+      default: INTEGRITY_REVIEW_STATUSES[0], // none
+    },
+    reviewedBy: { type: Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    notes: {
+      type: String,
+      maxlength: [1000, "Les notes ne peuvent pas dépasser 1000 caractères"],
+    },
+  },
+});
+
 /**
  * Subschema for quiz session metadata.
  * @module MetadataSchema
@@ -155,7 +390,16 @@ const QuizSessionSchema = new Schema(
     quizId: {
       type: Types.ObjectId,
       ref: "Quiz",
-      required: [true, "L'ID du quiz est requis"],
+      required: [
+        function () {
+          return !this.challengeId;
+        },
+        "L'ID du quiz est requis",
+      ],
+    },
+    challengeId: {
+      type: Types.ObjectId,
+      ref: "Challenge", // set when the session is a challenge attempt
     },
     sessionId: {
       type: String,
@@ -164,9 +408,11 @@ const QuizSessionSchema = new Schema(
       default: () =>
         `session_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
     },
+    shuffleSeed: {
+      type: String, // seeds the question and option order of the session
+    },
     startTime: {
-      type: Date,
-      default: Date.now,
+      type: Date, // set when the session is first started
     },
     endTime: {
       type: Date,
@@ -176,8 +422,43 @@ const QuizSessionSchema = new Schema(
       default: Date.now,
     },
     timeRemaining: {
+      type: Number, // in seconds, recomputed by the server on every save
+      default: 0,
+    },
+    // Timer (copied from the quiz when the session is created)
+    timeLimit: {
+      type: Number, // in seconds, 0 means untimed
+      default: 0,
+      min: [0, "La limite de temps ne peut pas être négative"],
+    },
+    pauseStopsTimer: {
+      type: Boolean,
+      default: false,
+    },
+    pausedAt: {
+      type: Date,
+    },
+    autoSubmitted: {
+      type: Boolean,
+      default: false,
+    },
+    resultId: {
+      type: Types.ObjectId,
+      ref: "QuizResult", // result produced when the session ends
+    },
+    timeTaken: {
       type: Number, // in seconds
+    },
+    // Scoring
+    score: {
+      type: Number,
       default: 0,
+      min: [0, "Le score ne peut pas être négatif"],
+    },
+    maxScore: {
+      type: Number,
+      default: 0,
+      min: [0, "Le score maximum ne peut pas être négatif"],
     },
     // Answers
     answers: {
@@ -215,6 +496,24 @@ const QuizSessionSchema = new Schema(
       type: SettingsSchema,
       default: () => ({}),
     },
+    // Adaptive testing
+    mode: {
+      type: String,
+      enum: QUIZ_SESSION_MODES,
+      default: QUIZ_SESSION_MODES[0], // standard
+    },
+    adaptive: {
+      type: AdaptiveStateSchema,
+    },
+    // Offline attempt
+    offline: {
+      type: OfflineSyncSchema,
+    },
+    // Integrity monitoring
+    integrity: {
+      type: IntegritySchema,
+      default: () => ({}),
+    },
     // Metadata
     metadata: {
       type: MetadataSchema,
@@ -235,6 +534,12 @@ QuizSessionSchema.index({ quizId: 1, status: 1 });
 QuizSessionSchema.index({ startTime: 1, status: 1 });
 QuizSessionSchema.index({ lastActive: 1, status: 1 });
 QuizSessionSchema.index({ endTime: 1 }, { sparse: true });
+QuizSessionSchema.index({ challengeId: 1, status: 1 }, { sparse: true });
+QuizSessionSchema.index({ "integrity.review.status": 1, "integrity.score": 1 });
+QuizSessionSchema.index(
+  { "offline.bundleId": 1 },
+  { unique: true, sparse: true }
+);
 
 // =============== VIRTUALS =============
 /**
@@ -252,15 +557,24 @@ QuizSessionSchema.virtual("sessionDuration").get(function () {
 });
 
 /**
- * Virtual field for time elapsed excluding paused duration.
+ * Virtual field for time elapsed on the session timer.
  * @returns {number} Elapsed time in seconds.
  */
 QuizSessionSchema.virtual("timeElapsed").get(function () {
-  if (this.startTime) {
-    const elapsed = Math.floor((new Date() - this.startTime) / 1000);
-    return elapsed - (this.metadata?.pausedDuration ?? 0);
+  return Math.floor(this.getElapsedSeconds());
+});
+
+/**
+ * Virtual field for the moment the session timer runs out.
+ * @returns {Date|null} Deadline, or null for untimed or unstarted sessions.
+ */
+QuizSessionSchema.virtual("deadline").get(function () {
+  if (!this.timeLimit || !this.startTime) return null;
+  if (this.status === QUIZ_SESSION_STATUSES[2] && this.pauseStopsTimer) {
+    // paused: the clock is stopped, so there is no wall-clock deadline yet
+    return null;
   }
-  return 0;
+  return new Date(Date.now() + this.getTimeRemaining() * 1000);
 });
 
 /**
@@ -284,11 +598,9 @@ QuizSessionSchema.virtual("completionPercentage").get(function () {
  * @returns {boolean} True if the session is expired.
  */
 QuizSessionSchema.virtual("isExpired").get(function () {
-  if (!(this.timeRemaining ?? 0) || this.status === QUIZ_SESSION_STATUSES[3]) {
-    // completed
-    return false;
-  }
-  return this.timeRemaining <= 0;
+  if (this.status === QUIZ_SESSION_STATUSES[5]) return true; // expired
+  if (this.status === QUIZ_SESSION_STATUSES[3]) return false; // completed
+  return this.hasTimeExpired();
 });
 
 // =============== MIDDLEWARE =============
@@ -313,6 +625,11 @@ QuizSessionSchema.pre("save", function (next) {
     this.progress.percentageComplete = this.completionPercentage;
   }
 
+  // Keep the stored remaining time in line with the server clock
+  if (this.timeLimit > 0) {
+    this.timeRemaining = Math.floor(this.getTimeRemaining());
+  }
+
   // Update last active time
   this.lastActive = new Date();
 
@@ -338,6 +655,64 @@ QuizSessionSchema.methods.canResume = function () {
   return this.status === QUIZ_SESSION_STATUSES[2] && !this.isExpired; // paused
 };
 
+/**
+ * Computes the time counted against the session timer. Paused time is only
+ * excluded when the quiz allows pausing to stop the clock.
+ * @param {Date} [now=new Date()] - Reference time.
+ * @returns {number} Elapsed time in seconds.
+ */
+QuizSessionSchema.methods.getElapsedSeconds = function (now = new Date()) {
+  if (!this.startTime) return 0;
+  const end = this.endTime ?? now;
+  let elapsed = (end - this.startTime) / 1000;
+  if (this.pauseStopsTimer) {
+    elapsed -= this.metadata?.pausedDuration ?? 0;
+    if (this.status === QUIZ_SESSION_STATUSES[2] && this.pausedAt) {
+      // paused
+      elapsed -= (end - this.pausedAt) / 1000;
+    }
+  }
+  return Math.max(0, elapsed);
+};
+
+/**
+ * Computes the time left on the session timer.
+ * @param {Date} [now=new Date()] - Reference time.
+ * @returns {number|null} Remaining time in seconds, or null if untimed.
+ */
+QuizSessionSchema.methods.getTimeRemaining = function (now = new Date()) {
+  if (!this.timeLimit) return null;
+  return Math.max(0, this.timeLimit - this.getElapsedSeconds(now));
+};
+
+/**
+ * Checks if the session timer has run out.
+ * @param {Date} [now=new Date()] - Reference time.
+ * @param {number} [graceSeconds=0] - Extra seconds tolerated for network latency.
+ * @returns {boolean} True if the time limit is exceeded.
+ */
+QuizSessionSchema.methods.hasTimeExpired = function (
+  now = new Date(),
+  graceSeconds = 0
+) {
+  if (!this.timeLimit || !this.startTime) return false;
+  return this.getElapsedSeconds(now) > this.timeLimit + graceSeconds;
+};
+
+/**
+ * Gets the moment the timer ran out, used as the end time of auto-submitted sessions.
+ * @returns {Date|null} Time-out date, or null if untimed or unstarted.
+ */
+QuizSessionSchema.methods.getTimeoutDate = function () {
+  if (!this.timeLimit || !this.startTime) return null;
+  const pausedSeconds = this.pauseStopsTimer
+    ? this.metadata?.pausedDuration ?? 0
+    : 0;
+  return new Date(
+    this.startTime.getTime() + (this.timeLimit + pausedSeconds) * 1000
+  );
+};
+
 /**
  * Gets the index of the next question.
  * @returns {number|null} Index of the next question or null if none.
@@ -361,21 +736,32 @@ QuizSessionSchema.methods.getPreviousQuestion = function () {
 };
 
 /**
- * Calculates the score for the session.
- * @returns {Object} Score details including correct count, total questions, and percentage.
+ * Calculates the score for the session from the points earned on each answer.
+ * @returns {Object} Score details including points earned, maximum points, correct count, pending reviews, total questions, and percentage.
  */
 QuizSessionSchema.methods.calculateScore = function () {
-  const correctAnswers = this.answers.filter(
-    (answer) => answer.isCorrect
+  const answers = this.answers ?? [];
+  const correctAnswers = answers.filter((answer) => answer.isCorrect).length;
+  const pendingReview = answers.filter(
+    (answer) => answer.gradingStatus === GRADING_STATUSES[1] // pending_review
   ).length;
-  const totalQuestions = this.answers?.length ?? 0;
+  const pointsEarned = answers.reduce(
+    (total, answer) => total + (answer.pointsEarned ?? 0),
+    0
+  );
+  const maxPoints = answers.reduce(
+    (total, answer) => total + (answer.maxPoints ?? 0),
+    0
+  );
+  const totalQuestions = answers.length;
   return {
+    pointsEarned: Math.round(pointsEarned * 100) / 100,
+    maxPoints,
     correctCount: correctAnswers,
+    pendingReview,
     totalQuestions,
     percentage:
-      totalQuestions > 0
-        ? Math.round((correctAnswers / totalQuestions) * 100)
-        : 0,
+      maxPoints > 0 ? Math.round((pointsEarned / maxPoints) * 100) : 0,
   };
 };
 
@@ -19,6 +19,13 @@
  * @property {mongoose.Model} Question - Question model for assessment items.
  * @property {mongoose.Model} Quiz - Quiz model for short tests.
  * @property {mongoose.Model} QuizSession - QuizSession model for quiz attempts.
+ * @property {mongoose.Model} QuizBlueprint - QuizBlueprint model for generating quizzes from the question bank.
+ * @property {mongoose.Model} MockExam - MockExam model for multi-subject mock BAC sittings.
+ * @property {mongoose.Model} PastPaper - PastPaper model for official papers of previous exam sessions.
+ * @property {mongoose.Model} QuestionReport - QuestionReport model for problems reported by students on questions.
+ * @property {mongoose.Model} ManualGrade - ManualGrade model for open answers scored by teachers.
+ * @property {mongoose.Model} Passage - Passage model for reading passages and sources shared by several questions.
+ * @property {mongoose.Model} ExerciseAttempt - ExerciseAttempt model for students' graded attempts at exercises.
  * @property {mongoose.Model} QuizResult - QuizResult model for quiz outcomes.
  * @property {mongoose.Model} Hint - Hint model for question assistance.
  * @property {mongoose.Model} GamifiedProgress - GamifiedProgress model for user progress tracking.
@@ -36,6 +43,7 @@
  * @property {mongoose.Model} StudyPlan - StudyPlan model for study schedules.
  * @property {mongoose.Model} Subject - Subject model for academic subjects.
  * @property {mongoose.Model} Topic - Topic model for specific topics.
+ * @property {mongoose.Model} ContentRevision - ContentRevision model for the edit history of lessons, questions and exercises.
  * @property {mongoose.Model} Lesson - Lesson base model for lesson structure.
  * @property {mongoose.Model} BiologyLesson - BiologyLesson model for biology lessons.
  * @property {mongoose.Model} ChemistryLesson - ChemistryLesson model for chemistry lessons.
@@ -72,6 +80,13 @@ const ExamSchedule = require("./assessment/exam.schedule.model");
 const Question = require("./assessment/question.model");
 const Quiz = require("./assessment/quiz.model");
 const QuizSession = require("./assessment/quiz.session.model");
+const QuizBlueprint = require("./assessment/quiz.blueprint.model");
+const MockExam = require("./assessment/mock.exam.model");
+const PastPaper = require("./assessment/past.paper.model");
+const QuestionReport = require("./assessment/question.report.model");
+const ManualGrade = require("./assessment/manual.grade.model");
+const Passage = require("./assessment/passage.model");
+const ExerciseAttempt = require("./assessment/exercise.attempt.model");
 
 // =============== RESULTS MODELS =============
 // Results models
@@ -98,6 +113,7 @@ const StudyGroup = require("./learning/study.group.model");
 const StudyPlan = require("./learning/study.plan.model");
 const Subject = require("./learning/subject.model");
 const Topic = require("./learning/topic.model");
+const ContentRevision = require("./learning/content.revision.model");
 
 // =============== LEARNING/LESSON MODELS =============
 // Learning/lesson models
@@ -135,6 +151,13 @@ module.exports = {
   Question,
   Quiz,
   QuizSession,
+  QuizBlueprint,
+  MockExam,
+  PastPaper,
+  QuestionReport,
+  ManualGrade,
+  Passage,
+  ExerciseAttempt,
   QuizResult,
   Hint,
   GamifiedProgress,
@@ -152,6 +175,7 @@ module.exports = {
   StudyPlan,
   Subject,
   Topic,
+  ContentRevision,
   Lesson,
   BiologyLesson,
   ChemistryLesson,
@@ -0,0 +1,128 @@
+const { Schema, model, Types } = require("mongoose");
+const {
+  REVISION_CONTENT_TYPES,
+  REVISION_ACTIONS,
+} = require("../../constants");
+
+// =============== CONSTANTS =============
+/**
+ * Imported constants for revised content types and revision actions.
+ * @see module:constants/index
+ */
+
+// =============== SUBSCHEMAS =============
+/**
+ * Subschema for a field changed by a revision.
+ * @module RevisionChangeSchema
+ */
+const RevisionChangeSchema = new Schema(
+  {
+    path: {
+      type: String,
+      required: [true, "Le chemin du champ est requis"],
+    },
+    before: Schema.Types.Mixed, // null when the field did not exist
+    after: Schema.Types.Mixed, // null when the field was removed
+  },
+  { _id: false }
+);
+
+// ==================== SCHEMA ==================
+/**
+ * Mongoose schema for content revisions. Every edit of a lesson, question
+ * or exercise is stored as an immutable snapshot with the diff from the
+ * previous version.
+ * @module ContentRevisionSchema
+ */
+const ContentRevisionSchema = new Schema(
+  {
+    contentType: {
+      type: String,
+      enum: {
+        values: REVISION_CONTENT_TYPES,
+        message: "{VALUE} n'est pas un type de contenu valide",
+      },
+      required: [true, "Le type de contenu est requis"],
+      immutable: true,
+    },
+    contentId: {
+      type: Types.ObjectId,
+      required: [true, "L'ID du contenu est requis"],
+      immutable: true,
+    },
+    version: {
+      type: Number,
+      required: [true, "La version est requise"],
+      min: [1, "La version doit être au moins 1"],
+      immutable: true,
+    },
+    action: {
+      type: String,
+      enum: {
+        values: REVISION_ACTIONS,
+        message: "{VALUE} n'est pas une action de révision valide",
+      },
+      required: [true, "L'action est requise"],
+      immutable: true,
+    },
+    authorId: {
+      type: Types.ObjectId,
+      ref: "User",
+      immutable: true,
+    },
+    snapshot: {
+      type: Schema.Types.Mixed,
+      required: [true, "L'instantané du contenu est requis"],
+      immutable: true,
+    },
+    changes: {
+      type: [RevisionChangeSchema],
+      default: [],
+      immutable: true,
+    },
+    restoredVersion: {
+      type: Number, // version brought back by a rollback
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============== INDEXES =================
+ContentRevisionSchema.index(
+  { contentType: 1, contentId: 1, version: -1 },
+  { unique: true }
+);
+ContentRevisionSchema.index({ authorId: 1, createdAt: -1 });
+
+// =============== MIDDLEWARE =============
+/**
+ * Revisions are never edited once written.
+ */
+ContentRevisionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  function (next) {
+    next(new Error("Les révisions ne peuvent pas être modifiées"));
+  }
+);
+
+// =============== VIRTUALS =============
+/**
+ * Virtual field listing the paths changed by the revision.
+ * @returns {string[]} Changed field paths.
+ */
+ContentRevisionSchema.virtual("changedPaths").get(function () {
+  return (this.changes ?? []).map((change) => change.path);
+});
+
+/**
+ * ContentRevision model for interacting with the ContentRevision collection.
+ * @type {mongoose.Model}
+ */
+module.exports = {
+  ContentRevision: model("ContentRevision", ContentRevisionSchema),
+};
@@ -163,6 +163,12 @@ const LessonBaseSchema = new Schema(
         type: Schema.Types.ObjectId,
         ref: "User",
       },
+      // Latest revision number, see ContentRevision
+      version: {
+        type: Number,
+        default: 1,
+        min: [1, "La version doit être au moins 1"],
+      },
     },
   },
   {
@@ -1,11 +1,12 @@
 const { Schema, model, Types } = require("mongoose");
 const {
   FEEDBACK_RATING_RANGE,
+  GRADING_STATUSES,
 } = require("../../constants");
 
 // =============== CONSTANTS =============
 /**
- * Imported constants for quiz results, including statuses and rating ranges.
+ * Imported constants for quiz results, including rating ranges and grading statuses.
  * @see module:constants/index
  */
 
@@ -36,6 +37,50 @@ const FeedbackSchema = new Schema({
   },
 });
 
+/**
+ * Subschema for the points earned on each question of a quiz result.
+ * @module QuestionResultSubSchema
+ */
+const QuestionResultSchema = new Schema({
+  questionId: {
+    type: Types.ObjectId,
+    ref: "Question",
+    required: [true, "L'ID de la question est requis"],
+  },
+  questionVersion: {
+    type: Number, // revision of the question that was answered
+  },
+  pointsEarned: {
+    type: Number,
+    default: 0,
+    min: [0, "Les points obtenus ne peuvent pas être négatifs"],
+  },
+  maxPoints: {
+    type: Number,
+    default: 0,
+    min: [0, "Les points maximum ne peuvent pas être négatifs"],
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false,
+  },
+  gradingStatus: {
+    type: String,
+    enum: GRADING_STATUSES,
+    default: GRADING_STATUSES[0], // graded
+  },
+  timeSpent: {
+    type: Number, // in seconds
+    default: 0,
+    min: [0, "Le temps passé ne peut pas être négatif"],
+  },
+  hintPointsDeducted: {
+    type: Number,
+    default: 0,
+    min: [0, "Les points déduits ne peuvent pas être négatifs"],
+  },
+});
+
 // ==================== SCHEMA ==================
 /**
  * Mongoose schema for quiz results, tracking user performance and feedback.
@@ -55,6 +100,10 @@ const QuizResultSchema = new Schema(
       ref: "Quiz",
       required: [true, "L'ID du quiz est requis"],
     },
+    sessionId: {
+      type: Types.ObjectId,
+      ref: "QuizSession", // set when the result is produced by a quiz session
+    },
     series: {
       type: [String],
       validate: {
@@ -80,6 +129,19 @@ const QuizResultSchema = new Schema(
       required: [true, "Le score est requis"],
       min: [0, "Le score ne peut pas être négatif"],
     },
+    maxScore: {
+      type: Number,
+      min: [0, "Le score maximum ne peut pas être négatif"],
+    },
+    questionResults: {
+      type: [QuestionResultSchema],
+      default: [],
+    },
+    hintPointsDeducted: {
+      type: Number,
+      default: 0,
+      min: [0, "Les points déduits ne peuvent pas être négatifs"],
+    },
     timeTaken: {
       type: Number,
       required: [true, "Le temps pris est requis"],
@@ -164,6 +226,7 @@ const QuizResultSchema = new Schema(
 
 // =============== INDEXES =================
 QuizResultSchema.index({ userId: 1, quizId: 1 });
+QuizResultSchema.index({ sessionId: 1 }, { unique: true, sparse: true });
 QuizResultSchema.index({ completedAt: -1 });
 QuizResultSchema.index({ hintUsages: 1 }, { sparse: true });
 QuizResultSchema.index({ score: -1 });
@@ -180,6 +243,15 @@ QuizResultSchema.virtual("accuracyPercentage").get(function () {
   return Math.round((this.correctCount / this.questionIds.length) * 100);
 });
 
+/**
+ * Virtual field for score percentage based on points earned.
+ * @returns {number} Percentage of the maximum score earned.
+ */
+QuizResultSchema.virtual("scorePercentage").get(function () {
+  if (!this.maxScore) return 0;
+  return Math.round((this.score / this.maxScore) * 100);
+});
+
 /**
  * Virtual field for average time per question.
  * @returns {number} Average time in seconds per question.
@@ -258,6 +330,11 @@ QuizResultSchema.pre("save", async function (next) {
         new Error("Le nombre de réponses correctes ne peut pas dépasser le nombre de questions")
       );
     }
+    if (this.maxScore !== undefined && this.score > this.maxScore) {
+      return next(
+        new Error("Le score ne peut pas dépasser le score maximum")
+      );
+    }
 
     next();
   } catch (error) {
@@ -296,9 +373,11 @@ QuizResultSchema.methods.addFeedback = function (userId, rating, comments) {
 QuizResultSchema.methods.getPerformanceStats = function () {
   return {
     accuracy: this.accuracyPercentage,
+    scorePercentage: this.scorePercentage,
     averageTimePerQuestion: this.averageTimePerQuestion,
     performanceRating: this.performanceRating,
     hintsUsed: this.hintUsages.length,
+    hintPointsDeducted: this.hintPointsDeducted,
     totalFeedback: this.questionFeedback.length,
   };
 };
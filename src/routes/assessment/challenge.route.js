@@ -12,7 +12,7 @@ const {
   getChallengesBySubject,
   startChallenge,
   completeChallenge,
-  submitChallengeResult,
+  getChallengeQuestions,
   getChallengeLeaderboard,
 } = require("../../controllers/assessment/challenge.controller");
 const authMiddleware = require("../../middlewares/auth.middleware");
@@ -21,7 +21,6 @@ const {
   createChallengeSchema,
   updateChallengeSchema,
   getChallengesSchema,
-  submitChallengeResultSchema,
 } = require("../../schemas/assessment/challenge.schema");
 
 const router = express.Router();
@@ -46,14 +45,11 @@ router.put(
 );
 router.delete("/:challengeId", deleteChallenge);
 
-// Challenge participation
+// Challenge participation; results are recorded from graded challenge
+// sessions, never posted by clients
 router.post("/:challengeId/join", joinChallenge);
 router.post("/:challengeId/leave", leaveChallenge);
-router.post(
-  "/:challengeId/submit",
-  validateMiddleware(submitChallengeResultSchema),
-  submitChallengeResult
-);
+router.get("/:challengeId/questions", getChallengeQuestions);
 
 // Challenge management
 router.patch("/:challengeId/start", startChallenge);
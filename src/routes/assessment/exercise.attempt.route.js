@@ -0,0 +1,42 @@
+const express = require("express");
+const exerciseAttemptController = require("../../controllers/assessment/exercise.attempt.controller");
+const authMiddleware = require("../../middlewares/auth.middleware");
+const validateMiddleware = require("../../middlewares/validate.middleware");
+const {
+  startExerciseAttemptSchema,
+  getExerciseAttemptsSchema,
+  answerExerciseItemSchema,
+  submitExerciseAttemptSchema,
+} = require("../../schemas/assessment/exercise.attempt.schema");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Attempts of the current user
+router.post(
+  "/",
+  validateMiddleware(startExerciseAttemptSchema),
+  exerciseAttemptController.startAttempt
+);
+router.get(
+  "/",
+  validateMiddleware(getExerciseAttemptsSchema, "query"),
+  exerciseAttemptController.getMyAttempts
+);
+router.get("/:id", exerciseAttemptController.getAttempt);
+
+// Attempt operations
+router.put(
+  "/:id/answers",
+  validateMiddleware(answerExerciseItemSchema),
+  exerciseAttemptController.answerItem
+);
+router.post(
+  "/:id/submit",
+  validateMiddleware(submitExerciseAttemptSchema),
+  exerciseAttemptController.submitAttempt
+);
+
+module.exports = router;
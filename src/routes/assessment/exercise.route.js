@@ -12,6 +12,9 @@ const {
   addFeedbackSchema,
   updateAnalyticsSchema,
   advancedSearchSchema,
+  generateInstanceSchema,
+  checkDissertationSchema,
+  checkWorkingSchema,
 } = require("../../schemas/assessment/exercise.schema");
 const authMiddleware = require("../../middlewares/auth.middleware");
 const roleMiddleware = require("../../middlewares/role.middleware");
@@ -37,6 +40,24 @@ router.get(
   asyncHandler(exerciseController.getExerciseById.bind(exerciseController))
 );
 
+router.get(
+  "/:id/instance",
+  validateMiddleware(generateInstanceSchema, "query"),
+  asyncHandler(exerciseController.generateInstance.bind(exerciseController))
+);
+
+router.post(
+  "/:id/dissertation-check",
+  validateMiddleware(checkDissertationSchema),
+  asyncHandler(exerciseController.checkDissertation.bind(exerciseController))
+);
+
+router.post(
+  "/:id/working-check",
+  validateMiddleware(checkWorkingSchema),
+  asyncHandler(exerciseController.checkWorking.bind(exerciseController))
+);
+
 router.put(
   "/:id",
   roleMiddleware(["admin", "teacher"]),
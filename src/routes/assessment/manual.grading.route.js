@@ -0,0 +1,29 @@
+const express = require("express");
+const manualGradingController = require("../../controllers/assessment/manual.grading.controller");
+const authMiddleware = require("../../middlewares/auth.middleware");
+const roleMiddleware = require("../../middlewares/role.middleware");
+const validateMiddleware = require("../../middlewares/validate.middleware");
+const {
+  getGradingQueueSchema,
+  gradeAnswerSchema,
+} = require("../../schemas/assessment/manual.grading.schema");
+
+const router = express.Router();
+
+// Open answers are scored by teachers and administrators
+router.use(authMiddleware);
+router.use(roleMiddleware(["teacher", "admin"]));
+
+router.get(
+  "/",
+  validateMiddleware(getGradingQueueSchema, "query"),
+  manualGradingController.getGradingQueue
+);
+router.get("/:id", manualGradingController.getGradeById);
+router.post(
+  "/:id/grade",
+  validateMiddleware(gradeAnswerSchema),
+  manualGradingController.gradeAnswer
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const mockExamController = require("../../controllers/assessment/mock.exam.controller");
+const authMiddleware = require("../../middlewares/auth.middleware");
+const validateMiddleware = require("../../middlewares/validate.middleware");
+const {
+  createMockExamSchema,
+  getMockExamsSchema,
+} = require("../../schemas/assessment/mock.exam.schema");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Mock exam operations
+router.post(
+  "/",
+  validateMiddleware(createMockExamSchema),
+  mockExamController.createMockExam
+);
+router.get(
+  "/",
+  validateMiddleware(getMockExamsSchema, "query"),
+  mockExamController.getMockExams
+);
+router.get("/:id", mockExamController.getMockExamById);
+router.post("/:id/abandon", mockExamController.abandonMockExam);
+
+// Papers are sat one at a time as timed quiz sessions
+router.post("/:id/papers/:paperId/start", mockExamController.startPaper);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require("express");
+const passageController = require("../../controllers/assessment/passage.controller");
+const authMiddleware = require("../../middlewares/auth.middleware");
+const roleMiddleware = require("../../middlewares/role.middleware");
+const validateMiddleware = require("../../middlewares/validate.middleware");
+const {
+  createPassageSchema,
+  updatePassageSchema,
+  getPassagesSchema,
+} = require("../../schemas/assessment/passage.schema");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Passage CRUD operations
+router.post(
+  "/",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(createPassageSchema),
+  passageController.createPassage
+);
+router.get(
+  "/",
+  validateMiddleware(getPassagesSchema, "query"),
+  passageController.getPassages
+);
+router.get("/:id", passageController.getPassageById);
+router.put(
+  "/:id",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(updatePassageSchema),
+  passageController.updatePassage
+);
+router.delete(
+  "/:id",
+  roleMiddleware(["teacher", "admin"]),
+  passageController.deletePassage
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require("express");
+const pastPaperController = require("../../controllers/assessment/past.paper.controller");
+const authMiddleware = require("../../middlewares/auth.middleware");
+const roleMiddleware = require("../../middlewares/role.middleware");
+const validateMiddleware = require("../../middlewares/validate.middleware");
+const {
+  createPastPaperSchema,
+  updatePastPaperSchema,
+  getPastPapersSchema,
+} = require("../../schemas/assessment/past.paper.schema");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Browsing
+router.get(
+  "/",
+  validateMiddleware(getPastPapersSchema, "query"),
+  pastPaperController.getPastPapers
+);
+router.get("/archive/:examId", pastPaperController.getArchive);
+router.get("/:id", pastPaperController.getPastPaperById);
+
+// Sit the paper as a timed session
+router.post("/:id/sit", pastPaperController.sitPastPaper);
+
+// Past paper management (admin only)
+router.post(
+  "/",
+  roleMiddleware(["admin"]),
+  validateMiddleware(createPastPaperSchema),
+  pastPaperController.createPastPaper
+);
+router.put(
+  "/:id",
+  roleMiddleware(["admin"]),
+  validateMiddleware(updatePastPaperSchema),
+  pastPaperController.updatePastPaper
+);
+router.delete(
+  "/:id",
+  roleMiddleware(["admin"]),
+  pastPaperController.deletePastPaper
+);
+
+module.exports = router;
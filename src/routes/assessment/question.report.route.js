@@ -0,0 +1,35 @@
+const express = require("express");
+const questionReportController = require("../../controllers/assessment/question.report.controller");
+const authMiddleware = require("../../middlewares/auth.middleware");
+const roleMiddleware = require("../../middlewares/role.middleware");
+const validateMiddleware = require("../../middlewares/validate.middleware");
+const {
+  getReportQueueSchema,
+  acceptReportSchema,
+  rejectReportSchema,
+} = require("../../schemas/assessment/question.report.schema");
+
+const router = express.Router();
+
+// Triage is done by teachers and administrators
+router.use(authMiddleware);
+router.use(roleMiddleware(["teacher", "admin"]));
+
+router.get(
+  "/",
+  validateMiddleware(getReportQueueSchema, "query"),
+  questionReportController.getReportQueue
+);
+router.get("/:id", questionReportController.getReportById);
+router.post(
+  "/:id/accept",
+  validateMiddleware(acceptReportSchema),
+  questionReportController.acceptReport
+);
+router.post(
+  "/:id/reject",
+  validateMiddleware(rejectReportSchema),
+  questionReportController.rejectReport
+);
+
+module.exports = router;
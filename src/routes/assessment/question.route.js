@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const questionController = require("../../controllers/assessment/question.controller");
+const questionReportController = require("../../controllers/assessment/question.report.controller");
 const authMiddleware = require("../../middlewares/auth.middleware");
 const roleMiddleware = require("../../middlewares/role.middleware");
 const validateMiddleware = require("../../middlewares/validate.middleware");
@@ -9,11 +10,77 @@ const {
   createQuestionSchema,
   updateQuestionSchema,
   getQuestionSchema,
+  importQuestionsSchema,
+  exportQuestionsSchema,
+  checkDuplicatesSchema,
+  getDuplicateClustersSchema,
+  mergeDuplicatesSchema,
+  submitForReviewSchema,
+  assignReviewerSchema,
+  approveQuestionSchema,
+  rejectQuestionSchema,
+  requestChangesSchema,
+  archiveQuestionSchema,
+  getReviewQueueSchema,
+  previewTemplateSchema,
+  validateDiagramSchema,
 } = require("../../schemas/assessment/question.schema");
+const {
+  reportProblemSchema,
+} = require("../../schemas/assessment/question.report.schema");
 
 router.use(apiLimiter);
 router.use(authMiddleware);
 
+router.get(
+  "/export",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(exportQuestionsSchema, "query"),
+  questionController.exportQuestions
+);
+
+router.post(
+  "/import",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(importQuestionsSchema),
+  questionController.importQuestions
+);
+
+router.post(
+  "/duplicates/check",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(checkDuplicatesSchema),
+  questionController.checkDuplicates
+);
+
+router.get(
+  "/duplicates",
+  roleMiddleware(["admin"]),
+  validateMiddleware(getDuplicateClustersSchema, "query"),
+  questionController.getDuplicateClusters
+);
+
+router.post(
+  "/duplicates/merge",
+  roleMiddleware(["admin"]),
+  validateMiddleware(mergeDuplicatesSchema),
+  questionController.mergeDuplicates
+);
+
+router.post(
+  "/diagrams/validate",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(validateDiagramSchema),
+  questionController.validateDiagram
+);
+
+router.get(
+  "/reviews",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(getReviewQueueSchema, "query"),
+  questionController.getReviewQueue
+);
+
 router.get("/:id", questionController.getQuestionById);
 
 router.get(
@@ -42,6 +109,74 @@ router.delete(
   questionController.deleteQuestion
 );
 
+router.get(
+  "/:id/template-preview",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(previewTemplateSchema, "query"),
+  questionController.previewTemplate
+);
+
+router.get(
+  "/:id/item-analysis",
+  roleMiddleware(["teacher", "admin"]),
+  questionController.getQuestionItemAnalysis
+);
+
+router.post(
+  "/:id/reports",
+  validateMiddleware(reportProblemSchema),
+  questionReportController.reportProblem
+);
+
+router.post(
+  "/:id/submit",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(submitForReviewSchema),
+  questionController.submitForReview
+);
+
+router.post(
+  "/:id/reviewer",
+  roleMiddleware(["admin"]),
+  validateMiddleware(assignReviewerSchema),
+  questionController.assignReviewer
+);
+
+router.post(
+  "/:id/approve",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(approveQuestionSchema),
+  questionController.approveQuestion
+);
+
+router.post(
+  "/:id/reject",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(rejectQuestionSchema),
+  questionController.rejectQuestion
+);
+
+router.post(
+  "/:id/request-changes",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(requestChangesSchema),
+  questionController.requestChanges
+);
+
+router.post(
+  "/:id/archive",
+  roleMiddleware(["admin"]),
+  validateMiddleware(archiveQuestionSchema),
+  questionController.archiveQuestion
+);
+
+router.post(
+  "/:id/restore",
+  roleMiddleware(["admin"]),
+  validateMiddleware(archiveQuestionSchema),
+  questionController.restoreQuestion
+);
+
 router.post(
   "/:id/verify",
   roleMiddleware(["admin"]),
@@ -0,0 +1,47 @@
+const express = require("express");
+const quizBlueprintController = require("../../controllers/assessment/quiz.blueprint.controller");
+const authMiddleware = require("../../middlewares/auth.middleware");
+const roleMiddleware = require("../../middlewares/role.middleware");
+const validateMiddleware = require("../../middlewares/validate.middleware");
+const {
+  createQuizBlueprintSchema,
+  updateQuizBlueprintSchema,
+  generateQuizSchema,
+} = require("../../schemas/assessment/quiz.blueprint.schema");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Blueprint CRUD operations
+router.post(
+  "/",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(createQuizBlueprintSchema),
+  quizBlueprintController.createBlueprint
+);
+router.get("/", quizBlueprintController.getBlueprints);
+router.get("/:id", quizBlueprintController.getBlueprintById);
+router.put(
+  "/:id",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(updateQuizBlueprintSchema),
+  quizBlueprintController.updateBlueprint
+);
+router.delete(
+  "/:id",
+  roleMiddleware(["teacher", "admin"]),
+  quizBlueprintController.deleteBlueprint
+);
+
+// Quiz generation
+router.post(
+  "/:id/generate",
+  roleMiddleware(["teacher", "admin"]),
+  validateMiddleware(generateQuizSchema),
+  quizBlueprintController.generateQuiz
+);
+router.post("/:id/variant", quizBlueprintController.generateMyVariant);
+
+module.exports = router;
@@ -43,6 +43,7 @@ router.delete("/:id", quizController.deleteQuiz);
 // Quiz management
 router.get("/:id/eligibility", quizController.checkQuizEligibility);
 router.get("/:id/statistics", quizController.getQuizStatistics);
+router.get("/:id/item-analysis", quizController.getQuizItemAnalysis);
 router.post("/:id/update-analytics", quizController.updateQuizAnalytics);
 
 // Bulk operations
@@ -5,9 +5,17 @@ const authMiddleware = require("../../middlewares/auth.middleware");
 const validateMiddleware = require("../../middlewares/validate.middleware");
 const {
   createSessionSchema,
+  createAdaptiveSessionSchema,
+  createChallengeSessionSchema,
+  calibrateItemsSchema,
   submitAnswerSchema,
   navigateSchema,
   syncSessionSchema,
+  offlineBundleSchema,
+  offlineUploadSchema,
+  integrityEventsSchema,
+  integrityReviewQueueSchema,
+  reviewIntegritySchema,
 } = require("../../schemas/assessment/quiz.session.schema");
 
 const router = express.Router();
@@ -21,9 +29,31 @@ router.post(
   validateMiddleware(createSessionSchema),
   quizSessionController.createSession
 );
+router.post(
+  "/adaptive",
+  validateMiddleware(createAdaptiveSessionSchema),
+  quizSessionController.createAdaptiveSession
+);
+router.post(
+  "/challenge",
+  validateMiddleware(createChallengeSessionSchema),
+  quizSessionController.createChallengeSession
+);
 router.get("/active", quizSessionController.getUserActiveSessions);
 router.get("/history", quizSessionController.getUserSessionHistory);
 
+// Offline attempts
+router.post(
+  "/offline/bundle",
+  validateMiddleware(offlineBundleSchema),
+  quizSessionController.createOfflineBundle
+);
+router.post(
+  "/offline/upload",
+  validateMiddleware(offlineUploadSchema),
+  quizSessionController.uploadOfflineAnswers
+);
+
 // Session operations
 router.get("/:sessionId", quizSessionController.getSession);
 router.post("/:sessionId/start", quizSessionController.startSession);
@@ -48,6 +78,13 @@ router.post(
 );
 router.post("/:sessionId/skip/:questionId", quizSessionController.skipQuestion);
 
+// Integrity monitoring
+router.post(
+  "/:sessionId/integrity-events",
+  validateMiddleware(integrityEventsSchema),
+  quizSessionController.recordIntegrityEvents
+);
+
 // Sync operations
 router.post(
   "/:sessionId/sync",
@@ -61,5 +98,20 @@ router.post(
   quizSessionController.cleanupExpiredSessions
 );
 router.delete("/admin/cleanup-old", quizSessionController.deleteOldSessions);
+router.get(
+  "/admin/integrity-reviews",
+  validateMiddleware(integrityReviewQueueSchema, "query"),
+  quizSessionController.getIntegrityReviewQueue
+);
+router.patch(
+  "/admin/integrity-reviews/:sessionId",
+  validateMiddleware(reviewIntegritySchema),
+  quizSessionController.reviewSessionIntegrity
+);
+router.post(
+  "/admin/calibrate-items",
+  validateMiddleware(calibrateItemsSchema),
+  quizSessionController.calibrateItems
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const express = require("express");
+const contentRevisionController = require("../../controllers/learning/content.revision.controller");
+const authMiddleware = require("../../middlewares/auth.middleware");
+const roleMiddleware = require("../../middlewares/role.middleware");
+const validateMiddleware = require("../../middlewares/validate.middleware");
+const {
+  revisionParamsSchema,
+  getRevisionsSchema,
+  diffRevisionsSchema,
+} = require("../../schemas/learning/content.revision.schema");
+
+const router = express.Router();
+
+// Revision history is kept for authors and administrators
+router.use(authMiddleware);
+router.use(roleMiddleware(["teacher", "admin"]));
+
+router.get(
+  "/:contentType/:contentId",
+  validateMiddleware(revisionParamsSchema, "params"),
+  validateMiddleware(getRevisionsSchema, "query"),
+  contentRevisionController.getRevisions
+);
+router.get(
+  "/:contentType/:contentId/diff",
+  validateMiddleware(revisionParamsSchema, "params"),
+  validateMiddleware(diffRevisionsSchema, "query"),
+  contentRevisionController.diffRevisions
+);
+router.get(
+  "/:contentType/:contentId/:version",
+  validateMiddleware(revisionParamsSchema, "params"),
+  contentRevisionController.getRevision
+);
+router.post(
+  "/:contentType/:contentId/:version/rollback",
+  validateMiddleware(revisionParamsSchema, "params"),
+  contentRevisionController.rollback
+);
+
+module.exports = router;
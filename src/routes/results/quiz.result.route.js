@@ -22,8 +22,10 @@ router.get(
   quizResultController.getQuizResults
 );
 
+// Scores sent by clients are only accepted from administrators
 router.post(
   "/",
+  roleMiddleware(["admin"]),
   validateMiddleware(createQuizResultSchema),
   quizResultController.createQuizResult
 );
@@ -122,28 +122,8 @@ const getChallengesSchema = Joi.object({
   premiumOnly: Joi.boolean().optional(),
 });
 
-// Submit challenge result schema
-const submitChallengeResultSchema = Joi.object({
-  score: Joi.number().min(0).required(),
-  timeSpent: Joi.number().min(0).required(),
-  answers: Joi.array()
-    .items(
-      Joi.object({
-        questionId: Joi.string()
-          .pattern(/^[0-9a-fA-F]{24}$/)
-          .required(),
-        answer: Joi.alternatives()
-          .try(Joi.string(), Joi.number(), Joi.array())
-          .required(),
-        timeSpent: Joi.number().min(0).optional(),
-      })
-    )
-    .optional(),
-});
-
 module.exports = {
   createChallengeSchema,
   updateChallengeSchema,
   getChallengesSchema,
-  submitChallengeResultSchema,
 };
\ No newline at end of file
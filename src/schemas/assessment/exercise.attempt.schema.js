@@ -0,0 +1,41 @@
+const Joi = require("joi");
+
+const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+const itemAnswerSchema = Joi.object({
+  itemIndex: Joi.number().integer().min(0).required().messages({
+    "number.base": "Item index must be a number",
+    "number.min": "Item index must be at least 0",
+    "any.required": "Item index is required",
+  }),
+  answer: Joi.any().required().messages({
+    "any.required": "Answer is required",
+  }),
+});
+
+const startExerciseAttemptSchema = Joi.object({
+  exerciseId: Joi.string().pattern(objectIdPattern).required().messages({
+    "string.pattern.base": "Invalid exercise ID format",
+    "any.required": "Exercise ID is required",
+  }),
+});
+
+const getExerciseAttemptsSchema = Joi.object({
+  exerciseId: Joi.string().pattern(objectIdPattern).required().messages({
+    "string.pattern.base": "Invalid exercise ID format",
+    "any.required": "Exercise ID is required",
+  }),
+});
+
+const answerExerciseItemSchema = itemAnswerSchema;
+
+const submitExerciseAttemptSchema = Joi.object({
+  answers: Joi.array().items(itemAnswerSchema),
+});
+
+module.exports = {
+  startExerciseAttemptSchema,
+  getExerciseAttemptsSchema,
+  answerExerciseItemSchema,
+  submitExerciseAttemptSchema,
+};
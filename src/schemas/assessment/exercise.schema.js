@@ -1,4 +1,5 @@
 const Joi = require("joi");
+const { WORKING_CHECK_MAX_STEPS } = require("../../constants");
 
 // Constants for validation
 const DIFFICULTY_LEVELS = ["beginner", "intermediate", "advanced"];
@@ -78,6 +79,30 @@ const settingsSchema = Joi.object({
   maxAttempts: Joi.number().positive().default(3),
 });
 
+// Parameterized math and physics problems
+const problemTemplateSchema = Joi.object({
+  variables: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string()
+          .pattern(/^[A-Za-z_][A-Za-z0-9_]*$/)
+          .required(),
+        min: Joi.number().required(),
+        max: Joi.number().min(Joi.ref("min")).required(),
+        step: Joi.number().positive().default(1),
+        unit: Joi.string().optional(),
+      })
+    )
+    .min(1)
+    .unique("name")
+    .required(),
+  constraints: Joi.array().items(Joi.string()).optional(),
+  answerFormula: Joi.string().required(),
+  unit: Joi.string().optional(),
+  tolerance: Joi.number().min(0).default(0),
+  toleranceType: Joi.string().valid("absolute", "relative").default("absolute"),
+});
+
 // Subject-specific content schemas
 const mathContentSchema = Joi.object({
   problems: Joi.array()
@@ -89,6 +114,7 @@ const mathContentSchema = Joi.object({
           .required(),
         variables: Joi.array().items(Joi.string()).optional(),
         constraints: Joi.array().items(Joi.string()).optional(),
+        template: problemTemplateSchema.optional(),
         difficulty: Joi.string()
           .valid(...DIFFICULTY_LEVELS)
           .optional(),
@@ -117,6 +143,14 @@ const mathSolutionSchema = Joi.object({
   workingSteps: Joi.array().items(Joi.string()).optional(),
   formulasUsed: Joi.array().items(Joi.string()).optional(),
   commonMistakes: Joi.array().items(Joi.string()).optional(),
+  mistakePatterns: Joi.array()
+    .items(
+      Joi.object({
+        mistakeIndex: Joi.number().integer().min(0).required(),
+        working: Joi.string().trim().required(),
+      })
+    )
+    .optional(),
 });
 
 const physicsContentSchema = Joi.object({
@@ -145,6 +179,7 @@ const physicsContentSchema = Joi.object({
             })
           )
           .optional(),
+        template: problemTemplateSchema.optional(),
         difficulty: Joi.string()
           .valid(...DIFFICULTY_LEVELS)
           .optional(),
@@ -907,6 +942,26 @@ const advancedSearchSchema = Joi.object({
     .required(),
 });
 
+// Seed of a parameterized exercise instance, to show the same values again
+const generateInstanceSchema = Joi.object({
+  seed: Joi.string().trim().max(64).optional(),
+});
+
+// Essay whose dissertation structure is checked, paragraphs kept
+const checkDissertationSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(30000).required(),
+});
+
+// Student working of a math exercise, one step per entry
+const checkWorkingSchema = Joi.object({
+  steps: Joi.array()
+    .items(Joi.string().trim().min(1).max(500))
+    .min(1)
+    .max(WORKING_CHECK_MAX_STEPS)
+    .required(),
+  seed: Joi.string().trim().max(64).optional(),
+});
+
 module.exports = {
   createExerciseSchema,
   updateExerciseSchema,
@@ -917,4 +972,7 @@ module.exports = {
   bulkUpdateSchema,
   bulkDeleteSchema,
   advancedSearchSchema,
+  generateInstanceSchema,
+  checkDissertationSchema,
+  checkWorkingSchema,
 };
\ No newline at end of file
@@ -0,0 +1,46 @@
+const Joi = require("joi");
+const { MANUAL_GRADE_STATUSES } = require("../../constants");
+
+const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+// Grading queue filters
+const getGradingQueueSchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  status: Joi.string()
+    .valid(...MANUAL_GRADE_STATUSES)
+    .optional(),
+  subjectId: Joi.string().pattern(objectIdPattern).optional(),
+  topicId: Joi.string().pattern(objectIdPattern).optional(),
+  quizId: Joi.string().pattern(objectIdPattern).optional(),
+  exerciseId: Joi.string().pattern(objectIdPattern).optional(),
+  studyGroupId: Joi.string().pattern(objectIdPattern).optional(),
+  dueBefore: Joi.date().iso().optional(),
+  dueAfter: Joi.date().iso().optional(),
+});
+
+// Score an answer per rubric criterion, or as a whole without a rubric
+const gradeAnswerSchema = Joi.object({
+  scores: Joi.array()
+    .items(
+      Joi.object({
+        criterionId: Joi.string().trim().max(100).required(),
+        level: Joi.string().trim().max(100).optional(),
+        points: Joi.number().min(0).optional(),
+        comment: Joi.string().trim().max(1000).optional(),
+      }).xor("level", "points")
+    )
+    .optional(),
+  pointsEarned: Joi.number().min(0).optional(),
+  comment: Joi.string().trim().max(2000).optional(),
+})
+  .xor("scores", "pointsEarned")
+  .messages({
+    "object.xor": "Send either rubric scores or the points earned",
+    "object.missing": "Send either rubric scores or the points earned",
+  });
+
+module.exports = {
+  getGradingQueueSchema,
+  gradeAnswerSchema,
+};
@@ -0,0 +1,27 @@
+const Joi = require("joi");
+const { MOCK_EXAM_STATUSES } = require("../../constants");
+
+const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+// Create mock exam schema
+const createMockExamSchema = Joi.object({
+  examId: Joi.string().pattern(objectIdPattern).required().messages({
+    "string.pattern.base": "Invalid exam ID format",
+    "any.required": "Exam ID is required",
+  }),
+  series: Joi.string().trim().min(1).max(50).required().messages({
+    "any.required": "Series is required",
+  }),
+});
+
+// Mock exam list query schema
+const getMockExamsSchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(50),
+  status: Joi.string().valid(...MOCK_EXAM_STATUSES),
+});
+
+module.exports = {
+  createMockExamSchema,
+  getMockExamsSchema,
+};
@@ -0,0 +1,76 @@
+const Joi = require("joi");
+const {
+  MEDIA_TYPES,
+  HISTORY_SOURCE_TYPES,
+  PASSAGE_LANGUAGES,
+} = require("../../constants");
+
+const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+const mediaSchema = Joi.object({
+  mediaType: Joi.string().valid(...MEDIA_TYPES),
+  url: Joi.string().uri({ scheme: ["http", "https"] }),
+  altText: Joi.string(),
+  caption: Joi.string(),
+});
+
+const attributionSchema = Joi.object({
+  author: Joi.string().trim().max(200),
+  work: Joi.string().trim().max(300),
+  source: Joi.string().trim().max(300),
+  year: Joi.number().integer().min(-3000).max(2100),
+  url: Joi.string().uri({ scheme: ["http", "https"] }),
+});
+
+const passageSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(200).required().messages({
+    "string.empty": "Passage title is required",
+    "string.min": "Passage title must be at least 3 characters long",
+    "string.max": "Passage title cannot exceed 200 characters",
+  }),
+  text: Joi.string().trim().max(20000).optional(),
+  media: Joi.array().items(mediaSchema).optional(),
+  attribution: attributionSchema.optional(),
+  sourceType: Joi.string()
+    .valid(...HISTORY_SOURCE_TYPES)
+    .optional(),
+  language: Joi.string()
+    .valid(...PASSAGE_LANGUAGES)
+    .optional(),
+  subjectId: Joi.string().pattern(objectIdPattern).required().messages({
+    "string.pattern.base": "Invalid subject ID format",
+    "any.required": "Subject ID is required",
+  }),
+  topicId: Joi.string().pattern(objectIdPattern).optional().messages({
+    "string.pattern.base": "Invalid topic ID format",
+  }),
+});
+
+// Create passage schema, a source may be a picture or a map with no text
+const createPassageSchema = passageSchema.or("text", "media");
+
+// Update passage schema
+const updatePassageSchema = passageSchema
+  .fork(["title", "subjectId"], (schema) => schema.optional())
+  .min(1);
+
+// Passage list filters
+const getPassagesSchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  subjectId: Joi.string().pattern(objectIdPattern).optional(),
+  topicId: Joi.string().pattern(objectIdPattern).optional(),
+  sourceType: Joi.string()
+    .valid(...HISTORY_SOURCE_TYPES)
+    .optional(),
+  language: Joi.string()
+    .valid(...PASSAGE_LANGUAGES)
+    .optional(),
+  search: Joi.string().trim().max(100).optional(),
+});
+
+module.exports = {
+  createPassageSchema,
+  updatePassageSchema,
+  getPassagesSchema,
+};
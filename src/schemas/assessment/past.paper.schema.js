@@ -0,0 +1,97 @@
+const Joi = require("joi");
+const {
+  EXAM_SESSIONS,
+  PAST_PAPER_DOCUMENT_TYPES,
+  PAST_PAPER_MIN_YEAR,
+  RESOURCE_LANGUAGES,
+} = require("../../constants");
+
+const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+const currentYear = new Date().getFullYear();
+
+const documentSchema = Joi.object({
+  type: Joi.string()
+    .valid(...PAST_PAPER_DOCUMENT_TYPES)
+    .required(),
+  title: Joi.string().trim().min(1).max(200).required(),
+  url: Joi.string().uri({ scheme: ["http", "https"] }).required().messages({
+    "string.uri": "Document URL must be a valid http(s) URL",
+  }),
+  format: Joi.string().trim().max(50),
+  language: Joi.string().valid(...RESOURCE_LANGUAGES),
+  fileSize: Joi.number().min(0),
+});
+
+const markingSchemeEntrySchema = Joi.object({
+  questionNumber: Joi.string().trim().min(1).max(20).required(),
+  questionId: Joi.string().pattern(objectIdPattern).messages({
+    "string.pattern.base": "Invalid question ID format",
+  }),
+  marks: Joi.number().min(0).required(),
+  criteria: Joi.string().trim().max(2000).allow(""),
+});
+
+const modelAnswerSchema = Joi.object({
+  questionNumber: Joi.string().trim().min(1).max(20).required(),
+  questionId: Joi.string().pattern(objectIdPattern).messages({
+    "string.pattern.base": "Invalid question ID format",
+  }),
+  answer: Joi.string().trim().min(1).required(),
+  explanation: Joi.string().trim().allow(""),
+});
+
+const pastPaperFields = {
+  examId: Joi.string().pattern(objectIdPattern).messages({
+    "string.pattern.base": "Invalid exam ID format",
+  }),
+  subjectId: Joi.string().pattern(objectIdPattern).messages({
+    "string.pattern.base": "Invalid subject ID format",
+  }),
+  year: Joi.number().integer().min(PAST_PAPER_MIN_YEAR).max(currentYear),
+  session: Joi.string().valid(...EXAM_SESSIONS),
+  series: Joi.string().trim().max(50).allow(""),
+  title: Joi.string().trim().min(3).max(200),
+  description: Joi.string().trim().max(2000).allow(""),
+  duration: Joi.number().integer().min(1).max(360),
+  totalMarks: Joi.number().min(1),
+  questionIds: Joi.array()
+    .items(
+      Joi.string().pattern(objectIdPattern).messages({
+        "string.pattern.base": "Invalid question ID format",
+      })
+    )
+    .max(100),
+  documents: Joi.array().items(documentSchema),
+  markingScheme: Joi.array().items(markingSchemeEntrySchema),
+  modelAnswers: Joi.array().items(modelAnswerSchema),
+};
+
+// Create past paper schema
+const createPastPaperSchema = Joi.object(pastPaperFields).fork(
+  ["examId", "subjectId", "year", "session", "title", "duration"],
+  (field) => field.required()
+);
+
+// Update past paper schema
+const updatePastPaperSchema = Joi.object(pastPaperFields).min(1);
+
+// Browse past papers query schema
+const getPastPapersSchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(50),
+  examId: Joi.string().pattern(objectIdPattern),
+  subjectId: Joi.string().pattern(objectIdPattern),
+  series: Joi.string().trim().max(50),
+  session: Joi.string().valid(...EXAM_SESSIONS),
+  year: Joi.number().integer().min(PAST_PAPER_MIN_YEAR).max(currentYear),
+  yearFrom: Joi.number().integer().min(PAST_PAPER_MIN_YEAR),
+  yearTo: Joi.number().integer().min(PAST_PAPER_MIN_YEAR),
+  hasSolutions: Joi.boolean(),
+  search: Joi.string().trim().max(100),
+});
+
+module.exports = {
+  createPastPaperSchema,
+  updatePastPaperSchema,
+  getPastPapersSchema,
+};
@@ -0,0 +1,86 @@
+const Joi = require("joi");
+const {
+  QUESTION_REPORT_CATEGORIES,
+  QUESTION_REPORT_STATUSES,
+  MEDIA_TYPES,
+  GRADING_TOLERANCE_TYPES,
+} = require("../../constants");
+
+const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+// Report a problem on a question
+const reportProblemSchema = Joi.object({
+  category: Joi.string()
+    .valid(...QUESTION_REPORT_CATEGORIES)
+    .required()
+    .messages({
+      "any.only": `Category must be one of: ${QUESTION_REPORT_CATEGORIES.join(", ")}`,
+      "any.required": "Category is required",
+    }),
+  message: Joi.string().trim().max(1000).optional(),
+  sessionId: Joi.string().pattern(objectIdPattern).optional().messages({
+    "string.pattern.base": "Invalid session ID format",
+  }),
+});
+
+// Report triage queue filters
+const getReportQueueSchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  status: Joi.string()
+    .valid(...QUESTION_REPORT_STATUSES)
+    .optional(),
+  category: Joi.string()
+    .valid(...QUESTION_REPORT_CATEGORIES)
+    .optional(),
+  subjectId: Joi.string().pattern(objectIdPattern).optional(),
+  topicId: Joi.string().pattern(objectIdPattern).optional(),
+});
+
+// Accept reports, with the corrections applied to the question
+const acceptReportSchema = Joi.object({
+  changes: Joi.object({
+    question: Joi.string().trim().max(2000),
+    options: Joi.array().items(Joi.string()),
+    correctAnswer: Joi.any(),
+    grading: Joi.object({
+      partialCredit: Joi.boolean(),
+      caseSensitive: Joi.boolean(),
+      accentSensitive: Joi.boolean(),
+      orderSensitive: Joi.boolean(),
+      tolerance: Joi.number().min(0),
+      toleranceType: Joi.string().valid(...GRADING_TOLERANCE_TYPES),
+      unit: Joi.string().trim().max(20).allow(""),
+      unitPenalty: Joi.number().min(0).max(1),
+      acceptedAnswers: Joi.array().items(Joi.any()),
+      symbolicEquivalence: Joi.boolean(),
+    }),
+    explanation: Joi.string().trim().max(1500),
+    hints: Joi.array().items(Joi.string().max(500)),
+    steps: Joi.array().items(Joi.string().max(500)),
+    media: Joi.array().items(
+      Joi.object({
+        mediaType: Joi.string().valid(...MEDIA_TYPES),
+        url: Joi.string().uri({ scheme: ["http", "https"] }),
+        altText: Joi.string(),
+        caption: Joi.string(),
+        size: Joi.number().min(0),
+        duration: Joi.number().min(0),
+      })
+    ),
+  }).optional(),
+  notes: Joi.string().max(1000).optional(),
+  rescore: Joi.boolean().optional(),
+});
+
+// Reject reports
+const rejectReportSchema = Joi.object({
+  notes: Joi.string().max(1000).optional(),
+});
+
+module.exports = {
+  reportProblemSchema,
+  getReportQueueSchema,
+  acceptReportSchema,
+  rejectReportSchema,
+};
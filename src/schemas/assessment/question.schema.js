@@ -6,7 +6,80 @@ const {
 const {
   QUESTION_TYPES,
   MEDIA_TYPES,
+  GRADING_TOLERANCE_TYPES,
+  QUESTION_LEVELS,
+  EXERCISE_DIFFICULTY_LEVELS,
+  QUESTION_EXCHANGE_FORMATS,
+  QUESTION_TEMPLATE_LIMITS,
+  GEOGRAPHY_MAP_TYPES,
+  PHYSICS_DIAGRAM_TYPES,
+  DIAGRAM_HOTSPOT_SHAPES,
+  DIAGRAM_LIMITS,
+  RUBRIC_LIMITS,
 } = require("../../constants/index");
+const { isValidGeometry } = require("../../utils/geo.utils");
+
+// GeoJSON Point, Polygon or MultiPolygon in [longitude, latitude]
+const geometrySchema = Joi.object().custom((value, helpers) =>
+  isValidGeometry(value) ? value : helpers.error("any.invalid")
+);
+
+// Pixel coordinates of a hotspot; checkHotspots does the geometry checks
+const hotspotSchema = Joi.object({
+  hotspotId: Joi.string().trim().max(100).required(),
+  shape: Joi.string()
+    .valid(...DIAGRAM_HOTSPOT_SHAPES)
+    .required(),
+  x: Joi.number().optional(),
+  y: Joi.number().optional(),
+  width: Joi.number().optional(),
+  height: Joi.number().optional(),
+  radius: Joi.number().optional(),
+  points: Joi.array()
+    .items(Joi.array().items(Joi.number()).length(2))
+    .optional(),
+});
+
+const diagramSchema = Joi.object({
+  imageUrl: Joi.string().uri().required(),
+  width: Joi.number().positive().max(DIAGRAM_LIMITS.MAX_IMAGE_SIZE).required(),
+  height: Joi.number().positive().max(DIAGRAM_LIMITS.MAX_IMAGE_SIZE).required(),
+  diagramType: Joi.string()
+    .valid(...PHYSICS_DIAGRAM_TYPES)
+    .optional(),
+  hotspots: Joi.array()
+    .items(hotspotSchema)
+    .max(DIAGRAM_LIMITS.MAX_HOTSPOTS)
+    .optional(),
+});
+
+// Criteria and levels of a rubric; getRubricError checks the points
+const rubricSchema = Joi.object({
+  criteria: Joi.array()
+    .items(
+      Joi.object({
+        criterionId: Joi.string().trim().max(100).required(),
+        title: Joi.string().trim().max(200).required(),
+        description: Joi.string().trim().max(1000).optional(),
+        levels: Joi.array()
+          .items(
+            Joi.object({
+              label: Joi.string().trim().max(100).required(),
+              description: Joi.string().trim().max(500).optional(),
+              points: Joi.number().min(0).required(),
+            })
+          )
+          .min(1)
+          .max(RUBRIC_LIMITS.MAX_LEVELS)
+          .unique("label")
+          .required(),
+      })
+    )
+    .min(1)
+    .max(RUBRIC_LIMITS.MAX_CRITERIA)
+    .unique("criterionId")
+    .required(),
+});
 
 const createQuestionSchema = Joi.object({
   topicId: Joi.objectId().required(),
@@ -44,6 +117,57 @@ const createQuestionSchema = Joi.object({
       }),
     }),
   correctAnswer: Joi.any().required(),
+  grading: Joi.object({
+    partialCredit: Joi.boolean().default(true),
+    caseSensitive: Joi.boolean().default(false),
+    accentSensitive: Joi.boolean().default(false),
+    orderSensitive: Joi.boolean().default(true),
+    tolerance: Joi.number().min(0).default(0),
+    toleranceType: Joi.string()
+      .valid(...GRADING_TOLERANCE_TYPES)
+      .default("absolute"),
+    unit: Joi.string().trim().max(20).allow("").optional(),
+    unitPenalty: Joi.number().min(0).max(1).default(0.5),
+    acceptedAnswers: Joi.array().items(Joi.any()).optional(),
+    symbolicEquivalence: Joi.boolean().default(false),
+  }).optional(),
+  template: Joi.object({
+    variables: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string()
+            .pattern(/^[A-Za-z_][A-Za-z0-9_]*$/)
+            .required(),
+          min: Joi.number().required(),
+          max: Joi.number().min(Joi.ref("min")).required(),
+          step: Joi.number().positive().default(1),
+          unit: Joi.string().trim().max(20).allow("").optional(),
+        })
+      )
+      .max(QUESTION_TEMPLATE_LIMITS.MAX_VARIABLES)
+      .unique("name")
+      .optional(),
+    constraints: Joi.array().items(Joi.string().trim().max(200)).optional(),
+  }).optional(),
+  map: Joi.object({
+    mapType: Joi.string()
+      .valid(...GEOGRAPHY_MAP_TYPES)
+      .optional(),
+    region: Joi.string().trim().max(100).optional(),
+    baseMapUrl: Joi.string().uri().optional(),
+    features: Joi.array()
+      .items(
+        Joi.object({
+          featureId: Joi.string().trim().max(100).required(),
+          label: Joi.string().trim().max(200).optional(),
+          geometry: geometrySchema.required(),
+        })
+      )
+      .unique("featureId")
+      .optional(),
+  }).optional(),
+  diagram: diagramSchema.optional(),
+  rubric: rubricSchema.optional(),
   explanation: Joi.string().trim().max(1500).required(),
   difficulty: Joi.string()
     .valid(...DIFFICULTY_LEVELS)
@@ -54,6 +178,7 @@ const createQuestionSchema = Joi.object({
   hints: Joi.array().items(Joi.string().max(500)).optional(),
   tags: Joi.array().items(Joi.string().max(50)).optional(),
   relatedQuestions: Joi.array().items(Joi.objectId()).optional(),
+  passageId: Joi.objectId().allow(null).optional(),
   content: Joi.object({
     media: Joi.array()
       .items(
@@ -91,9 +216,7 @@ const createQuestionSchema = Joi.object({
     lastUsed: Joi.date().optional(),
     popularityScore: Joi.number().default(0),
   }).optional(),
-  status: Joi.string()
-    .valid("draft", "review", "approved", "rejected", "archived")
-    .default("draft"),
+  status: Joi.string().valid("draft", "review").default("draft"),
   premiumOnly: Joi.boolean().default(false),
   isActive: Joi.boolean().default(true),
 });
@@ -110,6 +233,11 @@ const updateQuestionSchema = createQuestionSchema
       "format",
       "options",
       "correctAnswer",
+      "grading",
+      "template",
+      "map",
+      "diagram",
+      "rubric",
       "explanation",
       "difficulty",
       "points",
@@ -119,20 +247,21 @@ const updateQuestionSchema = createQuestionSchema
       "tags",
       "relatedQuestions",
       "content",
-      "validation",
       "usage",
-      "status",
       "premiumOnly",
       "isActive",
     ],
     (schema) => schema.optional()
   )
+  // Status and validation changes go through the review workflow
+  .keys({ status: Joi.forbidden(), validation: Joi.forbidden() })
   .min(1);
 
 const getQuestionSchema = Joi.object({
   topicId: Joi.objectId().optional(),
   subjectId: Joi.objectId().optional(),
   creatorId: Joi.objectId().optional(),
+  passageId: Joi.objectId().optional(),
   series: Joi.string().optional(),
   level: Joi.string()
     .valid(
@@ -156,8 +285,140 @@ const getQuestionSchema = Joi.object({
   isActive: Joi.boolean().optional(),
 });
 
+const importQuestionsSchema = Joi.object({
+  format: Joi.string()
+    .valid(...QUESTION_EXCHANGE_FORMATS)
+    .required(),
+  content: Joi.string().min(1).required(),
+  encoding: Joi.string().valid("utf8", "base64").default("utf8"),
+  dryRun: Joi.boolean().default(false),
+  skipDuplicates: Joi.boolean().default(false),
+  defaults: Joi.object({
+    subjectId: Joi.objectId().optional(),
+    topicId: Joi.objectId().optional(),
+    level: Joi.string()
+      .valid(...QUESTION_LEVELS)
+      .optional(),
+    difficulty: Joi.string()
+      .valid(...EXERCISE_DIFFICULTY_LEVELS)
+      .optional(),
+    points: Joi.number().integer().min(1).max(100).optional(),
+    series: Joi.array().items(Joi.string().trim().min(1)).optional(),
+    tags: Joi.array().items(Joi.string().trim().min(1)).optional(),
+    explanation: Joi.string().trim().max(1000).optional(),
+    status: Joi.string().valid("draft", "review").optional(),
+  }).optional(),
+});
+
+const exportQuestionsSchema = Joi.object({
+  format: Joi.string()
+    .valid(...QUESTION_EXCHANGE_FORMATS)
+    .required(),
+  ids: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/)
+    .optional(),
+  topicId: Joi.objectId().optional(),
+  subjectId: Joi.objectId().optional(),
+  creatorId: Joi.objectId().optional(),
+  series: Joi.string().optional(),
+  level: Joi.string()
+    .valid(...QUESTION_LEVELS)
+    .optional(),
+  questionFormat: Joi.string()
+    .valid(...QUESTION_TYPES)
+    .optional(),
+  difficulty: Joi.string()
+    .valid(...EXERCISE_DIFFICULTY_LEVELS)
+    .optional(),
+  status: Joi.string()
+    .valid("draft", "review", "approved", "rejected", "archived")
+    .optional(),
+  tags: Joi.string().optional(),
+  isActive: Joi.boolean().optional(),
+});
+
+const checkDuplicatesSchema = Joi.object({
+  subjectId: Joi.objectId().required(),
+  topicId: Joi.objectId().required(),
+  question: Joi.string().trim().max(2000).required(),
+  options: Joi.array().items(Joi.string()).optional(),
+  excludeId: Joi.objectId().optional(),
+});
+
+const getDuplicateClustersSchema = Joi.object({
+  subjectId: Joi.objectId().optional(),
+  topicId: Joi.objectId().optional(),
+  threshold: Joi.number().min(0.5).max(1).optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+});
+
+const mergeDuplicatesSchema = Joi.object({
+  keepId: Joi.objectId().required(),
+  duplicateIds: Joi.array().items(Joi.objectId()).min(1).max(50).required(),
+});
+
+const submitForReviewSchema = Joi.object({
+  comment: Joi.string().trim().max(1000).optional(),
+});
+
+const assignReviewerSchema = Joi.object({
+  reviewerId: Joi.objectId().required(),
+});
+
+const approveQuestionSchema = Joi.object({
+  comment: Joi.string().trim().max(1000).optional(),
+  qualityScore: Joi.number().min(0).max(10).optional(),
+});
+
+const rejectQuestionSchema = Joi.object({
+  comment: Joi.string().trim().min(1).max(1000).required(),
+});
+
+const requestChangesSchema = Joi.object({
+  comment: Joi.string().trim().min(1).max(1000).required(),
+  changes: Joi.array()
+    .items(Joi.string().trim().min(1).max(500))
+    .max(20)
+    .optional(),
+});
+
+const archiveQuestionSchema = Joi.object({
+  comment: Joi.string().trim().max(1000).optional(),
+});
+
+const getReviewQueueSchema = Joi.object({
+  subjectId: Joi.objectId().optional(),
+  topicId: Joi.objectId().optional(),
+  unassigned: Joi.boolean().optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+});
+
+const previewTemplateSchema = Joi.object({
+  seed: Joi.string().trim().max(64).optional(),
+});
+
+const validateDiagramSchema = diagramSchema.fork(["imageUrl"], (schema) =>
+  schema.optional()
+);
+
 module.exports = {
   createQuestionSchema,
   updateQuestionSchema,
   getQuestionSchema,
+  importQuestionsSchema,
+  exportQuestionsSchema,
+  checkDuplicatesSchema,
+  getDuplicateClustersSchema,
+  mergeDuplicatesSchema,
+  submitForReviewSchema,
+  assignReviewerSchema,
+  approveQuestionSchema,
+  rejectQuestionSchema,
+  requestChangesSchema,
+  archiveQuestionSchema,
+  getReviewQueueSchema,
+  previewTemplateSchema,
+  validateDiagramSchema,
 };
\ No newline at end of file
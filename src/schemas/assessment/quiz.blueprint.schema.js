@@ -0,0 +1,104 @@
+const Joi = require("joi");
+const {
+  EXERCISE_DIFFICULTY_LEVELS,
+  QUESTION_TYPES,
+} = require("../../constants");
+
+const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+const topicWeightSchema = Joi.object({
+  topicId: Joi.string().pattern(objectIdPattern).required().messages({
+    "string.pattern.base": "Invalid topic ID format",
+    "any.required": "Topic ID is required",
+  }),
+  weight: Joi.number().min(1).max(100).required(),
+});
+
+const difficultyWeightSchema = Joi.object({
+  difficulty: Joi.string()
+    .valid(...EXERCISE_DIFFICULTY_LEVELS)
+    .required(),
+  weight: Joi.number().min(1).max(100).required(),
+});
+
+const quizSettingsSchema = Joi.object({
+  shuffleQuestions: Joi.boolean(),
+  shuffleOptions: Joi.boolean(),
+  showCorrectAnswers: Joi.boolean(),
+  allowReview: Joi.boolean(),
+  pauseStopsTimer: Joi.boolean(),
+});
+
+// Create quiz blueprint schema
+const createQuizBlueprintSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(200).required().messages({
+    "string.empty": "Blueprint title is required",
+    "string.min": "Blueprint title must be at least 3 characters long",
+    "string.max": "Blueprint title cannot exceed 200 characters",
+  }),
+
+  description: Joi.string().trim().max(1000).optional(),
+
+  subjectId: Joi.string().pattern(objectIdPattern).required().messages({
+    "string.pattern.base": "Invalid subject ID format",
+    "any.required": "Subject ID is required",
+  }),
+
+  series: Joi.array().items(Joi.string().trim()).optional(),
+
+  level: Joi.string()
+    .valid(...EXERCISE_DIFFICULTY_LEVELS)
+    .required(),
+
+  topicWeights: Joi.array().items(topicWeightSchema).min(1).required().messages({
+    "array.min": "At least one topic is required",
+    "any.required": "Topic weights are required",
+  }),
+
+  difficultyMix: Joi.array().items(difficultyWeightSchema).optional(),
+
+  formats: Joi.array()
+    .items(Joi.string().valid(...QUESTION_TYPES))
+    .optional(),
+
+  totalPoints: Joi.number().integer().min(1).max(1000).required().messages({
+    "number.min": "Total points must be at least 1",
+    "any.required": "Total points is required",
+  }),
+
+  maxQuestions: Joi.number().integer().min(1).max(100).optional(),
+
+  recentExclusionDays: Joi.number().integer().min(0).max(365).optional(),
+
+  timeLimit: Joi.number().integer().min(60).max(10800).required().messages({
+    "number.min": "Time limit must be at least 60 seconds (1 minute)",
+    "number.max": "Time limit cannot exceed 10800 seconds (3 hours)",
+    "any.required": "Time limit is required",
+  }),
+
+  quizSettings: quizSettingsSchema.optional(),
+
+  premiumOnly: Joi.boolean().default(false),
+});
+
+// Update quiz blueprint schema
+const updateQuizBlueprintSchema = createQuizBlueprintSchema
+  .fork(
+    ["title", "subjectId", "level", "topicWeights", "totalPoints", "timeLimit"],
+    (schema) => schema.optional()
+  )
+  .min(1);
+
+// Generate quiz schema
+const generateQuizSchema = Joi.object({
+  studentId: Joi.string().pattern(objectIdPattern).optional().messages({
+    "string.pattern.base": "Invalid student ID format",
+  }),
+  title: Joi.string().trim().min(3).max(200).optional(),
+});
+
+module.exports = {
+  createQuizBlueprintSchema,
+  updateQuizBlueprintSchema,
+  generateQuizSchema,
+};
@@ -56,9 +56,9 @@ const createQuizSchema = Joi.object({
       "any.required": "Level is required",
     }),
 
-  timeLimit: Joi.number().integer().min(60).max(10800).required().messages({
+  timeLimit: Joi.number().integer().min(60).max(21600).required().messages({
     "number.min": "Time limit must be at least 60 seconds (1 minute)",
-    "number.max": "Time limit cannot exceed 10800 seconds (3 hours)",
+    "number.max": "Time limit cannot exceed 21600 seconds (6 hours)",
     "any.required": "Time limit is required",
   }),
 
@@ -72,6 +72,7 @@ const createQuizSchema = Joi.object({
     shuffleOptions: Joi.boolean().default(false),
     showCorrectAnswers: Joi.boolean().default(true),
     allowReview: Joi.boolean().default(true),
+    pauseStopsTimer: Joi.boolean().default(false),
   }).optional(),
 
   difficulty: Joi.string().valid("Easy", "Medium", "Hard").default("Medium"),
@@ -110,7 +111,7 @@ const updateQuizSchema = Joi.object({
 
   level: Joi.string().valid("Beginner", "Intermediate", "Advanced").optional(),
 
-  timeLimit: Joi.number().integer().min(60).max(10800).optional(),
+  timeLimit: Joi.number().integer().min(60).max(21600).optional(),
 
   retakePolicy: Joi.object({
     maxAttempts: Joi.number().integer().min(1).max(10),
@@ -122,6 +123,7 @@ const updateQuizSchema = Joi.object({
     shuffleOptions: Joi.boolean(),
     showCorrectAnswers: Joi.boolean(),
     allowReview: Joi.boolean(),
+    pauseStopsTimer: Joi.boolean(),
   }).optional(),
 
   difficulty: Joi.string().valid("Easy", "Medium", "Hard").optional(),
@@ -1,4 +1,18 @@
 const Joi = require("joi");
+const {
+  INTEGRITY_EVENT_TYPES,
+  INTEGRITY_REVIEW_STATUSES,
+} = require("../../constants");
+
+// Answer value accepted for every question format: a choice or text, a number,
+// a list (multi-select, blanks, sequences, pairs) or a key → value mapping
+const selectedAnswerSchema = Joi.alternatives().try(
+  Joi.string().allow(""),
+  Joi.number(),
+  Joi.boolean(),
+  Joi.array().items(Joi.string().allow(""), Joi.number(), Joi.object()),
+  Joi.object()
+);
 
 // Create session schema
 const createSessionSchema = Joi.object({
@@ -15,6 +29,34 @@ const createSessionSchema = Joi.object({
   isOnline: Joi.boolean().default(true),
 });
 
+// Create adaptive session schema
+const createAdaptiveSessionSchema = createSessionSchema.keys({
+  targetStandardError: Joi.number().min(0.05).max(1).optional(),
+  minQuestions: Joi.number().integer().min(1).max(100).optional(),
+  maxQuestions: Joi.number().integer().min(1).max(100).optional(),
+});
+
+// Create challenge session schema
+const createChallengeSessionSchema = Joi.object({
+  challengeId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Invalid challenge ID format",
+      "any.required": "Challenge ID is required",
+    }),
+
+  platform: Joi.string().optional(),
+  screenResolution: Joi.string().optional(),
+  isOnline: Joi.boolean().default(true),
+});
+
+// Calibrate items schema
+const calibrateItemsSchema = Joi.object({
+  minResponses: Joi.number().integer().min(1).optional(),
+  since: Joi.date().optional(),
+});
+
 // Submit answer schema
 const submitAnswerSchema = Joi.object({
   questionId: Joi.string()
@@ -25,17 +67,9 @@ const submitAnswerSchema = Joi.object({
       "any.required": "Question ID is required",
     }),
 
-  selectedAnswer: Joi.alternatives()
-    .try(
-      Joi.string(),
-      Joi.number(),
-      Joi.array().items(Joi.string()),
-      Joi.boolean()
-    )
-    .required()
-    .messages({
-      "any.required": "Selected answer is required",
-    }),
+  selectedAnswer: selectedAnswerSchema.required().messages({
+    "any.required": "Selected answer is required",
+  }),
 });
 
 // Navigate schema
@@ -61,12 +95,7 @@ const syncSessionSchema = Joi.object({
     .items(
       Joi.object({
         questionId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
-        selectedAnswer: Joi.alternatives().try(
-          Joi.string(),
-          Joi.number(),
-          Joi.array().items(Joi.string()),
-          Joi.boolean()
-        ),
+        selectedAnswer: selectedAnswerSchema.allow(null),
         timeSpent: Joi.number().min(0),
         flagged: Joi.boolean(),
         skipped: Joi.boolean(),
@@ -78,9 +107,130 @@ const syncSessionSchema = Joi.object({
   currentQuestionIndex: Joi.number().integer().min(0).optional(),
 });
 
+// Offline bundle schema
+const offlineBundleSchema = Joi.object({
+  quizId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Invalid quiz ID format",
+      "any.required": "Quiz ID is required",
+    }),
+});
+
+// Offline upload schema; the manifest is checked against its signature
+const offlineUploadSchema = Joi.object({
+  manifest: Joi.object({
+    version: Joi.number().integer().required(),
+    bundleId: Joi.string().required(),
+    quizId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    issuedAt: Joi.string().isoDate().required(),
+    expiresAt: Joi.string().isoDate().required(),
+    timeLimit: Joi.number().min(0).required(),
+    shuffleSeed: Joi.string().required(),
+    shuffleOptions: Joi.boolean().required(),
+    questionIds: Joi.array()
+      .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+      .min(1)
+      .required(),
+    contentHash: Joi.string().required(),
+  })
+    .required()
+    .messages({ "any.required": "Bundle manifest is required" }),
+
+  signature: Joi.string().hex().required().messages({
+    "any.required": "Bundle signature is required",
+  }),
+
+  startedAt: Joi.date().required().messages({
+    "any.required": "Start time of the offline attempt is required",
+  }),
+  submittedAt: Joi.date().min(Joi.ref("startedAt")).optional(),
+
+  answers: Joi.array()
+    .items(
+      Joi.object({
+        questionId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+        selectedAnswer: selectedAnswerSchema.allow(null),
+        timeSpent: Joi.number().min(0),
+        flagged: Joi.boolean(),
+        skipped: Joi.boolean(),
+        answeredAt: Joi.date().required(),
+      })
+    )
+    .max(500)
+    .default([]),
+
+  deviceInfo: Joi.object({
+    platform: Joi.string().optional(),
+    browser: Joi.string().optional(),
+    version: Joi.string().optional(),
+    userAgent: Joi.string().optional(),
+    screenResolution: Joi.string().optional(),
+  }).optional(),
+});
+
+// Integrity events schema
+const integrityEventsSchema = Joi.object({
+  events: Joi.array()
+    .items(
+      Joi.object({
+        type: Joi.string()
+          .valid(...INTEGRITY_EVENT_TYPES)
+          .required(),
+        occurredAt: Joi.date().optional(),
+        questionId: Joi.string()
+          .pattern(/^[0-9a-fA-F]{24}$/)
+          .optional(),
+        details: Joi.string().max(500).optional(),
+      })
+    )
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      "array.min": "At least one event is required",
+      "array.max": "At most 50 events can be sent at once",
+      "any.required": "Events are required",
+    }),
+});
+
+// Integrity review queue query schema
+const integrityReviewQueueSchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  status: Joi.string()
+    .valid(...INTEGRITY_REVIEW_STATUSES.slice(1))
+    .optional(),
+  challengeId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional(),
+});
+
+// Integrity review decision schema
+const reviewIntegritySchema = Joi.object({
+  decision: Joi.string()
+    .valid(INTEGRITY_REVIEW_STATUSES[2], INTEGRITY_REVIEW_STATUSES[3])
+    .required()
+    .messages({
+      "any.only": "Decision must be cleared or confirmed",
+      "any.required": "Decision is required",
+    }),
+  notes: Joi.string().max(1000).optional(),
+});
+
 module.exports = {
   createSessionSchema,
+  createAdaptiveSessionSchema,
+  createChallengeSessionSchema,
+  calibrateItemsSchema,
   submitAnswerSchema,
   navigateSchema,
   syncSessionSchema,
+  offlineBundleSchema,
+  offlineUploadSchema,
+  integrityEventsSchema,
+  integrityReviewQueueSchema,
+  reviewIntegritySchema,
 };
\ No newline at end of file
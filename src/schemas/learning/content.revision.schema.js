@@ -0,0 +1,41 @@
+const Joi = require("joi");
+const { REVISION_CONTENT_TYPES } = require("../../constants");
+
+const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+const versionSchema = Joi.number().integer().min(1).messages({
+  "number.base": "Version must be a number",
+  "number.min": "Version must be at least 1",
+});
+
+// Revised content, optionally with one of its revisions
+const revisionParamsSchema = Joi.object({
+  contentType: Joi.string()
+    .valid(...REVISION_CONTENT_TYPES)
+    .required()
+    .messages({
+      "any.only": `Content type must be one of: ${REVISION_CONTENT_TYPES.join(", ")}`,
+    }),
+  contentId: Joi.string().pattern(objectIdPattern).required().messages({
+    "string.pattern.base": "Invalid content ID format",
+  }),
+  version: versionSchema.optional(),
+});
+
+// Revision history pagination
+const getRevisionsSchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+});
+
+// Revisions to compare
+const diffRevisionsSchema = Joi.object({
+  from: versionSchema.required(),
+  to: versionSchema.required(),
+});
+
+module.exports = {
+  revisionParamsSchema,
+  getRevisionsSchema,
+  diffRevisionsSchema,
+};
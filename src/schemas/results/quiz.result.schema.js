@@ -1,5 +1,6 @@
 const Joi = require("joi");
 Joi.objectId = require("joi-objectid")(Joi);
+const { GRADING_STATUSES } = require("../../constants/index");
 
 const feedbackSchema = Joi.object({
   userId: Joi.objectId().required(),
@@ -7,6 +8,16 @@ const feedbackSchema = Joi.object({
   comments: Joi.string().max(1000).optional(),
 });
 
+const questionResultSchema = Joi.object({
+  questionId: Joi.objectId().required(),
+  pointsEarned: Joi.number().min(0).required(),
+  maxPoints: Joi.number().min(0).required(),
+  isCorrect: Joi.boolean().optional(),
+  gradingStatus: Joi.string()
+    .valid(...GRADING_STATUSES)
+    .optional(),
+});
+
 const createQuizResultSchema = Joi.object({
   userId: Joi.objectId().required(),
   quizId: Joi.objectId().required(),
@@ -14,6 +25,8 @@ const createQuizResultSchema = Joi.object({
   questionIds: Joi.array().items(Joi.objectId()).optional(),
   correctCount: Joi.number().min(0).required(),
   score: Joi.number().min(0).required(),
+  maxScore: Joi.number().min(0).optional(),
+  questionResults: Joi.array().items(questionResultSchema).optional(),
   timeTaken: Joi.number().min(0).required(),
   completedAt: Joi.date().default(Date.now),
   hintUsages: Joi.array().items(Joi.objectId()).optional(),
@@ -36,6 +49,8 @@ const updateQuizResultSchema = createQuizResultSchema
       "questionIds",
       "correctCount",
       "score",
+      "maxScore",
+      "questionResults",
       "timeTaken",
       "completedAt",
       "hintUsages",
@@ -1,6 +1,8 @@
 const { Assessment } = require("../../../models/assessment/assessment.model");
 const { Question } = require("../../../models/assessment/question.model");
 const { ApiError } = require("../../../utils/ApiError"); 
+const questionReviewService = require("../question/review.service");
+const { ASSESSMENT_STATUSES } = require("../../../constants");
 
 class AssessmentService {
   // Create assessment
@@ -15,6 +17,9 @@ class AssessmentService {
         if (questions.length !== assessmentData.questionIds.length) {
           throw new ApiError(400, "Some questions not found");
         }
+        if (this.isPublished(assessmentData.status)) {
+          await questionReviewService.ensureApproved(assessmentData.questionIds);
+        }
 
         // Calculate total marks
         assessmentData.totalMarks = questions.reduce(
@@ -116,6 +121,28 @@ class AssessmentService {
   // Update assessment
   async updateAssessment(assessmentId, updateData) {
     try {
+      if (updateData.questionIds || updateData.status) {
+        const current = await Assessment.findById(assessmentId).select(
+          "questionIds status"
+        );
+        if (!current) {
+          throw new ApiError(404, "Assessment not found");
+        }
+        // Publishing a draft checks all its questions, otherwise only added ones
+        if (this.isPublished(updateData.status ?? current.status)) {
+          const published = new Set(
+            this.isPublished(current.status)
+              ? current.questionIds.map(String)
+              : []
+          );
+          await questionReviewService.ensureApproved(
+            (updateData.questionIds ?? current.questionIds).filter(
+              (id) => !published.has(String(id))
+            )
+          );
+        }
+      }
+
       // Validate questions if being updated
       if (updateData.questionIds) {
         const questions = await Question.find({
@@ -204,6 +231,7 @@ class AssessmentService {
       if (!assessment.questionIds || assessment.questionIds.length === 0) {
         throw new ApiError(400, "Cannot publish assessment without questions");
       }
+      await questionReviewService.ensureApproved(assessment.questionIds);
 
       assessment.status = "published";
       await assessment.save();
@@ -245,6 +273,18 @@ class AssessmentService {
   // Bulk operations
   async bulkUpdateAssessments(assessmentIds, updateData) {
     try {
+      if (this.isPublished(updateData.status)) {
+        const drafts = await Assessment.find({
+          _id: { $in: assessmentIds },
+          isActive: true,
+          // published, scheduled
+          status: { $nin: [ASSESSMENT_STATUSES[1], ASSESSMENT_STATUSES[3]] },
+        }).select("questionIds");
+        await questionReviewService.ensureApproved(
+          drafts.flatMap((assessment) => assessment.questionIds)
+        );
+      }
+
       const result = await Assessment.updateMany(
         { _id: { $in: assessmentIds }, isActive: true },
         { $set: updateData }
@@ -255,6 +295,7 @@ class AssessmentService {
         modifiedCount: result.modifiedCount,
       };
     } catch (error) {
+      if (error instanceof ApiError) throw error;
       throw new ApiError(
         500,
         `Error bulk updating assessments: ${error.message}`
@@ -280,6 +321,12 @@ class AssessmentService {
       );
     }
   }
+
+  // Helper method to check whether students can see an assessment with this status
+  isPublished(status) {
+    // published, scheduled
+    return [ASSESSMENT_STATUSES[1], ASSESSMENT_STATUSES[3]].includes(status);
+  }
 }
 
 module.exports = new AssessmentService();
\ No newline at end of file
@@ -1,6 +1,12 @@
 const { Challenge } = require("../../../models/assessment/challenge.model");
 const { Question } = require("../../../models/assessment/question.model");
 const { ApiError } = require("../../../utils/ApiError");
+const { seededGroupedShuffle } = require("../../../utils/shuffle.utils");
+const questionReviewService = require("../question/review.service");
+const {
+  INTEGRITY_REVIEW_STATUSES,
+  CHALLENGE_STATUSES,
+} = require("../../../constants");
 const createLogger = require("../../logging.service");
 
 const logger = createLogger("ChallengeService");
@@ -18,6 +24,9 @@ class ChallengeService {
         if (questions.length !== challengeData.questionIds.length) {
           throw new ApiError(400, "Some questions not found");
         }
+        if (this.isPublished(challengeData.status)) {
+          await questionReviewService.ensureApproved(challengeData.questionIds);
+        }
       }
 
       // Validate dates
@@ -165,6 +174,23 @@ class ChallengeService {
         }
       }
 
+      // Publishing a draft checks all its questions, otherwise only added ones
+      const publishes = this.isPublished(
+        updateData.status ?? challenge.status
+      );
+      if (publishes && (updateData.questionIds || updateData.status)) {
+        const published = new Set(
+          this.isPublished(challenge.status)
+            ? challenge.questionIds.map(String)
+            : []
+        );
+        await questionReviewService.ensureApproved(
+          (updateData.questionIds ?? challenge.questionIds).filter(
+            (id) => !published.has(String(id))
+          )
+        );
+      }
+
       const updatedChallenge = await Challenge.findByIdAndUpdate(
         challengeId,
         { $set: updateData },
@@ -332,8 +358,13 @@ class ChallengeService {
     }
   }
 
-  // Submit challenge result
-  async submitChallengeResult(challengeId, userId, resultData) {
+  // Get challenge questions in the participant's own order
+  // Templates stay on the server; sessions ask for them to draw their values
+  async getChallengeQuestions(
+    challengeId,
+    userId,
+    { withTemplates = false } = {}
+  ) {
     try {
       const challenge = await Challenge.findById(challengeId);
 
@@ -341,29 +372,132 @@ class ChallengeService {
         throw new ApiError(404, "Challenge not found");
       }
 
-      if (challenge.status !== "active") {
-        throw new ApiError(400, "Challenge is not active");
+      const isParticipant = challenge.participants.some(
+        (participantId) => participantId.toString() === userId.toString()
+      );
+      if (!isParticipant) {
+        throw new ApiError(400, "User is not a participant in this challenge");
       }
 
-      if (!challenge.participants.includes(userId)) {
-        throw new ApiError(400, "User is not a participant in this challenge");
+      const questions = await Question.find({
+        _id: { $in: challenge.questionIds },
+      }).select(
+        `question format options difficulty points map diagram passageId${
+          withTemplates ? " template" : ""
+        }`
+      );
+      const questionMap = new Map(
+        questions.map((question) => [question._id.toString(), question])
+      );
+      const orderedQuestions = challenge.questionIds
+        .map((id) => questionMap.get(id.toString()))
+        .filter(Boolean);
+
+      // Seeding with the participant keeps the order stable across requests
+      return challenge.rules?.shuffleQuestions
+        ? seededGroupedShuffle(
+            orderedQuestions,
+            `${challengeId}:${userId}`,
+            (question) => question.passageId
+          )
+        : orderedQuestions;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        500,
+        `Error fetching challenge questions: ${error.message}`
+      );
+    }
+  }
+
+  // Add the result of a finished challenge session to the leaderboard
+  async recordSessionResult(session) {
+    try {
+      const challenge = await Challenge.findById(session.challengeId);
+
+      if (!challenge) {
+        throw new ApiError(404, "Challenge not found");
       }
 
-      const winnerData = {
-        userId,
-        score: resultData.score,
-        timeSpent: resultData.timeSpent,
-        completedAt: new Date(),
+      const entryData = {
+        userId: session.userId,
+        sessionId: session._id,
+        score: session.score,
+        timeSpent: session.timeTaken ?? 0,
+        completedAt: session.endTime ?? new Date(),
+        heldForReview:
+          session.integrity?.review?.status === INTEGRITY_REVIEW_STATUSES[1], // pending
       };
+      const entry = challenge.winners.find(
+        (winner) => winner.sessionId?.toString() === session._id.toString()
+      );
+      if (entry) {
+        entry.set(entryData);
+        challenge.rankWinners();
+        await challenge.save();
+      } else {
+        await challenge.addWinner(entryData);
+      }
 
-      await challenge.addWinner(winnerData);
+      return challenge;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        500,
+        `Error recording challenge session result: ${error.message}`
+      );
+    }
+  }
 
-      return { message: "Challenge result submitted successfully" };
+  // Hold or release the leaderboard entries of sessions under integrity review
+  async setSessionEntriesHeld(challengeId, sessionIds, heldForReview) {
+    try {
+      const challenge = await Challenge.findById(challengeId);
+
+      if (!challenge) {
+        throw new ApiError(404, "Challenge not found");
+      }
+
+      const ids = new Set(sessionIds.map((id) => id.toString()));
+      challenge.winners.forEach((winner) => {
+        if (winner.sessionId && ids.has(winner.sessionId.toString())) {
+          winner.heldForReview = heldForReview;
+        }
+      });
+      challenge.rankWinners();
+      await challenge.save();
+
+      return challenge;
     } catch (error) {
       if (error instanceof ApiError) throw error;
       throw new ApiError(
         500,
-        `Error submitting challenge result: ${error.message}`
+        `Error updating challenge entries: ${error.message}`
+      );
+    }
+  }
+
+  // Remove the leaderboard entry of a session confirmed as cheating
+  async disqualifySession(challengeId, sessionId) {
+    try {
+      const challenge = await Challenge.findById(challengeId);
+
+      if (!challenge) {
+        throw new ApiError(404, "Challenge not found");
+      }
+
+      challenge.winners = challenge.winners.filter(
+        (winner) => winner.sessionId?.toString() !== sessionId.toString()
+      );
+      challenge.rankWinners();
+      await challenge.updateAnalytics();
+
+      return challenge;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        500,
+        `Error disqualifying challenge session: ${error.message}`
       );
     }
   }
@@ -379,9 +513,12 @@ class ChallengeService {
         throw new ApiError(404, "Challenge not found");
       }
 
+      // Entries awaiting an integrity review stay off the leaderboard
       return {
         challengeTitle: challenge.title,
-        leaderboard: challenge.winners,
+        leaderboard: challenge.winners.filter(
+          (winner) => !winner.heldForReview
+        ),
         prizes: challenge.prizes,
       };
     } catch (error) {
@@ -392,6 +529,12 @@ class ChallengeService {
       );
     }
   }
+
+  // Helper method to check whether students can see a challenge with this status
+  isPublished(status = CHALLENGE_STATUSES[0]) {
+    // draft, cancelled
+    return ![CHALLENGE_STATUSES[0], CHALLENGE_STATUSES[4]].includes(status);
+  }
 }
 
 module.exports = new ChallengeService();
\ No newline at end of file
@@ -0,0 +1,416 @@
+const { normalizeText } = require("../grading/grading.utils");
+const {
+  DISSERTATION_RULES,
+  DISSERTATION_CONNECTORS,
+  DISSERTATION_REQUIRED_CONNECTORS,
+} = require("../../../constants");
+
+// Points of each check in the provisional structure score, out of 20
+const CHECK_WEIGHTS = {
+  introduction: 2,
+  problematique: 3,
+  plan: 1,
+  subject: 1,
+  parts: 4,
+  balance: 2,
+  conclusion: 2,
+  length: 2,
+  connectors: 3,
+};
+const MAX_SCORE = 20;
+
+// Headings students write above sections, e.g. "Introduction", "II." or
+// "Deuxième partie : ..."
+const HEADING_PATTERN =
+  /^(introduction|conclusion|developpement|(?:premiere|deuxieme|seconde|troisieme|derniere) partie|partie (?:[1-3]|i{1,3})\b|(?:i{1,3}|[1-3])(?:\s*[-.):]|$))/;
+const HEADING_MAX_WORDS = 15;
+// Openings that start a new part when there are no headings
+const PART_OPENERS = [
+  "dans un premier temps",
+  "en premier lieu",
+  "premierement",
+  "dans un deuxieme temps",
+  "dans un second temps",
+  "en second lieu",
+  "deuxiemement",
+  "dans un troisieme temps",
+  "dans un dernier temps",
+  "en dernier lieu",
+  "troisiemement",
+];
+const CONCLUSION_OPENERS = [
+  "en conclusion",
+  "pour conclure",
+  "en definitive",
+  "au terme de",
+];
+const PLAN_MARKERS = [
+  "nous verrons",
+  "nous examinerons",
+  "nous etudierons",
+  "nous montrerons",
+  "dans un premier temps",
+  "en premier lieu",
+  "d'une part",
+];
+// Short words left out when comparing the introduction with the subject
+const STOP_WORDS = new Set([
+  "alors",
+  "aussi",
+  "autre",
+  "avoir",
+  "cette",
+  "comme",
+  "elle",
+  "elles",
+  "etre",
+  "faut",
+  "leur",
+  "leurs",
+  "meme",
+  "nous",
+  "peut",
+  "pour",
+  "sans",
+  "sont",
+  "tout",
+  "toute",
+  "vous",
+]);
+
+const normalize = (text) => normalizeText(text, {});
+
+const countWords = (text) => (text.match(/[\p{L}\p{N}'’-]+/gu) ?? []).length;
+
+const startsWithAny = (text, openers) =>
+  openers.some((opener) => normalize(text).startsWith(opener));
+
+/**
+ * Checks whether a normalized text contains an expression as whole words.
+ * @param {string} text - Normalized text.
+ * @param {string} expression - Normalized expression.
+ * @returns {boolean} True if the expression appears.
+ */
+const containsExpression = (text, expression) =>
+  new RegExp(
+    `(^|[^a-z0-9'])${expression.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}($|[^a-z0-9])`
+  ).test(text);
+
+/**
+ * Splits an essay into paragraphs: blank lines separate paragraphs, or
+ * single line breaks when the essay has no blank line.
+ * @param {string} text - Essay.
+ * @returns {string[]} Non-empty paragraphs.
+ */
+const splitParagraphs = (text) => {
+  const source = String(text ?? "").replace(/\r\n?/g, "\n");
+  const separator = /\n\s*\n/.test(source) ? /\n\s*\n/ : /\n/;
+  return source
+    .split(separator)
+    .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+};
+
+/**
+ * Tells what a heading introduces.
+ * @param {string} paragraph - Paragraph.
+ * @returns {string|null} "introduction", "conclusion", "development",
+ *   "part", or null if the paragraph is not a heading.
+ */
+const getHeadingType = (paragraph) => {
+  const text = normalize(paragraph);
+  if (countWords(paragraph) > HEADING_MAX_WORDS) return null;
+  const match = text.match(HEADING_PATTERN);
+  if (!match) return null;
+  if (match[1] === "introduction" || match[1] === "conclusion") {
+    // "Introduction" alone, not a sentence starting with the word
+    return countWords(paragraph) <= 2 ? match[1] : null;
+  }
+  return match[1] === "developpement" ? "development" : "part";
+};
+
+/**
+ * Finds the sections of an essay. Headings are used when the student wrote
+ * part headings; otherwise the first paragraph is the introduction, the
+ * last one the conclusion, and parts start at opening expressions such as
+ * "Dans un second temps" (or at every paragraph when there are none).
+ * @param {string[]} paragraphs - Paragraphs of the essay.
+ * @returns {{introduction: string[], parts: string[][], conclusion: string[]}}
+ *   Paragraphs of each section.
+ */
+const detectSections = (paragraphs) => {
+  const headings = paragraphs.map(getHeadingType);
+  const sections = { introduction: [], parts: [], conclusion: [] };
+
+  if (headings.includes("part")) {
+    let current = sections.introduction;
+    paragraphs.forEach((paragraph, index) => {
+      const heading = headings[index];
+      if (heading === "introduction") current = sections.introduction;
+      else if (heading === "conclusion") current = sections.conclusion;
+      else if (heading === "part") {
+        current = [];
+        sections.parts.push(current);
+      } else if (!heading) current.push(paragraph);
+    });
+    const lastPart = sections.parts[sections.parts.length - 1];
+    if (
+      sections.conclusion.length === 0 &&
+      lastPart?.length > 1 &&
+      startsWithAny(lastPart[lastPart.length - 1], CONCLUSION_OPENERS)
+    ) {
+      sections.conclusion.push(lastPart.pop());
+    }
+    sections.parts = sections.parts.filter((part) => part.length > 0);
+    return sections;
+  }
+
+  const content = paragraphs.filter((_, index) => !headings[index]);
+  if (content.length === 0) return sections;
+  sections.introduction.push(content[0]);
+  if (content.length < 3) {
+    if (content.length === 2) sections.parts.push([content[1]]);
+    return sections;
+  }
+  sections.conclusion.push(content[content.length - 1]);
+
+  const body = content.slice(1, -1);
+  const hasOpeners = body.some((paragraph) =>
+    startsWithAny(paragraph, PART_OPENERS)
+  );
+  body.forEach((paragraph, index) => {
+    if (
+      index === 0 ||
+      !hasOpeners ||
+      startsWithAny(paragraph, PART_OPENERS)
+    ) {
+      sections.parts.push([paragraph]);
+    } else {
+      sections.parts[sections.parts.length - 1].push(paragraph);
+    }
+  });
+  return sections;
+};
+
+/**
+ * Questions asked in a text, as written by the student.
+ * @param {string} text - Text.
+ * @returns {string[]} Sentences ending with a question mark.
+ */
+const findQuestions = (text) =>
+  text
+    .split(/(?<=[.!?…])\s+/)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => sentence.endsWith("?"));
+
+/**
+ * Share of the subject's meaningful words that the introduction takes up.
+ * @param {string} subject - Subject of the dissertation.
+ * @param {string} introduction - Introduction.
+ * @returns {number|null} Coverage from 0 to 1, or null without a subject.
+ */
+const getSubjectCoverage = (subject, introduction) => {
+  const words = [
+    ...new Set(
+      normalize(subject)
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length > 3 && !STOP_WORDS.has(word))
+    ),
+  ];
+  if (words.length === 0) return null;
+  const text = normalize(introduction);
+  // Words are compared on their stem, so "conscience" also matches "conscient"
+  const taken = words.filter((word) =>
+    text.includes(word.slice(0, Math.max(4, word.length - 2)))
+  );
+  return taken.length / words.length;
+};
+
+/**
+ * Connectors used in the essay, by role.
+ * @param {string} text - Essay.
+ * @returns {{found: Object, missing: string[]}} Connectors found per
+ *   category, and required categories the essay does not use.
+ */
+const findConnectors = (text) => {
+  const normalized = normalize(text);
+  const found = {};
+  Object.entries(DISSERTATION_CONNECTORS).forEach(([category, connectors]) => {
+    found[category] = connectors.filter((connector) =>
+      containsExpression(normalized, normalize(connector))
+    );
+  });
+  return {
+    found,
+    missing: DISSERTATION_REQUIRED_CONNECTORS.filter(
+      (category) => found[category].length === 0
+    ),
+  };
+};
+
+/**
+ * Analyzes the structure of a philosophy dissertation without any network
+ * call: introduction with a problematique, development in parts,
+ * conclusion, length and connectors. The score only rates the form and is
+ * provisional until a teacher grades the essay.
+ * @param {string} text - Essay as written by the student.
+ * @param {Object} [options={}] - Analysis options.
+ * @param {string} [options.subject] - Subject, to check the introduction takes it up.
+ * @returns {Object} Sections, checks, score out of 20 and formative feedback.
+ */
+const analyzeDissertation = (text, { subject } = {}) => {
+  const paragraphs = splitParagraphs(text);
+  const sections = detectSections(paragraphs);
+  const introductionText = sections.introduction.join(" ");
+  const conclusionText = sections.conclusion.join(" ");
+  const wordCount = countWords(paragraphs.join(" "));
+
+  const introduction = {
+    present: sections.introduction.length > 0,
+    wordCount: countWords(introductionText),
+    questions: findQuestions(introductionText),
+    announcesPlan: PLAN_MARKERS.some((marker) =>
+      containsExpression(normalize(introductionText), marker)
+    ),
+    subjectCoverage: subject
+      ? getSubjectCoverage(subject, introductionText)
+      : null,
+  };
+  const parts = sections.parts.map((part, index) => ({
+    index: index + 1,
+    wordCount: countWords(part.join(" ")),
+    paragraphCount: part.length,
+  }));
+  const partWords = parts.map((part) => part.wordCount);
+  const partBalance =
+    parts.length >= 2 && Math.max(...partWords) > 0
+      ? Math.round((Math.min(...partWords) / Math.max(...partWords)) * 100) /
+        100
+      : null;
+  const conclusion = {
+    present: sections.conclusion.length > 0,
+    wordCount: countWords(conclusionText),
+  };
+  const connectors = findConnectors(paragraphs.join(" "));
+
+  const feedback = [];
+  let earned = 0;
+  let possible = 0;
+  const check = (aspect, ratio, message) => {
+    const weight = CHECK_WEIGHTS[aspect];
+    possible += weight;
+    earned += weight * Math.min(1, Math.max(0, ratio));
+    feedback.push({ aspect, status: ratio >= 1 ? "ok" : "improve", message });
+  };
+
+  check(
+    "introduction",
+    Number(introduction.present),
+    introduction.present
+      ? "Votre copie commence par une introduction."
+      : "Rédigez une introduction qui présente le sujet."
+  );
+  check(
+    "problematique",
+    Number(introduction.questions.length > 0),
+    introduction.questions.length > 0
+      ? "Votre introduction pose le problème sous forme de question."
+      : "Formulez la problématique sous forme de question dans l'introduction."
+  );
+  check(
+    "plan",
+    Number(introduction.announcesPlan),
+    introduction.announcesPlan
+      ? "Votre introduction annonce le plan."
+      : "Annoncez le plan à la fin de l'introduction (« Dans un premier temps… »)."
+  );
+  if (introduction.subjectCoverage !== null) {
+    const covered =
+      introduction.subjectCoverage >= DISSERTATION_RULES.MIN_SUBJECT_COVERAGE;
+    check(
+      "subject",
+      covered ? 1 : introduction.subjectCoverage,
+      covered
+        ? "Votre introduction reprend les termes du sujet."
+        : "Reprenez et définissez les termes du sujet dans l'introduction."
+    );
+  }
+
+  const { MIN_PARTS, MAX_PARTS } = DISSERTATION_RULES;
+  const partsOk = parts.length >= MIN_PARTS && parts.length <= MAX_PARTS;
+  check(
+    "parts",
+    partsOk ? 1 : parts.length > MAX_PARTS ? 0.5 : 0,
+    partsOk
+      ? `Votre développement compte ${parts.length} parties.`
+      : parts.length > MAX_PARTS
+      ? `Regroupez vos ${parts.length} paragraphes en ${MIN_PARTS} ou ${MAX_PARTS} parties, marquées par des titres ou des transitions.`
+      : `Organisez le développement en ${MIN_PARTS} ou ${MAX_PARTS} parties qui discutent le problème.`
+  );
+  if (partBalance !== null) {
+    const balanced = partBalance >= DISSERTATION_RULES.MIN_PART_BALANCE;
+    check(
+      "balance",
+      balanced ? 1 : partBalance / DISSERTATION_RULES.MIN_PART_BALANCE,
+      balanced
+        ? "Vos parties sont équilibrées."
+        : "Équilibrez vos parties : l'une est beaucoup plus courte que les autres."
+    );
+  }
+
+  check(
+    "conclusion",
+    Number(conclusion.present),
+    conclusion.present
+      ? "Votre copie se termine par une conclusion."
+      : "Terminez par une conclusion qui répond à la problématique."
+  );
+
+  const { MIN_WORDS, MAX_WORDS } = DISSERTATION_RULES;
+  let lengthRatio = 1;
+  if (wordCount < MIN_WORDS) lengthRatio = wordCount / MIN_WORDS;
+  else if (wordCount > MAX_WORDS) lengthRatio = 0.5;
+  check(
+    "length",
+    lengthRatio,
+    wordCount < MIN_WORDS
+      ? `Votre copie compte ${wordCount} mots : développez davantage (au moins ${MIN_WORDS}).`
+      : wordCount > MAX_WORDS
+      ? `Votre copie compte ${wordCount} mots : resserrez votre propos (au plus ${MAX_WORDS}).`
+      : `Votre copie compte ${wordCount} mots.`
+  );
+
+  const required = DISSERTATION_REQUIRED_CONNECTORS.length;
+  check(
+    "connectors",
+    (required - connectors.missing.length) / required,
+    connectors.missing.length === 0
+      ? "Vos connecteurs logiques articulent l'argumentation."
+      : `Articulez vos arguments avec des connecteurs : ${connectors.missing
+          .map((category) =>
+            DISSERTATION_CONNECTORS[category].slice(0, 3).join(", ")
+          )
+          .join(" ; ")}…`
+  );
+
+  return {
+    wordCount,
+    paragraphCount: paragraphs.length,
+    introduction,
+    parts,
+    partBalance,
+    conclusion,
+    connectors,
+    // Rounded to the half point, as on BAC papers
+    score:
+      possible > 0 ? Math.round((earned / possible) * MAX_SCORE * 2) / 2 : 0,
+    maxScore: MAX_SCORE,
+    feedback,
+  };
+};
+
+module.exports = {
+  splitParagraphs,
+  detectSections,
+  analyzeDissertation,
+};
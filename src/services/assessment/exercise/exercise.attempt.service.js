@@ -0,0 +1,537 @@
+const { ExerciseAttempt } = require("../../../models/assessment/exercise.attempt.model");
+const { Exercise } = require("../../../models/assessment/exercise.model");
+const exerciseService = require("./exercise.service");
+const gradingService = require("../grading/grading.service");
+const manualGradingService = require("../manualGrading/manual.grading.service");
+const topicProgressService = require("../../progress/topicProgress/topic.progress.service");
+const {
+  getExerciseItems,
+  buildItemQuestion,
+  getAttemptEligibility,
+  canRevealSolution,
+} = require("./exercise.attempt.utils");
+const { createSeed, seededShuffle } = require("../../../utils/shuffle.utils");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const {
+  EXERCISE_ATTEMPT_STATUSES,
+  EXERCISE_ATTEMPT_GRACE_PERIOD,
+  GRADING_STATUSES,
+} = require("../../../constants");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("ExerciseAttemptService");
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+class ExerciseAttemptService {
+  // Start an attempt at an exercise, or resume the one in progress
+  async startAttempt(exerciseId, userId) {
+    try {
+      const exercise = await this.getActiveExercise(exerciseId);
+
+      const current = await ExerciseAttempt.findOne({
+        userId,
+        exerciseId,
+        status: EXERCISE_ATTEMPT_STATUSES[0], // in_progress
+      });
+      if (current) {
+        if (!this.isPastDeadline(current)) {
+          return new ApiResponse(
+            200,
+            this.presentAttempt(current, exercise),
+            "Exercise attempt resumed"
+          );
+        }
+        await this.finalizeAttempt(current, exercise, true);
+      }
+
+      const usedAttempts = await this.countFinishedAttempts(userId, exerciseId);
+      const eligibility = getAttemptEligibility(
+        exercise.settings,
+        usedAttempts
+      );
+      if (!eligibility.allowed) {
+        throw new ApiError(403, eligibility.reason);
+      }
+
+      // Drawing the values now rejects templates that cannot be instantiated
+      const seed = createSeed();
+      exerciseService.instantiateProblems(exercise, seed);
+
+      const startedAt = new Date();
+      const attempt = await ExerciseAttempt.create({
+        userId,
+        exerciseId,
+        subjectType: exercise.subjectType,
+        topicId: exercise.topicId,
+        attemptNumber: usedAttempts + 1,
+        seed,
+        startedAt,
+        ...(exercise.timeLimit > 0 && {
+          deadline: new Date(startedAt.getTime() + exercise.timeLimit * 60000),
+        }),
+      });
+
+      logger.info(`Exercise attempt started: ${attempt._id}`);
+      return new ApiResponse(
+        201,
+        this.presentAttempt(attempt, exercise),
+        "Exercise attempt started successfully"
+      );
+    } catch (error) {
+      logger.error(`Error starting attempt at exercise ${exerciseId}:`, error);
+      if (error instanceof ApiError) throw error;
+      if (error.code === 11000) {
+        throw new ApiError(
+          409,
+          "An attempt at this exercise is already starting"
+        );
+      }
+      throw new ApiError(
+        500,
+        "Failed to start exercise attempt",
+        error.message
+      );
+    }
+  }
+
+  // Save the answer to one item of an attempt in progress
+  async answerItem(attemptId, userId, itemIndex, answer) {
+    try {
+      const attempt = await this.getOwnAttempt(attemptId, userId);
+      const exercise = await this.getExercise(attempt.exerciseId);
+      await this.assertInProgress(attempt, exercise);
+
+      this.assertItemIndex(exercise, itemIndex);
+      attempt.setAnswer(itemIndex, answer);
+      await attempt.save();
+
+      return new ApiResponse(
+        200,
+        { attemptId, itemIndex, timeRemaining: attempt.timeRemaining },
+        "Answer saved successfully"
+      );
+    } catch (error) {
+      logger.error(`Error saving answer for attempt ${attemptId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to save answer", error.message);
+    }
+  }
+
+  // Submit an attempt, with any answers not saved yet, and grade it
+  async submitAttempt(attemptId, userId, answers = []) {
+    try {
+      const attempt = await this.getOwnAttempt(attemptId, userId);
+      const exercise = await this.getExercise(attempt.exerciseId);
+      await this.assertInProgress(attempt, exercise);
+
+      answers.forEach(({ itemIndex }) =>
+        this.assertItemIndex(exercise, itemIndex)
+      );
+      answers.forEach(({ itemIndex, answer }) =>
+        attempt.setAnswer(itemIndex, answer)
+      );
+      await this.finalizeAttempt(attempt, exercise, false);
+
+      logger.info(`Exercise attempt submitted: ${attemptId}`);
+      return new ApiResponse(
+        200,
+        await this.presentReview(attempt, exercise),
+        "Exercise attempt submitted successfully"
+      );
+    } catch (error) {
+      logger.error(`Error submitting attempt ${attemptId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        500,
+        "Failed to submit exercise attempt",
+        error.message
+      );
+    }
+  }
+
+  // Get an attempt: its items while in progress, its review once finished
+  async getAttempt(attemptId, userId) {
+    try {
+      const attempt = await this.getOwnAttempt(attemptId, userId);
+      const exercise = await this.getExercise(attempt.exerciseId);
+
+      if (attempt.status === EXERCISE_ATTEMPT_STATUSES[0]) {
+        // in_progress
+        if (!this.isPastDeadline(attempt)) {
+          return new ApiResponse(
+            200,
+            this.presentAttempt(attempt, exercise),
+            "Exercise attempt retrieved successfully"
+          );
+        }
+        await this.finalizeAttempt(attempt, exercise, true);
+      }
+
+      return new ApiResponse(
+        200,
+        await this.presentReview(attempt, exercise),
+        "Exercise attempt retrieved successfully"
+      );
+    } catch (error) {
+      logger.error(`Error retrieving attempt ${attemptId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        500,
+        "Failed to retrieve exercise attempt",
+        error.message
+      );
+    }
+  }
+
+  // Get the student's attempts at an exercise and how many are left
+  async getMyAttempts(exerciseId, userId) {
+    try {
+      const exercise = await this.getExercise(exerciseId);
+
+      const attempts = await ExerciseAttempt.find({ userId, exerciseId })
+        .select("-answers -seed")
+        .sort({ attemptNumber: 1 });
+      const usedAttempts = attempts.filter(
+        (attempt) =>
+          attempt.status !== EXERCISE_ATTEMPT_STATUSES[0] // in_progress
+      ).length;
+      const { allowed, remaining } = getAttemptEligibility(
+        exercise.settings,
+        usedAttempts
+      );
+
+      return new ApiResponse(
+        200,
+        {
+          exerciseId,
+          attempts,
+          attemptsRemaining: remaining,
+          canStart: allowed,
+          bestPercentage: Math.max(
+            0,
+            ...attempts.map((attempt) => attempt.percentage ?? 0)
+          ),
+        },
+        "Exercise attempts retrieved successfully"
+      );
+    } catch (error) {
+      logger.error(
+        `Error retrieving attempts at exercise ${exerciseId}:`,
+        error
+      );
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        500,
+        "Failed to retrieve exercise attempts",
+        error.message
+      );
+    }
+  }
+
+  // Helper method to load an exercise students can attempt
+  async getActiveExercise(exerciseId) {
+    const exercise = await this.getExercise(exerciseId);
+    if (!exercise.isActive) {
+      throw new ApiError(404, "Exercise not found");
+    }
+    return exercise;
+  }
+
+  // Helper method to load an exercise, active or not, for existing attempts
+  async getExercise(exerciseId) {
+    const exercise = await Exercise.findById(exerciseId).lean();
+    if (!exercise) {
+      logger.warn(`Exercise not found: ${exerciseId}`);
+      throw new ApiError(404, "Exercise not found");
+    }
+    return exercise;
+  }
+
+  // Helper method to load an attempt of the student
+  async getOwnAttempt(attemptId, userId) {
+    const attempt = await ExerciseAttempt.findOne({ _id: attemptId, userId });
+    if (!attempt) {
+      logger.warn(`Exercise attempt not found: ${attemptId}`);
+      throw new ApiError(404, "Exercise attempt not found");
+    }
+    return attempt;
+  }
+
+  // Helper method to count the attempts a student has finished
+  countFinishedAttempts(userId, exerciseId) {
+    return ExerciseAttempt.countDocuments({
+      userId,
+      exerciseId,
+      status: { $ne: EXERCISE_ATTEMPT_STATUSES[0] }, // in_progress
+    });
+  }
+
+  // Helper method to check the time limit, with a grace period for latency
+  isPastDeadline(attempt) {
+    if (!attempt.deadline) return false;
+    return (
+      Date.now() >
+      attempt.deadline.getTime() + EXERCISE_ATTEMPT_GRACE_PERIOD * 1000
+    );
+  }
+
+  // Helper method to reject changes to a finished attempt; an attempt past
+  // its deadline is graded with the answers saved in time
+  async assertInProgress(attempt, exercise) {
+    if (attempt.status !== EXERCISE_ATTEMPT_STATUSES[0]) {
+      // in_progress
+      throw new ApiError(409, "Exercise attempt is already finished");
+    }
+    if (this.isPastDeadline(attempt)) {
+      await this.finalizeAttempt(attempt, exercise, true);
+      throw new ApiError(
+        409,
+        "Time limit exceeded, the attempt was submitted with the saved answers"
+      );
+    }
+  }
+
+  // Helper method to reject answers to items the exercise does not have
+  assertItemIndex(exercise, itemIndex) {
+    const itemCount = getExerciseItems(exercise).length;
+    if (
+      !Number.isInteger(itemIndex) ||
+      itemIndex < 0 ||
+      itemIndex >= itemCount
+    ) {
+      throw new ApiError(400, `Item index must be between 0 and ${itemCount - 1}`);
+    }
+  }
+
+  // Helper method to build the question each item is graded against
+  getItemQuestions(exercise, problems) {
+    const solutionAnswers = exercise.solution?.answers ?? [];
+    return getExerciseItems(exercise).map((item) => ({
+      item,
+      question: buildItemQuestion(
+        item,
+        solutionAnswers.find(
+          (answer) => answer.problemIndex === item.itemIndex
+        ),
+        problems[item.itemIndex]?.expected
+      ),
+    }));
+  }
+
+  // Helper method to grade an attempt and close it. Open answers wait in the
+  // manual grading queue; the attempt counts in the exercise analytics and
+  // the student's topic progress once every answer is scored
+  async finalizeAttempt(attempt, exercise, expired) {
+    const problems = exerciseService.instantiateProblems(
+      exercise,
+      attempt.seed
+    );
+
+    let score = 0;
+    let maxScore = 0;
+    let pendingReview = 0;
+    this.getItemQuestions(exercise, problems).forEach(({ item, question }) => {
+      const isOpen = gradingService.needsManualReview({
+        format: item.questionType,
+      });
+      // An item whose reference answer was removed since the attempt started
+      // is left out of the score rather than counted as wrong
+      if (!isOpen && !gradingService.canAutoGrade(question)) return;
+
+      maxScore += item.points;
+      const entry = attempt.answers.find(
+        (answer) => answer.itemIndex === item.itemIndex
+      );
+      if (!entry) return;
+
+      if (isOpen && !gradingService.isEmptyAnswer(entry.answer)) {
+        entry.set({
+          pointsEarned: 0,
+          maxPoints: item.points,
+          isCorrect: false,
+          gradingStatus: GRADING_STATUSES[1], // pending_review
+        });
+        pendingReview += 1;
+        return;
+      }
+
+      const result = gradingService.grade(
+        question ?? { format: item.questionType, points: item.points },
+        entry.answer
+      );
+      entry.set({
+        pointsEarned: result.pointsEarned,
+        maxPoints: item.points,
+        isCorrect: result.isCorrect,
+        gradingStatus: result.status,
+        feedback: result.feedback,
+      });
+      score += result.pointsEarned;
+    });
+
+    const submittedAt = new Date();
+    const elapsed = Math.round((submittedAt - attempt.startedAt) / 1000);
+    attempt.set({
+      status: expired
+        ? EXERCISE_ATTEMPT_STATUSES[2] // expired
+        : EXERCISE_ATTEMPT_STATUSES[1], // submitted
+      submittedAt,
+      timeSpent:
+        exercise.timeLimit > 0
+          ? Math.min(elapsed, exercise.timeLimit * 60)
+          : elapsed,
+      score: roundPoints(score),
+      maxScore,
+      percentage: maxScore > 0 ? Math.round((score / maxScore) * 100) : 0,
+      gradingStatus:
+        pendingReview > 0
+          ? GRADING_STATUSES[1] // pending_review
+          : GRADING_STATUSES[0], // graded
+    });
+    // Open answers are queued first so a failure leaves the attempt open
+    if (pendingReview > 0) {
+      await manualGradingService.enqueueAttempt(attempt, exercise);
+    }
+    await attempt.save();
+
+    if (pendingReview === 0) await this.recordProgress(attempt, exercise);
+    return attempt;
+  }
+
+  // Helper method to count a finished attempt in the exercise analytics and
+  // the student's topic progress
+  async recordProgress(attempt, exercise) {
+    try {
+      await exerciseService.updateAnalytics(
+        exercise._id,
+        attempt.percentage,
+        attempt.timeSpent
+      );
+      await topicProgressService.recordPracticeSession(
+        attempt.userId,
+        exercise.topicId,
+        { score: attempt.percentage, timeSpent: attempt.timeSpent }
+      );
+    } catch (error) {
+      // The graded attempt stands even if the statistics fail
+      logger.warn(
+        `Could not update progress for exercise attempt ${attempt._id}: ${error.message}`
+      );
+    }
+  }
+
+  // Helper method to list the items of an attempt, with the statements drawn
+  // from its seed and in a shuffled order if the exercise asks for it
+  getAttemptItems(attempt, exercise) {
+    const problems = exerciseService.instantiateProblems(
+      exercise,
+      attempt.seed
+    );
+    const items = getExerciseItems(exercise).map((item) => ({
+      ...item,
+      statement: problems[item.itemIndex]?.statement ?? item.statement,
+    }));
+    return exercise.settings?.randomizeQuestions
+      ? seededShuffle(items, attempt.seed)
+      : items;
+  }
+
+  // Helper method to shape an attempt in progress; grading data stays hidden
+  presentAttempt(attempt, exercise) {
+    const answers = new Map(
+      attempt.answers.map((entry) => [entry.itemIndex, entry.answer])
+    );
+    return {
+      attemptId: attempt._id,
+      exercise: {
+        _id: exercise._id,
+        title: exercise.title,
+        subjectType: exercise.subjectType,
+        instructions: exercise.instructions,
+        timeLimit: exercise.timeLimit,
+      },
+      attemptNumber: attempt.attemptNumber,
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      deadline: attempt.deadline,
+      timeRemaining: attempt.timeRemaining,
+      items: this.getAttemptItems(attempt, exercise).map((item) => ({
+        ...item,
+        answer: answers.get(item.itemIndex) ?? null,
+      })),
+    };
+  }
+
+  // Helper method to shape a finished attempt with its results, and the
+  // solution when the exercise settings allow it
+  async presentReview(attempt, exercise) {
+    const usedAttempts = await this.countFinishedAttempts(
+      attempt.userId,
+      attempt.exerciseId
+    );
+    const showSolution = canRevealSolution(
+      exercise.settings,
+      attempt,
+      usedAttempts
+    );
+    const { remaining } = getAttemptEligibility(
+      exercise.settings,
+      usedAttempts
+    );
+
+    const problems = showSolution
+      ? exerciseService.instantiateProblems(exercise, attempt.seed)
+      : [];
+    const solutionAnswers = exercise.solution?.answers ?? [];
+    const items = this.getAttemptItems(attempt, exercise).map((item) => {
+      const entry = attempt.answers.find(
+        (answer) => answer.itemIndex === item.itemIndex
+      );
+      const reviewed = {
+        ...item,
+        answer: entry?.answer ?? null,
+        pointsEarned: entry?.pointsEarned ?? 0,
+        maxPoints: item.points,
+        isCorrect: entry?.isCorrect ?? false,
+        gradingStatus: entry?.gradingStatus ?? GRADING_STATUSES[0], // graded
+        feedback: entry?.feedback,
+      };
+      if (!showSolution) return reviewed;
+
+      const solution = solutionAnswers.find(
+        (answer) => answer.problemIndex === item.itemIndex
+      );
+      const expected = problems[item.itemIndex]?.expected;
+      return {
+        ...reviewed,
+        solution: {
+          answer: expected?.value ?? solution?.answer,
+          unit: expected?.unit || solution?.unit,
+          explanation: solution?.explanation,
+        },
+      };
+    });
+
+    return {
+      attemptId: attempt._id,
+      exerciseId: exercise._id,
+      attemptNumber: attempt.attemptNumber,
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      submittedAt: attempt.submittedAt,
+      timeSpent: attempt.timeSpent,
+      score: attempt.score,
+      maxScore: attempt.maxScore,
+      percentage: attempt.percentage,
+      gradingStatus: attempt.gradingStatus,
+      attemptsRemaining: remaining,
+      showSolution,
+      items,
+      ...(showSolution && { explanation: exercise.solution?.explanation }),
+    };
+  }
+}
+
+module.exports = new ExerciseAttemptService();
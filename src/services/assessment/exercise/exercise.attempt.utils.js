@@ -0,0 +1,117 @@
+const { QUESTION_TYPES } = require("../../../constants");
+
+// Content lists holding the gradable items of each kind of exercise. Items
+// are numbered across the lists in this order, as solution.answers.problemIndex
+const ITEM_SECTIONS = {
+  math_exercise: ["problems"],
+  physics_exercise: ["problems"],
+  chemistry_exercise: ["problems"],
+  biology_exercise: ["problems"],
+  french_exercise: ["textAnalysis.questions", "grammarExercises"],
+  philosophy_exercise: ["questions"],
+  english_exercise: ["readingComprehension.questions", "grammarExercises"],
+  history_exercise: ["sourceAnalysis.questions", "timelineQuestions"],
+  geography_exercise: ["mapAnalysis.questions", "caseStudy.questions"],
+};
+
+const getPath = (source, path) =>
+  path.split(".").reduce((value, key) => value?.[key], source);
+
+/**
+ * Lists the gradable items of an exercise from its subject-specific content.
+ * @param {Object} exercise - Exercise, with subjectType and content.
+ * @returns {Object[]} Items with itemIndex, section, statement, questionType and points.
+ */
+const getExerciseItems = (exercise) => {
+  const sections = ITEM_SECTIONS[exercise.subjectType] ?? [];
+  return sections
+    .flatMap((section) =>
+      (getPath(exercise.content, section) ?? []).map((item) => ({
+        section,
+        item,
+      }))
+    )
+    .map(({ section, item }, itemIndex) => ({
+      itemIndex,
+      section,
+      statement: item.statement ?? item.question,
+      questionType: item.questionType,
+      points: item.points ?? 1,
+    }));
+};
+
+/**
+ * Builds the question graded for an item, from the exercise solution or, for
+ * a parameterized problem, from the answer computed for the attempt's values.
+ * @param {Object} item - Item from getExerciseItems.
+ * @param {Object} [solutionAnswer] - Matching entry of solution.answers.
+ * @param {Object} [expected] - Expected {value, unit, tolerance, toleranceType} of a parameterized problem.
+ * @returns {Object|null} Question for the grading service, or null if the item has no answer to grade against.
+ */
+const buildItemQuestion = (item, solutionAnswer, expected) => {
+  const base = { _id: `item:${item.itemIndex}`, points: item.points };
+  if (expected) {
+    return {
+      ...base,
+      format: QUESTION_TYPES[3], // calculation
+      correctAnswer: expected,
+    };
+  }
+  if (!solutionAnswer || solutionAnswer.answer === undefined) return null;
+
+  const isCalculation = item.questionType === QUESTION_TYPES[3]; // calculation
+  return {
+    ...base,
+    format: item.questionType,
+    correctAnswer:
+      isCalculation && solutionAnswer.unit
+        ? { value: solutionAnswer.answer, unit: solutionAnswer.unit }
+        : solutionAnswer.answer,
+    grading: { acceptedAnswers: solutionAnswer.alternativeAnswers ?? [] },
+  };
+};
+
+/**
+ * Tells whether a student may start a new attempt at an exercise.
+ * @param {Object} settings - Exercise settings (allowRetake, maxAttempts).
+ * @param {number} usedAttempts - Attempts the student already finished.
+ * @returns {{allowed: boolean, remaining: number|null, reason?: string}} Eligibility.
+ */
+const getAttemptEligibility = (settings = {}, usedAttempts) => {
+  const allowRetake = settings.allowRetake ?? true;
+  const maxAttempts = allowRetake ? settings.maxAttempts ?? null : 1;
+  const remaining =
+    maxAttempts === null ? null : Math.max(0, maxAttempts - usedAttempts);
+  if (remaining === 0) {
+    return {
+      allowed: false,
+      remaining,
+      reason: allowRetake
+        ? `Maximum number of attempts reached (${maxAttempts})`
+        : "This exercise cannot be retaken",
+    };
+  }
+  return { allowed: true, remaining };
+};
+
+/**
+ * Tells whether the solution may be shown after a finished attempt. With
+ * showSolution, it is shown once the student has no attempt left or has
+ * solved the exercise, so retakes cannot copy it.
+ * @param {Object} settings - Exercise settings (showSolution, allowRetake, maxAttempts).
+ * @param {Object} attempt - Finished attempt, with percentage.
+ * @param {number} usedAttempts - Attempts the student finished, this one included.
+ * @returns {boolean} True if the solution may be shown.
+ */
+const canRevealSolution = (settings = {}, attempt, usedAttempts) => {
+  if (!(settings.showSolution ?? true)) return false;
+  if (attempt.percentage === 100) return true;
+  return !getAttemptEligibility(settings, usedAttempts).allowed;
+};
+
+module.exports = {
+  getExerciseItems,
+  buildItemQuestion,
+  getAttemptEligibility,
+  canRevealSolution,
+};
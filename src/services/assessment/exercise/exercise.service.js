@@ -11,13 +11,33 @@ const {
   GeographyExercise,
   DIFFICULTY_LEVELS,
 } = require("../../../models/assessment/exercise.model");
+const contentRevisionService = require("../../learning/revision/content.revision.service");
+const {
+  isTemplated,
+  drawTemplateValues,
+  renderTemplate,
+  computeTemplateAnswer,
+  getTemplateError,
+} = require("../question/template.utils");
+const { parseNumericAnswer } = require("../grading/grading.utils");
+const { analyzeDissertation } = require("./dissertation.utils");
+const { checkWorking } = require("./working.utils");
+const { createSeed } = require("../../../utils/shuffle.utils");
 const { ApiError } = require("../../../utils/ApiError");
+const {
+  REVISION_CONTENT_TYPES,
+  QUESTION_TYPES,
+} = require("../../../constants");
 const { ApiResponse } = require("../../../utils/ApiResponse");
 const createLogger = require("../../logging.service");
 const mongoose = require("mongoose");
 
 const logger = createLogger("ExerciseService");
 
+// Fields that give the answers away; students only see them in the review of
+// an attempt, once the exercise settings allow it
+const SOLUTION_FIELDS = "-solution -content.problems.template.answerFormula";
+
 class ExerciseService {
   // Get subject-specific model
   getSubjectModel(subjectType) {
@@ -48,6 +68,7 @@ class ExerciseService {
         lastModified: new Date(),
       };
 
+      this.checkProblemTemplates(data.content?.problems);
       const Model = this.getSubjectModel(subjectType);
       const exercise = new Model(data);
       await exercise.save();
@@ -82,6 +103,7 @@ class ExerciseService {
         sortBy = "createdAt",
         sortOrder = "desc",
         populate = [],
+        hideSolution = false,
       } = options;
 
       // Build query
@@ -114,6 +136,7 @@ class ExerciseService {
         .sort(sortOptions)
         .skip(skip)
         .limit(Number.parseInt(limit));
+      if (hideSolution) exerciseQuery = exerciseQuery.select(SOLUTION_FIELDS);
 
       // Add population
       if (populate.length > 0) {
@@ -147,9 +170,14 @@ class ExerciseService {
   }
 
   // Get exercise by ID
-  async getExerciseById(exerciseId, populate = []) {
+  async getExerciseById(
+    exerciseId,
+    populate = [],
+    { hideSolution = false } = {}
+  ) {
     try {
       let query = Exercise.findById(exerciseId);
+      if (hideSolution) query = query.select(SOLUTION_FIELDS);
 
       if (populate.length > 0) {
         populate.forEach((field) => {
@@ -173,6 +201,134 @@ class ExerciseService {
     }
   }
 
+  // Get an instance of a parameterized exercise, with values drawn from the seed
+  async generateInstance(exerciseId, seed = createSeed()) {
+    try {
+      const exercise = await Exercise.findById(exerciseId).lean();
+
+      if (!exercise || !exercise.isActive) {
+        logger.warn(`Exercise not found for instance: ${exerciseId}`);
+        throw new ApiError(404, "Exercise not found");
+      }
+
+      const problems = this.instantiateProblems(exercise, seed);
+      if (!problems.some((problem) => problem.values)) {
+        throw new ApiError(400, "Exercise has no parameterized problems");
+      }
+
+      // Expected answers stay on the server
+      return new ApiResponse(
+        200,
+        {
+          exerciseId,
+          seed,
+          problems: problems.map(({ expected, ...problem }) => problem),
+        },
+        "Exercise instance generated successfully"
+      );
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error(`Failed to generate instance of exercise ${exerciseId}:`, error);
+      throw new ApiError(
+        500,
+        `Failed to generate exercise instance: ${error.message}`
+      );
+    }
+  }
+
+  // Check the structure of a philosophy dissertation before a teacher grades it
+  async checkDissertation(exerciseId, text) {
+    try {
+      const exercise = await Exercise.findById(exerciseId).lean();
+
+      if (!exercise || !exercise.isActive) {
+        logger.warn(`Exercise not found for dissertation check: ${exerciseId}`);
+        throw new ApiError(404, "Exercise not found");
+      }
+      if (exercise.subjectType !== "philosophy_exercise") {
+        throw new ApiError(
+          400,
+          "Dissertation checks are only available for philosophy exercises"
+        );
+      }
+
+      // The subject is the essay question of the exercise, or its title
+      const questions = exercise.content?.questions ?? [];
+      const essay =
+        questions.find(
+          (question) => question.questionType === QUESTION_TYPES[2] // essay
+        ) ?? questions[0];
+      const analysis = analyzeDissertation(text, {
+        subject: essay?.question ?? exercise.title,
+      });
+
+      return new ApiResponse(
+        200,
+        { exerciseId, provisional: true, ...analysis },
+        "Dissertation checked successfully"
+      );
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error(`Failed to check dissertation for exercise ${exerciseId}:`, error);
+      throw new ApiError(500, `Failed to check dissertation: ${error.message}`);
+    }
+  }
+
+  // Check a student's working on a math exercise step by step
+  async checkWorking(exerciseId, steps, seed) {
+    try {
+      const exercise = await Exercise.findById(exerciseId).lean();
+
+      if (!exercise || !exercise.isActive) {
+        logger.warn(`Exercise not found for working check: ${exerciseId}`);
+        throw new ApiError(404, "Exercise not found");
+      }
+      if (exercise.subjectType !== "math_exercise") {
+        throw new ApiError(
+          400,
+          "Working checks are only available for math exercises"
+        );
+      }
+
+      const { workingSteps = [], commonMistakes = [], mistakePatterns = [] } =
+        exercise.solution ?? {};
+      if (workingSteps.length === 0) {
+        throw new ApiError(400, "Exercise has no reference working");
+      }
+
+      // With a seed, the reference working uses the student's instance values
+      const values = seed
+        ? Object.assign(
+            {},
+            ...this.instantiateProblems(exercise, seed).map(
+              (problem) => problem.values ?? {}
+            )
+          )
+        : null;
+      const result = checkWorking(
+        steps,
+        workingSteps.map((step) => renderTemplate(step, values)),
+        {
+          commonMistakes,
+          mistakePatterns: mistakePatterns.map((pattern) => ({
+            ...pattern,
+            working: renderTemplate(pattern.working, values),
+          })),
+        }
+      );
+
+      return new ApiResponse(
+        200,
+        { exerciseId, ...(seed && { seed }), ...result },
+        "Working checked successfully"
+      );
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error(`Failed to check working for exercise ${exerciseId}:`, error);
+      throw new ApiError(500, `Failed to check working: ${error.message}`);
+    }
+  }
+
   // Update exercise
   async updateExercise(exerciseId, updateData, userId) {
     try {
@@ -183,13 +339,16 @@ class ExerciseService {
         throw new ApiError(404, "Exercise not found");
       }
 
-      // Update metadata
+      this.checkProblemTemplates(updateData.content?.problems);
+
+      // Update metadata; the version follows the content revisions
+      const previous = exercise.toObject({ virtuals: false });
       updateData.metadata = {
-        ...exercise.metadata,
+        ...previous.metadata,
         ...updateData.metadata,
         updatedBy: userId,
         lastModified: new Date(),
-        version: exercise.metadata.version + 1,
+        version: previous.metadata.version,
       };
 
       const updatedExercise = await Exercise.findByIdAndUpdate(
@@ -200,6 +359,12 @@ class ExerciseService {
           runValidators: true,
         }
       );
+      const revision = await contentRevisionService.recordRevision(
+        REVISION_CONTENT_TYPES[2], // exercise
+        previous,
+        userId
+      );
+      if (revision) updatedExercise.metadata.version = revision.version;
 
       logger.info(`Exercise updated successfully: ${exerciseId} by user ${userId}`);
       return new ApiResponse(
@@ -403,7 +568,13 @@ class ExerciseService {
   // Get recommended exercises
   async getRecommendedExercises(userId, options = {}) {
     try {
-      const { limit = 10, difficulty, subjectId, topicId } = options;
+      const {
+        limit = 10,
+        difficulty,
+        subjectId,
+        topicId,
+        hideSolution = false,
+      } = options;
 
       // Build recommendation query based on user preferences/history
       const query = { isActive: true };
@@ -415,6 +586,7 @@ class ExerciseService {
       const exercises = await Exercise.find(query)
         .sort({ "analytics.successRate": -1, "analytics.averageScore": -1 })
         .limit(Number.parseInt(limit))
+        .select(hideSolution ? SOLUTION_FIELDS : {})
         .populate("subjectId", "name")
         .populate("topicId", "name");
 
@@ -529,6 +701,7 @@ class ExerciseService {
         limit = 10,
         sortBy = "relevance",
         sortOrder = "desc",
+        hideSolution = false,
       } = options;
 
       // Build complex query
@@ -586,6 +759,7 @@ class ExerciseService {
         .sort(sortOptions)
         .skip(skip)
         .limit(Number.parseInt(limit))
+        .select(hideSolution ? SOLUTION_FIELDS : {})
         .populate("subjectId", "name")
         .populate("topicId", "name");
 
@@ -678,6 +852,68 @@ class ExerciseService {
       );
     }
   }
+
+  // Helper method to draw the values and expected answer of each parameterized problem
+  instantiateProblems(exercise, seed) {
+    return (exercise.content?.problems ?? []).map((problem, problemIndex) => {
+      if (!isTemplated(problem)) {
+        return { problemIndex, statement: problem.statement };
+      }
+      const values = drawTemplateValues(
+        problem.template,
+        `${seed}:${exercise._id}:${problemIndex}`
+      );
+      if (!values) {
+        throw new ApiError(
+          400,
+          `No values satisfy the template constraints of problem ${problemIndex}`
+        );
+      }
+      const { answerFormula, unit, tolerance, toleranceType } =
+        problem.template;
+      return {
+        problemIndex,
+        statement: renderTemplate(problem.statement, values),
+        values,
+        expected: {
+          value: computeTemplateAnswer(answerFormula, {
+            ...this.getProblemConstants(problem),
+            ...values,
+          }),
+          unit,
+          tolerance,
+          toleranceType,
+        },
+      };
+    });
+  }
+
+  // Helper method to reject templates that cannot draw values or compute their answer
+  checkProblemTemplates(problems = []) {
+    problems.forEach((problem, problemIndex) => {
+      if (!problem?.template) return;
+      const templateError = getTemplateError(
+        problem.template,
+        problem.template.answerFormula,
+        this.getProblemConstants(problem)
+      );
+      if (templateError) {
+        throw new ApiError(400, `Problem ${problemIndex}: ${templateError}`);
+      }
+    });
+  }
+
+  // Helper method to read the numeric constants of a physics problem (e.g. g = 9,81)
+  getProblemConstants(problem) {
+    return Object.fromEntries(
+      (problem.constants ?? [])
+        .map(({ name, value }) => [name, parseNumericAnswer(value)?.value])
+        .filter(
+          ([name, value]) =>
+            /^[A-Za-z_][A-Za-z0-9_]*$/.test(name ?? "") && value !== undefined
+        )
+    );
+  }
 }
 
 module.exports = new ExerciseService();
\ No newline at end of file
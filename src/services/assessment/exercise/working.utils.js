@@ -0,0 +1,152 @@
+const {
+  normalizeMathInput,
+  areExpressionsEquivalent,
+} = require("../grading/grading.utils");
+const { parseExpression } = require("../../../utils/expression.utils");
+const { WORKING_STEP_STATUSES } = require("../../../constants");
+
+const PROSE_PATTERN = /[A-Za-z]{2,}\s+[A-Za-z]{2,}/;
+
+/**
+ * Reads a written step into the expressions on each side of its "=" signs.
+ * Words before a colon are left out ("Donc : x = 4"), and chains such as
+ * "v = 120 / 1,5 = 80" keep every side.
+ * @param {string} step - Step as written.
+ * @returns {string[]|null} Expressions, or null if a side is not math.
+ */
+const parseStep = (step) => {
+  if (typeof step !== "string") return null;
+  const text = step.slice(step.lastIndexOf(":") + 1);
+  const sides = text
+    .split(/(?<![<>=!])=(?!=)/)
+    .map((side) => side.trim())
+    .filter(Boolean);
+  // Two words in a row are a sentence, not a product of variables
+  if (sides.length === 0 || sides.some((side) => PROSE_PATTERN.test(side))) {
+    return null;
+  }
+
+  try {
+    sides.forEach((side) => parseExpression(normalizeMathInput(side)));
+  } catch (error) {
+    return null;
+  }
+  return sides;
+};
+
+/**
+ * Checks whether a student step says the same as a reference step. The last
+ * sides must be equivalent, and the first sides too when both steps are
+ * equations, so "x = 8 / 2" matches "x = 4" but "2x = 8" does not. A bare
+ * expression is compared with the result of the reference step.
+ * @param {string[]} given - Sides of the student step.
+ * @param {string[]} expected - Sides of the reference step.
+ * @returns {boolean} True if the steps match.
+ */
+const stepsMatch = (given, expected) => {
+  if (!areExpressionsEquivalent(given.at(-1), expected.at(-1))) return false;
+  if (given.length < 2 || expected.length < 2) return true;
+  return areExpressionsEquivalent(given[0], expected[0]);
+};
+
+// Message shown to the student after a check
+const getFeedback = ({ firstErrorIndex, mistake, complete }) => {
+  if (firstErrorIndex === null) {
+    return complete
+      ? "Toutes les étapes sont correctes et mènent au résultat."
+      : "Les étapes sont correctes pour l'instant, poursuivez le calcul.";
+  }
+  const step = `L'étape ${firstErrorIndex + 1} ne découle pas des précédentes.`;
+  return mistake
+    ? `${step} Erreur fréquente : ${mistake.description}`
+    : `${step} Reprenez le calcul à partir de cette étape.`;
+};
+
+/**
+ * Checks a student's working step by step against the reference working.
+ * Each step must match a reference step at or after the last one reached,
+ * so students may skip steps or rewrite one several times. Checking stops at
+ * the first wrong step, which is compared with the wrong working of the
+ * listed common mistakes. Reference steps written in words are not used.
+ * @param {string[]} steps - Student steps, in order.
+ * @param {string[]} workingSteps - Reference working steps.
+ * @param {Object} [options={}] - Check options.
+ * @param {string[]} [options.commonMistakes=[]] - Listed common mistakes.
+ * @param {Object[]} [options.mistakePatterns=[]] - Wrong working of a mistake, as {mistakeIndex, working}.
+ * @returns {Object} Step results, first wrong step, matched mistake and whether the working reaches the result.
+ */
+const checkWorking = (
+  steps,
+  workingSteps,
+  { commonMistakes = [], mistakePatterns = [] } = {}
+) => {
+  const reference = workingSteps
+    .map((text, index) => ({ index, sides: parseStep(text) }))
+    .filter((step) => step.sides);
+
+  let position = 0;
+  let firstErrorIndex = null;
+  const results = steps.map((text, index) => {
+    if (firstErrorIndex !== null) {
+      return { index, status: WORKING_STEP_STATUSES[3] }; // unchecked
+    }
+    const sides = parseStep(text);
+    if (!sides) {
+      return { index, status: WORKING_STEP_STATUSES[2] }; // unreadable
+    }
+
+    const offset = reference
+      .slice(position)
+      .findIndex((step) => stepsMatch(sides, step.sides));
+    if (offset === -1) {
+      firstErrorIndex = index;
+      return { index, status: WORKING_STEP_STATUSES[1] }; // incorrect
+    }
+    position += offset;
+    return {
+      index,
+      status: WORKING_STEP_STATUSES[0], // correct
+      matchedStep: reference[position].index,
+    };
+  });
+
+  let mistake = null;
+  if (firstErrorIndex !== null) {
+    const sides = parseStep(steps[firstErrorIndex]);
+    const pattern = mistakePatterns.find((candidate) => {
+      const working = parseStep(candidate.working);
+      return working && stepsMatch(sides, working);
+    });
+    if (pattern && commonMistakes[pattern.mistakeIndex]) {
+      mistake = {
+        index: pattern.mistakeIndex,
+        description: commonMistakes[pattern.mistakeIndex],
+      };
+    }
+  }
+
+  const lastMatched = results
+    .filter((result) => result.matchedStep !== undefined)
+    .at(-1);
+  const complete =
+    firstErrorIndex === null &&
+    reference.length > 0 &&
+    lastMatched?.matchedStep === reference.at(-1).index;
+
+  return {
+    steps: results,
+    correctCount: results.filter(
+      (result) => result.status === WORKING_STEP_STATUSES[0] // correct
+    ).length,
+    firstErrorIndex,
+    mistake,
+    complete,
+    feedback: getFeedback({ firstErrorIndex, mistake, complete }),
+  };
+};
+
+module.exports = {
+  parseStep,
+  stepsMatch,
+  checkWorking,
+};
@@ -0,0 +1,82 @@
+const {
+  normalizeUnit,
+  parseMathAnswer,
+  withinTolerance,
+} = require("../grading.utils");
+const { computeTemplateAnswer } = require("../../question/template.utils");
+
+/**
+ * Resolves the expected value, unit and tolerance of a calculation question.
+ * The correct answer may be a number, a string such as "12,5 km/h" or "1/3"
+ * or an object {value, unit, tolerance, toleranceType}; grading options fill
+ * the gaps.
+ * Templated questions use {formula, ...} instead of a value, computed with
+ * the values drawn for the session.
+ * @param {Object} question - Question document.
+ * @param {Object} options - Grading options.
+ * @param {Object} [context={}] - Grading context.
+ * @param {Object} [context.parameterValues] - Values drawn for a templated question.
+ * @returns {Object|null} Expected value descriptor, or null if unusable.
+ */
+const resolveExpected = (question, options, context = {}) => {
+  const raw = question.correctAnswer;
+  const descriptor =
+    raw && typeof raw === "object" && !Array.isArray(raw) ? raw : { value: raw };
+  const parsed = descriptor.formula
+    ? {
+        value: computeTemplateAnswer(
+          descriptor.formula,
+          context.parameterValues
+        ),
+        unit: "",
+      }
+    : parseMathAnswer(descriptor.value);
+  if (!parsed || parsed.value === null) return null;
+
+  return {
+    value: parsed.value,
+    unit: normalizeUnit(descriptor.unit ?? options.unit) || parsed.unit,
+    tolerance: descriptor.tolerance ?? options.tolerance ?? 0,
+    toleranceType: descriptor.toleranceType ?? options.toleranceType,
+  };
+};
+
+/**
+ * Grades numeric calculation answers with tolerance and units. Answers may
+ * be written as expressions ("1/2", "3√2 m", "2π/3"). A correct value with
+ * a missing or wrong unit earns partial credit (1 - unitPenalty).
+ * @param {Object} question - Question document.
+ * @param {number|string} answer - Student answer.
+ * @param {Object} options - Grading options.
+ * @param {Object} [context={}] - Grading context, see resolveExpected.
+ * @returns {{ratio: number, feedback?: string}} Credit ratio and feedback.
+ */
+const grade = (question, answer, options, context = {}) => {
+  const expected = resolveExpected(question, options, context);
+  const given = parseMathAnswer(answer);
+  if (!expected || !given) return { ratio: 0 };
+
+  if (
+    !withinTolerance(
+      given.value,
+      expected.value,
+      expected.tolerance,
+      expected.toleranceType
+    )
+  ) {
+    return { ratio: 0 };
+  }
+
+  if (expected.unit && given.unit !== expected.unit) {
+    return {
+      ratio: 1 - (options.unitPenalty ?? 0),
+      feedback: given.unit
+        ? `Unité incorrecte : ${expected.unit} attendu`
+        : `Unité manquante : ${expected.unit} attendu`,
+    };
+  }
+
+  return { ratio: 1 };
+};
+
+module.exports = { grade, resolveExpected };
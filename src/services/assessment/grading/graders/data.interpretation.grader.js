@@ -0,0 +1,20 @@
+const calculationGrader = require("./calculation.grader");
+const shortAnswerGrader = require("./short.answer.grader");
+
+/**
+ * Grades data interpretation questions: numeric readings (from a chart or a
+ * table) go through the calculation grader, anything else is compared as
+ * short text.
+ * @param {Object} question - Question document.
+ * @param {*} answer - Student answer.
+ * @param {Object} options - Grading options.
+ * @returns {{ratio: number, feedback?: string}} Credit ratio.
+ */
+const grade = (question, answer, options) => {
+  if (calculationGrader.resolveExpected(question, options)) {
+    return calculationGrader.grade(question, answer, options);
+  }
+  return shortAnswerGrader.grade(question, answer, options);
+};
+
+module.exports = { grade };
@@ -0,0 +1,72 @@
+const matchingGrader = require("./matching.grader");
+const { normalizeText, toPairMap } = require("../grading.utils");
+const {
+  toDiagramPoint,
+  findHotspotAt,
+} = require("../../../../utils/hotspot.utils");
+
+/**
+ * Resolves a placement to the hotspot it lands on: a hotspot ID as is, or
+ * the hotspot under a clicked or dropped point ({x, y} or [x, y]).
+ * @param {Object[]} hotspots - Hotspots of the diagram.
+ * @param {*} placement - Hotspot ID or point.
+ * @returns {string|null} Hotspot ID, or null if the placement hits none.
+ */
+const resolveHotspot = (hotspots, placement) => {
+  if (typeof placement === "string") return placement;
+  if (typeof placement?.hotspotId === "string") return placement.hotspotId;
+  const point = toDiagramPoint(placement);
+  return point ? findHotspotAt(hotspots, point)?.hotspotId ?? null : null;
+};
+
+/**
+ * Grades diagram labeling questions with hotspots. Clicking questions have
+ * a hotspot ID (or a list of accepted IDs) as correct answer; labeling
+ * questions pair each label with its hotspot ({label, target}) and every
+ * label dropped on the right hotspot earns an equal share. Diagrams without
+ * hotspots keep plain label → text pairs, graded as matching.
+ * @param {Object} question - Question document.
+ * @param {*} answer - Hotspot ID or point, or label → placement mapping.
+ * @param {Object} options - Grading options.
+ * @returns {{ratio: number}} Credit ratio.
+ */
+const grade = (question, answer, options) => {
+  const hotspots = question.diagram?.hotspots ?? [];
+  if (hotspots.length === 0) {
+    return matchingGrader.grade(question, answer, options);
+  }
+
+  const raw = question.correctAnswer;
+  if (
+    typeof raw === "string" ||
+    (Array.isArray(raw) && raw.every((value) => typeof value === "string"))
+  ) {
+    const accepted = Array.isArray(raw) ? raw : [raw];
+    return {
+      ratio: accepted.includes(resolveHotspot(hotspots, answer)) ? 1 : 0,
+    };
+  }
+
+  const expected = toPairMap(raw);
+  if (expected.size === 0) return { ratio: 0 };
+
+  const given = new Map();
+  toPairMap(answer).forEach((placement, label) =>
+    given.set(normalizeText(label, options), placement)
+  );
+
+  let placed = 0;
+  expected.forEach((hotspotId, label) => {
+    const placement = given.get(normalizeText(label, options));
+    if (
+      placement !== undefined &&
+      resolveHotspot(hotspots, placement) === hotspotId
+    ) {
+      placed += 1;
+    }
+  });
+
+  return { ratio: placed / expected.size };
+};
+
+module.exports = { grade };
@@ -0,0 +1,41 @@
+const { matchesAny } = require("../grading.utils");
+
+/**
+ * Grades fill-in-the-blank questions. The correct answer lists one entry per
+ * blank, each entry being a value or an array of accepted values. Each blank
+ * earns an equal share of the points. When `orderSensitive` is false, a
+ * filled value may match any blank that is still unmatched.
+ * @param {Object} question - Question document.
+ * @param {string|string[]} answer - Values entered in the blanks.
+ * @param {Object} options - Grading options.
+ * @returns {{ratio: number}} Credit ratio.
+ */
+const grade = (question, answer, options) => {
+  const blanks = Array.isArray(question.correctAnswer)
+    ? question.correctAnswer
+    : [question.correctAnswer];
+  const given = Array.isArray(answer) ? answer : [answer];
+  if (blanks.length === 0) return { ratio: 0 };
+
+  let matched = 0;
+  if (options.orderSensitive === false) {
+    const remaining = [...blanks];
+    given.forEach((value) => {
+      const index = remaining.findIndex((blank) =>
+        matchesAny(value, blank, options)
+      );
+      if (index !== -1) {
+        remaining.splice(index, 1);
+        matched += 1;
+      }
+    });
+  } else {
+    matched = blanks.filter((blank, index) =>
+      matchesAny(given[index], blank, options)
+    ).length;
+  }
+
+  return { ratio: matched / blanks.length };
+};
+
+module.exports = { grade };
@@ -0,0 +1,14 @@
+const { GRADING_STATUSES } = require("../../../../constants");
+
+/**
+ * Placeholder grader for open formats (essays, source analyses) that a
+ * teacher has to score. The answer is kept and flagged for review instead of
+ * being marked wrong.
+ * @returns {{ratio: number, status: string}} Zero credit, pending review.
+ */
+const grade = () => ({
+  ratio: 0,
+  status: GRADING_STATUSES[1], // pending_review
+});
+
+module.exports = { grade };
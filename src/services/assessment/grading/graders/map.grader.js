@@ -0,0 +1,130 @@
+const shortAnswerGrader = require("./short.answer.grader");
+const { normalizeText, toPairMap, clampRatio } = require("../grading.utils");
+const {
+  isValidGeometry,
+  toPosition,
+  isPointInPolygon,
+  distanceToGeometry,
+} = require("../../../../utils/geo.utils");
+const { MAP_POINT_TOLERANCE_KM } = require("../../../../constants");
+
+/**
+ * Checks whether a correct answer describes a place on the map: a region of
+ * the question's map ({featureId}) or a GeoJSON geometry ({geometry}).
+ * @param {*} value - Correct answer or one of its targets.
+ * @returns {boolean} True for a map target.
+ */
+const isMapTarget = (value) =>
+  !!value &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  (typeof value.featureId === "string" || isValidGeometry(value.geometry));
+
+/**
+ * Resolves one target with its geometry and distance tolerance (km). Point
+ * targets without a tolerance accept clicks within MAP_POINT_TOLERANCE_KM.
+ * @param {Object} target - Target from the correct answer.
+ * @param {Object} question - Question document.
+ * @param {Object} options - Grading options.
+ * @returns {Object} Resolved target {featureId, geometry, tolerance}.
+ */
+const resolveTarget = (target, question, options) => {
+  const feature = (question.map?.features ?? []).find(
+    (candidate) => candidate.featureId === target.featureId
+  );
+  const geometry = target.geometry ?? feature?.geometry ?? null;
+  return {
+    featureId: target.featureId ?? null,
+    geometry,
+    tolerance:
+      target.tolerance ??
+      (options.tolerance ||
+        (geometry?.type === "Point" ? MAP_POINT_TOLERANCE_KM : 0)),
+  };
+};
+
+/**
+ * Grades one placement: a selected region or a located point.
+ * @param {Object} target - Resolved target.
+ * @param {*} answer - Feature ID, {featureId}, GeoJSON Point or [lng, lat].
+ * @param {Object} question - Question document.
+ * @returns {{ratio: number, distance?: number}} Credit ratio and distance in km.
+ */
+const gradePlacement = (target, answer, question) => {
+  const position = toPosition(answer);
+  if (!position) {
+    const selectedId = typeof answer === "string" ? answer : answer?.featureId;
+    if (typeof selectedId !== "string") return { ratio: 0 };
+    if (target.featureId) {
+      return { ratio: selectedId === target.featureId ? 1 : 0 };
+    }
+    // A selected region is right when it contains the expected point
+    const selected = (question.map?.features ?? []).find(
+      (feature) => feature.featureId === selectedId
+    );
+    return {
+      ratio:
+        selected && target.geometry?.type === "Point"
+          ? Number(
+              isPointInPolygon(target.geometry.coordinates, selected.geometry)
+            )
+          : 0,
+    };
+  }
+
+  if (!target.geometry) return { ratio: 0 };
+  const distance = distanceToGeometry(position, target.geometry);
+  if (distance <= target.tolerance + 1e-9) return { ratio: 1, distance };
+  // Credit fades out between one and two tolerances away
+  const ratio =
+    target.tolerance > 0 ? clampRatio(2 - distance / target.tolerance) : 0;
+  return { ratio, distance };
+};
+
+/**
+ * Grades map analysis questions. The correct answer is a map target, or a
+ * list of targets with a label each ("locate N'Djamena, Moundou and Lake
+ * Chad"), answered with a label → placement mapping; each target earns an
+ * equal share. Students place a point (inside the region, or within the
+ * tolerance of the expected point) or select a region of the map.
+ * Questions with plain text answers are graded as short answers.
+ * @param {Object} question - Question document.
+ * @param {*} answer - Placement, or label → placement mapping.
+ * @param {Object} options - Grading options.
+ * @returns {{ratio: number, feedback?: string}} Credit ratio and feedback.
+ */
+const grade = (question, answer, options) => {
+  const raw = question.correctAnswer;
+  if (isMapTarget(raw)) {
+    const result = gradePlacement(
+      resolveTarget(raw, question, options),
+      answer,
+      question
+    );
+    if (result.ratio === 1 || result.distance === undefined) {
+      return { ratio: result.ratio };
+    }
+    return {
+      ratio: result.ratio,
+      feedback: `À ${Math.round(result.distance)} km de l'emplacement attendu`,
+    };
+  }
+
+  if (Array.isArray(raw) && raw.length > 0 && raw.every(isMapTarget)) {
+    const placements = new Map();
+    toPairMap(answer).forEach((value, key) =>
+      placements.set(normalizeText(key, options), value)
+    );
+    const earned = raw.reduce((total, target) => {
+      const placement = placements.get(normalizeText(target.label, options));
+      if (placement === undefined) return total;
+      const resolved = resolveTarget(target, question, options);
+      return total + gradePlacement(resolved, placement, question).ratio;
+    }, 0);
+    return { ratio: earned / raw.length };
+  }
+
+  return shortAnswerGrader.grade(question, answer, options);
+};
+
+module.exports = { grade, isMapTarget };
@@ -0,0 +1,32 @@
+const { matchesAny, normalizeText, toPairMap } = require("../grading.utils");
+
+/**
+ * Grades matching questions (and label → target placements). Pairs are
+ * compared regardless of the order they were submitted in; each expected
+ * pair earns an equal share of the points.
+ * @param {Object} question - Question document.
+ * @param {Array|Object} answer - Pairs or key → value mapping.
+ * @param {Object} options - Grading options.
+ * @returns {{ratio: number}} Credit ratio.
+ */
+const grade = (question, answer, options) => {
+  const expected = toPairMap(question.correctAnswer);
+  if (expected.size === 0) return { ratio: 0 };
+
+  const given = new Map();
+  toPairMap(answer).forEach((value, key) =>
+    given.set(normalizeText(key, options), value)
+  );
+
+  let matched = 0;
+  expected.forEach((value, key) => {
+    const givenValue = given.get(normalizeText(key, options));
+    if (givenValue !== undefined && matchesAny(givenValue, value, options)) {
+      matched += 1;
+    }
+  });
+
+  return { ratio: matched / expected.size };
+};
+
+module.exports = { grade };
@@ -0,0 +1,41 @@
+const { matchesAny, normalizeText } = require("../grading.utils");
+
+/**
+ * Grades multiple choice questions. A scalar correct answer is a single
+ * choice; an array of correct answers is a multi-select question where each
+ * wrong selection cancels a right one.
+ * @param {Object} question - Question document.
+ * @param {string|string[]} answer - Selected option(s).
+ * @param {Object} options - Grading options.
+ * @returns {{ratio: number}} Credit ratio.
+ */
+const grade = (question, answer, options) => {
+  if (!Array.isArray(question.correctAnswer)) {
+    const given =
+      Array.isArray(answer) && answer.length === 1 ? answer[0] : answer;
+    return {
+      ratio: matchesAny(given, question.correctAnswer, options) ? 1 : 0,
+    };
+  }
+
+  const expected = new Set(
+    question.correctAnswer.map((value) => normalizeText(value, options))
+  );
+  const selected = new Set(
+    (Array.isArray(answer) ? answer : [answer]).map((value) =>
+      normalizeText(value, options)
+    )
+  );
+  if (expected.size === 0) return { ratio: 0 };
+
+  let hits = 0;
+  let misses = 0;
+  selected.forEach((value) => {
+    if (expected.has(value)) hits += 1;
+    else misses += 1;
+  });
+
+  return { ratio: (hits - misses) / expected.size };
+};
+
+module.exports = { grade };
@@ -0,0 +1,65 @@
+const {
+  matchesAny,
+  parseMathAnswer,
+  areExpressionsEquivalent,
+  withinTolerance,
+} = require("../grading.utils");
+
+/**
+ * Lists every accepted answer for a question (correct answer plus the
+ * alternatives configured in its grading options).
+ * @param {Object} question - Question document.
+ * @param {Object} options - Grading options.
+ * @returns {Array} Accepted answers.
+ */
+const getAcceptedAnswers = (question, options) => [
+  ...(Array.isArray(question.correctAnswer)
+    ? question.correctAnswer
+    : [question.correctAnswer]),
+  ...(options.acceptedAnswers ?? []),
+];
+
+/**
+ * Grades short free-text answers. Comparison is case- and accent-insensitive
+ * by default; purely numeric answers are compared as numbers so that "0,5"
+ * and "1/2" match "0.5". With the symbolicEquivalence option, algebraic
+ * answers are accepted when equivalent to an accepted one ("2(x+1)" for
+ * "2x+2").
+ * @param {Object} question - Question document.
+ * @param {string|number} answer - Student answer.
+ * @param {Object} options - Grading options.
+ * @returns {{ratio: number}} Credit ratio.
+ */
+const grade = (question, answer, options) => {
+  const accepted = getAcceptedAnswers(question, options);
+  if (matchesAny(answer, accepted, options)) return { ratio: 1 };
+
+  const given = parseMathAnswer(answer);
+  if (given && !given.unit) {
+    const numericMatch = accepted.some((value) => {
+      const expected = parseMathAnswer(value);
+      return (
+        expected &&
+        !expected.unit &&
+        withinTolerance(
+          given.value,
+          expected.value,
+          options.tolerance,
+          options.toleranceType
+        )
+      );
+    });
+    if (numericMatch) return { ratio: 1 };
+  }
+
+  if (
+    options.symbolicEquivalence &&
+    accepted.some((value) => areExpressionsEquivalent(answer, value))
+  ) {
+    return { ratio: 1 };
+  }
+
+  return { ratio: 0 };
+};
+
+module.exports = { grade, getAcceptedAnswers };
@@ -0,0 +1,49 @@
+const { normalizeText } = require("../grading.utils");
+
+/**
+ * Length of the longest common subsequence of two arrays.
+ * @param {string[]} a - First sequence.
+ * @param {string[]} b - Second sequence.
+ * @returns {number} LCS length.
+ */
+const longestCommonSubsequence = (a, b) => {
+  const previous = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = 0;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] =
+        a[i - 1] === b[j - 1]
+          ? diagonal + 1
+          : Math.max(previous[j], previous[j - 1]);
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+/**
+ * Grades text sequencing questions. Partial credit is the share of items
+ * that are already in the right relative order (longest common subsequence),
+ * so a single misplaced item only costs one item's worth of points.
+ * @param {Object} question - Question document.
+ * @param {string[]} answer - Items in the order chosen by the student.
+ * @param {Object} options - Grading options.
+ * @returns {{ratio: number}} Credit ratio.
+ */
+const grade = (question, answer, options) => {
+  if (!Array.isArray(question.correctAnswer) || !Array.isArray(answer)) {
+    return { ratio: 0 };
+  }
+  const expected = question.correctAnswer.map((item) =>
+    normalizeText(item, options)
+  );
+  const given = answer.map((item) => normalizeText(item, options));
+  if (expected.length === 0) return { ratio: 0 };
+
+  return {
+    ratio: longestCommonSubsequence(given, expected) / expected.length,
+  };
+};
+
+module.exports = { grade, longestCommonSubsequence };
@@ -0,0 +1,31 @@
+const { normalizeText } = require("../grading.utils");
+
+const TRUE_VALUES = ["true", "vrai", "v", "t", "1", "oui", "yes"];
+const FALSE_VALUES = ["false", "faux", "f", "0", "non", "no"];
+
+/**
+ * Converts a boolean-like answer ("vrai", "false", 1...) into a boolean.
+ * @param {*} value - Raw value.
+ * @returns {boolean|null} Parsed boolean or null if not recognized.
+ */
+const toBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  const text = normalizeText(value);
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+};
+
+/**
+ * Grades true/false questions.
+ * @param {Object} question - Question document.
+ * @param {boolean|string} answer - Student answer.
+ * @returns {{ratio: number}} Credit ratio.
+ */
+const grade = (question, answer) => {
+  const given = toBoolean(answer);
+  const expected = toBoolean(question.correctAnswer);
+  return { ratio: given !== null && given === expected ? 1 : 0 };
+};
+
+module.exports = { grade, toBoolean };
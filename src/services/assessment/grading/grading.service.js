@@ -0,0 +1,136 @@
+const { QUESTION_TYPES, GRADING_STATUSES } = require("../../../constants");
+const { clampRatio } = require("./grading.utils");
+const multipleChoiceGrader = require("./graders/multiple.choice.grader");
+const shortAnswerGrader = require("./graders/short.answer.grader");
+const calculationGrader = require("./graders/calculation.grader");
+const matchingGrader = require("./graders/matching.grader");
+const manualReviewGrader = require("./graders/manual.review.grader");
+const dataInterpretationGrader = require("./graders/data.interpretation.grader");
+const fillInTheBlankGrader = require("./graders/fill.in.the.blank.grader");
+const textSequencingGrader = require("./graders/text.sequencing.grader");
+const trueFalseGrader = require("./graders/true.false.grader");
+const mapGrader = require("./graders/map.grader");
+const diagramGrader = require("./graders/diagram.grader");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("GradingService");
+
+const DEFAULT_GRADING_OPTIONS = {
+  partialCredit: true,
+  caseSensitive: false,
+  accentSensitive: false,
+  orderSensitive: true,
+  tolerance: 0,
+  toleranceType: "absolute",
+  unit: "",
+  unitPenalty: 0.5,
+  acceptedAnswers: [],
+  symbolicEquivalence: false,
+};
+
+class GradingService {
+  constructor() {
+    this.graders = new Map();
+
+    this.registerGrader(QUESTION_TYPES[0], multipleChoiceGrader); // multiple_choice
+    this.registerGrader(QUESTION_TYPES[1], shortAnswerGrader); // short_answer
+    this.registerGrader(QUESTION_TYPES[2], manualReviewGrader); // essay
+    this.registerGrader(QUESTION_TYPES[3], calculationGrader); // calculation
+    this.registerGrader(QUESTION_TYPES[4], diagramGrader); // diagram_labeling
+    this.registerGrader(QUESTION_TYPES[5], manualReviewGrader); // source_analysis
+    this.registerGrader(QUESTION_TYPES[6], mapGrader); // map_analysis
+    this.registerGrader(QUESTION_TYPES[7], dataInterpretationGrader); // data_interpretation
+    this.registerGrader(QUESTION_TYPES[8], fillInTheBlankGrader); // fill_in_the_blank
+    this.registerGrader(QUESTION_TYPES[9], textSequencingGrader); // text_sequencing
+    this.registerGrader(QUESTION_TYPES[10], trueFalseGrader); // true_false
+    this.registerGrader(QUESTION_TYPES[11], matchingGrader); // matching
+  }
+
+  // Register (or replace) the grader used for a question format
+  registerGrader(format, grader) {
+    if (!grader || typeof grader.grade !== "function") {
+      throw new Error(`Invalid grader for format ${format}`);
+    }
+    this.graders.set(format, grader);
+  }
+
+  // Get the grader registered for a question format
+  getGrader(format) {
+    return this.graders.get(format) ?? null;
+  }
+
+  // Check whether answers to a question are scored without a teacher
+  canAutoGrade(question) {
+    const grader = question ? this.getGrader(question.format) : null;
+    return !!grader && grader !== manualReviewGrader;
+  }
+
+  // Check whether answers to a question are always left to a teacher
+  needsManualReview(question) {
+    return !!question && this.getGrader(question.format) === manualReviewGrader;
+  }
+
+  // Merge question-level grading options with defaults
+  getGradingOptions(question) {
+    const grading = question?.grading?.toObject
+      ? question.grading.toObject()
+      : question?.grading ?? {};
+    const options = { ...DEFAULT_GRADING_OPTIONS };
+    Object.entries(grading).forEach(([key, value]) => {
+      if (key !== "_id" && value !== undefined && value !== null) {
+        options[key] = value;
+      }
+    });
+    return options;
+  }
+
+  // Check whether an answer carries no content at all
+  isEmptyAnswer(answer) {
+    if (answer === null || answer === undefined) return true;
+    if (typeof answer === "string") return answer.trim().length === 0;
+    if (Array.isArray(answer)) return answer.length === 0;
+    if (typeof answer === "object") return Object.keys(answer).length === 0;
+    return false;
+  }
+
+  // Grade an answer and convert the credit ratio into points; the context
+  // carries per-session data such as the values drawn for a templated question
+  grade(question, answer, context = {}) {
+    const maxPoints = question?.points ?? 0;
+    const result = {
+      pointsEarned: 0,
+      maxPoints,
+      ratio: 0,
+      isCorrect: false,
+      status: GRADING_STATUSES[0], // graded
+    };
+
+    if (!question || this.isEmptyAnswer(answer)) return result;
+
+    const grader = this.getGrader(question.format);
+    if (!grader) {
+      logger.warn(`No grader registered for question format: ${question.format}`);
+      result.status = GRADING_STATUSES[1]; // pending_review
+      return result;
+    }
+
+    const options = this.getGradingOptions(question);
+    try {
+      const outcome = grader.grade(question, answer, options, context) ?? {};
+      let ratio = clampRatio(outcome.ratio);
+      if (!options.partialCredit && ratio < 1) ratio = 0;
+
+      result.ratio = ratio;
+      result.status = outcome.status ?? GRADING_STATUSES[0];
+      result.pointsEarned = Math.round(ratio * maxPoints * 100) / 100;
+      result.isCorrect = result.status === GRADING_STATUSES[0] && ratio === 1;
+      if (outcome.feedback) result.feedback = outcome.feedback;
+    } catch (error) {
+      logger.error(`Error grading question ${question._id}:`, error);
+    }
+
+    return result;
+  }
+}
+
+module.exports = new GradingService();
@@ -0,0 +1,316 @@
+/**
+ * Shared helpers used by the answer graders.
+ * @module services/assessment/grading/grading.utils
+ */
+
+const {
+  parseExpression,
+  evaluateExpression,
+  getExpressionVariables,
+  expressionKey,
+} = require("../../../utils/expression.utils");
+const { createRandom } = require("../../../utils/shuffle.utils");
+const { EXPRESSION_EQUIVALENCE } = require("../../../constants");
+
+/**
+ * Normalizes free text for comparison: trims, collapses whitespace, strips
+ * trailing punctuation and, unless requested otherwise, case and accents.
+ * @param {*} value - Raw value to normalize.
+ * @param {Object} [options={}] - Normalization options.
+ * @param {boolean} [options.caseSensitive=false] - Keep letter case.
+ * @param {boolean} [options.accentSensitive=false] - Keep diacritics.
+ * @returns {string} Normalized text.
+ */
+const normalizeText = (value, options = {}) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value).normalize("NFC").trim();
+  if (!options.accentSensitive) {
+    text = text.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  }
+  if (!options.caseSensitive) {
+    text = text.toLowerCase();
+  }
+  return text
+    .replace(/[\u2019\u2018`]/g, "'")
+    .replace(/\s+/g, " ")
+    .replace(/[\s.,;:!?]+$/, "");
+};
+
+/**
+ * Checks whether two values are equal once normalized as text.
+ * @param {*} given - Student value.
+ * @param {*} expected - Expected value.
+ * @param {Object} [options={}] - Normalization options.
+ * @returns {boolean} True if both values match.
+ */
+const textEquals = (given, expected, options = {}) => {
+  const normalizedGiven = normalizeText(given, options);
+  return (
+    normalizedGiven.length > 0 &&
+    normalizedGiven === normalizeText(expected, options)
+  );
+};
+
+/**
+ * Checks a value against one or several accepted alternatives.
+ * @param {*} given - Student value.
+ * @param {*|Array} accepted - Accepted value or list of accepted values.
+ * @param {Object} [options={}] - Normalization options.
+ * @returns {boolean} True if any alternative matches.
+ */
+const matchesAny = (given, accepted, options = {}) => {
+  const alternatives = Array.isArray(accepted) ? accepted : [accepted];
+  return alternatives.some((alternative) =>
+    textEquals(given, alternative, options)
+  );
+};
+
+/**
+ * Normalizes a unit string (spacing, multiplication dots, superscripts).
+ * @param {string} unit - Raw unit.
+ * @returns {string} Normalized unit.
+ */
+const normalizeUnit = (unit) => {
+  if (!unit) return "";
+  return String(unit)
+    .trim()
+    .replace(/\s+/g, "")
+    .replace(/[·⋅*×]/g, ".")
+    .replace(/²/g, "^2")
+    .replace(/³/g, "^3")
+    .replace(/⁻¹/g, "^-1")
+    .replace(/^\((.*)\)$/, "$1");
+};
+
+/**
+ * Parses a numeric answer written by a student, accepting decimal commas,
+ * scientific notation ("1.2e3", "1,2×10^3") and a trailing unit.
+ * @param {number|string} value - Raw answer.
+ * @returns {{value: number, unit: string}|null} Parsed number and unit, or null.
+ */
+const parseNumericAnswer = (value) => {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? { value, unit: "" } : null;
+  }
+  if (typeof value !== "string") return null;
+
+  const text = value
+    .trim()
+    .replace(/−/g, "-")
+    .replace(/(\d)[\s\u00a0\u202f](?=\d{3}\b)/g, "$1");
+  const match = text.match(
+    /^([-+]?\d+(?:[.,]\d+)?)(?:\s*(?:[eE]([-+]?\d+)|[x×*]\s*10\s*\^\s*\(?([-+]?\d+)\)?))?\s*(.*)$/
+  );
+  if (!match) return null;
+
+  const mantissa = Number.parseFloat(match[1].replace(",", "."));
+  const exponent = Number.parseInt(match[2] ?? match[3] ?? "0", 10);
+  const parsed = mantissa * Math.pow(10, exponent);
+  if (!Number.isFinite(parsed)) return null;
+
+  return { value: parsed, unit: normalizeUnit(match[4]) };
+};
+
+/**
+ * Rewrites math typed by a student into expression syntax: decimal commas,
+ * thousands separators, "√", "π" and superscript powers. A comma between
+ * two digits is always read as a decimal comma.
+ * @param {number|string} value - Raw answer.
+ * @returns {string} Expression text.
+ */
+const normalizeMathInput = (value) =>
+  String(value)
+    .trim()
+    .replace(/(\d)[\s\u00a0\u202f](?=\d{3}\b)/g, "$1")
+    .replace(/(\d),(?=\d)/g, "$1.")
+    .replace(/π/g, "pi")
+    .replace(/√\s*(\d+(?:\.\d+)?|[A-Za-z_][A-Za-z0-9_]*)/g, "sqrt($1)")
+    .replace(/√/g, "sqrt")
+    .replace(/²/g, "^2")
+    .replace(/³/g, "^3")
+    .replace(/⁻¹/g, "^(-1)");
+
+/**
+ * Evaluates a constant math expression such as "1/2", "3√2" or "2π/3".
+ * @param {number|string} value - Raw answer.
+ * @returns {number|null} Value, or null if it is not a constant expression.
+ */
+const evaluateNumericExpression = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || !value.trim()) return null;
+  try {
+    const tree = parseExpression(normalizeMathInput(value));
+    if (tree.type === "compare" || getExpressionVariables(tree).length > 0) {
+      return null;
+    }
+    const result = evaluateExpression(tree);
+    return Number.isFinite(result) ? result : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Left-overs such as "/2", "√2" or "pi" are part of the number, not a unit
+const isUnitText = (unit) =>
+  /^[A-Za-zµΩ°%]/.test(unit) &&
+  !/[()√π]/.test(unit) &&
+  !["pi", "e"].includes(unit);
+
+/**
+ * Parses a numeric answer that may also be written as an expression, e.g.
+ * "1/2", "3√2 m" or "2π/3", on top of what parseNumericAnswer accepts.
+ * @param {number|string} value - Raw answer.
+ * @returns {{value: number, unit: string}|null} Parsed number and unit, or null.
+ */
+const parseMathAnswer = (value) => {
+  const parsed = parseNumericAnswer(value);
+  if (
+    typeof value !== "string" ||
+    (parsed && (!parsed.unit || isUnitText(parsed.unit)))
+  ) {
+    return parsed;
+  }
+
+  const whole = evaluateNumericExpression(value);
+  if (whole !== null) return { value: whole, unit: "" };
+
+  const match = value.trim().match(/^(.*\S)\s+(\S+)$/);
+  if (match && isUnitText(normalizeUnit(match[2]))) {
+    const number = evaluateNumericExpression(match[1]);
+    if (number !== null) {
+      return { value: number, unit: normalizeUnit(match[2]) };
+    }
+  }
+  return parsed;
+};
+
+/**
+ * Checks whether two math expressions are equivalent ("2(x+1)" and
+ * "2x+2", "1/2" and "0.5"). Both are first compared in canonical form,
+ * then evaluated at random points; points where either is undefined are
+ * skipped. The points only depend on the expressions, so the verdict is
+ * the same every time.
+ * @param {number|string} given - Student expression.
+ * @param {number|string} expected - Expected expression.
+ * @returns {boolean} True if both expressions are equivalent.
+ */
+const areExpressionsEquivalent = (given, expected) => {
+  const isMath = (value) =>
+    (typeof value === "string" && value.trim().length > 0) ||
+    typeof value === "number";
+  if (!isMath(given) || !isMath(expected)) return false;
+
+  let givenTree;
+  let expectedTree;
+  try {
+    givenTree = parseExpression(normalizeMathInput(given));
+    expectedTree = parseExpression(normalizeMathInput(expected));
+  } catch (error) {
+    return false;
+  }
+  if (givenTree.type === "compare" || expectedTree.type === "compare") {
+    return false;
+  }
+
+  const givenKey = expressionKey(givenTree);
+  const expectedKey = expressionKey(expectedTree);
+  if (givenKey === expectedKey) return true;
+
+  const variables = [
+    ...new Set([
+      ...getExpressionVariables(givenTree),
+      ...getExpressionVariables(expectedTree),
+    ]),
+  ];
+  const random = createRandom(`${givenKey}|${expectedKey}`);
+  let validTrials = 0;
+  for (let trial = 0; trial < EXPRESSION_EQUIVALENCE.TRIALS; trial++) {
+    // Every other point is a small positive, where roots and logs are defined
+    const scope = Object.fromEntries(
+      variables.map((name) => [
+        name,
+        trial % 2 === 0 ? 0.5 + random() * 2.5 : random() * 20 - 10,
+      ])
+    );
+    const givenValue = evaluateExpression(givenTree, scope);
+    const expectedValue = evaluateExpression(expectedTree, scope);
+    if (!Number.isFinite(givenValue) || !Number.isFinite(expectedValue)) {
+      continue;
+    }
+    const allowed =
+      EXPRESSION_EQUIVALENCE.RELATIVE_TOLERANCE *
+      Math.max(1, Math.abs(givenValue), Math.abs(expectedValue));
+    if (Math.abs(givenValue - expectedValue) > allowed) return false;
+    validTrials += 1;
+  }
+  return validTrials >= EXPRESSION_EQUIVALENCE.MIN_VALID_TRIALS;
+};
+
+/**
+ * Checks whether a number lies within tolerance of an expected value.
+ * @param {number} actual - Student value.
+ * @param {number} expected - Expected value.
+ * @param {number} [tolerance=0] - Allowed deviation.
+ * @param {string} [toleranceType="absolute"] - "absolute" or "relative" (fraction of expected).
+ * @returns {boolean} True if within tolerance.
+ */
+const withinTolerance = (
+  actual,
+  expected,
+  tolerance = 0,
+  toleranceType = "absolute"
+) => {
+  const allowed =
+    toleranceType === "relative" ? Math.abs(expected) * tolerance : tolerance;
+  // Floating point slack so that 0.1 + 0.2 still equals 0.3
+  const epsilon = 1e-9 * Math.max(1, Math.abs(expected));
+  return Math.abs(actual - expected) <= allowed + epsilon;
+};
+
+/**
+ * Clamps a credit ratio to the [0, 1] range.
+ * @param {number} ratio - Raw ratio.
+ * @returns {number} Clamped ratio.
+ */
+const clampRatio = (ratio) => {
+  if (!Number.isFinite(ratio)) return 0;
+  return Math.min(1, Math.max(0, ratio));
+};
+
+/**
+ * Converts a list of pairs or a plain object into a key → value map.
+ * Pairs may use {question, answer}, {left, right} or {label, target} keys.
+ * @param {Array|Object} value - Pairs or mapping.
+ * @returns {Map<string, *>} Mapping keyed by the left-hand side.
+ */
+const toPairMap = (value) => {
+  const map = new Map();
+  if (Array.isArray(value)) {
+    value.forEach((pair) => {
+      if (!pair || typeof pair !== "object") return;
+      const key = pair.question ?? pair.left ?? pair.label;
+      const answer = pair.answer ?? pair.right ?? pair.target;
+      if (key !== undefined) map.set(String(key), answer);
+    });
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([key, answer]) =>
+      map.set(String(key), answer)
+    );
+  }
+  return map;
+};
+
+module.exports = {
+  normalizeText,
+  textEquals,
+  matchesAny,
+  normalizeUnit,
+  parseNumericAnswer,
+  normalizeMathInput,
+  evaluateNumericExpression,
+  parseMathAnswer,
+  areExpressionsEquivalent,
+  withinTolerance,
+  clampRatio,
+  toPairMap,
+};
@@ -0,0 +1,324 @@
+const { QuizSession } = require("../../../models/assessment/quiz.session.model");
+const { Question } = require("../../../models/assessment/question.model");
+const { Challenge } = require("../../../models/assessment/challenge.model");
+const challengeService = require("../challenge/challenge.service");
+const {
+  computeIntegrityScore,
+  detectFastAnswers,
+  compareAnswerPatterns,
+} = require("./integrity.utils");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const {
+  INTEGRITY_EVENT_TYPES,
+  INTEGRITY_FLAG_TYPES,
+  INTEGRITY_REVIEW_STATUSES,
+  INTEGRITY_PENALTIES,
+  INTEGRITY_MAX_EVENTS,
+  INTEGRITY_REVIEW_THRESHOLD,
+  INTEGRITY_FAST_ANSWER,
+} = require("../../../constants");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("IntegrityService");
+
+class IntegrityService {
+  // Record integrity events reported by the client for a running session
+  async recordEvents(sessionId, userId, events) {
+    try {
+      const session = await QuizSession.findOne({ sessionId, userId });
+      if (!session) {
+        logger.warn(`Session not found for integrity events: ${sessionId} for user ${userId}`);
+        throw new ApiError(404, "Session not found");
+      }
+      if (!session.isActive()) {
+        throw new ApiError(
+          400,
+          "Integrity events can only be recorded on an active session"
+        );
+      }
+
+      // Past the cap, further events are dropped instead of growing the document
+      const room = Math.max(
+        0,
+        INTEGRITY_MAX_EVENTS - session.integrity.events.length
+      );
+      const recorded = events.slice(0, room);
+      recorded.forEach((event) => {
+        session.integrity.events.push({
+          type: event.type,
+          occurredAt: event.occurredAt ?? new Date(),
+          questionId: event.questionId,
+          details: event.details,
+        });
+      });
+      this.updateScore(session);
+      await session.save();
+
+      logger.info(`Recorded ${recorded.length} integrity events for session ${sessionId}`);
+      return new ApiResponse(
+        200,
+        {
+          recorded: recorded.length,
+          dropped: events.length - recorded.length,
+          score: session.integrity.score,
+          reviewStatus: session.integrity.review.status,
+        },
+        "Integrity events recorded successfully"
+      );
+    } catch (error) {
+      logger.error(`Error recording integrity events for session ${sessionId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to record integrity events", error.message);
+    }
+  }
+
+  // Get sessions awaiting (or past) an integrity review, lowest scores first
+  async getReviewQueue(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = INTEGRITY_REVIEW_STATUSES[1], // pending
+        challengeId,
+      } = options;
+
+      const query = { "integrity.review.status": status };
+      if (challengeId) query.challengeId = challengeId;
+
+      const skip = (page - 1) * limit;
+      const [sessions, total] = await Promise.all([
+        QuizSession.find(query)
+          .select(
+            "sessionId userId quizId challengeId status score maxScore startTime endTime integrity"
+          )
+          .populate("userId", "name email")
+          .populate("quizId", "title")
+          .populate("challengeId", "title")
+          .sort({ "integrity.score": 1, endTime: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        QuizSession.countDocuments(query),
+      ]);
+
+      const pagination = {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+      };
+
+      logger.info(`Retrieved ${sessions.length} sessions from the integrity review queue`);
+      return new ApiResponse(
+        200,
+        { sessions, pagination },
+        "Integrity review queue retrieved successfully"
+      );
+    } catch (error) {
+      logger.error("Error retrieving integrity review queue:", error);
+      throw new ApiError(500, "Failed to retrieve integrity review queue", error.message);
+    }
+  }
+
+  // Clear or confirm a flagged session; confirmed challenge entries are disqualified
+  async reviewSession(sessionId, reviewerId, { decision, notes }) {
+    try {
+      const session = await QuizSession.findOne({ sessionId });
+      if (!session) {
+        logger.warn(`Session not found for integrity review: ${sessionId}`);
+        throw new ApiError(404, "Session not found");
+      }
+      if (session.integrity.review.status === INTEGRITY_REVIEW_STATUSES[0]) {
+        // none
+        throw new ApiError(400, "Session is not in the integrity review queue");
+      }
+
+      session.integrity.review = {
+        status: decision,
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        notes,
+      };
+      await session.save();
+
+      if (session.challengeId && session.endTime) {
+        if (decision === INTEGRITY_REVIEW_STATUSES[3]) {
+          // confirmed
+          await challengeService.disqualifySession(
+            session.challengeId,
+            session._id
+          );
+        } else {
+          await challengeService.setSessionEntriesHeld(
+            session.challengeId,
+            [session._id],
+            false
+          );
+        }
+      }
+
+      logger.info(`Integrity review of session ${sessionId} by ${reviewerId}: ${decision}`);
+      return new ApiResponse(
+        200,
+        { sessionId, integrity: session.integrity },
+        "Integrity review saved successfully"
+      );
+    } catch (error) {
+      logger.error(`Error reviewing integrity of session ${sessionId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to review session integrity", error.message);
+    }
+  }
+
+  // Helper method to flag timing anomalies and copied answers when a session ends
+  async analyzeSession(session) {
+    const integrity = session.integrity;
+
+    // Answers faster than the minimum reading time
+    const questionIds = session.answers.map(
+      (answer) => answer.questionId?._id ?? answer.questionId
+    );
+    const questions = await Question.find({ _id: { $in: questionIds } }).select(
+      "timeEstimate"
+    );
+    const fastAnswers = detectFastAnswers(
+      session.answers,
+      new Map(questions.map((q) => [q._id.toString(), q.timeEstimate]))
+    );
+    integrity.flags = integrity.flags.filter(
+      (flag) => flag.type !== INTEGRITY_FLAG_TYPES[0] // fast_answers
+    );
+    if (fastAnswers.length >= INTEGRITY_FAST_ANSWER.MIN_COUNT) {
+      integrity.flags.push({
+        type: INTEGRITY_FLAG_TYPES[0], // fast_answers
+        questionIds: fastAnswers,
+        penalty: Math.min(
+          INTEGRITY_FAST_ANSWER.MAX_PENALTY,
+          fastAnswers.length * INTEGRITY_PENALTIES.fast_answer
+        ),
+        details: `${fastAnswers.length} answers submitted faster than the minimum reading time`,
+      });
+    }
+
+    // Near-identical answer patterns within the same challenge
+    const flaggedSessionIds = [];
+    const challenge = session.challengeId
+      ? await Challenge.findById(session.challengeId).select("rules")
+      : null;
+    if (challenge?.rules?.preventCheating) {
+      integrity.flags = integrity.flags.filter(
+        (flag) => flag.type !== INTEGRITY_FLAG_TYPES[1] // similar_answers
+      );
+      const otherSessions = await QuizSession.find({
+        challengeId: session.challengeId,
+        _id: { $ne: session._id },
+        status: { $in: ["completed", "expired"] },
+      })
+        .select("answers integrity")
+        .lean();
+
+      for (const other of otherSessions) {
+        const comparison = compareAnswerPatterns(session.answers, other.answers);
+        if (!comparison.similar) continue;
+
+        const details = `${Math.round(comparison.matchRate * 100)}% identical answers on ${comparison.commonAnswers} questions, ${comparison.sharedWrong} identical wrong answers`;
+        integrity.flags.push({
+          type: INTEGRITY_FLAG_TYPES[1], // similar_answers
+          relatedSessionId: other._id,
+          penalty: INTEGRITY_PENALTIES.similar_answers,
+          details,
+        });
+        if (await this.flagRelatedSession(other, session._id, details)) {
+          flaggedSessionIds.push(other._id);
+        }
+      }
+    }
+
+    this.updateScore(session);
+
+    // Earlier sessions flagged by this one leave the leaderboard until reviewed
+    if (flaggedSessionIds.length > 0) {
+      await challengeService.setSessionEntriesHeld(
+        session.challengeId,
+        flaggedSessionIds,
+        true
+      );
+    }
+    return session;
+  }
+
+  // Helper method to flag an already finished session; true if it now awaits review
+  async flagRelatedSession(other, sessionId, details) {
+    const alreadyFlagged = (other.integrity?.flags ?? []).some(
+      (flag) => flag.relatedSessionId?.toString() === sessionId.toString()
+    );
+    if (alreadyFlagged) return false;
+
+    const flag = {
+      type: INTEGRITY_FLAG_TYPES[1], // similar_answers
+      relatedSessionId: sessionId,
+      penalty: INTEGRITY_PENALTIES.similar_answers,
+      details,
+      detectedAt: new Date(),
+    };
+    const score = computeIntegrityScore({
+      events: other.integrity?.events ?? [],
+      flags: [...(other.integrity?.flags ?? []), flag],
+    });
+    const update = {
+      $push: { "integrity.flags": flag },
+      $set: { "integrity.score": score },
+    };
+    const reviewStatus =
+      other.integrity?.review?.status ?? INTEGRITY_REVIEW_STATUSES[0];
+    if (
+      reviewStatus === INTEGRITY_REVIEW_STATUSES[0] && // none
+      score < INTEGRITY_REVIEW_THRESHOLD
+    ) {
+      update.$set["integrity.review.status"] = INTEGRITY_REVIEW_STATUSES[1]; // pending
+    }
+
+    await QuizSession.updateOne({ _id: other._id }, update);
+    return (
+      (update.$set["integrity.review.status"] ?? reviewStatus) ===
+      INTEGRITY_REVIEW_STATUSES[1] // pending
+    );
+  }
+
+  // Helper method to record a device switch detected from synced device info
+  recordDeviceChange(session, deviceInfo = {}) {
+    const previous = session.deviceInfo ?? {};
+    const changed = ["platform", "userAgent"].filter(
+      (field) =>
+        previous[field] && deviceInfo[field] && previous[field] !== deviceInfo[field]
+    );
+    if (changed.length === 0) return false;
+    if (session.integrity.events.length >= INTEGRITY_MAX_EVENTS) return false;
+
+    session.integrity.events.push({
+      type: INTEGRITY_EVENT_TYPES[3], // device_switch
+      occurredAt: new Date(),
+      details: changed
+        .map((field) => `${field}: ${previous[field]} -> ${deviceInfo[field]}`)
+        .join("; ")
+        .slice(0, 500),
+    });
+    this.updateScore(session);
+    return true;
+  }
+
+  // Helper method to recompute the score and queue low scores for review
+  updateScore(session) {
+    const integrity = session.integrity;
+    integrity.score = computeIntegrityScore(integrity);
+    if (
+      integrity.review.status === INTEGRITY_REVIEW_STATUSES[0] && // none
+      integrity.score < INTEGRITY_REVIEW_THRESHOLD
+    ) {
+      integrity.review.status = INTEGRITY_REVIEW_STATUSES[1]; // pending
+    }
+    return integrity.score;
+  }
+}
+
+module.exports = new IntegrityService();
@@ -0,0 +1,92 @@
+const {
+  INTEGRITY_PENALTIES,
+  INTEGRITY_MAX_EVENT_PENALTY,
+  INTEGRITY_FAST_ANSWER,
+  INTEGRITY_SIMILARITY,
+} = require("../../../constants");
+
+const isAnswered = (answer) =>
+  !answer.skipped &&
+  answer.selectedAnswer !== null &&
+  answer.selectedAnswer !== undefined;
+
+/**
+ * Computes the integrity score of a session, starting from 100. Event
+ * penalties are capped so a flaky connection alone cannot sink a session.
+ * @param {Object} integrity - Integrity record with events and flags.
+ * @returns {number} Score between 0 and 100.
+ */
+const computeIntegrityScore = ({ events = [], flags = [] }) => {
+  const eventPenalty = Math.min(
+    INTEGRITY_MAX_EVENT_PENALTY,
+    events.reduce((sum, event) => sum + (INTEGRITY_PENALTIES[event.type] ?? 0), 0)
+  );
+  const flagPenalty = flags.reduce((sum, flag) => sum + (flag.penalty ?? 0), 0);
+  return Math.max(0, Math.round(100 - eventPenalty - flagPenalty));
+};
+
+/**
+ * Finds answers given faster than a person could read the question.
+ * @param {Array<Object>} answers - Session answers with questionId and timeSpent.
+ * @param {Map<string, number>} [timeEstimates=new Map()] - Expected seconds per question.
+ * @returns {Array<string>} IDs of the questions answered too fast.
+ */
+const detectFastAnswers = (answers, timeEstimates = new Map()) =>
+  answers
+    .filter((answer) => {
+      if (!isAnswered(answer)) return false;
+      const questionId = String(answer.questionId?._id ?? answer.questionId);
+      const minimum = Math.max(
+        INTEGRITY_FAST_ANSWER.MIN_SECONDS,
+        (timeEstimates.get(questionId) ?? 0) *
+          INTEGRITY_FAST_ANSWER.MIN_ESTIMATE_RATIO
+      );
+      return (answer.timeSpent ?? 0) < minimum;
+    })
+    .map((answer) => String(answer.questionId?._id ?? answer.questionId));
+
+/**
+ * Compares the answer patterns of two sessions on the questions both answered.
+ * @param {Array<Object>} answersA - Answers of the first session.
+ * @param {Array<Object>} answersB - Answers of the second session.
+ * @returns {{commonAnswers: number, matchRate: number, sharedWrong: number, similar: boolean}} Comparison.
+ */
+const compareAnswerPatterns = (answersA, answersB) => {
+  const key = (answer) => String(answer.questionId?._id ?? answer.questionId);
+  const answeredB = new Map(
+    answersB.filter(isAnswered).map((answer) => [key(answer), answer])
+  );
+
+  let commonAnswers = 0;
+  let identical = 0;
+  let sharedWrong = 0;
+  answersA.filter(isAnswered).forEach((answer) => {
+    const other = answeredB.get(key(answer));
+    if (!other) return;
+    commonAnswers += 1;
+    if (
+      JSON.stringify(answer.selectedAnswer) ===
+      JSON.stringify(other.selectedAnswer)
+    ) {
+      identical += 1;
+      if (!answer.isCorrect && !other.isCorrect) sharedWrong += 1;
+    }
+  });
+
+  const matchRate = commonAnswers === 0 ? 0 : identical / commonAnswers;
+  return {
+    commonAnswers,
+    matchRate: Math.round(matchRate * 100) / 100,
+    sharedWrong,
+    similar:
+      commonAnswers >= INTEGRITY_SIMILARITY.MIN_COMMON_ANSWERS &&
+      matchRate >= INTEGRITY_SIMILARITY.MIN_MATCH_RATE &&
+      sharedWrong >= INTEGRITY_SIMILARITY.MIN_SHARED_WRONG,
+  };
+};
+
+module.exports = {
+  computeIntegrityScore,
+  detectFastAnswers,
+  compareAnswerPatterns,
+};
@@ -0,0 +1,123 @@
+const { QuizSession } = require("../../../models/assessment/quiz.session.model");
+const { Question } = require("../../../models/assessment/question.model");
+const { calibrate } = require("./irt.utils");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const {
+  QUIZ_SESSION_STATUSES,
+  GRADING_STATUSES,
+  IRT_MIN_RESPONSES,
+} = require("../../../constants");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("IrtService");
+
+class IrtService {
+  // Fit 2PL item parameters from the answers of finished sessions
+  async calibrateItems(options = {}) {
+    try {
+      const { minResponses = IRT_MIN_RESPONSES, since } = options;
+
+      const query = {
+        status: {
+          $in: [QUIZ_SESSION_STATUSES[3], QUIZ_SESSION_STATUSES[5]], // completed, expired
+        },
+      };
+      if (since) query.endTime = { $gte: new Date(since) };
+
+      // Each session is one respondent, so retakes do not repeat an item per person
+      const responses = [];
+      let sessionsUsed = 0;
+      const cursor = QuizSession.find(query)
+        .select(
+          "answers.questionId answers.isCorrect answers.selectedAnswer answers.skipped answers.gradingStatus"
+        )
+        .lean()
+        .cursor();
+      for await (const session of cursor) {
+        const scored = (session.answers ?? []).filter(
+          (answer) =>
+            answer.gradingStatus !== GRADING_STATUSES[1] && // pending_review
+            (answer.skipped ||
+              (answer.selectedAnswer !== null &&
+                answer.selectedAnswer !== undefined))
+        );
+        if (scored.length === 0) continue;
+        sessionsUsed += 1;
+        scored.forEach((answer) => {
+          responses.push({
+            personId: session._id.toString(),
+            itemId: answer.questionId.toString(),
+            correct: !!answer.isCorrect,
+          });
+        });
+      }
+
+      if (responses.length === 0) {
+        logger.info("No session answers available for IRT calibration");
+        return new ApiResponse(
+          200,
+          {
+            sessionsUsed,
+            responsesUsed: 0,
+            itemsCalibrated: 0,
+            itemsSkipped: 0,
+          },
+          "No answers available for calibration"
+        );
+      }
+
+      // Previous estimates give the fit a warm start
+      const itemIds = [...new Set(responses.map((response) => response.itemId))];
+      const questions = await Question.find({ _id: { $in: itemIds } }).select(
+        "irt difficulty"
+      );
+      const initialItems = new Map();
+      questions.forEach((question) => {
+        if (typeof question.irt?.difficulty === "number") {
+          initialItems.set(question._id.toString(), {
+            a: question.irt.discrimination,
+            b: question.irt.difficulty,
+          });
+        }
+      });
+
+      const { items } = calibrate(responses, { initialItems });
+
+      const calibratedAt = new Date();
+      const operations = [];
+      items.forEach((item, itemId) => {
+        if (item.sampleSize < minResponses) return;
+        operations.push({
+          updateOne: {
+            filter: { _id: itemId },
+            update: {
+              $set: {
+                "irt.difficulty": item.b,
+                "irt.discrimination": item.a,
+                "irt.sampleSize": item.sampleSize,
+                "irt.calibratedAt": calibratedAt,
+              },
+            },
+          },
+        });
+      });
+      if (operations.length > 0) await Question.bulkWrite(operations);
+
+      const summary = {
+        sessionsUsed,
+        responsesUsed: responses.length,
+        itemsCalibrated: operations.length,
+        itemsSkipped: items.size - operations.length,
+      };
+      logger.info(`IRT calibration finished: ${JSON.stringify(summary)}`);
+      return new ApiResponse(200, summary, "Items calibrated successfully");
+    } catch (error) {
+      logger.error("Error calibrating items:", error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to calibrate items", error.message);
+    }
+  }
+}
+
+module.exports = new IrtService();
@@ -0,0 +1,207 @@
+/**
+ * Two-parameter logistic (2PL) item response theory helpers. An item has a
+ * discrimination `a` and a difficulty `b`; a student has an ability `theta`
+ * on the same logit scale.
+ */
+
+const THETA_MIN = -4;
+const THETA_MAX = 4;
+const DISCRIMINATION_MIN = 0.2;
+const DISCRIMINATION_MAX = 3;
+const QUADRATURE_POINTS = 81;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Probability of a correct response under the 2PL model.
+ * @param {number} theta - Student ability.
+ * @param {{a: number, b: number}} item - Item parameters.
+ * @returns {number} Probability between 0 and 1.
+ */
+const probability = (theta, { a, b }) => 1 / (1 + Math.exp(-a * (theta - b)));
+
+/**
+ * Fisher information of an item at an ability level.
+ * @param {number} theta - Student ability.
+ * @param {{a: number, b: number}} item - Item parameters.
+ * @returns {number} Item information.
+ */
+const itemInformation = (theta, item) => {
+  const p = probability(theta, item);
+  return item.a * item.a * p * (1 - p);
+};
+
+/**
+ * Expected a posteriori (EAP) ability estimate with a standard normal prior.
+ * Unlike maximum likelihood it stays finite for all-correct or all-wrong patterns.
+ * @param {Array<{a: number, b: number, correct: boolean}>} responses - Scored responses.
+ * @returns {{theta: number, standardError: number}} Ability estimate and posterior SD.
+ */
+const estimateAbility = (responses) => {
+  const step = (THETA_MAX - THETA_MIN) / (QUADRATURE_POINTS - 1);
+  let weightSum = 0;
+  let thetaSum = 0;
+  let squareSum = 0;
+
+  for (let i = 0; i < QUADRATURE_POINTS; i++) {
+    const theta = THETA_MIN + i * step;
+    let logWeight = -(theta * theta) / 2;
+    responses.forEach((response) => {
+      const p = clamp(probability(theta, response), 1e-9, 1 - 1e-9);
+      logWeight += Math.log(response.correct ? p : 1 - p);
+    });
+    const weight = Math.exp(logWeight);
+    weightSum += weight;
+    thetaSum += weight * theta;
+    squareSum += weight * theta * theta;
+  }
+
+  if (weightSum === 0) return { theta: 0, standardError: 1 };
+  const theta = thetaSum / weightSum;
+  const variance = Math.max(0, squareSum / weightSum - theta * theta);
+  return { theta, standardError: Math.sqrt(variance) };
+};
+
+/**
+ * Picks the item giving the most information at the current ability.
+ * @param {number} theta - Current ability estimate.
+ * @param {Array<{a: number, b: number}>} items - Candidate items.
+ * @returns {Object|null} Most informative item, or null if none.
+ */
+const selectMostInformative = (theta, items) =>
+  items.reduce(
+    (best, item) =>
+      !best || itemInformation(theta, item) > itemInformation(theta, best)
+        ? item
+        : best,
+    null
+  );
+
+/**
+ * Fits 2PL item parameters by joint maximum a posteriori estimation,
+ * alternating ability and item updates. Mild priors (theta ~ N(0, 1),
+ * b ~ N(0, 2), log a ~ N(0, 0.5)) keep small samples stable.
+ * @param {Array<{personId: string, itemId: string, correct: boolean}>} responses - Scored responses.
+ * @param {Object} [options={}] - Fitting options.
+ * @param {number} [options.iterations=30] - Number of alternating passes.
+ * @param {Map<string, {a: number, b: number}>} [options.initialItems] - Starting parameters.
+ * @returns {{items: Map<string, {a: number, b: number, sampleSize: number}>, abilities: Map<string, number>}} Fitted parameters.
+ */
+const calibrate = (
+  responses,
+  { iterations = 30, initialItems = new Map() } = {}
+) => {
+  const byItem = new Map();
+  const byPerson = new Map();
+  responses.forEach((response) => {
+    if (!byItem.has(response.itemId)) byItem.set(response.itemId, []);
+    if (!byPerson.has(response.personId)) byPerson.set(response.personId, []);
+    byItem.get(response.itemId).push(response);
+    byPerson.get(response.personId).push(response);
+  });
+
+  // Start from proportions correct on the logit scale
+  const logit = (p) => Math.log(p / (1 - p));
+  const items = new Map();
+  byItem.forEach((itemResponses, itemId) => {
+    const correct = itemResponses.filter((r) => r.correct).length;
+    const p = clamp(correct / itemResponses.length, 0.02, 0.98);
+    const initial = initialItems.get(itemId);
+    items.set(itemId, {
+      a: initial?.a ?? 1,
+      b: initial?.b ?? clamp(-logit(p), THETA_MIN, THETA_MAX),
+    });
+  });
+  const abilities = new Map();
+  byPerson.forEach((personResponses, personId) => {
+    const correct = personResponses.filter((r) => r.correct).length;
+    const p = clamp(correct / personResponses.length, 0.02, 0.98);
+    abilities.set(personId, clamp(logit(p), THETA_MIN, THETA_MAX));
+  });
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    // Ability step: one Newton step per person on the MAP objective
+    byPerson.forEach((personResponses, personId) => {
+      const theta = abilities.get(personId);
+      let gradient = -theta;
+      let information = 1;
+      personResponses.forEach((response) => {
+        const item = items.get(response.itemId);
+        const p = probability(theta, item);
+        gradient += item.a * ((response.correct ? 1 : 0) - p);
+        information += item.a * item.a * p * (1 - p);
+      });
+      abilities.set(
+        personId,
+        clamp(theta + gradient / information, THETA_MIN, THETA_MAX)
+      );
+    });
+
+    // Anchor the scale: abilities are standardized to mean 0 and SD 1
+    const thetas = [...abilities.values()];
+    const mean = thetas.reduce((sum, theta) => sum + theta, 0) / thetas.length;
+    const sd = Math.sqrt(
+      thetas.reduce((sum, theta) => sum + (theta - mean) ** 2, 0) /
+        thetas.length
+    );
+    abilities.forEach((theta, personId) =>
+      abilities.set(personId, (theta - mean) / (sd > 0.1 ? sd : 1))
+    );
+
+    // Item step: one Fisher scoring step on (log a, b) per item
+    byItem.forEach((itemResponses, itemId) => {
+      const { a, b } = items.get(itemId);
+      const logA = Math.log(a);
+      let gradLogA = -logA / 0.25;
+      let gradB = -b / 4;
+      let infoLogA = 1 / 0.25;
+      let infoB = 1 / 4;
+      let infoCross = 0;
+      itemResponses.forEach((response) => {
+        const theta = abilities.get(response.personId);
+        const p = probability(theta, { a, b });
+        const residual = (response.correct ? 1 : 0) - p;
+        const weight = p * (1 - p);
+        const dLogA = a * (theta - b);
+        const dB = -a;
+        gradLogA += residual * dLogA;
+        gradB += residual * dB;
+        infoLogA += weight * dLogA * dLogA;
+        infoB += weight * dB * dB;
+        infoCross += weight * dLogA * dB;
+      });
+      const determinant = infoLogA * infoB - infoCross * infoCross;
+      if (determinant <= 0) return;
+      const stepLogA = (infoB * gradLogA - infoCross * gradB) / determinant;
+      const stepB = (infoLogA * gradB - infoCross * gradLogA) / determinant;
+      items.set(itemId, {
+        a: clamp(
+          Math.exp(logA + clamp(stepLogA, -0.5, 0.5)),
+          DISCRIMINATION_MIN,
+          DISCRIMINATION_MAX
+        ),
+        b: clamp(b + clamp(stepB, -1, 1), THETA_MIN, THETA_MAX),
+      });
+    });
+  }
+
+  const fittedItems = new Map();
+  items.forEach((item, itemId) => {
+    fittedItems.set(itemId, {
+      a: Math.round(item.a * 1000) / 1000,
+      b: Math.round(item.b * 1000) / 1000,
+      sampleSize: byItem.get(itemId).length,
+    });
+  });
+  return { items: fittedItems, abilities };
+};
+
+module.exports = {
+  THETA_MIN,
+  THETA_MAX,
+  probability,
+  itemInformation,
+  estimateAbility,
+  selectMostInformative,
+  calibrate,
+};
@@ -0,0 +1,154 @@
+const { QuizSession } = require("../../../models/assessment/quiz.session.model");
+const { Question } = require("../../../models/assessment/question.model");
+const { Quiz } = require("../../../models/assessment/quiz.model");
+const { analyzeItems } = require("./item.analysis.utils");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const {
+  QUIZ_SESSION_STATUSES,
+  GRADING_STATUSES,
+  ITEM_ANALYSIS,
+} = require("../../../constants");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("ItemAnalysisService");
+
+class ItemAnalysisService {
+  // Item analysis of every question of a quiz, from its finished sessions
+  async getQuizItemAnalysis(quizId) {
+    try {
+      const quiz = await Quiz.findById(quizId).select("title questionIds");
+      if (!quiz) throw new ApiError(404, "Quiz not found");
+
+      const sessions = await this.getScoredSessions({ quizId: quiz._id });
+      const questions = await this.getQuestions(sessions);
+      const analysis = analyzeItems(sessions, questions);
+
+      // Items follow the quiz order; questions since removed come last
+      const order = new Map(
+        quiz.questionIds.map((id, index) => [id.toString(), index])
+      );
+      const items = analysis.items
+        .map((item) => this.describeItem(item, questions))
+        .sort(
+          (a, b) =>
+            (order.get(a.questionId) ?? Infinity) -
+            (order.get(b.questionId) ?? Infinity)
+        );
+
+      logger.info(
+        `Item analysis of quiz ${quizId}: ${analysis.respondents} respondents, ${items.length} items`
+      );
+      return new ApiResponse(
+        200,
+        {
+          quizId: quiz._id,
+          title: quiz.title,
+          respondents: analysis.respondents,
+          meanScore: analysis.meanScore,
+          flaggedItems: items.filter((item) => item.flags.length > 0).length,
+          items,
+        },
+        "Item analysis retrieved successfully"
+      );
+    } catch (error) {
+      logger.error("Error computing quiz item analysis:", error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to compute item analysis", error.message);
+    }
+  }
+
+  // Item analysis of one question across every quiz and challenge it appeared in
+  async getQuestionItemAnalysis(questionId) {
+    try {
+      const question = await Question.findById(questionId).select(
+        "question format options correctAnswer"
+      );
+      if (!question) throw new ApiError(404, "Question not found");
+
+      // The whole session is kept: the point-biserial needs the rest score
+      const sessions = await this.getScoredSessions({
+        "answers.questionId": question._id,
+      });
+      const questions = await this.getQuestions(sessions);
+      const analysis = analyzeItems(sessions, questions);
+      const item = analysis.items.find(
+        (entry) => entry.questionId === question._id.toString()
+      );
+
+      logger.info(
+        `Item analysis of question ${questionId}: ${item?.responses ?? 0} responses`
+      );
+      return new ApiResponse(
+        200,
+        item
+          ? this.describeItem(item, questions)
+          : {
+              questionId: question._id,
+              question: question.question,
+              format: question.format,
+              responses: 0,
+              flags: [],
+            },
+        "Item analysis retrieved successfully"
+      );
+    } catch (error) {
+      logger.error("Error computing question item analysis:", error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to compute item analysis", error.message);
+    }
+  }
+
+  // Helper method to load finished sessions with their scored answers only
+  async getScoredSessions(filter) {
+    const sessions = await QuizSession.find({
+      ...filter,
+      status: {
+        $in: [QUIZ_SESSION_STATUSES[3], QUIZ_SESSION_STATUSES[5]], // completed, expired
+      },
+    })
+      .select(
+        "answers.questionId answers.selectedAnswer answers.isCorrect answers.pointsEarned answers.maxPoints answers.skipped answers.gradingStatus"
+      )
+      .sort({ endTime: -1 })
+      .limit(ITEM_ANALYSIS.MAX_SESSIONS)
+      .lean();
+
+    return sessions.map((session) => ({
+      _id: session._id,
+      // Unanswered questions and essays awaiting review carry no score yet
+      answers: (session.answers ?? []).filter(
+        (answer) =>
+          answer.gradingStatus !== GRADING_STATUSES[1] && // pending_review
+          (answer.skipped ||
+            (answer.selectedAnswer !== null &&
+              answer.selectedAnswer !== undefined))
+      ),
+    }));
+  }
+
+  // Helper method to load the questions answered in the sessions
+  async getQuestions(sessions) {
+    const ids = [
+      ...new Set(
+        sessions.flatMap((session) =>
+          session.answers.map((answer) => answer.questionId.toString())
+        )
+      ),
+    ];
+    const questions = await Question.find({ _id: { $in: ids } })
+      .select("question format options correctAnswer")
+      .lean();
+    return new Map(questions.map((q) => [q._id.toString(), q]));
+  }
+
+  // Helper method to add the question text to an item report
+  describeItem(item, questions) {
+    return {
+      ...item,
+      question: questions.get(item.questionId)?.question,
+    };
+  }
+}
+
+module.exports = new ItemAnalysisService();
@@ -0,0 +1,251 @@
+const { normalizeText } = require("../grading/grading.utils");
+const {
+  QUESTION_TYPES,
+  ITEM_ANALYSIS,
+  ITEM_ANALYSIS_FLAGS,
+} = require("../../../constants");
+
+const round = (value, decimals = 3) =>
+  value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const mean = (values) =>
+  values.length === 0
+    ? null
+    : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Computes the Pearson correlation of two series.
+ * @param {number[]} xs - First series.
+ * @param {number[]} ys - Second series, same length.
+ * @returns {number|null} Correlation, or null when a series is constant.
+ */
+const correlation = (xs, ys) => {
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+/**
+ * Reads the credit earned on an answer, between 0 and 1.
+ * @param {Object} answer - Session answer.
+ * @returns {number} Item score.
+ */
+const getItemScore = (answer) =>
+  answer.maxPoints > 0
+    ? Math.min(1, (answer.pointsEarned ?? 0) / answer.maxPoints)
+    : answer.isCorrect
+      ? 1
+      : 0;
+
+/**
+ * Builds one respondent per session from its scored answers.
+ * @param {Array<Object>} sessions - Sessions with their scored answers.
+ * @returns {Array<Object>} Respondents with total points and answers by question.
+ */
+const toRespondents = (sessions) =>
+  sessions
+    .map((session) => {
+      const answers = new Map();
+      let earned = 0;
+      let possible = 0;
+      session.answers.forEach((answer) => {
+        const maxPoints = answer.maxPoints > 0 ? answer.maxPoints : 1;
+        const score = getItemScore(answer);
+        earned += score * maxPoints;
+        possible += maxPoints;
+        answers.set(String(answer.questionId), { answer, score, maxPoints });
+      });
+      return {
+        id: String(session._id ?? session.id),
+        earned,
+        possible,
+        total: possible > 0 ? earned / possible : 0,
+        answers,
+      };
+    })
+    .filter((respondent) => respondent.answers.size > 0);
+
+/**
+ * Splits respondents into high and low scorer groups (top and bottom 27%).
+ * @param {Array<Object>} respondents - Respondents with a total.
+ * @returns {{high: Set<string>, low: Set<string>}} Respondent IDs per group.
+ */
+const getScoreGroups = (respondents) => {
+  const ranked = [...respondents].sort((a, b) => b.total - a.total);
+  const size =
+    ranked.length < 2
+      ? 0
+      : Math.max(1, Math.round(ranked.length * ITEM_ANALYSIS.GROUP_RATIO));
+  return {
+    high: new Set(ranked.slice(0, size).map((r) => r.id)),
+    low: new Set(ranked.slice(ranked.length - size).map((r) => r.id)),
+  };
+};
+
+/**
+ * Finds which options of a multiple-choice question an answer selected.
+ * @param {Object} question - Question with options.
+ * @param {*} selectedAnswer - Canonical selected value(s).
+ * @returns {number[]} Selected option indexes.
+ */
+const getSelectedOptions = (question, selectedAnswer) => {
+  const values = Array.isArray(selectedAnswer)
+    ? selectedAnswer
+    : [selectedAnswer];
+  const normalizedOptions = question.options.map((option) =>
+    normalizeText(option)
+  );
+  return [
+    ...new Set(
+      values
+        .filter((value) => value !== null && value !== undefined)
+        .map((value) => {
+          const exact = question.options.indexOf(value);
+          return exact !== -1
+            ? exact
+            : normalizedOptions.indexOf(normalizeText(value));
+        })
+        .filter((index) => index !== -1)
+    ),
+  ];
+};
+
+/**
+ * Counts how often each option was picked, overall and by score group.
+ * @param {Object} question - Multiple-choice question.
+ * @param {Array<Object>} responses - Responses to the question.
+ * @param {{high: Set<string>, low: Set<string>}} groups - Score groups.
+ * @returns {Array<Object>} Option statistics, in option order.
+ */
+const analyzeOptions = (question, responses, groups) => {
+  const keys = new Set(
+    (Array.isArray(question.correctAnswer)
+      ? question.correctAnswer
+      : [question.correctAnswer]
+    ).map((value) => normalizeText(value))
+  );
+  const highCount = responses.filter((r) => groups.high.has(r.id)).length;
+  const lowCount = responses.filter((r) => groups.low.has(r.id)).length;
+
+  return question.options.map((option, index) => {
+    const pickers = responses.filter((r) => r.selected.includes(index));
+    const rate = responses.length ? pickers.length / responses.length : 0;
+    const highRate = highCount
+      ? pickers.filter((r) => groups.high.has(r.id)).length / highCount
+      : null;
+    const lowRate = lowCount
+      ? pickers.filter((r) => groups.low.has(r.id)).length / lowCount
+      : null;
+    const isKey = keys.has(normalizeText(option));
+    return {
+      option,
+      isKey,
+      count: pickers.length,
+      rate: round(rate),
+      highRate: round(highRate),
+      lowRate: round(lowRate),
+      discrimination:
+        highRate === null || lowRate === null ? null : round(highRate - lowRate),
+      // A distractor nobody is drawn to only makes the item easier to guess
+      functioning: isKey || rate >= ITEM_ANALYSIS.MIN_DISTRACTOR_RATE,
+    };
+  });
+};
+
+/**
+ * Computes the classical item statistics of every question answered in the
+ * sessions: p-value, corrected point-biserial (item score against the rest
+ * of the test) and high/low group discrimination, plus option statistics
+ * for multiple-choice questions.
+ * @param {Array<Object>} sessions - Sessions, each with its scored answers only.
+ * @param {Map<string, Object>} questions - Questions by ID (format, options, correctAnswer).
+ * @returns {{respondents: number, meanScore: number|null, items: Array<Object>}} Item analysis.
+ */
+const analyzeItems = (sessions, questions) => {
+  const respondents = toRespondents(sessions);
+  const groups = getScoreGroups(respondents);
+
+  const responsesByQuestion = new Map();
+  respondents.forEach((respondent) => {
+    respondent.answers.forEach(({ answer, score, maxPoints }, questionId) => {
+      const question = questions.get(questionId);
+      if (!responsesByQuestion.has(questionId)) {
+        responsesByQuestion.set(questionId, []);
+      }
+      const restPossible = respondent.possible - maxPoints;
+      responsesByQuestion.get(questionId).push({
+        id: respondent.id,
+        score,
+        rest:
+          restPossible > 0
+            ? (respondent.earned - score * maxPoints) / restPossible
+            : 0,
+        skipped: !!answer.skipped,
+        selected:
+          question?.format === QUESTION_TYPES[0] && !answer.skipped // multiple_choice
+            ? getSelectedOptions(question, answer.selectedAnswer)
+            : [],
+      });
+    });
+  });
+
+  const items = [...responsesByQuestion].map(([questionId, responses]) => {
+    const question = questions.get(questionId);
+    const high = responses.filter((r) => groups.high.has(r.id));
+    const low = responses.filter((r) => groups.low.has(r.id));
+    const highP = mean(high.map((r) => r.score));
+    const lowP = mean(low.map((r) => r.score));
+    const pointBiserial = correlation(
+      responses.map((r) => r.score),
+      responses.map((r) => r.rest)
+    );
+    const options =
+      question?.format === QUESTION_TYPES[0] && question.options?.length // multiple_choice
+        ? analyzeOptions(question, responses, groups)
+        : undefined;
+
+    const flags = [];
+    if (pointBiserial !== null && pointBiserial < 0) {
+      flags.push(ITEM_ANALYSIS_FLAGS[0]); // negative_discrimination
+    }
+    if (options?.some((option) => !option.functioning)) {
+      flags.push(ITEM_ANALYSIS_FLAGS[1]); // non_functioning_distractor
+    }
+
+    return {
+      questionId,
+      format: question?.format,
+      responses: responses.length,
+      skipped: responses.filter((r) => r.skipped).length,
+      pValue: round(mean(responses.map((r) => r.score))),
+      pointBiserial: round(pointBiserial),
+      discriminationIndex:
+        highP === null || lowP === null ? null : round(highP - lowP),
+      reliable: responses.length >= ITEM_ANALYSIS.MIN_RESPONSES,
+      ...(options ? { options } : {}),
+      flags,
+    };
+  });
+
+  return {
+    respondents: respondents.length,
+    meanScore: round(mean(respondents.map((r) => r.total))),
+    items,
+  };
+};
+
+module.exports = {
+  correlation,
+  getScoreGroups,
+  getSelectedOptions,
+  analyzeItems,
+};
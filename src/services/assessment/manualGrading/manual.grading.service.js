@@ -0,0 +1,550 @@
+const { ManualGrade } = require("../../../models/assessment/manual.grade.model");
+const { Question } = require("../../../models/assessment/question.model");
+const { QuizSession } = require("../../../models/assessment/quiz.session.model");
+const { ExerciseAttempt } = require("../../../models/assessment/exercise.attempt.model");
+const { Exercise } = require("../../../models/assessment/exercise.model");
+const { StudyGroup } = require("../../../models/learning/study.group.model");
+const challengeService = require("../challenge/challenge.service");
+const exerciseService = require("../exercise/exercise.service");
+const { getExerciseItems } = require("../exercise/exercise.attempt.utils");
+const quizResultService = require("../../results/quiz.result.service");
+const topicProgressService = require("../../progress/topicProgress/topic.progress.service");
+const notificationService = require("../../user/notification/notification.service");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const {
+  getRubricScoreError,
+  scoreRubric,
+} = require("../../../utils/rubric.utils");
+const {
+  GRADING_STATUSES,
+  MANUAL_GRADE_STATUSES,
+  MANUAL_GRADING_DUE_DAYS,
+} = require("../../../constants");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("ManualGradingService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+class ManualGradingService {
+  // Queue the answers of a finished session that a teacher has to score.
+  // Quizzes, challenges, past papers and mock exam papers are all sat as
+  // quiz sessions; assessments only list questions and store no answers
+  async enqueueSession(session) {
+    try {
+      const pending = session.answers.filter(
+        (answer) =>
+          answer.gradingStatus === GRADING_STATUSES[1] && // pending_review
+          !answer.manualGradeId
+      );
+      if (pending.length === 0) return 0;
+
+      const questions = await Question.find({
+        _id: { $in: pending.map((answer) => answer.questionId) },
+      }).select("subjectId topicId");
+      const questionMap = new Map(questions.map((q) => [q._id.toString(), q]));
+
+      const submittedAt = session.endTime ?? new Date();
+      const dueAt = new Date(
+        submittedAt.getTime() + MANUAL_GRADING_DUE_DAYS * DAY_MS
+      );
+      // Upserts keep a retried completion from queueing an answer twice
+      await ManualGrade.bulkWrite(
+        pending.map((answer) => {
+          const question = questionMap.get(answer.questionId.toString());
+          return {
+            updateOne: {
+              filter: { sessionId: session._id, questionId: answer.questionId },
+              update: {
+                $setOnInsert: {
+                  userId: session.userId,
+                  quizId: session.quizId?._id ?? session.quizId,
+                  subjectId: question?.subjectId,
+                  topicId: question?.topicId,
+                  questionVersion: answer.questionVersion,
+                  submittedAt,
+                  dueAt,
+                  maxPoints: answer.maxPoints ?? 0,
+                },
+              },
+              upsert: true,
+            },
+          };
+        })
+      );
+
+      logger.info(
+        `Queued ${pending.length} answers of session ${session.sessionId} for grading`
+      );
+      return pending.length;
+    } catch (error) {
+      logger.error(`Error queueing answers of session ${session.sessionId}:`, error);
+      throw new ApiError(500, "Failed to queue answers for grading", error.message);
+    }
+  }
+
+  // Queue the open answers of a finished exercise attempt
+  async enqueueAttempt(attempt, exercise) {
+    try {
+      const pending = attempt.answers.filter(
+        (answer) => answer.gradingStatus === GRADING_STATUSES[1] // pending_review
+      );
+      if (pending.length === 0) return 0;
+
+      const submittedAt = attempt.submittedAt ?? new Date();
+      const dueAt = new Date(
+        submittedAt.getTime() + MANUAL_GRADING_DUE_DAYS * DAY_MS
+      );
+      // Upserts keep a retried submission from queueing an answer twice
+      await ManualGrade.bulkWrite(
+        pending.map((answer) => ({
+          updateOne: {
+            filter: { attemptId: attempt._id, itemIndex: answer.itemIndex },
+            update: {
+              $setOnInsert: {
+                userId: attempt.userId,
+                exerciseId: exercise._id,
+                subjectId: exercise.subjectId,
+                topicId: exercise.topicId,
+                submittedAt,
+                dueAt,
+                maxPoints: answer.maxPoints ?? 0,
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+
+      logger.info(
+        `Queued ${pending.length} answers of exercise attempt ${attempt._id} for grading`
+      );
+      return pending.length;
+    } catch (error) {
+      logger.error(`Error queueing answers of exercise attempt ${attempt._id}:`, error);
+      throw new ApiError(500, "Failed to queue answers for grading", error.message);
+    }
+  }
+
+  // Get the grading queue, answers due first
+  async getGradingQueue(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = MANUAL_GRADE_STATUSES[0], // pending
+        subjectId,
+        topicId,
+        quizId,
+        exerciseId,
+        studyGroupId,
+        dueBefore,
+        dueAfter,
+      } = options;
+
+      const query = { status };
+      if (subjectId) query.subjectId = subjectId;
+      if (topicId) query.topicId = topicId;
+      if (quizId) query.quizId = quizId;
+      if (exerciseId) query.exerciseId = exerciseId;
+      if (dueBefore || dueAfter) {
+        query.dueAt = {};
+        if (dueBefore) query.dueAt.$lte = new Date(dueBefore);
+        if (dueAfter) query.dueAt.$gte = new Date(dueAfter);
+      }
+      // A study group stands for a class: only its members' answers are listed
+      if (studyGroupId) {
+        const studyGroup = await StudyGroup.findById(studyGroupId).select(
+          "memberIds"
+        );
+        if (!studyGroup) throw new ApiError(404, "Study group not found");
+        query.userId = { $in: studyGroup.memberIds };
+      }
+
+      const skip = (page - 1) * limit;
+      const [grades, total] = await Promise.all([
+        ManualGrade.find(query)
+          .populate("userId", "name email")
+          .populate("questionId", "question format points")
+          .populate("exerciseId", "title subjectType")
+          .populate("subjectId", "name code")
+          .populate("topicId", "name")
+          .sort({ dueAt: 1, submittedAt: 1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        ManualGrade.countDocuments(query),
+      ]);
+
+      const pagination = {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+      };
+
+      logger.info(`Retrieved ${grades.length} answers from the grading queue`);
+      return new ApiResponse(
+        200,
+        { grades, pagination },
+        "Grading queue retrieved successfully"
+      );
+    } catch (error) {
+      logger.error("Error retrieving grading queue:", error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to retrieve grading queue", error.message);
+    }
+  }
+
+  // Get a queued answer with the question, its rubric and the student's
+  // answer; answers from an exercise attempt come with the exercise item
+  async getGradeById(gradeId) {
+    try {
+      const grade = await ManualGrade.findById(gradeId)
+        .populate("userId", "name email")
+        .populate(
+          "questionId",
+          "question format points rubric explanation content"
+        )
+        .populate("exerciseId", "title subjectType")
+        .populate("gradedBy", "name");
+      if (!grade) throw new ApiError(404, "Manual grade not found");
+
+      if (grade.attemptId) {
+        return new ApiResponse(
+          200,
+          { ...grade.toObject(), ...(await this.findAttemptItem(grade)) },
+          "Manual grade retrieved successfully"
+        );
+      }
+
+      const session = await QuizSession.findById(grade.sessionId).select(
+        "sessionId answers"
+      );
+      const answer = this.findAnswer(session, grade.questionId?._id);
+
+      return new ApiResponse(
+        200,
+        {
+          ...grade.toObject(),
+          answer: answer
+            ? {
+                selectedAnswer: answer.selectedAnswer,
+                timeSpent: answer.timeSpent,
+                answeredAt: answer.answeredAt,
+              }
+            : null,
+        },
+        "Manual grade retrieved successfully"
+      );
+    } catch (error) {
+      logger.error(`Error retrieving manual grade ${gradeId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to retrieve manual grade", error.message);
+    }
+  }
+
+  // Score a queued answer, per rubric criterion or as a whole, and update
+  // the session, its result and the student's progress
+  async gradeAnswer(gradeId, graderId, { scores, pointsEarned, comment } = {}) {
+    try {
+      const grade = await ManualGrade.findById(gradeId);
+      if (!grade) throw new ApiError(404, "Manual grade not found");
+      if (grade.attemptId) {
+        return await this.gradeAttemptAnswer(grade, graderId, {
+          scores,
+          pointsEarned,
+          comment,
+        });
+      }
+
+      const [question, session] = await Promise.all([
+        Question.findById(grade.questionId).select("format points rubric topicId"),
+        QuizSession.findById(grade.sessionId),
+      ]);
+      if (!question) throw new ApiError(404, "Question not found");
+      const answer = this.findAnswer(session, question._id);
+      if (!answer) throw new ApiError(404, "Answer not found in session");
+
+      const maxPoints = answer.maxPoints ?? question.points;
+      const outcome = this.computeOutcome(question, maxPoints, {
+        scores,
+        pointsEarned,
+      });
+
+      const wasCorrect = !!answer.isCorrect;
+      const isFirstGrade = grade.status === MANUAL_GRADE_STATUSES[0]; // pending
+      answer.pointsEarned = outcome.pointsEarned;
+      answer.maxPoints = maxPoints;
+      answer.isCorrect = outcome.ratio === 1;
+      answer.gradingStatus = GRADING_STATUSES[0]; // graded
+      answer.manualGradeId = grade._id;
+
+      // The session is rescored the same way as after a fixed answer key
+      const { pointsEarned: score, maxPoints: maxScore } =
+        session.calculateScore();
+      session.score = score;
+      session.maxScore = maxScore;
+      if (session.challengeId) {
+        await challengeService.recordSessionResult(session);
+      } else if (session.resultId) {
+        await quizResultService.updateFromSession(session);
+      }
+      await session.save();
+
+      grade.set({
+        status: MANUAL_GRADE_STATUSES[1], // graded
+        scores: outcome.criteria,
+        comment,
+        pointsEarned: outcome.pointsEarned,
+        maxPoints,
+        gradedBy: graderId,
+        gradedAt: new Date(),
+      });
+      await grade.save();
+
+      const correctDelta = Number(answer.isCorrect) - Number(wasCorrect);
+      if (correctDelta !== 0) {
+        await Question.updateOne(
+          { _id: question._id },
+          { $inc: { "analytics.correctAttempts": correctDelta } }
+        );
+      }
+      if (isFirstGrade) await this.recordProgress(grade, question, answer);
+
+      logger.info(
+        `Answer to question ${grade.questionId} in session ${session.sessionId} graded by ${graderId}: ${outcome.pointsEarned}/${maxPoints}`
+      );
+      return new ApiResponse(
+        200,
+        {
+          grade,
+          sessionScore: { score, maxScore },
+        },
+        "Answer graded successfully"
+      );
+    } catch (error) {
+      logger.error(`Error grading manual grade ${gradeId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to grade answer", error.message);
+    }
+  }
+
+  // Helper method to score a queued answer from an exercise attempt; the
+  // attempt counts in the student's progress once its last answer is scored
+  async gradeAttemptAnswer(grade, graderId, { scores, pointsEarned, comment }) {
+    const attempt = await ExerciseAttempt.findById(grade.attemptId);
+    const entry = attempt?.answers.find(
+      (answer) => answer.itemIndex === grade.itemIndex
+    );
+    if (!entry) throw new ApiError(404, "Answer not found in attempt");
+
+    // Exercise items have no rubric and are scored as a whole
+    const maxPoints = entry.maxPoints || grade.maxPoints;
+    const outcome = this.computeOutcome({}, maxPoints, {
+      scores,
+      pointsEarned,
+    });
+
+    const wasPending = attempt.gradingStatus === GRADING_STATUSES[1]; // pending_review
+    entry.set({
+      pointsEarned: outcome.pointsEarned,
+      maxPoints,
+      isCorrect: outcome.ratio === 1,
+      gradingStatus: GRADING_STATUSES[0], // graded
+      feedback: comment,
+    });
+    const score = roundPoints(
+      attempt.answers.reduce(
+        (total, answer) => total + (answer.pointsEarned ?? 0),
+        0
+      )
+    );
+    const isPending = attempt.answers.some(
+      (answer) => answer.gradingStatus === GRADING_STATUSES[1] // pending_review
+    );
+    attempt.set({
+      score,
+      percentage:
+        attempt.maxScore > 0
+          ? Math.round((score / attempt.maxScore) * 100)
+          : 0,
+      gradingStatus: isPending
+        ? GRADING_STATUSES[1] // pending_review
+        : GRADING_STATUSES[0], // graded
+    });
+    await attempt.save();
+
+    grade.set({
+      status: MANUAL_GRADE_STATUSES[1], // graded
+      scores: outcome.criteria,
+      comment,
+      pointsEarned: outcome.pointsEarned,
+      maxPoints,
+      gradedBy: graderId,
+      gradedAt: new Date(),
+    });
+    await grade.save();
+
+    if (wasPending && !isPending) await this.recordAttemptProgress(attempt);
+
+    logger.info(
+      `Answer to item ${grade.itemIndex} in exercise attempt ${attempt._id} graded by ${graderId}: ${outcome.pointsEarned}/${maxPoints}`
+    );
+    return new ApiResponse(
+      200,
+      {
+        grade,
+        attemptScore: {
+          score,
+          maxScore: attempt.maxScore,
+          percentage: attempt.percentage,
+          gradingStatus: attempt.gradingStatus,
+        },
+      },
+      "Answer graded successfully"
+    );
+  }
+
+  // Helper method to find the exercise item and the student's answer to it
+  async findAttemptItem(grade) {
+    const [attempt, exercise] = await Promise.all([
+      ExerciseAttempt.findById(grade.attemptId).select("answers"),
+      Exercise.findById(grade.exerciseId?._id ?? grade.exerciseId).lean(),
+    ]);
+    const entry = attempt?.answers.find(
+      (answer) => answer.itemIndex === grade.itemIndex
+    );
+    const item = exercise ? getExerciseItems(exercise)[grade.itemIndex] : null;
+    const solution = exercise?.solution?.answers?.find(
+      (answer) => answer.problemIndex === grade.itemIndex
+    );
+
+    return {
+      item: item ? { ...item, solution } : null,
+      answer: entry
+        ? { selectedAnswer: entry.answer, answeredAt: entry.answeredAt }
+        : null,
+    };
+  }
+
+  // Helper method to find the answer to a question in a session
+  findAnswer(session, questionId) {
+    return (
+      session?.answers.find((answer) => answer.questionId.equals(questionId)) ??
+      null
+    );
+  }
+
+  // Helper method to turn the teacher's scores into points on the question
+  computeOutcome(question, maxPoints, { scores, pointsEarned }) {
+    const hasRubric = (question.rubric?.criteria?.length ?? 0) > 0;
+    if (hasRubric) {
+      const rubric = question.rubric.toObject();
+      const scoreError = getRubricScoreError(rubric, scores ?? []);
+      if (scoreError) {
+        throw new ApiError(400, "Invalid rubric scores", scoreError);
+      }
+      const scored = scoreRubric(rubric, scores);
+      return {
+        criteria: scored.criteria,
+        ratio: scored.ratio,
+        pointsEarned: roundPoints(scored.ratio * maxPoints),
+      };
+    }
+
+    if (scores?.length) {
+      throw new ApiError(400, "This question has no rubric to score against");
+    }
+    if (
+      typeof pointsEarned !== "number" ||
+      pointsEarned < 0 ||
+      pointsEarned > maxPoints
+    ) {
+      throw new ApiError(400, `Points earned must be between 0 and ${maxPoints}`);
+    }
+    return {
+      criteria: [],
+      ratio: maxPoints > 0 ? pointsEarned / maxPoints : 0,
+      pointsEarned: roundPoints(pointsEarned),
+    };
+  }
+
+  // Helper method to count a first grade in the student's topic progress
+  async recordProgress(grade, question, answer) {
+    try {
+      const percentage =
+        grade.maxPoints > 0
+          ? Math.round((grade.pointsEarned / grade.maxPoints) * 100)
+          : 0;
+      if (question.topicId) {
+        await topicProgressService.recordPracticeSession(
+          grade.userId,
+          question.topicId,
+          { score: percentage, timeSpent: answer.timeSpent ?? 0 }
+        );
+      }
+      await notificationService.bulkCreateNotifications([
+        {
+          userId: grade.userId,
+          type: "system",
+          category: "progress",
+          title: "Copie corrigée",
+          message: `Votre réponse a été corrigée : ${grade.pointsEarned}/${grade.maxPoints} points.`,
+          priority: "low",
+          metadata: {
+            relatedEntityId: grade.sessionId.toString(),
+            relatedEntityType: "QuizSession",
+          },
+        },
+      ]);
+    } catch (error) {
+      // The grade stands even if the progress or the notification fails
+      logger.warn(
+        `Could not update progress for manual grade ${grade._id}: ${error.message}`
+      );
+    }
+  }
+
+  // Helper method to count an attempt whose open answers are all scored in
+  // the exercise analytics and the student's topic progress
+  async recordAttemptProgress(attempt) {
+    try {
+      await exerciseService.updateAnalytics(
+        attempt.exerciseId,
+        attempt.percentage,
+        attempt.timeSpent
+      );
+      if (attempt.topicId) {
+        await topicProgressService.recordPracticeSession(
+          attempt.userId,
+          attempt.topicId,
+          { score: attempt.percentage, timeSpent: attempt.timeSpent }
+        );
+      }
+      await notificationService.bulkCreateNotifications([
+        {
+          userId: attempt.userId,
+          type: "system",
+          category: "progress",
+          title: "Exercice corrigé",
+          message: `Votre exercice a été corrigé : ${attempt.score}/${attempt.maxScore} points.`,
+          priority: "low",
+          metadata: {
+            relatedEntityId: attempt._id.toString(),
+            relatedEntityType: "ExerciseAttempt",
+          },
+        },
+      ]);
+    } catch (error) {
+      // The grade stands even if the progress or the notification fails
+      logger.warn(
+        `Could not update progress for exercise attempt ${attempt._id}: ${error.message}`
+      );
+    }
+  }
+}
+
+module.exports = new ManualGradingService();
@@ -0,0 +1,64 @@
+const {
+  BAC_DECISIONS,
+  BAC_MENTIONS,
+  BAC_PASSING_AVERAGE,
+  BAC_RATTRAPAGE_AVERAGE,
+} = require("../../../constants");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Converts a raw score to a mark out of a given total.
+ * @param {number} score - Points earned.
+ * @param {number} maxScore - Points available.
+ * @param {number} [total=20] - Scale to convert to.
+ * @returns {number} Mark rounded to two decimals.
+ */
+const toScale = (score, maxScore, total = 20) =>
+  maxScore > 0 ? round2((Math.max(0, score) / maxScore) * total) : 0;
+
+/**
+ * Computes the coefficient-weighted average of graded papers.
+ * @param {Array<{grade: number, coefficient: number}>} papers - Papers graded out of 20.
+ * @returns {{average: number, totalCoefficients: number, totalPoints: number}} Weighted average out of 20.
+ */
+const computeWeightedAverage = (papers) => {
+  const totalCoefficients = papers.reduce(
+    (sum, paper) => sum + (paper.coefficient ?? 1),
+    0
+  );
+  const totalPoints = papers.reduce(
+    (sum, paper) => sum + paper.grade * (paper.coefficient ?? 1),
+    0
+  );
+  return {
+    average: totalCoefficients > 0 ? round2(totalPoints / totalCoefficients) : 0,
+    totalCoefficients,
+    totalPoints: round2(totalPoints),
+  };
+};
+
+/**
+ * Gives the official BAC outcome for an average out of 20: admitted with a
+ * mention from 10, second group (rattrapage) from 8, failed below.
+ * @param {number} average - Weighted average out of 20.
+ * @returns {{decision: string, mention: string|null, label: string}} Outcome.
+ */
+const getBacOutcome = (average) => {
+  if (average >= BAC_PASSING_AVERAGE) {
+    const { mention, label } = BAC_MENTIONS.find(
+      (tier) => average >= tier.minAverage
+    );
+    return { decision: BAC_DECISIONS[0], mention, label: `Admis - ${label}` }; // admis
+  }
+  if (average >= BAC_RATTRAPAGE_AVERAGE) {
+    return { decision: BAC_DECISIONS[1], mention: null, label: "Rattrapage" }; // rattrapage
+  }
+  return { decision: BAC_DECISIONS[2], mention: null, label: "Ajourné" }; // ajourne
+};
+
+module.exports = {
+  toScale,
+  computeWeightedAverage,
+  getBacOutcome,
+};
@@ -0,0 +1,385 @@
+const { MockExam } = require("../../../models/assessment/mock.exam.model");
+const { Exam } = require("../../../models/assessment/exam.model");
+const { Quiz } = require("../../../models/assessment/quiz.model");
+const { Question } = require("../../../models/assessment/question.model");
+const { QuizSession } = require("../../../models/assessment/quiz.session.model");
+const { Subject } = require("../../../models/learning/subject.model");
+const quizSessionService = require("../quizSession/quiz.session.service");
+const { selectQuestions } = require("../quizBlueprint/quiz.blueprint.selector");
+const {
+  toScale,
+  computeWeightedAverage,
+  getBacOutcome,
+} = require("./mock.exam.grading");
+const { createSeed } = require("../../../utils/shuffle.utils");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const {
+  QUESTION_STATUSES,
+  EXERCISE_DIFFICULTY_LEVELS,
+  MOCK_EXAM_STATUSES,
+  MOCK_EXAM_PAPER_STATUSES,
+  MOCK_EXAM_MAX_QUESTIONS,
+} = require("../../../constants");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("MockExamService");
+
+class MockExamService {
+  // Assemble a mock BAC sitting with one timed paper per subject of the series
+  async createMockExam(userId, { examId, series }) {
+    try {
+      const exam = await Exam.findOne({ _id: examId, isActive: true });
+      if (!exam) {
+        logger.warn(`Exam not found for mock exam: ${examId}`);
+        throw new ApiError(404, "Exam not found");
+      }
+
+      const seriesEntries = exam.series.filter(
+        (entry) => entry.id === series || entry.name === series
+      );
+      if (seriesEntries.length === 0) {
+        throw new ApiError(400, "Series not found for this exam");
+      }
+
+      // Each subject sits under the coefficient, duration and marks of its series entry
+      const paperSpecs = new Map();
+      seriesEntries.forEach((entry) => {
+        entry.subjects.forEach((subjectId) => {
+          if (!paperSpecs.has(subjectId.toString())) {
+            paperSpecs.set(subjectId.toString(), { subjectId, entry });
+          }
+        });
+      });
+      if (paperSpecs.size === 0) {
+        throw new ApiError(422, "No subjects are configured for this series");
+      }
+
+      const subjects = await Subject.find({
+        _id: { $in: [...paperSpecs.keys()] },
+      }).select("name");
+      const subjectNames = new Map(
+        subjects.map((subject) => [subject._id.toString(), subject.name])
+      );
+
+      const selections = [];
+      const missingSubjects = [];
+      for (const { subjectId, entry } of paperSpecs.values()) {
+        const candidates = await Question.find({
+          subjectId,
+          status: QUESTION_STATUSES[2], // approved
+          isActive: true,
+          // questions without series apply to every series
+          $or: [{ series: series }, { series: { $size: 0 } }],
+        })
+          .select("_id topicId difficulty points")
+          .lean();
+
+        // Topics and difficulty levels are spread evenly across the paper
+        const topicIds = [
+          ...new Set(candidates.map((question) => question.topicId.toString())),
+        ];
+        const selection = selectQuestions({
+          candidates,
+          topicShares: new Map(topicIds.map((id) => [id, 1 / topicIds.length])),
+          difficultyShares: new Map(
+            EXERCISE_DIFFICULTY_LEVELS.map((level) => [
+              level,
+              1 / EXERCISE_DIFFICULTY_LEVELS.length,
+            ])
+          ),
+          totalPoints: entry.totalMarks,
+          maxQuestions: MOCK_EXAM_MAX_QUESTIONS,
+          seed: createSeed(),
+        });
+
+        if (selection.questions.length === 0) {
+          missingSubjects.push(
+            subjectNames.get(subjectId.toString()) ?? subjectId.toString()
+          );
+        } else {
+          selections.push({ subjectId, entry, topicIds, selection });
+        }
+      }
+      if (missingSubjects.length > 0) {
+        logger.warn(`Mock exam for ${examId} (${series}) lacks questions for: ${missingSubjects.join(", ")}`);
+        throw new ApiError(
+          422,
+          "No approved questions are available for some subjects of this series",
+          missingSubjects
+        );
+      }
+
+      const papers = [];
+      for (const { subjectId, entry, topicIds, selection } of selections) {
+        const subjectName =
+          subjectNames.get(subjectId.toString()) ?? "Épreuve";
+        const quiz = new Quiz({
+          title: `${exam.name} ${series} - ${subjectName}`.slice(0, 200),
+          description: `Épreuve d'examen blanc (coefficient ${entry.coefficient})`,
+          subjectId,
+          series: [series],
+          topicIds,
+          questionIds: selection.questions.map((question) => question._id),
+          totalQuestions: selection.questions.length,
+          totalPoints: selection.totalPoints,
+          createdBy: userId,
+          level: EXERCISE_DIFFICULTY_LEVELS[2], // advanced
+          timeLimit: entry.duration * 60,
+          // Exam conditions: no corrections or review until the sitting is over
+          settings: {
+            shuffleQuestions: true,
+            shuffleOptions: true,
+            showCorrectAnswers: false,
+            allowReview: false,
+            pauseStopsTimer: false,
+          },
+          generatedFor: userId,
+        });
+        await quiz.save();
+
+        papers.push({
+          subjectId,
+          quizId: quiz._id,
+          coefficient: entry.coefficient,
+          duration: entry.duration,
+          totalMarks: entry.totalMarks,
+          passingMarks: entry.passingMarks,
+        });
+      }
+
+      const mockExam = new MockExam({ userId, examId, series, papers });
+      await mockExam.save();
+      await mockExam.populate("papers.subjectId", "name");
+
+      logger.info(`Mock exam ${mockExam._id} created for user ${userId} with ${papers.length} papers`);
+      return new ApiResponse(201, mockExam, "Mock exam created successfully");
+    } catch (error) {
+      logger.error(`Error creating mock exam for user ${userId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to create mock exam", error.message);
+    }
+  }
+
+  // Get the user's mock exams
+  async getMockExams(userId, options = {}) {
+    try {
+      const { page = 1, limit = 10, status } = options;
+
+      const query = { userId };
+      if (status) query.status = status;
+
+      const skip = (page - 1) * limit;
+      const [mockExams, total] = await Promise.all([
+        MockExam.find(query)
+          .populate("examId", "name country")
+          .populate("papers.subjectId", "name")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        MockExam.countDocuments(query),
+      ]);
+
+      const pagination = {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+      };
+
+      logger.info(`Retrieved ${mockExams.length} mock exams for user ${userId}`);
+      return new ApiResponse(
+        200,
+        { mockExams, pagination },
+        "Mock exams retrieved successfully"
+      );
+    } catch (error) {
+      logger.error(`Error retrieving mock exams for user ${userId}:`, error);
+      throw new ApiError(500, "Failed to retrieve mock exams", error.message);
+    }
+  }
+
+  // Get a mock exam with its papers graded so far
+  async getMockExamById(mockExamId, userId) {
+    try {
+      const mockExam = await MockExam.findOne({ _id: mockExamId, userId });
+      if (!mockExam) {
+        logger.warn(`Mock exam not found: ${mockExamId} for user ${userId}`);
+        throw new ApiError(404, "Mock exam not found");
+      }
+
+      await this.refreshPapers(mockExam);
+      await mockExam.populate([
+        { path: "examId", select: "name country" },
+        { path: "papers.subjectId", select: "name" },
+      ]);
+
+      logger.info(`Mock exam retrieved: ${mockExamId} for user ${userId}`);
+      return new ApiResponse(200, mockExam, "Mock exam retrieved successfully");
+    } catch (error) {
+      logger.error(`Error retrieving mock exam ${mockExamId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to retrieve mock exam", error.message);
+    }
+  }
+
+  // Start (or resume) one paper as a timed quiz session
+  async startPaper(mockExamId, paperId, userId, deviceInfo = {}) {
+    try {
+      const mockExam = await MockExam.findOne({ _id: mockExamId, userId });
+      if (!mockExam) {
+        logger.warn(`Mock exam not found: ${mockExamId} for user ${userId}`);
+        throw new ApiError(404, "Mock exam not found");
+      }
+      if (mockExam.status !== MOCK_EXAM_STATUSES[0]) {
+        // in_progress
+        throw new ApiError(400, "Mock exam is no longer in progress");
+      }
+
+      await this.refreshPapers(mockExam);
+      const paper = mockExam.papers.id(paperId);
+      if (!paper) {
+        throw new ApiError(404, "Paper not found in this mock exam");
+      }
+      if (paper.status === MOCK_EXAM_PAPER_STATUSES[2]) {
+        // completed
+        throw new ApiError(400, "Paper has already been completed");
+      }
+
+      // Papers are sat one at a time, each under its own timer
+      const paperInProgress = mockExam.getPaperInProgress();
+      if (paperInProgress && !paperInProgress._id.equals(paper._id)) {
+        throw new ApiError(
+          400,
+          "Finish the paper in progress before starting another one"
+        );
+      }
+
+      let session;
+      if (paperInProgress) {
+        session = await QuizSession.findById(paper.sessionId);
+      } else {
+        const created = await quizSessionService.createSession(
+          userId,
+          paper.quizId,
+          deviceInfo
+        );
+        const started = await quizSessionService.startSession(
+          created.data.sessionId,
+          userId
+        );
+        session = started.data;
+        paper.sessionId = session._id;
+        paper.status = MOCK_EXAM_PAPER_STATUSES[1]; // in_progress
+        paper.startedAt = session.startTime;
+        await mockExam.save();
+      }
+
+      logger.info(`Paper ${paperId} of mock exam ${mockExamId} started by user ${userId}`);
+      return new ApiResponse(
+        200,
+        { paper, session },
+        "Mock exam paper started successfully"
+      );
+    } catch (error) {
+      logger.error(`Error starting paper ${paperId} of mock exam ${mockExamId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to start mock exam paper", error.message);
+    }
+  }
+
+  // Abandon a mock exam
+  async abandonMockExam(mockExamId, userId) {
+    try {
+      const mockExam = await MockExam.findOne({
+        _id: mockExamId,
+        userId,
+        status: MOCK_EXAM_STATUSES[0], // in_progress
+      });
+      if (!mockExam) {
+        logger.warn(`Mock exam in progress not found: ${mockExamId} for user ${userId}`);
+        throw new ApiError(404, "Mock exam in progress not found");
+      }
+
+      mockExam.status = MOCK_EXAM_STATUSES[2]; // abandoned
+      await mockExam.save();
+
+      logger.info(`Mock exam abandoned: ${mockExamId} by user ${userId}`);
+      return new ApiResponse(200, mockExam, "Mock exam abandoned successfully");
+    } catch (error) {
+      logger.error(`Error abandoning mock exam ${mockExamId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to abandon mock exam", error.message);
+    }
+  }
+
+  // Helper method to grade papers whose session ended and award the outcome;
+  // papers awaiting a teacher pick up the grade once their answers are scored
+  async refreshPapers(mockExam) {
+    let changed = false;
+    let regraded = false;
+
+    for (const paper of mockExam.papers) {
+      const inProgress =
+        paper.status === MOCK_EXAM_PAPER_STATUSES[1]; // in_progress
+      const awaitingReview =
+        paper.status === MOCK_EXAM_PAPER_STATUSES[2] && // completed
+        paper.pendingReview;
+      if (!paper.sessionId || (!inProgress && !awaitingReview)) continue;
+
+      const session = await QuizSession.findById(paper.sessionId);
+      if (!session) continue;
+
+      // Auto-submit a paper whose time ran out since the last request
+      if (inProgress) await quizSessionService.enforceTimeLimit(session);
+      if (!["completed", "expired"].includes(session.status)) continue;
+
+      const { pendingReview } = session.calculateScore();
+      if (
+        awaitingReview &&
+        pendingReview > 0 &&
+        paper.score === session.score
+      ) {
+        continue; // nothing graded since the last request
+      }
+      paper.score = session.score;
+      paper.maxScore = session.maxScore;
+      paper.grade = toScale(session.score, session.maxScore);
+      paper.marks = toScale(session.score, session.maxScore, paper.totalMarks);
+      paper.pendingReview = pendingReview > 0;
+      if (inProgress) {
+        paper.status = MOCK_EXAM_PAPER_STATUSES[2]; // completed
+        paper.completedAt = session.endTime;
+      } else {
+        regraded = true;
+      }
+      changed = true;
+    }
+
+    const allCompleted = mockExam.papers.every(
+      (paper) => paper.status === MOCK_EXAM_PAPER_STATUSES[2] // completed
+    );
+    const isFirstCompletion =
+      mockExam.status === MOCK_EXAM_STATUSES[0]; // in_progress
+    const isRegraded =
+      mockExam.status === MOCK_EXAM_STATUSES[1] && regraded; // completed
+    if (allCompleted && (isFirstCompletion || isRegraded)) {
+      const weighted = computeWeightedAverage(mockExam.papers);
+      mockExam.outcome = {
+        ...weighted,
+        ...getBacOutcome(weighted.average),
+      };
+      if (isFirstCompletion) {
+        mockExam.status = MOCK_EXAM_STATUSES[1]; // completed
+        mockExam.completedAt = new Date();
+      }
+      changed = true;
+      logger.info(`Mock exam ${mockExam._id} graded with an average of ${weighted.average}/20`);
+    }
+
+    if (changed) await mockExam.save();
+    return mockExam;
+  }
+}
+
+module.exports = new MockExamService();
@@ -0,0 +1,192 @@
+const { Passage } = require("../../../models/assessment/passage.model");
+const { Question } = require("../../../models/assessment/question.model");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("PassageService");
+
+class PassageService {
+  // Create a new passage
+  async createPassage(passageData) {
+    try {
+      const passage = new Passage(passageData);
+      await passage.save();
+
+      logger.info(`Passage created successfully: ${passage._id}`);
+      return new ApiResponse(201, passage, "Passage created successfully");
+    } catch (error) {
+      logger.error("Error creating passage:", error);
+      if (error.name === "ValidationError") {
+        throw new ApiError(
+          400,
+          "Validation failed",
+          Object.values(error.errors).map((e) => e.message)
+        );
+      }
+      throw new ApiError(500, "Failed to create passage", error.message);
+    }
+  }
+
+  // Get passages with filters
+  async getPassages(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        subjectId,
+        topicId,
+        sourceType,
+        language,
+        search,
+      } = options;
+
+      const query = { isActive: true };
+      if (subjectId) query.subjectId = subjectId;
+      if (topicId) query.topicId = topicId;
+      if (sourceType) query.sourceType = sourceType;
+      if (language) query.language = language;
+      if (search) query.title = { $regex: search, $options: "i" };
+
+      const skip = (page - 1) * limit;
+      const [passages, total] = await Promise.all([
+        Passage.find(query)
+          .populate("subjectId", "name code")
+          .populate("topicId", "name")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Passage.countDocuments(query),
+      ]);
+
+      const pagination = {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+      };
+
+      logger.info(`Retrieved ${passages.length} passages`);
+      return new ApiResponse(
+        200,
+        { passages, pagination },
+        "Passages retrieved successfully"
+      );
+    } catch (error) {
+      logger.error("Error retrieving passages:", error);
+      throw new ApiError(500, "Failed to retrieve passages", error.message);
+    }
+  }
+
+  // Get passage by ID with the questions asked on it
+  async getPassageById(passageId) {
+    try {
+      const passage = await Passage.findOne({ _id: passageId, isActive: true })
+        .populate("subjectId", "name code")
+        .populate("topicId", "name")
+        .populate("creatorId", "name email");
+
+      if (!passage) {
+        logger.warn(`Passage not found: ${passageId}`);
+        throw new ApiError(404, "Passage not found");
+      }
+
+      const questions = await Question.find({ passageId, isActive: true })
+        .select("question format difficulty points status")
+        .sort({ createdAt: 1 });
+
+      return new ApiResponse(
+        200,
+        { ...passage.toObject(), questions },
+        "Passage retrieved successfully"
+      );
+    } catch (error) {
+      logger.error(`Error retrieving passage ${passageId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to retrieve passage", error.message);
+    }
+  }
+
+  // Update passage
+  async updatePassage(passageId, updateData) {
+    try {
+      const passage = await Passage.findOne({ _id: passageId, isActive: true });
+
+      if (!passage) {
+        logger.warn(`Passage not found for update: ${passageId}`);
+        throw new ApiError(404, "Passage not found");
+      }
+
+      // Every question on the passage shows the corrected text
+      passage.set(updateData);
+      await passage.save();
+
+      logger.info(`Passage updated successfully: ${passageId}`);
+      return new ApiResponse(200, passage, "Passage updated successfully");
+    } catch (error) {
+      logger.error(`Error updating passage ${passageId}:`, error);
+      if (error instanceof ApiError) throw error;
+      if (error.name === "ValidationError") {
+        throw new ApiError(
+          400,
+          "Validation failed",
+          Object.values(error.errors).map((e) => e.message)
+        );
+      }
+      throw new ApiError(500, "Failed to update passage", error.message);
+    }
+  }
+
+  // Delete passage (soft delete)
+  async deletePassage(passageId) {
+    try {
+      // Questions still on the passage would lose their text
+      const questionCount = await Question.countDocuments({
+        passageId,
+        isActive: true,
+      });
+      if (questionCount > 0) {
+        throw new ApiError(
+          409,
+          `Passage is still used by ${questionCount} questions`
+        );
+      }
+
+      const passage = await Passage.findByIdAndUpdate(
+        passageId,
+        { isActive: false },
+        { new: true }
+      );
+
+      if (!passage) {
+        logger.warn(`Passage not found for deletion: ${passageId}`);
+        throw new ApiError(404, "Passage not found");
+      }
+
+      logger.info(`Passage deleted successfully: ${passageId}`);
+      return new ApiResponse(200, null, "Passage deleted successfully");
+    } catch (error) {
+      logger.error(`Error deleting passage ${passageId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to delete passage", error.message);
+    }
+  }
+
+  // Get the passages of a list of questions, each passage once
+  async getPassagesForQuestions(questions) {
+    const passageIds = [
+      ...new Set(
+        questions
+          .map((question) => question?.passageId?.toString())
+          .filter(Boolean)
+      ),
+    ];
+    if (passageIds.length === 0) return [];
+
+    return Passage.find({ _id: { $in: passageIds } })
+      .select("title text media attribution sourceType language")
+      .lean();
+  }
+}
+
+module.exports = new PassageService();
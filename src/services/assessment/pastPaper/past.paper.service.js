@@ -0,0 +1,408 @@
+const { PastPaper } = require("../../../models/assessment/past.paper.model");
+const { Exam } = require("../../../models/assessment/exam.model");
+const { Quiz } = require("../../../models/assessment/quiz.model");
+const { Question } = require("../../../models/assessment/question.model");
+const quizSessionService = require("../quizSession/quiz.session.service");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const { EXERCISE_DIFFICULTY_LEVELS } = require("../../../constants");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("PastPaperService");
+
+// Fields that change the timed quiz built from a past paper
+const QUIZ_FIELDS = ["questionIds", "duration", "title", "series", "subjectId"];
+
+class PastPaperService {
+  // Create a past paper
+  async createPastPaper(pastPaperData) {
+    try {
+      await this.validateReferences(pastPaperData);
+
+      const pastPaper = new PastPaper(pastPaperData);
+      await pastPaper.save();
+
+      logger.info(`Past paper created successfully: ${pastPaper._id}`);
+      return new ApiResponse(201, pastPaper, "Past paper created successfully");
+    } catch (error) {
+      logger.error("Error creating past paper:", error);
+      if (error instanceof ApiError) throw error;
+      if (error.code === 11000) {
+        throw new ApiError(
+          409,
+          "A past paper already exists for this exam, subject, year, session and series"
+        );
+      }
+      if (error.name === "ValidationError") {
+        throw new ApiError(
+          400,
+          "Validation failed",
+          Object.values(error.errors).map((e) => e.message)
+        );
+      }
+      throw new ApiError(500, "Failed to create past paper", error.message);
+    }
+  }
+
+  // Browse past papers with filters
+  async getPastPapers(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        examId,
+        subjectId,
+        series,
+        session,
+        year,
+        yearFrom,
+        yearTo,
+        hasSolutions,
+        search,
+      } = options;
+
+      const query = { isActive: true };
+      if (examId) query.examId = examId;
+      if (subjectId) query.subjectId = subjectId;
+      if (series) query.series = series;
+      if (session) query.session = session;
+      if (year) {
+        query.year = parseInt(year);
+      } else if (yearFrom || yearTo) {
+        query.year = {};
+        if (yearFrom) query.year.$gte = parseInt(yearFrom);
+        if (yearTo) query.year.$lte = parseInt(yearTo);
+      }
+      if (hasSolutions !== undefined) {
+        const solutionFilter = [
+          { "markingScheme.0": { $exists: true } },
+          { "modelAnswers.0": { $exists: true } },
+        ];
+        if (hasSolutions) query.$or = solutionFilter;
+        else query.$nor = solutionFilter;
+      }
+      if (search) query.$text = { $search: search };
+
+      const skip = (page - 1) * limit;
+      const [pastPapers, total] = await Promise.all([
+        PastPaper.find(query)
+          .select("-modelAnswers")
+          .populate("examId", "name country level")
+          .populate("subjectId", "name code")
+          .sort({ year: -1, session: 1, series: 1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        PastPaper.countDocuments(query),
+      ]);
+
+      const pagination = {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+      };
+
+      logger.info(`Retrieved ${pastPapers.length} past papers`);
+      return new ApiResponse(
+        200,
+        { pastPapers, pagination },
+        "Past papers retrieved successfully"
+      );
+    } catch (error) {
+      logger.error("Error retrieving past papers:", error);
+      throw new ApiError(500, "Failed to retrieve past papers", error.message);
+    }
+  }
+
+  // Get the archive of an exam grouped by year and session
+  async getArchive(examId) {
+    try {
+      const exam = await Exam.findById(examId).select("name country");
+      if (!exam) {
+        logger.warn(`Exam not found for past paper archive: ${examId}`);
+        throw new ApiError(404, "Exam not found");
+      }
+
+      const groups = await PastPaper.aggregate([
+        { $match: { examId: exam._id, isActive: true } },
+        {
+          $group: {
+            _id: { year: "$year", session: "$session" },
+            papers: { $sum: 1 },
+            subjectIds: { $addToSet: "$subjectId" },
+            series: { $addToSet: "$series" },
+          },
+        },
+        { $sort: { "_id.year": -1, "_id.session": 1 } },
+      ]);
+
+      // One entry per year, newest first, listing its sessions
+      const years = [];
+      groups.forEach(({ _id, papers, subjectIds, series }) => {
+        let entry = years.find((item) => item.year === _id.year);
+        if (!entry) {
+          entry = { year: _id.year, sessions: [] };
+          years.push(entry);
+        }
+        entry.sessions.push({
+          session: _id.session,
+          papers,
+          subjects: subjectIds.length,
+          series: series.filter(Boolean).sort(),
+        });
+      });
+
+      logger.info(`Retrieved past paper archive for exam ${examId}`);
+      return new ApiResponse(
+        200,
+        { exam, years },
+        "Past paper archive retrieved successfully"
+      );
+    } catch (error) {
+      logger.error(`Error retrieving past paper archive for exam ${examId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to retrieve past paper archive", error.message);
+    }
+  }
+
+  // Get past paper by ID with its documents and corrections
+  async getPastPaperById(pastPaperId) {
+    try {
+      const pastPaper = await PastPaper.findOneAndUpdate(
+        { _id: pastPaperId, isActive: true },
+        { $inc: { "analytics.views": 1 } },
+        { new: true }
+      )
+        .populate("examId", "name country level")
+        .populate("subjectId", "name code")
+        .populate("createdBy", "name");
+
+      if (!pastPaper) {
+        logger.warn(`Past paper not found: ${pastPaperId}`);
+        throw new ApiError(404, "Past paper not found");
+      }
+
+      return new ApiResponse(200, pastPaper, "Past paper retrieved successfully");
+    } catch (error) {
+      logger.error(`Error retrieving past paper ${pastPaperId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to retrieve past paper", error.message);
+    }
+  }
+
+  // Update past paper
+  async updatePastPaper(pastPaperId, updateData) {
+    try {
+      const pastPaper = await PastPaper.findOne({
+        _id: pastPaperId,
+        isActive: true,
+      });
+
+      if (!pastPaper) {
+        logger.warn(`Past paper not found for update: ${pastPaperId}`);
+        throw new ApiError(404, "Past paper not found");
+      }
+
+      await this.validateReferences({
+        examId: updateData.examId ?? pastPaper.examId,
+        series: updateData.series ?? pastPaper.series,
+        questionIds: updateData.questionIds,
+      });
+
+      pastPaper.set(updateData);
+      // Sessions already sat keep the old quiz; the next sitting builds a new one
+      if (QUIZ_FIELDS.some((field) => pastPaper.isModified(field))) {
+        pastPaper.quizId = undefined;
+      }
+      await pastPaper.save();
+
+      logger.info(`Past paper updated successfully: ${pastPaperId}`);
+      return new ApiResponse(200, pastPaper, "Past paper updated successfully");
+    } catch (error) {
+      logger.error(`Error updating past paper ${pastPaperId}:`, error);
+      if (error instanceof ApiError) throw error;
+      if (error.code === 11000) {
+        throw new ApiError(
+          409,
+          "A past paper already exists for this exam, subject, year, session and series"
+        );
+      }
+      if (error.name === "ValidationError") {
+        throw new ApiError(
+          400,
+          "Validation failed",
+          Object.values(error.errors).map((e) => e.message)
+        );
+      }
+      throw new ApiError(500, "Failed to update past paper", error.message);
+    }
+  }
+
+  // Delete past paper (soft delete)
+  async deletePastPaper(pastPaperId) {
+    try {
+      const pastPaper = await PastPaper.findByIdAndUpdate(
+        pastPaperId,
+        { isActive: false },
+        { new: true }
+      );
+
+      if (!pastPaper) {
+        logger.warn(`Past paper not found for deletion: ${pastPaperId}`);
+        throw new ApiError(404, "Past paper not found");
+      }
+
+      logger.info(`Past paper deleted successfully: ${pastPaperId}`);
+      return new ApiResponse(200, null, "Past paper deleted successfully");
+    } catch (error) {
+      logger.error(`Error deleting past paper ${pastPaperId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to delete past paper", error.message);
+    }
+  }
+
+  // Sit a past paper as a timed quiz session under its official duration
+  async sitPastPaper(pastPaperId, userId, deviceInfo = {}) {
+    try {
+      const pastPaper = await PastPaper.findOne({
+        _id: pastPaperId,
+        isActive: true,
+      });
+
+      if (!pastPaper) {
+        logger.warn(`Past paper not found for sitting: ${pastPaperId}`);
+        throw new ApiError(404, "Past paper not found");
+      }
+      if (!pastPaper.isSittable) {
+        throw new ApiError(
+          400,
+          "This past paper has no question set and can only be downloaded"
+        );
+      }
+
+      const quizId = await this.getOrCreateQuiz(pastPaper);
+
+      // An unfinished sitting of the same paper is resumed rather than restarted
+      const created = await quizSessionService.createSession(
+        userId,
+        quizId,
+        deviceInfo
+      );
+      let session = created.data;
+      if (session.status !== "in_progress") {
+        const started = await quizSessionService.startSession(
+          session.sessionId,
+          userId
+        );
+        session = started.data;
+      }
+      if (created.statusCode === 201) {
+        await PastPaper.updateOne(
+          { _id: pastPaper._id },
+          { $inc: { "analytics.sittings": 1 } }
+        );
+      }
+
+      logger.info(`Past paper ${pastPaperId} sat by user ${userId} in session ${session.sessionId}`);
+      return new ApiResponse(
+        created.statusCode,
+        { pastPaperId: pastPaper._id, quizId, session },
+        "Past paper session started successfully"
+      );
+    } catch (error) {
+      logger.error(`Error sitting past paper ${pastPaperId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to start past paper session", error.message);
+    }
+  }
+
+  // Helper method to check the exam, its series and the question set
+  async validateReferences({ examId, series, questionIds }) {
+    const exam = await Exam.findById(examId).select("series isActive");
+    if (!exam || !exam.isActive) {
+      throw new ApiError(404, "Exam not found");
+    }
+    if (
+      series &&
+      !exam.series.some((entry) => entry.id === series || entry.name === series)
+    ) {
+      throw new ApiError(400, "Series not found for this exam");
+    }
+
+    if (questionIds?.length) {
+      const uniqueIds = [...new Set(questionIds.map((id) => id.toString()))];
+      if (uniqueIds.length !== questionIds.length) {
+        throw new ApiError(400, "The question set contains duplicates");
+      }
+      const found = await Question.find({
+        _id: { $in: uniqueIds },
+        isActive: true,
+      }).select("_id");
+      if (found.length !== uniqueIds.length) {
+        const foundIds = new Set(found.map((question) => question._id.toString()));
+        throw new ApiError(
+          400,
+          "Some questions of the set were not found",
+          uniqueIds.filter((id) => !foundIds.has(id))
+        );
+      }
+    }
+  }
+
+  // Helper method to build the quiz a past paper is sat with
+  async getOrCreateQuiz(pastPaper) {
+    if (pastPaper.quizId) return pastPaper.quizId;
+
+    const questions = await Question.find({
+      _id: { $in: pastPaper.questionIds },
+    }).select("_id topicId points");
+    const pointsById = new Map(
+      questions.map((question) => [question._id.toString(), question.points ?? 0])
+    );
+
+    const quiz = new Quiz({
+      title: pastPaper.title,
+      description: `Sujet officiel ${pastPaper.session} ${pastPaper.year}`,
+      subjectId: pastPaper.subjectId,
+      series: pastPaper.series ? [pastPaper.series] : [],
+      topicIds: [
+        ...new Set(questions.map((question) => question.topicId?.toString())),
+      ].filter(Boolean),
+      // Official paper order
+      questionIds: pastPaper.questionIds,
+      totalQuestions: pastPaper.questionIds.length,
+      totalPoints: pastPaper.questionIds.reduce(
+        (sum, id) => sum + (pointsById.get(id.toString()) ?? 0),
+        0
+      ),
+      createdBy: pastPaper.createdBy,
+      level: EXERCISE_DIFFICULTY_LEVELS[2], // advanced
+      timeLimit: pastPaper.duration * 60,
+      settings: {
+        shuffleQuestions: false,
+        shuffleOptions: false,
+        showCorrectAnswers: false,
+        allowReview: true,
+        pauseStopsTimer: false,
+      },
+    });
+    await quiz.save();
+
+    // Concurrent first sittings keep whichever quiz was stored first
+    const updated = await PastPaper.findOneAndUpdate(
+      { _id: pastPaper._id, quizId: { $exists: false } },
+      { quizId: quiz._id },
+      { new: true }
+    );
+    if (!updated) {
+      await Quiz.deleteOne({ _id: quiz._id });
+      const current = await PastPaper.findById(pastPaper._id).select("quizId");
+      return current.quizId;
+    }
+
+    logger.info(`Quiz ${quiz._id} built for past paper ${pastPaper._id}`);
+    return quiz._id;
+  }
+}
+
+module.exports = new PastPaperService();
@@ -0,0 +1,284 @@
+const { Types } = require("mongoose");
+const { Question } = require("../../../models/assessment/question.model");
+const { Topic } = require("../../../models/learning/topic.model");
+const { Subject } = require("../../../models/learning/subject.model");
+const questionService = require("./question.service");
+const questionDuplicateService = require("./duplicate.service");
+const formats = require("./formats");
+const { ApiError } = require("../../../utils/ApiError");
+const {
+  EXERCISE_DIFFICULTY_LEVELS,
+  QUESTION_STATUSES,
+  QUESTION_REVIEW_ACTIONS,
+  QUESTION_IMPORT_MAX_ITEMS,
+  QUESTION_EXPORT_MAX_ITEMS,
+} = require("../../../constants");
+const createLogger = require("../../../services/logging.service");
+
+const logger = createLogger("QuestionBulkService");
+
+// Valid questions shown in a dry-run report
+const PREVIEW_SIZE = 20;
+
+class QuestionBulkService {
+  // Import questions from GIFT, Aiken, QTI or CSV; a dry run only reports
+  async importQuestions(payload, creatorId) {
+    const {
+      format,
+      content,
+      encoding,
+      dryRun = false,
+      skipDuplicates = false,
+      defaults = {},
+    } = payload;
+    try {
+      const codec = formats[format];
+      if (!codec) throw new ApiError(400, `Unsupported import format: ${format}`);
+
+      let items;
+      try {
+        const raw =
+          encoding === "base64" ? Buffer.from(content, "base64") : content;
+        items = codec.parse(
+          codec.binary || !Buffer.isBuffer(raw) ? raw : raw.toString("utf8")
+        );
+      } catch (error) {
+        throw new ApiError(400, "Could not read the import file", error.message);
+      }
+
+      if (items.length === 0) {
+        throw new ApiError(400, "No questions found in the import file");
+      }
+      if (items.length > QUESTION_IMPORT_MAX_ITEMS) {
+        throw new ApiError(
+          400,
+          `Import files are limited to ${QUESTION_IMPORT_MAX_ITEMS} questions`
+        );
+      }
+
+      const documents = items.map((item) =>
+        this.buildDocument(item, defaults, creatorId)
+      );
+      items.forEach((item, i) => {
+        if (item.errors.length > 0) return;
+        const validationError = new Question(documents[i]).validateSync();
+        if (validationError) {
+          item.errors.push(
+            ...Object.values(validationError.errors).map((e) => e.message)
+          );
+        }
+      });
+      await this.checkReferences(items, documents);
+
+      const validItems = items.filter((item) => item.errors.length === 0);
+      const duplicates = await questionDuplicateService.findImportDuplicates(
+        validItems.map((item) => ({
+          index: item.index,
+          document: documents[item.index],
+        }))
+      );
+      const importedItems = skipDuplicates
+        ? validItems.filter((item) => !duplicates.has(item.index))
+        : validItems;
+
+      const report = {
+        format,
+        dryRun,
+        summary: {
+          total: items.length,
+          valid: validItems.length,
+          invalid: items.length - validItems.length,
+          duplicates: duplicates.size,
+          created: 0,
+        },
+        errors: [],
+        // Likely duplicates are imported unless skipDuplicates is set
+        warnings: [...duplicates].map(([index, matches]) => ({
+          index,
+          title: items[index].title,
+          skipped: skipDuplicates,
+          duplicates: matches,
+        })),
+      };
+
+      if (dryRun) {
+        report.preview = importedItems
+          .slice(0, PREVIEW_SIZE)
+          .map((item) => ({ index: item.index, ...documents[item.index] }));
+      } else {
+        report.created = [];
+        for (const item of importedItems) {
+          try {
+            const question = new Question(documents[item.index]);
+            await question.save();
+            report.created.push({ index: item.index, id: question._id });
+          } catch (error) {
+            item.errors.push(error.message);
+          }
+        }
+        report.summary.created = report.created.length;
+      }
+
+      report.errors = items
+        .filter((item) => item.errors.length > 0)
+        .map(({ index, line, file, title, errors }) => ({
+          index,
+          ...(line ? { line } : {}),
+          ...(file ? { file } : {}),
+          title,
+          errors,
+        }));
+
+      logger.info(
+        `${dryRun ? "Dry-run import" : "Import"} of ${items.length} ${format} questions: ${report.summary.valid} valid, ${report.summary.created} created`
+      );
+      return report;
+    } catch (error) {
+      logger.error("Error importing questions:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to import questions");
+    }
+  }
+
+  // Export a filtered question set to GIFT, Aiken, QTI or CSV
+  async exportQuestions(options = {}) {
+    // "format" names the file format, so the question type filter is renamed
+    const { format, questionFormat, ids, tags, ...filters } = options;
+    try {
+      const codec = formats[format];
+      if (!codec) throw new ApiError(400, `Unsupported export format: ${format}`);
+
+      const query = questionService.buildQuery({
+        isActive: true,
+        ...filters,
+        format: questionFormat,
+      });
+      if (ids) {
+        query._id = {
+          $in: String(ids)
+            .split(",")
+            .map((id) => id.trim())
+            .filter(Boolean),
+        };
+      }
+      if (tags) {
+        query.tags = {
+          $in: String(tags)
+            .split(",")
+            .map((tag) => tag.trim()),
+        };
+      }
+
+      const questions = await Question.find(query)
+        .sort({ createdAt: 1 })
+        .limit(QUESTION_EXPORT_MAX_ITEMS + 1)
+        .lean();
+      if (questions.length > QUESTION_EXPORT_MAX_ITEMS) {
+        throw new ApiError(
+          400,
+          `Exports are limited to ${QUESTION_EXPORT_MAX_ITEMS} questions, narrow the filters`
+        );
+      }
+
+      const { content, exported, skipped } = codec.serialize(questions);
+      if (exported === 0) {
+        throw new ApiError(
+          404,
+          `No questions could be exported as ${format}`,
+          skipped
+        );
+      }
+
+      logger.info(
+        `Exported ${exported} questions as ${format} (${skipped.length} skipped)`
+      );
+      return {
+        format,
+        content,
+        contentType: codec.contentType,
+        filename: `questions.${codec.extension}`,
+        exported,
+        skipped,
+        binary: Boolean(codec.binary),
+      };
+    } catch (error) {
+      logger.error("Error exporting questions:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to export questions");
+    }
+  }
+
+  // Helper method to merge import defaults with the fields read from the file
+  buildDocument(item, defaults, creatorId) {
+    const { tags: defaultTags = [], status, ...fieldDefaults } = defaults;
+    const document = {
+      // Files rarely carry these, so an import falls back to neutral values
+      difficulty: EXERCISE_DIFFICULTY_LEVELS[1], // intermediate
+      points: 1,
+      ...fieldDefaults,
+      ...item.data,
+      tags: [...new Set([...defaultTags, ...(item.data.tags ?? [])])],
+      creatorId,
+      status: status ?? QUESTION_STATUSES[0], // draft
+    };
+    if (!item.data.explanation && defaults.explanation) {
+      document.explanation = defaults.explanation;
+    }
+    if (document.status === QUESTION_STATUSES[1]) {
+      // review: imported straight into the review queue
+      document.review = {
+        submittedAt: new Date(),
+        history: [
+          {
+            action: QUESTION_REVIEW_ACTIONS[0], // submit
+            userId: creatorId,
+            fromStatus: QUESTION_STATUSES[0], // draft
+            toStatus: QUESTION_STATUSES[1], // review
+          },
+        ],
+      };
+    }
+    return document;
+  }
+
+  // Helper method to check that topics and subjects exist and belong together
+  async checkReferences(items, documents) {
+    const pending = items.filter((item) => item.errors.length === 0);
+    const idsOf = (field) => [
+      ...new Set(
+        pending
+          .map((item) => String(documents[item.index][field]))
+          .filter((id) => Types.ObjectId.isValid(id))
+      ),
+    ];
+
+    const [topics, subjects] = await Promise.all([
+      Topic.find({ _id: { $in: idsOf("topicId") } }).select("subjectId").lean(),
+      Subject.find({ _id: { $in: idsOf("subjectId") } }).select("_id").lean(),
+    ]);
+    const topicSubjects = new Map(
+      topics.map((topic) => [topic._id.toString(), topic.subjectId?.toString()])
+    );
+    const subjectIds = new Set(subjects.map((subject) => subject._id.toString()));
+
+    pending.forEach((item) => {
+      const topicId = String(documents[item.index].topicId);
+      const subjectId = String(documents[item.index].subjectId);
+      if (!subjectIds.has(subjectId)) {
+        item.errors.push(`Subject ${subjectId} not found`);
+      }
+      if (!topicSubjects.has(topicId)) {
+        item.errors.push(`Topic ${topicId} not found`);
+      } else if (
+        subjectIds.has(subjectId) &&
+        topicSubjects.get(topicId) !== subjectId
+      ) {
+        item.errors.push(`Topic ${topicId} does not belong to subject ${subjectId}`);
+      }
+    });
+  }
+}
+
+module.exports = new QuestionBulkService();
@@ -0,0 +1,366 @@
+const { Types } = require("mongoose");
+const { Question } = require("../../../models/assessment/question.model");
+const { Quiz } = require("../../../models/assessment/quiz.model");
+const { Assessment } = require("../../../models/assessment/assessment.model");
+const { PastPaper } = require("../../../models/assessment/past.paper.model");
+const { Challenge } = require("../../../models/assessment/challenge.model");
+const { ApiError } = require("../../../utils/ApiError");
+const {
+  QUESTION_STATUSES,
+  QUESTION_DUPLICATE_SIMILARITY,
+} = require("../../../constants");
+const {
+  prepareQuestion,
+  findSimilar,
+  clusterDuplicates,
+  mergeAnalytics,
+  mergeUsage,
+  replaceMergedIds,
+} = require("./duplicate.utils");
+const createLogger = require("../../../services/logging.service");
+
+const logger = createLogger("QuestionDuplicateService");
+
+// Fields needed to compare questions and describe a match
+const CANDIDATE_FIELDS = "question options format status subjectId topicId";
+
+class QuestionDuplicateService {
+  // Find existing questions of the same subject and topic that look like this one
+  async findDuplicates(data, { excludeIds = [], threshold } = {}) {
+    try {
+      const candidates = await this.getCandidates(
+        data.subjectId,
+        data.topicId,
+        excludeIds
+      );
+      const prepared = candidates.map(prepareQuestion);
+      const byId = new Map(candidates.map((q) => [q._id.toString(), q]));
+
+      return findSimilar(prepareQuestion(data), prepared, { threshold }).map(
+        (match) => this.describeMatch(byId.get(match.id), match.similarity)
+      );
+    } catch (error) {
+      logger.error("Error finding duplicate questions:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to check for duplicate questions");
+    }
+  }
+
+  // Find likely duplicates for a batch of imported questions, within the bank and the file
+  async findImportDuplicates(entries) {
+    try {
+      const groups = new Map();
+      entries.forEach((entry) => {
+        const key = `${entry.document.subjectId}:${entry.document.topicId}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+      });
+
+      const warnings = new Map();
+      for (const group of groups.values()) {
+        const { subjectId, topicId } = group[0].document;
+        const candidates = await this.getCandidates(subjectId, topicId);
+        const prepared = candidates.map(prepareQuestion);
+        const byId = new Map(candidates.map((q) => [q._id.toString(), q]));
+        const earlier = [];
+
+        group.forEach((entry) => {
+          const target = prepareQuestion(entry.document);
+          const matches = [
+            ...findSimilar(target, prepared).map((match) =>
+              this.describeMatch(byId.get(match.id), match.similarity)
+            ),
+            // Items repeated inside the file itself
+            ...findSimilar(target, earlier).map((match) => ({
+              index: Number(match.id),
+              similarity: match.similarity,
+            })),
+          ];
+          if (matches.length > 0) {
+            warnings.set(
+              entry.index,
+              matches
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, QUESTION_DUPLICATE_SIMILARITY.MAX_MATCHES)
+            );
+          }
+          earlier.push({ ...target, id: String(entry.index) });
+        });
+      }
+      return warnings;
+    } catch (error) {
+      logger.error("Error finding duplicates in import:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to check imported questions for duplicates");
+    }
+  }
+
+  // List clusters of likely duplicates, one subject and topic at a time
+  async getDuplicateClusters(filters = {}) {
+    const { subjectId, topicId, threshold, page = 1, limit = 20 } = filters;
+    try {
+      const match = { isActive: true, mergedInto: { $exists: false } };
+      if (subjectId) match.subjectId = new Types.ObjectId(String(subjectId));
+      if (topicId) match.topicId = new Types.ObjectId(String(topicId));
+
+      const groups = await Question.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { subjectId: "$subjectId", topicId: "$topicId" },
+            count: { $sum: 1 },
+          },
+        },
+        { $match: { count: { $gte: 2 } } },
+        { $sort: { "_id.subjectId": 1, "_id.topicId": 1 } },
+      ]);
+
+      const clusters = [];
+      const truncatedGroups = [];
+      for (const { _id, count } of groups) {
+        const questions = await Question.find({ ...match, ..._id })
+          .select(
+            `${CANDIDATE_FIELDS} analytics.totalAttempts validation.isVerified createdAt`
+          )
+          .sort({ createdAt: 1 })
+          .limit(QUESTION_DUPLICATE_SIMILARITY.MAX_CANDIDATES)
+          .lean();
+        if (count > questions.length) truncatedGroups.push({ ..._id, count });
+
+        const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+        clusterDuplicates(
+          questions.map(prepareQuestion),
+          threshold !== undefined
+            ? Number(threshold)
+            : QUESTION_DUPLICATE_SIMILARITY.THRESHOLD
+        ).forEach((cluster) => {
+          const members = cluster.questionIds.map((id) => byId.get(id));
+          clusters.push({
+            subjectId: _id.subjectId,
+            topicId: _id.topicId,
+            suggestedKeepId: this.pickKeptQuestion(members)._id,
+            questions: members.map((q) => ({
+              questionId: q._id,
+              question: q.question,
+              format: q.format,
+              status: q.status,
+              totalAttempts: q.analytics?.totalAttempts ?? 0,
+              isVerified: q.validation?.isVerified ?? false,
+              createdAt: q.createdAt,
+            })),
+            pairs: cluster.pairs,
+          });
+        });
+      }
+
+      const start = (page - 1) * limit;
+      logger.info(`Found ${clusters.length} duplicate question clusters`);
+      return {
+        clusters: clusters.slice(start, start + Number(limit)),
+        truncatedGroups,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(clusters.length / limit),
+          totalItems: clusters.length,
+          itemsPerPage: parseInt(limit),
+        },
+      };
+    } catch (error) {
+      logger.error("Error listing duplicate clusters:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to list duplicate questions");
+    }
+  }
+
+  // Merge duplicates into the kept question, folding analytics and relatedQuestions links
+  async mergeDuplicates(keepId, duplicateIds) {
+    try {
+      const mergedIds = [...new Set(duplicateIds.map(String))];
+      if (mergedIds.includes(String(keepId))) {
+        throw new ApiError(400, "The kept question cannot be merged into itself");
+      }
+
+      const [kept, duplicates] = await Promise.all([
+        Question.findById(keepId),
+        Question.find({ _id: { $in: mergedIds } }),
+      ]);
+      if (!kept) throw new ApiError(404, "Question not found");
+      if (duplicates.length !== mergedIds.length) {
+        throw new ApiError(404, "One or more duplicate questions not found");
+      }
+      if (kept.mergedInto) {
+        throw new ApiError(400, "The kept question was already merged");
+      }
+      // Published content is repointed to the kept question, so it must be
+      // publishable and graded like the questions it replaces
+      if (kept.status !== QUESTION_STATUSES[2]) {
+        // approved
+        throw new ApiError(400, "Only an approved question can be kept");
+      }
+      const invalid = duplicates.find(
+        (q) =>
+          q.mergedInto ||
+          !q.subjectId.equals(kept.subjectId) ||
+          !q.topicId.equals(kept.topicId)
+      );
+      if (invalid) {
+        throw new ApiError(
+          400,
+          `Question ${invalid._id} was already merged or belongs to another subject or topic`
+        );
+      }
+      const otherFormat = duplicates.find((q) => q.format !== kept.format);
+      if (otherFormat) {
+        throw new ApiError(
+          400,
+          `Question ${otherFormat._id} has another format than the kept question`
+        );
+      }
+
+      const keptData = kept.toObject();
+      const duplicatesData = duplicates.map((q) => q.toObject());
+      kept.analytics = mergeAnalytics(
+        keptData.analytics,
+        duplicatesData.map((q) => q.analytics)
+      );
+      kept.usage = mergeUsage(
+        keptData.usage,
+        duplicatesData.map((q) => q.usage),
+        kept.analytics.totalAttempts
+      );
+      const excluded = new Set([String(keepId), ...mergedIds]);
+      kept.relatedQuestions = [
+        ...new Set(
+          [kept, ...duplicates].flatMap((q) => q.relatedQuestions.map(String))
+        ),
+      ].filter((id) => !excluded.has(id));
+      kept.tags = [...new Set([kept, ...duplicates].flatMap((q) => q.tags))];
+      await kept.save();
+
+      // Links from other questions now point to the kept question
+      await Question.updateMany(
+        { _id: { $nin: [...excluded] }, relatedQuestions: { $in: mergedIds } },
+        { $addToSet: { relatedQuestions: kept._id } }
+      );
+      await Question.updateMany(
+        { relatedQuestions: { $in: mergedIds } },
+        { $pull: { relatedQuestions: { $in: mergedIds } } }
+      );
+      // Merged questions stay readable for past sessions and results
+      await Question.updateMany(
+        { _id: { $in: mergedIds } },
+        {
+          $set: {
+            mergedInto: kept._id,
+            mergedAt: new Date(),
+            relatedQuestions: [kept._id],
+            status: QUESTION_STATUSES[4], // archived
+            isActive: false,
+          },
+        }
+      );
+
+      const repointed = await this.repointReferences(mergedIds, kept._id);
+
+      logger.info(
+        `Merged ${mergedIds.length} duplicates into question ${keepId}, ${repointed} question sets updated`
+      );
+      return { question: kept, mergedIds, repointed };
+    } catch (error) {
+      logger.error("Error merging duplicate questions:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to merge duplicate questions");
+    }
+  }
+
+  // Helper method to point quizzes, assessments, past papers and challenges
+  // to the kept question, so new sessions no longer serve the duplicates and
+  // their attempts count in the kept question's analytics
+  async repointReferences(mergedIds, keptId) {
+    let repointed = 0;
+    for (const QuestionSet of [Quiz, Assessment, PastPaper, Challenge]) {
+      const sets = await QuestionSet.find({ questionIds: { $in: mergedIds } })
+        .select("questionIds")
+        .lean();
+      if (sets.length === 0) continue;
+
+      await QuestionSet.bulkWrite(
+        sets.map((set) => {
+          const questionIds = replaceMergedIds(
+            set.questionIds,
+            mergedIds,
+            keptId
+          );
+          return {
+            updateOne: {
+              filter: { _id: set._id },
+              update: {
+                $set: {
+                  questionIds,
+                  // Quizzes sync their count on save, skipped here
+                  ...(QuestionSet === Quiz && {
+                    totalQuestions: questionIds.length,
+                  }),
+                },
+              },
+            },
+          };
+        })
+      );
+      repointed += sets.length;
+    }
+
+    // Past paper marking schemes and model answers refer to one question
+    for (const field of ["markingScheme", "modelAnswers"]) {
+      await PastPaper.updateMany(
+        { [`${field}.questionId`]: { $in: mergedIds } },
+        { $set: { [`${field}.$[entry].questionId`]: keptId } },
+        { arrayFilters: [{ "entry.questionId": { $in: mergedIds } }] }
+      );
+    }
+    return repointed;
+  }
+
+  // Helper method to load the active questions a new one is compared with
+  getCandidates(subjectId, topicId, excludeIds = []) {
+    return Question.find({
+      subjectId,
+      topicId,
+      isActive: true,
+      mergedInto: { $exists: false },
+      ...(excludeIds.length > 0 ? { _id: { $nin: excludeIds } } : {}),
+    })
+      .select(CANDIDATE_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(QUESTION_DUPLICATE_SIMILARITY.MAX_CANDIDATES)
+      .lean();
+  }
+
+  // Helper method to describe a matched question in warnings
+  describeMatch(question, similarity) {
+    return {
+      questionId: question._id,
+      question: question.question,
+      format: question.format,
+      status: question.status,
+      similarity,
+    };
+  }
+
+  // Helper method to suggest which question of a cluster to keep
+  pickKeptQuestion(questions) {
+    return [...questions].sort(
+      (a, b) =>
+        (b.analytics?.totalAttempts ?? 0) - (a.analytics?.totalAttempts ?? 0) ||
+        Number(b.validation?.isVerified ?? false) -
+          Number(a.validation?.isVerified ?? false) ||
+        new Date(a.createdAt) - new Date(b.createdAt)
+    )[0];
+  }
+}
+
+module.exports = new QuestionDuplicateService();
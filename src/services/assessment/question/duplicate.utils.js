@@ -0,0 +1,263 @@
+const { QUESTION_DUPLICATE_SIMILARITY } = require("../../../constants");
+
+// LaTeX commands rewritten to the symbol a student would type
+const LATEX_SYMBOLS = {
+  times: "*",
+  cdot: "*",
+  div: "/",
+  le: "<=",
+  leq: "<=",
+  ge: ">=",
+  geq: ">=",
+  neq: "!=",
+  approx: "~",
+  infty: "infini",
+};
+// LaTeX commands that only affect layout
+const LATEX_LAYOUT =
+  /\\(?:left|right|displaystyle|mathrm|text|textbf|mathbf|operatorname)\b/g;
+
+/**
+ * Rewrites LaTeX markup to plain text so that "$\frac{1}{2}$" and "1/2"
+ * compare equal.
+ * @param {string} text - Text with LaTeX markup.
+ * @returns {string} Plain text.
+ */
+const stripLatex = (text) =>
+  text
+    .replace(/\\[()[\]]|\$\$?/g, " ")
+    .replace(LATEX_LAYOUT, "")
+    .replace(/\\[dt]?frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g, "($1)/($2)")
+    .replace(/\\sqrt\s*\{([^{}]*)\}/g, "sqrt($1)")
+    .replace(
+      /\\([a-zA-Z]+)/g,
+      (_, command) => ` ${LATEX_SYMBOLS[command] ?? command} `
+    )
+    .replace(/\\[,;:! ]/g, " ")
+    .replace(/[{}]/g, "");
+
+/**
+ * Normalizes question text for comparison: markup, LaTeX, case, accents,
+ * punctuation and whitespace are ignored; decimal commas become points.
+ * @param {string} text - Question text.
+ * @returns {string} Normalized text.
+ */
+const normalizeQuestionText = (text) =>
+  stripLatex(String(text ?? "").replace(/<[^>]*>/g, " "))
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/(\d),(\d)/g, "$1.$2")
+    .replace(/\.(?!\d)|(?<!\d)\./g, " ")
+    .replace(/[^a-z0-9.+\-*/=<>^()!~]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Counts the character trigrams of a normalized text.
+ * @param {string} text - Normalized text.
+ * @returns {Map<string, number>} Trigram counts.
+ */
+const getTrigrams = (text) => {
+  const trigrams = new Map();
+  const padded = `  ${text} `;
+  for (let i = 0; i < padded.length - 2; i++) {
+    const trigram = padded.slice(i, i + 3);
+    trigrams.set(trigram, (trigrams.get(trigram) ?? 0) + 1);
+  }
+  return trigrams;
+};
+
+/**
+ * Prepares a question for repeated comparisons. Options are sorted so that
+ * shuffled choices do not hide a duplicate.
+ * @param {Object} question - Question with question text and options.
+ * @returns {{id: string, text: string, numbers: string, trigrams: Map<string, number>, size: number}} Prepared question.
+ */
+const prepareQuestion = (question) => {
+  const stem = normalizeQuestionText(question.question);
+  const options = (question.options ?? [])
+    .map(normalizeQuestionText)
+    .filter(Boolean)
+    .sort();
+  const text = [stem, ...options].join(" | ");
+  const trigrams = getTrigrams(text);
+  return {
+    id: question._id ? String(question._id) : undefined,
+    text,
+    // Numeric data is compared exactly: "2 + 3" and "2 + 4" are different items
+    numbers: (stem.match(/\d+(?:\.\d+)?/g) ?? []).sort().join(" "),
+    trigrams,
+    size: [...trigrams.values()].reduce((sum, count) => sum + count, 0),
+  };
+};
+
+/**
+ * Computes the Dice similarity of two prepared questions.
+ * @param {Object} a - Prepared question.
+ * @param {Object} b - Prepared question.
+ * @returns {number} Similarity between 0 and 1, rounded to 3 decimals.
+ */
+const computeSimilarity = (a, b) => {
+  if (a.text === b.text) return 1;
+  if (a.numbers !== b.numbers || a.size + b.size === 0) return 0;
+
+  const [smaller, larger] =
+    a.trigrams.size <= b.trigrams.size ? [a, b] : [b, a];
+  let shared = 0;
+  smaller.trigrams.forEach((count, trigram) => {
+    shared += Math.min(count, larger.trigrams.get(trigram) ?? 0);
+  });
+  return Math.round(((2 * shared) / (a.size + b.size)) * 1000) / 1000;
+};
+
+/**
+ * Finds the candidates that are likely duplicates of a question.
+ * @param {Object} target - Prepared question.
+ * @param {Array<Object>} candidates - Prepared questions to compare with.
+ * @param {Object} [options={}] - threshold and limit overrides.
+ * @returns {Array<{id: string, similarity: number}>} Matches, most similar first.
+ */
+const findSimilar = (
+  target,
+  candidates,
+  {
+    threshold = QUESTION_DUPLICATE_SIMILARITY.THRESHOLD,
+    limit = QUESTION_DUPLICATE_SIMILARITY.MAX_MATCHES,
+  } = {}
+) =>
+  candidates
+    .filter((candidate) => !target.id || candidate.id !== target.id)
+    .map((candidate) => ({
+      id: candidate.id,
+      similarity: computeSimilarity(target, candidate),
+    }))
+    .filter((match) => match.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+
+/**
+ * Groups likely duplicates into clusters (connected components of the
+ * similarity graph).
+ * @param {Array<Object>} prepared - Prepared questions of one subject and topic.
+ * @param {number} [threshold] - Minimum similarity.
+ * @returns {Array<{questionIds: string[], pairs: Array<{a: string, b: string, similarity: number}>}>} Clusters of two or more questions.
+ */
+const clusterDuplicates = (
+  prepared,
+  threshold = QUESTION_DUPLICATE_SIMILARITY.THRESHOLD
+) => {
+  const parent = prepared.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const pairs = [];
+
+  for (let i = 0; i < prepared.length; i++) {
+    for (let j = i + 1; j < prepared.length; j++) {
+      const similarity = computeSimilarity(prepared[i], prepared[j]);
+      if (similarity < threshold) continue;
+      pairs.push({ i, j, similarity });
+      parent[find(j)] = find(i);
+    }
+  }
+
+  const clusters = new Map();
+  pairs.forEach(({ i, j, similarity }) => {
+    const root = find(i);
+    if (!clusters.has(root)) {
+      clusters.set(root, { members: new Set(), pairs: [] });
+    }
+    const cluster = clusters.get(root);
+    cluster.members.add(i).add(j);
+    cluster.pairs.push({ a: prepared[i].id, b: prepared[j].id, similarity });
+  });
+
+  return [...clusters.values()].map((cluster) => ({
+    questionIds: [...cluster.members]
+      .sort((a, b) => a - b)
+      .map((i) => prepared[i].id),
+    pairs: cluster.pairs.sort((a, b) => b.similarity - a.similarity),
+  }));
+};
+
+/**
+ * Folds the analytics of merged duplicates into the kept question. Averages
+ * are weighted by attempts so no response is lost or counted twice.
+ * @param {Object} kept - Analytics of the kept question.
+ * @param {Array<Object>} merged - Analytics of the merged duplicates.
+ * @returns {Object} Combined analytics.
+ */
+const mergeAnalytics = (kept = {}, merged = []) => {
+  const all = [kept, ...merged];
+  const totalAttempts = all.reduce((sum, a) => sum + (a?.totalAttempts ?? 0), 0);
+  const weighted = (field) =>
+    totalAttempts === 0
+      ? kept?.[field] ?? 0
+      : all.reduce(
+          (sum, a) => sum + (a?.[field] ?? 0) * (a?.totalAttempts ?? 0),
+          0
+        ) / totalAttempts;
+
+  return {
+    totalAttempts,
+    correctAttempts: all.reduce((sum, a) => sum + (a?.correctAttempts ?? 0), 0),
+    averageTimeToAnswer: weighted("averageTimeToAnswer"),
+    skipRate: weighted("skipRate"),
+    difficultyRating: weighted("difficultyRating"),
+  };
+};
+
+/**
+ * Folds the usage counters of merged duplicates into the kept question.
+ * @param {Object} kept - Usage of the kept question.
+ * @param {Array<Object>} merged - Usage of the merged duplicates.
+ * @param {number} totalAttempts - Combined attempts, for the popularity score.
+ * @returns {Object} Combined usage.
+ */
+const mergeUsage = (kept = {}, merged = [], totalAttempts = 0) => {
+  const all = [kept, ...merged];
+  const assessmentCount = all.reduce(
+    (sum, usage) => sum + (usage?.assessmentCount ?? 0),
+    0
+  );
+  const lastUsed = all
+    .map((usage) => usage?.lastUsed)
+    .filter(Boolean)
+    .sort((a, b) => new Date(b) - new Date(a))[0];
+  return {
+    assessmentCount,
+    ...(lastUsed ? { lastUsed } : {}),
+    // Same formula as Question#incrementUsage
+    popularityScore: totalAttempts * 0.3 + assessmentCount * 0.7,
+  };
+};
+
+/**
+ * Points a list of question IDs to the kept question instead of its merged
+ * duplicates, in the same order and without listing the kept question twice.
+ * @param {Array} questionIds - Question IDs, such as a quiz's questionIds.
+ * @param {Array} mergedIds - IDs of the merged duplicates.
+ * @param {*} keepId - ID of the kept question.
+ * @returns {Array} Question IDs with the duplicates replaced.
+ */
+const replaceMergedIds = (questionIds = [], mergedIds = [], keepId) => {
+  const merged = new Set(mergedIds.map(String));
+  const seen = new Set();
+  return questionIds
+    .map((id) => (merged.has(String(id)) ? keepId : id))
+    .filter((id) => {
+      if (seen.has(String(id))) return false;
+      seen.add(String(id));
+      return true;
+    });
+};
+
+module.exports = {
+  normalizeQuestionText,
+  prepareQuestion,
+  computeSimilarity,
+  findSimilar,
+  clusterDuplicates,
+  mergeAnalytics,
+  mergeUsage,
+  replaceMergedIds,
+};
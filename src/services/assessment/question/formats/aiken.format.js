@@ -0,0 +1,153 @@
+const {
+  TRUE_FALSE_OPTIONS,
+  createItem,
+  excerpt,
+  getCorrectOptions,
+  trueFalseFields,
+  isTrueFalsePair,
+  toBoolean,
+} = require("./format.utils");
+
+const OPTION_LINE = /^([A-Z])[.)]\s+(.+)$/;
+const ANSWER_LINE = /^ANSWER:\s*([A-Z])\s*$/i;
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/**
+ * Maps the lines of one Aiken question onto Question fields.
+ * @param {Object} item - Item being parsed.
+ * @param {{question: string[], options: Array, answer: string|null}} block - Collected lines.
+ */
+const readQuestion = (item, { question, options, answer }) => {
+  const text = question.join(" ").trim();
+  item.title = excerpt(text);
+  if (!text) item.errors.push("Missing question text");
+  if (options.length < 2) item.errors.push("At least 2 options (A. ..., B. ...) are required");
+  if (!answer) {
+    item.errors.push("Missing ANSWER: line");
+    return;
+  }
+
+  const letters = options.map((option) => option.letter);
+  const expected = LETTERS.slice(0, options.length).split("");
+  if (letters.join("") !== expected.join("")) {
+    item.errors.push(`Options must be lettered in order (${expected.join(", ")})`);
+  }
+  const correct = options.find((option) => option.letter === answer);
+  if (!correct) {
+    item.errors.push(`ANSWER ${answer} does not match any option`);
+    return;
+  }
+
+  const texts = options.map((option) => option.text);
+  item.data.question = text;
+  // Vrai/Faux questions come back as true/false questions
+  Object.assign(
+    item.data,
+    isTrueFalsePair(texts)
+      ? trueFalseFields(toBoolean(correct.text))
+      : { format: "multiple_choice", options: texts, correctAnswer: correct.text }
+  );
+};
+
+/**
+ * Parses an Aiken file: the question on one line, lettered options
+ * ("A. ..." or "A) ...") and an "ANSWER: X" line.
+ * @param {string} content - Aiken source.
+ * @returns {Array<Object>} Parsed items.
+ */
+const parse = (content) => {
+  const lines = String(content ?? "")
+    .replace(/^﻿/, "")
+    .split(/\r?\n/);
+  const items = [];
+  let block = null;
+
+  const start = (lineNumber) => {
+    block = {
+      item: createItem(items.length, lineNumber),
+      question: [],
+      options: [],
+      answer: null,
+    };
+    items.push(block.item);
+  };
+
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const answer = trimmed.match(ANSWER_LINE);
+    const option = trimmed.match(OPTION_LINE);
+    if (!block || block.answer) start(i + 1);
+
+    if (answer) {
+      block.answer = answer[1].toUpperCase();
+      readQuestion(block.item, block);
+    } else if (option && block.question.length > 0) {
+      block.options.push({ letter: option[1], text: option[2].trim() });
+    } else if (block.options.length > 0) {
+      block.item.errors.push(`Unexpected line ${i + 1} after the options`);
+    } else {
+      block.question.push(trimmed);
+    }
+  });
+
+  // A question left without its ANSWER line
+  if (block && !block.answer) readQuestion(block.item, block);
+
+  return items;
+};
+
+/**
+ * Writes questions as Aiken; only single-answer multiple choice and true/false fit.
+ * @param {Array<Object>} questions - Question documents.
+ * @returns {{content: string, exported: number, skipped: Array}} Aiken file and skipped questions.
+ */
+const serialize = (questions) => {
+  const blocks = [];
+  const skipped = [];
+  questions.forEach((question) => {
+    let options;
+    let correct;
+    if (question.format === "multiple_choice") {
+      const correctOptions = getCorrectOptions(question);
+      if (correctOptions.length !== 1) {
+        skipped.push({ id: question._id, reason: "Aiken only supports one correct option" });
+        return;
+      }
+      options = question.options;
+      correct = options.indexOf(correctOptions[0]);
+    } else if (question.format === "true_false") {
+      options = TRUE_FALSE_OPTIONS;
+      correct = toBoolean(question.correctAnswer) ? 0 : 1;
+    } else {
+      skipped.push({ id: question._id, reason: `Format ${question.format} has no Aiken equivalent` });
+      return;
+    }
+    if (correct === -1 || options.length > LETTERS.length) {
+      skipped.push({ id: question._id, reason: "Options cannot be lettered" });
+      return;
+    }
+
+    const oneLine = (text) => String(text).replace(/\s+/g, " ").trim();
+    blocks.push(
+      [
+        oneLine(question.question),
+        ...options.map((option, i) => `${LETTERS[i]}. ${oneLine(option)}`),
+        `ANSWER: ${LETTERS[correct]}`,
+      ].join("\n")
+    );
+  });
+  return {
+    content: blocks.length > 0 ? `${blocks.join("\n\n")}\n` : "",
+    exported: blocks.length,
+    skipped,
+  };
+};
+
+module.exports = {
+  parse,
+  serialize,
+  contentType: "text/plain; charset=utf-8",
+  extension: "aiken.txt",
+};
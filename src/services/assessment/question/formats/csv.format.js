@@ -0,0 +1,352 @@
+const {
+  createItem,
+  excerpt,
+  toBoolean,
+} = require("./format.utils");
+const { QUESTION_TYPES } = require("../../../../constants");
+
+// Column order of exported files; imports accept any order and case
+const COLUMNS = [
+  "id",
+  "question",
+  "format",
+  "options",
+  "correctAnswer",
+  "acceptedAnswers",
+  "explanation",
+  "hints",
+  "steps",
+  "difficulty",
+  "points",
+  "timeEstimate",
+  "level",
+  "series",
+  "tags",
+  "subjectId",
+  "topicId",
+  "tolerance",
+  "toleranceType",
+  "unit",
+  "mediaUrls",
+  "mediaType",
+  "status",
+];
+const LIST_SEPARATOR = ";";
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180 quoting). The delimiter is
+ * "," unless the header row uses ";" (spreadsheets in French locales).
+ * @param {string} text - CSV source.
+ * @returns {Array<{line: number, cells: string[]}>} Non-empty rows.
+ */
+const parseCsv = (text) => {
+  const source = String(text ?? "").replace(/^﻿/, "");
+  const header = source.split(/\r?\n/, 1)[0] ?? "";
+  const delimiter =
+    (header.match(/;/g) ?? []).length > (header.match(/,/g) ?? []).length
+      ? ";"
+      : ",";
+
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some((value) => value.trim() !== "")) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === "") {
+      quoted = true;
+      cell = "";
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || cells.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Reads a list cell: a JSON array, or values separated by ";".
+ * @param {string} value - Cell value.
+ * @returns {Array} Values.
+ */
+const readList = (value) => {
+  const text = String(value ?? "").trim();
+  if (!text) return [];
+  if (text.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed;
+    } catch {
+      // Not JSON: fall back to the separator
+    }
+  }
+  return text
+    .split(LIST_SEPARATOR)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Reads a JSON object cell.
+ * @param {string} value - Cell value.
+ * @returns {Object|undefined} Parsed object.
+ */
+const readObject = (value) => {
+  const text = String(value ?? "").trim();
+  if (!text.startsWith("{")) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Reads the correct answer cell according to the question format.
+ * @param {string} format - Question format.
+ * @param {string} value - Cell value.
+ * @param {string[]} errors - Row errors to complete.
+ * @returns {*} Correct answer.
+ */
+const readCorrectAnswer = (format, value, errors) => {
+  const text = String(value ?? "").trim();
+  switch (format) {
+    case "true_false": {
+      const parsed = toBoolean(text);
+      if (parsed === null) errors.push(`Invalid true/false answer "${text}"`);
+      return parsed;
+    }
+    case "multiple_choice": {
+      const values = readList(text);
+      return values.length > 1 ? values : values[0];
+    }
+    case "calculation": {
+      const object = readObject(text);
+      if (object) return object;
+      const number = Number(text.replace(",", "."));
+      return text !== "" && Number.isFinite(number) ? number : text;
+    }
+    case "fill_in_the_blank":
+    case "text_sequencing":
+      return readList(text);
+    case "matching":
+    case "diagram_labeling": {
+      const object = readObject(text);
+      if (object) return object;
+      const list = readList(text);
+      // "left -> right" entries written by hand
+      return list.map((entry) => {
+        if (typeof entry !== "string") return entry;
+        const [left, right] = entry.split("->");
+        if (right === undefined) errors.push(`Invalid pair "${entry}", expected "left -> right"`);
+        return { question: left.trim(), answer: right?.trim() };
+      });
+    }
+    default:
+      return readObject(text) ?? text;
+  }
+};
+
+/**
+ * Reads a numeric cell.
+ * @param {string} value - Cell value.
+ * @param {string} column - Column name for the error message.
+ * @param {string[]} errors - Row errors to complete.
+ * @returns {number|undefined} Number.
+ */
+const readNumber = (value, column, errors) => {
+  const text = String(value ?? "").trim();
+  if (!text) return undefined;
+  const number = Number(text.replace(",", "."));
+  if (!Number.isFinite(number)) {
+    errors.push(`Invalid number in ${column}: "${text}"`);
+    return undefined;
+  }
+  return number;
+};
+
+/**
+ * Parses a CSV file with a header row naming the Question fields (see COLUMNS).
+ * @param {string} content - CSV source.
+ * @returns {Array<Object>} Parsed items.
+ */
+const parse = (content) => {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) return [];
+
+  const columns = header.cells.map((name) => {
+    const key = name.trim().replace(/[\s_-]/g, "").toLowerCase();
+    return COLUMNS.find((column) => column.toLowerCase() === key) ?? null;
+  });
+
+  return rows.map(({ line, cells }, index) => {
+    const row = {};
+    columns.forEach((column, i) => {
+      if (column && cells[i] !== undefined && cells[i].trim() !== "") {
+        row[column] = cells[i].trim();
+      }
+    });
+
+    const item = createItem(index, line, excerpt(row.question));
+    const { data, errors } = item;
+    if (!row.question) errors.push("Missing question");
+    if (!row.format) errors.push("Missing format");
+    else if (!QUESTION_TYPES.includes(row.format)) {
+      errors.push(`Unknown format "${row.format}"`);
+    }
+
+    const grading = {};
+    const tolerance = readNumber(row.tolerance, "tolerance", errors);
+    if (tolerance !== undefined) grading.tolerance = tolerance;
+    if (row.toleranceType) grading.toleranceType = row.toleranceType;
+    if (row.unit) grading.unit = row.unit;
+    if (row.acceptedAnswers) grading.acceptedAnswers = readList(row.acceptedAnswers);
+
+    Object.assign(data, {
+      question: row.question,
+      format: row.format,
+      ...(row.options ? { options: readList(row.options).map(String) } : {}),
+      ...(row.correctAnswer !== undefined
+        ? { correctAnswer: readCorrectAnswer(row.format, row.correctAnswer, errors) }
+        : {}),
+      ...(row.explanation ? { explanation: row.explanation } : {}),
+      ...(Object.keys(grading).length > 0 ? { grading } : {}),
+    });
+    ["hints", "steps", "series", "tags"].forEach((column) => {
+      if (row[column]) data[column] = readList(row[column]).map(String);
+    });
+    ["points", "timeEstimate"].forEach((column) => {
+      const number = readNumber(row[column], column, errors);
+      if (number !== undefined) data[column] = number;
+    });
+    // The status column is informative: imports always start a review cycle
+    ["difficulty", "level", "subjectId", "topicId"].forEach((column) => {
+      if (row[column]) data[column] = row[column];
+    });
+    if (row.mediaUrls) {
+      data.content = {
+        media: readList(row.mediaUrls).map((url) => ({
+          mediaType: row.mediaType ?? "image",
+          url,
+        })),
+      };
+    }
+    if (data.correctAnswer === undefined) {
+      // Essays are graded by hand and may come without a model answer
+      if (data.format === "essay") data.correctAnswer = "";
+      else errors.push("Missing correctAnswer");
+    }
+    return item;
+  });
+};
+
+/**
+ * Writes a list cell, as JSON when an entry holds the separator or is not text.
+ * @param {Array} values - Values.
+ * @returns {string} Cell value.
+ */
+const writeList = (values = []) =>
+  values.some(
+    (value) => typeof value !== "string" || value.includes(LIST_SEPARATOR)
+  )
+    ? JSON.stringify(values)
+    : values.join(LIST_SEPARATOR);
+
+/**
+ * Writes the correct answer cell.
+ * @param {*} answer - Correct answer.
+ * @returns {string} Cell value.
+ */
+const writeCorrectAnswer = (answer) => {
+  if (Array.isArray(answer)) return writeList(answer);
+  if (answer && typeof answer === "object") return JSON.stringify(answer);
+  return String(answer ?? "");
+};
+
+/**
+ * Quotes a CSV cell.
+ * @param {*} value - Cell value.
+ * @returns {string} Quoted cell.
+ */
+const quote = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+
+/**
+ * Writes questions as CSV; every format fits.
+ * @param {Array<Object>} questions - Question documents.
+ * @returns {{content: string, exported: number, skipped: Array}} CSV file.
+ */
+const serialize = (questions) => {
+  const rows = questions.map((question) => {
+    const values = {
+      id: question._id,
+      question: question.question,
+      format: question.format,
+      options: writeList(question.options),
+      correctAnswer: writeCorrectAnswer(question.correctAnswer),
+      acceptedAnswers: writeList(question.grading?.acceptedAnswers),
+      explanation: question.explanation,
+      hints: writeList(question.hints),
+      steps: writeList(question.steps),
+      difficulty: question.difficulty,
+      points: question.points,
+      timeEstimate: question.timeEstimate,
+      level: question.level,
+      series: writeList(question.series),
+      tags: writeList(question.tags),
+      subjectId: question.subjectId?._id ?? question.subjectId,
+      topicId: question.topicId?._id ?? question.topicId,
+      tolerance: question.grading?.tolerance || "",
+      toleranceType: question.grading?.tolerance ? question.grading.toleranceType : "",
+      unit: question.grading?.unit,
+      mediaUrls: writeList((question.content?.media ?? []).map((media) => media.url)),
+      mediaType: question.content?.media?.[0]?.mediaType,
+      status: question.status,
+    };
+    return COLUMNS.map((column) => quote(values[column])).join(",");
+  });
+
+  return {
+    content: `${[COLUMNS.join(","), ...rows].join("\r\n")}\r\n`,
+    exported: rows.length,
+    skipped: [],
+  };
+};
+
+module.exports = {
+  parse,
+  serialize,
+  parseCsv,
+  contentType: "text/csv; charset=utf-8",
+  extension: "csv",
+};
@@ -0,0 +1,227 @@
+const {
+  parseMathAnswer,
+  toPairMap,
+} = require("../../grading/grading.utils");
+const { toBoolean } = require("../../grading/graders/true.false.grader");
+
+// Placeholder for a blank in fill-in-the-blank question text
+const BLANK_MARKER = "___";
+
+// Labels used for the two options of true/false questions
+const TRUE_FALSE_OPTIONS = ["Vrai", "Faux"];
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * Creates the parse result of one source item (question, row or XML item).
+ * @param {number} index - Zero-based position in the import.
+ * @param {number} line - Line of the source where the item starts.
+ * @param {string} [title] - Title or excerpt used in the report.
+ * @returns {{index: number, line: number, title: string, data: Object, errors: string[]}} Item.
+ */
+const createItem = (index, line, title = "") => ({
+  index,
+  line,
+  title,
+  data: {},
+  errors: [],
+});
+
+/**
+ * Decodes XML/HTML character entities.
+ * @param {string} text - Encoded text.
+ * @returns {string} Decoded text.
+ */
+const decodeEntities = (text) =>
+  String(text ?? "").replace(
+    /&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g,
+    (match, entity) => {
+      if (entity[0] === "#") {
+        const code =
+          entity[1] === "x" || entity[1] === "X"
+            ? Number.parseInt(entity.slice(2), 16)
+            : Number.parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+      }
+      return HTML_ENTITIES[entity] ?? match;
+    }
+  );
+
+/**
+ * Escapes text for XML content and attributes.
+ * @param {*} text - Raw text.
+ * @returns {string} Escaped text.
+ */
+const escapeXml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Finds the http(s) media referenced by <img>, <audio>, <video> or <object> tags.
+ * @param {string} html - HTML fragment.
+ * @returns {Array<{mediaType: string, url: string, altText?: string}>} Media entries.
+ */
+const extractMedia = (html) => {
+  const media = [];
+  const pattern = /<(img|audio|video|source|object)\b([^>]*)>/gi;
+  let match;
+  while ((match = pattern.exec(String(html ?? ""))) !== null) {
+    const tag = match[1].toLowerCase();
+    const attributes = match[2];
+    const url = attributes.match(/\b(?:src|data)\s*=\s*["']([^"']+)["']/i)?.[1];
+    if (!url || !/^https?:\/\//i.test(url)) continue;
+
+    const alt = attributes.match(/\balt\s*=\s*["']([^"']*)["']/i)?.[1];
+    const mediaType =
+      tag === "img" ? "image" : tag === "object" ? "document" : tag;
+    media.push({
+      mediaType: mediaType === "source" ? "video" : mediaType,
+      url: decodeEntities(url),
+      ...(alt ? { altText: decodeEntities(alt) } : {}),
+    });
+  }
+  return media;
+};
+
+/**
+ * Converts an HTML fragment into plain text, keeping paragraph breaks.
+ * @param {string} html - HTML fragment.
+ * @returns {string} Plain text.
+ */
+const htmlToText = (html) =>
+  decodeEntities(
+    String(html ?? "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|li|h[1-6]|tr)>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t ]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Shortens a question to a one-line excerpt for reports.
+ * @param {string} text - Question text.
+ * @param {number} [length=60] - Maximum length.
+ * @returns {string} Excerpt.
+ */
+const excerpt = (text, length = 60) => {
+  const line = String(text ?? "").replace(/\s+/g, " ").trim();
+  return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+};
+
+/**
+ * Reads the accepted values of a question: the correct answer followed by
+ * the grading alternatives, as unique strings.
+ * @param {Object} question - Question document.
+ * @returns {string[]} Accepted values.
+ */
+const getAcceptedValues = (question) => {
+  const values = [
+    ...(Array.isArray(question.correctAnswer)
+      ? question.correctAnswer
+      : [question.correctAnswer]),
+    ...(question.grading?.acceptedAnswers ?? []),
+  ].filter((value) => ["string", "number"].includes(typeof value));
+  return [...new Set(values.map(String))];
+};
+
+/**
+ * Resolves the numeric answer of a calculation question.
+ * @param {Object} question - Question document.
+ * @returns {{value: number, unit: string, tolerance: number}|null} Numeric answer.
+ */
+const getNumericAnswer = (question) => {
+  const raw = question.correctAnswer;
+  const descriptor =
+    raw && typeof raw === "object" && !Array.isArray(raw) ? raw : { value: raw };
+  const parsed = parseMathAnswer(descriptor.value);
+  if (!parsed) return null;
+
+  const tolerance = descriptor.tolerance ?? question.grading?.tolerance ?? 0;
+  const toleranceType =
+    descriptor.toleranceType ?? question.grading?.toleranceType;
+  return {
+    value: parsed.value,
+    unit: descriptor.unit ?? question.grading?.unit ?? parsed.unit ?? "",
+    // Interchange formats only know absolute margins
+    tolerance:
+      toleranceType === "relative"
+        ? Math.abs(parsed.value) * tolerance
+        : tolerance,
+  };
+};
+
+/**
+ * Reads the pairs of a matching question in order.
+ * @param {Object} question - Question document.
+ * @returns {Array<{question: string, answer: string}>} Pairs.
+ */
+const getPairs = (question) =>
+  [...toPairMap(question.correctAnswer)].map(([left, right]) => ({
+    question: String(left),
+    answer: String(Array.isArray(right) ? right[0] : right),
+  }));
+
+/**
+ * Reads the correct options of a multiple choice question.
+ * @param {Object} question - Question document.
+ * @returns {string[]} Correct options.
+ */
+const getCorrectOptions = (question) =>
+  (Array.isArray(question.correctAnswer)
+    ? question.correctAnswer
+    : [question.correctAnswer]
+  ).map(String);
+
+/**
+ * Builds the fields of a true/false question.
+ * @param {boolean} value - Correct answer.
+ * @returns {{format: string, options: string[], correctAnswer: boolean}} Fields.
+ */
+const trueFalseFields = (value) => ({
+  format: "true_false",
+  options: [...TRUE_FALSE_OPTIONS],
+  correctAnswer: value,
+});
+
+/**
+ * Detects a pair of choices meaning true and false ("Vrai"/"Faux", "True"/"False").
+ * @param {string[]} choices - Choice texts.
+ * @returns {boolean} True if the choices are a true/false pair.
+ */
+const isTrueFalsePair = (choices) =>
+  choices.length === 2 &&
+  toBoolean(choices[0]) !== null &&
+  toBoolean(choices[1]) !== null &&
+  toBoolean(choices[0]) !== toBoolean(choices[1]);
+
+module.exports = {
+  BLANK_MARKER,
+  TRUE_FALSE_OPTIONS,
+  createItem,
+  decodeEntities,
+  escapeXml,
+  extractMedia,
+  htmlToText,
+  excerpt,
+  getAcceptedValues,
+  getNumericAnswer,
+  getPairs,
+  getCorrectOptions,
+  trueFalseFields,
+  isTrueFalsePair,
+  toBoolean,
+};
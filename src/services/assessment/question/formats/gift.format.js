@@ -0,0 +1,460 @@
+const {
+  BLANK_MARKER,
+  createItem,
+  extractMedia,
+  htmlToText,
+  excerpt,
+  getAcceptedValues,
+  getNumericAnswer,
+  getPairs,
+  getCorrectOptions,
+  trueFalseFields,
+  toBoolean,
+} = require("./format.utils");
+
+const SPECIAL_CHARACTERS = /[~=#{}:\\]/g;
+
+/**
+ * Escapes the characters GIFT reserves for its syntax.
+ * @param {*} text - Raw text.
+ * @returns {string} Escaped text.
+ */
+const escapeGift = (text) =>
+  String(text ?? "")
+    .replace(SPECIAL_CHARACTERS, (char) => `\\${char}`)
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Removes GIFT escapes.
+ * @param {string} text - Escaped text.
+ * @returns {string} Raw text.
+ */
+const unescapeGift = (text) =>
+  String(text ?? "").replace(/\\(.)/g, (match, char) =>
+    char === "n" ? "\n" : char
+  );
+
+/**
+ * Finds the first unescaped occurrence of a character.
+ * @param {string} text - Text to search.
+ * @param {string} char - Character.
+ * @param {number} [from=0] - Start position.
+ * @returns {number} Position, or -1.
+ */
+const findUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (text[i] === char) return i;
+  }
+  return -1;
+};
+
+/**
+ * Converts question text with an optional [html]/[markdown]/[plain] prefix to plain text.
+ * @param {string} text - GIFT question text.
+ * @returns {{text: string, media: Array}} Plain text and referenced media.
+ */
+const readText = (text) => {
+  const markup = text.trim().match(/^\[(html|moodle|markdown|plain)\]/i);
+  const body = unescapeGift(markup ? text.trim().slice(markup[0].length) : text);
+  if (markup && markup[1].toLowerCase() !== "html") {
+    return { text: body.trim(), media: [] };
+  }
+  return { text: htmlToText(body), media: extractMedia(body) };
+};
+
+/**
+ * Splits the body of an answer block into its entries ("=right", "~wrong",
+ * "=a -> b"), the numeric answers ("#3.14:0.01") and the general feedback ("####...").
+ * @param {string} body - Text between the braces.
+ * @returns {{entries: Array, generalFeedback: string}} Answer entries.
+ */
+const readAnswerBlock = (body) => {
+  let text = body;
+  let generalFeedback = "";
+  const feedbackStart = text.indexOf("####");
+  if (feedbackStart !== -1) {
+    generalFeedback = unescapeGift(text.slice(feedbackStart + 4)).trim();
+    text = text.slice(0, feedbackStart);
+  }
+
+  const entries = [];
+  let current = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\") {
+      if (current) current.raw += char + (text[i + 1] ?? "");
+      i++;
+    } else if (char === "=" || char === "~") {
+      // "=" inside a matching pair ("a -> b") does not start an entry
+      current = { prefix: char, raw: "" };
+      entries.push(current);
+    } else if (current) {
+      current.raw += char;
+    } else if (char === "#" || /\S/.test(char)) {
+      current = { prefix: "", raw: char };
+      entries.push(current);
+    }
+  }
+
+  return {
+    generalFeedback,
+    entries: entries.map(({ prefix, raw }) => {
+      let content = raw;
+      const feedbackIndex = findUnescaped(content, "#");
+      const isNumeric = prefix === "" && content.trim().startsWith("#");
+      let feedback = "";
+      if (!isNumeric && feedbackIndex !== -1) {
+        feedback = unescapeGift(content.slice(feedbackIndex + 1)).trim();
+        content = content.slice(0, feedbackIndex);
+      }
+      const weight = content.trim().match(/^%(-?\d+(?:\.\d+)?)%/);
+      if (weight) content = content.trim().slice(weight[0].length);
+      return {
+        prefix,
+        weight: weight ? Number.parseFloat(weight[1]) : null,
+        text: content,
+        feedback,
+      };
+    }),
+  };
+};
+
+/**
+ * Parses a numeric GIFT answer: "3.14", "3.14:0.01" or "1..5".
+ * @param {string} text - Answer without the leading "#".
+ * @returns {{value: number, tolerance: number}|null} Numeric answer.
+ */
+const readNumber = (text) => {
+  const value = text.trim();
+  const range = value.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+  if (range) {
+    const min = Number.parseFloat(range[1]);
+    const max = Number.parseFloat(range[2]);
+    if (!Number.isFinite(min) || !Number.isFinite(max)) return null;
+    return { value: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+  }
+  const [number, margin = "0"] = value.split(":");
+  const parsed = Number.parseFloat(number);
+  const tolerance = Number.parseFloat(margin);
+  if (!Number.isFinite(parsed) || !Number.isFinite(tolerance)) return null;
+  return { value: parsed, tolerance: Math.abs(tolerance) };
+};
+
+/**
+ * Maps one GIFT question onto Question fields.
+ * @param {Object} item - Item being parsed.
+ * @param {string} block - Question source without comments.
+ */
+const readQuestion = (item, block) => {
+  let source = block.trim();
+  const title = source.match(/^::((?:\\.|[^:])*?)::/);
+  if (title) {
+    item.title = unescapeGift(title[1]).trim();
+    source = source.slice(title[0].length);
+  }
+
+  const open = findUnescaped(source, "{");
+  const close = open === -1 ? -1 : findUnescaped(source, "}", open);
+  if (open === -1 || close === -1) {
+    item.errors.push("No answer block {...} found (descriptions are not imported)");
+    return;
+  }
+
+  const before = readText(source.slice(0, open));
+  const after = readText(source.slice(close + 1));
+  const media = [...before.media, ...after.media];
+  const hasBlank = before.text.length > 0 && after.text.length > 0;
+  const questionText = hasBlank
+    ? `${before.text} ${BLANK_MARKER} ${after.text}`
+    : `${before.text}${after.text ? ` ${after.text}` : ""}`.trim();
+  if (!item.title) item.title = excerpt(questionText);
+
+  const { entries, generalFeedback } = readAnswerBlock(
+    source.slice(open + 1, close)
+  );
+  const data = item.data;
+  data.question = questionText;
+  if (generalFeedback) data.explanation = generalFeedback;
+  if (media.length > 0) data.content = { media };
+
+  const answerText = entries.map((entry) => entry.text.trim());
+  const first = entries[0];
+
+  // Essay: {}
+  if (entries.length === 0) {
+    Object.assign(data, { format: "essay", correctAnswer: "" });
+    return;
+  }
+
+  // True/false: {T}, {FALSE#feedback}
+  if (
+    entries.length === 1 &&
+    first.prefix === "" &&
+    /^(T|TRUE|F|FALSE)$/i.test(answerText[0])
+  ) {
+    Object.assign(data, trueFalseFields(/^T/i.test(answerText[0])));
+    return;
+  }
+
+  // Numeric: {#3.14:0.01} or {#=3.14:0.01 =%50%3:1}
+  if (first.prefix === "" && answerText[0].startsWith("#")) {
+    const rest = answerText[0].slice(1).trim();
+    const candidates = rest
+      ? [{ weight: null, text: rest }]
+      : entries.slice(1).filter((entry) => entry.prefix === "=");
+    const best =
+      candidates.find((entry) => entry.weight === null || entry.weight === 100) ??
+      candidates[0];
+    const number = best ? readNumber(best.text) : null;
+    if (!number) {
+      item.errors.push("Invalid numeric answer");
+      return;
+    }
+    Object.assign(data, {
+      format: "calculation",
+      correctAnswer: number.value,
+      grading: { tolerance: number.tolerance },
+    });
+    return;
+  }
+
+  const unknown = entries.find((entry) => entry.prefix === "");
+  if (unknown) {
+    item.errors.push(`Unexpected text in answer block: "${excerpt(unknown.text, 30)}"`);
+    return;
+  }
+
+  // Matching: {=a -> 1 =b -> 2}
+  if (answerText.some((text) => text.includes("->"))) {
+    const pairs = [];
+    for (const text of answerText) {
+      const [left, right] = text.split("->");
+      if (left === undefined || right === undefined || !right.trim()) {
+        item.errors.push(`Invalid matching pair: "${excerpt(text, 30)}"`);
+        return;
+      }
+      pairs.push({
+        question: unescapeGift(left).trim(),
+        answer: unescapeGift(right).trim(),
+      });
+    }
+    Object.assign(data, {
+      format: "matching",
+      options: [
+        ...pairs.map((pair) => pair.question),
+        ...pairs.map((pair) => pair.answer),
+      ],
+      correctAnswer: pairs,
+    });
+    return;
+  }
+
+  const values = answerText.map(unescapeGift);
+
+  // Multiple choice: {=right ~wrong} or weighted {~%50%a ~%50%b ~%-100%c}
+  if (entries.some((entry) => entry.prefix === "~")) {
+    const weighted = entries.some((entry) => entry.weight !== null);
+    const correct = values.filter((value, i) =>
+      weighted ? entries[i].weight > 0 : entries[i].prefix === "="
+    );
+    if (correct.length === 0) {
+      item.errors.push("No correct option marked with = or a positive weight");
+      return;
+    }
+    Object.assign(data, {
+      format: "multiple_choice",
+      options: values,
+      correctAnswer: weighted && correct.length > 1 ? correct : correct[0],
+    });
+    return;
+  }
+
+  // Short answer {=a =b}, or missing word when text surrounds the block
+  const [main, ...alternatives] = values;
+  if (hasBlank) {
+    Object.assign(data, {
+      format: "fill_in_the_blank",
+      correctAnswer: [values.length > 1 ? values : main],
+    });
+    return;
+  }
+  Object.assign(data, {
+    format: "short_answer",
+    correctAnswer: main,
+    ...(alternatives.length > 0
+      ? { grading: { acceptedAnswers: alternatives } }
+      : {}),
+  });
+};
+
+/**
+ * Parses a GIFT (Moodle) file. Questions are separated by blank lines;
+ * "//" comments are ignored and "$CATEGORY:" lines tag the questions after them.
+ * @param {string} content - GIFT source.
+ * @returns {Array<Object>} Parsed items.
+ */
+const parse = (content) => {
+  const lines = String(content ?? "")
+    .replace(/^﻿/, "")
+    .split(/\r?\n/);
+  const items = [];
+  let block = [];
+  let blockLine = 0;
+  let category = null;
+
+  const flush = () => {
+    if (block.length === 0) return;
+    const item = createItem(items.length, blockLine);
+    readQuestion(item, block.join("\n"));
+    if (category) item.data.tags = [category];
+    items.push(item);
+    block = [];
+  };
+
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith("//")) return;
+    const categoryMatch = trimmed.match(/^\$CATEGORY:\s*(.+)$/i);
+    if (categoryMatch) {
+      flush();
+      category = categoryMatch[1].split("/").pop().trim().slice(0, 50) || null;
+      return;
+    }
+    if (!trimmed) {
+      // A blank line ends a question unless its answer block is still open
+      const open = block.join("\n");
+      if (findUnescaped(open, "{") === -1 || findUnescaped(open, "}", findUnescaped(open, "{")) !== -1) {
+        flush();
+        return;
+      }
+    }
+    if (block.length === 0) blockLine = i + 1;
+    block.push(line);
+  });
+  flush();
+
+  return items;
+};
+
+/**
+ * Writes the answer block of a question, or returns a reason when GIFT cannot express it.
+ * @param {Object} question - Question document.
+ * @returns {{text?: string, block?: string, reason?: string}} Question text and block.
+ */
+const writeAnswerBlock = (question) => {
+  const text = escapeGift(question.question);
+  switch (question.format) {
+    case "multiple_choice": {
+      const correct = getCorrectOptions(question);
+      if (correct.length === 1) {
+        return {
+          text,
+          block: question.options
+            .map((option) =>
+              `${correct.includes(option) ? "=" : "~"}${escapeGift(option)}`
+            )
+            .join(" "),
+        };
+      }
+      const share = Math.round((100 / correct.length) * 100000) / 100000;
+      return {
+        text,
+        block: question.options
+          .map((option) =>
+            correct.includes(option)
+              ? `~%${share}%${escapeGift(option)}`
+              : `~%-100%${escapeGift(option)}`
+          )
+          .join(" "),
+      };
+    }
+    case "true_false": {
+      const value = toBoolean(question.correctAnswer);
+      if (value === null) return { reason: "Invalid true/false answer" };
+      return { text, block: value ? "TRUE" : "FALSE" };
+    }
+    case "short_answer":
+      return {
+        text,
+        block: getAcceptedValues(question)
+          .map((value) => `=${escapeGift(value)}`)
+          .join(" "),
+      };
+    case "calculation": {
+      const number = getNumericAnswer(question);
+      if (!number) return { reason: "Invalid numeric answer" };
+      return {
+        text: number.unit ? `${text} (${escapeGift(number.unit)})` : text,
+        block: `#${number.value}:${number.tolerance}`,
+      };
+    }
+    case "matching": {
+      const pairs = getPairs(question);
+      if (pairs.length < 3) {
+        return { reason: "GIFT matching needs at least 3 pairs" };
+      }
+      return {
+        text,
+        block: pairs
+          .map((pair) => `=${escapeGift(pair.question)} -> ${escapeGift(pair.answer)}`)
+          .join(" "),
+      };
+    }
+    case "essay":
+      return { text, block: "" };
+    case "fill_in_the_blank": {
+      const blanks = Array.isArray(question.correctAnswer)
+        ? question.correctAnswer
+        : [question.correctAnswer];
+      const parts = question.question.split(BLANK_MARKER);
+      if (blanks.length !== 1 || parts.length !== 2) {
+        return { reason: "GIFT only supports a single blank" };
+      }
+      const accepted = [blanks[0]].flat().map(String);
+      return {
+        text: escapeGift(parts[0].trim()),
+        block: accepted.map((value) => `=${escapeGift(value)}`).join(" "),
+        after: escapeGift(parts[1].trim()),
+      };
+    }
+    default:
+      return { reason: `Format ${question.format} has no GIFT equivalent` };
+  }
+};
+
+/**
+ * Writes questions as GIFT; formats GIFT cannot express are skipped.
+ * @param {Array<Object>} questions - Question documents.
+ * @returns {{content: string, exported: number, skipped: Array}} GIFT file and skipped questions.
+ */
+const serialize = (questions) => {
+  const blocks = [];
+  const skipped = [];
+  questions.forEach((question) => {
+    const written = writeAnswerBlock(question);
+    if (written.reason) {
+      skipped.push({ id: question._id, reason: written.reason });
+      return;
+    }
+    const feedback = question.explanation
+      ? `####${escapeGift(question.explanation)}`
+      : "";
+    const answer = `{${written.block}${written.block && feedback ? " " : ""}${feedback}}`;
+    blocks.push(
+      `::${question._id}:: ${written.text} ${answer}${written.after ? ` ${written.after}` : ""}`
+    );
+  });
+  return {
+    content: blocks.length > 0 ? `${blocks.join("\n\n")}\n` : "",
+    exported: blocks.length,
+    skipped,
+  };
+};
+
+module.exports = {
+  parse,
+  serialize,
+  contentType: "text/plain; charset=utf-8",
+  extension: "gift.txt",
+};
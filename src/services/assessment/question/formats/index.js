@@ -0,0 +1,17 @@
+const gift = require("./gift.format");
+const aiken = require("./aiken.format");
+const qti = require("./qti.format");
+const csv = require("./csv.format");
+
+/**
+ * Question interchange formats by name. Each format exposes
+ * `parse(content)` returning one item per source question
+ * ({index, line, title, data, errors}) and `serialize(questions)` returning
+ * {content, exported, skipped}.
+ */
+module.exports = {
+  gift,
+  aiken,
+  qti,
+  csv,
+};
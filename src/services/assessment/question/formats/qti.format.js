@@ -0,0 +1,613 @@
+const {
+  BLANK_MARKER,
+  TRUE_FALSE_OPTIONS,
+  createItem,
+  escapeXml,
+  htmlToText,
+  excerpt,
+  getAcceptedValues,
+  getNumericAnswer,
+  getPairs,
+  getCorrectOptions,
+  trueFalseFields,
+  isTrueFalsePair,
+  toBoolean,
+} = require("./format.utils");
+const { parseXml, findAll, findFirst, textContent } = require("./xml.utils");
+const { isZip, createZip, readZip } = require("./zip.utils");
+
+const QTI_NAMESPACE = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const BLOCK_ELEMENTS = new Set([
+  "p",
+  "div",
+  "br",
+  "li",
+  "ul",
+  "ol",
+  "blockquote",
+  "pre",
+  "table",
+  "tr",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+]);
+
+// =============== IMPORT =============
+/**
+ * Escapes parsed text so that it survives a second pass through htmlToText.
+ * @param {string} text - Decoded text.
+ * @returns {string} Escaped text.
+ */
+const escapeText = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;");
+
+/**
+ * Serializes the children of an element as light HTML, marking block ends with <br>.
+ * @param {Object} node - Element.
+ * @returns {string} Light HTML.
+ */
+const toMarkup = (node) =>
+  (node?.children ?? [])
+    .map((child) =>
+      typeof child === "string"
+        ? escapeText(child)
+        : `${toMarkup(child)}${BLOCK_ELEMENTS.has(child.name) ? "<br>" : ""}`
+    )
+    .join("");
+
+/**
+ * Reads the text of an element as plain text, keeping paragraph breaks.
+ * @param {Object} node - Element.
+ * @returns {string} Plain text.
+ */
+const plainText = (node) => htmlToText(toMarkup(node));
+
+/**
+ * Renders the item body as question text: interactions are left out except
+ * for their prompt, and each text entry becomes a blank.
+ * @param {Object} node - itemBody element.
+ * @returns {string} Text with blank markers, as light HTML.
+ */
+const renderBody = (node) =>
+  (node.children ?? [])
+    .map((child) => {
+      if (typeof child === "string") return escapeText(child);
+      if (child.name === "textEntryInteraction") return ` ${BLANK_MARKER} `;
+      if (child.name.endsWith("Interaction")) {
+        const prompt = findFirst(child, "prompt");
+        return prompt ? `${toMarkup(prompt)}<br>` : "";
+      }
+      if (child.name === "rubricBlock") return "";
+      return `${renderBody(child)}${BLOCK_ELEMENTS.has(child.name) ? "<br>" : ""}`;
+    })
+    .join("");
+
+/**
+ * Collects the media referenced by <img> and <object> elements.
+ * @param {Object} node - Element to search.
+ * @returns {Array<Object>} Media entries.
+ */
+const readMedia = (node) => [
+  ...findAll(node, "img")
+    .filter((img) => /^https?:\/\//i.test(img.attributes.src ?? ""))
+    .map((img) => ({
+      mediaType: "image",
+      url: img.attributes.src,
+      ...(img.attributes.alt ? { altText: img.attributes.alt } : {}),
+    })),
+  ...findAll(node, "object")
+    .filter((object) => /^https?:\/\//i.test(object.attributes.data ?? ""))
+    .map((object) => {
+      const type = (object.attributes.type ?? "").split("/")[0];
+      return {
+        mediaType: ["image", "audio", "video"].includes(type) ? type : "document",
+        url: object.attributes.data,
+      };
+    }),
+];
+
+/**
+ * Reads the response declarations of an item.
+ * @param {Object} element - assessmentItem element.
+ * @returns {Map<string, Object>} Declarations by identifier.
+ */
+const readDeclarations = (element) =>
+  new Map(
+    findAll(element, "responseDeclaration").map((declaration) => [
+      declaration.attributes.identifier,
+      {
+        baseType: declaration.attributes.baseType,
+        cardinality: declaration.attributes.cardinality,
+        correct: findAll(findFirst(declaration, "correctResponse"), "value").map(
+          (value) => textContent(value).trim()
+        ),
+        mapped: findAll(declaration, "mapEntry")
+          .filter((entry) => Number.parseFloat(entry.attributes.mappedValue) > 0)
+          .map((entry) => entry.attributes.mapKey),
+      },
+    ])
+  );
+
+/**
+ * Reads the choices of an interaction by identifier.
+ * @param {Object} node - Interaction or match set.
+ * @param {string} name - Choice element name.
+ * @returns {Array<{id: string, text: string}>} Choices in document order.
+ */
+const readChoices = (node, name) =>
+  findAll(node, name).map((choice) => ({
+    id: choice.attributes.identifier,
+    text: plainText(choice),
+  }));
+
+/**
+ * Maps the interaction of one assessmentItem onto Question fields.
+ * @param {Object} item - Item being parsed.
+ * @param {Object} element - assessmentItem element.
+ */
+const readItem = (item, element) => {
+  const body = findFirst(element, "itemBody");
+  if (!body) {
+    item.errors.push("Missing itemBody");
+    return;
+  }
+
+  const declarations = readDeclarations(element);
+  const interactions = [];
+  const collect = (node) =>
+    (node.children ?? []).forEach((child) => {
+      if (typeof child === "string") return;
+      if (child.name.endsWith("Interaction")) interactions.push(child);
+      else collect(child);
+    });
+  collect(body);
+
+  const questionText = htmlToText(renderBody(body));
+  const data = item.data;
+  data.question = questionText;
+  if (!item.title) item.title = excerpt(questionText);
+
+  const explanation = findAll(element, "modalFeedback")
+    .map(plainText)
+    .filter(Boolean)
+    .join("\n");
+  if (explanation) data.explanation = explanation;
+  const media = readMedia(body);
+  if (media.length > 0) data.content = { media };
+
+  if (interactions.length === 0) {
+    item.errors.push("No interaction found");
+    return;
+  }
+  const kinds = [...new Set(interactions.map((interaction) => interaction.name))];
+  if (kinds.length > 1) {
+    item.errors.push(`Items mixing interactions are not supported (${kinds.join(", ")})`);
+    return;
+  }
+
+  const [interaction] = interactions;
+  const declarationOf = (node) =>
+    declarations.get(node.attributes.responseIdentifier) ?? {
+      correct: [],
+      mapped: [],
+    };
+  const declaration = declarationOf(interaction);
+
+  switch (interaction.name) {
+    case "choiceInteraction": {
+      const choices = readChoices(interaction, "simpleChoice");
+      const texts = choices.map((choice) => choice.text);
+      const correct = choices
+        .filter((choice) => declaration.correct.includes(choice.id))
+        .map((choice) => choice.text);
+      if (correct.length === 0) {
+        item.errors.push("No correct response declared");
+        return;
+      }
+      if (isTrueFalsePair(texts) && correct.length === 1) {
+        Object.assign(data, trueFalseFields(toBoolean(correct[0])));
+        return;
+      }
+      Object.assign(data, {
+        format: "multiple_choice",
+        options: texts,
+        correctAnswer:
+          declaration.cardinality === "single" || interaction.attributes.maxChoices === "1"
+            ? correct[0]
+            : correct,
+      });
+      return;
+    }
+    case "textEntryInteraction": {
+      const blanks = interactions.map((entry) => {
+        const entryDeclaration = declarationOf(entry);
+        return [...new Set([...entryDeclaration.correct, ...entryDeclaration.mapped])];
+      });
+      if (blanks.some((values) => values.length === 0)) {
+        item.errors.push("A text entry has no correct response");
+        return;
+      }
+
+      // A single entry closing the text is a plain answer field
+      const trailing = questionText.endsWith(BLANK_MARKER);
+      if (blanks.length === 1 && trailing) {
+        data.question = questionText.slice(0, -BLANK_MARKER.length).trim();
+        const [main, ...alternatives] = blanks[0];
+        if (["float", "integer"].includes(declaration.baseType)) {
+          const tolerance = Number.parseFloat(
+            (findFirst(element, "equal")?.attributes.tolerance ?? "0").split(/\s+/)[0]
+          );
+          Object.assign(data, {
+            format: "calculation",
+            correctAnswer: Number.parseFloat(main),
+            grading: { tolerance: Number.isFinite(tolerance) ? tolerance : 0 },
+          });
+          return;
+        }
+        Object.assign(data, {
+          format: "short_answer",
+          correctAnswer: main,
+          ...(alternatives.length > 0 ? { grading: { acceptedAnswers: alternatives } } : {}),
+        });
+        return;
+      }
+      Object.assign(data, {
+        format: "fill_in_the_blank",
+        correctAnswer: blanks.map((values) => (values.length === 1 ? values[0] : values)),
+      });
+      return;
+    }
+    case "extendedTextInteraction":
+      Object.assign(data, {
+        format: "essay",
+        correctAnswer: declaration.correct[0] ?? "",
+      });
+      return;
+    case "matchInteraction": {
+      const [leftSet, rightSet] = findAll(interaction, "simpleMatchSet");
+      const left = readChoices(leftSet, "simpleAssociableChoice");
+      const right = readChoices(rightSet, "simpleAssociableChoice");
+      const textOf = (choices, id) => choices.find((choice) => choice.id === id)?.text;
+      const pairs = declaration.correct.map((value) => {
+        const [leftId, rightId] = value.split(/\s+/);
+        return { question: textOf(left, leftId), answer: textOf(right, rightId) };
+      });
+      if (pairs.length === 0 || pairs.some((pair) => !pair.question || !pair.answer)) {
+        item.errors.push("Matching pairs do not reference declared choices");
+        return;
+      }
+      Object.assign(data, {
+        format: "matching",
+        options: [
+          ...pairs.map((pair) => pair.question),
+          ...pairs.map((pair) => pair.answer),
+        ],
+        correctAnswer: pairs,
+      });
+      return;
+    }
+    case "orderInteraction": {
+      const choices = readChoices(interaction, "simpleChoice");
+      const ordered = declaration.correct.map(
+        (id) => choices.find((choice) => choice.id === id)?.text
+      );
+      if (ordered.length === 0 || ordered.some((text) => !text)) {
+        item.errors.push("Order does not reference declared choices");
+        return;
+      }
+      Object.assign(data, {
+        format: "text_sequencing",
+        options: choices.map((choice) => choice.text),
+        correctAnswer: ordered,
+      });
+      return;
+    }
+    default:
+      item.errors.push(`Unsupported QTI interaction: ${interaction.name}`);
+  }
+};
+
+/**
+ * Parses QTI 2.1: an XML document holding one or more assessmentItem
+ * elements, or a content package (ZIP) of item files.
+ * @param {string|Buffer} content - XML text or ZIP archive.
+ * @returns {Array<Object>} Parsed items.
+ */
+const parse = (content) => {
+  const files = isZip(content)
+    ? readZip(content)
+        .filter((file) => /\.xml$/i.test(file.name) && !/imsmanifest\.xml$/i.test(file.name))
+        .map((file) => ({ name: file.name, xml: file.content.toString("utf8") }))
+    : [{ name: null, xml: Buffer.isBuffer(content) ? content.toString("utf8") : content }];
+
+  const items = [];
+  files.forEach(({ name, xml }) => {
+    let document;
+    try {
+      document = parseXml(xml);
+    } catch (error) {
+      const item = createItem(items.length, 0, name ?? "");
+      item.errors.push(`Invalid XML${name ? ` in ${name}` : ""}: ${error.message}`);
+      items.push(item);
+      return;
+    }
+
+    findAll(document, "assessmentItem").forEach((element) => {
+      const item = createItem(
+        items.length,
+        0,
+        element.attributes.title || element.attributes.identifier || ""
+      );
+      if (name) item.file = name;
+      readItem(item, element);
+      items.push(item);
+    });
+  });
+  return items;
+};
+
+// =============== EXPORT =============
+/**
+ * Writes a text entry response declaration with its accepted values.
+ * @param {string} identifier - Response identifier.
+ * @param {string[]} values - Accepted values, the first being correct.
+ * @param {string} [baseType="string"] - QTI base type.
+ * @returns {string} XML.
+ */
+const textDeclaration = (identifier, values, baseType = "string") => `
+  <responseDeclaration identifier="${identifier}" cardinality="single" baseType="${baseType}">
+    <correctResponse><value>${escapeXml(values[0])}</value></correctResponse>${
+      baseType === "string"
+        ? `
+    <mapping defaultValue="0">${values
+      .map((value) => `<mapEntry mapKey="${escapeXml(value)}" mappedValue="1"/>`)
+      .join("")}</mapping>`
+        : ""
+    }
+  </responseDeclaration>`;
+
+/**
+ * Writes the media of a question as XHTML.
+ * @param {Object} question - Question document.
+ * @returns {string} XML.
+ */
+const writeMedia = (question) =>
+  (question.content?.media ?? [])
+    .filter((media) => media.url)
+    .map((media) =>
+      media.mediaType === "image"
+        ? `<p><img src="${escapeXml(media.url)}" alt="${escapeXml(media.altText ?? "")}"/></p>`
+        : `<p><object data="${escapeXml(media.url)}" type="${media.mediaType === "document" ? "application/pdf" : `${media.mediaType}/*`}"/></p>`
+    )
+    .join("");
+
+/**
+ * Writes text as XHTML paragraphs, one per line.
+ * @param {string} text - Plain text.
+ * @returns {string} XML.
+ */
+const paragraphs = (text) =>
+  String(text ?? "")
+    .split(/\n+/)
+    .filter((line) => line.trim())
+    .map((line) => `<p>${escapeXml(line)}</p>`)
+    .join("");
+
+/**
+ * Builds the declarations, body and response processing of one question.
+ * @param {Object} question - Question document.
+ * @returns {{declarations: string, body: string, processing: string}|{reason: string}} Item parts.
+ */
+const writeInteraction = (question) => {
+  const matchCorrect = `<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>`;
+  const mapResponse = `<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>`;
+
+  switch (question.format) {
+    case "multiple_choice":
+    case "true_false": {
+      const isTrueFalse = question.format === "true_false";
+      const options = isTrueFalse ? TRUE_FALSE_OPTIONS : question.options;
+      const correct = isTrueFalse
+        ? [toBoolean(question.correctAnswer) ? options[0] : options[1]]
+        : getCorrectOptions(question);
+      const single = correct.length === 1;
+      const ids = correct.map((value) => `CHOICE_${options.indexOf(value)}`);
+      return {
+        declarations: `
+  <responseDeclaration identifier="RESPONSE" cardinality="${single ? "single" : "multiple"}" baseType="identifier">
+    <correctResponse>${ids.map((id) => `<value>${id}</value>`).join("")}</correctResponse>
+  </responseDeclaration>`,
+        body: `${paragraphs(question.question)}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="true" maxChoices="${single ? 1 : 0}">${options
+      .map((option, i) => `
+      <simpleChoice identifier="CHOICE_${i}">${escapeXml(option)}</simpleChoice>`)
+      .join("")}
+    </choiceInteraction>`,
+        processing: matchCorrect,
+      };
+    }
+    case "short_answer":
+      return {
+        declarations: textDeclaration("RESPONSE", getAcceptedValues(question)),
+        body: `${paragraphs(question.question)}
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>`,
+        processing: mapResponse,
+      };
+    case "calculation": {
+      const number = getNumericAnswer(question);
+      if (!number) return { reason: "Invalid numeric answer" };
+      return {
+        declarations: textDeclaration("RESPONSE", [String(number.value)], "float"),
+        body: `${paragraphs(number.unit ? `${question.question} (${number.unit})` : question.question)}
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="15"/></p>`,
+        processing: `<responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <equal toleranceMode="absolute" tolerance="${number.tolerance} ${number.tolerance}">
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </equal>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+  </responseProcessing>`,
+      };
+    }
+    case "essay":
+      return {
+        declarations: `
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>`,
+        body: `${paragraphs(question.question)}
+    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="15"/>`,
+        processing: "",
+      };
+    case "fill_in_the_blank": {
+      const blanks = Array.isArray(question.correctAnswer)
+        ? question.correctAnswer
+        : [question.correctAnswer];
+      const parts = question.question.split(BLANK_MARKER);
+      if (parts.length !== blanks.length + 1) {
+        return { reason: "Blank markers do not match the answers" };
+      }
+      return {
+        declarations: blanks
+          .map((blank, i) => textDeclaration(`RESPONSE_${i}`, [blank].flat().map(String)))
+          .join(""),
+        body: `<p>${parts
+          .map((part, i) =>
+            i < blanks.length
+              ? `${escapeXml(part)}<textEntryInteraction responseIdentifier="RESPONSE_${i}" expectedLength="15"/>`
+              : escapeXml(part)
+          )
+          .join("")}</p>`,
+        processing: mapResponse,
+      };
+    }
+    case "matching": {
+      const pairs = getPairs(question);
+      if (pairs.length === 0) return { reason: "No matching pairs" };
+      const rights = [...new Set(pairs.map((pair) => pair.answer))];
+      return {
+        declarations: `
+  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>${pairs
+      .map((pair, i) => `<value>L_${i} R_${rights.indexOf(pair.answer)}</value>`)
+      .join("")}</correctResponse>
+  </responseDeclaration>`,
+        body: `${paragraphs(question.question)}
+    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">
+      <simpleMatchSet>${pairs
+        .map((pair, i) => `
+        <simpleAssociableChoice identifier="L_${i}" matchMax="1">${escapeXml(pair.question)}</simpleAssociableChoice>`)
+        .join("")}
+      </simpleMatchSet>
+      <simpleMatchSet>${rights
+        .map((right, i) => `
+        <simpleAssociableChoice identifier="R_${i}" matchMax="${pairs.length}">${escapeXml(right)}</simpleAssociableChoice>`)
+        .join("")}
+      </simpleMatchSet>
+    </matchInteraction>`,
+        processing: matchCorrect,
+      };
+    }
+    case "text_sequencing": {
+      const ordered = [question.correctAnswer].flat().map(String);
+      const choices = question.options?.length ? question.options : ordered;
+      if (ordered.some((value) => !choices.includes(value))) {
+        return { reason: "Sequence does not match the options" };
+      }
+      return {
+        declarations: `
+  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>${ordered
+      .map((value) => `<value>CHOICE_${choices.indexOf(value)}</value>`)
+      .join("")}</correctResponse>
+  </responseDeclaration>`,
+        body: `${paragraphs(question.question)}
+    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">${choices
+      .map((choice, i) => `
+      <simpleChoice identifier="CHOICE_${i}">${escapeXml(choice)}</simpleChoice>`)
+      .join("")}
+    </orderInteraction>`,
+        processing: matchCorrect,
+      };
+    }
+    default:
+      return { reason: `Format ${question.format} has no QTI equivalent` };
+  }
+};
+
+/**
+ * Writes one question as a QTI 2.1 assessmentItem.
+ * @param {Object} question - Question document.
+ * @param {Object} parts - Output of writeInteraction.
+ * @returns {string} XML document.
+ */
+const writeItem = (question, { declarations, body, processing }) => `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1p1.xsd" identifier="Q${question._id}" title="${escapeXml(excerpt(question.question))}" adaptive="false" timeDependent="false">${declarations}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    ${writeMedia(question)}${body}
+  </itemBody>
+  ${processing}${
+    question.explanation
+      ? `
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(question.explanation)}</modalFeedback>`
+      : ""
+  }
+</assessmentItem>
+`;
+
+/**
+ * Writes questions as a QTI 2.1 content package: one item file per question
+ * and an imsmanifest.xml listing them.
+ * @param {Array<Object>} questions - Question documents.
+ * @returns {{content: Buffer, exported: number, skipped: Array}} ZIP package and skipped questions.
+ */
+const serialize = (questions) => {
+  const files = [];
+  const skipped = [];
+  questions.forEach((question) => {
+    const parts = writeInteraction(question);
+    if (parts.reason) {
+      skipped.push({ id: question._id, reason: parts.reason });
+      return;
+    }
+    files.push({ name: `items/Q${question._id}.xml`, content: writeItem(question, parts) });
+  });
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST_${Date.now()}">
+  <organizations/>
+  <resources>${files
+    .map(
+      (file) => `
+    <resource identifier="${file.name.slice(6, -4)}" type="imsqti_item_xmlv2p1" href="${file.name}">
+      <file href="${file.name}"/>
+    </resource>`
+    )
+    .join("")}
+  </resources>
+</manifest>
+`;
+
+  return {
+    content: createZip([{ name: "imsmanifest.xml", content: manifest }, ...files]),
+    exported: files.length,
+    skipped,
+  };
+};
+
+module.exports = {
+  parse,
+  serialize,
+  contentType: "application/zip",
+  extension: "qti.zip",
+  binary: true,
+};
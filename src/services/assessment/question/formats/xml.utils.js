@@ -0,0 +1,110 @@
+const { decodeEntities } = require("./format.utils");
+
+const TOKEN =
+  /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([\w.:-]+)\s*>|<([\w.:-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Drops the namespace prefix of a tag or attribute name.
+ * @param {string} name - Qualified name.
+ * @returns {string} Local name.
+ */
+const localName = (name) => name.slice(name.indexOf(":") + 1);
+
+/**
+ * Parses an XML document into a light element tree. Namespace prefixes are
+ * dropped; comments, processing instructions and doctypes are ignored.
+ * @param {string} xml - XML source.
+ * @returns {{name: string, attributes: Object, children: Array}} Document root (a "#document" node).
+ * @throws {Error} On mismatched or unclosed tags.
+ */
+const parseXml = (xml) => {
+  const root = { name: "#document", attributes: {}, children: [] };
+  const stack = [root];
+  const source = String(xml ?? "").replace(/^﻿/, "");
+  let match;
+  let position = 0;
+
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(source)) !== null) {
+    // Characters skipped between tokens are a tag the grammar rejected
+    if (match.index !== position) throw new Error("Malformed tag");
+    position = TOKEN.lastIndex;
+
+    const [, cdata, closing, opening, attributeText, selfClosing, text] =
+      match;
+    const parent = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      parent.children.push(cdata);
+    } else if (text !== undefined) {
+      parent.children.push(decodeEntities(text));
+    } else if (closing !== undefined) {
+      const name = localName(closing);
+      if (parent.name !== name) {
+        throw new Error(`Unexpected closing tag </${closing}>`);
+      }
+      stack.pop();
+    } else if (opening !== undefined) {
+      const attributes = {};
+      let attribute;
+      ATTRIBUTE.lastIndex = 0;
+      while ((attribute = ATTRIBUTE.exec(attributeText)) !== null) {
+        attributes[localName(attribute[1])] = decodeEntities(
+          attribute[2] ?? attribute[3]
+        );
+      }
+      const element = { name: localName(opening), attributes, children: [] };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (position !== source.length) throw new Error("Malformed tag");
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+};
+
+/**
+ * Finds the descendant elements with a given name, in document order.
+ * @param {Object} node - Element to search.
+ * @param {string} name - Local element name.
+ * @returns {Array<Object>} Matching elements.
+ */
+const findAll = (node, name) => {
+  const found = [];
+  (node?.children ?? []).forEach((child) => {
+    if (typeof child === "string") return;
+    if (child.name === name) found.push(child);
+    found.push(...findAll(child, name));
+  });
+  return found;
+};
+
+/**
+ * Finds the first descendant element with a given name.
+ * @param {Object} node - Element to search.
+ * @param {string} name - Local element name.
+ * @returns {Object|undefined} Element.
+ */
+const findFirst = (node, name) => findAll(node, name)[0];
+
+/**
+ * Reads the text content of an element and its descendants.
+ * @param {Object} node - Element.
+ * @returns {string} Concatenated text.
+ */
+const textContent = (node) =>
+  (node?.children ?? [])
+    .map((child) => (typeof child === "string" ? child : textContent(child)))
+    .join("");
+
+module.exports = {
+  parseXml,
+  findAll,
+  findFirst,
+  textContent,
+};
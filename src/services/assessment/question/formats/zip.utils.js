@@ -0,0 +1,155 @@
+const zlib = require("zlib");
+
+// Limits applied when reading uploaded packages
+const MAX_ENTRIES = 2000;
+const MAX_UNCOMPRESSED_SIZE = 50 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum of a buffer.
+ * @param {Buffer} buffer - Data.
+ * @returns {number} Unsigned checksum.
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Checks whether a buffer starts with a ZIP local file header.
+ * @param {Buffer} buffer - Data.
+ * @returns {boolean} True for a ZIP archive.
+ */
+const isZip = (buffer) =>
+  Buffer.isBuffer(buffer) &&
+  buffer.length >= 4 &&
+  buffer.readUInt32LE(0) === 0x04034b50;
+
+/**
+ * Builds a ZIP archive with deflated entries.
+ * @param {Array<{name: string, content: string|Buffer}>} files - Files to store.
+ * @returns {Buffer} ZIP archive.
+ */
+const createZip = (files) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Reads the files of a ZIP archive (stored or deflated entries).
+ * @param {Buffer} buffer - ZIP archive.
+ * @returns {Array<{name: string, content: Buffer}>} Files, directories excluded.
+ * @throws {Error} If the archive is malformed or exceeds the size limits.
+ */
+const readZip = (buffer) => {
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) throw new Error("Invalid ZIP archive");
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  if (count > MAX_ENTRIES) throw new Error("ZIP archive has too many entries");
+
+  const files = [];
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  let totalSize = 0;
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pointer) !== 0x02014b50) {
+      throw new Error("Invalid ZIP central directory");
+    }
+    const method = buffer.readUInt16LE(pointer + 10);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const size = buffer.readUInt32LE(pointer + 24);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString("utf8", pointer + 46, pointer + 46 + nameLength);
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    totalSize += size;
+    if (totalSize > MAX_UNCOMPRESSED_SIZE) {
+      throw new Error("ZIP archive is too large once extracted");
+    }
+
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      files.push({ name, content: Buffer.from(data) });
+    } else if (method === 8) {
+      files.push({
+        name,
+        content: zlib.inflateRawSync(data, { maxOutputLength: size || 1 }),
+      });
+    } else {
+      throw new Error(`Unsupported ZIP compression for ${name}`);
+    }
+  }
+  return files;
+};
+
+module.exports = {
+  crc32,
+  isZip,
+  createZip,
+  readZip,
+};
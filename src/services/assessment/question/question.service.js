@@ -1,13 +1,55 @@
 const { Question } = require("../../../models/assessment/question.model");
+const contentRevisionService = require("../../learning/revision/content.revision.service");
+const {
+  isTemplated,
+  drawTemplateValues,
+  renderTemplate,
+  computeTemplateAnswer,
+  getTemplateError,
+} = require("./template.utils");
+const { checkHotspots } = require("../../../utils/hotspot.utils");
+const { createSeed } = require("../../../utils/shuffle.utils");
 const { ApiError } = require("../../../utils/ApiError");
+const {
+  QUESTION_STATUSES,
+  QUESTION_REVIEW_ACTIONS,
+  REVISION_CONTENT_TYPES,
+} = require("../../../constants");
 const createLogger = require("../../../services/logging.service");
 
 const logger = createLogger("QuestionService");
 
+// Fields whose edit sends an approved question back to review
+const REVIEWED_FIELDS = [
+  "question",
+  "format",
+  "options",
+  "correctAnswer",
+  "grading",
+  "template",
+  "map",
+  "diagram",
+  "rubric",
+  "steps",
+  "content",
+];
+
 class QuestionService {
   async createQuestion(data) {
     try {
-      const question = new Question(data);
+      const { status, ...fields } = data;
+      this.checkTemplate(fields);
+      this.checkDiagram(fields);
+      const question = new Question(fields);
+      if (status === QUESTION_STATUSES[1]) {
+        // review: the author submits the question as soon as it is created
+        question.recordReviewEvent(
+          QUESTION_REVIEW_ACTIONS[0], // submit
+          question.creatorId,
+          QUESTION_STATUSES[1]
+        );
+        question.review.submittedAt = new Date();
+      }
       await question.save();
       logger.info(`Created question: ${question._id}`);
       return question;
@@ -46,18 +88,7 @@ class QuestionService {
         sortBy = "createdAt",
         sortOrder = "desc",
       } = options;
-      const query = {};
-      if (filters.topicId) query.topicId = filters.topicId;
-      if (filters.subjectId) query.subjectId = filters.subjectId;
-      if (filters.creatorId) query.creatorId = filters.creatorId;
-      if (filters.series) query.series = filters.series;
-      if (filters.level) query.level = filters.level;
-      if (filters.format) query.format = filters.format;
-      if (filters.difficulty) query.difficulty = filters.difficulty;
-      if (filters.status) query.status = filters.status;
-      if (filters.premiumOnly !== undefined)
-        query.premiumOnly = filters.premiumOnly;
-      if (filters.isActive !== undefined) query.isActive = filters.isActive;
+      const query = this.buildQuery(filters);
 
       const skip = (page - 1) * limit;
       const sortOptions = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
@@ -90,19 +121,64 @@ class QuestionService {
     }
   }
 
-  async updateQuestion(id, data) {
+  buildQuery(filters = {}) {
+    const query = {};
+    if (filters.topicId) query.topicId = filters.topicId;
+    if (filters.subjectId) query.subjectId = filters.subjectId;
+    if (filters.creatorId) query.creatorId = filters.creatorId;
+    if (filters.passageId) query.passageId = filters.passageId;
+    if (filters.series) query.series = filters.series;
+    if (filters.level) query.level = filters.level;
+    if (filters.format) query.format = filters.format;
+    if (filters.difficulty) query.difficulty = filters.difficulty;
+    if (filters.status) query.status = filters.status;
+    if (filters.premiumOnly !== undefined)
+      query.premiumOnly = filters.premiumOnly;
+    if (filters.isActive !== undefined) query.isActive = filters.isActive;
+    return query;
+  }
+
+  async updateQuestion(id, data, userId) {
     try {
-      const question = await Question.findByIdAndUpdate(
-        id,
-        { $set: data },
-        { new: true, runValidators: true }
-      )
+      const previous = await Question.findById(id).lean();
+      if (previous) {
+        this.checkTemplate({ ...previous, ...data });
+        this.checkDiagram({ ...previous, ...data });
+      }
+      const update = { $set: data };
+      if (this.needsReReview(previous, data)) {
+        update.$set = {
+          ...data,
+          status: QUESTION_STATUSES[1], // review
+          "review.submittedAt": new Date(),
+          "validation.isVerified": false,
+        };
+        update.$push = {
+          "review.history": {
+            action: QUESTION_REVIEW_ACTIONS[0], // submit
+            userId,
+            fromStatus: previous.status,
+            toStatus: QUESTION_STATUSES[1], // review
+            comment: "Contenu modifié après approbation",
+          },
+        };
+      }
+      const question = await Question.findByIdAndUpdate(id, update, {
+        new: true,
+        runValidators: true,
+      })
         .populate("topicId", "name")
         .populate("subjectId", "name code")
         .populate("creatorId", "name")
         .populate("validation.verifiedBy", "name")
         .populate("relatedQuestions", "question");
       if (!question) throw new ApiError(404, "Question not found");
+      const revision = await contentRevisionService.recordRevision(
+        REVISION_CONTENT_TYPES[1], // question
+        previous,
+        userId
+      );
+      if (revision) question.version = revision.version;
       logger.info(`Updated question: ${id}`);
       return question;
     } catch (error) {
@@ -113,6 +189,14 @@ class QuestionService {
     }
   }
 
+  // Helper method to check whether an edit changes an approved question's content
+  needsReReview(previous, data) {
+    return (
+      previous?.status === QUESTION_STATUSES[2] && // approved
+      REVIEWED_FIELDS.some((field) => data[field] !== undefined)
+    );
+  }
+
   async deleteQuestion(id) {
     try {
       const question = await Question.findByIdAndDelete(id);
@@ -131,6 +215,22 @@ class QuestionService {
     try {
       const question = await Question.findById(id);
       if (!question) throw new ApiError(404, "Question not found");
+      if (question.status !== QUESTION_STATUSES[1]) {
+        // review
+        throw new ApiError(400, "Only questions under review can be verified");
+      }
+      if (question.creatorId.equals(verifierId)) {
+        throw new ApiError(403, "Authors cannot review their own questions");
+      }
+      if (qualityScore >= 7) {
+        // The score is high enough for verify() to approve the question
+        question.recordReviewEvent(
+          QUESTION_REVIEW_ACTIONS[2], // approve
+          verifierId,
+          QUESTION_STATUSES[2], // approved
+          { comment: `Score de qualité : ${qualityScore}/10` }
+        );
+      }
       await question.verify(verifierId, qualityScore, feedback);
       logger.info(`Verified question: ${id}`);
       return question;
@@ -141,6 +241,62 @@ class QuestionService {
         : new ApiError(500, "Failed to verify question");
     }
   }
+
+  async previewTemplate(id, seed = createSeed()) {
+    try {
+      const question = await Question.findById(id).lean();
+      if (!question) throw new ApiError(404, "Question not found");
+      if (!isTemplated(question)) {
+        throw new ApiError(400, "Question has no template variables");
+      }
+      const values = drawTemplateValues(question.template, `${seed}:${id}`);
+      if (!values) {
+        throw new ApiError(400, "No values satisfy the template constraints");
+      }
+      return {
+        seed,
+        values,
+        question: renderTemplate(question.question, values),
+        expectedAnswer: computeTemplateAnswer(
+          question.correctAnswer?.formula,
+          values
+        ),
+      };
+    } catch (error) {
+      logger.error("Error previewing question template:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to preview question template");
+    }
+  }
+
+  validateDiagram(diagram) {
+    const { errors, warnings } = checkHotspots(diagram);
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  // Templated questions must draw values and compute their answer formula
+  checkTemplate(question) {
+    if (!isTemplated(question) && !question.correctAnswer?.formula) return;
+    const templateError = getTemplateError(
+      question.template,
+      question.correctAnswer?.formula
+    );
+    if (templateError) throw new ApiError(400, templateError);
+  }
+
+  // Diagram hotspots must be well formed and fit in the image
+  checkDiagram(question) {
+    if (!question.diagram) return;
+    const { errors } = checkHotspots(question.diagram);
+    if (errors.length > 0) {
+      throw new ApiError(
+        400,
+        "Invalid diagram hotspots",
+        errors.map((error) => error.message)
+      );
+    }
+  }
 }
 
-module.exports = new QuestionService();
\ No newline at end of file
+module.exports = new QuestionService();
@@ -0,0 +1,296 @@
+const { Question } = require("../../../models/assessment/question.model");
+const { User } = require("../../../models/user/user.model");
+const notificationService = require("../../user/notification/notification.service");
+const { ApiError } = require("../../../utils/ApiError");
+const {
+  QUESTION_STATUSES,
+  QUESTION_REVIEW_ACTIONS,
+} = require("../../../constants");
+const {
+  getNextStatus,
+  getReviewPermissionError,
+  getReviewerError,
+} = require("./review.utils");
+const createLogger = require("../../../services/logging.service");
+
+const logger = createLogger("QuestionReviewService");
+
+// What the author is told about each review decision
+const DECISION_MESSAGES = {
+  approve: {
+    title: "Question approuvée",
+    message: "Votre question a été approuvée et peut être publiée.",
+  },
+  reject: {
+    title: "Question rejetée",
+    message: "Votre question a été rejetée par le relecteur.",
+  },
+  request_changes: {
+    title: "Modifications demandées",
+    message: "Le relecteur demande des modifications sur votre question.",
+  },
+};
+
+class QuestionReviewService {
+  // Submit a draft or rejected question for review
+  async submitForReview(id, user, { comment } = {}) {
+    try {
+      const question = await this.getQuestion(id);
+      this.recordAction(question, QUESTION_REVIEW_ACTIONS[0], user, {
+        comment,
+      }); // submit
+      question.review.submittedAt = new Date();
+      await question.save();
+
+      logger.info(`Question ${id} submitted for review by ${user._id}`);
+      return question;
+    } catch (error) {
+      logger.error("Error submitting question for review:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to submit question for review");
+    }
+  }
+
+  // Assign a reviewer other than the author to a question under review
+  async assignReviewer(id, reviewerId, user) {
+    try {
+      const [question, reviewer] = await Promise.all([
+        this.getQuestion(id),
+        User.findById(reviewerId).select("name role"),
+      ]);
+      if (!reviewer) throw new ApiError(404, "Reviewer not found");
+      const reviewerError = getReviewerError(question, reviewer);
+      if (reviewerError) throw new ApiError(400, reviewerError);
+
+      this.recordAction(question, QUESTION_REVIEW_ACTIONS[1], user); // assign
+      question.review.reviewerId = reviewer._id;
+      question.review.assignedBy = user._id;
+      question.review.assignedAt = new Date();
+      await question.save();
+
+      await this.notify(
+        reviewer._id,
+        question,
+        "Question à relire",
+        "Une question vous a été assignée pour relecture."
+      );
+      logger.info(`Question ${id} assigned to reviewer ${reviewerId}`);
+      return question;
+    } catch (error) {
+      logger.error("Error assigning question reviewer:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to assign reviewer");
+    }
+  }
+
+  // Approve a question under review, optionally with a quality score
+  async approveQuestion(id, user, { comment, qualityScore } = {}) {
+    try {
+      const question = await this.getQuestion(id);
+      this.recordAction(question, QUESTION_REVIEW_ACTIONS[2], user, {
+        comment,
+      }); // approve
+      question.validation.isVerified = true;
+      question.validation.verifiedBy = user._id;
+      question.validation.verifiedAt = new Date();
+      if (qualityScore !== undefined) {
+        question.validation.qualityScore = qualityScore;
+      }
+      await question.save();
+
+      await this.notifyDecision(question, QUESTION_REVIEW_ACTIONS[2], comment);
+      logger.info(`Question ${id} approved by ${user._id}`);
+      return question;
+    } catch (error) {
+      logger.error("Error approving question:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to approve question");
+    }
+  }
+
+  // Reject a question under review
+  async rejectQuestion(id, user, { comment }) {
+    try {
+      const question = await this.getQuestion(id);
+      this.recordAction(question, QUESTION_REVIEW_ACTIONS[3], user, {
+        comment,
+      }); // reject
+      await question.save();
+
+      await this.notifyDecision(question, QUESTION_REVIEW_ACTIONS[3], comment);
+      logger.info(`Question ${id} rejected by ${user._id}`);
+      return question;
+    } catch (error) {
+      logger.error("Error rejecting question:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to reject question");
+    }
+  }
+
+  // Send a question back to its author as a draft with the changes to make
+  async requestChanges(id, user, { comment, changes = [] }) {
+    try {
+      const question = await this.getQuestion(id);
+      this.recordAction(question, QUESTION_REVIEW_ACTIONS[4], user, {
+        comment,
+        requestedChanges: changes,
+      }); // request_changes
+      await question.save();
+
+      await this.notifyDecision(question, QUESTION_REVIEW_ACTIONS[4], comment);
+      logger.info(`Changes requested on question ${id} by ${user._id}`);
+      return question;
+    } catch (error) {
+      logger.error("Error requesting question changes:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to request changes");
+    }
+  }
+
+  // Archive a question, or bring an archived question back as a draft
+  async setArchived(id, user, archived, { comment } = {}) {
+    try {
+      const question = await this.getQuestion(id);
+      this.recordAction(
+        question,
+        archived ? QUESTION_REVIEW_ACTIONS[5] : QUESTION_REVIEW_ACTIONS[6], // archive, restore
+        user,
+        { comment }
+      );
+      await question.save();
+
+      logger.info(`Question ${id} ${archived ? "archived" : "restored"}`);
+      return question;
+    } catch (error) {
+      logger.error("Error changing question archive status:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to change question archive status");
+    }
+  }
+
+  // Questions awaiting review; administrators also see unassigned ones
+  async getReviewQueue(user, filters = {}) {
+    const { subjectId, topicId, unassigned, page = 1, limit = 20 } = filters;
+    try {
+      const query = { status: QUESTION_STATUSES[1], isActive: true }; // review
+      if (user.role !== "admin") {
+        query["review.reviewerId"] = user._id;
+      } else if (String(unassigned) === "true") {
+        query["review.reviewerId"] = { $exists: false };
+      }
+      if (subjectId) query.subjectId = subjectId;
+      if (topicId) query.topicId = topicId;
+
+      const skip = (page - 1) * limit;
+      const [questions, total] = await Promise.all([
+        Question.find(query)
+          .select("-review.history -analytics -irt -usage")
+          .populate("subjectId", "name code")
+          .populate("topicId", "name")
+          .populate("creatorId", "name")
+          .populate("review.reviewerId", "name")
+          .sort({ "review.submittedAt": 1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        Question.countDocuments(query),
+      ]);
+
+      logger.info(`Retrieved ${questions.length} questions awaiting review`);
+      return {
+        questions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+        },
+      };
+    } catch (error) {
+      logger.error("Error retrieving review queue:", error);
+      throw new ApiError(500, "Failed to retrieve review queue");
+    }
+  }
+
+  // Make sure only approved questions go into published quizzes, challenges and assessments
+  async ensureApproved(questionIds = []) {
+    if (questionIds.length === 0) return;
+    const notApproved = await Question.find({
+      _id: { $in: questionIds },
+      status: { $ne: QUESTION_STATUSES[2] }, // approved
+    })
+      .select("status")
+      .lean();
+    if (notApproved.length > 0) {
+      throw new ApiError(
+        400,
+        "Only approved questions can be published",
+        notApproved.map((q) => ({ questionId: q._id, status: q.status }))
+      );
+    }
+  }
+
+  // Helper method to load a question for a review action
+  async getQuestion(id) {
+    const question = await Question.findById(id);
+    if (!question) throw new ApiError(404, "Question not found");
+    return question;
+  }
+
+  // Helper method to check and apply a review action
+  recordAction(question, action, user, details = {}) {
+    const permissionError = getReviewPermissionError(question, action, user);
+    if (permissionError) throw new ApiError(403, permissionError);
+    const nextStatus = getNextStatus(question.status, action);
+    if (!nextStatus) {
+      throw new ApiError(
+        400,
+        `Cannot ${action.replace("_", " ")} a question with status ${question.status}`
+      );
+    }
+    question.recordReviewEvent(action, user._id, nextStatus, details);
+  }
+
+  // Helper method to tell the author about a review decision
+  async notifyDecision(question, action, comment) {
+    const { title, message } = DECISION_MESSAGES[action];
+    await this.notify(
+      question.creatorId,
+      question,
+      title,
+      comment ? `${message} Commentaire : ${comment}` : message
+    );
+  }
+
+  // Helper method to send a review notification
+  async notify(userId, question, title, message) {
+    try {
+      await notificationService.bulkCreateNotifications([
+        {
+          userId,
+          type: "system",
+          title,
+          message,
+          priority: "low",
+          metadata: {
+            relatedEntityId: question._id.toString(),
+            relatedEntityType: "Question",
+          },
+        },
+      ]);
+    } catch (error) {
+      // The review step stands even if the notification fails
+      logger.warn(
+        `Could not send review notification for question ${question._id}: ${error.message}`
+      );
+    }
+  }
+}
+
+module.exports = new QuestionReviewService();
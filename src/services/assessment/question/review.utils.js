@@ -0,0 +1,85 @@
+const {
+  QUESTION_STATUSES,
+  QUESTION_REVIEW_ACTIONS,
+} = require("../../../constants");
+
+const [DRAFT, REVIEW, APPROVED, REJECTED, ARCHIVED] = QUESTION_STATUSES;
+const [SUBMIT, ASSIGN, APPROVE, REJECT, REQUEST_CHANGES, ARCHIVE, RESTORE] =
+  QUESTION_REVIEW_ACTIONS;
+
+// Statuses each review action starts from and the status it leads to
+const TRANSITIONS = {
+  [SUBMIT]: { from: [DRAFT, REJECTED], to: REVIEW },
+  [ASSIGN]: { from: [REVIEW], to: REVIEW },
+  [APPROVE]: { from: [REVIEW], to: APPROVED },
+  [REJECT]: { from: [REVIEW], to: REJECTED },
+  [REQUEST_CHANGES]: { from: [REVIEW], to: DRAFT },
+  [ARCHIVE]: { from: [DRAFT, APPROVED, REJECTED], to: ARCHIVED },
+  [RESTORE]: { from: [ARCHIVED], to: DRAFT },
+};
+
+// Actions that decide on a question under review
+const DECISIONS = [APPROVE, REJECT, REQUEST_CHANGES];
+
+/**
+ * Gets the status a question moves to when a review action is taken.
+ * @param {string} status - Current question status.
+ * @param {string} action - Review action (see QUESTION_REVIEW_ACTIONS).
+ * @returns {string|null} Next status, or null when the action is not allowed.
+ */
+const getNextStatus = (status, action) => {
+  const transition = TRANSITIONS[action];
+  return transition && transition.from.includes(status) ? transition.to : null;
+};
+
+/**
+ * Checks whether a user may take a review action on a question. Authors
+ * submit their own questions but never review them; decisions belong to
+ * the assigned reviewer, or to an administrator who is not the author.
+ * @param {Object} question - Question with creatorId and review.reviewerId.
+ * @param {string} action - Review action.
+ * @param {{_id: string, role: string}} user - User taking the action.
+ * @returns {string|null} Reason the action is refused, or null when allowed.
+ */
+const getReviewPermissionError = (question, action, user) => {
+  const userId = String(user._id);
+  const isAuthor = String(question.creatorId) === userId;
+  const isAdmin = user.role === "admin";
+
+  if (action === SUBMIT) {
+    return isAuthor || isAdmin
+      ? null
+      : "Only the author can submit a question for review";
+  }
+  if (DECISIONS.includes(action)) {
+    if (isAuthor) return "Authors cannot review their own questions";
+    const isReviewer =
+      !!question.review?.reviewerId &&
+      String(question.review.reviewerId) === userId;
+    return isReviewer || isAdmin
+      ? null
+      : "Only the assigned reviewer can review this question";
+  }
+  return isAdmin ? null : "Only administrators can take this action";
+};
+
+/**
+ * Checks whether a user can be assigned to review a question.
+ * @param {Object} question - Question with creatorId.
+ * @param {{_id: string, role: string}} reviewer - Candidate reviewer.
+ * @returns {string|null} Reason the reviewer is refused, or null when eligible.
+ */
+const getReviewerError = (question, reviewer) => {
+  if (String(question.creatorId) === String(reviewer._id)) {
+    return "The author cannot review their own question";
+  }
+  return ["teacher", "admin"].includes(reviewer.role)
+    ? null
+    : "Reviewers must be teachers or administrators";
+};
+
+module.exports = {
+  getNextStatus,
+  getReviewPermissionError,
+  getReviewerError,
+};
@@ -0,0 +1,158 @@
+const { createRandom } = require("../../../utils/shuffle.utils");
+const {
+  parseExpression,
+  evaluateExpression,
+  getExpressionVariables,
+} = require("../../../utils/expression.utils");
+const { QUESTION_TEMPLATE_LIMITS } = require("../../../constants");
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Checks whether a question or problem is a template with variables.
+ * @param {Object} question - Question or problem, document or lean.
+ * @returns {boolean} True if values are drawn for it.
+ */
+const isTemplated = (question) =>
+  (question?.template?.variables?.length ?? 0) > 0;
+
+/**
+ * Counts the decimals of a number, so drawn values keep the step's precision.
+ * @param {number} value - Number.
+ * @returns {number} Decimal places.
+ */
+const countDecimals = (value) =>
+  (String(value).split(".")[1] ?? "").replace(/e.*$/i, "").length;
+
+/**
+ * Draws one value per template variable, between min and max in multiples
+ * of step, until every constraint holds. The same seed always draws the
+ * same values.
+ * @param {Object} template - Template with variables and constraints.
+ * @param {string} seed - Seed string.
+ * @returns {Object|null} Values by variable name, or null if no draw satisfies the constraints.
+ */
+const drawTemplateValues = (template, seed) => {
+  const random = createRandom(seed);
+  const variables = template?.variables ?? [];
+  const constraints = (template?.constraints ?? []).map(parseExpression);
+
+  for (let draw = 0; draw < QUESTION_TEMPLATE_LIMITS.MAX_DRAWS; draw++) {
+    const values = {};
+    variables.forEach(({ name, min, max, step = 1 }) => {
+      const count = Math.floor((max - min) / step + 1e-9);
+      const decimals = Math.max(countDecimals(min), countDecimals(step));
+      const index = Math.floor(random() * (count + 1));
+      values[name] = Number((min + index * step).toFixed(decimals));
+    });
+    const satisfied = constraints.every((constraint) =>
+      evaluateExpression(constraint, values)
+    );
+    if (satisfied) return values;
+  }
+  return null;
+};
+
+/**
+ * Replaces "{name}" placeholders with drawn values. Unknown names are left as is.
+ * @param {string} text - Template text.
+ * @param {Object} values - Values by variable name.
+ * @returns {string} Rendered text.
+ */
+const renderTemplate = (text, values) => {
+  if (typeof text !== "string" || !values) return text;
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    values[name] === undefined ? placeholder : String(values[name])
+  );
+};
+
+/**
+ * Computes the expected answer of a template instance.
+ * @param {string} formula - Answer formula over the template variables.
+ * @param {Object} values - Drawn values.
+ * @returns {number|null} Expected value, or null if it cannot be computed.
+ */
+const computeTemplateAnswer = (formula, values) => {
+  try {
+    const value = evaluateExpression(formula, values ?? {});
+    return typeof value === "number" && Number.isFinite(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Explains why a template cannot be used, e.g. an undeclared variable in the
+ * formula or constraints no draw can satisfy.
+ * @param {Object} template - Template with variables and constraints.
+ * @param {string} formula - Answer formula.
+ * @param {Object} [constants={}] - Fixed values the formula may also use, by name.
+ * @returns {string|null} Error message, or null if the template is usable.
+ */
+const getTemplateError = (template, formula, constants = {}) => {
+  const variables = template?.variables ?? [];
+  if (variables.length === 0) return "A template needs at least one variable";
+  if (variables.length > QUESTION_TEMPLATE_LIMITS.MAX_VARIABLES) {
+    return `A template cannot have more than ${QUESTION_TEMPLATE_LIMITS.MAX_VARIABLES} variables`;
+  }
+  const names = variables.map((variable) => variable.name);
+  if (new Set(names).size !== names.length) {
+    return "Template variable names must be unique";
+  }
+  const invalid = variables.find(
+    ({ min, max, step = 1 }) => !(min <= max) || !(step > 0)
+  );
+  if (invalid) {
+    return `Variable ${invalid.name} needs min <= max and a positive step`;
+  }
+  if (typeof formula !== "string" || !formula.trim()) {
+    return "A templated question needs an answer formula";
+  }
+
+  // Constraints are checked while drawing, before constants come into play
+  const expressions = [
+    {
+      label: "answer formula",
+      text: formula,
+      known: [...names, ...Object.keys(constants)],
+    },
+    ...(template.constraints ?? []).map((text) => ({
+      label: `constraint "${text}"`,
+      text,
+      known: names,
+      isConstraint: true,
+    })),
+  ];
+  for (const { label, text, known, isConstraint = false } of expressions) {
+    let tree;
+    try {
+      tree = parseExpression(text);
+    } catch (error) {
+      return `Invalid ${label}: ${error.message}`;
+    }
+    const unknown = getExpressionVariables(tree).find(
+      (name) => !known.includes(name)
+    );
+    if (unknown) return `Unknown variable "${unknown}" in ${label}`;
+    if ((tree.type === "compare") !== isConstraint) {
+      return isConstraint
+        ? `The ${label} must be a comparison`
+        : "The answer formula cannot be a comparison";
+    }
+  }
+
+  const values = drawTemplateValues(template, "template-check");
+  if (!values) return "No values satisfy the template constraints";
+  if (computeTemplateAnswer(formula, { ...constants, ...values }) === null) {
+    return "The answer formula does not give a number for the drawn values";
+  }
+  return null;
+};
+
+module.exports = {
+  isTemplated,
+  drawTemplateValues,
+  renderTemplate,
+  computeTemplateAnswer,
+  getTemplateError,
+};
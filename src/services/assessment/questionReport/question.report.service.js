@@ -0,0 +1,329 @@
+const { QuestionReport } = require("../../../models/assessment/question.report.model");
+const { Question } = require("../../../models/assessment/question.model");
+const { QuizSession } = require("../../../models/assessment/quiz.session.model");
+const quizSessionService = require("../quizSession/quiz.session.service");
+const notificationService = require("../../user/notification/notification.service");
+const contentRevisionService = require("../../learning/revision/content.revision.service");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const {
+  QUESTION_REPORT_CATEGORIES,
+  QUESTION_REPORT_STATUSES,
+  REVISION_CONTENT_TYPES,
+} = require("../../../constants");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("QuestionReportService");
+
+// Question fields a reviewer may correct when accepting reports
+const CORRECTABLE_FIELDS = [
+  "question",
+  "options",
+  "correctAnswer",
+  "grading",
+  "explanation",
+  "hints",
+  "steps",
+  "content.media", // sent as "media" to replace broken files
+];
+// Fields that define the answer key, so changing them changes scores
+const ANSWER_KEY_FIELDS = ["options", "correctAnswer", "grading"];
+
+class QuestionReportService {
+  // Report a problem on a question; reports on the same question are grouped
+  async reportProblem(questionId, userId, { category, message, sessionId }) {
+    try {
+      const question = await Question.findOne({
+        _id: questionId,
+        isActive: true,
+      }).select("subjectId topicId");
+      if (!question) throw new ApiError(404, "Question not found");
+
+      if (sessionId) {
+        const sessionExists = await QuizSession.exists({
+          _id: sessionId,
+          userId,
+          "answers.questionId": question._id,
+        });
+        if (!sessionExists) {
+          throw new ApiError(400, "The session does not contain this question");
+        }
+      }
+
+      const entry = { userId, category, message, sessionId };
+      let report;
+      try {
+        report = await this.addToOpenGroup(question, entry);
+      } catch (error) {
+        // Another student opened the group at the same time
+        if (error.code !== 11000) throw error;
+        report = await this.addToOpenGroup(question, entry);
+      }
+
+      logger.info(
+        `Problem reported on question ${questionId} by user ${userId}: ${category}`
+      );
+      return new ApiResponse(
+        201,
+        {
+          reportId: report._id,
+          questionId: question._id,
+          reportCount: report.reportCount,
+          status: report.status,
+        },
+        "Problem reported successfully"
+      );
+    } catch (error) {
+      logger.error(`Error reporting problem on question ${questionId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to report problem", error.message);
+    }
+  }
+
+  // Get the triage queue, most reported questions first
+  async getReportQueue(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = QUESTION_REPORT_STATUSES[0], // open
+        category,
+        subjectId,
+        topicId,
+      } = options;
+
+      const query = { status };
+      if (category) query.categories = category;
+      if (subjectId) query.subjectId = subjectId;
+      if (topicId) query.topicId = topicId;
+
+      const skip = (page - 1) * limit;
+      const [reports, total] = await Promise.all([
+        QuestionReport.find(query)
+          .select("-reports")
+          .populate("questionId", "question format status")
+          .populate("subjectId", "name code")
+          .populate("topicId", "name")
+          .sort({ reportCount: -1, createdAt: 1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        QuestionReport.countDocuments(query),
+      ]);
+
+      const pagination = {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+      };
+
+      logger.info(`Retrieved ${reports.length} question reports from the queue`);
+      return new ApiResponse(
+        200,
+        { reports, pagination },
+        "Question report queue retrieved successfully"
+      );
+    } catch (error) {
+      logger.error("Error retrieving question report queue:", error);
+      throw new ApiError(500, "Failed to retrieve question report queue", error.message);
+    }
+  }
+
+  // Get a group of reports with the question as students saw it
+  async getReportById(reportId) {
+    try {
+      const report = await QuestionReport.findById(reportId)
+        .populate(
+          "questionId",
+          "question format options correctAnswer grading explanation hints content status"
+        )
+        .populate("reports.userId", "name")
+        .populate("resolution.reviewedBy", "name");
+      if (!report) throw new ApiError(404, "Question report not found");
+
+      return new ApiResponse(200, report, "Question report retrieved successfully");
+    } catch (error) {
+      logger.error(`Error retrieving question report ${reportId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to retrieve question report", error.message);
+    }
+  }
+
+  // Accept reports, apply the reviewer's corrections and rescore a fixed answer key
+  async acceptReport(reportId, reviewerId, { changes = {}, notes, rescore } = {}) {
+    try {
+      const report = await this.getOpenReport(reportId);
+      const question = await Question.findById(report.questionId);
+      if (!question) throw new ApiError(404, "Question not found");
+      const previous = question.toObject({ virtuals: false });
+
+      const { media, ...fields } = changes;
+      Object.entries({
+        ...fields,
+        ...(media ? { "content.media": media } : {}),
+      })
+        .filter(([field]) => CORRECTABLE_FIELDS.includes(field))
+        .forEach(([field, value]) => {
+          // Grading options not sent by the reviewer are kept
+          question.set(
+            field,
+            field === "grading"
+              ? { ...question.grading?.toObject(), ...value }
+              : value
+          );
+        });
+      const changedFields = CORRECTABLE_FIELDS.filter((field) =>
+        question.isModified(field)
+      );
+      if (changedFields.length > 0) {
+        try {
+          await question.save();
+        } catch (error) {
+          if (error.name === "ValidationError") {
+            throw new ApiError(400, "Invalid question correction", error.message);
+          }
+          throw error;
+        }
+        const revision = await contentRevisionService.recordRevision(
+          REVISION_CONTENT_TYPES[1], // question
+          previous,
+          reviewerId
+        );
+        if (revision) question.version = revision.version;
+      }
+
+      // A wrong key may also have been fixed beforehand through the question editor
+      const keyChanged = ANSWER_KEY_FIELDS.some((field) =>
+        changedFields.includes(field)
+      );
+      const shouldRescore =
+        rescore ??
+        (keyChanged ||
+          report.categories.includes(QUESTION_REPORT_CATEGORIES[0])); // wrong_answer
+      const rescoreSummary = shouldRescore
+        ? (await quizSessionService.rescoreQuestion(question._id)).data
+        : undefined;
+
+      report.status = QUESTION_REPORT_STATUSES[1]; // accepted
+      report.resolution = {
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        notes,
+        changes: changedFields,
+        ...(rescoreSummary
+          ? {
+              rescore: {
+                sessionsRescored: rescoreSummary.sessionsRescored,
+                resultsUpdated:
+                  rescoreSummary.resultsUpdated +
+                  rescoreSummary.challengesUpdated,
+              },
+            }
+          : {}),
+      };
+      await report.save();
+      await this.notifyReporters(
+        report,
+        "Signalement pris en compte",
+        changedFields.length > 0
+          ? "Merci ! La question que vous avez signalée a été corrigée."
+          : "Merci ! Votre signalement a été accepté par l'équipe pédagogique."
+      );
+
+      logger.info(
+        `Question report ${reportId} accepted by ${reviewerId}, changes: ${changedFields.join(", ") || "none"}`
+      );
+      return new ApiResponse(
+        200,
+        { report, question, rescore: rescoreSummary ?? null },
+        "Question report accepted successfully"
+      );
+    } catch (error) {
+      logger.error(`Error accepting question report ${reportId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to accept question report", error.message);
+    }
+  }
+
+  // Reject reports that do not point to a real problem
+  async rejectReport(reportId, reviewerId, { notes } = {}) {
+    try {
+      const report = await this.getOpenReport(reportId);
+
+      report.status = QUESTION_REPORT_STATUSES[2]; // rejected
+      report.resolution = {
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        notes,
+      };
+      await report.save();
+      await this.notifyReporters(
+        report,
+        "Signalement examiné",
+        "Votre signalement a été examiné : la question a été jugée correcte."
+      );
+
+      logger.info(`Question report ${reportId} rejected by ${reviewerId}`);
+      return new ApiResponse(200, report, "Question report rejected successfully");
+    } catch (error) {
+      logger.error(`Error rejecting question report ${reportId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to reject question report", error.message);
+    }
+  }
+
+  // Helper method to add a report to the open group of a question
+  async addToOpenGroup(question, entry) {
+    const report =
+      (await QuestionReport.findOne({
+        questionId: question._id,
+        status: QUESTION_REPORT_STATUSES[0], // open
+      })) ??
+      new QuestionReport({
+        questionId: question._id,
+        subjectId: question.subjectId,
+        topicId: question.topicId,
+      });
+    report.addReport(entry);
+    return report.save();
+  }
+
+  // Helper method to load a report that still awaits a decision
+  async getOpenReport(reportId) {
+    const report = await QuestionReport.findById(reportId);
+    if (!report) throw new ApiError(404, "Question report not found");
+    if (report.status !== QUESTION_REPORT_STATUSES[0]) {
+      throw new ApiError(400, `Question report is already ${report.status}`);
+    }
+    return report;
+  }
+
+  // Helper method to tell the reporting students about the decision
+  async notifyReporters(report, title, message) {
+    const userIds = [
+      ...new Set(report.reports.map((entry) => entry.userId.toString())),
+    ];
+    try {
+      await notificationService.bulkCreateNotifications(
+        userIds.map((userId) => ({
+          userId,
+          type: "system",
+          title,
+          message,
+          priority: "low",
+          metadata: {
+            relatedEntityId: report.questionId.toString(),
+            relatedEntityType: "Question",
+          },
+        }))
+      );
+    } catch (error) {
+      // The decision stands even if students cannot be notified
+      logger.warn(
+        `Could not notify reporters of question report ${report._id}: ${error.message}`
+      );
+    }
+  }
+}
+
+module.exports = new QuestionReportService();
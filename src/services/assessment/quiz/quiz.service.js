@@ -1,5 +1,6 @@
 const { Quiz } = require("../../../models/assessment/quiz.model");
 const { QuizResult } = require("../../../models/results/quiz.result.model");
+const questionReviewService = require("../question/review.service");
 const { ApiError } = require("../../../utils/ApiError");
 const { ApiResponse } = require("../../../utils/ApiResponse");
 const createLogger = require("../../logging.service");
@@ -17,6 +18,11 @@ class QuizService {
         }
       }
 
+      // Active quizzes are visible to students straight away
+      if (quizData.isActive !== false) {
+        await questionReviewService.ensureApproved(quizData.questionIds);
+      }
+
       const quiz = new Quiz(quizData);
       await quiz.save();
 
@@ -30,6 +36,7 @@ class QuizService {
       return new ApiResponse(201, quiz, "Quiz created successfully");
     } catch (error) {
       logger.error("Error creating quiz:", error);
+      if (error instanceof ApiError) throw error;
       if (error.name === "ValidationError") {
         throw new ApiError(
           400,
@@ -123,7 +130,8 @@ class QuizService {
       if (includeQuestions) {
         populateOptions.push({
           path: "questionIds",
-          select: "question format options difficulty points",
+          select:
+            "question format options difficulty points map diagram passageId",
         });
       }
 
@@ -153,6 +161,25 @@ class QuizService {
         }
       }
 
+      if (updateData.questionIds || updateData.isActive === true) {
+        const current = await Quiz.findById(quizId).select("questionIds isActive");
+        if (!current) {
+          logger.warn(`Quiz not found for update: ${quizId}`);
+          throw new ApiError(404, "Quiz not found");
+        }
+        if (updateData.isActive ?? current.isActive) {
+          // Questions already live in the quiz are not checked again
+          const published = new Set(
+            current.isActive ? current.questionIds.map(String) : []
+          );
+          await questionReviewService.ensureApproved(
+            (updateData.questionIds ?? current.questionIds).filter(
+              (id) => !published.has(String(id))
+            )
+          );
+        }
+      }
+
       const quiz = await Quiz.findByIdAndUpdate(
         quizId,
         { ...updateData, updatedAt: new Date() },
@@ -332,6 +359,17 @@ class QuizService {
   // Bulk operations
   async bulkUpdateQuizzes(quizIds, updateData) {
     try {
+      if (updateData.isActive === true) {
+        // Questions of quizzes that are already active are not checked again
+        const inactive = await Quiz.find({
+          _id: { $in: quizIds },
+          isActive: false,
+        }).select("questionIds");
+        await questionReviewService.ensureApproved(
+          inactive.flatMap((quiz) => quiz.questionIds)
+        );
+      }
+
       const result = await Quiz.updateMany(
         { _id: { $in: quizIds } },
         { ...updateData, updatedAt: new Date() }
@@ -346,6 +384,7 @@ class QuizService {
         "Bulk update completed successfully"
       );
     } catch (error) {
+      if (error instanceof ApiError) throw error;
       throw new ApiError(500, "Failed to bulk update quizzes", error.message);
     }
   }
@@ -0,0 +1,154 @@
+const { groupByKey, seededShuffle } = require("../../../utils/shuffle.utils");
+
+const cellKey = (topicId, difficulty) => `${topicId}:${difficulty}`;
+
+/**
+ * Selects questions matching a blueprint's topic weights and difficulty mix.
+ * Each topic/difficulty cell is first filled up to its share of the total
+ * points, then any remaining gap is filled from the weighted cells. Questions
+ * the student saw recently are only used once unseen questions run out.
+ * Questions on the same passage are selected together and kept next to each
+ * other, each one counting towards its own cell.
+ * @param {Object} params - Selection parameters.
+ * @param {Object[]} params.candidates - Questions with _id, topicId, difficulty, points and an optional passageId.
+ * @param {Map<string, number>} params.topicShares - Topic ID to share (0-1), in blueprint order.
+ * @param {Map<string, number>} params.difficultyShares - Difficulty to share (0-1), in level order.
+ * @param {number} params.totalPoints - Points the quiz should add up to.
+ * @param {number} params.maxQuestions - Maximum number of questions.
+ * @param {Set<string>} [params.recentIds] - IDs of questions seen recently.
+ * @param {string} params.seed - Seed making the selection reproducible.
+ * @returns {{questions: Object[], totalPoints: number, recentCount: number, breakdown: Object[]}} Selection.
+ */
+const selectQuestions = ({
+  candidates,
+  topicShares,
+  difficultyShares,
+  totalPoints,
+  maxQuestions,
+  recentIds = new Set(),
+  seed,
+}) => {
+  const isRecent = (question) => recentIds.has(question._id.toString());
+  const unitPoints = (unit) =>
+    unit.reduce((sum, question) => sum + question.points, 0);
+  const isRecentUnit = (unit) => unit.some(isRecent);
+
+  // Random order of passage units, then unseen units first (the sort is stable)
+  const pool = seededShuffle(
+    groupByKey(candidates, (question) => question.passageId),
+    seed
+  ).sort((a, b) => Number(isRecentUnit(a)) - Number(isRecentUnit(b)));
+
+  const cells = [];
+  topicShares.forEach((topicShare, topicId) => {
+    difficultyShares.forEach((difficultyShare, difficulty) => {
+      cells.push({
+        topicId,
+        difficulty,
+        targetPoints: totalPoints * topicShare * difficultyShare,
+        points: 0,
+        questions: [],
+      });
+    });
+  });
+  const cellMap = new Map(
+    cells.map((cell) => [cellKey(cell.topicId, cell.difficulty), cell])
+  );
+
+  const selectedIds = new Set();
+  let points = 0;
+  const cellOf = (question) =>
+    cellMap.get(cellKey(question.topicId, question.difficulty));
+  const canAdd = (unit) =>
+    unit.every((question) => !selectedIds.has(question._id.toString())) &&
+    selectedIds.size + unit.length <= maxQuestions &&
+    points + unitPoints(unit) <= totalPoints;
+  const add = (unit) => {
+    unit.forEach((question) => {
+      const cell = cellOf(question);
+      cell.questions.push(question);
+      cell.points += question.points;
+      selectedIds.add(question._id.toString());
+      points += question.points;
+    });
+  };
+  // A unit fits if no cell it adds to goes past its target
+  const fitsCells = (unit) => {
+    const added = new Map();
+    unit.forEach((question) => {
+      const cell = cellOf(question);
+      added.set(cell, (added.get(cell) ?? 0) + question.points);
+    });
+    return [...added].every(
+      ([cell, unitCellPoints]) =>
+        cell.points + unitCellPoints <= cell.targetPoints
+    );
+  };
+  const isWeighted = (unit) =>
+    unit.every((question) => cellOf(question)?.targetPoints > 0);
+
+  // Fill each cell up to its target, largest cells first
+  [...cells]
+    .sort((a, b) => b.targetPoints - a.targetPoints)
+    .forEach((cell) => {
+      pool
+        .filter(
+          (unit) =>
+            isWeighted(unit) &&
+            unit.some(
+              (question) =>
+                question.topicId.toString() === cell.topicId &&
+                question.difficulty === cell.difficulty
+            )
+        )
+        .forEach((unit) => {
+          if (fitsCells(unit) && canAdd(unit)) add(unit);
+        });
+    });
+
+  // Fill the remaining gap from any weighted cell, largest units first
+  [...pool]
+    .sort(
+      (a, b) =>
+        Number(isRecentUnit(a)) - Number(isRecentUnit(b)) ||
+        unitPoints(b) - unitPoints(a)
+    )
+    .forEach((unit) => {
+      if (isWeighted(unit) && points < totalPoints && canAdd(unit)) add(unit);
+    });
+
+  // Questions on a passage follow the first of them to be listed
+  const unitMap = new Map(
+    pool.flatMap((unit) =>
+      unit.map((question) => [question._id.toString(), unit])
+    )
+  );
+  const listedIds = new Set();
+  const questions = cells
+    .flatMap((cell) => cell.questions)
+    .flatMap((question) =>
+      unitMap
+        .get(question._id.toString())
+        .filter((member) => selectedIds.has(member._id.toString()))
+    )
+    .filter((question) => {
+      const id = question._id.toString();
+      if (listedIds.has(id)) return false;
+      listedIds.add(id);
+      return true;
+    });
+  return {
+    questions,
+    totalPoints: points,
+    recentCount: questions.filter(isRecent).length,
+    breakdown: cells.map((cell) => ({
+      topicId: cell.topicId,
+      difficulty: cell.difficulty,
+      targetPoints: Math.round(cell.targetPoints * 100) / 100,
+      points: cell.points,
+      questionCount: cell.questions.length,
+    })),
+  };
+};
+
+module.exports = { selectQuestions };
@@ -0,0 +1,306 @@
+const { QuizBlueprint } = require("../../../models/assessment/quiz.blueprint.model");
+const { Quiz } = require("../../../models/assessment/quiz.model");
+const { Question } = require("../../../models/assessment/question.model");
+const { QuizSession } = require("../../../models/assessment/quiz.session.model");
+const { QuizResult } = require("../../../models/results/quiz.result.model");
+const { selectQuestions } = require("./quiz.blueprint.selector");
+const { createSeed } = require("../../../utils/shuffle.utils");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const { QUESTION_STATUSES } = require("../../../constants");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("QuizBlueprintService");
+
+class QuizBlueprintService {
+  // Create a new blueprint
+  async createBlueprint(blueprintData) {
+    try {
+      const blueprint = new QuizBlueprint(blueprintData);
+      await blueprint.save();
+
+      logger.info(`Quiz blueprint created successfully: ${blueprint._id}`);
+      return new ApiResponse(201, blueprint, "Quiz blueprint created successfully");
+    } catch (error) {
+      logger.error("Error creating quiz blueprint:", error);
+      if (error.name === "ValidationError") {
+        throw new ApiError(
+          400,
+          "Validation failed",
+          Object.values(error.errors).map((e) => e.message)
+        );
+      }
+      throw new ApiError(500, "Failed to create quiz blueprint", error.message);
+    }
+  }
+
+  // Get blueprints with filters
+  async getBlueprints(options = {}) {
+    try {
+      const { page = 1, limit = 10, subjectId, level, createdBy } = options;
+
+      const query = { isActive: true };
+      if (subjectId) query.subjectId = subjectId;
+      if (level) query.level = level;
+      if (createdBy) query.createdBy = createdBy;
+
+      const skip = (page - 1) * limit;
+      const [blueprints, total] = await Promise.all([
+        QuizBlueprint.find(query)
+          .populate("subjectId", "name code")
+          .populate("topicWeights.topicId", "name")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        QuizBlueprint.countDocuments(query),
+      ]);
+
+      const pagination = {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+      };
+
+      logger.info(`Retrieved ${blueprints.length} quiz blueprints`);
+      return new ApiResponse(
+        200,
+        { blueprints, pagination },
+        "Quiz blueprints retrieved successfully"
+      );
+    } catch (error) {
+      logger.error("Error retrieving quiz blueprints:", error);
+      throw new ApiError(500, "Failed to retrieve quiz blueprints", error.message);
+    }
+  }
+
+  // Get blueprint by ID
+  async getBlueprintById(blueprintId) {
+    try {
+      const blueprint = await QuizBlueprint.findOne({
+        _id: blueprintId,
+        isActive: true,
+      })
+        .populate("subjectId", "name code")
+        .populate("topicWeights.topicId", "name")
+        .populate("createdBy", "name email");
+
+      if (!blueprint) {
+        logger.warn(`Quiz blueprint not found: ${blueprintId}`);
+        throw new ApiError(404, "Quiz blueprint not found");
+      }
+
+      return new ApiResponse(200, blueprint, "Quiz blueprint retrieved successfully");
+    } catch (error) {
+      logger.error(`Error retrieving quiz blueprint ${blueprintId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to retrieve quiz blueprint", error.message);
+    }
+  }
+
+  // Update blueprint, for its author or an admin
+  async updateBlueprint(blueprintId, updateData, user) {
+    try {
+      const blueprint = await QuizBlueprint.findOne({
+        _id: blueprintId,
+        isActive: true,
+      });
+
+      if (!blueprint) {
+        logger.warn(`Quiz blueprint not found for update: ${blueprintId}`);
+        throw new ApiError(404, "Quiz blueprint not found");
+      }
+      this.assertCanManage(blueprint, user);
+
+      // Saving runs the duplicate topic/difficulty checks
+      blueprint.set(updateData);
+      await blueprint.save();
+
+      logger.info(`Quiz blueprint updated successfully: ${blueprintId}`);
+      return new ApiResponse(200, blueprint, "Quiz blueprint updated successfully");
+    } catch (error) {
+      logger.error(`Error updating quiz blueprint ${blueprintId}:`, error);
+      if (error instanceof ApiError) throw error;
+      if (error.name === "ValidationError") {
+        throw new ApiError(
+          400,
+          "Validation failed",
+          Object.values(error.errors).map((e) => e.message)
+        );
+      }
+      throw new ApiError(500, "Failed to update quiz blueprint", error.message);
+    }
+  }
+
+  // Delete blueprint (soft delete), for its author or an admin
+  async deleteBlueprint(blueprintId, user) {
+    try {
+      const blueprint = await QuizBlueprint.findById(blueprintId);
+
+      if (!blueprint) {
+        logger.warn(`Quiz blueprint not found for deletion: ${blueprintId}`);
+        throw new ApiError(404, "Quiz blueprint not found");
+      }
+      this.assertCanManage(blueprint, user);
+
+      blueprint.isActive = false;
+      await blueprint.save();
+
+      logger.info(`Quiz blueprint deleted successfully: ${blueprintId}`);
+      return new ApiResponse(200, null, "Quiz blueprint deleted successfully");
+    } catch (error) {
+      logger.error(`Error deleting quiz blueprint ${blueprintId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to delete quiz blueprint", error.message);
+    }
+  }
+
+  // Generate a quiz, or a student's own variant, from a blueprint. Quizzes
+  // for others are generated by the blueprint's author or an admin
+  async generateQuiz(blueprintId, user, options = {}) {
+    try {
+      const { studentId, title } = options;
+
+      const blueprint = await QuizBlueprint.findOne({
+        _id: blueprintId,
+        isActive: true,
+      });
+      if (!blueprint) {
+        logger.warn(`Quiz blueprint not found for generation: ${blueprintId}`);
+        throw new ApiError(404, "Quiz blueprint not found");
+      }
+      if (String(studentId) !== String(user._id)) {
+        this.assertCanManage(blueprint, user);
+      }
+
+      const topicShares = blueprint.getTopicShares();
+      const difficultyShares = blueprint.getDifficultyShares();
+
+      // Only approved questions from the blueprint's topics and levels are used
+      const query = {
+        subjectId: blueprint.subjectId,
+        topicId: { $in: [...topicShares.keys()] },
+        difficulty: { $in: [...difficultyShares.keys()] },
+        status: QUESTION_STATUSES[2], // approved
+        isActive: true,
+      };
+      if (blueprint.formats.length) query.format = { $in: blueprint.formats };
+      if (blueprint.series.length) {
+        // questions without series apply to every series
+        query.$or = [
+          { series: { $in: blueprint.series } },
+          { series: { $size: 0 } },
+        ];
+      }
+
+      const [candidates, recentIds] = await Promise.all([
+        Question.find(query)
+          .select("_id topicId difficulty points passageId")
+          .lean(),
+        studentId
+          ? this.getRecentlySeenQuestionIds(
+              studentId,
+              blueprint.recentExclusionDays
+            )
+          : Promise.resolve(new Set()),
+      ]);
+
+      const selection = selectQuestions({
+        candidates,
+        topicShares,
+        difficultyShares,
+        totalPoints: blueprint.totalPoints,
+        maxQuestions: blueprint.maxQuestions,
+        recentIds,
+        seed: createSeed(),
+      });
+
+      if (selection.questions.length === 0) {
+        logger.warn(`No approved questions match quiz blueprint: ${blueprintId}`);
+        throw new ApiError(422, "No approved questions match this blueprint");
+      }
+
+      const { _id, ...settings } = blueprint.quizSettings?.toObject() ?? {};
+      const quiz = new Quiz({
+        title:
+          title ??
+          `${blueprint.title} - ${new Date().toLocaleDateString("fr-FR")}`,
+        description: blueprint.description,
+        subjectId: blueprint.subjectId,
+        series: blueprint.series,
+        topicIds: [...topicShares.keys()],
+        questionIds: selection.questions.map((question) => question._id),
+        totalQuestions: selection.questions.length,
+        totalPoints: selection.totalPoints,
+        createdBy: user._id,
+        level: blueprint.level,
+        timeLimit: blueprint.timeLimit,
+        settings,
+        premiumOnly: blueprint.premiumOnly,
+        blueprintId: blueprint._id,
+        generatedFor: studentId,
+      });
+      await quiz.save();
+
+      blueprint.usage.generatedCount += 1;
+      blueprint.usage.lastGeneratedAt = new Date();
+      await blueprint.save();
+
+      const summary = {
+        targetPoints: blueprint.totalPoints,
+        totalPoints: selection.totalPoints,
+        shortfall: blueprint.totalPoints - selection.totalPoints,
+        questionCount: selection.questions.length,
+        recentQuestionsUsed: selection.recentCount,
+        breakdown: selection.breakdown,
+      };
+
+      logger.info(`Quiz ${quiz._id} generated from blueprint ${blueprintId} with ${summary.questionCount} questions`);
+      return new ApiResponse(
+        201,
+        { quiz, summary },
+        "Quiz generated successfully"
+      );
+    } catch (error) {
+      logger.error(`Error generating quiz from blueprint ${blueprintId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to generate quiz", error.message);
+    }
+  }
+
+  // Helper method to get the questions a student saw within the last days
+  async getRecentlySeenQuestionIds(userId, days) {
+    if (!days) return new Set();
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [sessionQuestionIds, resultQuestionIds] = await Promise.all([
+      QuizSession.distinct("answers.questionId", {
+        userId,
+        createdAt: { $gte: since },
+      }),
+      QuizResult.distinct("questionIds", {
+        userId,
+        completedAt: { $gte: since },
+      }),
+    ]);
+
+    return new Set(
+      [...sessionQuestionIds, ...resultQuestionIds].map((id) => id.toString())
+    );
+  }
+
+  // Helper method to let only the author of a blueprint or an admin manage it
+  assertCanManage(blueprint, user) {
+    if (
+      blueprint.createdBy.toString() !== String(user._id) &&
+      user.role !== "admin"
+    ) {
+      logger.warn(
+        `Unauthorized user ${user._id} for quiz blueprint ${blueprint._id}`
+      );
+      throw new ApiError(403, "Not authorized to manage this quiz blueprint");
+    }
+  }
+}
+
+module.exports = new QuizBlueprintService();
@@ -0,0 +1,380 @@
+const { QuizSession } = require("../../../models/assessment/quiz.session.model");
+const { Quiz } = require("../../../models/assessment/quiz.model");
+const { Question } = require("../../../models/assessment/question.model");
+const quizSessionService = require("./quiz.session.service");
+const passageService = require("../passage/passage.service");
+const {
+  hashContent,
+  signManifest,
+  verifyManifest,
+  classifyOfflineAnswers,
+} = require("./offline.bundle.utils");
+const { renderTemplate } = require("../question/template.utils");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const {
+  createSeed,
+  seededGroupedShuffle,
+} = require("../../../utils/shuffle.utils");
+const {
+  QUIZ_SESSION_GRACE_PERIOD,
+  QUIZ_SESSION_MODES,
+  OFFLINE_BUNDLE_VERSION,
+  OFFLINE_BUNDLE_VALIDITY_HOURS,
+  OFFLINE_CLOCK_SKEW,
+  OFFLINE_ANSWER_REJECTIONS,
+} = require("../../../constants");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("OfflineBundleService");
+
+class OfflineBundleService {
+  // Export a signed quiz bundle, without answer keys, for an offline attempt
+  async createBundle(userId, quizId) {
+    try {
+      const quiz = await Quiz.findById(quizId).populate("questionIds");
+      if (!quiz) {
+        logger.warn(`Quiz not found for offline bundle: ${quizId}`);
+        throw new ApiError(404, "Quiz not found");
+      }
+      if (!quiz.isActive || !quiz.offlineAvailable) {
+        throw new ApiError(403, "Quiz is not available offline");
+      }
+
+      // The bundle carries its own seed, so the upload can be mapped back
+      const shuffleSeed = createSeed();
+      const shuffleOptions = quiz.settings?.shuffleOptions ?? false;
+      const questions = quiz.settings?.shuffleQuestions
+        ? seededGroupedShuffle(
+            quiz.questionIds,
+            `${shuffleSeed}:questions`,
+            (question) => question.passageId
+          )
+        : quiz.questionIds;
+      const passages = await passageService.getPassagesForQuestions(questions);
+
+      const content = {
+        quiz: {
+          _id: quiz._id.toString(),
+          title: quiz.title,
+          description: quiz.description,
+          timeLimit: quiz.timeLimit,
+          totalQuestions: questions.length,
+          totalPoints: quiz.totalPoints,
+        },
+        questions: questions.map((question) => {
+          const optionOrder = quizSessionService.getOptionOrder(
+            question,
+            shuffleSeed,
+            shuffleOptions
+          );
+          return {
+            _id: question._id.toString(),
+            question: renderTemplate(
+              question.question,
+              quizSessionService.getParameterValues(question, shuffleSeed)
+            ),
+            format: question.format,
+            options: optionOrder.length
+              ? optionOrder.map((index) => question.options[index])
+              : question.options,
+            difficulty: question.difficulty,
+            points: question.points,
+            timeEstimate: question.timeEstimate,
+            media: question.content?.media ?? [],
+            map: question.map,
+            diagram: question.diagram,
+            passageId: question.passageId?.toString(),
+          };
+        }),
+        passages: passages.map((passage) => ({
+          ...passage,
+          _id: passage._id.toString(),
+        })),
+      };
+
+      const issuedAt = new Date();
+      const manifest = {
+        version: OFFLINE_BUNDLE_VERSION,
+        bundleId: `bundle_${Date.now()}_${createSeed()}`,
+        quizId: quiz._id.toString(),
+        userId: userId.toString(),
+        issuedAt: issuedAt.toISOString(),
+        expiresAt: new Date(
+          issuedAt.getTime() + OFFLINE_BUNDLE_VALIDITY_HOURS * 60 * 60 * 1000
+        ).toISOString(),
+        timeLimit: quiz.timeLimit ?? 0,
+        shuffleSeed,
+        shuffleOptions,
+        questionIds: content.questions.map((question) => question._id),
+        contentHash: hashContent(content),
+      };
+      const signature = signManifest(manifest, this.getSigningSecret());
+
+      logger.info(`Offline bundle ${manifest.bundleId} created for user ${userId} and quiz ${quizId}`);
+      return new ApiResponse(
+        201,
+        { manifest, signature, ...content },
+        "Offline bundle created successfully"
+      );
+    } catch (error) {
+      logger.error(`Error creating offline bundle for user ${userId} and quiz ${quizId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to create offline bundle", error.message);
+    }
+  }
+
+  // Upload the answers of an offline attempt and close it as a session
+  async uploadAnswers(userId, upload) {
+    try {
+      const { manifest, signature, answers = [], deviceInfo = {} } = upload;
+
+      if (!verifyManifest(manifest, signature, this.getSigningSecret())) {
+        logger.warn(`Invalid offline bundle signature from user ${userId}`);
+        throw new ApiError(400, "Invalid bundle signature");
+      }
+      if (manifest.version !== OFFLINE_BUNDLE_VERSION) {
+        throw new ApiError(400, "Unsupported bundle version");
+      }
+      if (manifest.userId !== userId.toString()) {
+        throw new ApiError(403, "This bundle was issued to another user");
+      }
+
+      const now = new Date();
+      const skew = OFFLINE_CLOCK_SKEW * 1000;
+      const issuedAt = new Date(manifest.issuedAt);
+      const startedAt = new Date(upload.startedAt);
+      if (
+        startedAt.getTime() < issuedAt.getTime() - skew ||
+        startedAt > new Date(manifest.expiresAt) ||
+        startedAt.getTime() > now.getTime() + skew
+      ) {
+        throw new ApiError(
+          400,
+          "The offline attempt was not started within the bundle validity period"
+        );
+      }
+
+      if (await QuizSession.exists({ "offline.bundleId": manifest.bundleId })) {
+        throw new ApiError(409, "This bundle has already been uploaded");
+      }
+
+      // Online attempts of the same quiz that overlap the offline one
+      const onlineSessions = await QuizSession.find({
+        userId,
+        quizId: manifest.quizId,
+        offline: { $exists: false },
+        startTime: { $exists: true },
+        $or: [
+          { status: { $in: ["in_progress", "paused"] } },
+          {
+            status: { $in: ["completed", "expired"] },
+            endTime: { $gte: startedAt },
+          },
+        ],
+      });
+      if (onlineSessions.some((session) => !session.isActive())) {
+        throw new ApiError(
+          409,
+          "An online session of this quiz was submitted during the offline attempt"
+        );
+      }
+      const onlineSession = onlineSessions[0];
+      if (onlineSession?.mode === QUIZ_SESSION_MODES[1]) {
+        throw new ApiError(
+          409,
+          "Offline answers cannot be merged into an adaptive session"
+        );
+      }
+
+      // An open online session is merged, its earlier start keeps the timer honest
+      const attemptStart =
+        onlineSession && onlineSession.startTime < startedAt
+          ? onlineSession.startTime
+          : startedAt;
+      const { accepted, rejected } = classifyOfflineAnswers({
+        answers,
+        questionIds: manifest.questionIds,
+        startedAt: attemptStart,
+        timeLimit: onlineSession?.timeLimit ?? manifest.timeLimit,
+        now,
+      });
+
+      const questions = await Question.find({
+        _id: { $in: manifest.questionIds },
+      });
+      const questionMap = new Map(questions.map((q) => [q._id.toString(), q]));
+      const bundleOptionOrders = new Map(
+        questions.map((question) => [
+          question._id.toString(),
+          quizSessionService.getOptionOrder(
+            question,
+            manifest.shuffleSeed,
+            manifest.shuffleOptions
+          ),
+        ])
+      );
+      const bundleParameterValues = new Map(
+        questions.map((question) => [
+          question._id.toString(),
+          quizSessionService.getParameterValues(question, manifest.shuffleSeed),
+        ])
+      );
+
+      const session =
+        onlineSession ??
+        this.buildOfflineSession(userId, manifest, questionMap, {
+          startedAt,
+          bundleOptionOrders,
+          bundleParameterValues,
+        });
+      if (onlineSession) {
+        logger.info(`Merging offline bundle ${manifest.bundleId} into online session ${onlineSession.sessionId}`);
+      }
+
+      // The most recent answer wins when both attempts answered a question
+      const answerMap = new Map(
+        session.answers.map((answer) => [answer.questionId.toString(), answer])
+      );
+      let lastAnsweredAt = null;
+      let appliedCount = 0;
+      accepted.forEach((offlineAnswer) => {
+        const answer = answerMap.get(offlineAnswer.questionId);
+        const question = questionMap.get(offlineAnswer.questionId);
+        if (!answer || !question) {
+          rejected.push({
+            questionId: offlineAnswer.questionId,
+            answeredAt: offlineAnswer.answeredAt,
+            reason: OFFLINE_ANSWER_REJECTIONS[0], // unknown_question
+          });
+          return;
+        }
+        if (answer.answeredAt && answer.answeredAt > offlineAnswer.answeredAt) {
+          rejected.push({
+            questionId: offlineAnswer.questionId,
+            answeredAt: offlineAnswer.answeredAt,
+            reason: OFFLINE_ANSWER_REJECTIONS[3], // superseded
+          });
+          return;
+        }
+
+        // Offline positions refer to the option order of the bundle
+        answer.selectedAnswer = offlineAnswer.skipped
+          ? null
+          : quizSessionService.toCanonicalAnswer(
+              { optionOrder: bundleOptionOrders.get(offlineAnswer.questionId) },
+              question,
+              offlineAnswer.selectedAnswer
+            );
+        answer.skipped = offlineAnswer.skipped ?? false;
+        answer.flagged = offlineAnswer.flagged ?? answer.flagged;
+        answer.timeSpent = offlineAnswer.timeSpent ?? answer.timeSpent;
+        answer.answeredAt = offlineAnswer.answeredAt;
+        // The offline answer was worked out with the bundle's template values
+        answer.parameterValues = bundleParameterValues.get(
+          offlineAnswer.questionId
+        );
+        quizSessionService.applyGrade(answer, question);
+        appliedCount += 1;
+        if (!lastAnsweredAt || offlineAnswer.answeredAt > lastAnsweredAt) {
+          lastAnsweredAt = offlineAnswer.answeredAt;
+        }
+      });
+
+      session.offline = {
+        bundleId: manifest.bundleId,
+        bundleVersion: manifest.version,
+        issuedAt,
+        uploadedAt: now,
+        mergedWithOnline: !!onlineSession,
+        rejectedAnswers: rejected,
+      };
+      session.deviceInfo = {
+        ...session.deviceInfo,
+        ...deviceInfo,
+        lastSync: now,
+      };
+
+      // The attempt ends when the device submitted it, never in the future
+      let endTime = upload.submittedAt
+        ? new Date(upload.submittedAt)
+        : lastAnsweredAt ?? now;
+      if (endTime > now) endTime = now;
+      if (endTime < session.startTime) endTime = session.startTime;
+      const autoSubmitted = session.hasTimeExpired(
+        endTime,
+        QUIZ_SESSION_GRACE_PERIOD
+      );
+      await quizSessionService.finalizeSession(session, {
+        autoSubmitted,
+        endTime,
+      });
+
+      logger.info(`Offline bundle ${manifest.bundleId} uploaded by user ${userId}: ${appliedCount} answers applied, ${rejected.length} rejected`);
+      return new ApiResponse(
+        200,
+        {
+          sessionId: session.sessionId,
+          resultId: session.resultId,
+          status: session.status,
+          score: session.score,
+          maxScore: session.maxScore,
+          mergedWithOnline: !!onlineSession,
+          appliedAnswers: appliedCount,
+          rejectedAnswers: rejected,
+        },
+        "Offline answers uploaded successfully"
+      );
+    } catch (error) {
+      logger.error(`Error uploading offline answers for user ${userId}:`, error);
+      if (error instanceof ApiError) throw error;
+      if (error.code === 11000) {
+        throw new ApiError(409, "This bundle has already been uploaded");
+      }
+      throw new ApiError(500, "Failed to upload offline answers", error.message);
+    }
+  }
+
+  // Helper method to build a session in the question and option order of a bundle
+  buildOfflineSession(userId, manifest, questionMap, options) {
+    const { startedAt, bundleOptionOrders, bundleParameterValues } = options;
+    const questions = manifest.questionIds
+      .map((questionId) => questionMap.get(questionId))
+      .filter(Boolean);
+
+    return new QuizSession({
+      userId,
+      quizId: manifest.quizId,
+      shuffleSeed: manifest.shuffleSeed,
+      startTime: startedAt,
+      timeLimit: manifest.timeLimit,
+      answers: questions.map((question) => ({
+        questionId: question._id,
+        selectedAnswer: null,
+        maxPoints: question.points ?? 0,
+        timeSpent: 0,
+        flagged: false,
+        skipped: false,
+        optionOrder: bundleOptionOrders.get(question._id.toString()),
+        parameterValues: bundleParameterValues.get(question._id.toString()),
+      })),
+      maxScore: questions.reduce(
+        (total, question) => total + (question.points ?? 0),
+        0
+      ),
+      deviceInfo: { isOnline: false },
+      status: "in_progress",
+    });
+  }
+
+  // Helper method to get the secret used to sign bundles
+  getSigningSecret() {
+    const secret = process.env.OFFLINE_BUNDLE_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error("OFFLINE_BUNDLE_SECRET environment variable is not defined");
+    }
+    return secret;
+  }
+}
+
+module.exports = new OfflineBundleService();
@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const {
+  QUIZ_SESSION_GRACE_PERIOD,
+  OFFLINE_CLOCK_SKEW,
+  OFFLINE_ANSWER_REJECTIONS,
+} = require("../../../constants");
+
+// Signed manifest fields, in the order they are serialized for signing
+const MANIFEST_FIELDS = [
+  "version",
+  "bundleId",
+  "quizId",
+  "userId",
+  "issuedAt",
+  "expiresAt",
+  "timeLimit",
+  "shuffleSeed",
+  "shuffleOptions",
+  "questionIds",
+  "contentHash",
+];
+
+/**
+ * Hashes the bundle content so the manifest signature also covers it.
+ * @param {Object} content - Quiz and questions shipped in the bundle.
+ * @returns {string} SHA-256 hex digest.
+ */
+const hashContent = (content) =>
+  crypto.createHash("sha256").update(JSON.stringify(content)).digest("hex");
+
+/**
+ * Signs a bundle manifest with HMAC-SHA256. Fields are serialized in a fixed
+ * order so the signature survives a JSON round trip on the device.
+ * @param {Object} manifest - Bundle manifest.
+ * @param {string} secret - Signing secret.
+ * @returns {string} Hex signature.
+ */
+const signManifest = (manifest, secret) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(JSON.stringify(MANIFEST_FIELDS.map((field) => manifest[field])))
+    .digest("hex");
+
+/**
+ * Checks a manifest signature in constant time.
+ * @param {Object} manifest - Bundle manifest sent back by the device.
+ * @param {string} signature - Signature issued with the bundle.
+ * @param {string} secret - Signing secret.
+ * @returns {boolean} True if the manifest is unchanged.
+ */
+const verifyManifest = (manifest, signature, secret) => {
+  const expected = Buffer.from(signManifest(manifest, secret), "hex");
+  const received = Buffer.from(String(signature ?? ""), "hex");
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+/**
+ * Splits answers recorded offline into accepted and rejected ones. Answers
+ * must belong to the bundle and fall inside the timer window; when a question
+ * was answered several times only the latest answer is kept.
+ * @param {Object} params - Classification parameters.
+ * @param {Array<Object>} params.answers - Uploaded answers with questionId and answeredAt.
+ * @param {Array<string>} params.questionIds - Questions of the bundle.
+ * @param {Date} params.startedAt - Start of the attempt.
+ * @param {number} [params.timeLimit=0] - Time limit in seconds, 0 means untimed.
+ * @param {Date} [params.now=new Date()] - Server time of the upload.
+ * @returns {{accepted: Array<Object>, rejected: Array<{questionId: string, answeredAt: Date, reason: string}>}} Classified answers.
+ */
+const classifyOfflineAnswers = ({
+  answers,
+  questionIds,
+  startedAt,
+  timeLimit = 0,
+  now = new Date(),
+}) => {
+  const bundleQuestions = new Set(questionIds.map(String));
+  const earliest = startedAt.getTime() - OFFLINE_CLOCK_SKEW * 1000;
+  const latest = timeLimit
+    ? Math.min(
+        startedAt.getTime() + (timeLimit + QUIZ_SESSION_GRACE_PERIOD) * 1000,
+        now.getTime() + OFFLINE_CLOCK_SKEW * 1000
+      )
+    : now.getTime() + OFFLINE_CLOCK_SKEW * 1000;
+
+  const rejected = [];
+  const latestByQuestion = new Map();
+  answers.forEach((answer) => {
+    const questionId = String(answer.questionId);
+    const answeredAt = new Date(answer.answeredAt);
+    const reject = (reason) =>
+      rejected.push({ questionId, answeredAt, reason });
+
+    if (!bundleQuestions.has(questionId)) {
+      return reject(OFFLINE_ANSWER_REJECTIONS[0]); // unknown_question
+    }
+    if (answeredAt.getTime() < earliest) {
+      return reject(OFFLINE_ANSWER_REJECTIONS[1]); // before_start
+    }
+    if (answeredAt.getTime() > latest) {
+      return reject(OFFLINE_ANSWER_REJECTIONS[2]); // after_time_limit
+    }
+
+    const previous = latestByQuestion.get(questionId);
+    if (previous && previous.answeredAt > answeredAt) {
+      return reject(OFFLINE_ANSWER_REJECTIONS[3]); // superseded
+    }
+    if (previous) {
+      rejected.push({
+        questionId,
+        answeredAt: previous.answeredAt,
+        reason: OFFLINE_ANSWER_REJECTIONS[3], // superseded
+      });
+    }
+    latestByQuestion.set(questionId, { ...answer, questionId, answeredAt });
+  });
+
+  return { accepted: [...latestByQuestion.values()], rejected };
+};
+
+module.exports = {
+  MANIFEST_FIELDS,
+  hashContent,
+  signManifest,
+  verifyManifest,
+  classifyOfflineAnswers,
+};
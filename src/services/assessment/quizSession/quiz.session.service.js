@@ -1,8 +1,38 @@
 const { QuizSession } = require("../../../models/assessment/quiz.session.model");
 const { Quiz } = require("../../../models/assessment/quiz.model");
 const { Question } = require("../../../models/assessment/question.model");
+const { Challenge } = require("../../../models/assessment/challenge.model");
+const gradingService = require("../grading/grading.service");
+const integrityService = require("../integrity/integrity.service");
+const challengeService = require("../challenge/challenge.service");
+const quizResultService = require("../../results/quiz.result.service");
+const manualGradingService = require("../manualGrading/manual.grading.service");
+const passageService = require("../passage/passage.service");
 const { ApiError } = require("../../../utils/ApiError");
 const { ApiResponse } = require("../../../utils/ApiResponse");
+const {
+  createSeed,
+  seededGroupedShuffle,
+  seededPermutation,
+} = require("../../../utils/shuffle.utils");
+const {
+  estimateAbility,
+  selectMostInformative,
+} = require("../irt/irt.utils");
+const {
+  isTemplated,
+  drawTemplateValues,
+  renderTemplate,
+} = require("../question/template.utils");
+const {
+  QUESTION_TYPES,
+  QUIZ_SESSION_GRACE_PERIOD,
+  QUIZ_SESSION_MODES,
+  ADAPTIVE_SESSION_DEFAULTS,
+  ADAPTIVE_STOP_REASONS,
+  CHALLENGE_STATUSES,
+  GRADING_STATUSES,
+} = require("../../../constants");
 const createLogger = require("../../logging.service");
 
 const logger = createLogger("QuizSessionService");
@@ -30,18 +60,43 @@ class QuizSessionService {
         return new ApiResponse(200, existingSession, "Active session found");
       }
 
+      // Each session gets its own seeded question and option order, questions
+      // on the same passage stay together
+      const shuffleSeed = createSeed();
+      const questions = quiz.settings?.shuffleQuestions
+        ? seededGroupedShuffle(
+            quiz.questionIds,
+            `${shuffleSeed}:questions`,
+            (question) => question.passageId
+          )
+        : quiz.questionIds;
+
       // Create new session
       const sessionData = {
         userId,
         quizId,
+        shuffleSeed,
+        timeLimit: quiz.timeLimit,
         timeRemaining: quiz.timeLimit,
-        answers: quiz.questionIds.map((questionId) => ({
-          questionId,
+        pauseStopsTimer: quiz.settings?.pauseStopsTimer ?? false,
+        answers: questions.map((question) => ({
+          questionId: question._id,
           selectedAnswer: null,
+          maxPoints: question.points ?? 0,
           timeSpent: 0,
           flagged: false,
           skipped: false,
+          optionOrder: this.getOptionOrder(
+            question,
+            shuffleSeed,
+            quiz.settings?.shuffleOptions
+          ),
+          parameterValues: this.getParameterValues(question, shuffleSeed),
         })),
+        maxScore: quiz.questionIds.reduce(
+          (total, question) => total + (question.points ?? 0),
+          0
+        ),
         deviceInfo: {
           ...deviceInfo,
           lastSync: new Date(),
@@ -69,6 +124,158 @@ class QuizSessionService {
     }
   }
 
+  // Create an adaptive session that serves the quiz's questions one at a time
+  async createAdaptiveSession(userId, quizId, options = {}, deviceInfo = {}) {
+    try {
+      const quiz = await Quiz.findById(quizId);
+      if (!quiz) {
+        logger.warn(`Quiz not found for adaptive session creation: ${quizId}`);
+        throw new ApiError(404, "Quiz not found");
+      }
+
+      const existingSession = await QuizSession.findOne({
+        userId,
+        quizId,
+        status: { $in: ["in_progress", "paused"] },
+      });
+
+      if (existingSession) {
+        logger.info(`Active session found for user ${userId} and quiz ${quizId}`);
+        return new ApiResponse(200, existingSession, "Active session found");
+      }
+
+      const {
+        targetStandardError = ADAPTIVE_SESSION_DEFAULTS.TARGET_STANDARD_ERROR,
+        minQuestions = ADAPTIVE_SESSION_DEFAULTS.MIN_QUESTIONS,
+        maxQuestions = ADAPTIVE_SESSION_DEFAULTS.MAX_QUESTIONS,
+      } = options;
+      const poolSize = quiz.questionIds.length;
+
+      const session = new QuizSession({
+        userId,
+        quizId,
+        mode: QUIZ_SESSION_MODES[1], // adaptive
+        shuffleSeed: createSeed(),
+        timeLimit: quiz.timeLimit,
+        timeRemaining: quiz.timeLimit,
+        pauseStopsTimer: quiz.settings?.pauseStopsTimer ?? false,
+        // Questions are added to the session as they are served
+        answers: [],
+        maxScore: 0,
+        adaptive: {
+          itemPool: quiz.questionIds,
+          targetStandardError,
+          minQuestions: Math.min(minQuestions, poolSize),
+          maxQuestions: Math.min(maxQuestions, poolSize),
+        },
+        deviceInfo: {
+          ...deviceInfo,
+          lastSync: new Date(),
+        },
+        status: "not_started",
+      });
+      await session.save();
+
+      logger.info(`New adaptive quiz session created: ${session._id} for user ${userId} and quiz ${quizId}`);
+      return new ApiResponse(
+        201,
+        session,
+        "Adaptive quiz session created successfully"
+      );
+    } catch (error) {
+      logger.error(`Error creating adaptive quiz session for user ${userId} and quiz ${quizId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to create adaptive quiz session", error.message);
+    }
+  }
+
+  // Create a session for a challenge attempt, in the participant's question order
+  async createChallengeSession(userId, challengeId, deviceInfo = {}) {
+    try {
+      const challenge = await Challenge.findById(challengeId);
+      if (!challenge) {
+        logger.warn(`Challenge not found for session creation: ${challengeId}`);
+        throw new ApiError(404, "Challenge not found");
+      }
+      if (challenge.status !== CHALLENGE_STATUSES[2]) {
+        // active
+        throw new ApiError(400, "Challenge is not active");
+      }
+      const isParticipant = challenge.participants.some(
+        (participantId) => participantId.toString() === userId.toString()
+      );
+      if (!isParticipant) {
+        throw new ApiError(400, "User is not a participant in this challenge");
+      }
+
+      const existingSession = await QuizSession.findOne({
+        userId,
+        challengeId,
+        status: { $in: ["in_progress", "paused", "completed", "expired"] },
+      }).sort({ createdAt: -1 });
+      if (existingSession?.isActive()) {
+        logger.info(`Active session found for user ${userId} and challenge ${challengeId}`);
+        return new ApiResponse(200, existingSession, "Active session found");
+      }
+      if (existingSession && !challenge.rules?.allowMultipleAttempts) {
+        throw new ApiError(409, "Challenge has already been attempted");
+      }
+
+      // Same order as the challenge questions endpoint
+      const questions = await challengeService.getChallengeQuestions(
+        challengeId,
+        userId,
+        { withTemplates: true }
+      );
+      const timeLimit = challenge.timeLimit * 60; // challenge limits are in minutes
+      const shuffleSeed = createSeed();
+
+      const session = new QuizSession({
+        userId,
+        challengeId,
+        shuffleSeed,
+        timeLimit,
+        timeRemaining: timeLimit,
+        answers: questions.map((question) => ({
+          questionId: question._id,
+          selectedAnswer: null,
+          maxPoints: question.points ?? 0,
+          timeSpent: 0,
+          flagged: false,
+          skipped: false,
+          // Competitors do not share answer positions either
+          optionOrder: this.getOptionOrder(
+            question,
+            shuffleSeed,
+            challenge.rules?.shuffleQuestions
+          ),
+          parameterValues: this.getParameterValues(question, shuffleSeed),
+        })),
+        maxScore: questions.reduce(
+          (total, question) => total + (question.points ?? 0),
+          0
+        ),
+        deviceInfo: {
+          ...deviceInfo,
+          lastSync: new Date(),
+        },
+        status: "not_started",
+      });
+      await session.save();
+
+      logger.info(`New challenge session created: ${session._id} for user ${userId} and challenge ${challengeId}`);
+      return new ApiResponse(
+        201,
+        session,
+        "Challenge session created successfully"
+      );
+    } catch (error) {
+      logger.error(`Error creating challenge session for user ${userId} and challenge ${challengeId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to create challenge session", error.message);
+    }
+  }
+
   // Start a quiz session
   async startSession(sessionId, userId) {
     try {
@@ -83,18 +290,22 @@ class QuizSessionService {
         throw new ApiError(404, "Session not found or cannot be started");
       }
 
-      // Check if session is expired
-      if (session.isExpired) {
-        session.status = "expired";
-        await session.save();
+      // Check if the timer ran out while the session was paused
+      if (await this.enforceTimeLimit(session)) {
         logger.warn(`Session expired: ${sessionId} for user ${userId}`);
         throw new ApiError(400, "Session has expired");
       }
 
+      this.resumeTimer(session);
       session.status = "in_progress";
       session.startTime = session.startTime || new Date();
       session.lastActive = new Date();
 
+      // Adaptive sessions start with the item most informative at an average ability
+      if (session.mode === QUIZ_SESSION_MODES[1] && session.answers.length === 0) {
+        await this.serveNextAdaptiveQuestion(session);
+      }
+
       await session.save();
 
       logger.info(`Quiz session started: ${sessionId} for user ${userId}`);
@@ -117,7 +328,8 @@ class QuizSessionService {
           },
           {
             path: "answers.questionId",
-            select: "question format options difficulty points",
+            select:
+              "question format options difficulty points map diagram passageId",
           },
         ]
       );
@@ -127,8 +339,19 @@ class QuizSessionService {
         throw new ApiError(404, "Session not found");
       }
 
+      // Auto-submit the session if its timer ran out since the last request
+      await this.enforceTimeLimit(session);
+
+      const passages = await passageService.getPassagesForQuestions(
+        session.answers.map((answer) => answer.questionId)
+      );
+
       logger.info(`Session retrieved: ${sessionId} for user ${userId}`);
-      return new ApiResponse(200, session, "Session retrieved successfully");
+      return new ApiResponse(
+        200,
+        this.presentSession(session, passages),
+        "Session retrieved successfully"
+      );
     } catch (error) {
       logger.error(`Error retrieving session ${sessionId} for user ${userId}:`, error);
       if (error instanceof ApiError) throw error;
@@ -150,6 +373,10 @@ class QuizSessionService {
         throw new ApiError(404, "Active session not found");
       }
 
+      if (await this.enforceTimeLimit(session)) {
+        throw new ApiError(400, "Time limit exceeded, the session has been submitted");
+      }
+
       // Find the answer in the session
       const answerIndex = session.answers.findIndex(
         (answer) => answer.questionId.toString() === questionId
@@ -171,8 +398,23 @@ class QuizSessionService {
       const answer = session.answers[answerIndex];
       const previousAnswer = answer.selectedAnswer;
 
-      answer.selectedAnswer = selectedAnswer;
+      // Adaptive sessions only accept one answer to the question being served
+      const isAdaptive = session.mode === QUIZ_SESSION_MODES[1];
+      if (
+        isAdaptive &&
+        (answerIndex !== session.answers.length - 1 ||
+          (previousAnswer !== null && previousAnswer !== undefined))
+      ) {
+        throw new ApiError(400, "Answers cannot be changed in an adaptive session");
+      }
+
+      answer.selectedAnswer = this.toCanonicalAnswer(
+        answer,
+        question,
+        selectedAnswer
+      );
       answer.answeredAt = new Date();
+      answer.questionVersion = question.version;
       answer.skipped = false;
 
       // Calculate time spent (if this is a new answer)
@@ -181,11 +423,14 @@ class QuizSessionService {
         answer.timeSpent = timeSpent;
       }
 
-      // Check if answer is correct
-      answer.isCorrect = this.checkAnswer(question, selectedAnswer);
+      // Grade the answer
+      const grade = this.applyGrade(answer, question);
 
       session.lastActive = new Date();
-      await session.save();
+      const adaptive = isAdaptive
+        ? await this.advanceAdaptiveSession(session)
+        : undefined;
+      if (!adaptive?.completed) await session.save();
 
       logger.info(`Answer submitted for question ${questionId} in session ${sessionId} by user ${userId}`);
       return new ApiResponse(
@@ -193,7 +438,12 @@ class QuizSessionService {
         {
           answer: answer,
           isCorrect: answer.isCorrect,
+          pointsEarned: answer.pointsEarned,
+          maxPoints: answer.maxPoints,
+          gradingStatus: answer.gradingStatus,
+          feedback: grade.feedback,
           progress: session.progress,
+          adaptive,
         },
         "Answer submitted successfully"
       );
@@ -218,6 +468,10 @@ class QuizSessionService {
         throw new ApiError(404, "Session not found");
       }
 
+      if (await this.enforceTimeLimit(session)) {
+        throw new ApiError(400, "Time limit exceeded, the session has been submitted");
+      }
+
       const answerIndex = session.answers.findIndex(
         (answer) => answer.questionId.toString() === questionId
       );
@@ -263,6 +517,14 @@ class QuizSessionService {
         throw new ApiError(404, "Active session not found");
       }
 
+      if (session.mode === QUIZ_SESSION_MODES[1]) {
+        throw new ApiError(400, "Questions cannot be skipped in an adaptive session");
+      }
+
+      if (await this.enforceTimeLimit(session)) {
+        throw new ApiError(400, "Time limit exceeded, the session has been submitted");
+      }
+
       const answerIndex = session.answers.findIndex(
         (answer) => answer.questionId.toString() === questionId
       );
@@ -274,6 +536,8 @@ class QuizSessionService {
 
       session.answers[answerIndex].skipped = true;
       session.answers[answerIndex].selectedAnswer = null;
+      session.answers[answerIndex].isCorrect = false;
+      session.answers[answerIndex].pointsEarned = 0;
       session.answers[answerIndex].answeredAt = new Date();
       session.lastActive = new Date();
 
@@ -309,6 +573,10 @@ class QuizSessionService {
         throw new ApiError(404, "Session not found");
       }
 
+      if (await this.enforceTimeLimit(session)) {
+        throw new ApiError(400, "Time limit exceeded, the session has been submitted");
+      }
+
       if (questionIndex < 0 || questionIndex >= session.answers.length) {
         logger.warn(`Invalid question index ${questionIndex} for session ${sessionId}`);
         throw new ApiError(400, "Invalid question index");
@@ -348,7 +616,12 @@ class QuizSessionService {
         throw new ApiError(404, "Active session not found");
       }
 
+      if (await this.enforceTimeLimit(session)) {
+        throw new ApiError(400, "Time limit exceeded, the session has been submitted");
+      }
+
       session.status = "paused";
+      session.pausedAt = new Date();
       session.lastActive = new Date();
       await session.save();
 
@@ -375,14 +648,13 @@ class QuizSessionService {
         throw new ApiError(404, "Paused session not found");
       }
 
-      // Check if session is expired
-      if (session.isExpired) {
-        session.status = "expired";
-        await session.save();
+      // Check if the timer ran out while the session was paused
+      if (await this.enforceTimeLimit(session)) {
         logger.warn(`Session expired during resume attempt: ${sessionId} for user ${userId}`);
         throw new ApiError(400, "Session has expired");
       }
 
+      this.resumeTimer(session);
       session.status = "in_progress";
       session.lastActive = new Date();
       await session.save();
@@ -410,35 +682,28 @@ class QuizSessionService {
         throw new ApiError(404, "Active session not found");
       }
 
-      // Calculate final score
-      const score = session.answers.reduce((total, answer) => {
-        if (answer.isCorrect) {
-          const question = session.quizId.questionIds.find(
-            (q) => q._id.toString() === answer.questionId.toString()
-          );
-          return total + (question?.points || 0);
-        }
-        return total;
-      }, 0);
-
-      session.status = "completed";
-      session.endTime = new Date();
-      session.score = score;
-      session.timeTaken = Math.floor(
-        (session.endTime - session.startTime) / 1000
+      // Answers given after the time limit are not accepted, so a late
+      // completion is recorded as an auto-submission at the deadline
+      const autoSubmitted = session.hasTimeExpired(
+        new Date(),
+        QUIZ_SESSION_GRACE_PERIOD
       );
+      await this.finalizeSession(session, { autoSubmitted });
 
-      await session.save();
-
-      logger.info(`Session completed: ${sessionId} by user ${userId} with score ${score}`);
+      logger.info(`Session completed: ${sessionId} by user ${userId} with score ${session.score}`);
       return new ApiResponse(
         200,
         {
           session,
-          score,
+          score: session.score,
+          maxScore: session.maxScore,
           timeTaken: session.timeTaken,
+          autoSubmitted: session.autoSubmitted,
+          resultId: session.resultId,
         },
-        "Session completed successfully"
+        autoSubmitted
+          ? "Time limit exceeded, session submitted automatically"
+          : "Session completed successfully"
       );
     } catch (error) {
       logger.error(`Error completing session ${sessionId} by user ${userId}:`, error);
@@ -478,7 +743,7 @@ class QuizSessionService {
         status,
       } = options;
 
-      const query = { userId, status: "completed" };
+      const query = { userId, status: { $in: ["completed", "expired"] } };
       if (status) query.status = status;
 
       const skip = (page - 1) * limit;
@@ -526,17 +791,25 @@ class QuizSessionService {
         throw new ApiError(404, "Active session not found");
       }
 
-      // Update session data
+      if (await this.enforceTimeLimit(session)) {
+        throw new ApiError(400, "Time limit exceeded, the session has been submitted");
+      }
+
+      if (syncData.answers && session.mode === QUIZ_SESSION_MODES[1]) {
+        throw new ApiError(400, "Answers of an adaptive session cannot be synced");
+      }
+
+      // Update session data; synced answers are re-graded on the server
       if (syncData.answers) {
-        session.answers = syncData.answers;
+        this.mergeSyncedAnswers(session, syncData.answers);
+        await this.gradeSessionAnswers(session);
       }
       if (syncData.currentQuestionIndex !== undefined) {
         session.currentQuestionIndex = syncData.currentQuestionIndex;
       }
-      if (syncData.timeRemaining !== undefined) {
-        session.timeRemaining = syncData.timeRemaining;
-      }
+      // The remaining time is computed by the server; client values are ignored
       if (syncData.deviceInfo) {
+        integrityService.recordDeviceChange(session, syncData.deviceInfo);
         session.deviceInfo = {
           ...session.deviceInfo,
           ...syncData.deviceInfo,
@@ -556,30 +829,431 @@ class QuizSessionService {
     }
   }
 
-  // Helper method to check answer
-  checkAnswer(question, selectedAnswer) {
+  // Regrade every stored answer to a question, e.g. after its answer key was fixed
+  async rescoreQuestion(questionId) {
     try {
-      if (!question || !selectedAnswer) return false;
-
-      switch (question.format) {
-        case "multiple_choice":
-          return selectedAnswer === question.correctAnswer;
-        case "true_false":
-          return selectedAnswer === question.correctAnswer;
-        case "matching":
-          return JSON.stringify(selectedAnswer) === JSON.stringify(question.correctAnswer);
-        default:
-          return false;
+      const question = await Question.findById(questionId);
+      if (!question) throw new ApiError(404, "Question not found");
+
+      const summary = {
+        sessionsRescored: 0,
+        resultsUpdated: 0,
+        challengesUpdated: 0,
+        answersChanged: 0,
+      };
+      let correctDelta = 0;
+      const cursor = QuizSession.find({
+        "answers.questionId": question._id,
+        status: { $ne: "not_started" },
+      }).cursor();
+
+      for await (const session of cursor) {
+        let changed = false;
+        session.answers.forEach((answer) => {
+          if (
+            !answer.questionId.equals(question._id) ||
+            answer.selectedAnswer === null ||
+            answer.selectedAnswer === undefined
+          ) {
+            return;
+          }
+          const wasCorrect = !!answer.isCorrect;
+          const previousPoints = answer.pointsEarned ?? 0;
+          this.applyGrade(answer, question);
+          if (
+            wasCorrect !== !!answer.isCorrect ||
+            previousPoints !== answer.pointsEarned
+          ) {
+            changed = true;
+            summary.answersChanged += 1;
+            correctDelta += Number(!!answer.isCorrect) - Number(wasCorrect);
+          }
+        });
+        if (!changed) continue;
+
+        // Open sessions are scored when they are completed
+        if (["completed", "expired"].includes(session.status)) {
+          const { pointsEarned, maxPoints } = session.calculateScore();
+          session.score = pointsEarned;
+          session.maxScore = maxPoints;
+          if (session.challengeId) {
+            await challengeService.recordSessionResult(session);
+            summary.challengesUpdated += 1;
+          } else if (session.resultId) {
+            await quizResultService.updateFromSession(session);
+            summary.resultsUpdated += 1;
+          }
+        }
+        await session.save();
+        summary.sessionsRescored += 1;
       }
+
+      if (correctDelta !== 0) {
+        // Kept between 0 and the number of attempts the question has recorded
+        await Question.updateOne({ _id: question._id }, [
+          {
+            $set: {
+              "analytics.correctAttempts": {
+                $min: [
+                  "$analytics.totalAttempts",
+                  {
+                    $max: [
+                      0,
+                      { $add: ["$analytics.correctAttempts", correctDelta] },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        ]);
+      }
+
+      logger.info(
+        `Question ${questionId} rescored: ${JSON.stringify(summary)}`
+      );
+      return new ApiResponse(200, summary, "Question rescored successfully");
     } catch (error) {
-      logger.error(`Error checking answer for question ${question._id}:`, error);
+      logger.error(`Error rescoring question ${questionId}:`, error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to rescore question", error.message);
+    }
+  }
+
+  // Helper method to grade an answer and store the outcome on it
+  applyGrade(answer, question) {
+    const grade = gradingService.grade(question, answer.selectedAnswer, {
+      parameterValues: answer.parameterValues,
+    });
+    // A teacher's score is kept when the answer is regraded
+    if (
+      answer.manualGradeId &&
+      grade.status === GRADING_STATUSES[1] // pending_review
+    ) {
+      return grade;
+    }
+    answer.isCorrect = grade.isCorrect;
+    answer.pointsEarned = grade.pointsEarned;
+    answer.maxPoints = grade.maxPoints;
+    answer.gradingStatus = grade.status;
+    return grade;
+  }
+
+  // Helper method to grade every answer of a session
+  async gradeSessionAnswers(session) {
+    const questionIds = session.answers.map((answer) => answer.questionId);
+    const questions = await Question.find({ _id: { $in: questionIds } });
+    const questionMap = new Map(questions.map((q) => [q._id.toString(), q]));
+
+    session.answers.forEach((answer) => {
+      const question = questionMap.get(answer.questionId.toString());
+      if (!question) return;
+      answer.selectedAnswer = this.toCanonicalAnswer(
+        answer,
+        question,
+        answer.selectedAnswer
+      );
+      answer.questionVersion ??= question.version;
+      this.applyGrade(answer, question);
+    });
+    return session;
+  }
+
+  // Helper method to apply synced answers while keeping the session's question
+  // order; timings come from the server clock, never from the client, so the
+  // integrity checks cannot be fooled by inflated times
+  mergeSyncedAnswers(session, syncedAnswers) {
+    const now = new Date();
+    const answerMap = new Map(
+      session.answers.map((answer) => [answer.questionId.toString(), answer])
+    );
+    const isEmpty = (value) => value === null || value === undefined;
+    const newlyAnswered = [];
+
+    syncedAnswers.forEach((syncedAnswer) => {
+      const answer = answerMap.get(String(syncedAnswer.questionId));
+      if (!answer) return;
+      ["flagged", "skipped"]
+        .filter((field) => syncedAnswer[field] !== undefined)
+        .forEach((field) => {
+          answer[field] = syncedAnswer[field];
+        });
+      if (syncedAnswer.selectedAnswer === undefined) return;
+      if (
+        isEmpty(answer.selectedAnswer) &&
+        !isEmpty(syncedAnswer.selectedAnswer)
+      ) {
+        newlyAnswered.push(answer);
+      }
+      answer.selectedAnswer = syncedAnswer.selectedAnswer;
+      answer.answeredAt = now;
+    });
+
+    // Time elapsed since the last activity is shared by the new answers
+    if (newlyAnswered.length) {
+      const elapsed = Math.floor((now - session.lastActive) / 1000);
+      const share = Math.floor(Math.max(elapsed, 0) / newlyAnswered.length);
+      newlyAnswered.forEach((answer) => {
+        answer.timeSpent = share;
+      });
+    }
+    return session;
+  }
+
+  // Helper method to pick the seeded option order of a multiple choice question
+  getOptionOrder(question, seed, shuffleOptions) {
+    if (
+      !shuffleOptions ||
+      question.format !== QUESTION_TYPES[0] || // multiple_choice
+      !question.options?.length
+    ) {
+      return [];
+    }
+    return seededPermutation(question.options.length, `${seed}:${question._id}`);
+  }
+
+  // Helper method to draw the seeded values of a templated question
+  getParameterValues(question, seed) {
+    if (!isTemplated(question)) return undefined;
+    const values = drawTemplateValues(
+      question.template,
+      `${seed}:${question._id}:values`
+    );
+    if (!values) {
+      throw new ApiError(
+        400,
+        `No values satisfy the template constraints of question ${question._id}`
+      );
+    }
+    return values;
+  }
+
+  // Helper method to map displayed option positions back to canonical option values
+  toCanonicalAnswer(answer, question, selectedAnswer) {
+    const optionOrder = answer.optionOrder ?? [];
+    if (!optionOrder.length || question.format !== QUESTION_TYPES[0]) {
+      return selectedAnswer;
+    }
+
+    const toOptionValue = (value) =>
+      Number.isInteger(value) && value >= 0 && value < optionOrder.length
+        ? question.options[optionOrder[value]]
+        : value;
+    return Array.isArray(selectedAnswer)
+      ? selectedAnswer.map(toOptionValue)
+      : toOptionValue(selectedAnswer);
+  }
+
+  // Helper method to show populated questions with the session's option order and values,
+  // and the passages they share once instead of with each question
+  presentSession(session, passages = []) {
+    const data = session.toObject();
+    data.passages = passages;
+    data.answers.forEach((answer) => {
+      const question = answer.questionId;
+      if (answer.optionOrder?.length && Array.isArray(question?.options)) {
+        question.options = answer.optionOrder.map(
+          (index) => question.options[index]
+        );
+      }
+      if (answer.parameterValues && question?.question) {
+        question.question = renderTemplate(
+          question.question,
+          answer.parameterValues
+        );
+      }
+    });
+    return data;
+  }
+
+  // Helper method to add the most informative unanswered question to an adaptive session
+  async serveNextAdaptiveQuestion(session, questions) {
+    const servedIds = new Set(
+      session.answers.map((answer) => answer.questionId.toString())
+    );
+    const pool =
+      questions ??
+      (await Question.find({ _id: { $in: session.adaptive.itemPool } }));
+    const candidates = pool
+      .filter((question) => !servedIds.has(question._id.toString()))
+      .map((question) => ({ ...question.getIrtParameters(), question }));
+
+    const next = selectMostInformative(
+      session.adaptive.abilityEstimate,
+      candidates
+    );
+    if (!next) return null;
+
+    const quiz = await Quiz.findById(session.quizId?._id ?? session.quizId).select(
+      "settings"
+    );
+    session.answers.push({
+      questionId: next.question._id,
+      selectedAnswer: null,
+      maxPoints: next.question.points ?? 0,
+      timeSpent: 0,
+      optionOrder: this.getOptionOrder(
+        next.question,
+        session.shuffleSeed,
+        quiz?.settings?.shuffleOptions
+      ),
+      parameterValues: this.getParameterValues(
+        next.question,
+        session.shuffleSeed
+      ),
+    });
+    session.currentQuestionIndex = session.answers.length - 1;
+    session.maxScore = (session.maxScore ?? 0) + (next.question.points ?? 0);
+    return next.question;
+  }
+
+  // Helper method to update the ability estimate, then stop or serve the next question
+  async advanceAdaptiveSession(session) {
+    const questions = await Question.find({
+      _id: { $in: session.adaptive.itemPool },
+    });
+    const questionMap = new Map(questions.map((q) => [q._id.toString(), q]));
+
+    const answered = session.answers.filter(
+      (answer) =>
+        answer.selectedAnswer !== null && answer.selectedAnswer !== undefined
+    );
+    const responses = answered
+      .map((answer) => {
+        const question = questionMap.get(answer.questionId.toString());
+        return question
+          ? { ...question.getIrtParameters(), correct: !!answer.isCorrect }
+          : null;
+      })
+      .filter(Boolean);
+    const { theta, standardError } = estimateAbility(responses);
+
+    const state = session.adaptive;
+    state.abilityEstimate = Math.round(theta * 1000) / 1000;
+    state.standardError = Math.round(standardError * 1000) / 1000;
+    state.history.push({
+      questionId: answered[answered.length - 1]?.questionId,
+      abilityEstimate: state.abilityEstimate,
+      standardError: state.standardError,
+    });
+
+    let stopReason = null;
+    if (
+      answered.length >= state.minQuestions &&
+      state.standardError <= state.targetStandardError
+    ) {
+      stopReason = ADAPTIVE_STOP_REASONS[0]; // precision_reached
+    } else if (answered.length >= state.maxQuestions) {
+      stopReason = ADAPTIVE_STOP_REASONS[1]; // max_questions
+    }
+
+    const nextQuestion = stopReason
+      ? null
+      : await this.serveNextAdaptiveQuestion(session, questions);
+    if (!stopReason && !nextQuestion) {
+      stopReason = ADAPTIVE_STOP_REASONS[2]; // pool_exhausted
+    }
+
+    const outcome = {
+      abilityEstimate: state.abilityEstimate,
+      standardError: state.standardError,
+      completed: !!stopReason,
+    };
+    if (stopReason) {
+      state.stopReason = stopReason;
+      await this.finalizeSession(session);
+      return { ...outcome, stopReason, resultId: session.resultId };
+    }
+
+    const { optionOrder: presentedOptions, parameterValues } =
+      session.answers[session.answers.length - 1];
+    return {
+      ...outcome,
+      nextQuestion: {
+        _id: nextQuestion._id,
+        question: renderTemplate(nextQuestion.question, parameterValues),
+        format: nextQuestion.format,
+        options: presentedOptions.length
+          ? presentedOptions.map((index) => nextQuestion.options[index])
+          : nextQuestion.options,
+        difficulty: nextQuestion.difficulty,
+        points: nextQuestion.points,
+        map: nextQuestion.map,
+        diagram: nextQuestion.diagram,
+        passageId: nextQuestion.passageId,
+      },
+      questionIndex: session.currentQuestionIndex,
+    };
+  }
+
+  // Helper method to add the current pause to the paused duration
+  resumeTimer(session) {
+    if (!session.pausedAt) return session;
+    const pausedSeconds = Math.floor((new Date() - session.pausedAt) / 1000);
+    session.metadata.pausedDuration =
+      (session.metadata.pausedDuration ?? 0) + pausedSeconds;
+    session.pausedAt = undefined;
+    return session;
+  }
+
+  // Helper method to close a session with its final score and result
+  async finalizeSession(session, { autoSubmitted = false, endTime } = {}) {
+    this.resumeTimer(session);
+
+    const { pointsEarned, maxPoints } = session.calculateScore();
+    session.status = autoSubmitted ? "expired" : "completed";
+    session.autoSubmitted = autoSubmitted;
+    session.endTime = autoSubmitted
+      ? session.getTimeoutDate() ?? new Date()
+      : endTime ?? new Date();
+    session.score = pointsEarned;
+    session.maxScore = maxPoints;
+    session.timeTaken = Math.floor(session.getElapsedSeconds());
+    await integrityService.analyzeSession(session);
+
+    // The result is created first so a failure leaves the session open for a retry
+    if (session.challengeId) {
+      // Challenge attempts are ranked on the challenge leaderboard
+      await challengeService.recordSessionResult(session);
+    } else {
+      const quizResult = await quizResultService.createFromSession(session);
+      session.resultId = quizResult._id;
+    }
+    // Open answers wait in the grading queue until a teacher scores them
+    await manualGradingService.enqueueSession(session);
+
+    await session.save();
+    return session;
+  }
+
+  // Helper method to auto-submit a session whose timer ran out
+  async enforceTimeLimit(session) {
+    if (
+      !["in_progress", "paused"].includes(session.status) ||
+      !session.hasTimeExpired(new Date(), QUIZ_SESSION_GRACE_PERIOD)
+    ) {
       return false;
     }
+
+    await this.finalizeSession(session, { autoSubmitted: true });
+    logger.info(`Session auto-submitted after time limit: ${session.sessionId}`);
+    return true;
   }
 
   // Cleanup expired sessions
   async cleanupExpiredSessions() {
     try {
+      // Auto-submit timed sessions whose timer ran out
+      const timedSessions = await QuizSession.find({
+        status: { $in: ["in_progress", "paused"] },
+        timeLimit: { $gt: 0 },
+        startTime: { $exists: true },
+      });
+      let autoSubmittedCount = 0;
+      for (const session of timedSessions) {
+        if (await this.enforceTimeLimit(session)) autoSubmittedCount++;
+      }
+
       const result = await QuizSession.updateMany(
         {
           status: { $in: ["in_progress", "paused"] },
@@ -588,10 +1262,10 @@ class QuizSessionService {
         { status: "expired" }
       );
 
-      logger.info(`Cleaned up ${result.modifiedCount} expired sessions`);
+      logger.info(`Cleaned up ${result.modifiedCount} expired sessions and auto-submitted ${autoSubmittedCount} timed out sessions`);
       return new ApiResponse(
         200,
-        { modifiedCount: result.modifiedCount },
+        { modifiedCount: result.modifiedCount, autoSubmittedCount },
         "Expired sessions cleaned up successfully"
       );
     } catch (error) {
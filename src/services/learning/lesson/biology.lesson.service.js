@@ -1,7 +1,9 @@
 const LessonService = require("./lesson.service");
 const { Lesson } = require("../../../models/learning/lesson/lesson.base.model");
+const contentRevisionService = require("../revision/content.revision.service");
 const { ApiError } = require("../../../utils/ApiError");
 const { ApiResponse } = require("../../../utils/ApiResponse");
+const { REVISION_CONTENT_TYPES } = require("../../../constants");
 const createLogger = require("../../../services/logging.service");
 
 const logger = createLogger("BiologyLessonService");
@@ -180,10 +182,21 @@ class BiologyLessonService extends LessonService {
     try {
       // Ensure discriminator
       data.subjectType = "biology";
+      const previous = await Lesson.findOne({
+        _id: id,
+        subjectType: "biology",
+      }).lean();
       const lesson = await Lesson.findOneAndUpdate(
         { _id: id, subjectType: "biology" },
         {
-          $set: { ...data, metadata: { ...data.metadata, updatedBy: userId } },
+          $set: {
+            ...data,
+            metadata: {
+              ...previous?.metadata,
+              ...data.metadata,
+              updatedBy: userId,
+            },
+          },
         },
         { new: true, runValidators: true }
       )
@@ -206,6 +219,12 @@ class BiologyLessonService extends LessonService {
         logger.warn(`Leçon de biologie introuvable pour la mise à jour: ${id}`);
         throw new ApiError(404, "Leçon de biologie introuvable");
       }
+      const revision = await contentRevisionService.recordRevision(
+        REVISION_CONTENT_TYPES[0], // lesson
+        previous,
+        userId
+      );
+      if (revision) lesson.metadata.version = revision.version;
       logger.info(
         `Mise à jour de la leçon de biologie: ${id} par l'utilisateur ${userId}`
       );
@@ -1,7 +1,9 @@
 const LessonService = require("./lesson.service");
 const { Lesson } = require("../../../models/learning/lesson/lesson.base.model");
+const contentRevisionService = require("../revision/content.revision.service");
 const { ApiError } = require("../../../utils/ApiError");
 const { ApiResponse } = require("../../../utils/ApiResponse");
+const { REVISION_CONTENT_TYPES } = require("../../../constants");
 const createLogger = require("../../../services/logging.service");
 
 const logger = createLogger("ChemistryLessonService");
@@ -175,10 +177,21 @@ class ChemistryLessonService extends LessonService {
   async updateLesson(id, data, userId) {
     try {
       data.subjectType = "chemistry";
+      const previous = await Lesson.findOne({
+        _id: id,
+        subjectType: "chemistry",
+      }).lean();
       const lesson = await Lesson.findOneAndUpdate(
         { _id: id, subjectType: "chemistry" },
         {
-          $set: { ...data, metadata: { ...data.metadata, updatedBy: userId } },
+          $set: {
+            ...data,
+            metadata: {
+              ...previous?.metadata,
+              ...data.metadata,
+              updatedBy: userId,
+            },
+          },
         },
         { new: true, runValidators: true }
       )
@@ -201,6 +214,12 @@ class ChemistryLessonService extends LessonService {
         logger.warn(`Leçon de chimie introuvable pour la mise à jour: ${id}`);
         throw new ApiError(404, "Leçon de chimie introuvable");
       }
+      const revision = await contentRevisionService.recordRevision(
+        REVISION_CONTENT_TYPES[0], // lesson
+        previous,
+        userId
+      );
+      if (revision) lesson.metadata.version = revision.version;
       logger.info(
         `Mise à jour de la leçon de chimie: ${id} par l'utilisateur ${userId}`
       );
@@ -1,7 +1,9 @@
 const LessonService = require("./lesson.service");
 const { Lesson } = require("../../../models/learning/lesson/lesson.base.model");
+const contentRevisionService = require("../revision/content.revision.service");
 const { ApiError } = require("../../../utils/ApiError");
 const { ApiResponse } = require("../../../utils/ApiResponse");
+const { REVISION_CONTENT_TYPES } = require("../../../constants");
 const createLogger = require("../../logging.service");
 
 const logger = createLogger("FrenchLessonService");
@@ -137,9 +139,22 @@ class FrenchLessonService extends LessonService {
   async updateLesson(id, data, userId) {
     try {
       data.subjectType = "french";
+      const previous = await Lesson.findOne({
+        _id: id,
+        subjectType: "french",
+      }).lean();
       const lesson = await Lesson.findOneAndUpdate(
         { _id: id, subjectType: "french" },
-        { $set: { ...data, metadata: { ...data.metadata, updatedBy: userId } } },
+        {
+          $set: {
+            ...data,
+            metadata: {
+              ...previous?.metadata,
+              ...data.metadata,
+              updatedBy: userId,
+            },
+          },
+        },
         { new: true, runValidators: true }
       )
         .populate([
@@ -163,6 +178,12 @@ class FrenchLessonService extends LessonService {
         logger.warn(`Leçon de français introuvable pour la mise à jour: ${id}`);
         throw new ApiError(404, "Leçon de français introuvable");
       }
+      const revision = await contentRevisionService.recordRevision(
+        REVISION_CONTENT_TYPES[0], // lesson
+        previous,
+        userId
+      );
+      if (revision) lesson.metadata.version = revision.version;
       logger.info(`Mise à jour de la leçon de français: ${id} par l'utilisateur ${userId}`);
       return new ApiResponse(200, lesson, "Leçon de français mise à jour avec succès");
     } catch (error) {
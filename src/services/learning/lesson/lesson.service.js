@@ -1,6 +1,8 @@
 const { Lesson } = require("../../../models/learning/lesson/lesson.base.model");
+const contentRevisionService = require("../revision/content.revision.service");
 const { ApiError } = require("../../../utils/ApiError");
 const { ApiResponse } = require("../../../utils/ApiResponse");
+const { REVISION_CONTENT_TYPES } = require("../../../constants");
 const createLogger = require("../../../services/logging.service");
 
 const logger = createLogger("LessonService");
@@ -144,9 +146,14 @@ class LessonService {
   // Update lesson
   async updateLesson(id, data, userId) {
     try {
+      const previous = await Lesson.findById(id).lean();
       const updateData = {
         ...data,
-        metadata: { ...data.metadata, updatedBy: userId },
+        metadata: {
+          ...previous?.metadata,
+          ...data.metadata,
+          updatedBy: userId,
+        },
       };
       const lesson = await Lesson.findByIdAndUpdate(
         id,
@@ -166,6 +173,12 @@ class LessonService {
         logger.warn(`Leçon introuvable pour la mise à jour: ${id}`);
         throw new ApiError(404, "Leçon introuvable");
       }
+      const revision = await contentRevisionService.recordRevision(
+        REVISION_CONTENT_TYPES[0], // lesson
+        previous,
+        userId
+      );
+      if (revision) lesson.metadata.version = revision.version;
       logger.info(`Mise à jour de la leçon: ${id} par l'utilisateur ${userId}`);
       return new ApiResponse(200, lesson, "Leçon mise à jour avec succès");
     } catch (error) {
@@ -1,7 +1,9 @@
 const LessonService = require("./lesson.service");
 const { Lesson } = require("../../../models/learning/lesson/lesson.base.model");
+const contentRevisionService = require("../revision/content.revision.service");
 const { ApiError } = require("../../../utils/ApiError");
 const { ApiResponse } = require("../../../utils/ApiResponse");
+const { REVISION_CONTENT_TYPES } = require("../../../constants");
 const createLogger = require("../../../services/logging.service");
 
 const logger = createLogger("MathLessonService");
@@ -173,10 +175,21 @@ class MathLessonService extends LessonService {
   async updateLesson(id, data, userId) {
     try {
       data.subjectType = "math";
+      const previous = await Lesson.findOne({
+        _id: id,
+        subjectType: "math",
+      }).lean();
       const lesson = await Lesson.findOneAndUpdate(
         { _id: id, subjectType: "math" },
         {
-          $set: { ...data, metadata: { ...data.metadata, updatedBy: userId } },
+          $set: {
+            ...data,
+            metadata: {
+              ...previous?.metadata,
+              ...data.metadata,
+              updatedBy: userId,
+            },
+          },
         },
         { new: true, runValidators: true }
       )
@@ -199,6 +212,12 @@ class MathLessonService extends LessonService {
         );
         throw new ApiError(404, "Leçon de mathématiques introuvable");
       }
+      const revision = await contentRevisionService.recordRevision(
+        REVISION_CONTENT_TYPES[0], // lesson
+        previous,
+        userId
+      );
+      if (revision) lesson.metadata.version = revision.version;
       logger.info(
         `Mise à jour de la leçon de mathématiques: ${id} par l'utilisateur ${userId}`
       );
@@ -1,7 +1,9 @@
 const LessonService = require("./lesson.service");
 const { Lesson } = require("../../../models/learning/lesson/lesson.base.model");
+const contentRevisionService = require("../revision/content.revision.service");
 const { ApiError } = require("../../../utils/ApiError");
 const { ApiResponse } = require("../../../utils/ApiResponse");
+const { REVISION_CONTENT_TYPES } = require("../../../constants");
 const createLogger = require("../../../services/logging.service");
 
 const logger = createLogger("PhysicsLessonService");
@@ -176,10 +178,21 @@ class PhysicsLessonService extends LessonService {
   async updateLesson(id, data, userId) {
     try {
       data.subjectType = "physics";
+      const previous = await Lesson.findOne({
+        _id: id,
+        subjectType: "physics",
+      }).lean();
       const lesson = await Lesson.findOneAndUpdate(
         { _id: id, subjectType: "physics" },
         {
-          $set: { ...data, metadata: { ...data.metadata, updatedBy: userId } },
+          $set: {
+            ...data,
+            metadata: {
+              ...previous?.metadata,
+              ...data.metadata,
+              updatedBy: userId,
+            },
+          },
         },
         { new: true, runValidators: true }
       )
@@ -201,6 +214,12 @@ class PhysicsLessonService extends LessonService {
         logger.warn(`Leçon de physique introuvable pour la mise à jour: ${id}`);
         throw new ApiError(404, "Leçon de physique introuvable");
       }
+      const revision = await contentRevisionService.recordRevision(
+        REVISION_CONTENT_TYPES[0], // lesson
+        previous,
+        userId
+      );
+      if (revision) lesson.metadata.version = revision.version;
       logger.info(
         `Mise à jour de la leçon de physique: ${id} par l'utilisateur ${userId}`
       );
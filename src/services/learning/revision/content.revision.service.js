@@ -0,0 +1,282 @@
+const { ContentRevision } = require("../../../models/learning/content.revision.model");
+const { Lesson } = require("../../../models/learning/lesson/lesson.base.model");
+const { Question } = require("../../../models/assessment/question.model");
+const { Exercise } = require("../../../models/assessment/exercise.model");
+const { toSnapshot, diffSnapshots } = require("./revision.utils");
+const { ApiError } = require("../../../utils/ApiError");
+const { ApiResponse } = require("../../../utils/ApiResponse");
+const {
+  REVISION_CONTENT_TYPES,
+  REVISION_ACTIONS,
+} = require("../../../constants");
+const createLogger = require("../../logging.service");
+
+const logger = createLogger("ContentRevisionService");
+
+// Model, version field and author field of each revised content type
+const CONTENT_MODELS = {
+  // lesson
+  [REVISION_CONTENT_TYPES[0]]: {
+    model: Lesson,
+    versionPath: "metadata.version",
+    authorPath: "metadata.createdBy",
+  },
+  // question
+  [REVISION_CONTENT_TYPES[1]]: {
+    model: Question,
+    versionPath: "version",
+    authorPath: "creatorId",
+  },
+  // exercise
+  [REVISION_CONTENT_TYPES[2]]: {
+    model: Exercise,
+    versionPath: "metadata.version",
+    authorPath: "metadata.createdBy",
+  },
+};
+
+class ContentRevisionService {
+  // Store the state of a content after an update as a new revision
+  async recordRevision(contentType, previous, authorId, options = {}) {
+    if (!previous) return null;
+    const { model } = CONTENT_MODELS[contentType];
+    const current = await model.findById(previous._id).lean();
+    if (!current) return null;
+
+    try {
+      return await this.appendRevision(
+        contentType,
+        previous,
+        current,
+        authorId,
+        options
+      );
+    } catch (error) {
+      // Another edit of the same content took the version number first
+      if (error.code !== 11000) throw error;
+      return this.appendRevision(
+        contentType,
+        previous,
+        current,
+        authorId,
+        options
+      );
+    }
+  }
+
+  // List the revisions of a content, newest first
+  async getRevisions(contentType, contentId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const query = { contentType, contentId };
+
+      const skip = (page - 1) * limit;
+      const [revisions, total] = await Promise.all([
+        ContentRevision.find(query)
+          .select("-snapshot")
+          .populate("authorId", "name")
+          .sort({ version: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        ContentRevision.countDocuments(query),
+      ]);
+
+      const pagination = {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+      };
+
+      logger.info(
+        `Retrieved ${revisions.length} revisions of ${contentType} ${contentId}`
+      );
+      return new ApiResponse(
+        200,
+        { revisions, pagination },
+        "Revisions retrieved successfully"
+      );
+    } catch (error) {
+      logger.error(`Error retrieving revisions of ${contentType} ${contentId}:`, error);
+      throw new ApiError(500, "Failed to retrieve revisions", error.message);
+    }
+  }
+
+  // Get a past revision with the full content as it was
+  async getRevision(contentType, contentId, version) {
+    try {
+      const revision = await this.findRevision(contentType, contentId, version);
+      await revision.populate("authorId", "name");
+      return new ApiResponse(200, revision, "Revision retrieved successfully");
+    } catch (error) {
+      logger.error(
+        `Error retrieving revision ${version} of ${contentType} ${contentId}:`,
+        error
+      );
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to retrieve revision", error.message);
+    }
+  }
+
+  // Compare two revisions of a content
+  async diffRevisions(contentType, contentId, from, to) {
+    try {
+      const [fromRevision, toRevision] = await Promise.all([
+        this.findRevision(contentType, contentId, from),
+        this.findRevision(contentType, contentId, to),
+      ]);
+      const changes = diffSnapshots(fromRevision.snapshot, toRevision.snapshot);
+
+      return new ApiResponse(
+        200,
+        { contentType, contentId, from, to, changes },
+        "Revision diff computed successfully"
+      );
+    } catch (error) {
+      logger.error(
+        `Error comparing revisions ${from} and ${to} of ${contentType} ${contentId}:`,
+        error
+      );
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to compare revisions", error.message);
+    }
+  }
+
+  // Bring a content back to a past revision; the rollback is a new revision
+  async rollback(contentType, contentId, version, userId) {
+    try {
+      const target = await this.findRevision(contentType, contentId, version);
+      const { model } = CONTENT_MODELS[contentType];
+      const [document, previous] = await Promise.all([
+        model.findById(contentId),
+        model.findById(contentId).lean(),
+      ]);
+      if (!document) throw new ApiError(404, "Content not found");
+
+      const changes = diffSnapshots(
+        toSnapshot(previous, contentType),
+        target.snapshot
+      );
+      if (changes.length === 0) {
+        throw new ApiError(400, `Content already matches revision ${version}`);
+      }
+      changes.forEach((change) =>
+        document.set(change.path, change.after ?? undefined)
+      );
+      if (contentType !== REVISION_CONTENT_TYPES[1]) {
+        // lesson, exercise
+        document.set("metadata.updatedBy", userId);
+      }
+      try {
+        await document.save();
+      } catch (error) {
+        if (error.name === "ValidationError") {
+          throw new ApiError(
+            400,
+            "The revision no longer passes validation",
+            Object.values(error.errors).map((e) => e.message)
+          );
+        }
+        throw error;
+      }
+
+      const revision = await this.recordRevision(contentType, previous, userId, {
+        action: REVISION_ACTIONS[2], // rollback
+        restoredVersion: target.version,
+      });
+
+      logger.info(
+        `${contentType} ${contentId} rolled back to revision ${version} by ${userId}`
+      );
+      return new ApiResponse(
+        200,
+        {
+          contentType,
+          contentId,
+          version: revision.version,
+          restoredVersion: target.version,
+          changes: revision.changes,
+        },
+        "Content rolled back successfully"
+      );
+    } catch (error) {
+      logger.error(
+        `Error rolling back ${contentType} ${contentId} to revision ${version}:`,
+        error
+      );
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, "Failed to roll back content", error.message);
+    }
+  }
+
+  // Get the author of a content, used to check who may roll it back
+  async getAuthorId(contentType, contentId) {
+    const { model, authorPath } = CONTENT_MODELS[contentType];
+    const content = await model.findById(contentId).select(authorPath).lean();
+    if (!content) throw new ApiError(404, "Content not found");
+    const authorId = authorPath
+      .split(".")
+      .reduce((value, key) => value?.[key], content);
+    return authorId ? authorId.toString() : null;
+  }
+
+  // Helper method to write the next revision and the content's version number
+  async appendRevision(contentType, previous, current, authorId, options) {
+    const { action = REVISION_ACTIONS[1], restoredVersion } = options; // update
+    const { model, versionPath } = CONTENT_MODELS[contentType];
+
+    // Content written before revisions were kept starts with its state before the edit
+    const latest =
+      (await ContentRevision.findOne({ contentType, contentId: previous._id })
+        .sort({ version: -1 })
+        .select("version snapshot")) ??
+      (await ContentRevision.create({
+        contentType,
+        contentId: previous._id,
+        version: versionPath
+          .split(".")
+          .reduce((value, key) => value?.[key], previous) ?? 1,
+        action: REVISION_ACTIONS[0], // create
+        authorId: previous.creatorId ?? previous.metadata?.createdBy,
+        snapshot: toSnapshot(previous, contentType),
+      }));
+
+    const snapshot = toSnapshot(current, contentType);
+    const changes = diffSnapshots(latest.snapshot, snapshot);
+    // Edits of statistics or workflow fields only are not revisions
+    if (changes.length === 0 && action !== REVISION_ACTIONS[2]) return null; // rollback
+
+    const revision = await ContentRevision.create({
+      contentType,
+      contentId: previous._id,
+      version: latest.version + 1,
+      action,
+      authorId,
+      snapshot,
+      changes,
+      restoredVersion,
+    });
+    await model.updateOne(
+      { _id: previous._id },
+      { $set: { [versionPath]: revision.version } }
+    );
+
+    logger.info(
+      `Revision ${revision.version} of ${contentType} ${previous._id} recorded`
+    );
+    return revision;
+  }
+
+  // Helper method to load one revision of a content
+  async findRevision(contentType, contentId, version) {
+    const revision = await ContentRevision.findOne({
+      contentType,
+      contentId,
+      version,
+    });
+    if (!revision) throw new ApiError(404, `Revision ${version} not found`);
+    return revision;
+  }
+}
+
+module.exports = new ContentRevisionService();
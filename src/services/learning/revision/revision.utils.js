@@ -0,0 +1,98 @@
+const { REVISION_CONTENT_TYPES } = require("../../../constants");
+
+// Bookkeeping fields that are never part of a revision
+const COMMON_EXCLUDED_PATHS = ["_id", "__v", "id", "createdAt", "updatedAt"];
+
+// Per content type: statistics, student feedback and workflow state are not content
+const EXCLUDED_PATHS = {
+  [REVISION_CONTENT_TYPES[0]]: ["metadata", "feedback", "progressTracking"], // lesson
+  [REVISION_CONTENT_TYPES[1]]: [
+    // question
+    "analytics",
+    "usage",
+    "irt",
+    "review",
+    "validation",
+    "status",
+    "version",
+    "isActive",
+    "mergedInto",
+    "mergedAt",
+  ],
+  [REVISION_CONTENT_TYPES[2]]: [
+    // exercise
+    "analytics",
+    "feedback",
+    "isActive",
+    "metadata.createdBy",
+    "metadata.createdAt",
+    "metadata.updatedBy",
+    "metadata.lastModified",
+    "metadata.version",
+    "metadata.status",
+  ],
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Removes a dotted path from an object, if present.
+ * @param {Object} target - Object to change in place.
+ * @param {string} path - Dotted path.
+ */
+const removePath = (target, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce(
+    (node, key) => (isPlainObject(node) ? node[key] : undefined),
+    target
+  );
+  if (isPlainObject(parent)) delete parent[last];
+};
+
+/**
+ * Builds the stored snapshot of a document: plain JSON values (IDs and
+ * dates as strings) without bookkeeping, statistics or workflow fields.
+ * @param {Object} document - Lean document.
+ * @param {string} contentType - Content type (see REVISION_CONTENT_TYPES).
+ * @returns {Object} Snapshot of the content fields.
+ */
+const toSnapshot = (document, contentType) => {
+  const snapshot = JSON.parse(JSON.stringify(document));
+  [...COMMON_EXCLUDED_PATHS, ...(EXCLUDED_PATHS[contentType] ?? [])].forEach(
+    (path) => removePath(snapshot, path)
+  );
+  return snapshot;
+};
+
+/**
+ * Lists the fields that differ between two snapshots. Nested objects are
+ * compared field by field; arrays and values are compared as a whole.
+ * @param {Object} before - Earlier snapshot.
+ * @param {Object} after - Later snapshot.
+ * @param {string} [prefix=""] - Path of the compared objects.
+ * @returns {Array<{path: string, before: *, after: *}>} Changes, by path.
+ */
+const diffSnapshots = (before, after, prefix = "") => {
+  const keys = [
+    ...new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]),
+  ].sort();
+
+  return keys.flatMap((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const previous = before?.[key];
+    const next = after?.[key];
+    if (isPlainObject(previous) && isPlainObject(next)) {
+      return diffSnapshots(previous, next, path);
+    }
+    return JSON.stringify(previous) === JSON.stringify(next)
+      ? []
+      : [{ path, before: previous ?? null, after: next ?? null }];
+  });
+};
+
+module.exports = {
+  toSnapshot,
+  diffSnapshots,
+};
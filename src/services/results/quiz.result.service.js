@@ -1,10 +1,31 @@
 const { QuizResult } = require("../../models/results/quiz.result.model");
+const { HintUsage } = require("../../models/results/hint.model");
+const { Quiz } = require("../../models/assessment/quiz.model");
 const { ApiError } = require("../../utils/ApiError");
+const { QUIZ_RESULT_FEEDBACK } = require("../../constants");
 const createLogger = require("../logging.service");
 
 const logger = createLogger("QuizResultService");
 
+// Fields computed by the server for results produced by a quiz session
+const SESSION_COMPUTED_FIELDS = [
+  "userId",
+  "quizId",
+  "questionIds",
+  "correctCount",
+  "score",
+  "maxScore",
+  "questionResults",
+  "timeTaken",
+  "completedAt",
+  "hintUsages",
+];
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
 class QuizResultService {
+  // Record a result entered by an administrator, such as a paper exam;
+  // results of quizzes taken online are created from their session
   async createQuizResult(data) {
     try {
       const quizResult = new QuizResult(data);
@@ -19,6 +40,152 @@ class QuizResultService {
     }
   }
 
+  async createFromSession(session) {
+    try {
+      const existingResult = await QuizResult.findOne({
+        sessionId: session._id,
+      });
+      if (existingResult) return existingResult;
+
+      const quizResult = new QuizResult({
+        ...(await this.computeFromSession(session)),
+        sessionId: session._id,
+      });
+      await quizResult.save();
+      logger.info(`Created quiz result from session: ${session.sessionId}`);
+      return quizResult;
+    } catch (error) {
+      logger.error("Error creating quiz result from session:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to create quiz result from session");
+    }
+  }
+
+  // Recompute the scores of a session's result after its answers were regraded
+  async updateFromSession(session) {
+    try {
+      const quizResult = await QuizResult.findOne({ sessionId: session._id });
+      if (!quizResult) return this.createFromSession(session);
+
+      const computed = await this.computeFromSession(session);
+      [
+        "questionIds",
+        "correctCount",
+        "score",
+        "maxScore",
+        "questionResults",
+        "hintPointsDeducted",
+        "hintUsages",
+        "feedback",
+      ].forEach((field) => {
+        quizResult[field] = computed[field];
+      });
+      await quizResult.save();
+      logger.info(`Updated quiz result from session: ${session.sessionId}`);
+      return quizResult;
+    } catch (error) {
+      logger.error("Error updating quiz result from session:", error);
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(500, "Failed to update quiz result from session");
+    }
+  }
+
+  // Helper method to compute the result fields of a session
+  async computeFromSession(session) {
+    const quizId = session.quizId?._id ?? session.quizId;
+    const questionIds = session.answers.map(
+      (answer) => answer.questionId?._id ?? answer.questionId
+    );
+
+    // Hints used on the session's questions while the session was running
+    const [quiz, hintUsages] = await Promise.all([
+      Quiz.findById(quizId).select("series"),
+      HintUsage.find({
+        userId: session.userId,
+        quizId,
+        questionId: { $in: questionIds },
+        usedAt: {
+          $gte: session.startTime ?? session.createdAt,
+          $lte: session.endTime ?? new Date(),
+        },
+      }),
+    ]);
+
+    const deductions = new Map();
+    hintUsages.forEach((hintUsage) => {
+      const key = hintUsage.questionId.toString();
+      deductions.set(
+        key,
+        (deductions.get(key) ?? 0) + (hintUsage.pointsDeducted ?? 0)
+      );
+    });
+
+    // A hint can cost at most the points earned on its question
+    const questionResults = session.answers.map((answer, index) => {
+      const earned = answer.pointsEarned ?? 0;
+      const hintPointsDeducted = Math.min(
+        earned,
+        deductions.get(questionIds[index].toString()) ?? 0
+      );
+      return {
+        questionId: questionIds[index],
+        questionVersion: answer.questionVersion,
+        pointsEarned: roundPoints(earned - hintPointsDeducted),
+        maxPoints: answer.maxPoints ?? 0,
+        isCorrect: !!answer.isCorrect,
+        gradingStatus: answer.gradingStatus,
+        timeSpent: answer.timeSpent ?? 0,
+        hintPointsDeducted: roundPoints(hintPointsDeducted),
+      };
+    });
+
+    const sum = (field) =>
+      questionResults.reduce((total, result) => total + result[field], 0);
+    const score = roundPoints(sum("pointsEarned"));
+    const maxScore = sum("maxPoints");
+    const deviceInfo = [
+      session.deviceInfo?.platform,
+      session.deviceInfo?.browser,
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+    return {
+      userId: session.userId,
+      quizId,
+      series: quiz?.series ?? [],
+      questionIds,
+      correctCount: questionResults.filter((result) => result.isCorrect)
+        .length,
+      score,
+      maxScore,
+      questionResults,
+      hintPointsDeducted: roundPoints(sum("hintPointsDeducted")),
+      timeTaken: session.timeTaken ?? 0,
+      completedAt: session.endTime ?? new Date(),
+      hintUsages: hintUsages.map((hintUsage) => hintUsage._id),
+      feedback: this.buildFeedback(
+        maxScore > 0 ? Math.round((score / maxScore) * 100) : 0
+      ),
+      metadata: deviceInfo ? { deviceInfo } : undefined,
+    };
+  }
+
+  buildFeedback(percentage) {
+    const tier =
+      QUIZ_RESULT_FEEDBACK.find((entry) => percentage >= entry.minPercentage) ??
+      QUIZ_RESULT_FEEDBACK[QUIZ_RESULT_FEEDBACK.length - 1];
+    return {
+      title: tier.title,
+      subtitle: `${percentage}% des points obtenus`,
+      color: tier.color,
+      emoji: tier.emoji,
+      message: tier.message,
+    };
+  }
+
   async getQuizResultById(id) {
     try {
       const quizResult = await QuizResult.findById(id)
@@ -82,6 +249,23 @@ class QuizResultService {
 
   async updateQuizResult(id, data) {
     try {
+      // Scores of session results are computed by the server only
+      const computedFields = SESSION_COMPUTED_FIELDS.filter(
+        (field) => data[field] !== undefined
+      );
+      if (computedFields.length > 0) {
+        const sessionResult = await QuizResult.exists({
+          _id: id,
+          sessionId: { $exists: true },
+        });
+        if (sessionResult) {
+          throw new ApiError(
+            409,
+            `Cannot update server-computed fields of a session result: ${computedFields.join(", ")}`
+          );
+        }
+      }
+
       const quizResult = await QuizResult.findByIdAndUpdate(
         id,
         { $set: data },
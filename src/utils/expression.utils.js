@@ -0,0 +1,510 @@
+/**
+ * Small arithmetic expression parser and evaluator, used for question
+ * templates, formula answers and algebraic answer grading. Expressions are
+ * parsed into a tree and never run as code.
+ */
+
+// Functions an expression may call, angles in radians
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  min: Math.min,
+  max: Math.max,
+};
+
+// Named constants, a variable of the same name takes precedence
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+const COMPARISONS = ["<=", ">=", "==", "!=", "<", ">"];
+
+const TOKEN_PATTERN =
+  /\s*(?:(\d+(?:\.\d+)?(?:[eE][-+]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|[-+*/^(),<>]))/y;
+
+/**
+ * Splits an expression into number, name and operator tokens.
+ * @param {string} text - Expression text.
+ * @returns {Array<{type: string, value: *}>} Tokens.
+ */
+const tokenize = (text) => {
+  const source = String(text)
+    .replace(/\*\*/g, "^")
+    .replace(/[×·⋅]/g, "*")
+    .replace(/÷/g, "/")
+    .replace(/−/g, "-");
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(
+        `Unexpected character "${source.slice(position).trim()[0]}" in expression`
+      );
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ type: "number", value: Number.parseFloat(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: "name", value: match[2] });
+    } else {
+      tokens.push({ type: "operator", value: match[3] });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Parses an expression into a tree. Supports + - * / ^, unary signs,
+ * parentheses, implicit multiplication ("2x", "3(a + b)"), the functions
+ * and constants above and a single comparison ("d / t <= 130").
+ * @param {string} text - Expression text.
+ * @returns {Object} Expression tree.
+ * @throws {Error} If the expression is empty or malformed.
+ */
+const parseExpression = (text) => {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) throw new Error("Expression is empty");
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (value) =>
+    peek()?.type === "operator" && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) throw new Error(`Expected "${value}" in expression`);
+    position += 1;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error("Unexpected end of expression");
+    position += 1;
+    if (token.type === "number") return { type: "number", value: token.value };
+    if (token.type === "name") {
+      if (FUNCTIONS[token.value] && isOperator("(")) {
+        position += 1;
+        const args = [parseAdditive()];
+        while (isOperator(",")) {
+          position += 1;
+          args.push(parseAdditive());
+        }
+        expect(")");
+        return { type: "call", name: token.value, args };
+      }
+      return { type: "symbol", name: token.value };
+    }
+    if (token.value === "(") {
+      const inner = parseAdditive();
+      expect(")");
+      return inner;
+    }
+    throw new Error(`Unexpected "${token.value}" in expression`);
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (!isOperator("^")) return base;
+    position += 1;
+    return { type: "binary", op: "^", left: base, right: parseUnary() };
+  };
+
+  const parseUnary = () => {
+    if (isOperator("-") || isOperator("+")) {
+      const op = peek().value;
+      position += 1;
+      const argument = parseUnary();
+      return op === "-" ? { type: "unary", op, argument } : argument;
+    }
+    return parsePower();
+  };
+
+  // A number, name or "(" right after an operand is an implicit product
+  const startsOperand = () =>
+    !!peek() && (peek().type !== "operator" || peek().value === "(");
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (isOperator("*") || isOperator("/") || startsOperand()) {
+      const op = isOperator("/") ? "/" : "*";
+      if (isOperator("*") || isOperator("/")) position += 1;
+      node = { type: "binary", op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (isOperator("+") || isOperator("-")) {
+      const op = peek().value;
+      position += 1;
+      node = { type: "binary", op, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  };
+
+  let tree = parseAdditive();
+  const comparison = COMPARISONS.find(isOperator);
+  if (comparison) {
+    position += 1;
+    tree = { type: "compare", op: comparison, left: tree, right: parseAdditive() };
+  }
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}" in expression`);
+  }
+  return tree;
+};
+
+/**
+ * Evaluates an expression tree or text with the given variable values.
+ * Comparisons evaluate to true or false.
+ * @param {Object|string} expression - Expression tree or text.
+ * @param {Object} [scope={}] - Variable values by name.
+ * @returns {number|boolean} Result.
+ * @throws {Error} If a variable has no value.
+ */
+const evaluateExpression = (expression, scope = {}) => {
+  const node =
+    typeof expression === "string" ? parseExpression(expression) : expression;
+
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "symbol": {
+      const value = scope[node.name] ?? CONSTANTS[node.name];
+      if (value === undefined) {
+        throw new Error(`No value for variable "${node.name}"`);
+      }
+      return Number(value);
+    }
+    case "call":
+      return FUNCTIONS[node.name](
+        ...node.args.map((arg) => evaluateExpression(arg, scope))
+      );
+    case "unary":
+      return -evaluateExpression(node.argument, scope);
+    case "binary": {
+      const left = evaluateExpression(node.left, scope);
+      const right = evaluateExpression(node.right, scope);
+      if (node.op === "+") return left + right;
+      if (node.op === "-") return left - right;
+      if (node.op === "*") return left * right;
+      if (node.op === "/") return left / right;
+      return Math.pow(left, right);
+    }
+    case "compare": {
+      const left = evaluateExpression(node.left, scope);
+      const right = evaluateExpression(node.right, scope);
+      // Same floating point slack as numeric grading
+      const epsilon = 1e-9 * Math.max(1, Math.abs(left), Math.abs(right));
+      if (node.op === "<") return left < right - epsilon;
+      if (node.op === ">") return left > right + epsilon;
+      if (node.op === "<=") return left <= right + epsilon;
+      if (node.op === ">=") return left >= right - epsilon;
+      if (node.op === "==") return Math.abs(left - right) <= epsilon;
+      return Math.abs(left - right) > epsilon;
+    }
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+};
+
+/**
+ * Lists the variables an expression uses, leaving out known constants.
+ * @param {Object|string} expression - Expression tree or text.
+ * @returns {string[]} Variable names, sorted.
+ */
+const getExpressionVariables = (expression) => {
+  const node =
+    typeof expression === "string" ? parseExpression(expression) : expression;
+  const names = new Set();
+  const visit = (current) => {
+    if (current.type === "symbol" && CONSTANTS[current.name] === undefined) {
+      names.add(current.name);
+    }
+    [current.argument, current.left, current.right, ...(current.args ?? [])]
+      .filter(Boolean)
+      .forEach(visit);
+  };
+  visit(node);
+  return [...names].sort();
+};
+
+// Products of sums are expanded only below this many terms
+const MAX_EXPANDED_TERMS = 64;
+
+const number = (value) => ({ type: "number", value });
+const isNumber = (node) => node.type === "number";
+const isOddInteger = (value) => Number.isInteger(value) && value % 2 !== 0;
+
+/**
+ * Builds the canonical text of a simplified tree, so that equal trees give
+ * equal keys. Numbers are rounded to 12 significant digits.
+ * @param {Object} node - Simplified tree.
+ * @returns {string} Canonical key.
+ */
+const keyOf = (node) => {
+  switch (node.type) {
+    case "number":
+      return String(Number(node.value.toPrecision(12)));
+    case "symbol":
+      return node.name;
+    case "call":
+      return `${node.name}(${node.args.map(keyOf).join(",")})`;
+    case "add":
+      return `(${node.terms.map(keyOf).join("+")})`;
+    case "mul":
+      return `[${node.factors.map(keyOf).join("*")}]`;
+    case "pow":
+      return `${keyOf(node.base)}^${keyOf(node.exponent)}`;
+    default:
+      return `${keyOf(node.left)}${node.op}${keyOf(node.right)}`;
+  }
+};
+
+// Numbers go last so that "x + 1" and "1 + x" sort alike
+const byKey = (a, b) => {
+  if (isNumber(a) !== isNumber(b)) return isNumber(a) ? 1 : -1;
+  const keyA = keyOf(a);
+  const keyB = keyOf(b);
+  if (keyA === keyB) return 0;
+  return keyA < keyB ? -1 : 1;
+};
+
+/**
+ * Splits a term into its numeric coefficient and the rest ("3x^2" → 3, x^2).
+ * @param {Object} term - Simplified term.
+ * @returns {{coefficient: number, rest: Object|null}} Parts; rest is null for a number.
+ */
+const splitCoefficient = (term) => {
+  if (isNumber(term)) return { coefficient: term.value, rest: null };
+  if (term.type === "mul" && isNumber(term.factors[0])) {
+    const others = term.factors.slice(1);
+    return {
+      coefficient: term.factors[0].value,
+      rest: others.length === 1 ? others[0] : { type: "mul", factors: others },
+    };
+  }
+  return { coefficient: 1, rest: term };
+};
+
+/**
+ * Builds a simplified sum: nested sums are flattened, numbers folded and
+ * like terms collected ("x + 2x" → "3x").
+ * @param {Object[]} terms - Simplified terms.
+ * @returns {Object} Simplified tree.
+ */
+const makeAdd = (terms) => {
+  const collected = new Map();
+  terms
+    .flatMap((term) => (term.type === "add" ? term.terms : [term]))
+    .forEach((term) => {
+      const { coefficient, rest } = splitCoefficient(term);
+      const key = rest ? keyOf(rest) : "";
+      const entry = collected.get(key) ?? { coefficient: 0, rest };
+      entry.coefficient += coefficient;
+      collected.set(key, entry);
+    });
+
+  const result = [...collected.values()]
+    .filter(({ coefficient }) => Math.abs(coefficient) > 1e-12)
+    .map(({ coefficient, rest }) => {
+      if (!rest) return number(coefficient);
+      return coefficient === 1 ? rest : makeMul([number(coefficient), rest]);
+    })
+    .sort(byKey);
+  if (result.length === 0) return number(0);
+  return result.length === 1 ? result[0] : { type: "add", terms: result };
+};
+
+/**
+ * Builds a simplified product: nested products are flattened, numbers
+ * folded, powers of the same base merged ("x * x" → "x^2") and small
+ * products of sums expanded ("2(x + 1)" → "2x + 2").
+ * @param {Object[]} factors - Simplified factors.
+ * @returns {Object} Simplified tree.
+ */
+const makeMul = (factors) => {
+  const flat = factors.flatMap((factor) =>
+    factor.type === "mul" ? factor.factors : [factor]
+  );
+
+  const sumIndex = flat.findIndex((factor) => factor.type === "add");
+  if (sumIndex !== -1) {
+    const others = flat.filter((_, index) => index !== sumIndex);
+    const size = flat.reduce(
+      (count, factor) =>
+        count * (factor.type === "add" ? factor.terms.length : 1),
+      1
+    );
+    if (size <= MAX_EXPANDED_TERMS) {
+      return makeAdd(
+        flat[sumIndex].terms.map((term) => makeMul([term, ...others]))
+      );
+    }
+  }
+
+  let coefficient = 1;
+  const powers = new Map();
+  flat.forEach((factor) => {
+    if (isNumber(factor)) {
+      coefficient *= factor.value;
+      return;
+    }
+    const base = factor.type === "pow" ? factor.base : factor;
+    const exponent = factor.type === "pow" ? factor.exponent : number(1);
+    // Only numeric exponents of the same base are added together
+    const key = isNumber(exponent)
+      ? keyOf(base)
+      : `${keyOf(base)}^${keyOf(exponent)}`;
+    const entry = powers.get(key);
+    if (entry && isNumber(exponent)) {
+      entry.exponent = number(entry.exponent.value + exponent.value);
+    } else if (entry) {
+      entry.count += 1;
+    } else {
+      powers.set(key, { base, exponent, count: 1 });
+    }
+  });
+  if (coefficient === 0) return number(0);
+
+  const rest = [...powers.values()]
+    .flatMap(({ base, exponent, count }) =>
+      Array(count).fill(makePow(base, exponent))
+    )
+    .flatMap((factor) => {
+      if (isNumber(factor)) {
+        coefficient *= factor.value;
+        return [];
+      }
+      return factor.type === "mul" ? factor.factors : [factor];
+    })
+    .sort(byKey);
+  if (rest.length === 0) return number(coefficient);
+  if (coefficient === 1 && rest.length === 1) return rest[0];
+  return {
+    type: "mul",
+    factors: coefficient === 1 ? rest : [number(coefficient), ...rest],
+  };
+};
+
+/**
+ * Builds a simplified power: numbers folded, "x^1" and "x^0" removed,
+ * nested numeric powers merged when that holds for negative bases too
+ * ("(x^2)^(1/2)" is |x|, not x) and small integer powers of sums expanded.
+ * @param {Object} base - Simplified base.
+ * @param {Object} exponent - Simplified exponent.
+ * @returns {Object} Simplified tree.
+ */
+const makePow = (base, exponent) => {
+  if (isNumber(exponent)) {
+    const power = exponent.value;
+    if (power === 0) return number(1);
+    if (power === 1) return base;
+    if (isNumber(base)) {
+      const value = Math.pow(base.value, power);
+      if (Number.isFinite(value)) return number(value);
+    }
+    if (
+      base.type === "pow" &&
+      isNumber(base.exponent) &&
+      (Number.isInteger(power) || isOddInteger(base.exponent.value))
+    ) {
+      return makePow(base.base, number(base.exponent.value * power));
+    }
+    if (base.type === "mul" && Number.isInteger(power)) {
+      return makeMul(base.factors.map((factor) => makePow(factor, exponent)));
+    }
+    if (
+      base.type === "add" &&
+      Number.isInteger(power) &&
+      power > 1 &&
+      Math.pow(base.terms.length, power) <= MAX_EXPANDED_TERMS
+    ) {
+      return makeMul(Array(power).fill(base));
+    }
+  }
+  if (isNumber(base) && base.value === 1) return number(1);
+  return { type: "pow", base, exponent };
+};
+
+/**
+ * Rewrites an expression tree into a canonical form: subtraction becomes
+ * addition of a negated term, division a power of -1, square roots powers
+ * of 1/2, constant parts are computed and sums and products are flattened
+ * and sorted. Equivalent expressions often, but not always, end up with the
+ * same form.
+ * @param {Object|string} expression - Expression tree or text.
+ * @returns {Object} Simplified tree, see expressionKey.
+ */
+const simplifyExpression = (expression) => {
+  const node =
+    typeof expression === "string" ? parseExpression(expression) : expression;
+
+  switch (node.type) {
+    case "number":
+      return number(node.value);
+    case "symbol":
+      return CONSTANTS[node.name] === undefined
+        ? { type: "symbol", name: node.name }
+        : number(CONSTANTS[node.name]);
+    case "call": {
+      const args = node.args.map(simplifyExpression);
+      if (node.name === "sqrt") return makePow(args[0], number(0.5));
+      if (args.every(isNumber)) {
+        const value = FUNCTIONS[node.name](...args.map((arg) => arg.value));
+        if (Number.isFinite(value)) return number(value);
+      }
+      return { type: "call", name: node.name, args };
+    }
+    case "unary":
+      return makeMul([number(-1), simplifyExpression(node.argument)]);
+    case "binary": {
+      const left = simplifyExpression(node.left);
+      const right = simplifyExpression(node.right);
+      if (node.op === "+") return makeAdd([left, right]);
+      if (node.op === "-") return makeAdd([left, makeMul([number(-1), right])]);
+      if (node.op === "*") return makeMul([left, right]);
+      if (node.op === "/") return makeMul([left, makePow(right, number(-1))]);
+      return makePow(left, right);
+    }
+    case "compare":
+      return {
+        type: "compare",
+        op: node.op,
+        left: simplifyExpression(node.left),
+        right: simplifyExpression(node.right),
+      };
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+};
+
+/**
+ * Gives the canonical text of an expression; equal keys mean equivalent
+ * expressions.
+ * @param {Object|string} expression - Expression tree or text.
+ * @returns {string} Canonical key.
+ */
+const expressionKey = (expression) => keyOf(simplifyExpression(expression));
+
+module.exports = {
+  parseExpression,
+  evaluateExpression,
+  getExpressionVariables,
+  simplifyExpression,
+  expressionKey,
+};
@@ -0,0 +1,192 @@
+/**
+ * GeoJSON helpers for map answers: geometry checks, distances and
+ * point-in-polygon tests. Positions are [longitude, latitude] in degrees.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Checks whether a value is a [longitude, latitude] position.
+ * @param {*} position - Value to check.
+ * @returns {boolean} True for a valid position.
+ */
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  position.every((value) => Number.isFinite(value)) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+/**
+ * Checks whether a value is a closed ring of at least four positions.
+ * @param {*} ring - Value to check.
+ * @returns {boolean} True for a valid linear ring.
+ */
+const isLinearRing = (ring) =>
+  Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] &&
+  ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygonCoordinates = (rings) =>
+  Array.isArray(rings) && rings.length > 0 && rings.every(isLinearRing);
+
+/**
+ * Checks whether a value is a GeoJSON Point, Polygon or MultiPolygon.
+ * @param {*} geometry - Value to check.
+ * @returns {boolean} True for a supported, well-formed geometry.
+ */
+const isValidGeometry = (geometry) => {
+  if (!geometry || typeof geometry !== "object") return false;
+  switch (geometry.type) {
+    case "Point":
+      return isPosition(geometry.coordinates);
+    case "Polygon":
+      return isPolygonCoordinates(geometry.coordinates);
+    case "MultiPolygon":
+      return (
+        Array.isArray(geometry.coordinates) &&
+        geometry.coordinates.length > 0 &&
+        geometry.coordinates.every(isPolygonCoordinates)
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * Reads a located point from a GeoJSON Point, a Feature holding a Point or
+ * a bare [longitude, latitude] pair.
+ * @param {*} value - Raw value.
+ * @returns {number[]|null} Position, or null if the value is not a point.
+ */
+const toPosition = (value) => {
+  if (isPosition(value)) return value;
+  const geometry = value?.type === "Feature" ? value.geometry : value;
+  return geometry?.type === "Point" && isPosition(geometry.coordinates)
+    ? geometry.coordinates
+    : null;
+};
+
+/**
+ * Great-circle distance between two positions (haversine formula).
+ * @param {number[]} from - First position.
+ * @param {number[]} to - Second position.
+ * @returns {number} Distance in kilometres.
+ */
+const haversineDistance = (from, to) => {
+  const deltaLat = toRadians(to[1] - from[1]);
+  const deltaLng = toRadians(to[0] - from[0]);
+  const a =
+    Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(toRadians(from[1])) *
+      Math.cos(toRadians(to[1])) *
+      Math.sin(deltaLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Ray casting test of a position against one ring.
+ * @param {number[]} position - Position.
+ * @param {number[][]} ring - Linear ring.
+ * @returns {boolean} True if the position lies inside the ring.
+ */
+const isInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Polygons of a geometry, as lists of rings (outer ring first, then holes)
+const getPolygons = (geometry) => {
+  if (geometry.type === "Polygon") return [geometry.coordinates];
+  if (geometry.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+};
+
+/**
+ * Checks whether a position lies inside a Polygon or MultiPolygon, holes
+ * excluded.
+ * @param {number[]} position - Position.
+ * @param {Object} geometry - GeoJSON geometry.
+ * @returns {boolean} True if the position is inside.
+ */
+const isPointInPolygon = (position, geometry) =>
+  getPolygons(geometry).some(
+    ([outer, ...holes]) =>
+      isInRing(position, outer) &&
+      !holes.some((hole) => isInRing(position, hole))
+  );
+
+/**
+ * Distance from a position to a segment, on a flat projection centred on
+ * the position. Accurate enough for the few hundred kilometres a map
+ * tolerance covers.
+ * @param {number[]} position - Position.
+ * @param {number[]} start - Segment start.
+ * @param {number[]} end - Segment end.
+ * @returns {number} Distance in kilometres.
+ */
+const distanceToSegment = (position, start, end) => {
+  const kmPerDegree = (EARTH_RADIUS_KM * Math.PI) / 180;
+  const scaleX = Math.cos(toRadians(position[1])) * kmPerDegree;
+  const project = ([lng, lat]) => [
+    (lng - position[0]) * scaleX,
+    (lat - position[1]) * kmPerDegree,
+  ];
+  const [ax, ay] = project(start);
+  const [bx, by] = project(end);
+  const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+  // Position of the nearest point along the segment, from 0 (start) to 1 (end)
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.min(
+          1,
+          Math.max(0, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared)
+        );
+  return Math.hypot(ax + t * (bx - ax), ay + t * (by - ay));
+};
+
+/**
+ * Distance from a position to a geometry: 0 inside a polygon, otherwise
+ * the distance to the nearest point or edge.
+ * @param {number[]} position - Position.
+ * @param {Object} geometry - GeoJSON Point, Polygon or MultiPolygon.
+ * @returns {number} Distance in kilometres.
+ */
+const distanceToGeometry = (position, geometry) => {
+  if (geometry.type === "Point") {
+    return haversineDistance(position, geometry.coordinates);
+  }
+  if (isPointInPolygon(position, geometry)) return 0;
+  let nearest = Infinity;
+  getPolygons(geometry)
+    .flat()
+    .forEach((ring) => {
+      for (let i = 1; i < ring.length; i++) {
+        nearest = Math.min(
+          nearest,
+          distanceToSegment(position, ring[i - 1], ring[i])
+        );
+      }
+    });
+  return nearest;
+};
+
+module.exports = {
+  isValidGeometry,
+  toPosition,
+  haversineDistance,
+  isPointInPolygon,
+  distanceToGeometry,
+};
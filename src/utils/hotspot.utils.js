@@ -0,0 +1,259 @@
+/**
+ * Hotspot helpers for diagram questions: geometry checks against the image
+ * and hit testing of clicks and dropped labels. Coordinates are pixels of
+ * the original image, from its top-left corner.
+ */
+
+const { DIAGRAM_HOTSPOT_SHAPES, DIAGRAM_LIMITS } = require("../constants");
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Reads a point from {x, y} or an [x, y] pair.
+ * @param {*} value - Raw value.
+ * @returns {{x: number, y: number}|null} Point, or null if the value is not a point.
+ */
+const toDiagramPoint = (value) => {
+  if (Array.isArray(value) && value.length === 2 && value.every(isNumber)) {
+    return { x: value[0], y: value[1] };
+  }
+  if (value && isNumber(value.x) && isNumber(value.y)) {
+    return { x: value.x, y: value.y };
+  }
+  return null;
+};
+
+/**
+ * Bounding box of a hotspot.
+ * @param {Object} hotspot - Hotspot.
+ * @returns {{left: number, top: number, right: number, bottom: number}} Box.
+ */
+const getBounds = (hotspot) => {
+  switch (hotspot.shape) {
+    case DIAGRAM_HOTSPOT_SHAPES[0]: // rect
+      return {
+        left: hotspot.x,
+        top: hotspot.y,
+        right: hotspot.x + hotspot.width,
+        bottom: hotspot.y + hotspot.height,
+      };
+    case DIAGRAM_HOTSPOT_SHAPES[1]: // circle
+      return {
+        left: hotspot.x - hotspot.radius,
+        top: hotspot.y - hotspot.radius,
+        right: hotspot.x + hotspot.radius,
+        bottom: hotspot.y + hotspot.radius,
+      };
+    default: {
+      // polygon
+      const xs = hotspot.points.map(([x]) => x);
+      const ys = hotspot.points.map(([, y]) => y);
+      return {
+        left: Math.min(...xs),
+        top: Math.min(...ys),
+        right: Math.max(...xs),
+        bottom: Math.max(...ys),
+      };
+    }
+  }
+};
+
+/**
+ * Area of a hotspot, so that the innermost of nested hotspots wins a click.
+ * @param {Object} hotspot - Hotspot.
+ * @returns {number} Area in square pixels.
+ */
+const getArea = (hotspot) => {
+  if (hotspot.shape === DIAGRAM_HOTSPOT_SHAPES[0]) {
+    // rect
+    return hotspot.width * hotspot.height;
+  }
+  if (hotspot.shape === DIAGRAM_HOTSPOT_SHAPES[1]) {
+    // circle
+    return Math.PI * hotspot.radius ** 2;
+  }
+  // polygon (shoelace formula)
+  const { points } = hotspot;
+  const doubled = points.reduce((sum, [x, y], index) => {
+    const [nextX, nextY] = points[(index + 1) % points.length];
+    return sum + x * nextY - nextX * y;
+  }, 0);
+  return Math.abs(doubled) / 2;
+};
+
+/**
+ * Explains what is wrong with the geometry of one hotspot.
+ * @param {Object} hotspot - Hotspot.
+ * @returns {string|null} Error message, or null if the shape is well formed.
+ */
+const getShapeError = (hotspot) => {
+  switch (hotspot.shape) {
+    case DIAGRAM_HOTSPOT_SHAPES[0]: // rect
+      if (
+        ![hotspot.x, hotspot.y, hotspot.width, hotspot.height].every(isNumber)
+      ) {
+        return "A rectangle needs x, y, width and height";
+      }
+      return hotspot.width > 0 && hotspot.height > 0
+        ? null
+        : "A rectangle needs a positive width and height";
+    case DIAGRAM_HOTSPOT_SHAPES[1]: // circle
+      if (![hotspot.x, hotspot.y, hotspot.radius].every(isNumber)) {
+        return "A circle needs x, y and radius";
+      }
+      return hotspot.radius > 0 ? null : "A circle needs a positive radius";
+    case DIAGRAM_HOTSPOT_SHAPES[2]: // polygon
+      if (
+        !Array.isArray(hotspot.points) ||
+        hotspot.points.length < 3 ||
+        !hotspot.points.every(
+          (point) =>
+            Array.isArray(point) && point.length === 2 && point.every(isNumber)
+        )
+      ) {
+        return "A polygon needs at least 3 [x, y] points";
+      }
+      return getArea(hotspot) > 0 ? null : "A polygon cannot be flat";
+    default:
+      return `Unknown hotspot shape "${hotspot.shape}"`;
+  }
+};
+
+/**
+ * Checks the hotspots of a diagram against its image: well-formed shapes,
+ * unique IDs and every hotspot inside the image. Hotspots whose bounding
+ * boxes overlap are reported as warnings, since nested regions are allowed.
+ * @param {Object} diagram - Diagram with width, height and hotspots.
+ * @returns {{errors: Object[], warnings: Object[]}} Issues found, as
+ *   {hotspotId, message}; hotspotId is null for the diagram as a whole.
+ */
+const checkHotspots = (diagram) => {
+  const errors = [];
+  const warnings = [];
+  const { width, height, hotspots = [] } = diagram ?? {};
+
+  const hasImageSize =
+    isNumber(width) && width > 0 && isNumber(height) && height > 0;
+  if (!hasImageSize) {
+    errors.push({
+      hotspotId: null,
+      message: "The image needs a positive width and height",
+    });
+  }
+  if (hotspots.length > DIAGRAM_LIMITS.MAX_HOTSPOTS) {
+    errors.push({
+      hotspotId: null,
+      message: `A diagram cannot have more than ${DIAGRAM_LIMITS.MAX_HOTSPOTS} hotspots`,
+    });
+  }
+
+  const seen = new Set();
+  const valid = [];
+  hotspots.forEach((hotspot) => {
+    const hotspotId = hotspot?.hotspotId ?? null;
+    if (!hotspotId) {
+      errors.push({ hotspotId, message: "Every hotspot needs an ID" });
+      return;
+    }
+    if (seen.has(hotspotId)) {
+      errors.push({
+        hotspotId,
+        message: `Duplicate hotspot ID "${hotspotId}"`,
+      });
+    }
+    seen.add(hotspotId);
+
+    const shapeError = getShapeError(hotspot);
+    if (shapeError) {
+      errors.push({ hotspotId, message: shapeError });
+      return;
+    }
+    const bounds = getBounds(hotspot);
+    if (
+      hasImageSize &&
+      (bounds.left < 0 ||
+        bounds.top < 0 ||
+        bounds.right > width ||
+        bounds.bottom > height)
+    ) {
+      errors.push({
+        hotspotId,
+        message: `Hotspot "${hotspotId}" extends beyond the ${width}x${height} image`,
+      });
+      return;
+    }
+    valid.push({ hotspotId, bounds });
+  });
+
+  valid.forEach((first, index) =>
+    valid.slice(index + 1).forEach((second) => {
+      if (
+        first.bounds.left < second.bounds.right &&
+        second.bounds.left < first.bounds.right &&
+        first.bounds.top < second.bounds.bottom &&
+        second.bounds.top < first.bounds.bottom
+      ) {
+        warnings.push({
+          hotspotId: first.hotspotId,
+          message: `Hotspots "${first.hotspotId}" and "${second.hotspotId}" may overlap`,
+        });
+      }
+    })
+  );
+
+  return { errors, warnings };
+};
+
+/**
+ * Checks whether a point falls inside a hotspot (edges included).
+ * @param {Object} hotspot - Hotspot.
+ * @param {{x: number, y: number}} point - Point.
+ * @returns {boolean} True if the point is inside.
+ */
+const isPointInHotspot = (hotspot, { x, y }) => {
+  if (hotspot.shape === DIAGRAM_HOTSPOT_SHAPES[0]) {
+    // rect
+    return (
+      x >= hotspot.x &&
+      x <= hotspot.x + hotspot.width &&
+      y >= hotspot.y &&
+      y <= hotspot.y + hotspot.height
+    );
+  }
+  if (hotspot.shape === DIAGRAM_HOTSPOT_SHAPES[1]) {
+    // circle
+    return Math.hypot(x - hotspot.x, y - hotspot.y) <= hotspot.radius;
+  }
+  // polygon (ray casting)
+  const { points } = hotspot;
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Finds the hotspot under a point; the smallest one wins when hotspots are
+ * nested.
+ * @param {Object[]} hotspots - Hotspots of the diagram.
+ * @param {{x: number, y: number}} point - Point.
+ * @returns {Object|null} Hotspot, or null if the point hits none.
+ */
+const findHotspotAt = (hotspots, point) =>
+  (hotspots ?? [])
+    .filter(
+      (hotspot) => !getShapeError(hotspot) && isPointInHotspot(hotspot, point)
+    )
+    .sort((a, b) => getArea(a) - getArea(b))[0] ?? null;
+
+module.exports = {
+  toDiagramPoint,
+  checkHotspots,
+  isPointInHotspot,
+  findHotspotAt,
+};
@@ -0,0 +1,157 @@
+/**
+ * Rubric helpers for manually graded answers (essays, source analyses,
+ * dissertations): rubric checks and per-criterion scoring. A rubric is a
+ * list of criteria, each with performance levels worth points.
+ */
+
+const { RUBRIC_LIMITS } = require("../constants");
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Points of the best level of a criterion.
+ * @param {Object} criterion - Rubric criterion with levels.
+ * @returns {number} Maximum points of the criterion.
+ */
+const getCriterionMaxPoints = (criterion) =>
+  Math.max(0, ...(criterion?.levels ?? []).map((level) => level.points ?? 0));
+
+/**
+ * Total points of a rubric, i.e. the best level of every criterion.
+ * @param {Object} rubric - Rubric with criteria.
+ * @returns {number} Maximum rubric points.
+ */
+const getRubricMaxPoints = (rubric) =>
+  (rubric?.criteria ?? []).reduce(
+    (total, criterion) => total + getCriterionMaxPoints(criterion),
+    0
+  );
+
+/**
+ * Explains why a rubric cannot be used to score answers.
+ * @param {Object} rubric - Rubric with criteria and levels.
+ * @returns {string|null} Error message, or null if the rubric is usable.
+ */
+const getRubricError = (rubric) => {
+  const criteria = rubric?.criteria ?? [];
+  if (criteria.length === 0) return "A rubric needs at least one criterion";
+  if (criteria.length > RUBRIC_LIMITS.MAX_CRITERIA) {
+    return `A rubric cannot have more than ${RUBRIC_LIMITS.MAX_CRITERIA} criteria`;
+  }
+  const ids = criteria.map((criterion) => criterion.criterionId);
+  if (new Set(ids).size !== ids.length) {
+    return "Rubric criterion IDs must be unique";
+  }
+
+  for (const criterion of criteria) {
+    const levels = criterion.levels ?? [];
+    if (levels.length === 0) {
+      return `Criterion "${criterion.criterionId}" needs at least one level`;
+    }
+    if (levels.length > RUBRIC_LIMITS.MAX_LEVELS) {
+      return `Criterion "${criterion.criterionId}" cannot have more than ${RUBRIC_LIMITS.MAX_LEVELS} levels`;
+    }
+    const labels = levels.map((level) => level.label);
+    if (new Set(labels).size !== labels.length) {
+      return `Level labels of criterion "${criterion.criterionId}" must be unique`;
+    }
+    if (getCriterionMaxPoints(criterion) <= 0) {
+      return `Criterion "${criterion.criterionId}" needs a level worth points`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Resolves the points given on one criterion: the points of the chosen
+ * level, or points set directly by the teacher.
+ * @param {Object} criterion - Rubric criterion.
+ * @param {Object} score - Score with a level label or points.
+ * @returns {number|null} Points, or null if the level is unknown.
+ */
+const resolveScorePoints = (criterion, score) => {
+  if (score.level === undefined || score.level === null) return score.points;
+  const level = criterion.levels.find(({ label }) => label === score.level);
+  return level ? level.points : null;
+};
+
+/**
+ * Explains why the scores a teacher gave do not fit a rubric: unknown or
+ * missing criteria, unknown levels or points out of range.
+ * @param {Object} rubric - Rubric with criteria and levels.
+ * @param {Object[]} scores - Scores as {criterionId, level|points, comment}.
+ * @returns {string|null} Error message, or null if every criterion is scored.
+ */
+const getRubricScoreError = (rubric, scores) => {
+  const criteria = rubric?.criteria ?? [];
+  const scored = new Set();
+
+  for (const score of scores ?? []) {
+    const criterion = criteria.find(
+      ({ criterionId }) => criterionId === score.criterionId
+    );
+    if (!criterion) return `Unknown rubric criterion "${score.criterionId}"`;
+    if (scored.has(score.criterionId)) {
+      return `Criterion "${score.criterionId}" is scored more than once`;
+    }
+    scored.add(score.criterionId);
+
+    const points = resolveScorePoints(criterion, score);
+    if (points === null) {
+      return `Unknown level "${score.level}" for criterion "${score.criterionId}"`;
+    }
+    const maxPoints = getCriterionMaxPoints(criterion);
+    if (typeof points !== "number" || !(points >= 0 && points <= maxPoints)) {
+      return `Criterion "${score.criterionId}" needs between 0 and ${maxPoints} points`;
+    }
+  }
+
+  const missing = criteria.find(({ criterionId }) => !scored.has(criterionId));
+  return missing ? `Criterion "${missing.criterionId}" is not scored` : null;
+};
+
+/**
+ * Scores an answer against a rubric. The scores must have been checked with
+ * getRubricScoreError. Each criterion keeps the best level its points reach,
+ * so points set between two levels still show a level.
+ * @param {Object} rubric - Rubric with criteria and levels.
+ * @param {Object[]} scores - Scores as {criterionId, level|points, comment}.
+ * @returns {{criteria: Object[], points: number, maxPoints: number, ratio: number}}
+ *   Per-criterion scores, rubric points and the credit ratio.
+ */
+const scoreRubric = (rubric, scores) => {
+  const byId = new Map(scores.map((score) => [score.criterionId, score]));
+  const criteria = rubric.criteria.map((criterion) => {
+    const score = byId.get(criterion.criterionId);
+    const points = resolveScorePoints(criterion, score);
+    const reached = criterion.levels
+      .filter((level) => level.points <= points)
+      .sort((a, b) => b.points - a.points)[0];
+    return {
+      criterionId: criterion.criterionId,
+      title: criterion.title,
+      level: reached?.label,
+      points,
+      maxPoints: getCriterionMaxPoints(criterion),
+      comment: score.comment,
+    };
+  });
+
+  const points = roundPoints(
+    criteria.reduce((total, criterion) => total + criterion.points, 0)
+  );
+  const maxPoints = getRubricMaxPoints(rubric);
+  return {
+    criteria,
+    points,
+    maxPoints,
+    ratio: maxPoints > 0 ? Math.min(1, points / maxPoints) : 0,
+  };
+};
+
+module.exports = {
+  getRubricMaxPoints,
+  getRubricError,
+  getRubricScoreError,
+  scoreRubric,
+};
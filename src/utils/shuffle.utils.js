@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+
+/**
+ * Generate a random seed for a shuffled session
+ * @returns {string} Hex seed
+ */
+const createSeed = () => crypto.randomBytes(8).toString("hex");
+
+/**
+ * Create a deterministic pseudo-random generator from a string seed
+ * (FNV-1a hash feeding a mulberry32 generator)
+ * @param {string} seed - Seed string
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = 0x811c9dc5;
+  for (const char of String(seed)) {
+    state ^= char.codePointAt(0);
+    state = Math.imul(state, 0x01000193);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffle a copy of an array with a seeded Fisher-Yates shuffle
+ * @param {Array} items - Items to shuffle
+ * @param {string} seed - Seed string, the same seed always gives the same order
+ * @returns {Array} Shuffled copy
+ */
+const seededShuffle = (items, seed) => {
+  const random = createRandom(seed);
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Group items sharing a key, in order of first appearance. Items without a
+ * key are groups of their own.
+ * @param {Array} items - Items to group
+ * @param {Function} getKey - Returns an item's group key, or a falsy value
+ * @returns {Array[]} Groups of items
+ */
+const groupByKey = (items, getKey) => {
+  const groups = [];
+  const groupMap = new Map();
+  items.forEach((item) => {
+    const key = getKey(item)?.toString();
+    if (!key) {
+      groups.push([item]);
+    } else if (groupMap.has(key)) {
+      groupMap.get(key).push(item);
+    } else {
+      const group = [item];
+      groupMap.set(key, group);
+      groups.push(group);
+    }
+  });
+  return groups;
+};
+
+/**
+ * Shuffle a copy of an array with a seeded shuffle that moves items sharing a
+ * key as one block, in their original order. Items without a key move on their
+ * own, so without keys the order is the same as seededShuffle's.
+ * @param {Array} items - Items to shuffle
+ * @param {string} seed - Seed string
+ * @param {Function} getKey - Returns an item's group key, or a falsy value
+ * @returns {Array} Shuffled copy
+ */
+const seededGroupedShuffle = (items, seed, getKey) =>
+  seededShuffle(groupByKey(items, getKey), seed).flat();
+
+/**
+ * Build a seeded permutation of indexes
+ * @param {number} length - Number of indexes
+ * @param {string} seed - Seed string
+ * @returns {number[]} Permutation of 0..length-1
+ */
+const seededPermutation = (length, seed) =>
+  seededShuffle(
+    Array.from({ length }, (_, index) => index),
+    seed
+  );
+
+module.exports = {
+  createSeed,
+  createRandom,
+  seededShuffle,
+  groupByKey,
+  seededGroupedShuffle,
+  seededPermutation,
+};
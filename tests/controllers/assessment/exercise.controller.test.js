@@ -0,0 +1,122 @@
+const request = require("supertest");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { Exercise } = require("../../../src/models/assessment/exercise.model");
+
+// Mock middleware
+jest.mock("../../../src/middlewares/validate.middleware", () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const exerciseRoutes = require("../../../src/routes/assessment/exercise.route");
+
+// Create test app with the real routes and authentication
+const app = express();
+app.use(express.json());
+app.use("/exercises", exerciseRoutes);
+
+// Global error handler
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({
+    message: err.message,
+    status: "error",
+  });
+});
+
+const exerciseId = "507f1f77bcf86cd799439012";
+const sign = (role) =>
+  jwt.sign(
+    { userId: "507f1f77bcf86cd799439011", role },
+    process.env.JWT_SECRET
+  );
+const exercise = {
+  _id: exerciseId,
+  title: "Vitesse moyenne",
+  settings: { showSolution: true, maxAttempts: 2 },
+  content: {
+    problems: [
+      {
+        statement: "Un car parcourt {d} km en {t} h. Quelle est sa vitesse ?",
+        template: { answerFormula: "d / t", unit: "km/h" },
+      },
+    ],
+  },
+  solution: { answers: [{ problemIndex: 0, answer: 80 }] },
+};
+
+// Query double that applies exclusions the way MongoDB would
+const mockQuery = (document) => {
+  const excluded = [];
+  const query = {
+    select: jest.fn((fields) => {
+      excluded.push(...fields.split(" ").map((field) => field.slice(1)));
+      return query;
+    }),
+    populate: jest.fn(() => query),
+    sort: jest.fn(() => query),
+    skip: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    exec: jest.fn(async () => {
+      const copy = structuredClone(document);
+      if (Array.isArray(copy)) return copy;
+      if (excluded.includes("solution")) delete copy.solution;
+      if (excluded.includes("content.problems.template.answerFormula")) {
+        copy.content.problems.forEach((problem) => {
+          delete problem.template.answerFormula;
+        });
+      }
+      return copy;
+    }),
+  };
+  return query;
+};
+
+describe("Exercise Controller - Solutions", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should not send the answers of an exercise to students", async () => {
+    jest.spyOn(Exercise, "findById").mockReturnValue(mockQuery(exercise));
+
+    const response = await request(app)
+      .get(`/exercises/${exerciseId}`)
+      .set("Authorization", `Bearer ${sign("student")}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.title).toBe("Vitesse moyenne");
+    expect(response.body.data).not.toHaveProperty("solution");
+    expect(response.body.data.content.problems[0].template).toEqual({
+      unit: "km/h",
+    });
+  });
+
+  test("should not send answers in exercise lists either", async () => {
+    jest.spyOn(Exercise, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Exercise, "countDocuments").mockResolvedValue(0);
+
+    const response = await request(app)
+      .get("/exercises")
+      .set("Authorization", `Bearer ${sign("student")}`);
+
+    expect(response.status).toBe(200);
+    expect(Exercise.find.mock.results[0].value.select).toHaveBeenCalledWith(
+      expect.stringContaining("-solution")
+    );
+  });
+
+  test("should send the full exercise to teachers", async () => {
+    jest.spyOn(Exercise, "findById").mockReturnValue(mockQuery(exercise));
+
+    const response = await request(app)
+      .get(`/exercises/${exerciseId}`)
+      .set("Authorization", `Bearer ${sign("teacher")}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.solution.answers[0].answer).toBe(80);
+    expect(
+      response.body.data.content.problems[0].template.answerFormula
+    ).toBe("d / t");
+  });
+});
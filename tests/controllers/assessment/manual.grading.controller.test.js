@@ -0,0 +1,73 @@
+const request = require("supertest");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const manualGradingService = require("../../../src/services/assessment/manualGrading/manual.grading.service");
+
+// Mock the services
+jest.mock("../../../src/services/assessment/manualGrading/manual.grading.service");
+
+// Mock middleware
+jest.mock("../../../src/middlewares/validate.middleware", () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const manualGradingRoutes = require("../../../src/routes/assessment/manual.grading.route");
+
+// Create test app with the real routes and authentication
+const app = express();
+app.use(express.json());
+app.use("/manual-grading", manualGradingRoutes);
+
+// Global error handler
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({
+    message: err.message,
+    status: "error",
+  });
+});
+
+const teacherId = "507f1f77bcf86cd799439011";
+const gradeId = "507f1f77bcf86cd799439012";
+const sign = (role) =>
+  jwt.sign({ userId: teacherId, role }, process.env.JWT_SECRET);
+const scores = {
+  scores: [{ criterionId: "argumentation", points: 6 }],
+  comment: "Bonne problématique",
+};
+
+describe("Manual Grading Controller - Grader", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should record the user of the token as the grader", async () => {
+    manualGradingService.gradeAnswer.mockResolvedValue({
+      statusCode: 200,
+      success: true,
+      data: {},
+    });
+
+    const response = await request(app)
+      .post(`/manual-grading/${gradeId}/grade`)
+      .set("Authorization", `Bearer ${sign("teacher")}`)
+      .send(scores);
+
+    expect(response.status).toBe(200);
+    expect(manualGradingService.gradeAnswer).toHaveBeenCalledWith(
+      gradeId,
+      teacherId,
+      scores
+    );
+  });
+
+  test("should keep students out of the grading queue", async () => {
+    const response = await request(app)
+      .post(`/manual-grading/${gradeId}/grade`)
+      .set("Authorization", `Bearer ${sign("student")}`)
+      .send(scores);
+
+    expect(response.status).toBe(403);
+    expect(manualGradingService.gradeAnswer).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,63 @@
+const request = require("supertest");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const passageService = require("../../../src/services/assessment/passage/passage.service");
+
+// Mock the services
+jest.mock("../../../src/services/assessment/passage/passage.service");
+
+// Mock middleware
+jest.mock("../../../src/middlewares/validate.middleware", () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const passageRoutes = require("../../../src/routes/assessment/passage.route");
+
+// Create test app with the real routes and authentication
+const app = express();
+app.use(express.json());
+app.use("/passages", passageRoutes);
+
+// Global error handler
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({
+    message: err.message,
+    status: "error",
+  });
+});
+
+const teacherId = "507f1f77bcf86cd799439011";
+const token = jwt.sign(
+  { userId: teacherId, role: "teacher" },
+  process.env.JWT_SECRET
+);
+
+describe("Passage Controller - Creator", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should create the passage for the user of the token", async () => {
+    passageService.createPassage.mockResolvedValue({
+      statusCode: 201,
+      success: true,
+      data: {},
+    });
+    const passage = {
+      title: "Le vieux nègre et la médaille",
+      text: "Meka attendait sous le soleil depuis le matin.",
+    };
+
+    const response = await request(app)
+      .post("/passages")
+      .set("Authorization", `Bearer ${token}`)
+      .send(passage);
+
+    expect(response.status).toBe(201);
+    expect(passageService.createPassage).toHaveBeenCalledWith({
+      ...passage,
+      creatorId: teacherId,
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const request = require("supertest");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const quizService = require("../../../src/services/assessment/quiz/quiz.service");
+const itemAnalysisService = require("../../../src/services/assessment/itemAnalysis/item.analysis.service");
+
+// Mock the services
+jest.mock("../../../src/services/assessment/quiz/quiz.service");
+jest.mock("../../../src/services/assessment/itemAnalysis/item.analysis.service");
+
+// Mock middleware
+jest.mock("../../../src/middlewares/validate.middleware", () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const quizRoutes = require("../../../src/routes/assessment/quiz.route");
+
+// Create test app with the real routes and authentication
+const app = express();
+app.use(express.json());
+app.use("/quizzes", quizRoutes);
+
+// Global error handler
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({
+    message: err.message,
+    status: "error",
+  });
+});
+
+const ownerId = "507f1f77bcf86cd799439011";
+const quizId = "507f1f77bcf86cd799439012";
+const sign = (userId, role = "teacher") =>
+  jwt.sign({ userId, role }, process.env.JWT_SECRET);
+
+describe("Quiz Controller - Item Analysis", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    quizService.getQuizById.mockResolvedValue({
+      statusCode: 200,
+      data: { _id: quizId, createdBy: { _id: ownerId } },
+    });
+    itemAnalysisService.getQuizItemAnalysis.mockResolvedValue({
+      statusCode: 200,
+      data: { items: [] },
+    });
+  });
+
+  test("should show the item analysis to the quiz owner", async () => {
+    const response = await request(app)
+      .get(`/quizzes/${quizId}/item-analysis`)
+      .set("Authorization", `Bearer ${sign(ownerId)}`);
+
+    expect(response.status).toBe(200);
+    expect(itemAnalysisService.getQuizItemAnalysis).toHaveBeenCalledWith(
+      quizId
+    );
+  });
+
+  test("should refuse the item analysis to other teachers", async () => {
+    const response = await request(app)
+      .get(`/quizzes/${quizId}/item-analysis`)
+      .set("Authorization", `Bearer ${sign("507f1f77bcf86cd799439013")}`);
+
+    expect(response.status).toBe(403);
+    expect(itemAnalysisService.getQuizItemAnalysis).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,144 @@
+const request = require("supertest");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const quizSessionService = require("../../../src/services/assessment/quizSession/quiz.session.service");
+const offlineBundleService = require("../../../src/services/assessment/quizSession/offline.bundle.service");
+const integrityService = require("../../../src/services/assessment/integrity/integrity.service");
+
+// Mock the services
+jest.mock("../../../src/services/assessment/quizSession/quiz.session.service");
+jest.mock("../../../src/services/assessment/quizSession/offline.bundle.service");
+jest.mock("../../../src/services/assessment/integrity/integrity.service");
+jest.mock("../../../src/services/assessment/irt/irt.service");
+
+// Mock middleware
+jest.mock("../../../src/middlewares/validate.middleware", () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const quizSessionRoutes = require("../../../src/routes/assessment/quiz.session.route");
+
+// Create test app with the real routes and authentication
+const app = express();
+app.use(express.json());
+app.use("/quiz-sessions", quizSessionRoutes);
+
+// Global error handler
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({
+    message: err.message,
+    status: "error",
+  });
+});
+
+const userId = "507f1f77bcf86cd799439011";
+const sessionId = "507f1f77bcf86cd799439012";
+const quizId = "507f1f77bcf86cd799439013";
+const token = jwt.sign({ userId, role: "student" }, process.env.JWT_SECRET);
+const ok = { statusCode: 200, success: true, data: {} };
+
+describe("Quiz Session Controller - Authenticated user", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should create the session for the user of the token", async () => {
+    quizSessionService.createSession.mockResolvedValue({
+      ...ok,
+      statusCode: 201,
+    });
+
+    const response = await request(app)
+      .post("/quiz-sessions")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ quizId });
+
+    expect(response.status).toBe(201);
+    expect(quizSessionService.createSession).toHaveBeenCalledWith(
+      userId,
+      quizId,
+      expect.any(Object)
+    );
+  });
+
+  test("should start, answer, pause and complete as the user of the token", async () => {
+    quizSessionService.startSession.mockResolvedValue(ok);
+    quizSessionService.submitAnswer.mockResolvedValue(ok);
+    quizSessionService.pauseSession.mockResolvedValue(ok);
+    quizSessionService.completeSession.mockResolvedValue(ok);
+    const auth = { Authorization: `Bearer ${token}` };
+
+    await request(app).post(`/quiz-sessions/${sessionId}/start`).set(auth);
+    await request(app)
+      .post(`/quiz-sessions/${sessionId}/answer`)
+      .set(auth)
+      .send({ questionId: quizId, selectedAnswer: "A" });
+    await request(app).post(`/quiz-sessions/${sessionId}/pause`).set(auth);
+    await request(app).post(`/quiz-sessions/${sessionId}/complete`).set(auth);
+
+    expect(quizSessionService.startSession).toHaveBeenCalledWith(
+      sessionId,
+      userId
+    );
+    expect(quizSessionService.submitAnswer).toHaveBeenCalledWith(
+      sessionId,
+      userId,
+      quizId,
+      "A"
+    );
+    expect(quizSessionService.pauseSession).toHaveBeenCalledWith(
+      sessionId,
+      userId
+    );
+    expect(quizSessionService.completeSession).toHaveBeenCalledWith(
+      sessionId,
+      userId
+    );
+  });
+
+  test("should pass the user to the offline and integrity handlers", async () => {
+    offlineBundleService.createBundle.mockResolvedValue(ok);
+    integrityService.recordEvents.mockResolvedValue(ok);
+    const auth = { Authorization: `Bearer ${token}` };
+
+    await request(app)
+      .post("/quiz-sessions/offline/bundle")
+      .set(auth)
+      .send({ quizId });
+    await request(app)
+      .post(`/quiz-sessions/${sessionId}/integrity-events`)
+      .set(auth)
+      .send({ events: [] });
+
+    expect(offlineBundleService.createBundle).toHaveBeenCalledWith(
+      userId,
+      quizId
+    );
+    expect(integrityService.recordEvents).toHaveBeenCalledWith(
+      sessionId,
+      userId,
+      []
+    );
+  });
+
+  test("should list the history of the user of the token", async () => {
+    quizSessionService.getUserSessionHistory.mockResolvedValue(ok);
+
+    await request(app)
+      .get("/quiz-sessions/history")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(quizSessionService.getUserSessionHistory).toHaveBeenCalledWith(
+      userId,
+      expect.any(Object)
+    );
+  });
+
+  test("should reject requests without a token", async () => {
+    const response = await request(app).get("/quiz-sessions/history");
+
+    expect(response.status).toBe(401);
+    expect(quizSessionService.getUserSessionHistory).not.toHaveBeenCalled();
+  });
+});
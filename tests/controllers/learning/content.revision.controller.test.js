@@ -0,0 +1,138 @@
+const request = require("supertest");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const contentRevisionService = require("../../../src/services/learning/revision/content.revision.service");
+const LessonService = require("../../../src/services/learning/lesson/lesson.service");
+const { Lesson } = require("../../../src/models/learning/lesson/lesson.base.model");
+
+// Mock the services
+jest.mock("../../../src/services/learning/revision/content.revision.service");
+jest.mock("../../../src/services/learning/lesson/lesson.service");
+
+// Mock middleware
+jest.mock("../../../src/middlewares/validate.middleware", () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const contentRevisionRoutes = require("../../../src/routes/learning/content.revision.route");
+const lessonRoutes = require("../../../src/routes/learning/lesson/lesson.route");
+const [lessonService] = LessonService.mock.instances;
+
+// Create test app with the real routes and authentication
+const app = express();
+app.use(express.json());
+app.use("/revisions", contentRevisionRoutes);
+app.use("/lessons", lessonRoutes);
+
+// Global error handler
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({
+    message: err.message,
+    status: "error",
+  });
+});
+
+const teacherId = "507f1f77bcf86cd799439011";
+const lessonId = "507f1f77bcf86cd799439012";
+const token = jwt.sign(
+  { userId: teacherId, role: "teacher" },
+  process.env.JWT_SECRET
+);
+const ok = { statusCode: 200, success: true, data: {} };
+
+describe("Content Revision Controller - Revision Authors", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  test("should record the rollback for the user of the token", async () => {
+    contentRevisionService.getAuthorId.mockResolvedValue(teacherId);
+    contentRevisionService.rollback.mockResolvedValue(ok);
+
+    const response = await request(app)
+      .post(`/revisions/lesson/${lessonId}/3/rollback`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(contentRevisionService.rollback).toHaveBeenCalledWith(
+      "lesson",
+      lessonId,
+      3,
+      teacherId
+    );
+  });
+
+  test("should refuse rollbacks of content written by other teachers", async () => {
+    contentRevisionService.getAuthorId.mockResolvedValue(
+      "507f1f77bcf86cd799439099"
+    );
+
+    const response = await request(app)
+      .post(`/revisions/exercise/${lessonId}/3/rollback`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+    expect(contentRevisionService.getAuthorId).toHaveBeenCalledWith(
+      "exercise",
+      lessonId
+    );
+    expect(contentRevisionService.rollback).not.toHaveBeenCalled();
+  });
+
+  test("should let administrators roll back any content", async () => {
+    contentRevisionService.getAuthorId.mockResolvedValue(
+      "507f1f77bcf86cd799439099"
+    );
+    contentRevisionService.rollback.mockResolvedValue(ok);
+    const adminToken = jwt.sign(
+      { userId: "507f1f77bcf86cd799439013", role: "admin" },
+      process.env.JWT_SECRET
+    );
+
+    const response = await request(app)
+      .post(`/revisions/lesson/${lessonId}/3/rollback`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(contentRevisionService.rollback).toHaveBeenCalled();
+  });
+
+  test("should let authors update their lesson and sign the revision", async () => {
+    lessonService.updateLesson.mockResolvedValue(ok);
+    jest.spyOn(Lesson, "findById").mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue({ metadata: { createdBy: teacherId } }),
+    });
+
+    const response = await request(app)
+      .put(`/lessons/${lessonId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ title: "Les fonctions affines" });
+
+    expect(response.status).toBe(200);
+    expect(lessonService.updateLesson).toHaveBeenCalledWith(
+      lessonId,
+      { title: "Les fonctions affines" },
+      teacherId
+    );
+  });
+
+  test("should refuse lesson updates from other teachers", async () => {
+    jest.spyOn(Lesson, "findById").mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        metadata: { createdBy: "507f1f77bcf86cd799439099" },
+      }),
+    });
+
+    const response = await request(app)
+      .put(`/lessons/${lessonId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ title: "Les fonctions affines" });
+
+    expect(response.status).toBe(403);
+    expect(lessonService.updateLesson).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+const { QuizSession } = require("../../../src/models/assessment/quiz.session.model");
+const quizSessionService = require("../../../src/services/assessment/quizSession/quiz.session.service");
+
+const start = new Date("2025-06-01T08:00:00Z");
+const at = (seconds) => new Date(start.getTime() + seconds * 1000);
+
+const createSession = (data = {}) =>
+  new QuizSession({
+    userId: "507f1f77bcf86cd799439011",
+    quizId: "507f1f77bcf86cd799439012",
+    status: "in_progress",
+    startTime: start,
+    timeLimit: 600,
+    ...data,
+  });
+
+describe("Quiz Session Model - Timer", () => {
+  test("should count the time since the start of the session", () => {
+    const session = createSession();
+
+    expect(session.getElapsedSeconds(at(120))).toBe(120);
+    expect(session.getTimeRemaining(at(120))).toBe(480);
+    const unstarted = createSession({ startTime: undefined });
+    expect(unstarted.getElapsedSeconds(at(120))).toBe(0);
+  });
+
+  test("should stop at the end time of a finished session", () => {
+    const session = createSession({ status: "completed", endTime: at(300) });
+
+    expect(session.getElapsedSeconds(at(900))).toBe(300);
+  });
+
+  test("should leave paused time out when pausing stops the timer", () => {
+    const session = createSession({
+      pauseStopsTimer: true,
+      metadata: { pausedDuration: 100 },
+    });
+
+    expect(session.getElapsedSeconds(at(400))).toBe(300);
+    expect(session.getTimeoutDate()).toEqual(at(700));
+  });
+
+  test("should leave the current pause out while the session is paused", () => {
+    const session = createSession({
+      status: "paused",
+      pauseStopsTimer: true,
+      pausedAt: at(200),
+      metadata: { pausedDuration: 50 },
+    });
+
+    expect(session.getElapsedSeconds(at(500))).toBe(150);
+    expect(session.getElapsedSeconds(at(5000))).toBe(150);
+    expect(session.hasTimeExpired(at(5000))).toBe(false);
+    expect(session.deadline).toBeNull();
+  });
+
+  test("should keep counting paused time when pausing does not stop the timer", () => {
+    const session = createSession({
+      status: "paused",
+      pauseStopsTimer: false,
+      pausedAt: at(200),
+      metadata: { pausedDuration: 50 },
+    });
+
+    expect(session.getElapsedSeconds(at(500))).toBe(500);
+    expect(session.hasTimeExpired(at(700))).toBe(true);
+    expect(session.getTimeoutDate()).toEqual(at(600));
+  });
+
+  test("should expire only once the grace period is over", () => {
+    const session = createSession();
+
+    expect(session.hasTimeExpired(at(600))).toBe(false);
+    expect(session.hasTimeExpired(at(601))).toBe(true);
+    expect(session.hasTimeExpired(at(605), 5)).toBe(false);
+    expect(session.hasTimeExpired(at(606), 5)).toBe(true);
+  });
+
+  test("should never expire an untimed session", () => {
+    const session = createSession({ timeLimit: 0 });
+
+    expect(session.hasTimeExpired(at(100000))).toBe(false);
+    expect(session.getTimeRemaining(at(100))).toBeNull();
+    expect(session.getTimeoutDate()).toBeNull();
+  });
+});
+
+describe("Quiz Session Model - Pause accounting", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("should add each pause to the paused duration on resume", () => {
+    jest.useFakeTimers({ now: at(300) });
+    const session = createSession({
+      status: "paused",
+      pauseStopsTimer: true,
+      pausedAt: at(200),
+      metadata: { pausedDuration: 30 },
+    });
+
+    quizSessionService.resumeTimer(session);
+    session.status = "in_progress";
+
+    expect(session.metadata.pausedDuration).toBe(130);
+    expect(session.pausedAt).toBeUndefined();
+    expect(session.getElapsedSeconds(at(400))).toBe(270);
+  });
+
+  test("should not change the timer when the session was not paused", () => {
+    const session = createSession({ metadata: { pausedDuration: 30 } });
+
+    quizSessionService.resumeTimer(session);
+
+    expect(session.metadata.pausedDuration).toBe(30);
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  detectSections,
+  splitParagraphs,
+  analyzeDissertation,
+} = require("../../../../src/services/assessment/exercise/dissertation.utils");
+
+// Filler sentences so that sections reach a realistic length
+const words = (count) =>
+  Array.from({ length: count }, (_, index) => `mot${index % 9}`).join(" ");
+
+const subject = "Peut-on être libre sans lois ?";
+
+const structuredEssay = [
+  "Introduction",
+  `On croit souvent que la liberté consiste à faire ce que l'on veut. ${words(60)}. Peut-on être libre sans lois ? Dans un premier temps, nous verrons que la loi contraint, puis qu'elle libère.`,
+  "I. La loi comme contrainte",
+  `La loi interdit. ${words(160)}. Par exemple, le code de la route limite nos déplacements. Donc la loi restreint.`,
+  "II. La loi comme condition de la liberté",
+  `Cependant, sans loi règne la force. ${words(170)}. Ainsi la loi protège la liberté de chacun.`,
+  "Conclusion",
+  `En définitive, la loi n'abolit pas la liberté. ${words(60)}.`,
+].join("\n\n");
+
+describe("Dissertation Checks - Structure", () => {
+  test("should follow headings to find the introduction, parts and conclusion", () => {
+    const sections = detectSections(splitParagraphs(structuredEssay));
+
+    expect(sections.introduction).toHaveLength(1);
+    expect(sections.parts).toHaveLength(2);
+    expect(sections.parts[1][0]).toMatch(/^Cependant/);
+    expect(sections.conclusion[0]).toMatch(/^En définitive/);
+  });
+
+  test("should split parts at opening expressions when there are no headings", () => {
+    const essay = [
+      `Introduction du sujet. ${words(40)}.`,
+      `Dans un premier temps, ${words(120)}.`,
+      `Ensuite, ${words(80)}.`,
+      `Dans un second temps, ${words(150)}.`,
+      `Pour conclure, ${words(40)}.`,
+    ].join("\n");
+    const sections = detectSections(splitParagraphs(essay));
+
+    expect(sections.parts.map((part) => part.length)).toEqual([2, 1]);
+    expect(sections.conclusion[0]).toMatch(/^Pour conclure/);
+  });
+});
+
+describe("Dissertation Checks - Analysis", () => {
+  test("should rate a complete dissertation and only flag its length", () => {
+    const analysis = analyzeDissertation(structuredEssay, { subject });
+
+    expect(analysis.introduction.questions).toEqual([subject]);
+    expect(analysis.introduction.announcesPlan).toBe(true);
+    expect(analysis.introduction.subjectCoverage).toBe(1);
+    expect(analysis.parts).toHaveLength(2);
+    expect(analysis.partBalance).toBeGreaterThan(0.8);
+    expect(analysis.connectors.missing).toEqual([]);
+    expect(
+      analysis.feedback
+        .filter((entry) => entry.status === "improve")
+        .map((entry) => entry.aspect)
+    ).toEqual(["length"]);
+    expect(analysis.score).toBeGreaterThan(18);
+    expect(analysis.maxScore).toBe(20);
+  });
+
+  test("should give formative feedback on a single block of text", () => {
+    const analysis = analyzeDissertation(
+      `La liberté est un droit. ${words(200)}.`,
+      { subject }
+    );
+    const improve = analysis.feedback
+      .filter((entry) => entry.status === "improve")
+      .map((entry) => entry.aspect);
+
+    expect(analysis.parts).toHaveLength(0);
+    expect(analysis.conclusion.present).toBe(false);
+    expect(improve).toEqual(
+      expect.arrayContaining([
+        "problematique",
+        "parts",
+        "conclusion",
+        "length",
+        "connectors",
+      ])
+    );
+    expect(analysis.score).toBeLessThan(8);
+  });
+});
@@ -0,0 +1,299 @@
+const { Types } = require("mongoose");
+const exerciseAttemptService = require("../../../../src/services/assessment/exercise/exercise.attempt.service");
+const exerciseService = require("../../../../src/services/assessment/exercise/exercise.service");
+const manualGradingService = require("../../../../src/services/assessment/manualGrading/manual.grading.service");
+const topicProgressService = require("../../../../src/services/progress/topicProgress/topic.progress.service");
+const { ExerciseAttempt } = require("../../../../src/models/assessment/exercise.attempt.model");
+const { Exercise } = require("../../../../src/models/assessment/exercise.model");
+
+const userId = new Types.ObjectId();
+const topicId = new Types.ObjectId();
+
+const buildExercise = (overrides = {}) => ({
+  _id: new Types.ObjectId(),
+  title: "Les indépendances africaines",
+  subjectType: "history_exercise",
+  topicId,
+  isActive: true,
+  settings: { allowRetake: true, maxAttempts: 2, showSolution: true },
+  content: {
+    sourceAnalysis: {
+      questions: [
+        {
+          question: "Qui est l'auteur du document ?",
+          questionType: "short_answer",
+          points: 2,
+        },
+      ],
+    },
+    timelineQuestions: [
+      {
+        question: "En quelle année le Sénégal devient-il indépendant ?",
+        questionType: "calculation",
+        points: 2,
+      },
+    ],
+  },
+  solution: {
+    answers: [
+      { problemIndex: 0, answer: "Léopold Sédar Senghor" },
+      { problemIndex: 1, answer: 1960 },
+    ],
+  },
+  ...overrides,
+});
+
+// Adds an open item, scored by a teacher, before the other items
+const addOpenItem = (exercise) => {
+  exercise.content.sourceAnalysis.questions.push({
+    question: "Expliquez le contexte du document.",
+    questionType: "source_analysis",
+    points: 6,
+  });
+  exercise.solution.answers = [
+    { problemIndex: 0, answer: "Léopold Sédar Senghor" },
+    { problemIndex: 2, answer: 1960 },
+  ];
+  return exercise;
+};
+
+const buildAttempt = (exercise, overrides = {}) =>
+  ExerciseAttempt.hydrate({
+    _id: new Types.ObjectId(),
+    userId,
+    exerciseId: exercise._id,
+    subjectType: exercise.subjectType,
+    attemptNumber: 1,
+    seed: "seed",
+    status: "in_progress",
+    startedAt: new Date(Date.now() - 60000),
+    answers: [],
+    ...overrides,
+  });
+
+describe("Exercise Attempt Service", () => {
+  let exercise;
+
+  const mockExercise = (value) =>
+    jest.spyOn(Exercise, "findById").mockReturnValue({
+      lean: jest.fn().mockResolvedValue(value),
+    });
+
+  beforeEach(() => {
+    exercise = buildExercise();
+    mockExercise(exercise);
+    jest.spyOn(ExerciseAttempt, "countDocuments").mockResolvedValue(0);
+    jest
+      .spyOn(ExerciseAttempt.prototype, "save")
+      .mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+    jest.spyOn(exerciseService, "updateAnalytics").mockResolvedValue();
+    jest.spyOn(manualGradingService, "enqueueAttempt").mockResolvedValue(1);
+    jest
+      .spyOn(topicProgressService, "recordPracticeSession")
+      .mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Starting attempts", () => {
+    test("should start an attempt for the student", async () => {
+      jest.spyOn(ExerciseAttempt, "findOne").mockResolvedValue(null);
+      const create = jest
+        .spyOn(ExerciseAttempt, "create")
+        .mockImplementation((data) =>
+          Promise.resolve(buildAttempt(exercise, data))
+        );
+
+      const result = await exerciseAttemptService.startAttempt(
+        exercise._id,
+        userId
+      );
+
+      expect(result.statusCode).toBe(201);
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId,
+          exerciseId: exercise._id,
+          attemptNumber: 1,
+        })
+      );
+      expect(result.data.items).toHaveLength(2);
+      expect(result.data.items[0]).not.toHaveProperty("solution");
+    });
+
+    test("should start attempts at exercises a teacher has to grade", async () => {
+      addOpenItem(exercise);
+      jest.spyOn(ExerciseAttempt, "findOne").mockResolvedValue(null);
+      jest
+        .spyOn(ExerciseAttempt, "create")
+        .mockImplementation((data) =>
+          Promise.resolve(buildAttempt(exercise, data))
+        );
+
+      const result = await exerciseAttemptService.startAttempt(
+        exercise._id,
+        userId
+      );
+
+      expect(result.statusCode).toBe(201);
+      expect(result.data.items).toHaveLength(3);
+    });
+
+    test("should refuse a new attempt once the limit is reached", async () => {
+      jest.spyOn(ExerciseAttempt, "findOne").mockResolvedValue(null);
+      ExerciseAttempt.countDocuments.mockResolvedValue(2);
+
+      await expect(
+        exerciseAttemptService.startAttempt(exercise._id, userId)
+      ).rejects.toMatchObject({
+        statusCode: 403,
+        message: "Maximum number of attempts reached (2)",
+      });
+      expect(ExerciseAttempt.countDocuments).toHaveBeenCalledWith({
+        userId,
+        exerciseId: exercise._id,
+        status: { $ne: "in_progress" },
+      });
+    });
+  });
+
+  describe("Submitting attempts", () => {
+    test("should grade the answers and record the student's progress", async () => {
+      const attempt = buildAttempt(exercise);
+      jest.spyOn(ExerciseAttempt, "findOne").mockResolvedValue(attempt);
+
+      const result = await exerciseAttemptService.submitAttempt(
+        attempt._id,
+        userId,
+        [
+          { itemIndex: 0, answer: "Léopold Sédar Senghor" },
+          { itemIndex: 1, answer: 1958 },
+        ]
+      );
+
+      expect(ExerciseAttempt.findOne).toHaveBeenCalledWith({
+        _id: attempt._id,
+        userId,
+      });
+      expect(attempt.status).toBe("submitted");
+      expect(attempt.score).toBe(2);
+      expect(attempt.maxScore).toBe(4);
+      expect(attempt.percentage).toBe(50);
+      expect(result.data.items.map((item) => item.isCorrect)).toEqual([
+        true,
+        false,
+      ]);
+      expect(exerciseService.updateAnalytics).toHaveBeenCalledWith(
+        exercise._id,
+        50,
+        expect.any(Number)
+      );
+      expect(topicProgressService.recordPracticeSession).toHaveBeenCalledWith(
+        userId,
+        topicId,
+        expect.objectContaining({ score: 50 })
+      );
+    });
+
+    test("should leave out items whose reference answer was removed", async () => {
+      const attempt = buildAttempt(exercise);
+      jest.spyOn(ExerciseAttempt, "findOne").mockResolvedValue(attempt);
+      mockExercise({
+        ...exercise,
+        solution: { answers: [exercise.solution.answers[1]] },
+      });
+
+      await exerciseAttemptService.submitAttempt(attempt._id, userId, [
+        { itemIndex: 0, answer: "Senghor" },
+        { itemIndex: 1, answer: 1960 },
+      ]);
+
+      expect(attempt.score).toBe(2);
+      expect(attempt.maxScore).toBe(2);
+      expect(attempt.percentage).toBe(100);
+      expect(
+        attempt.answers.map((answer) => answer.gradingStatus)
+      ).not.toContain("pending_review");
+    });
+
+    test("should queue open answers and wait for the teacher before recording progress", async () => {
+      addOpenItem(exercise);
+      const attempt = buildAttempt(exercise);
+      jest.spyOn(ExerciseAttempt, "findOne").mockResolvedValue(attempt);
+
+      const result = await exerciseAttemptService.submitAttempt(
+        attempt._id,
+        userId,
+        [
+          { itemIndex: 0, answer: "Léopold Sédar Senghor" },
+          { itemIndex: 1, answer: "Le document date de la décolonisation." },
+          { itemIndex: 2, answer: 1960 },
+        ]
+      );
+
+      expect(attempt.status).toBe("submitted");
+      expect(attempt.gradingStatus).toBe("pending_review");
+      expect(attempt.score).toBe(4);
+      expect(attempt.maxScore).toBe(10);
+      expect(
+        attempt.answers.find((answer) => answer.itemIndex === 1)
+      ).toMatchObject({ gradingStatus: "pending_review", maxPoints: 6 });
+      expect(manualGradingService.enqueueAttempt).toHaveBeenCalledWith(
+        attempt,
+        exercise
+      );
+      expect(result.data.gradingStatus).toBe("pending_review");
+      expect(exerciseService.updateAnalytics).not.toHaveBeenCalled();
+      expect(topicProgressService.recordPracticeSession).not.toHaveBeenCalled();
+    });
+
+    test("should not queue open items left blank", async () => {
+      addOpenItem(exercise);
+      const attempt = buildAttempt(exercise);
+      jest.spyOn(ExerciseAttempt, "findOne").mockResolvedValue(attempt);
+
+      await exerciseAttemptService.submitAttempt(attempt._id, userId, [
+        { itemIndex: 0, answer: "Léopold Sédar Senghor" },
+        { itemIndex: 1, answer: "  " },
+      ]);
+
+      expect(attempt.gradingStatus).toBe("graded");
+      expect(attempt.maxScore).toBe(10);
+      expect(manualGradingService.enqueueAttempt).not.toHaveBeenCalled();
+      expect(exerciseService.updateAnalytics).toHaveBeenCalledWith(
+        exercise._id,
+        20,
+        expect.any(Number)
+      );
+    });
+
+    test("should grade an attempt past its deadline with the saved answers", async () => {
+      const attempt = buildAttempt(exercise, {
+        deadline: new Date(Date.now() - 60000),
+        answers: [{ itemIndex: 1, answer: 1960 }],
+      });
+      jest.spyOn(ExerciseAttempt, "findOne").mockResolvedValue(attempt);
+
+      await expect(
+        exerciseAttemptService.submitAttempt(attempt._id, userId, [
+          { itemIndex: 0, answer: "Léopold Sédar Senghor" },
+        ])
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(attempt.status).toBe("expired");
+      expect(attempt.score).toBe(2);
+    });
+
+    test("should not find attempts of other students", async () => {
+      jest.spyOn(ExerciseAttempt, "findOne").mockResolvedValue(null);
+
+      await expect(
+        exerciseAttemptService.submitAttempt(new Types.ObjectId(), userId)
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(exerciseService.updateAnalytics).not.toHaveBeenCalled();
+    });
+  });
+});
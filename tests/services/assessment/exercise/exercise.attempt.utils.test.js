@@ -0,0 +1,117 @@
+const {
+  getExerciseItems,
+  buildItemQuestion,
+  getAttemptEligibility,
+  canRevealSolution,
+} = require("../../../../src/services/assessment/exercise/exercise.attempt.utils");
+
+const historyExercise = {
+  subjectType: "history_exercise",
+  content: {
+    sourceAnalysis: {
+      questions: [
+        {
+          question: "Qui est l'auteur du document ?",
+          questionType: "short_answer",
+          points: 2,
+        },
+        {
+          question: "Expliquez le contexte.",
+          questionType: "source_analysis",
+          points: 6,
+        },
+      ],
+    },
+    timelineQuestions: [
+      {
+        question: "En quelle année le Sénégal devient-il indépendant ?",
+        questionType: "calculation",
+      },
+    ],
+  },
+};
+
+describe("Exercise Attempts - Items", () => {
+  test("should number items across the sections of the subject", () => {
+    const items = getExerciseItems(historyExercise);
+
+    expect(items.map((item) => [item.itemIndex, item.section])).toEqual([
+      [0, "sourceAnalysis.questions"],
+      [1, "sourceAnalysis.questions"],
+      [2, "timelineQuestions"],
+    ]);
+    expect(items[0].statement).toBe("Qui est l'auteur du document ?");
+    expect(items[2].points).toBe(1);
+  });
+
+  test("should list no items for an exercise without gradable content", () => {
+    const exercise = { subjectType: "math_exercise", content: {} };
+
+    expect(getExerciseItems(exercise)).toEqual([]);
+  });
+
+  test("should grade items against the solution or the drawn values", () => {
+    const [, , timeline] = getExerciseItems(historyExercise);
+
+    expect(
+      buildItemQuestion(timeline, {
+        answer: 1960,
+        alternativeAnswers: ["1960"],
+      })
+    ).toMatchObject({
+      format: "calculation",
+      correctAnswer: 1960,
+      grading: { acceptedAnswers: ["1960"] },
+    });
+    expect(
+      buildItemQuestion(timeline, { answer: "80", unit: "km/h" }).correctAnswer
+    ).toEqual({ value: "80", unit: "km/h" });
+    expect(
+      buildItemQuestion(timeline, undefined, { value: 42, unit: "m" })
+    ).toMatchObject({
+      format: "calculation",
+      correctAnswer: { value: 42, unit: "m" },
+    });
+    expect(buildItemQuestion(timeline, undefined)).toBeNull();
+  });
+});
+
+describe("Exercise Attempts - Limits", () => {
+  test("should enforce the maximum number of attempts", () => {
+    const settings = { allowRetake: true, maxAttempts: 3 };
+
+    expect(getAttemptEligibility(settings, 2)).toEqual({
+      allowed: true,
+      remaining: 1,
+    });
+    expect(getAttemptEligibility(settings, 3)).toMatchObject({
+      allowed: false,
+      remaining: 0,
+    });
+  });
+
+  test("should allow a single attempt when retakes are disabled", () => {
+    const settings = { allowRetake: false, maxAttempts: 3 };
+
+    expect(getAttemptEligibility(settings, 0).allowed).toBe(true);
+    expect(getAttemptEligibility(settings, 1)).toMatchObject({
+      allowed: false,
+      reason: "This exercise cannot be retaken",
+    });
+  });
+
+  test("should reveal the solution once no attempt is left or the exercise is solved", () => {
+    const settings = { showSolution: true, allowRetake: true, maxAttempts: 2 };
+
+    expect(canRevealSolution(settings, { percentage: 60 }, 1)).toBe(false);
+    expect(canRevealSolution(settings, { percentage: 100 }, 1)).toBe(true);
+    expect(canRevealSolution(settings, { percentage: 60 }, 2)).toBe(true);
+    expect(
+      canRevealSolution(
+        { ...settings, showSolution: false },
+        { percentage: 100 },
+        2
+      )
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+const {
+  parseStep,
+  stepsMatch,
+  checkWorking,
+} = require("../../../../src/services/assessment/exercise/working.utils");
+
+// Solving 2x + 3 = 11, as written in the exercise solution
+const workingSteps = [
+  "On isole le terme en x",
+  "2x + 3 = 11",
+  "2x = 11 - 3",
+  "2x = 8",
+  "x = 4",
+];
+const commonMistakes = [
+  "Le signe du terme déplacé n'a pas été changé",
+  "La division a été faite avant la soustraction",
+];
+const mistakePatterns = [
+  { mistakeIndex: 0, working: "2x = 11 + 3" },
+  { mistakeIndex: 1, working: "x = 11/2 - 3" },
+];
+
+describe("Working Checks - Steps", () => {
+  test("should read the sides of a step and leave words out", () => {
+    expect(parseStep("Donc : x = 8 / 2")).toEqual(["x", "8 / 2"]);
+    expect(parseStep("v = 120 / 1,5 = 80")).toEqual(["v", "120 / 1,5", "80"]);
+    expect(parseStep("On isole le terme en x")).toBeNull();
+    expect(parseStep("x = (4")).toBeNull();
+  });
+
+  test("should compare both sides of equations and the result of bare expressions", () => {
+    expect(stepsMatch(["x", "8 / 2"], ["x", "4"])).toBe(true);
+    expect(stepsMatch(["2x", "8"], ["x", "4"])).toBe(false);
+    expect(stepsMatch(["120 / 1,5"], ["v", "80"])).toBe(true);
+    expect(stepsMatch(["2(x + 1)"], ["y", "2x + 2"])).toBe(true);
+  });
+});
+
+describe("Working Checks - Working", () => {
+  test("should accept skipped and rewritten steps that reach the result", () => {
+    const result = checkWorking(
+      ["2x = 11 - 3", "2x = 8", "x = 8/2"],
+      workingSteps,
+      { commonMistakes, mistakePatterns }
+    );
+
+    // "2x = 8" only rewrites "2x = 11 - 3", so it stays on that step
+    expect(result.steps.map((step) => step.matchedStep)).toEqual([2, 2, 4]);
+    expect(result.firstErrorIndex).toBeNull();
+    expect(result.complete).toBe(true);
+  });
+
+  test("should point to the first wrong step and the common mistake it matches", () => {
+    const result = checkWorking(
+      ["2x + 3 = 11", "2x = 11 + 3", "x = 7"],
+      workingSteps,
+      { commonMistakes, mistakePatterns }
+    );
+
+    expect(result.steps.map((step) => step.status)).toEqual([
+      "correct",
+      "incorrect",
+      "unchecked",
+    ]);
+    expect(result.firstErrorIndex).toBe(1);
+    expect(result.mistake).toEqual({ index: 0, description: commonMistakes[0] });
+    expect(result.complete).toBe(false);
+    expect(result.feedback).toMatch(/^L'étape 2/);
+  });
+
+  test("should skip unreadable steps and leave unknown errors unmatched", () => {
+    const result = checkWorking(
+      ["On enlève 3 des deux côtés", "2x = 8", "x = 5"],
+      workingSteps,
+      { commonMistakes, mistakePatterns }
+    );
+
+    expect(result.steps.map((step) => step.status)).toEqual([
+      "unreadable",
+      "correct",
+      "incorrect",
+    ]);
+    expect(result.mistake).toBeNull();
+    expect(result.correctCount).toBe(1);
+  });
+});
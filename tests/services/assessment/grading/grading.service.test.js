@@ -0,0 +1,528 @@
+const gradingService = require("../../../../src/services/assessment/grading/grading.service");
+
+describe("Grading Service - Answer Grading", () => {
+  const buildQuestion = (overrides = {}) => ({
+    _id: "507f1f77bcf86cd799439011",
+    format: "multiple_choice",
+    options: ["Niamey", "N'Djamena", "Abuja", "Yaoundé"],
+    correctAnswer: "N'Djamena",
+    points: 4,
+    grading: {},
+    ...overrides,
+  });
+
+  describe("multiple_choice", () => {
+    test("should award full points for the correct option", () => {
+      const result = gradingService.grade(buildQuestion(), "N'Djamena");
+
+      expect(result.isCorrect).toBe(true);
+      expect(result.pointsEarned).toBe(4);
+      expect(result.maxPoints).toBe(4);
+      expect(result.status).toBe("graded");
+    });
+
+    test("should award no points for a wrong option", () => {
+      const result = gradingService.grade(buildQuestion(), "Abuja");
+
+      expect(result.isCorrect).toBe(false);
+      expect(result.pointsEarned).toBe(0);
+    });
+
+    test("should give partial credit on multi-select questions", () => {
+      const question = buildQuestion({
+        correctAnswer: ["Niamey", "N'Djamena"],
+      });
+
+      expect(gradingService.grade(question, ["Niamey"]).pointsEarned).toBe(2);
+      expect(
+        gradingService.grade(question, ["N'Djamena", "Niamey"]).isCorrect
+      ).toBe(true);
+      expect(
+        gradingService.grade(question, ["Niamey", "Abuja"]).pointsEarned
+      ).toBe(0);
+    });
+  });
+
+  describe("short_answer", () => {
+    test("should ignore case, accents and surrounding spaces", () => {
+      const question = buildQuestion({
+        format: "short_answer",
+        correctAnswer: "Lac Tchad",
+      });
+
+      expect(gradingService.grade(question, "  lac  tchad. ").isCorrect).toBe(
+        true
+      );
+      expect(
+        gradingService.grade(
+          buildQuestion({ format: "short_answer", correctAnswer: "Éthiopie" }),
+          "ethiopie"
+        ).isCorrect
+      ).toBe(true);
+    });
+
+    test("should accept configured alternative answers", () => {
+      const question = buildQuestion({
+        format: "short_answer",
+        correctAnswer: "photosynthèse",
+        grading: { acceptedAnswers: ["photosynthesis"] },
+      });
+
+      expect(gradingService.grade(question, "Photosynthesis").isCorrect).toBe(
+        true
+      );
+    });
+
+    test("should respect accent sensitivity when requested", () => {
+      const question = buildQuestion({
+        format: "short_answer",
+        correctAnswer: "où",
+        grading: { accentSensitive: true },
+      });
+
+      expect(gradingService.grade(question, "ou").isCorrect).toBe(false);
+    });
+
+    test("should compare fractions and decimals as numbers", () => {
+      const question = buildQuestion({
+        format: "short_answer",
+        correctAnswer: "0.5",
+      });
+
+      expect(gradingService.grade(question, "1/2").isCorrect).toBe(true);
+      expect(gradingService.grade(question, "2/3").isCorrect).toBe(false);
+    });
+
+    test("should accept equivalent expressions when enabled", () => {
+      const question = buildQuestion({
+        format: "short_answer",
+        correctAnswer: "2x + 2",
+        grading: { symbolicEquivalence: true },
+      });
+
+      expect(gradingService.grade(question, "2(x+1)").isCorrect).toBe(true);
+      expect(gradingService.grade(question, "(x+1)*2").isCorrect).toBe(true);
+      expect(gradingService.grade(question, "2x + 1").isCorrect).toBe(false);
+      expect(
+        gradingService.grade({ ...question, grading: {} }, "2(x+1)").isCorrect
+      ).toBe(false);
+    });
+
+    test("should check equivalence of powers, roots and trig functions", () => {
+      const buildSymbolic = (correctAnswer) =>
+        buildQuestion({
+          format: "short_answer",
+          correctAnswer,
+          grading: { symbolicEquivalence: true },
+        });
+
+      expect(
+        gradingService.grade(buildSymbolic("x^2 - 1"), "(x-1)(x+1)").isCorrect
+      ).toBe(true);
+      expect(
+        gradingService.grade(buildSymbolic("√x"), "x^(1/2)").isCorrect
+      ).toBe(true);
+      expect(
+        gradingService.grade(buildSymbolic("1"), "sin(x)^2 + cos(x)^2")
+          .isCorrect
+      ).toBe(true);
+      expect(
+        gradingService.grade(buildSymbolic("1/x + 1/y"), "(x+y)/(x y)")
+          .isCorrect
+      ).toBe(true);
+      expect(
+        gradingService.grade(buildSymbolic("abs(x)"), "x").isCorrect
+      ).toBe(false);
+      expect(
+        gradingService.grade(buildSymbolic("3.2e-3"), "0,0032").isCorrect
+      ).toBe(true);
+    });
+
+    test("should not simplify even roots of even powers to the variable", () => {
+      const buildSymbolic = (correctAnswer) =>
+        buildQuestion({
+          format: "short_answer",
+          correctAnswer,
+          grading: { symbolicEquivalence: true },
+        });
+
+      expect(
+        gradingService.grade(buildSymbolic("sqrt(x^2)"), "x").isCorrect
+      ).toBe(false);
+      expect(
+        gradingService.grade(buildSymbolic("(x^2)^(1/2) + 1"), "x + 1")
+          .isCorrect
+      ).toBe(false);
+      expect(
+        gradingService.grade(buildSymbolic("(x^4)^(1/4)"), "x").isCorrect
+      ).toBe(false);
+      expect(
+        gradingService.grade(buildSymbolic("sqrt(x^2)"), "abs(x)").isCorrect
+      ).toBe(true);
+      expect(
+        gradingService.grade(buildSymbolic("(x^3)^(1/3)"), "x").isCorrect
+      ).toBe(true);
+      expect(
+        gradingService.grade(buildSymbolic("(x^2)^3"), "x^6").isCorrect
+      ).toBe(true);
+    });
+  });
+
+  describe("calculation", () => {
+    const question = buildQuestion({
+      format: "calculation",
+      correctAnswer: 12.5,
+      grading: { tolerance: 0.1, unit: "m/s" },
+    });
+
+    test("should accept values within tolerance and decimal commas", () => {
+      expect(gradingService.grade(question, "12,45 m/s").isCorrect).toBe(true);
+      expect(gradingService.grade(question, "1.25e1 m/s").isCorrect).toBe(true);
+    });
+
+    test("should reject values outside tolerance", () => {
+      expect(gradingService.grade(question, "13 m/s").pointsEarned).toBe(0);
+    });
+
+    test("should deduct the unit penalty for a missing or wrong unit", () => {
+      const missing = gradingService.grade(question, "12.5");
+      const wrong = gradingService.grade(question, "12.5 km/h");
+
+      expect(missing.pointsEarned).toBe(2);
+      expect(missing.isCorrect).toBe(false);
+      expect(missing.feedback).toMatch(/Unité manquante/);
+      expect(wrong.pointsEarned).toBe(2);
+    });
+
+    test("should accept answers written as expressions", () => {
+      const third = buildQuestion({
+        format: "calculation",
+        correctAnswer: "1/3",
+        grading: { tolerance: 0.001 },
+      });
+      const diagonal = buildQuestion({
+        format: "calculation",
+        correctAnswer: { value: 4.2426, unit: "m", tolerance: 0.001 },
+      });
+
+      expect(gradingService.grade(third, "0.333").isCorrect).toBe(true);
+      expect(gradingService.grade(third, "2/6").isCorrect).toBe(true);
+      expect(gradingService.grade(diagonal, "3√2 m").isCorrect).toBe(true);
+      expect(gradingService.grade(diagonal, "3 sqrt(2)").pointsEarned).toBe(2);
+      expect(gradingService.grade(question, "25/2 m/s").isCorrect).toBe(true);
+    });
+
+    test("should support relative tolerance", () => {
+      const relative = buildQuestion({
+        format: "calculation",
+        correctAnswer: 1000,
+        grading: { tolerance: 0.02, toleranceType: "relative" },
+      });
+
+      expect(gradingService.grade(relative, 1015).isCorrect).toBe(true);
+      expect(gradingService.grade(relative, 1030).isCorrect).toBe(false);
+    });
+
+    test("should compute templated answers from the session's values", () => {
+      const templated = buildQuestion({
+        format: "calculation",
+        template: { variables: [{ name: "d", min: 60, max: 240, step: 10 }] },
+        correctAnswer: { formula: "d / t", unit: "km/h", tolerance: 0.1 },
+      });
+      const context = { parameterValues: { d: 150, t: 2 } };
+
+      expect(gradingService.grade(templated, "75 km/h", context).isCorrect).toBe(
+        true
+      );
+      expect(
+        gradingService.grade(templated, "75 km/h", {
+          parameterValues: { d: 120, t: 2 },
+        }).pointsEarned
+      ).toBe(0);
+      expect(gradingService.grade(templated, "75 km/h").pointsEarned).toBe(0);
+    });
+  });
+
+  describe("fill_in_the_blank", () => {
+    const question = buildQuestion({
+      format: "fill_in_the_blank",
+      correctAnswer: ["Tombalbaye", ["1960", "mil neuf cent soixante"]],
+    });
+
+    test("should grade each blank separately", () => {
+      expect(
+        gradingService.grade(question, ["tombalbaye", "1960"]).isCorrect
+      ).toBe(true);
+      expect(
+        gradingService.grade(question, ["Tombalbaye", "1958"]).pointsEarned
+      ).toBe(2);
+    });
+
+    test("should match blanks in any order when order does not matter", () => {
+      const unordered = { ...question, grading: { orderSensitive: false } };
+
+      expect(
+        gradingService.grade(unordered, ["1960", "Tombalbaye"]).isCorrect
+      ).toBe(true);
+    });
+  });
+
+  describe("text_sequencing", () => {
+    const question = buildQuestion({
+      format: "text_sequencing",
+      correctAnswer: ["A", "B", "C", "D"],
+    });
+
+    test("should give credit for items in the right relative order", () => {
+      expect(
+        gradingService.grade(question, ["A", "B", "C", "D"]).isCorrect
+      ).toBe(true);
+      expect(
+        gradingService.grade(question, ["B", "A", "C", "D"]).pointsEarned
+      ).toBe(3);
+    });
+  });
+
+  describe("matching", () => {
+    const question = buildQuestion({
+      format: "matching",
+      correctAnswer: [
+        { question: "H2O", answer: "eau" },
+        { question: "NaCl", answer: "sel" },
+      ],
+    });
+
+    test("should grade pairs regardless of their order", () => {
+      expect(
+        gradingService.grade(question, [
+          { question: "NaCl", answer: "Sel" },
+          { question: "H2O", answer: "Eau" },
+        ]).isCorrect
+      ).toBe(true);
+    });
+
+    test("should accept a key/value mapping with partial credit", () => {
+      expect(
+        gradingService.grade(question, { H2O: "eau", NaCl: "sucre" })
+          .pointsEarned
+      ).toBe(2);
+    });
+  });
+
+  describe("true_false", () => {
+    test("should accept French and English boolean words", () => {
+      const question = buildQuestion({
+        format: "true_false",
+        correctAnswer: true,
+      });
+
+      expect(gradingService.grade(question, "Vrai").isCorrect).toBe(true);
+      expect(gradingService.grade(question, false).isCorrect).toBe(false);
+    });
+  });
+
+  describe("diagram_labeling", () => {
+    const diagram = {
+      imageUrl: "https://example.com/cellule.png",
+      width: 400,
+      height: 300,
+      hotspots: [
+        {
+          hotspotId: "membrane",
+          shape: "rect",
+          x: 0,
+          y: 0,
+          width: 400,
+          height: 300,
+        },
+        { hotspotId: "noyau", shape: "circle", x: 200, y: 150, radius: 40 },
+      ],
+    };
+    const buildDiagramQuestion = (correctAnswer) =>
+      buildQuestion({ format: "diagram_labeling", diagram, correctAnswer });
+
+    test("should grade a click on the expected region", () => {
+      const question = buildDiagramQuestion("noyau");
+
+      const click = { x: 210, y: 160 };
+      expect(gradingService.grade(question, click).isCorrect).toBe(true);
+      expect(gradingService.grade(question, [20, 20]).isCorrect).toBe(false);
+      expect(gradingService.grade(question, "noyau").isCorrect).toBe(true);
+    });
+
+    test("should grade each dropped label with partial credit", () => {
+      const question = buildDiagramQuestion([
+        { label: "Noyau", target: "noyau" },
+        { label: "Membrane", target: "membrane" },
+      ]);
+
+      expect(
+        gradingService.grade(question, {
+          noyau: { x: 190, y: 140 },
+          membrane: { x: 195, y: 150 },
+        }).pointsEarned
+      ).toBe(2);
+      expect(
+        gradingService.grade(question, [
+          { label: "Noyau", target: "noyau" },
+          { label: "Membrane", target: [5, 290] },
+        ]).isCorrect
+      ).toBe(true);
+    });
+
+    test("should grade diagrams without hotspots as matching", () => {
+      const question = buildQuestion({
+        format: "diagram_labeling",
+        correctAnswer: [{ question: "A", answer: "Noyau" }],
+      });
+
+      expect(gradingService.grade(question, { A: "noyau" }).isCorrect).toBe(
+        true
+      );
+    });
+  });
+
+  describe("map_analysis", () => {
+    const lac = {
+      type: "Polygon",
+      coordinates: [
+        [
+          [13, 12.5],
+          [15, 12.5],
+          [15, 14.5],
+          [13, 14.5],
+          [13, 12.5],
+        ],
+      ],
+    };
+    const ndjamena = { type: "Point", coordinates: [15.04, 12.11] };
+    const map = {
+      mapType: "political",
+      region: "Tchad",
+      features: [{ featureId: "lac", label: "Lac", geometry: lac }],
+    };
+    const buildMapQuestion = (correctAnswer, grading = {}) =>
+      buildQuestion({ format: "map_analysis", map, correctAnswer, grading });
+
+    test("should accept a point inside the expected region", () => {
+      const question = buildMapQuestion({ featureId: "lac" });
+
+      expect(gradingService.grade(question, [14, 13.5]).isCorrect).toBe(true);
+      expect(gradingService.grade(question, "lac").isCorrect).toBe(true);
+      expect(gradingService.grade(question, [18, 13.5]).pointsEarned).toBe(0);
+    });
+
+    test("should accept a point within the distance tolerance", () => {
+      const question = buildMapQuestion({ geometry: ndjamena, tolerance: 20 });
+
+      const click = { type: "Point", coordinates: [15.1, 12.15] };
+      expect(gradingService.grade(question, click).isCorrect).toBe(true);
+
+      const near = gradingService.grade(question, [15.04, 12.4]);
+      expect(near.isCorrect).toBe(false);
+      expect(near.pointsEarned).toBeGreaterThan(0);
+      expect(near.feedback).toMatch(/km de l'emplacement attendu/);
+      expect(gradingService.grade(question, [16, 13]).pointsEarned).toBe(0);
+    });
+
+    test("should accept a region that contains the expected point", () => {
+      const question = buildMapQuestion({
+        geometry: { type: "Point", coordinates: [14, 13.5] },
+      });
+      const selection = { featureId: "lac" };
+
+      expect(gradingService.grade(question, selection).isCorrect).toBe(true);
+    });
+
+    test("should share points between labelled targets", () => {
+      const question = buildMapQuestion([
+        { label: "Lac Tchad", featureId: "lac" },
+        { label: "N'Djamena", geometry: ndjamena },
+      ]);
+
+      expect(
+        gradingService.grade(question, {
+          "lac tchad": [14, 13],
+          "N'Djamena": [17, 9],
+        }).pointsEarned
+      ).toBe(2);
+    });
+
+    test("should grade text answers as short answers", () => {
+      const question = buildMapQuestion("Chari");
+
+      expect(gradingService.grade(question, "chari").isCorrect).toBe(true);
+    });
+  });
+
+  describe("essay", () => {
+    test("should flag open answers for manual review", () => {
+      const question = buildQuestion({
+        format: "essay",
+        correctAnswer: "Modèle de réponse",
+      });
+      const result = gradingService.grade(question, "Ma dissertation");
+
+      expect(result.status).toBe("pending_review");
+      expect(result.isCorrect).toBe(false);
+      expect(result.pointsEarned).toBe(0);
+    });
+  });
+
+  describe("options", () => {
+    test("should remove partial credit when disabled", () => {
+      const question = buildQuestion({
+        format: "fill_in_the_blank",
+        correctAnswer: ["a", "b"],
+        grading: { partialCredit: false },
+      });
+
+      expect(gradingService.grade(question, ["a", "x"]).pointsEarned).toBe(0);
+    });
+
+    test("should give no points for an empty answer", () => {
+      expect(gradingService.grade(buildQuestion(), "").pointsEarned).toBe(0);
+      expect(gradingService.grade(buildQuestion(), null).isCorrect).toBe(false);
+    });
+
+    test("should allow registering a custom grader", () => {
+      const grader = { grade: () => ({ ratio: 0.5 }) };
+      const original = gradingService.getGrader("map_analysis");
+
+      gradingService.registerGrader("map_analysis", grader);
+      const result = gradingService.grade(
+        buildQuestion({ format: "map_analysis" }),
+        "N'Djamena"
+      );
+      gradingService.registerGrader("map_analysis", original);
+
+      expect(result.pointsEarned).toBe(2);
+    });
+
+    test("should tell which questions are scored without a teacher", () => {
+      expect(gradingService.canAutoGrade(buildQuestion())).toBe(true);
+      expect(
+        gradingService.canAutoGrade(buildQuestion({ format: "essay" }))
+      ).toBe(false);
+      expect(
+        gradingService.canAutoGrade(buildQuestion({ format: undefined }))
+      ).toBe(false);
+      expect(gradingService.canAutoGrade(null)).toBe(false);
+    });
+
+    test("should tell which questions are always left to a teacher", () => {
+      expect(
+        gradingService.needsManualReview(buildQuestion({ format: "essay" }))
+      ).toBe(true);
+      expect(
+        gradingService.needsManualReview(
+          buildQuestion({ format: "source_analysis" })
+        )
+      ).toBe(true);
+      expect(gradingService.needsManualReview(buildQuestion())).toBe(false);
+      expect(
+        gradingService.needsManualReview(buildQuestion({ format: undefined }))
+      ).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const {
+  computeIntegrityScore,
+  detectFastAnswers,
+  compareAnswerPatterns,
+} = require("../../../../src/services/assessment/integrity/integrity.utils");
+
+describe("Integrity Utils - Scoring and Anomaly Detection", () => {
+  const buildAnswer = (questionId, selectedAnswer, isCorrect, timeSpent = 30) => ({
+    questionId,
+    selectedAnswer,
+    isCorrect,
+    timeSpent,
+    skipped: false,
+  });
+
+  test("should start from 100 and cap event penalties", () => {
+    expect(computeIntegrityScore({ events: [], flags: [] })).toBe(100);
+    expect(
+      computeIntegrityScore({
+        events: [{ type: "copy" }, { type: "device_switch" }],
+        flags: [],
+      })
+    ).toBe(85);
+
+    const manyEvents = Array.from({ length: 50 }, () => ({ type: "paste" }));
+    expect(computeIntegrityScore({ events: manyEvents, flags: [] })).toBe(60);
+  });
+
+  test("should add flag penalties without going below 0", () => {
+    expect(
+      computeIntegrityScore({
+        events: [],
+        flags: [{ penalty: 40 }, { penalty: 40 }, { penalty: 40 }],
+      })
+    ).toBe(0);
+  });
+
+  test("should detect answers faster than the reading time", () => {
+    const answers = [
+      buildAnswer("q1", "A", true, 1),
+      buildAnswer("q2", "B", true, 10),
+      buildAnswer("q3", "C", true, 40),
+      { questionId: "q4", selectedAnswer: null, timeSpent: 0, skipped: false },
+    ];
+    const timeEstimates = new Map([
+      ["q2", 300],
+      ["q3", 300],
+    ]);
+
+    expect(detectFastAnswers(answers, timeEstimates)).toEqual(["q1", "q2"]);
+  });
+
+  test("should flag near-identical patterns with shared wrong answers", () => {
+    const answersA = [
+      buildAnswer("q1", "A", true),
+      buildAnswer("q2", "B", false),
+      buildAnswer("q3", "C", false),
+      buildAnswer("q4", "D", true),
+      buildAnswer("q5", ["x", "y"], true),
+    ];
+    const answersB = answersA.map((answer) => ({ ...answer }));
+
+    const comparison = compareAnswerPatterns(answersA, answersB);
+
+    expect(comparison).toEqual({
+      commonAnswers: 5,
+      matchRate: 1,
+      sharedWrong: 2,
+      similar: true,
+    });
+  });
+
+  test("should not flag sessions that only share correct answers", () => {
+    const answersA = ["q1", "q2", "q3", "q4", "q5"].map((id) =>
+      buildAnswer(id, "A", true)
+    );
+    const answersB = answersA.map((answer) => ({ ...answer }));
+
+    expect(compareAnswerPatterns(answersA, answersB).similar).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+const {
+  probability,
+  estimateAbility,
+  selectMostInformative,
+  calibrate,
+} = require("../../../../src/services/assessment/irt/irt.utils");
+const { createRandom } = require("../../../../src/utils/shuffle.utils");
+
+describe("IRT Utils - 2PL Model", () => {
+  describe("probability", () => {
+    test("should be 0.5 when ability equals difficulty", () => {
+      expect(probability(1, { a: 1.5, b: 1 })).toBeCloseTo(0.5);
+    });
+
+    test("should increase with ability", () => {
+      const item = { a: 1, b: 0 };
+      expect(probability(1, item)).toBeGreaterThan(probability(-1, item));
+    });
+  });
+
+  describe("estimateAbility", () => {
+    const items = [-2, -1, 0, 1, 2].map((b) => ({ a: 1.2, b }));
+
+    test("should stay finite when every answer is correct", () => {
+      const { theta, standardError } = estimateAbility(
+        items.map((item) => ({ ...item, correct: true }))
+      );
+
+      expect(theta).toBeGreaterThan(1);
+      expect(Number.isFinite(theta)).toBe(true);
+      expect(standardError).toBeGreaterThan(0);
+    });
+
+    test("should shrink the standard error as answers accumulate", () => {
+      const few = estimateAbility([{ ...items[2], correct: true }]);
+      const many = estimateAbility(
+        items.map((item, index) => ({ ...item, correct: index < 3 }))
+      );
+
+      expect(many.standardError).toBeLessThan(few.standardError);
+    });
+  });
+
+  describe("selectMostInformative", () => {
+    test("should pick the item closest to the current ability", () => {
+      const items = [
+        { id: "easy", a: 1, b: -2 },
+        { id: "medium", a: 1, b: 0.2 },
+        { id: "hard", a: 1, b: 2 },
+      ];
+
+      expect(selectMostInformative(0, items).id).toBe("medium");
+      expect(selectMostInformative(null, [])).toBeNull();
+    });
+  });
+
+  describe("calibrate", () => {
+    test("should recover the ordering of item difficulties", () => {
+      const random = createRandom("calibration");
+      const trueItems = { easy: -1.5, medium: 0, hard: 1.5 };
+      const responses = [];
+      for (let person = 0; person < 400; person++) {
+        // Approximately normal abilities from the sum of uniforms
+        const theta = (random() + random() + random() - 1.5) * 2;
+        Object.entries(trueItems).forEach(([itemId, b]) => {
+          responses.push({
+            personId: `p${person}`,
+            itemId,
+            correct: random() < probability(theta, { a: 1, b }),
+          });
+        });
+      }
+
+      const { items } = calibrate(responses);
+
+      expect(items.get("easy").b).toBeLessThan(items.get("medium").b);
+      expect(items.get("medium").b).toBeLessThan(items.get("hard").b);
+      expect(items.get("easy").sampleSize).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  correlation,
+  getScoreGroups,
+  getSelectedOptions,
+  analyzeItems,
+} = require("../../../../src/services/assessment/itemAnalysis/item.analysis.utils");
+
+const questions = new Map([
+  [
+    "q1",
+    {
+      format: "multiple_choice",
+      options: ["Dakar", "Thiès", "Kaolack", "Ziguinchor"],
+      correctAnswer: "Dakar",
+    },
+  ],
+  ["q2", { format: "short_answer" }],
+  ["q3", { format: "true_false" }],
+]);
+
+// Builds a session from [q1 choice, q2 correct, q3 correct]
+const session = (id, choice, q2, q3) => ({
+  _id: id,
+  answers: [
+    {
+      questionId: "q1",
+      selectedAnswer: choice,
+      isCorrect: choice === "Dakar",
+      pointsEarned: choice === "Dakar" ? 1 : 0,
+      maxPoints: 1,
+    },
+    { questionId: "q2", isCorrect: q2, pointsEarned: q2 ? 1 : 0, maxPoints: 1 },
+    { questionId: "q3", isCorrect: q3, pointsEarned: q3 ? 1 : 0, maxPoints: 1 },
+  ],
+});
+
+const sessions = [
+  session("s1", "Dakar", true, false),
+  session("s2", "Dakar", true, false),
+  session("s3", "Dakar", true, false),
+  session("s4", "Dakar", true, true),
+  session("s5", "Thiès", false, true),
+  session("s6", "Dakar", false, true),
+  session("s7", "Kaolack", false, true),
+  session("s8", "Thiès", false, true),
+  session("s9", "Kaolack", false, true),
+  session("s10", "Thiès", false, true),
+];
+
+describe("Item Analysis - Classical Statistics", () => {
+  test("should correlate series and ignore constant ones", () => {
+    expect(correlation([0, 1, 0, 1], [1, 3, 1, 3])).toBeCloseTo(1);
+    expect(correlation([1, 1, 1], [0, 1, 2])).toBeNull();
+  });
+
+  test("should split the top and bottom 27% of respondents", () => {
+    const respondents = [0.9, 0.1, 0.5, 0.7, 0.3, 0.8, 0.2, 0.4, 0.6, 1].map(
+      (total, i) => ({ id: `r${i}`, total })
+    );
+    const { high, low } = getScoreGroups(respondents);
+
+    expect([...high]).toEqual(["r9", "r0", "r5"]);
+    expect([...low]).toEqual(["r4", "r6", "r1"]);
+  });
+
+  test("should map selected values to option indexes", () => {
+    const question = questions.get("q1");
+    expect(getSelectedOptions(question, "thies")).toEqual([1]);
+    expect(getSelectedOptions(question, ["Dakar", "Inconnu"])).toEqual([0]);
+  });
+
+  test("should compute p-values, discrimination and distractor rates", () => {
+    const report = analyzeItems(sessions, questions);
+    const [q1, q2, q3] = report.items;
+
+    expect(report.respondents).toBe(10);
+    expect(q1.pValue).toBe(0.5);
+    expect(q1.pointBiserial).toBeGreaterThan(0);
+    expect(q1.discriminationIndex).toBe(1);
+    expect(q1.options.map((option) => option.count)).toEqual([5, 3, 2, 0]);
+    expect(q1.options[3].functioning).toBe(false);
+    expect(q1.flags).toEqual(["non_functioning_distractor"]);
+
+    expect(q2.pValue).toBe(0.4);
+    expect(q2.flags).toEqual([]);
+
+    expect(q3.pValue).toBe(0.7);
+    expect(q3.pointBiserial).toBeLessThan(0);
+    expect(q3.flags).toEqual(["negative_discrimination"]);
+    expect(q3.reliable).toBe(false);
+  });
+});
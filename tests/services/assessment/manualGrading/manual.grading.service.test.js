@@ -0,0 +1,167 @@
+const { Types } = require("mongoose");
+const manualGradingService = require("../../../../src/services/assessment/manualGrading/manual.grading.service");
+const exerciseService = require("../../../../src/services/assessment/exercise/exercise.service");
+const topicProgressService = require("../../../../src/services/progress/topicProgress/topic.progress.service");
+const notificationService = require("../../../../src/services/user/notification/notification.service");
+const { ManualGrade } = require("../../../../src/models/assessment/manual.grade.model");
+const { ExerciseAttempt } = require("../../../../src/models/assessment/exercise.attempt.model");
+
+const userId = new Types.ObjectId();
+const graderId = new Types.ObjectId();
+const topicId = new Types.ObjectId();
+const exercise = {
+  _id: new Types.ObjectId(),
+  subjectId: new Types.ObjectId(),
+  topicId,
+};
+
+const buildAttempt = (overrides = {}) =>
+  ExerciseAttempt.hydrate({
+    _id: new Types.ObjectId(),
+    userId,
+    exerciseId: exercise._id,
+    topicId,
+    attemptNumber: 1,
+    seed: "seed",
+    status: "submitted",
+    submittedAt: new Date(),
+    timeSpent: 600,
+    score: 2,
+    maxScore: 10,
+    percentage: 20,
+    gradingStatus: "pending_review",
+    answers: [
+      { itemIndex: 0, answer: "Senghor", pointsEarned: 2, maxPoints: 2 },
+      {
+        itemIndex: 1,
+        answer: "Le document date de la décolonisation.",
+        pointsEarned: 0,
+        maxPoints: 6,
+        gradingStatus: "pending_review",
+      },
+      { itemIndex: 2, answer: 1958, pointsEarned: 0, maxPoints: 2 },
+    ],
+    ...overrides,
+  });
+
+const buildGrade = (attempt) =>
+  ManualGrade.hydrate({
+    _id: new Types.ObjectId(),
+    attemptId: attempt._id,
+    itemIndex: 1,
+    userId,
+    exerciseId: exercise._id,
+    dueAt: new Date(),
+    status: "pending",
+    maxPoints: 6,
+  });
+
+describe("Manual Grading Service - Exercise Attempts", () => {
+  beforeEach(() => {
+    jest
+      .spyOn(ExerciseAttempt.prototype, "save")
+      .mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+    jest.spyOn(ManualGrade.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(exerciseService, "updateAnalytics").mockResolvedValue();
+    jest
+      .spyOn(topicProgressService, "recordPracticeSession")
+      .mockResolvedValue();
+    jest
+      .spyOn(notificationService, "bulkCreateNotifications")
+      .mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should queue the open answers of an attempt", async () => {
+    const attempt = buildAttempt();
+    const bulkWrite = jest.spyOn(ManualGrade, "bulkWrite").mockResolvedValue();
+
+    const queued = await manualGradingService.enqueueAttempt(
+      attempt,
+      exercise
+    );
+
+    expect(queued).toBe(1);
+    const [[operation]] = bulkWrite.mock.calls[0];
+    expect(operation.updateOne.filter).toEqual({
+      attemptId: attempt._id,
+      itemIndex: 1,
+    });
+    expect(operation.updateOne.update.$setOnInsert).toMatchObject({
+      userId,
+      exerciseId: exercise._id,
+      topicId,
+      maxPoints: 6,
+    });
+  });
+
+  test("should score the answer and record the attempt once nothing is pending", async () => {
+    const attempt = buildAttempt();
+    const grade = buildGrade(attempt);
+    jest.spyOn(ManualGrade, "findById").mockResolvedValue(grade);
+    jest.spyOn(ExerciseAttempt, "findById").mockResolvedValue(attempt);
+
+    const result = await manualGradingService.gradeAnswer(grade._id, graderId, {
+      pointsEarned: 4.5,
+      comment: "Contexte bien situé.",
+    });
+
+    expect(result.data.attemptScore).toEqual({
+      score: 6.5,
+      maxScore: 10,
+      percentage: 65,
+      gradingStatus: "graded",
+    });
+    expect(attempt.answers[1]).toMatchObject({
+      pointsEarned: 4.5,
+      gradingStatus: "graded",
+      feedback: "Contexte bien situé.",
+    });
+    expect(grade).toMatchObject({ status: "graded", gradedBy: graderId });
+    expect(exerciseService.updateAnalytics).toHaveBeenCalledWith(
+      exercise._id,
+      65,
+      600
+    );
+    expect(topicProgressService.recordPracticeSession).toHaveBeenCalledWith(
+      userId,
+      topicId,
+      { score: 65, timeSpent: 600 }
+    );
+  });
+
+  test("should wait for the other open answers of the attempt", async () => {
+    const attempt = buildAttempt();
+    attempt.answers[2].set({ gradingStatus: "pending_review" });
+    const grade = buildGrade(attempt);
+    jest.spyOn(ManualGrade, "findById").mockResolvedValue(grade);
+    jest.spyOn(ExerciseAttempt, "findById").mockResolvedValue(attempt);
+
+    await manualGradingService.gradeAnswer(grade._id, graderId, {
+      pointsEarned: 6,
+    });
+
+    expect(attempt.gradingStatus).toBe("pending_review");
+    expect(exerciseService.updateAnalytics).not.toHaveBeenCalled();
+  });
+
+  test("should refuse points above the item's points", async () => {
+    const attempt = buildAttempt();
+    const grade = buildGrade(attempt);
+    jest.spyOn(ManualGrade, "findById").mockResolvedValue(grade);
+    jest.spyOn(ExerciseAttempt, "findById").mockResolvedValue(attempt);
+
+    await expect(
+      manualGradingService.gradeAnswer(grade._id, graderId, {
+        pointsEarned: 7,
+      })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,48 @@
+const {
+  toScale,
+  computeWeightedAverage,
+  getBacOutcome,
+} = require("../../../../src/services/assessment/mockExam/mock.exam.grading");
+
+describe("Mock Exam Grading - BAC Averages and Mentions", () => {
+  test("should convert raw scores to a mark out of 20", () => {
+    expect(toScale(15, 30)).toBe(10);
+    expect(toScale(7, 9)).toBe(15.56);
+    expect(toScale(12, 16, 40)).toBe(30);
+    expect(toScale(5, 0)).toBe(0);
+  });
+
+  test("should weight grades by their series coefficient", () => {
+    const papers = [
+      { grade: 14, coefficient: 5 }, // mathematics
+      { grade: 8, coefficient: 2 }, // philosophy
+      { grade: 11, coefficient: 1 },
+    ];
+
+    expect(computeWeightedAverage(papers)).toEqual({
+      average: 12.13,
+      totalCoefficients: 8,
+      totalPoints: 97,
+    });
+  });
+
+  test("should award mentions from the passing average", () => {
+    expect(getBacOutcome(17.2)).toEqual({
+      decision: "admis",
+      mention: "tres_bien",
+      label: "Admis - Très bien",
+    });
+    expect(getBacOutcome(14).mention).toBe("bien");
+    expect(getBacOutcome(12.5).mention).toBe("assez_bien");
+    expect(getBacOutcome(10).mention).toBe("passable");
+  });
+
+  test("should send averages between 8 and 10 to the second group", () => {
+    expect(getBacOutcome(9.99)).toEqual({
+      decision: "rattrapage",
+      mention: null,
+      label: "Rattrapage",
+    });
+    expect(getBacOutcome(7.99).decision).toBe("ajourne");
+  });
+});
@@ -0,0 +1,121 @@
+const mockExamService = require("../../../../src/services/assessment/mockExam/mock.exam.service");
+const { MockExam } = require("../../../../src/models/assessment/mock.exam.model");
+const { QuizSession } = require("../../../../src/models/assessment/quiz.session.model");
+
+const ids = {
+  math: "507f1f77bcf86cd799439021",
+  philosophy: "507f1f77bcf86cd799439022",
+};
+
+const createPaper = (sessionId, coefficient, data = {}) => ({
+  subjectId: "507f1f77bcf86cd799439031",
+  quizId: "507f1f77bcf86cd799439032",
+  sessionId,
+  coefficient,
+  duration: 180,
+  totalMarks: 20,
+  passingMarks: 10,
+  status: "in_progress",
+  ...data,
+});
+
+const mockSessions = (sessions) => {
+  jest
+    .spyOn(QuizSession, "findById")
+    .mockImplementation(async (id) => sessions[id.toString()]);
+};
+
+const createSession = (status, answers) => {
+  const session = new QuizSession({
+    userId: "507f1f77bcf86cd799439011",
+    status,
+    answers,
+  });
+  const { pointsEarned, maxPoints } = session.calculateScore();
+  session.score = pointsEarned;
+  session.maxScore = maxPoints;
+  return session;
+};
+
+const answer = (pointsEarned, maxPoints, gradingStatus = "graded") => ({
+  questionId: "507f1f77bcf86cd799439041",
+  pointsEarned,
+  maxPoints,
+  gradingStatus,
+});
+
+describe("Mock Exam Service - Paper grading", () => {
+  let mockExam;
+
+  beforeEach(() => {
+    mockExam = new MockExam({
+      userId: "507f1f77bcf86cd799439011",
+      examId: "507f1f77bcf86cd799439012",
+      series: "D",
+      papers: [createPaper(ids.math, 4), createPaper(ids.philosophy, 2)],
+    });
+    jest.spyOn(mockExam, "save").mockResolvedValue(mockExam);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should grade finished papers and award the outcome", async () => {
+    mockSessions({
+      [ids.math]: createSession("completed", [answer(16, 20)]),
+      [ids.philosophy]: createSession("completed", [answer(12, 20)]),
+    });
+
+    await mockExamService.refreshPapers(mockExam);
+
+    expect(mockExam.papers.map((paper) => paper.grade)).toEqual([16, 12]);
+    expect(mockExam.status).toBe("completed");
+    expect(mockExam.outcome.average).toBe(14.67);
+    expect(mockExam.save).toHaveBeenCalled();
+  });
+
+  test("should update the grade and outcome once a teacher scores the essay", async () => {
+    const essay = createSession("completed", [
+      answer(2, 4),
+      answer(0, 16, "pending_review"),
+    ]);
+    mockSessions({
+      [ids.math]: createSession("completed", [answer(12, 20)]),
+      [ids.philosophy]: essay,
+    });
+
+    await mockExamService.refreshPapers(mockExam);
+    const [, philosophy] = mockExam.papers;
+    expect(philosophy).toMatchObject({ grade: 2, pendingReview: true });
+    expect(mockExam.outcome.decision).toBe("rattrapage");
+
+    // The teacher scores the essay after the exam
+    essay.answers[1].set({ pointsEarned: 14, gradingStatus: "graded" });
+    essay.score = essay.calculateScore().pointsEarned;
+    mockExam.save.mockClear();
+
+    await mockExamService.refreshPapers(mockExam);
+
+    expect(philosophy).toMatchObject({ grade: 16, pendingReview: false });
+    expect(mockExam.outcome.average).toBe(13.33);
+    expect(mockExam.outcome.decision).toBe("admis");
+    expect(mockExam.save).toHaveBeenCalled();
+  });
+
+  test("should leave graded papers untouched while nothing changed", async () => {
+    mockSessions({
+      [ids.math]: createSession("completed", [answer(12, 20)]),
+      [ids.philosophy]: createSession("completed", [
+        answer(0, 20, "pending_review"),
+      ]),
+    });
+    await mockExamService.refreshPapers(mockExam);
+    mockExam.save.mockClear();
+
+    await mockExamService.refreshPapers(mockExam);
+
+    expect(mockExam.save).not.toHaveBeenCalled();
+    expect(QuizSession.findById).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,163 @@
+const pastPaperService = require("../../../../src/services/assessment/pastPaper/past.paper.service");
+const quizSessionService = require("../../../../src/services/assessment/quizSession/quiz.session.service");
+const { PastPaper } = require("../../../../src/models/assessment/past.paper.model");
+const { Quiz } = require("../../../../src/models/assessment/quiz.model");
+const { Question } = require("../../../../src/models/assessment/question.model");
+
+const userId = "507f1f77bcf86cd799439011";
+const pastPaperId = "507f1f77bcf86cd799439012";
+const quizId = "507f1f77bcf86cd799439013";
+const questionIds = ["507f1f77bcf86cd799439021", "507f1f77bcf86cd799439022"];
+
+const createPastPaper = (data = {}) => ({
+  _id: pastPaperId,
+  title: "Mathématiques BAC D 2023",
+  session: "normale",
+  year: 2023,
+  subjectId: "507f1f77bcf86cd799439031",
+  series: "D",
+  duration: 240,
+  questionIds,
+  createdBy: "507f1f77bcf86cd799439032",
+  isSittable: true,
+  ...data,
+});
+
+describe("Past Paper Service - Quiz", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should reuse the quiz already built for the paper", async () => {
+    jest.spyOn(Question, "find");
+
+    const result = await pastPaperService.getOrCreateQuiz(
+      createPastPaper({ quizId })
+    );
+
+    expect(result).toBe(quizId);
+    expect(Question.find).not.toHaveBeenCalled();
+  });
+
+  test("should build an unshuffled quiz timed by the official duration", async () => {
+    jest.spyOn(Question, "find").mockReturnValue({
+      select: jest.fn().mockResolvedValue([
+        { _id: questionIds[0], topicId: "t1", points: 8 },
+        { _id: questionIds[1], topicId: "t1", points: 12 },
+      ]),
+    });
+    let savedQuiz;
+    jest.spyOn(Quiz.prototype, "save").mockImplementation(function () {
+      savedQuiz = this;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(PastPaper, "findOneAndUpdate").mockResolvedValue({});
+
+    const result = await pastPaperService.getOrCreateQuiz(createPastPaper());
+
+    expect(result).toBe(savedQuiz._id);
+    expect(savedQuiz.questionIds.map(String)).toEqual(questionIds);
+    expect(savedQuiz).toMatchObject({
+      timeLimit: 14400,
+      totalQuestions: 2,
+      totalPoints: 20,
+      description: "Sujet officiel normale 2023",
+    });
+    expect(savedQuiz.settings.shuffleQuestions).toBe(false);
+    expect(PastPaper.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: pastPaperId, quizId: { $exists: false } },
+      { quizId: savedQuiz._id },
+      { new: true }
+    );
+  });
+
+  test("should keep the quiz of a concurrent first sitting", async () => {
+    jest.spyOn(Question, "find").mockReturnValue({
+      select: jest.fn().mockResolvedValue([]),
+    });
+    jest.spyOn(Quiz.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(PastPaper, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(PastPaper, "findById").mockReturnValue({
+      select: jest.fn().mockResolvedValue({ quizId }),
+    });
+    jest.spyOn(Quiz, "deleteOne").mockResolvedValue({ deletedCount: 1 });
+
+    const result = await pastPaperService.getOrCreateQuiz(createPastPaper());
+
+    expect(result).toBe(quizId);
+    expect(Quiz.deleteOne).toHaveBeenCalled();
+  });
+});
+
+describe("Past Paper Service - Sittings", () => {
+  beforeEach(() => {
+    jest.spyOn(PastPaper, "updateOne").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should reject missing and download-only papers", async () => {
+    jest.spyOn(PastPaper, "findOne").mockResolvedValueOnce(null);
+    await expect(
+      pastPaperService.sitPastPaper(pastPaperId, userId)
+    ).rejects.toMatchObject({ statusCode: 404 });
+
+    jest
+      .spyOn(PastPaper, "findOne")
+      .mockResolvedValueOnce(createPastPaper({ isSittable: false }));
+    await expect(
+      pastPaperService.sitPastPaper(pastPaperId, userId)
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test("should start a new sitting for the user and count it", async () => {
+    jest.spyOn(PastPaper, "findOne").mockResolvedValue(createPastPaper());
+    jest.spyOn(pastPaperService, "getOrCreateQuiz").mockResolvedValue(quizId);
+    jest.spyOn(quizSessionService, "createSession").mockResolvedValue({
+      statusCode: 201,
+      data: { sessionId: "s1", status: "not_started" },
+    });
+    jest.spyOn(quizSessionService, "startSession").mockResolvedValue({
+      statusCode: 200,
+      data: { sessionId: "s1", status: "in_progress" },
+    });
+
+    const result = await pastPaperService.sitPastPaper(pastPaperId, userId);
+
+    expect(result.statusCode).toBe(201);
+    expect(result.data).toMatchObject({
+      quizId,
+      session: { status: "in_progress" },
+    });
+    expect(quizSessionService.createSession).toHaveBeenCalledWith(
+      userId,
+      quizId,
+      {}
+    );
+    expect(quizSessionService.startSession).toHaveBeenCalledWith("s1", userId);
+    expect(PastPaper.updateOne).toHaveBeenCalledWith(
+      { _id: pastPaperId },
+      { $inc: { "analytics.sittings": 1 } }
+    );
+  });
+
+  test("should resume an unfinished sitting without counting it again", async () => {
+    jest.spyOn(PastPaper, "findOne").mockResolvedValue(createPastPaper());
+    jest.spyOn(pastPaperService, "getOrCreateQuiz").mockResolvedValue(quizId);
+    jest.spyOn(quizSessionService, "createSession").mockResolvedValue({
+      statusCode: 200,
+      data: { sessionId: "s1", status: "in_progress" },
+    });
+    jest.spyOn(quizSessionService, "startSession");
+
+    const result = await pastPaperService.sitPastPaper(pastPaperId, userId);
+
+    expect(result.statusCode).toBe(200);
+    expect(quizSessionService.startSession).not.toHaveBeenCalled();
+    expect(PastPaper.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+const { Types } = require("mongoose");
+const duplicateService = require("../../../../src/services/assessment/question/duplicate.service");
+const { Question } = require("../../../../src/models/assessment/question.model");
+
+const subjectId = new Types.ObjectId();
+const topicId = new Types.ObjectId();
+
+const buildQuestion = (overrides = {}) =>
+  Question.hydrate({
+    _id: new Types.ObjectId(),
+    question: "Quelle est la capitale du Burkina Faso ?",
+    format: "multiple_choice",
+    options: ["Ouagadougou", "Bobo-Dioulasso"],
+    correctAnswer: "Ouagadougou",
+    status: "approved",
+    subjectId,
+    topicId,
+    relatedQuestions: [],
+    tags: [],
+    ...overrides,
+  });
+
+describe("Question Duplicate Service - Merging", () => {
+  let save;
+  let repoint;
+
+  const mockQuestions = (kept, duplicates) => {
+    jest.spyOn(Question, "findById").mockResolvedValue(kept);
+    jest.spyOn(Question, "find").mockResolvedValue(duplicates);
+  };
+
+  beforeEach(() => {
+    save = jest
+      .spyOn(Question.prototype, "save")
+      .mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+    jest.spyOn(Question, "updateMany").mockResolvedValue({});
+    repoint = jest
+      .spyOn(duplicateService, "repointReferences")
+      .mockResolvedValue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should merge duplicates into an approved question of the same format", async () => {
+    const kept = buildQuestion();
+    const duplicate = buildQuestion({ status: "draft" });
+    mockQuestions(kept, [duplicate]);
+
+    const result = await duplicateService.mergeDuplicates(kept._id, [
+      duplicate._id,
+    ]);
+
+    expect(result.repointed).toBe(2);
+    expect(repoint).toHaveBeenCalledWith([String(duplicate._id)], kept._id);
+  });
+
+  test("should refuse to keep a question that is not approved", async () => {
+    const kept = buildQuestion({ status: "review" });
+    const duplicate = buildQuestion();
+    mockQuestions(kept, [duplicate]);
+
+    await expect(
+      duplicateService.mergeDuplicates(kept._id, [duplicate._id])
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: "Only an approved question can be kept",
+    });
+    expect(save).not.toHaveBeenCalled();
+    expect(repoint).not.toHaveBeenCalled();
+  });
+
+  test("should refuse duplicates in another format", async () => {
+    const kept = buildQuestion();
+    const duplicate = buildQuestion({
+      format: "short_answer",
+      options: [],
+    });
+    mockQuestions(kept, [duplicate]);
+
+    await expect(
+      duplicateService.mergeDuplicates(kept._id, [duplicate._id])
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(save).not.toHaveBeenCalled();
+    expect(repoint).not.toHaveBeenCalled();
+  });
+});
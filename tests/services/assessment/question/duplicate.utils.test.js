@@ -0,0 +1,124 @@
+const {
+  normalizeQuestionText,
+  prepareQuestion,
+  computeSimilarity,
+  findSimilar,
+  clusterDuplicates,
+  mergeAnalytics,
+  mergeUsage,
+  replaceMergedIds,
+} = require("../../../../src/services/assessment/question/duplicate.utils");
+
+const prepare = (id, question, options) =>
+  prepareQuestion({ _id: id, question, options });
+
+describe("Question Duplicates - Normalization and Similarity", () => {
+  test("should ignore case, accents, punctuation and LaTeX markup", () => {
+    expect(normalizeQuestionText("  Quelle est la CAPITALE du Sénégal ?")).toBe(
+      "quelle est la capitale du senegal"
+    );
+    expect(normalizeQuestionText("Calculer $\\frac{1}{2} \\times 4$.")).toBe(
+      normalizeQuestionText("calculer (1)/(2) * 4")
+    );
+    expect(normalizeQuestionText("Une masse de 2,5 kg.")).toBe(
+      "une masse de 2.5 kg"
+    );
+  });
+
+  test("should match reworded questions and shuffled options", () => {
+    const a = prepare("a", "Quelle est la capitale du Sénégal ?", [
+      "Dakar",
+      "Thiès",
+    ]);
+    const b = prepare("b", "Quelle est la capitale du Senegal?", [
+      "Thiès",
+      "Dakar",
+    ]);
+    const c = prepare("c", "Quelle est la capitale du Mali ?", [
+      "Bamako",
+      "Kayes",
+    ]);
+
+    expect(computeSimilarity(a, b)).toBe(1);
+    expect(computeSimilarity(a, c)).toBeLessThan(0.85);
+    expect(findSimilar(a, [a, b, c])).toEqual([{ id: "b", similarity: 1 }]);
+  });
+
+  test("should not flag questions whose numeric data differs", () => {
+    expect(
+      computeSimilarity(
+        prepare("a", "Résoudre l'équation 2x + 3 = 7"),
+        prepare("b", "Résoudre l'équation 2x + 3 = 9")
+      )
+    ).toBe(0);
+  });
+
+  test("should group transitive duplicates into one cluster", () => {
+    const clusters = clusterDuplicates([
+      prepare("a", "Donner la définition de la photosynthèse."),
+      prepare("b", "Donner la definition de la photosynthese"),
+      prepare("c", "Quelle est la formule de l'eau ?"),
+      prepare("d", "Donnez la définition de la photosynthèse."),
+    ]);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].questionIds).toEqual(["a", "b", "d"]);
+  });
+});
+
+describe("Question Duplicates - Merging Analytics", () => {
+  test("should add counts and weight averages by attempts", () => {
+    const kept = {
+      totalAttempts: 30,
+      correctAttempts: 15,
+      averageTimeToAnswer: 40,
+      skipRate: 10,
+    };
+    const merged = {
+      totalAttempts: 10,
+      correctAttempts: 8,
+      averageTimeToAnswer: 80,
+      skipRate: 50,
+    };
+    const analytics = mergeAnalytics(kept, [merged]);
+
+    expect(analytics).toMatchObject({
+      totalAttempts: 40,
+      correctAttempts: 23,
+      averageTimeToAnswer: 50,
+      skipRate: 20,
+    });
+  });
+
+  test("should keep the latest use and recompute popularity", () => {
+    const usage = mergeUsage(
+      { assessmentCount: 2, lastUsed: new Date("2024-01-10") },
+      [{ assessmentCount: 3, lastUsed: new Date("2024-03-05") }],
+      40
+    );
+
+    expect(usage).toEqual({
+      assessmentCount: 5,
+      lastUsed: new Date("2024-03-05"),
+      popularityScore: 15.5,
+    });
+  });
+});
+
+describe("Question Duplicates - Repointing Question Sets", () => {
+  test("should replace merged questions with the kept one in place", () => {
+    expect(replaceMergedIds(["a", "b", "c"], ["b"], "k")).toEqual([
+      "a",
+      "k",
+      "c",
+    ]);
+  });
+
+  test("should not list the kept question twice", () => {
+    expect(replaceMergedIds(["b", "k", "c", "d"], ["b", "d"], "k")).toEqual([
+      "k",
+      "c",
+    ]);
+    expect(replaceMergedIds(["a", "c"], ["b"], "k")).toEqual(["a", "c"]);
+  });
+});
@@ -0,0 +1,98 @@
+const formats = require("../../../../src/services/assessment/question/formats");
+
+const baseQuestion = {
+  explanation: "Voir le cours.",
+  difficulty: "intermediate",
+  points: 2,
+};
+
+describe("Question Formats - Import and Export", () => {
+  test("should parse the common GIFT question types", () => {
+    const items = formats.gift.parse(`
+// Géographie
+::Q1:: Quelle est la capitale du Sénégal ? {=Dakar ~Thiès ~Saint-Louis}
+
+::Q2:: Le Nil coule vers le nord. {T}
+
+::Q3:: Combien font 7 x 8 ? {#56:0}
+`);
+
+    expect(items).toHaveLength(3);
+    expect(items.every((item) => item.errors.length === 0)).toBe(true);
+    expect(items[0].data).toMatchObject({
+      format: "multiple_choice",
+      options: ["Dakar", "Thiès", "Saint-Louis"],
+      correctAnswer: "Dakar",
+    });
+    expect(items[1].data).toMatchObject({
+      format: "true_false",
+      correctAnswer: true,
+    });
+    expect(items[2].data).toMatchObject({ format: "calculation" });
+  });
+
+  test("should report Aiken blocks without a valid answer line", () => {
+    const items = formats.aiken.parse(`Quel fleuve traverse Bamako ?
+A. Le Niger
+B. Le Sénégal
+ANSWER: A
+
+Question sans réponse
+A. Oui
+B. Non
+`);
+
+    expect(items[0].data).toMatchObject({
+      format: "multiple_choice",
+      options: ["Le Niger", "Le Sénégal"],
+      correctAnswer: "Le Niger",
+    });
+    expect(items[1].errors.length).toBeGreaterThan(0);
+  });
+
+  test("should read CSV files with a semicolon delimiter", () => {
+    const items = formats.csv.parse(
+      "question;format;options;correctAnswer\n" +
+        '"Associez les pays à leur capitale";matching;;"Mali -> Bamako; Niger -> Niamey"\n'
+    );
+
+    expect(items[0].errors).toEqual([]);
+    expect(items[0].data.correctAnswer).toEqual([
+      { question: "Mali", answer: "Bamako" },
+      { question: "Niger", answer: "Niamey" },
+    ]);
+  });
+
+  test("should round-trip questions through every format", () => {
+    const questions = [
+      {
+        ...baseQuestion,
+        _id: "64b7f0c2a1b2c3d4e5f60001",
+        question: "Quelle est la capitale du Burkina Faso ?",
+        format: "multiple_choice",
+        options: ["Ouagadougou", "Bobo-Dioulasso"],
+        correctAnswer: "Ouagadougou",
+      },
+      {
+        ...baseQuestion,
+        _id: "64b7f0c2a1b2c3d4e5f60002",
+        question: "Le Sahara est un désert.",
+        format: "true_false",
+        options: ["Vrai", "Faux"],
+        correctAnswer: true,
+      },
+    ];
+
+    ["gift", "aiken", "qti", "csv"].forEach((name) => {
+      const { content, exported } = formats[name].serialize(questions);
+      const items = formats[name].parse(content);
+
+      expect(exported).toBe(2);
+      expect(items.map((item) => item.errors)).toEqual([[], []]);
+      expect(items.map((item) => item.data.correctAnswer)).toEqual([
+        "Ouagadougou",
+        true,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const { Types } = require("mongoose");
+const questionService = require("../../../../src/services/assessment/question/question.service");
+const contentRevisionService = require("../../../../src/services/learning/revision/content.revision.service");
+const { Question } = require("../../../../src/models/assessment/question.model");
+const { updateQuestionSchema } = require("../../../../src/schemas/assessment/question.schema");
+
+const userId = new Types.ObjectId();
+const questionId = new Types.ObjectId();
+const approved = {
+  _id: questionId,
+  question: "Quelle est la capitale du Mali ?",
+  format: "multiple_choice",
+  options: ["Bamako", "Dakar"],
+  correctAnswer: "Bamako",
+  status: "approved",
+};
+
+describe("Question Service - Updates", () => {
+  let update;
+
+  beforeEach(() => {
+    jest.spyOn(Question, "findById").mockReturnValue({
+      lean: jest.fn().mockResolvedValue(approved),
+    });
+    update = jest
+      .spyOn(Question, "findByIdAndUpdate")
+      .mockImplementation(() => {
+        const query = {
+          populate: jest.fn(() => query),
+          then: (resolve) => resolve({ _id: questionId }),
+        };
+        return query;
+      });
+    jest
+      .spyOn(contentRevisionService, "recordRevision")
+      .mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should send an approved question back to review when its answer key changes", async () => {
+    await questionService.updateQuestion(
+      questionId,
+      { correctAnswer: "Dakar" },
+      userId
+    );
+
+    const [, changes] = update.mock.calls[0];
+    expect(changes.$set).toMatchObject({
+      correctAnswer: "Dakar",
+      status: "review",
+      "validation.isVerified": false,
+    });
+    expect(changes.$push["review.history"]).toMatchObject({
+      action: "submit",
+      userId,
+      fromStatus: "approved",
+      toStatus: "review",
+    });
+  });
+
+  test("should keep an approved question approved when only its tags change", async () => {
+    await questionService.updateQuestion(
+      questionId,
+      { tags: ["géographie"] },
+      userId
+    );
+
+    const [, changes] = update.mock.calls[0];
+    expect(changes).toEqual({ $set: { tags: ["géographie"] } });
+  });
+
+  test("should not let updates set the validation of a question", () => {
+    const { error } = updateQuestionSchema.validate({
+      validation: { isVerified: true, qualityScore: 10 },
+    });
+
+    expect(error).toBeDefined();
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  getNextStatus,
+  getReviewPermissionError,
+  getReviewerError,
+} = require("../../../../src/services/assessment/question/review.utils");
+
+const author = { _id: "a1", role: "teacher" };
+const reviewer = { _id: "r1", role: "teacher" };
+const admin = { _id: "ad1", role: "admin" };
+const question = { creatorId: "a1", review: { reviewerId: "r1" } };
+
+describe("Question Review - Status Transitions", () => {
+  test("should follow draft, review, then approved or rejected", () => {
+    expect(getNextStatus("draft", "submit")).toBe("review");
+    expect(getNextStatus("review", "approve")).toBe("approved");
+    expect(getNextStatus("review", "reject")).toBe("rejected");
+    expect(getNextStatus("review", "request_changes")).toBe("draft");
+    expect(getNextStatus("rejected", "submit")).toBe("review");
+  });
+
+  test("should refuse transitions outside the workflow", () => {
+    expect(getNextStatus("draft", "approve")).toBeNull();
+    expect(getNextStatus("approved", "submit")).toBeNull();
+    expect(getNextStatus("approved", "reject")).toBeNull();
+    expect(getNextStatus("archived", "approve")).toBeNull();
+    expect(getNextStatus("review", "unknown")).toBeNull();
+  });
+
+  test("should archive and restore questions outside review", () => {
+    expect(getNextStatus("approved", "archive")).toBe("archived");
+    expect(getNextStatus("review", "archive")).toBeNull();
+    expect(getNextStatus("archived", "restore")).toBe("draft");
+  });
+});
+
+describe("Question Review - Permissions", () => {
+  test("should let only the author or an administrator submit", () => {
+    expect(getReviewPermissionError(question, "submit", author)).toBeNull();
+    expect(getReviewPermissionError(question, "submit", admin)).toBeNull();
+    expect(getReviewPermissionError(question, "submit", reviewer)).toMatch(
+      /author/
+    );
+  });
+
+  test("should never let authors decide on their own questions", () => {
+    const adminAuthored = { ...question, creatorId: "ad1" };
+    expect(getReviewPermissionError(question, "approve", author)).toMatch(
+      /own questions/
+    );
+    expect(
+      getReviewPermissionError(adminAuthored, "approve", admin)
+    ).toMatch(/own questions/);
+  });
+
+  test("should leave decisions to the assigned reviewer or an administrator", () => {
+    const other = { _id: "t2", role: "teacher" };
+    expect(getReviewPermissionError(question, "approve", reviewer)).toBeNull();
+    expect(
+      getReviewPermissionError(question, "request_changes", admin)
+    ).toBeNull();
+    expect(getReviewPermissionError(question, "reject", other)).toMatch(
+      /assigned reviewer/
+    );
+    expect(
+      getReviewPermissionError({ creatorId: "a1" }, "approve", other)
+    ).toMatch(/assigned reviewer/);
+  });
+
+  test("should keep assignment and archiving to administrators", () => {
+    expect(getReviewPermissionError(question, "assign", admin)).toBeNull();
+    expect(getReviewPermissionError(question, "archive", reviewer)).toMatch(
+      /administrators/
+    );
+  });
+
+  test("should exclude the author and students from reviewers", () => {
+    expect(getReviewerError(question, reviewer)).toBeNull();
+    expect(getReviewerError(question, author)).toMatch(/author/);
+    expect(getReviewerError(question, { _id: "s1", role: "student" })).toMatch(
+      /teachers or administrators/
+    );
+  });
+});
@@ -0,0 +1,106 @@
+const {
+  isTemplated,
+  drawTemplateValues,
+  renderTemplate,
+  computeTemplateAnswer,
+  getTemplateError,
+} = require("../../../../src/services/assessment/question/template.utils");
+
+const template = {
+  variables: [
+    { name: "d", min: 50, max: 300, step: 10 },
+    { name: "t", min: 0.5, max: 4, step: 0.5 },
+  ],
+  constraints: ["d / t <= 130"],
+};
+
+describe("Question Templates - Drawing Values", () => {
+  test("should draw the same values for the same seed", () => {
+    expect(drawTemplateValues(template, "seed-1")).toEqual(
+      drawTemplateValues(template, "seed-1")
+    );
+  });
+
+  test("should keep values in range, on the step and within constraints", () => {
+    for (let i = 0; i < 50; i++) {
+      const { d, t } = drawTemplateValues(template, `seed-${i}`);
+      expect(d).toBeGreaterThanOrEqual(50);
+      expect(d).toBeLessThanOrEqual(300);
+      expect(d % 10).toBe(0);
+      expect((t * 10) % 5).toBe(0);
+      expect(d / t).toBeLessThanOrEqual(130);
+    }
+  });
+
+  test("should give up when no draw satisfies the constraints", () => {
+    const impossible = { ...template, constraints: ["d > 1000"] };
+    expect(drawTemplateValues(impossible, "seed")).toBeNull();
+  });
+
+  test("should recognize templated questions", () => {
+    expect(isTemplated({ template })).toBe(true);
+    expect(isTemplated({ template: { variables: [] } })).toBe(false);
+    expect(isTemplated({})).toBe(false);
+  });
+});
+
+describe("Question Templates - Rendering and Answers", () => {
+  test("should replace known placeholders only", () => {
+    expect(
+      renderTemplate("Une voiture parcourt {d} km en {t} h ({x}).", {
+        d: 120,
+        t: 1.5,
+      })
+    ).toBe("Une voiture parcourt 120 km en 1.5 h ({x}).");
+  });
+
+  test("should evaluate formulas with functions, powers and implicit products", () => {
+    expect(computeTemplateAnswer("d / t", { d: 120, t: 1.5 })).toBe(80);
+    expect(computeTemplateAnswer("1/2 m v^2", { m: 2, v: 3 })).toBe(9);
+    expect(computeTemplateAnswer("sqrt(2 h g)", { h: 5, g: 10 })).toBe(10);
+    expect(computeTemplateAnswer("-2^2", {})).toBe(-4);
+  });
+
+  test("should return null when the formula cannot give a number", () => {
+    expect(computeTemplateAnswer("d / t", { d: 1, t: 0 })).toBeNull();
+    expect(computeTemplateAnswer("d / x", { d: 1 })).toBeNull();
+    expect(computeTemplateAnswer("d +", { d: 1 })).toBeNull();
+  });
+});
+
+describe("Question Templates - Validation", () => {
+  test("should accept a usable template", () => {
+    expect(getTemplateError(template, "d / t")).toBeNull();
+  });
+
+  test("should accept constants in the formula", () => {
+    const fall = { variables: [{ name: "m", min: 1, max: 5 }] };
+    expect(getTemplateError(fall, "m * g", { g: 9.81 })).toBeNull();
+    expect(getTemplateError(fall, "m * g")).toMatch(/Unknown variable "g"/);
+  });
+
+  test("should report formula and constraint mistakes", () => {
+    expect(getTemplateError(template, undefined)).toMatch(/answer formula/);
+    expect(getTemplateError(template, "d / (t")).toMatch(/Invalid answer formula/);
+    expect(getTemplateError(template, "d / t > 1")).toMatch(/cannot be a comparison/);
+    expect(
+      getTemplateError({ ...template, constraints: ["d + t"] }, "d / t")
+    ).toMatch(/must be a comparison/);
+  });
+
+  test("should report unusable variables", () => {
+    expect(getTemplateError({ variables: [] }, "1")).toMatch(/at least one/);
+    expect(
+      getTemplateError(
+        { variables: [{ name: "a", min: 0, max: 1 }, { name: "a", min: 0, max: 1 }] },
+        "a"
+      )
+    ).toMatch(/unique/);
+    expect(
+      getTemplateError({ variables: [{ name: "a", min: 5, max: 1 }] }, "a")
+    ).toMatch(/min <= max/);
+    expect(
+      getTemplateError({ ...template, constraints: ["d > 1000"] }, "d / t")
+    ).toMatch(/No values/);
+  });
+});
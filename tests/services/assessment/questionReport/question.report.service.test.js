@@ -0,0 +1,162 @@
+const { Types } = require("mongoose");
+const questionReportService = require("../../../../src/services/assessment/questionReport/question.report.service");
+const quizSessionService = require("../../../../src/services/assessment/quizSession/quiz.session.service");
+const notificationService = require("../../../../src/services/user/notification/notification.service");
+const contentRevisionService = require("../../../../src/services/learning/revision/content.revision.service");
+const { QuestionReport } = require("../../../../src/models/assessment/question.report.model");
+const { Question } = require("../../../../src/models/assessment/question.model");
+
+const reviewerId = new Types.ObjectId();
+const studentId = new Types.ObjectId();
+const rescoreSummary = {
+  sessionsRescored: 3,
+  resultsUpdated: 2,
+  challengesUpdated: 1,
+  answersChanged: 3,
+};
+
+// Loaded as stored, so only the reviewer's corrections count as changes
+const buildQuestion = () =>
+  Question.hydrate({
+    _id: new Types.ObjectId(),
+    question: "Quelle est la capitale du Tchad ?",
+    format: "multiple_choice",
+    options: ["Niamey", "N'Djamena", "Abuja", "Yaoundé"],
+    correctAnswer: "Abuja",
+    explanation: "N'Djamena est la capitale du Tchad.",
+    points: 2,
+  });
+
+const buildReport = (question, category, status = "open") => {
+  const report = new QuestionReport({
+    questionId: question._id,
+    subjectId: new Types.ObjectId(),
+    topicId: new Types.ObjectId(),
+    status,
+  });
+  report.addReport({ userId: studentId, category });
+  return report;
+};
+
+describe("Question Report Service - Accepting Reports", () => {
+  let question;
+
+  const mockLoad = (report) => {
+    jest.spyOn(QuestionReport, "findById").mockResolvedValue(report);
+    jest.spyOn(Question, "findById").mockResolvedValue(question);
+  };
+
+  beforeEach(() => {
+    question = buildQuestion();
+    jest.spyOn(Question.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(QuestionReport.prototype, "save").mockImplementation(
+      function () {
+        return Promise.resolve(this);
+      }
+    );
+    jest
+      .spyOn(contentRevisionService, "recordRevision")
+      .mockResolvedValue({ version: 2 });
+    jest
+      .spyOn(quizSessionService, "rescoreQuestion")
+      .mockResolvedValue({ data: rescoreSummary });
+    jest
+      .spyOn(notificationService, "bulkCreateNotifications")
+      .mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should fix a wrong answer key and rescore the question", async () => {
+    const report = buildReport(question, "wrong_answer");
+    mockLoad(report);
+
+    const result = await questionReportService.acceptReport(
+      report._id,
+      reviewerId,
+      { changes: { correctAnswer: "N'Djamena" }, notes: "Clé corrigée" }
+    );
+
+    expect(question.correctAnswer).toBe("N'Djamena");
+    expect(contentRevisionService.recordRevision).toHaveBeenCalledWith(
+      "question",
+      expect.objectContaining({ correctAnswer: "Abuja" }),
+      reviewerId
+    );
+    expect(quizSessionService.rescoreQuestion).toHaveBeenCalledWith(
+      question._id
+    );
+    expect(report.status).toBe("accepted");
+    expect(report.resolution).toMatchObject({
+      reviewedBy: reviewerId,
+      notes: "Clé corrigée",
+      changes: ["correctAnswer"],
+      rescore: { sessionsRescored: 3, resultsUpdated: 3 },
+    });
+    expect(result.data.rescore).toEqual(rescoreSummary);
+    expect(notificationService.bulkCreateNotifications).toHaveBeenCalledWith([
+      expect.objectContaining({ userId: studentId.toString() }),
+    ]);
+  });
+
+  test("should rescore a wrong answer report whose key was fixed beforehand", async () => {
+    const report = buildReport(question, "wrong_answer");
+    mockLoad(report);
+
+    await questionReportService.acceptReport(report._id, reviewerId);
+
+    expect(Question.prototype.save).not.toHaveBeenCalled();
+    expect(quizSessionService.rescoreQuestion).toHaveBeenCalledTimes(1);
+    expect(report.resolution.changes).toEqual([]);
+  });
+
+  test("should not rescore corrections that leave the answer key alone", async () => {
+    const report = buildReport(question, "typo");
+    mockLoad(report);
+
+    const result = await questionReportService.acceptReport(
+      report._id,
+      reviewerId,
+      {
+        changes: {
+          explanation: "N'Djamena est la capitale du Tchad depuis 1960.",
+          points: 10,
+        },
+      }
+    );
+
+    expect(question.points).toBe(2);
+    expect(report.resolution.changes).toEqual(["explanation"]);
+    expect(quizSessionService.rescoreQuestion).not.toHaveBeenCalled();
+    expect(result.data.rescore).toBeNull();
+  });
+
+  test("should let the reviewer skip rescoring explicitly", async () => {
+    const report = buildReport(question, "wrong_answer");
+    mockLoad(report);
+
+    const result = await questionReportService.acceptReport(
+      report._id,
+      reviewerId,
+      { changes: { correctAnswer: "N'Djamena" }, rescore: false }
+    );
+
+    expect(question.correctAnswer).toBe("N'Djamena");
+    expect(quizSessionService.rescoreQuestion).not.toHaveBeenCalled();
+    expect(result.data.rescore).toBeNull();
+  });
+
+  test("should refuse reports that were already decided", async () => {
+    const report = buildReport(question, "wrong_answer", "rejected");
+    mockLoad(report);
+
+    await expect(
+      questionReportService.acceptReport(report._id, reviewerId)
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(quizSessionService.rescoreQuestion).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+const quizService = require("../../../../src/services/assessment/quiz/quiz.service");
+const { Quiz } = require("../../../../src/models/assessment/quiz.model");
+const { Question } = require("../../../../src/models/assessment/question.model");
+
+const quizIds = ["507f1f77bcf86cd799439011", "507f1f77bcf86cd799439012"];
+const approvedId = "507f1f77bcf86cd799439021";
+const draftId = "507f1f77bcf86cd799439022";
+
+describe("Quiz Service - Bulk Updates", () => {
+  let questionFind;
+
+  const mockInactiveQuizzes = (quizzes) =>
+    jest.spyOn(Quiz, "find").mockReturnValue({
+      select: jest.fn().mockResolvedValue(quizzes),
+    });
+
+  beforeEach(() => {
+    jest
+      .spyOn(Quiz, "updateMany")
+      .mockResolvedValue({ matchedCount: 2, modifiedCount: 2 });
+    questionFind = jest.spyOn(Question, "find").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([]),
+      }),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should refuse to activate quizzes holding unapproved questions", async () => {
+    mockInactiveQuizzes([{ questionIds: [approvedId, draftId] }]);
+    questionFind.mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest
+          .fn()
+          .mockResolvedValue([{ _id: draftId, status: "draft" }]),
+      }),
+    });
+
+    await expect(
+      quizService.bulkUpdateQuizzes(quizIds, { isActive: true })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [{ questionId: draftId, status: "draft" }],
+    });
+    expect(Quiz.updateMany).not.toHaveBeenCalled();
+  });
+
+  test("should only check quizzes that are not active yet", async () => {
+    mockInactiveQuizzes([{ questionIds: [approvedId] }]);
+
+    const result = await quizService.bulkUpdateQuizzes(quizIds, {
+      isActive: true,
+    });
+
+    expect(Quiz.find).toHaveBeenCalledWith({
+      _id: { $in: quizIds },
+      isActive: false,
+    });
+    expect(questionFind.mock.calls[0][0]._id).toEqual({ $in: [approvedId] });
+    expect(result.data.modifiedCount).toBe(2);
+  });
+
+  test("should not check questions for other updates", async () => {
+    mockInactiveQuizzes([]);
+
+    await quizService.bulkUpdateQuizzes(quizIds, { premiumOnly: true });
+
+    expect(Quiz.find).not.toHaveBeenCalled();
+    expect(Quiz.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: quizIds } },
+      expect.objectContaining({ premiumOnly: true })
+    );
+  });
+});
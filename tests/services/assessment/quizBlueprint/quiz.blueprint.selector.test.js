@@ -0,0 +1,127 @@
+const { selectQuestions } = require("../../../../src/services/assessment/quizBlueprint/quiz.blueprint.selector");
+
+describe("Quiz Blueprint Selector - Question Selection", () => {
+  const buildQuestion = (id, topicId, difficulty, points) => ({
+    _id: id,
+    topicId,
+    difficulty,
+    points,
+  });
+
+  const candidates = [
+    buildQuestion("q1", "algebra", "beginner", 2),
+    buildQuestion("q2", "algebra", "beginner", 2),
+    buildQuestion("q3", "algebra", "advanced", 4),
+    buildQuestion("q4", "algebra", "advanced", 4),
+    buildQuestion("q5", "geometry", "beginner", 2),
+    buildQuestion("q6", "geometry", "beginner", 2),
+    buildQuestion("q7", "geometry", "advanced", 4),
+    buildQuestion("q8", "geometry", "advanced", 4),
+  ];
+
+  const buildParams = (overrides = {}) => ({
+    candidates,
+    topicShares: new Map([
+      ["algebra", 0.5],
+      ["geometry", 0.5],
+    ]),
+    difficultyShares: new Map([
+      ["beginner", 0.5],
+      ["advanced", 0.5],
+    ]),
+    totalPoints: 12,
+    maxQuestions: 20,
+    seed: "seed",
+    ...overrides,
+  });
+
+  test("should reach the total points without exceeding it", () => {
+    const selection = selectQuestions(buildParams());
+
+    expect(selection.totalPoints).toBe(12);
+    expect(
+      selection.questions.reduce((sum, question) => sum + question.points, 0)
+    ).toBe(12);
+  });
+
+  test("should follow topic weights", () => {
+    const selection = selectQuestions(
+      buildParams({
+        topicShares: new Map([
+          ["algebra", 1],
+          ["geometry", 0],
+        ]),
+      })
+    );
+
+    expect(
+      selection.questions.every((question) => question.topicId === "algebra")
+    ).toBe(true);
+  });
+
+  test("should return the same selection for the same seed", () => {
+    const first = selectQuestions(buildParams({ totalPoints: 6 }));
+    const second = selectQuestions(buildParams({ totalPoints: 6 }));
+
+    expect(first.questions.map((q) => q._id)).toEqual(
+      second.questions.map((q) => q._id)
+    );
+  });
+
+  test("should avoid recently seen questions while others are available", () => {
+    const selection = selectQuestions(
+      buildParams({
+        totalPoints: 6,
+        recentIds: new Set(["q1", "q3", "q5", "q7"]),
+      })
+    );
+
+    expect(selection.recentCount).toBe(0);
+    expect(selection.totalPoints).toBe(6);
+  });
+
+  test("should fall back to recently seen questions when the pool is short", () => {
+    const selection = selectQuestions(
+      buildParams({ recentIds: new Set(candidates.map((q) => q._id)) })
+    );
+
+    expect(selection.totalPoints).toBe(12);
+    expect(selection.recentCount).toBe(selection.questions.length);
+  });
+
+  test("should respect the maximum number of questions", () => {
+    const selection = selectQuestions(buildParams({ maxQuestions: 2 }));
+
+    expect(selection.questions).toHaveLength(2);
+  });
+
+  const passageQuestions = [
+    { ...buildQuestion("p1", "algebra", "beginner", 2), passageId: "text" },
+    { ...buildQuestion("p2", "algebra", "advanced", 4), passageId: "text" },
+  ];
+
+  test("should select the questions on a passage together and in a row", () => {
+    ["a", "b", "c", "d", "e"].forEach((seed) => {
+      const selection = selectQuestions(
+        buildParams({ candidates: [...candidates, ...passageQuestions], seed })
+      );
+      const ids = selection.questions.map((question) => question._id);
+
+      expect(selection.totalPoints).toBe(12);
+      expect(ids).toContain("p1");
+      expect(ids.indexOf("p2")).toBe(ids.indexOf("p1") + 1);
+    });
+  });
+
+  test("should leave out a passage whose questions do not fit together", () => {
+    const selection = selectQuestions(
+      buildParams({
+        candidates: [...candidates, ...passageQuestions],
+        maxQuestions: 1,
+      })
+    );
+
+    expect(selection.questions).toHaveLength(1);
+    expect(selection.questions[0].passageId).toBeUndefined();
+  });
+});
@@ -0,0 +1,108 @@
+const { Types } = require("mongoose");
+const quizBlueprintService = require("../../../../src/services/assessment/quizBlueprint/quiz.blueprint.service");
+const { QuizBlueprint } = require("../../../../src/models/assessment/quiz.blueprint.model");
+const { Question } = require("../../../../src/models/assessment/question.model");
+
+const authorId = new Types.ObjectId();
+const author = { _id: authorId.toString(), role: "teacher" };
+const otherTeacher = { _id: new Types.ObjectId().toString(), role: "teacher" };
+const admin = { _id: new Types.ObjectId().toString(), role: "admin" };
+const student = { _id: new Types.ObjectId().toString(), role: "student" };
+
+const buildBlueprint = () =>
+  QuizBlueprint.hydrate({
+    _id: new Types.ObjectId(),
+    title: "Bac D - Mathématiques",
+    subjectId: new Types.ObjectId(),
+    level: "terminale",
+    topicWeights: [{ topicId: new Types.ObjectId(), weight: 1 }],
+    difficultyMix: [],
+    formats: [],
+    series: [],
+    totalPoints: 20,
+    timeLimit: 60,
+    createdBy: authorId,
+    isActive: true,
+  });
+
+describe("Quiz Blueprint Service - Ownership", () => {
+  let blueprint;
+  let save;
+
+  beforeEach(() => {
+    blueprint = buildBlueprint();
+    jest.spyOn(QuizBlueprint, "findOne").mockResolvedValue(blueprint);
+    jest.spyOn(QuizBlueprint, "findById").mockResolvedValue(blueprint);
+    save = jest
+      .spyOn(QuizBlueprint.prototype, "save")
+      .mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should let the author update the blueprint", async () => {
+    const result = await quizBlueprintService.updateBlueprint(
+      blueprint._id,
+      { totalPoints: 40 },
+      author
+    );
+
+    expect(result.statusCode).toBe(200);
+    expect(blueprint.totalPoints).toBe(40);
+  });
+
+  test("should refuse updates and deletions from other teachers", async () => {
+    await expect(
+      quizBlueprintService.updateBlueprint(
+        blueprint._id,
+        { totalPoints: 40 },
+        otherTeacher
+      )
+    ).rejects.toMatchObject({ statusCode: 403 });
+    await expect(
+      quizBlueprintService.deleteBlueprint(blueprint._id, otherTeacher)
+    ).rejects.toMatchObject({ statusCode: 403 });
+
+    expect(blueprint.totalPoints).toBe(20);
+    expect(blueprint.isActive).toBe(true);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test("should let admins delete any blueprint", async () => {
+    await quizBlueprintService.deleteBlueprint(blueprint._id, admin);
+
+    expect(blueprint.isActive).toBe(false);
+    expect(save).toHaveBeenCalled();
+  });
+
+  test("should refuse quiz generation from another teacher's blueprint", async () => {
+    const find = jest.spyOn(Question, "find");
+
+    await expect(
+      quizBlueprintService.generateQuiz(blueprint._id, otherTeacher)
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test("should let students generate their own practice variant", async () => {
+    jest.spyOn(Question, "find").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([]),
+      }),
+    });
+    jest
+      .spyOn(quizBlueprintService, "getRecentlySeenQuestionIds")
+      .mockResolvedValue(new Set());
+
+    // No question matches, but the student got past the ownership check
+    await expect(
+      quizBlueprintService.generateQuiz(blueprint._id, student, {
+        studentId: student._id,
+      })
+    ).rejects.toMatchObject({ statusCode: 422 });
+  });
+});
@@ -0,0 +1,94 @@
+const {
+  signManifest,
+  verifyManifest,
+  classifyOfflineAnswers,
+} = require("../../../../src/services/assessment/quizSession/offline.bundle.utils");
+
+describe("Offline Bundle Utils - Signature and Answer Checks", () => {
+  const secret = "test-secret";
+  const manifest = {
+    version: 1,
+    bundleId: "bundle_1",
+    quizId: "64b000000000000000000001",
+    userId: "64b000000000000000000002",
+    issuedAt: "2024-05-01T08:00:00.000Z",
+    expiresAt: "2024-05-04T08:00:00.000Z",
+    timeLimit: 600,
+    shuffleSeed: "seed",
+    shuffleOptions: true,
+    questionIds: ["q1", "q2"],
+    contentHash: "hash",
+  };
+  const startedAt = new Date("2024-05-01T09:00:00.000Z");
+  const now = new Date("2024-05-01T10:00:00.000Z");
+  const at = (seconds) => new Date(startedAt.getTime() + seconds * 1000);
+
+  test("should accept an unchanged manifest after a JSON round trip", () => {
+    const signature = signManifest(manifest, secret);
+    const received = JSON.parse(
+      JSON.stringify({ ...manifest, extra: "ignored" })
+    );
+
+    expect(verifyManifest(received, signature, secret)).toBe(true);
+  });
+
+  test("should reject a tampered manifest or a wrong signature", () => {
+    const signature = signManifest(manifest, secret);
+
+    expect(
+      verifyManifest({ ...manifest, timeLimit: 6000 }, signature, secret)
+    ).toBe(false);
+    expect(verifyManifest(manifest, "abcd", secret)).toBe(false);
+    expect(verifyManifest(manifest, signature, "other-secret")).toBe(false);
+  });
+
+  test("should reject answers outside the bundle or the time limit", () => {
+    const { accepted, rejected } = classifyOfflineAnswers({
+      answers: [
+        { questionId: "q1", selectedAnswer: 0, answeredAt: at(60) },
+        { questionId: "q3", selectedAnswer: 1, answeredAt: at(90) },
+        { questionId: "q2", selectedAnswer: 1, answeredAt: at(900) },
+      ],
+      questionIds: manifest.questionIds,
+      startedAt,
+      timeLimit: manifest.timeLimit,
+      now,
+    });
+
+    expect(accepted.map((answer) => answer.questionId)).toEqual(["q1"]);
+    expect(rejected.map((answer) => answer.reason)).toEqual([
+      "unknown_question",
+      "after_time_limit",
+    ]);
+  });
+
+  test("should keep only the latest answer to a question", () => {
+    const { accepted, rejected } = classifyOfflineAnswers({
+      answers: [
+        { questionId: "q1", selectedAnswer: 2, answeredAt: at(120) },
+        { questionId: "q1", selectedAnswer: 0, answeredAt: at(60) },
+      ],
+      questionIds: manifest.questionIds,
+      startedAt,
+      timeLimit: manifest.timeLimit,
+      now,
+    });
+
+    expect(accepted).toHaveLength(1);
+    expect(accepted[0].selectedAnswer).toBe(2);
+    expect(rejected).toEqual([
+      expect.objectContaining({ questionId: "q1", reason: "superseded" }),
+    ]);
+  });
+
+  test("should reject answers recorded before the attempt started", () => {
+    const { rejected } = classifyOfflineAnswers({
+      answers: [{ questionId: "q1", selectedAnswer: 0, answeredAt: at(-3600) }],
+      questionIds: manifest.questionIds,
+      startedAt,
+      now,
+    });
+
+    expect(rejected[0].reason).toBe("before_start");
+  });
+});
@@ -0,0 +1,148 @@
+const { Types } = require("mongoose");
+const quizSessionService = require("../../../../src/services/assessment/quizSession/quiz.session.service");
+const quizResultService = require("../../../../src/services/results/quiz.result.service");
+const challengeService = require("../../../../src/services/assessment/challenge/challenge.service");
+const { QuizSession } = require("../../../../src/models/assessment/quiz.session.model");
+const { Question } = require("../../../../src/models/assessment/question.model");
+
+const questionId = new Types.ObjectId();
+const otherQuestionId = new Types.ObjectId();
+// The answer key was fixed from "Abuja" to "N'Djamena"
+const question = {
+  _id: questionId,
+  format: "multiple_choice",
+  options: ["Niamey", "N'Djamena", "Abuja", "Yaoundé"],
+  correctAnswer: "N'Djamena",
+  points: 2,
+  grading: {},
+};
+
+const buildSession = (selectedAnswer, overrides = {}) =>
+  new QuizSession({
+    userId: new Types.ObjectId(),
+    quizId: new Types.ObjectId(),
+    status: "completed",
+    answers: [
+      {
+        questionId,
+        selectedAnswer,
+        isCorrect: selectedAnswer === "Abuja",
+        pointsEarned: selectedAnswer === "Abuja" ? 2 : 0,
+        maxPoints: 2,
+        gradingStatus: "graded",
+      },
+      {
+        questionId: otherQuestionId,
+        selectedAnswer: "Vrai",
+        isCorrect: true,
+        pointsEarned: 1,
+        maxPoints: 1,
+        gradingStatus: "graded",
+      },
+    ],
+    score: selectedAnswer === "Abuja" ? 3 : 1,
+    maxScore: 3,
+    ...overrides,
+  });
+
+const mockCursor = (sessions) =>
+  jest.spyOn(QuizSession, "find").mockReturnValue({
+    cursor: () =>
+      (async function* () {
+        yield* sessions;
+      })(),
+  });
+
+describe("Quiz Session Rescoring - Fixed Answer Key", () => {
+  beforeEach(() => {
+    jest.spyOn(Question, "findById").mockResolvedValue(question);
+    jest.spyOn(Question, "updateOne").mockResolvedValue({});
+    jest.spyOn(QuizSession.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(quizResultService, "updateFromSession").mockResolvedValue();
+    jest.spyOn(challengeService, "recordSessionResult").mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should regrade answers and update the scores of finished sessions", async () => {
+    const wronglyMarked = buildSession("N'Djamena", {
+      resultId: new Types.ObjectId(),
+    });
+    const wronglyCredited = buildSession("Abuja", {
+      challengeId: new Types.ObjectId(),
+    });
+    mockCursor([wronglyMarked, wronglyCredited]);
+
+    const result = await quizSessionService.rescoreQuestion(questionId);
+
+    expect(wronglyMarked.answers[0].isCorrect).toBe(true);
+    expect(wronglyMarked.score).toBe(3);
+    expect(wronglyCredited.answers[0].pointsEarned).toBe(0);
+    expect(wronglyCredited.score).toBe(1);
+    expect(quizResultService.updateFromSession).toHaveBeenCalledWith(
+      wronglyMarked
+    );
+    expect(challengeService.recordSessionResult).toHaveBeenCalledWith(
+      wronglyCredited
+    );
+    expect(result.data).toEqual({
+      sessionsRescored: 2,
+      resultsUpdated: 1,
+      challengesUpdated: 1,
+      answersChanged: 2,
+    });
+  });
+
+  test("should leave unchanged and unanswered sessions alone", async () => {
+    const alreadyRight = buildSession("N'Djamena");
+    alreadyRight.answers[0].isCorrect = true;
+    alreadyRight.answers[0].pointsEarned = 2;
+    const unanswered = buildSession(null);
+    mockCursor([alreadyRight, unanswered]);
+
+    const result = await quizSessionService.rescoreQuestion(questionId);
+
+    expect(QuizSession.prototype.save).not.toHaveBeenCalled();
+    expect(Question.updateOne).not.toHaveBeenCalled();
+    expect(result.data.sessionsRescored).toBe(0);
+  });
+
+  test("should score open sessions only when they are completed", async () => {
+    const open = buildSession("N'Djamena", {
+      status: "in_progress",
+      resultId: new Types.ObjectId(),
+    });
+    mockCursor([open]);
+
+    await quizSessionService.rescoreQuestion(questionId);
+
+    expect(open.answers[0].isCorrect).toBe(true);
+    expect(open.score).toBe(1);
+    expect(quizResultService.updateFromSession).not.toHaveBeenCalled();
+    expect(QuizSession.prototype.save).toHaveBeenCalledTimes(1);
+  });
+
+  test("should shift the question's correct attempts by the change", async () => {
+    mockCursor([buildSession("N'Djamena"), buildSession("N'Djamena")]);
+
+    await quizSessionService.rescoreQuestion(questionId);
+
+    const [filter, pipeline] = Question.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: questionId });
+    expect(JSON.stringify(pipeline)).toContain(
+      '{"$add":["$analytics.correctAttempts",2]}'
+    );
+  });
+
+  test("should fail when the question does not exist", async () => {
+    Question.findById.mockResolvedValue(null);
+
+    await expect(
+      quizSessionService.rescoreQuestion(questionId)
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
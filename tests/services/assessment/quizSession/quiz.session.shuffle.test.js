@@ -0,0 +1,110 @@
+const quizSessionService = require("../../../../src/services/assessment/quizSession/quiz.session.service");
+const challengeService = require("../../../../src/services/assessment/challenge/challenge.service");
+const { QuizSession } = require("../../../../src/models/assessment/quiz.session.model");
+const { Challenge } = require("../../../../src/models/assessment/challenge.model");
+const { Question } = require("../../../../src/models/assessment/question.model");
+
+const userId = "507f1f77bcf86cd799439011";
+const challengeId = "507f1f77bcf86cd799439012";
+const multipleChoice = {
+  _id: "507f1f77bcf86cd799439021",
+  format: "multiple_choice",
+  options: ["Dakar", "Abidjan", "Bamako", "Niamey"],
+  points: 2,
+};
+const shortAnswer = {
+  _id: "507f1f77bcf86cd799439022",
+  format: "short_answer",
+  points: 1,
+};
+
+describe("Quiz Session Shuffling - Options", () => {
+  test("should only shuffle the options of multiple choice questions", () => {
+    const getOrder = (question, shuffleOptions) =>
+      quizSessionService.getOptionOrder(question, "s1", shuffleOptions);
+
+    expect(getOrder(multipleChoice, false)).toEqual([]);
+    expect(getOrder(shortAnswer, true)).toEqual([]);
+    expect([...getOrder(multipleChoice, true)].sort()).toEqual([0, 1, 2, 3]);
+    expect(getOrder(multipleChoice, true)).toEqual(
+      getOrder(multipleChoice, true)
+    );
+  });
+
+  test("should map displayed positions back to the option values", () => {
+    const answer = { optionOrder: [2, 0, 3, 1] };
+
+    expect(
+      quizSessionService.toCanonicalAnswer(answer, multipleChoice, 0)
+    ).toBe("Bamako");
+    expect(
+      quizSessionService.toCanonicalAnswer(answer, multipleChoice, [1, 3])
+    ).toEqual(["Dakar", "Abidjan"]);
+    expect(
+      quizSessionService.toCanonicalAnswer({}, multipleChoice, 0)
+    ).toBe(0);
+  });
+});
+
+describe("Quiz Session Shuffling - Challenges", () => {
+  const challenge = {
+    _id: challengeId,
+    status: "active",
+    participants: [userId],
+    questionIds: [multipleChoice._id, shortAnswer._id],
+    timeLimit: 10,
+    rules: { shuffleQuestions: true },
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should store a seeded option order in challenge sessions", async () => {
+    jest.spyOn(Challenge, "findById").mockResolvedValue(challenge);
+    jest.spyOn(QuizSession, "findOne").mockReturnValue({
+      sort: jest.fn().mockResolvedValue(null),
+    });
+    jest
+      .spyOn(challengeService, "getChallengeQuestions")
+      .mockResolvedValue([multipleChoice, shortAnswer]);
+    jest.spyOn(QuizSession.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+
+    const result = await quizSessionService.createChallengeSession(
+      userId,
+      challengeId
+    );
+
+    const [choiceAnswer, shortAnswerEntry] = result.data.answers;
+    expect([...choiceAnswer.optionOrder].sort()).toEqual([0, 1, 2, 3]);
+    expect(choiceAnswer.optionOrder).toEqual(
+      quizSessionService.getOptionOrder(
+        multipleChoice,
+        result.data.shuffleSeed,
+        true
+      )
+    );
+    expect([...shortAnswerEntry.optionOrder]).toEqual([]);
+    expect(challengeService.getChallengeQuestions).toHaveBeenCalledWith(
+      challengeId,
+      userId,
+      { withTemplates: true }
+    );
+  });
+
+  test("should keep templates out of the challenge questions", async () => {
+    const select = jest.fn().mockResolvedValue([multipleChoice, shortAnswer]);
+    jest.spyOn(Challenge, "findById").mockResolvedValue(challenge);
+    jest.spyOn(Question, "find").mockReturnValue({ select });
+
+    await challengeService.getChallengeQuestions(challengeId, userId);
+    expect(select.mock.calls[0][0]).not.toMatch(/template/);
+
+    await challengeService.getChallengeQuestions(challengeId, userId, {
+      withTemplates: true,
+    });
+    expect(select.mock.calls[1][0]).toMatch(/template/);
+  });
+});
@@ -0,0 +1,73 @@
+const { Types } = require("mongoose");
+const quizSessionService = require("../../../../src/services/assessment/quizSession/quiz.session.service");
+const { QuizSession } = require("../../../../src/models/assessment/quiz.session.model");
+const { detectFastAnswers } = require("../../../../src/services/assessment/integrity/integrity.utils");
+
+const questionIds = [new Types.ObjectId(), new Types.ObjectId()];
+
+const buildSession = (overrides = {}) =>
+  QuizSession.hydrate({
+    _id: new Types.ObjectId(),
+    sessionId: "session-1",
+    userId: new Types.ObjectId(),
+    status: "in_progress",
+    lastActive: new Date(Date.now() - 2500),
+    answers: questionIds.map((questionId) => ({
+      questionId,
+      selectedAnswer: null,
+      timeSpent: 0,
+    })),
+    ...overrides,
+  });
+
+describe("Quiz Session Sync - Timings", () => {
+  test("should ignore the times reported by the client", () => {
+    const session = buildSession();
+    const answeredAt = new Date("2020-01-01");
+
+    quizSessionService.mergeSyncedAnswers(session, [
+      {
+        questionId: String(questionIds[0]),
+        selectedAnswer: "Dakar",
+        timeSpent: 600,
+        answeredAt,
+      },
+      {
+        questionId: String(questionIds[1]),
+        selectedAnswer: "Bamako",
+        timeSpent: 600,
+        answeredAt,
+      },
+    ]);
+
+    const [first, second] = session.answers;
+    expect(first.selectedAnswer).toBe("Dakar");
+    expect(first.timeSpent).toBe(1);
+    expect(second.timeSpent).toBe(1);
+    expect(first.answeredAt).not.toEqual(answeredAt);
+    expect(detectFastAnswers(session.answers)).toEqual(
+      questionIds.map(String)
+    );
+  });
+
+  test("should keep the time measured for an answer that is changed", () => {
+    const session = buildSession({
+      answers: [
+        { questionId: questionIds[0], selectedAnswer: "Dakar", timeSpent: 40 },
+      ],
+    });
+
+    quizSessionService.mergeSyncedAnswers(session, [
+      {
+        questionId: String(questionIds[0]),
+        selectedAnswer: "Abidjan",
+        timeSpent: 0,
+        flagged: true,
+      },
+    ]);
+
+    expect(session.answers[0].selectedAnswer).toBe("Abidjan");
+    expect(session.answers[0].timeSpent).toBe(40);
+    expect(session.answers[0].flagged).toBe(true);
+  });
+});
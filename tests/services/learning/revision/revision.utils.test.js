@@ -0,0 +1,84 @@
+const {
+  toSnapshot,
+  diffSnapshots,
+} = require("../../../../src/services/learning/revision/revision.utils");
+
+describe("Content Revisions - Snapshots", () => {
+  test("should keep content fields and drop bookkeeping fields", () => {
+    const lesson = {
+      _id: "l1",
+      __v: 3,
+      title: "Les fractions",
+      metadata: { version: 2, createdBy: "u1" },
+      feedback: [{ rating: 5 }],
+      updatedAt: new Date("2025-01-01"),
+    };
+    expect(toSnapshot(lesson, "lesson")).toEqual({ title: "Les fractions" });
+  });
+
+  test("should drop statistics and workflow state of questions", () => {
+    const question = {
+      question: "2 + 2 ?",
+      correctAnswer: "4",
+      status: "approved",
+      version: 4,
+      analytics: { attempts: 10 },
+      review: { history: [] },
+    };
+    expect(toSnapshot(question, "question")).toEqual({
+      question: "2 + 2 ?",
+      correctAnswer: "4",
+    });
+  });
+
+  test("should keep exercise metadata that is content", () => {
+    const exercise = {
+      title: "Dérivées",
+      metadata: { version: 2, createdBy: "u1", tags: ["analyse"] },
+    };
+    expect(toSnapshot(exercise, "exercise")).toEqual({
+      title: "Dérivées",
+      metadata: { tags: ["analyse"] },
+    });
+  });
+
+  test("should store identifiers and dates as strings", () => {
+    const snapshot = toSnapshot(
+      { topicId: { toJSON: () => "t1" }, dueDate: new Date("2025-01-01") },
+      "lesson"
+    );
+    expect(snapshot).toEqual({
+      topicId: "t1",
+      dueDate: "2025-01-01T00:00:00.000Z",
+    });
+  });
+});
+
+describe("Content Revisions - Diffs", () => {
+  test("should list changed nested fields by path", () => {
+    const before = { title: "A", content: { intro: "x", body: "y" } };
+    const after = { title: "A", content: { intro: "x", body: "z" } };
+    expect(diffSnapshots(before, after)).toEqual([
+      { path: "content.body", before: "y", after: "z" },
+    ]);
+  });
+
+  test("should compare arrays as a whole", () => {
+    const changes = diffSnapshots({ options: ["a", "b"] }, { options: ["b", "a"] });
+    expect(changes).toEqual([
+      { path: "options", before: ["a", "b"], after: ["b", "a"] },
+    ]);
+  });
+
+  test("should report added and removed fields with null", () => {
+    expect(diffSnapshots({ hint: "h" }, { explanation: "e" })).toEqual([
+      { path: "explanation", before: null, after: "e" },
+      { path: "hint", before: "h", after: null },
+    ]);
+  });
+
+  test("should find no change between equal snapshots", () => {
+    const snapshot = { title: "A", content: { steps: [{ n: 1 }] } };
+    expect(diffSnapshots(snapshot, { ...snapshot })).toEqual([]);
+  });
+});
@@ -0,0 +1,142 @@
+const quizResultService = require("../../../src/services/results/quiz.result.service");
+const { Quiz } = require("../../../src/models/assessment/quiz.model");
+const { HintUsage } = require("../../../src/models/results/hint.model");
+
+const userId = "507f1f77bcf86cd799439011";
+const quizId = "507f1f77bcf86cd799439012";
+const questionIds = ["507f1f77bcf86cd799439021", "507f1f77bcf86cd799439022"];
+
+const createSession = (answers) => ({
+  _id: "507f1f77bcf86cd799439031",
+  userId,
+  quizId,
+  startTime: new Date("2025-06-01T08:00:00Z"),
+  endTime: new Date("2025-06-01T08:20:00Z"),
+  timeTaken: 1200,
+  deviceInfo: { platform: "android", browser: "Chrome" },
+  answers,
+});
+
+const mockModels = (hintUsages = []) => {
+  jest.spyOn(Quiz, "findById").mockReturnValue({
+    select: jest.fn().mockResolvedValue({ series: ["D"] }),
+  });
+  jest.spyOn(HintUsage, "find").mockResolvedValue(hintUsages);
+};
+
+describe("Quiz Result Service - Session results", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should compute the scores from the graded answers", async () => {
+    mockModels();
+    const session = createSession([
+      {
+        questionId: questionIds[0],
+        pointsEarned: 2,
+        maxPoints: 2,
+        isCorrect: true,
+      },
+      {
+        questionId: questionIds[1],
+        pointsEarned: 1.5,
+        maxPoints: 3,
+        isCorrect: false,
+      },
+    ]);
+
+    const result = await quizResultService.computeFromSession(session);
+
+    expect(result).toMatchObject({
+      userId,
+      quizId,
+      series: ["D"],
+      correctCount: 1,
+      score: 3.5,
+      maxScore: 5,
+      hintPointsDeducted: 0,
+      timeTaken: 1200,
+      completedAt: session.endTime,
+      metadata: { deviceInfo: "android Chrome" },
+    });
+    expect(result.feedback.subtitle).toBe("70% des points obtenus");
+  });
+
+  test("should deduct hints used during the session from their question", async () => {
+    mockModels([
+      { _id: "h1", questionId: questionIds[0], pointsDeducted: 0.5 },
+      { _id: "h2", questionId: questionIds[0], pointsDeducted: 0.25 },
+    ]);
+    const session = createSession([
+      {
+        questionId: questionIds[0],
+        pointsEarned: 2,
+        maxPoints: 2,
+        isCorrect: true,
+      },
+      {
+        questionId: questionIds[1],
+        pointsEarned: 3,
+        maxPoints: 3,
+        isCorrect: true,
+      },
+    ]);
+
+    const result = await quizResultService.computeFromSession(session);
+
+    expect(result.questionResults[0]).toMatchObject({
+      pointsEarned: 1.25,
+      hintPointsDeducted: 0.75,
+    });
+    expect(result.questionResults[1].hintPointsDeducted).toBe(0);
+    expect(result.score).toBe(4.25);
+    expect(result.hintUsages).toEqual(["h1", "h2"]);
+    expect(HintUsage.find).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId,
+        quizId,
+        usedAt: { $gte: session.startTime, $lte: session.endTime },
+      })
+    );
+  });
+
+  test("should not deduct more than the points earned on a question", async () => {
+    mockModels([{ _id: "h1", questionId: questionIds[1], pointsDeducted: 2 }]);
+    const session = createSession([
+      {
+        questionId: questionIds[0],
+        pointsEarned: 2,
+        maxPoints: 2,
+        isCorrect: true,
+      },
+      {
+        questionId: questionIds[1],
+        pointsEarned: 1,
+        maxPoints: 3,
+        isCorrect: false,
+      },
+    ]);
+
+    const result = await quizResultService.computeFromSession(session);
+
+    expect(result.questionResults[1]).toMatchObject({
+      pointsEarned: 0,
+      hintPointsDeducted: 1,
+    });
+    expect(result.score).toBe(2);
+  });
+});
+
+describe("Quiz Result Service - Feedback", () => {
+  test("should pick the feedback tier of the percentage", () => {
+    expect(quizResultService.buildFeedback(95).title).toBe("Excellent !");
+    expect(quizResultService.buildFeedback(90).title).toBe("Excellent !");
+    expect(quizResultService.buildFeedback(89).title).toBe("Très bien !");
+    expect(quizResultService.buildFeedback(60).title).toBe("Bien joué");
+    expect(quizResultService.buildFeedback(0)).toMatchObject({
+      title: "Continue tes efforts",
+      subtitle: "0% des points obtenus",
+    });
+  });
+});
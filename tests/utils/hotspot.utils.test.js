@@ -0,0 +1,89 @@
+const {
+  checkHotspots,
+  findHotspotAt,
+} = require("../../src/utils/hotspot.utils");
+
+const cell = {
+  hotspotId: "cell",
+  shape: "rect",
+  x: 10,
+  y: 10,
+  width: 300,
+  height: 200,
+};
+const nucleus = {
+  hotspotId: "nucleus",
+  shape: "circle",
+  x: 150,
+  y: 100,
+  radius: 30,
+};
+const vacuole = {
+  hotspotId: "vacuole",
+  shape: "polygon",
+  points: [
+    [220, 60],
+    [280, 60],
+    [250, 140],
+  ],
+};
+
+describe("Diagram Hotspots - Geometry Checks", () => {
+  test("should accept hotspots in the image and warn about overlaps", () => {
+    const { errors, warnings } = checkHotspots({
+      width: 400,
+      height: 300,
+      hotspots: [cell, nucleus, vacuole],
+    });
+
+    expect(errors).toEqual([]);
+    expect(warnings.map((warning) => warning.hotspotId)).toContain("cell");
+  });
+
+  test("should report hotspots outside the image or malformed", () => {
+    const { errors } = checkHotspots({
+      width: 200,
+      height: 150,
+      hotspots: [
+        cell,
+        { hotspotId: "dot", shape: "circle", x: 20, y: 20, radius: 0 },
+        {
+          hotspotId: "line",
+          shape: "polygon",
+          points: [
+            [0, 0],
+            [5, 5],
+            [10, 10],
+          ],
+        },
+        { ...nucleus, hotspotId: "dot" },
+      ],
+    });
+
+    expect(errors.map((error) => error.message)).toEqual([
+      'Hotspot "cell" extends beyond the 200x150 image',
+      "A circle needs a positive radius",
+      "A polygon cannot be flat",
+      'Duplicate hotspot ID "dot"',
+    ]);
+  });
+
+  test("should require the image size", () => {
+    expect(checkHotspots({ hotspots: [] }).errors).toHaveLength(1);
+  });
+});
+
+describe("Diagram Hotspots - Hit Testing", () => {
+  const hotspots = [cell, nucleus, vacuole];
+
+  test("should pick the innermost hotspot under a point", () => {
+    expect(findHotspotAt(hotspots, { x: 150, y: 110 }).hotspotId).toBe(
+      "nucleus"
+    );
+    expect(findHotspotAt(hotspots, { x: 250, y: 80 }).hotspotId).toBe(
+      "vacuole"
+    );
+    expect(findHotspotAt(hotspots, { x: 40, y: 40 }).hotspotId).toBe("cell");
+    expect(findHotspotAt(hotspots, { x: 390, y: 290 })).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+const {
+  getRubricMaxPoints,
+  getRubricError,
+  getRubricScoreError,
+  scoreRubric,
+} = require("../../src/utils/rubric.utils");
+
+const levels = (...points) =>
+  points.map((value, index) => ({ label: `niveau-${index}`, points: value }));
+
+// Philosophy dissertation rubric, out of 20
+const rubric = {
+  criteria: [
+    {
+      criterionId: "problematisation",
+      title: "Problématisation",
+      levels: [
+        { label: "absente", points: 0 },
+        { label: "partielle", points: 3 },
+        { label: "maîtrisée", points: 6 },
+      ],
+    },
+    {
+      criterionId: "argumentation",
+      title: "Argumentation",
+      levels: levels(0, 4, 8),
+    },
+    {
+      criterionId: "expression",
+      title: "Expression écrite",
+      levels: levels(0, 3, 6),
+    },
+  ],
+};
+
+describe("Rubrics - Checks", () => {
+  test("should accept a well-formed rubric and total its best levels", () => {
+    expect(getRubricError(rubric)).toBeNull();
+    expect(getRubricMaxPoints(rubric)).toBe(20);
+  });
+
+  test("should reject duplicate criteria and criteria worth no points", () => {
+    expect(
+      getRubricError({
+        criteria: [rubric.criteria[0], rubric.criteria[0]],
+      })
+    ).toMatch(/unique/);
+    expect(
+      getRubricError({
+        criteria: [{ criterionId: "plan", title: "Plan", levels: levels(0) }],
+      })
+    ).toMatch(/worth points/);
+    expect(getRubricError({ criteria: [] })).toMatch(/at least one criterion/);
+  });
+});
+
+describe("Rubrics - Scoring", () => {
+  test("should score chosen levels and points between levels", () => {
+    const scores = [
+      { criterionId: "problematisation", level: "maîtrisée" },
+      { criterionId: "argumentation", points: 5, comment: "Exemples rares" },
+      { criterionId: "expression", level: "niveau-1" },
+    ];
+
+    expect(getRubricScoreError(rubric, scores)).toBeNull();
+    const result = scoreRubric(rubric, scores);
+
+    expect(result.points).toBe(14);
+    expect(result.maxPoints).toBe(20);
+    expect(result.ratio).toBeCloseTo(0.7, 5);
+    expect(result.criteria[1]).toMatchObject({
+      criterionId: "argumentation",
+      level: "niveau-1",
+      points: 5,
+      maxPoints: 8,
+      comment: "Exemples rares",
+    });
+  });
+
+  test("should require every criterion scored once and within range", () => {
+    expect(
+      getRubricScoreError(rubric, [
+        { criterionId: "problematisation", points: 6 },
+        { criterionId: "argumentation", points: 8 },
+      ])
+    ).toMatch(/"expression" is not scored/);
+    expect(
+      getRubricScoreError(rubric, [
+        { criterionId: "problematisation", points: 7 },
+      ])
+    ).toMatch(/between 0 and 6/);
+    expect(
+      getRubricScoreError(rubric, [
+        { criterionId: "problematisation", level: "excellente" },
+      ])
+    ).toMatch(/Unknown level/);
+    expect(
+      getRubricScoreError(rubric, [{ criterionId: "plan", points: 1 }])
+    ).toMatch(/Unknown rubric criterion/);
+  });
+});
@@ -0,0 +1,50 @@
+const {
+  groupByKey,
+  seededShuffle,
+  seededGroupedShuffle,
+} = require("../../src/utils/shuffle.utils");
+
+const questions = [
+  { _id: "q1" },
+  { _id: "q2", passageId: "text-a" },
+  { _id: "q3" },
+  { _id: "q4", passageId: "text-a" },
+  { _id: "q5", passageId: "text-b" },
+  { _id: "q6" },
+  { _id: "q7", passageId: "text-b" },
+];
+const getPassageId = (question) => question.passageId;
+const ids = (items) => items.map((item) => item._id);
+
+describe("Shuffle - Grouped Shuffle", () => {
+  test("should group items by key in order of first appearance", () => {
+    expect(groupByKey(questions, getPassageId).map(ids)).toEqual([
+      ["q1"],
+      ["q2", "q4"],
+      ["q3"],
+      ["q5", "q7"],
+      ["q6"],
+    ]);
+  });
+
+  test("should keep the items of a group next to each other and in order", () => {
+    ["a", "b", "c", "d", "e", "f"].forEach((seed) => {
+      const order = ids(seededGroupedShuffle(questions, seed, getPassageId));
+
+      expect([...order].sort()).toEqual(ids(questions));
+      expect(order.indexOf("q4")).toBe(order.indexOf("q2") + 1);
+      expect(order.indexOf("q7")).toBe(order.indexOf("q5") + 1);
+      expect(seededGroupedShuffle(questions, seed, getPassageId)).toEqual(
+        seededGroupedShuffle(questions, seed, getPassageId)
+      );
+    });
+  });
+
+  test("should shuffle like a plain shuffle when nothing is grouped", () => {
+    const single = questions.map(({ _id }) => ({ _id }));
+
+    expect(seededGroupedShuffle(single, "seed", getPassageId)).toEqual(
+      seededShuffle(single, "seed")
+    );
+  });
+});